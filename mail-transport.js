@@ -0,0 +1,97 @@
+/**
+ * 메일 전송 모듈
+ * MAIL_TRANSPORT 환경 변수로 전송 방식을 선택합니다.
+ * - smtp: SMTP 서버로 전송 (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS)
+ * - log: 실제로 보내지 않고 서버 로그에 출력 (개발용)
+ * - 미설정: 메일 전송 비활성화
+ *
+ * 다른 전송 방식은 registerMailTransport()로 추가할 수 있습니다.
+ */
+
+const nodemailer = require('nodemailer');
+
+const DEFAULT_FROM = 'NTEOK <no-reply@localhost>';
+
+/**
+ * 전송 방식 목록
+ * 각 항목은 설정을 받아 sendMail(message)을 가진 객체를 반환
+ */
+const transports = {
+    smtp(config) {
+        if (!config.SMTP_HOST) {
+            throw new Error('MAIL_TRANSPORT=smtp에는 SMTP_HOST가 필요합니다.');
+        }
+
+        const secure = config.SMTP_SECURE === 'true';
+        return nodemailer.createTransport({
+            host: config.SMTP_HOST,
+            port: Number(config.SMTP_PORT) || (secure ? 465 : 587),
+            secure,
+            auth: config.SMTP_USER
+                ? { user: config.SMTP_USER, pass: config.SMTP_PASS || '' }
+                : undefined
+        });
+    },
+
+    log() {
+        return {
+            async sendMail(message) {
+                console.log(`[메일] (log 전송) 받는 사람: ${message.to}, 제목: ${message.subject}\n${message.text}`);
+                return { messageId: null };
+            }
+        };
+    }
+};
+
+/**
+ * 전송 방식 추가 (예: 외부 메일 API)
+ * @param {string} name - MAIL_TRANSPORT 값
+ * @param {(config: Object) => {sendMail: Function}} factory
+ */
+function registerMailTransport(name, factory) {
+    transports[name] = factory;
+}
+
+/**
+ * 환경 변수로 메일 전송기 생성
+ * @param {Object} config - 환경 변수 (기본: process.env)
+ * @returns {{enabled: boolean, transport: string|null, send: Function}}
+ */
+function createMailer(config = process.env) {
+    const name = (config.MAIL_TRANSPORT || '').trim().toLowerCase();
+
+    if (!name) {
+        return {
+            enabled: false,
+            transport: null,
+            async send() {
+                throw new Error('메일 전송이 설정되지 않았습니다.');
+            }
+        };
+    }
+
+    const factory = transports[name];
+    if (!factory) {
+        throw new Error(`알 수 없는 MAIL_TRANSPORT: ${name}`);
+    }
+
+    const transport = factory(config);
+    const from = config.MAIL_FROM || DEFAULT_FROM;
+
+    return {
+        enabled: true,
+        transport: name,
+        /**
+         * 메일 전송
+         * @param {{to: string, subject: string, text: string}} message
+         */
+        async send({ to, subject, text }) {
+            return transport.sendMail({ from, to, subject, text });
+        }
+    };
+}
+
+module.exports = {
+    createMailer,
+    registerMailTransport
+};
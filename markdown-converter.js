@@ -0,0 +1,808 @@
+/**
+ * Markdown 변환 모듈
+ * 페이지 HTML(Tiptap 마크업) <-> Markdown(GFM)
+ *
+ * - 작업 목록, 표, 수식($...$ / $$...$$), 콜아웃(> [!type] 제목), 이미지, 페이지 멘션([[제목]])
+ * - Obsidian 형식의 위키 링크([[페이지]])와 이미지 임베드(![[파일]]) 불러오기 지원
+ * - YAML front matter (title, icon, tags 등 단순한 키/목록만 지원)
+ */
+
+const { JSDOM } = require('jsdom');
+
+// 콜아웃 종류 -> NTEOK 콜아웃 타입 (info, warning, error, success)
+const CALLOUT_TYPE_ALIASES = {
+    note: 'info', info: 'info', tip: 'info', hint: 'info', important: 'info', abstract: 'info',
+    summary: 'info', tldr: 'info', todo: 'info', question: 'info', help: 'info', faq: 'info',
+    example: 'info', quote: 'info', cite: 'info',
+    warning: 'warning', caution: 'warning', attention: 'warning',
+    error: 'error', danger: 'error', failure: 'error', fail: 'error', missing: 'error', bug: 'error',
+    success: 'success', check: 'success', done: 'success'
+};
+
+const LIST_ITEM_PATTERN = /^( *)([-*+]|\d{1,9}[.)])(?:[ ]+(.*))?$/;
+const FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})\s*([^`\s]*)/;
+const HEADING_PATTERN = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const HR_PATTERN = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-+:?\s*(?:\|\s*:?-+:?\s*)*\|?\s*$/;
+const IMAGE_LINE_PATTERN = /^\s*!\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"([^"]*)")?\s*\)\s*$/;
+const WIKI_EMBED_LINE_PATTERN = /^\s*!\[\[([^\]|#]+)(?:#[^\]|]*)?(?:\|([^\]]*))?\]\]\s*$/;
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// ==================== HTML -> Markdown ====================
+
+/**
+ * 페이지 HTML을 Markdown으로 변환
+ * @param {string} html - 페이지 본문 HTML
+ * @param {Object} options
+ * @param {function(string): (string|null)} options.resolveImage - 이미지 src -> Markdown에 쓸 경로 (null이면 원본 유지)
+ * @param {function(string, string): string} options.resolveMention - (페이지 ID, 제목) -> 멘션 표기
+ */
+function htmlToMarkdown(html, options = {}) {
+    const dom = new JSDOM(`<!DOCTYPE html><body>${html || ''}</body>`);
+    const ctx = {
+        resolveImage: options.resolveImage || (() => null),
+        resolveMention: options.resolveMention || ((pageId, title) => `[[${title}]]`)
+    };
+
+    const markdown = blocksToMarkdown(Array.from(dom.window.document.body.childNodes), ctx, '\n\n');
+    return markdown.replace(/\n{3,}/g, '\n\n').trim() + '\n';
+}
+
+function isBlockElement(node) {
+    if (node.nodeType !== 1) return false;
+    if (/^(P|H[1-6]|UL|OL|LI|BLOCKQUOTE|PRE|HR|TABLE|FIGURE)$/.test(node.tagName)) return true;
+    return node.tagName === 'DIV';
+}
+
+/**
+ * 블록 목록 변환 (연속된 인라인 노드는 하나의 문단으로 묶음)
+ */
+function blocksToMarkdown(nodes, ctx, separator) {
+    const blocks = [];
+    let inlineRun = [];
+
+    const flushInline = () => {
+        if (!inlineRun.length) return;
+        const text = inlineRun.map((node) => inlineNodeToMarkdown(node, ctx)).join('').trim();
+        if (text) blocks.push(escapeLineStart(text));
+        inlineRun = [];
+    };
+
+    for (const node of nodes) {
+        if (node.nodeType === 1 && node.tagName === 'LABEL') {
+            // 작업 항목의 체크박스 영역
+            continue;
+        }
+
+        if (isBlockElement(node)) {
+            flushInline();
+            const block = blockToMarkdown(node, ctx);
+            if (block.trim()) blocks.push(block);
+        } else if (node.nodeType === 1 || node.nodeType === 3) {
+            inlineRun.push(node);
+        }
+    }
+    flushInline();
+
+    return blocks.join(separator);
+}
+
+function blockToMarkdown(el, ctx) {
+    const type = el.getAttribute('data-type');
+
+    switch (el.tagName) {
+        case 'P':
+            return escapeLineStart(inlineChildrenToMarkdown(el, ctx).trim());
+        case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6':
+            return '#'.repeat(Number(el.tagName[1])) + ' ' + inlineChildrenToMarkdown(el, ctx).replace(/\n+/g, ' ').trim();
+        case 'UL':
+        case 'OL':
+            return listToMarkdown(el, ctx);
+        case 'LI':
+            return blocksToMarkdown(Array.from(el.childNodes), ctx, '\n');
+        case 'BLOCKQUOTE':
+            return prefixLines(blocksToMarkdown(Array.from(el.childNodes), ctx, '\n\n'), '> ', '>');
+        case 'PRE':
+            return codeBlockToMarkdown(el);
+        case 'HR':
+            return '---';
+        case 'TABLE':
+            return tableToMarkdown(el, ctx);
+        case 'FIGURE':
+            return figureToMarkdown(el, ctx);
+        default:
+            break;
+    }
+
+    if (type === 'math-block') {
+        const latex = el.getAttribute('data-latex') || el.textContent || '';
+        return latex.trim() ? `$$\n${latex.trim()}\n$$` : '';
+    }
+
+    if (type === 'callout-block') {
+        const calloutType = el.getAttribute('data-callout-type') || 'info';
+        const title = (el.getAttribute('data-title') || '').replace(/\n+/g, ' ').trim();
+        const content = (el.getAttribute('data-content') || '').trim();
+        const header = `[!${calloutType}]${title ? ' ' + title : ''}`;
+        return prefixLines(content ? `${header}\n${content}` : header, '> ', '>');
+    }
+
+    if (type === 'bookmark-block') {
+        const url = el.getAttribute('data-url') || '';
+        if (!url) return '';
+        const title = el.getAttribute('data-title') || url;
+        return `[${escapeInlineText(title)}](${formatLinkDestination(url)})`;
+    }
+
+    if (type === 'bookmark-container') {
+        const title = (el.getAttribute('data-title') || '').trim();
+        const children = blocksToMarkdown(Array.from(el.childNodes), ctx, '\n');
+        return title ? `**${escapeInlineText(title)}**\n\n${children}` : children;
+    }
+
+    return blocksToMarkdown(Array.from(el.childNodes), ctx, '\n\n');
+}
+
+function listToMarkdown(el, ctx) {
+    const isTaskList = el.getAttribute('data-type') === 'taskList';
+    const ordered = el.tagName === 'OL';
+    let number = Number(el.getAttribute('start')) || 1;
+
+    const items = Array.from(el.children).filter((child) => child.tagName === 'LI');
+
+    return items.map((li) => {
+        let marker = ordered ? `${number++}.` : '-';
+        if (isTaskList || li.getAttribute('data-type') === 'taskItem') {
+            marker += li.getAttribute('data-checked') === 'true' ? ' [x]' : ' [ ]';
+        }
+
+        const body = blocksToMarkdown(Array.from(li.childNodes), ctx, '\n') || '';
+        const indent = ' '.repeat((ordered ? String(number - 1).length + 2 : 2));
+        const lines = body.split('\n');
+
+        return lines.map((line, index) => {
+            if (index === 0) return `${marker} ${line}`.trimEnd();
+            return line ? indent + line : '';
+        }).join('\n');
+    }).join('\n');
+}
+
+function codeBlockToMarkdown(el) {
+    const codeEl = el.querySelector('code');
+    const code = (codeEl || el).textContent.replace(/\n$/, '');
+    const langMatch = /language-([\w+#.-]+)/.exec((codeEl && codeEl.getAttribute('class')) || '');
+    const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map((run) => run.length));
+    const fence = '`'.repeat(Math.max(3, longestRun + 1));
+    return `${fence}${langMatch ? langMatch[1] : ''}\n${code}\n${fence}`;
+}
+
+function tableToMarkdown(el, ctx) {
+    const rows = Array.from(el.querySelectorAll('tr')).map((tr) =>
+        Array.from(tr.children)
+            .filter((cell) => cell.tagName === 'TH' || cell.tagName === 'TD')
+            .map((cell) => blocksToMarkdown(Array.from(cell.childNodes), ctx, ' ')
+                .replace(/\n+/g, ' ')
+                .replace(/\|/g, '\\|')
+                .trim())
+    ).filter((cells) => cells.length);
+
+    if (!rows.length) return '';
+
+    const columnCount = Math.max(...rows.map((cells) => cells.length));
+    const formatRow = (cells) => {
+        const padded = cells.concat(Array(columnCount - cells.length).fill(''));
+        return `| ${padded.join(' | ')} |`;
+    };
+
+    return [
+        formatRow(rows[0]),
+        formatRow(Array(columnCount).fill('---')),
+        ...rows.slice(1).map(formatRow)
+    ].join('\n');
+}
+
+function figureToMarkdown(el, ctx) {
+    const img = el.querySelector('img');
+    const src = el.getAttribute('data-src') || (img && img.getAttribute('src')) || '';
+    if (!src) return '';
+
+    const alt = el.getAttribute('data-alt') || (img && img.getAttribute('alt')) || '';
+    const caption = el.getAttribute('data-caption') || '';
+    return imageToMarkdown(src, alt, caption, ctx);
+}
+
+function imageToMarkdown(src, alt, caption, ctx) {
+    const target = ctx.resolveImage(src) || src;
+    const title = caption ? ` "${caption.replace(/"/g, '\\"').replace(/\n+/g, ' ')}"` : '';
+    return `![${escapeInlineText(alt)}](${formatLinkDestination(target)}${title})`;
+}
+
+function inlineChildrenToMarkdown(el, ctx) {
+    return Array.from(el.childNodes).map((node) => inlineNodeToMarkdown(node, ctx)).join('');
+}
+
+function inlineNodeToMarkdown(node, ctx) {
+    if (node.nodeType === 3) {
+        return escapeInlineText(node.textContent.replace(/\s*\n\s*/g, ' '));
+    }
+
+    if (node.nodeType !== 1) return '';
+
+    const type = node.getAttribute('data-type');
+
+    if (type === 'math-inline') {
+        const latex = (node.getAttribute('data-latex') || node.textContent || '').trim();
+        return latex ? `$${latex}$` : '';
+    }
+
+    if (type === 'page-mention') {
+        const title = node.getAttribute('data-title') || node.textContent || '';
+        return ctx.resolveMention(node.getAttribute('data-id') || '', title);
+    }
+
+    switch (node.tagName) {
+        case 'BR':
+            return '\\\n';
+        case 'STRONG':
+        case 'B':
+            return wrapInline('**', inlineChildrenToMarkdown(node, ctx));
+        case 'EM':
+        case 'I':
+            return wrapInline('*', inlineChildrenToMarkdown(node, ctx));
+        case 'S':
+        case 'DEL':
+        case 'STRIKE':
+            return wrapInline('~~', inlineChildrenToMarkdown(node, ctx));
+        case 'CODE': {
+            const code = node.textContent;
+            const longestRun = Math.max(0, ...(code.match(/`+/g) || []).map((run) => run.length));
+            const ticks = '`'.repeat(longestRun + 1);
+            const pad = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+            return `${ticks}${pad}${code}${pad}${ticks}`;
+        }
+        case 'A': {
+            const href = node.getAttribute('href') || '';
+            const text = inlineChildrenToMarkdown(node, ctx);
+            if (!href) return text;
+            if (node.textContent === href && /^https?:\/\//i.test(href)) return `<${href}>`;
+            return `[${text}](${formatLinkDestination(href)})`;
+        }
+        case 'IMG': {
+            const src = node.getAttribute('src') || '';
+            return src ? imageToMarkdown(src, node.getAttribute('alt') || '', '', ctx) : '';
+        }
+        default:
+            return inlineChildrenToMarkdown(node, ctx);
+    }
+}
+
+/**
+ * 앞뒤 공백을 마커 밖으로 빼서 강조 표시 (예: "** a**" 방지)
+ */
+function wrapInline(marker, inner) {
+    const match = /^(\s*)([\s\S]*?)(\s*)$/.exec(inner);
+    if (!match[2]) return inner;
+    return `${match[1]}${marker}${match[2]}${marker}${match[3]}`;
+}
+
+function escapeInlineText(text) {
+    return String(text).replace(/([\\`*_[\]$<>~])/g, '\\$1');
+}
+
+/**
+ * 줄 시작에서 블록 문법으로 해석될 수 있는 문자 이스케이프
+ */
+function escapeLineStart(text) {
+    return text.split('\n').map((line) =>
+        line
+            .replace(/^(\s*)(#{1,6}\s|[-+]\s|>)/, '$1\\$2')
+            .replace(/^(\s*\d+)([.)]\s)/, '$1\\$2')
+    ).join('\n');
+}
+
+function formatLinkDestination(url) {
+    return /[\s()<>]/.test(url) ? `<${url.replace(/[<>]/g, encodeURIComponent)}>` : url;
+}
+
+function prefixLines(text, prefix, emptyPrefix) {
+    return text.split('\n').map((line) => (line ? prefix + line : emptyPrefix)).join('\n');
+}
+
+// ==================== Markdown -> HTML ====================
+
+/**
+ * Markdown을 페이지 HTML(Tiptap 마크업)로 변환
+ * 결과는 저장 전에 sanitizeHtmlContent를 거쳐야 함
+ * @param {string} markdown
+ * @param {Object} options
+ * @param {function(string): (string|null)} options.resolveImage - Markdown의 이미지 경로 -> 저장된 이미지 URL (null이면 이미지 생략)
+ * @param {function(string): ({id: string, title: string}|null)} options.resolveLink - 위키 링크/상대 링크 대상 -> 페이지 (멘션으로 변환)
+ */
+function markdownToHtml(markdown, options = {}) {
+    const ctx = {
+        resolveImage: options.resolveImage || (() => null),
+        resolveLink: options.resolveLink || (() => null)
+    };
+
+    const lines = String(markdown || '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/\t/g, '    ')
+        .split('\n');
+
+    return parseBlocks(lines, ctx) || '<p></p>';
+}
+
+function isBlockStart(line) {
+    return FENCE_PATTERN.test(line) ||
+        HEADING_PATTERN.test(line) ||
+        HR_PATTERN.test(line) ||
+        /^ {0,3}>/.test(line) ||
+        /^ {0,3}\$\$/.test(line) ||
+        /^ {0,3}([-*+]|1[.)])[ ]+\S/.test(line);
+}
+
+function parseBlocks(lines, ctx) {
+    const html = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        // 코드 블록
+        const fence = FENCE_PATTERN.exec(line);
+        if (fence) {
+            const marker = fence[1];
+            const code = [];
+            i++;
+            while (i < lines.length && !new RegExp(`^ {0,3}${marker[0]}{${marker.length},}\\s*$`).test(lines[i])) {
+                code.push(lines[i]);
+                i++;
+            }
+            i++;
+            const langClass = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+            html.push(`<pre><code${langClass}>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        // 수식 블록
+        const mathStart = /^ {0,3}\$\$(.*)$/.exec(line);
+        if (mathStart) {
+            let latex;
+            const rest = mathStart[1];
+            const sameLineEnd = rest.indexOf('$$');
+            if (sameLineEnd !== -1) {
+                latex = rest.slice(0, sameLineEnd);
+                i++;
+            } else {
+                const body = rest.trim() ? [rest] : [];
+                i++;
+                while (i < lines.length && !/\$\$\s*$/.test(lines[i])) {
+                    body.push(lines[i]);
+                    i++;
+                }
+                if (i < lines.length) {
+                    const last = lines[i].replace(/\$\$\s*$/, '');
+                    if (last.trim()) body.push(last);
+                    i++;
+                }
+                latex = body.join('\n');
+            }
+            html.push(`<div data-type="math-block" class="math-block" data-latex="${escapeHtml(latex.trim())}"></div>`);
+            continue;
+        }
+
+        // 제목
+        const heading = HEADING_PATTERN.exec(line);
+        if (heading) {
+            const level = heading[1].length;
+            html.push(`<h${level}>${parseInline(heading[2] || '', ctx)}</h${level}>`);
+            i++;
+            continue;
+        }
+
+        // 구분선 (목록 항목 "- - -"보다 먼저 확인)
+        if (HR_PATTERN.test(line)) {
+            html.push('<hr>');
+            i++;
+            continue;
+        }
+
+        // 인용 / 콜아웃
+        if (/^ {0,3}>/.test(line)) {
+            const quoted = [];
+            while (i < lines.length && /^ {0,3}>/.test(lines[i])) {
+                quoted.push(lines[i].replace(/^ {0,3}> ?/, ''));
+                i++;
+            }
+            html.push(parseBlockquote(quoted, ctx));
+            continue;
+        }
+
+        // 표
+        if (line.includes('|') && i + 1 < lines.length && TABLE_SEPARATOR_PATTERN.test(lines[i + 1]) && lines[i + 1].includes('-')) {
+            const rows = [splitTableRow(line)];
+            i += 2;
+            while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+                rows.push(splitTableRow(lines[i]));
+                i++;
+            }
+            html.push(tableToHtml(rows, ctx));
+            continue;
+        }
+
+        // 목록
+        if (LIST_ITEM_PATTERN.test(line)) {
+            const result = parseList(lines, i, ctx);
+            html.push(result.html);
+            i = result.next;
+            continue;
+        }
+
+        // 단독 이미지 줄 -> 이미지 블록
+        const image = IMAGE_LINE_PATTERN.exec(line) || WIKI_EMBED_LINE_PATTERN.exec(line);
+        if (image) {
+            const isWiki = !IMAGE_LINE_PATTERN.test(line);
+            const src = isWiki ? image[1].trim() : image[2];
+            const url = ctx.resolveImage(src);
+            if (url) {
+                const alt = isWiki ? (image[2] && !/^\d+(x\d+)?$/.test(image[2]) ? image[2] : '') : image[1];
+                const caption = isWiki ? '' : (image[3] || '');
+                html.push(imageBlockHtml(url, alt, caption));
+                i++;
+                continue;
+            }
+        }
+
+        // 문단
+        const paragraph = [line];
+        i++;
+        while (i < lines.length && lines[i].trim() && !isBlockStart(lines[i]) &&
+            !(lines[i].includes('|') && i + 1 < lines.length && TABLE_SEPARATOR_PATTERN.test(lines[i + 1]) && lines[i + 1].includes('-'))) {
+            paragraph.push(lines[i]);
+            i++;
+        }
+        html.push(`<p>${parseInline(paragraph.map((l) => l.replace(/^ +/, '')).join('\n'), ctx)}</p>`);
+    }
+
+    return html.join('');
+}
+
+function parseBlockquote(quoted, ctx) {
+    const callout = /^\[!(\w+)\][+-]?[ \t]*(.*)$/.exec(quoted[0] || '');
+    if (!callout) {
+        return `<blockquote>${parseBlocks(quoted, ctx) || '<p></p>'}</blockquote>`;
+    }
+
+    const type = CALLOUT_TYPE_ALIASES[callout[1].toLowerCase()] || 'info';
+    const title = stripInlineMarkdown(callout[2]);
+    const content = quoted.slice(1).map(stripInlineMarkdown).join('\n').trim();
+
+    return `<div data-type="callout-block" class="callout-block" data-callout-type="${type}" ` +
+        `data-title="${escapeHtml(title)}" data-content="${escapeHtml(content)}"></div>`;
+}
+
+/**
+ * 콜아웃 제목/내용은 평문 속성으로 저장되므로 간단한 인라인 서식 기호만 제거
+ */
+function stripInlineMarkdown(text) {
+    return String(text)
+        .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+        .replace(/\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g, (m, target, alias) => alias || target)
+        .replace(/(\*\*|__|~~)(.+?)\1/g, '$2')
+        .replace(/(^|[^\w*])[*_](\S(?:.*?\S)?)[*_](?=[^\w*]|$)/g, '$1$2')
+        .replace(/`([^`]+)`/g, '$1')
+        .replace(/\\([\\`*_{}[\]()#+\-.!|$~<>])/g, '$1');
+}
+
+function splitTableRow(line) {
+    let row = line.trim();
+    if (row.startsWith('|')) row = row.slice(1);
+    if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+
+    const cells = [];
+    let current = '';
+    for (let i = 0; i < row.length; i++) {
+        if (row[i] === '\\' && row[i + 1] === '|') {
+            current += '|';
+            i++;
+        } else if (row[i] === '|') {
+            cells.push(current.trim());
+            current = '';
+        } else {
+            current += row[i];
+        }
+    }
+    cells.push(current.trim());
+    return cells;
+}
+
+function tableToHtml(rows, ctx) {
+    const columnCount = rows[0].length;
+    const body = rows.map((cells, rowIndex) => {
+        const tag = rowIndex === 0 ? 'th' : 'td';
+        const padded = cells.slice(0, columnCount).concat(Array(Math.max(0, columnCount - cells.length)).fill(''));
+        return `<tr>${padded.map((cell) => `<${tag}><p>${parseInline(cell, ctx)}</p></${tag}>`).join('')}</tr>`;
+    }).join('');
+    return `<table><tbody>${body}</tbody></table>`;
+}
+
+/**
+ * 목록 파싱 (들여쓰기로 중첩 목록 구분, 모든 항목이 [ ]/[x]이면 작업 목록)
+ */
+function parseList(lines, start, ctx) {
+    const first = LIST_ITEM_PATTERN.exec(lines[start]);
+    const baseIndent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let i = start;
+
+    while (i < lines.length) {
+        const match = LIST_ITEM_PATTERN.exec(lines[i]);
+        if (!match || match[1].length !== baseIndent || /\d/.test(match[2]) !== ordered) {
+            break;
+        }
+
+        const firstContent = match[3] || '';
+        const contentIndent = baseIndent + match[2].length + 1;
+        const itemLines = [firstContent];
+        i++;
+
+        while (i < lines.length) {
+            const current = lines[i];
+            const indent = current.length - current.replace(/^ +/, '').length;
+
+            if (!current.trim()) {
+                // 빈 줄 다음이 더 들여쓴 줄이면 같은 항목에 포함
+                let next = i + 1;
+                while (next < lines.length && !lines[next].trim()) next++;
+                const nextLine = lines[next] || '';
+                const nextIndent = nextLine.length - nextLine.replace(/^ +/, '').length;
+                if (next < lines.length && nextIndent > baseIndent) {
+                    itemLines.push('');
+                    i++;
+                    continue;
+                }
+                break;
+            }
+
+            if (indent > baseIndent) {
+                itemLines.push(current.slice(Math.min(indent, contentIndent)));
+                i++;
+                continue;
+            }
+
+            // 들여쓰기 없는 연속 줄 (lazy continuation)
+            if (!LIST_ITEM_PATTERN.test(current) && !isBlockStart(current) && itemLines[itemLines.length - 1].trim()) {
+                itemLines.push(current.trim());
+                i++;
+                continue;
+            }
+
+            break;
+        }
+
+        // 항목 사이의 빈 줄 건너뛰기
+        let next = i;
+        while (next < lines.length && !lines[next].trim()) next++;
+        const nextMatch = LIST_ITEM_PATTERN.exec(lines[next] || '');
+        if (next !== i && nextMatch && nextMatch[1].length === baseIndent && /\d/.test(nextMatch[2]) === ordered) {
+            i = next;
+        }
+
+        const task = /^\[([ xX])\][ \t]+(.*)$/.exec(itemLines[0]) || /^\[([ xX])\]$/.exec(itemLines[0]);
+        items.push({
+            checked: task ? task[1].toLowerCase() === 'x' : null,
+            lines: task ? [task[2] || ''].concat(itemLines.slice(1)) : itemLines
+        });
+    }
+
+    const isTaskList = items.every((item) => item.checked !== null);
+    const renderItem = (item) => parseBlocks(item.lines, ctx) || '<p></p>';
+
+    let html;
+    if (isTaskList) {
+        html = '<ul data-type="taskList">' + items.map((item) =>
+            `<li data-type="taskItem" data-checked="${item.checked ? 'true' : 'false'}">${renderItem(item)}</li>`
+        ).join('') + '</ul>';
+    } else {
+        const tag = ordered ? 'ol' : 'ul';
+        html = `<${tag}>` + items.map((item) => {
+            if (item.checked !== null) {
+                item.lines[0] = `[${item.checked ? 'x' : ' '}] ${item.lines[0]}`;
+            }
+            return `<li>${renderItem(item)}</li>`;
+        }).join('') + `</${tag}>`;
+    }
+
+    return { html, next: i };
+}
+
+function imageBlockHtml(url, alt, caption) {
+    return `<figure data-type="image-with-caption" class="image-with-caption" data-src="${escapeHtml(url)}" ` +
+        `data-alt="${escapeHtml(alt)}" data-caption="${escapeHtml(caption)}" data-width="100%" data-align="center" style="width: 100%;">` +
+        `<div class="image-container"><img src="${escapeHtml(url)}" alt="${escapeHtml(alt)}" class="caption-image"></div>` +
+        `<div class="image-caption-container"><div class="image-caption">${escapeHtml(caption)}</div></div>` +
+        `</figure>`;
+}
+
+function mentionHtml(page) {
+    return `<span data-type="page-mention" class="page-mention" data-id="${escapeHtml(page.id)}" ` +
+        `data-title="${escapeHtml(page.title)}">${escapeHtml(page.title)}</span>`;
+}
+
+/**
+ * 인라인 문법 변환
+ * 코드/수식/링크처럼 내부를 다시 해석하면 안 되는 부분은 자리표시자로 빼 두었다가 마지막에 되돌림
+ */
+function parseInline(text, ctx) {
+    const tokens = [];
+    const stash = (html) => {
+        tokens.push(html);
+        return `\u0000${tokens.length - 1}\u0000`;
+    };
+
+    let s = String(text);
+
+    // 코드
+    s = s.replace(/(`+)(?!`)([\s\S]*?[^`])\1(?!`)/g, (match, ticks, code) => {
+        const trimmed = /^ .* $/.test(code) ? code.slice(1, -1) : code;
+        return stash(`<code>${escapeHtml(trimmed.replace(/\n/g, ' '))}</code>`);
+    });
+
+    // 백슬래시 이스케이프
+    s = s.replace(/\\([\\`*_{}[\]()#+\-.!|$~<>])/g, (match, ch) => stash(escapeHtml(ch)));
+
+    // 인라인 수식 ($$...$$ 포함)
+    s = s.replace(/\$\$([^$]+?)\$\$|\$(?![\s$])([^$\n]+?)(?<!\s)\$(?!\d)/g, (match, display, inline) => {
+        const latex = (display || inline).trim();
+        return stash(`<span data-type="math-inline" class="math-inline" data-latex="${escapeHtml(latex)}">${escapeHtml(latex)}</span>`);
+    });
+
+    // 줄바꿈 (줄 끝 공백 2개 또는 백슬래시)
+    s = s.replace(/(?: {2,}|\\)\n/g, () => stash('<br>'));
+    s = s.replace(/\n/g, ' ');
+
+    // 자동 링크
+    s = s.replace(/<((?:https?|mailto):[^>\s]+)>/gi, (match, url) =>
+        stash(`<a href="${escapeHtml(url)}" target="_blank" rel="noopener noreferrer nofollow">${escapeHtml(url)}</a>`)
+    );
+
+    // 이미지 임베드 (문장 중간의 이미지는 대체 텍스트로 표시)
+    s = s.replace(/!\[\[([^\]|#]+)(?:#[^\]|]*)?(?:\|([^\]]*))?\]\]/g, (match, target, alias) =>
+        stash(escapeHtml(alias && !/^\d+(x\d+)?$/.test(alias) ? alias : target.trim()))
+    );
+    s = s.replace(/!\[([^\]]*)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g, (match, alt) => stash(escapeHtml(alt)));
+
+    // 위키 링크 [[페이지|별칭]]
+    s = s.replace(/\[\[([^\]|#]+)(?:#[^\]|]*)?(?:\|([^\]]*))?\]\]/g, (match, target, alias) => {
+        const page = ctx.resolveLink(target.trim());
+        return stash(page ? mentionHtml(page) : escapeHtml(alias || target.trim()));
+    });
+
+    // 일반 링크 [텍스트](주소)
+    s = s.replace(/\[([^\]]*)\]\(\s*<?([^)\s>]*)>?(?:\s+"[^"]*")?\s*\)/g, (match, label, href) => {
+        if (!/^[a-z][a-z0-9+.-]*:/i.test(href) && !href.startsWith('#')) {
+            const page = ctx.resolveLink(href);
+            if (page) return stash(mentionHtml(page));
+            // 불러온 파일 안의 다른 파일을 가리키는 상대 링크는 저장 후 쓸 수 없으므로 텍스트만 남김
+            return stash(parseInline(label, ctx));
+        }
+        return stash(`<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer nofollow">${parseInline(label, ctx)}</a>`);
+    });
+
+    s = escapeHtml(s);
+
+    // 강조 (굵게, 기울임, 취소선)
+    s = s.replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>');
+    s = s.replace(/\*(?=[^\s*])([^*]*?[^\s*])\*/g, '<em>$1</em>');
+    s = s.replace(/(^|[^\w])_(?=[^\s_])([^_]*?[^\s_])_(?!\w)/g, '$1<em>$2</em>');
+    s = s.replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<s>$1</s>');
+    s = s.replace(/==(?=\S)([\s\S]*?\S)==/g, '$1');
+
+    // 자리표시자 복원 (링크 텍스트 안에 다른 자리표시자가 있을 수 있어 반복)
+    let previous;
+    do {
+        previous = s;
+        s = s.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[Number(index)]);
+    } while (s !== previous);
+
+    return s;
+}
+
+// ==================== Front matter ====================
+
+/**
+ * YAML front matter 분리 (단순한 "키: 값"과 목록만 지원)
+ * @returns {{attributes: Object, body: string}}
+ */
+function parseFrontMatter(markdown) {
+    const text = String(markdown || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    const match = /^---\n([\s\S]*?)\n(?:---|\.\.\.)[ \t]*(?:\n|$)/.exec(text);
+    if (!match) {
+        return { attributes: {}, body: text };
+    }
+
+    const attributes = {};
+    let currentKey = null;
+
+    for (const line of match[1].split('\n')) {
+        const listItem = /^\s+-\s+(.*)$/.exec(line) || /^-\s+(.*)$/.exec(line);
+        if (listItem && currentKey) {
+            if (!Array.isArray(attributes[currentKey])) attributes[currentKey] = [];
+            attributes[currentKey].push(unquoteYaml(listItem[1]));
+            continue;
+        }
+
+        const pair = /^([\w-]+)\s*:\s*(.*)$/.exec(line);
+        if (!pair) continue;
+
+        currentKey = pair[1].toLowerCase();
+        const value = pair[2].trim();
+        if (value.startsWith('[') && value.endsWith(']')) {
+            attributes[currentKey] = value.slice(1, -1).split(',').map(unquoteYaml).filter(Boolean);
+        } else {
+            attributes[currentKey] = value ? unquoteYaml(value) : '';
+        }
+    }
+
+    return { attributes, body: text.slice(match[0].length) };
+}
+
+function unquoteYaml(value) {
+    const trimmed = String(value).trim();
+    if (/^"(.*)"$/.test(trimmed)) {
+        try {
+            return JSON.parse(trimmed);
+        } catch (e) {
+            return trimmed.slice(1, -1);
+        }
+    }
+    if (/^'(.*)'$/.test(trimmed)) {
+        return trimmed.slice(1, -1).replace(/''/g, "'");
+    }
+    return trimmed;
+}
+
+/**
+ * YAML front matter 생성 (값이 비어 있는 키는 생략)
+ */
+function buildFrontMatter(attributes) {
+    const lines = [];
+
+    for (const [key, value] of Object.entries(attributes)) {
+        if (value === null || value === undefined || value === '') continue;
+
+        if (Array.isArray(value)) {
+            if (!value.length) continue;
+            lines.push(`${key}:`);
+            value.forEach((item) => lines.push(`  - ${JSON.stringify(String(item))}`));
+        } else if (typeof value === 'boolean' || typeof value === 'number') {
+            lines.push(`${key}: ${value}`);
+        } else {
+            lines.push(`${key}: ${JSON.stringify(String(value))}`);
+        }
+    }
+
+    return lines.length ? `---\n${lines.join('\n')}\n---\n\n` : '';
+}
+
+module.exports = {
+    htmlToMarkdown,
+    markdownToHtml,
+    parseFrontMatter,
+    buildFrontMatter
+};
@@ -0,0 +1,626 @@
+/**
+ * Notion 내보내기 변환 모듈
+ * Notion "HTML" / "Markdown & CSV" 내보내기 문서 -> 페이지 HTML(Tiptap 마크업)
+ *
+ * - 콜아웃은 콜아웃 블록, 수식은 수식 블록/인라인, 북마크는 북마크 블록, 페이지 링크는 페이지 멘션으로 변환
+ * - 토글은 하위 내용을 가진 글머리 목록으로, 열(column)은 순서대로 펼쳐서 변환
+ * - 변환할 수 없는 블록(첨부 파일, 임베드, 목차 등)은 onSkip(type, detail)으로 알림
+ * - 결과는 저장 전에 sanitizeHtmlContent를 거쳐야 함
+ */
+
+const { JSDOM } = require('jsdom');
+const { markdownToHtml } = require('./markdown-converter');
+
+// 파일/폴더 이름 끝의 Notion 페이지 ID ("제목 0123...cdef")
+const NOTION_ID_PATTERN = /\s+[0-9a-f]{32}$/i;
+
+// 콜아웃 아이콘 -> NTEOK 콜아웃 타입 (그 외 아이콘은 info)
+const CALLOUT_ICON_TYPES = {
+    '⚠️': 'warning', '⚠': 'warning', '🚧': 'warning', '☢️': 'warning',
+    '❌': 'error', '🚫': 'error', '⛔': 'error', '❗': 'error', '‼️': 'error', '🚨': 'error', '🔥': 'error',
+    '✅': 'success', '✔️': 'success', '☑️': 'success', '🎉': 'success', '👍': 'success'
+};
+
+const BLOCK_TAGS = new Set([
+    'P', 'H1', 'H2', 'H3', 'H4', 'H5', 'H6', 'UL', 'OL', 'BLOCKQUOTE', 'PRE', 'HR', 'TABLE',
+    'FIGURE', 'DETAILS', 'NAV', 'DIV', 'ARTICLE', 'SECTION', 'HEADER', 'STYLE', 'SCRIPT'
+]);
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * 파일/폴더 이름에서 Notion 페이지 ID 제거
+ */
+function stripNotionId(name) {
+    return String(name || '').replace(NOTION_ID_PATTERN, '').trim();
+}
+
+function calloutTypeForIcon(icon) {
+    return CALLOUT_ICON_TYPES[String(icon || '').trim()] || 'info';
+}
+
+function isExternalUrl(url) {
+    return /^[a-z][a-z0-9+.-]*:/i.test(url);
+}
+
+function decodeFileName(href) {
+    const withoutQuery = String(href).replace(/[?#].*$/, '');
+    let decoded = withoutQuery;
+    try {
+        decoded = decodeURIComponent(withoutQuery);
+    } catch (e) {
+        // 잘못된 % 인코딩은 원문 그대로 사용
+    }
+    return decoded.split('/').pop();
+}
+
+/**
+ * 문서 링크가 아닌 첨부 파일 링크인지 확인
+ */
+function isAttachmentLink(href) {
+    return !/\.(html?|md|csv)$/i.test(String(href).replace(/[?#].*$/, ''));
+}
+
+function calloutHtml(type, content) {
+    return `<div data-type="callout-block" class="callout-block" data-callout-type="${type}" ` +
+        `data-title="" data-content="${escapeHtml(content)}"></div>`;
+}
+
+function imageBlockHtml(url, alt, caption) {
+    return `<figure data-type="image-with-caption" class="image-with-caption" data-src="${escapeHtml(url)}" ` +
+        `data-alt="${escapeHtml(alt)}" data-caption="${escapeHtml(caption)}" data-width="100%" data-align="center" style="width: 100%;">` +
+        `<div class="image-container"><img src="${escapeHtml(url)}" alt="${escapeHtml(alt)}" class="caption-image"></div>` +
+        `<div class="image-caption-container"><div class="image-caption">${escapeHtml(caption)}</div></div>` +
+        `</figure>`;
+}
+
+function mentionHtml(page) {
+    return `<span data-type="page-mention" class="page-mention" data-id="${escapeHtml(page.id)}" ` +
+        `data-title="${escapeHtml(page.title)}">${escapeHtml(page.title)}</span>`;
+}
+
+function mathLatex(el) {
+    const annotation = el.querySelector('annotation[encoding="application/x-tex"]');
+    return (annotation ? annotation.textContent : el.textContent).trim();
+}
+
+// ==================== Markdown & CSV ====================
+
+/**
+ * Notion Markdown 문서 분석
+ * 첫 줄의 "# 제목"은 페이지 제목으로, <aside> 콜아웃은 "> [!type]" 콜아웃 문법으로 바꾼 뒤 변환
+ * @returns {{title: string|null, icon: null, cover: null, render: function(Object): string}}
+ */
+function parseNotionMarkdown(markdown) {
+    let body = String(markdown || '').replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n');
+    let title = null;
+
+    const titleMatch = /^#[ \t]+(.+?)[ \t]*(?:\n|$)/.exec(body);
+    if (titleMatch) {
+        title = titleMatch[1].replace(/\\([\\`*_{}[\]()#+\-.!|$~<>])/g, '$1');
+        body = body.slice(titleMatch[0].length);
+    }
+
+    body = body.replace(/^[ \t]*<aside>[ \t]*\n([\s\S]*?)\n?[ \t]*<\/aside>[ \t]*$/gm, (match, inner) => {
+        let text = inner.replace(/<img[^>]*>/gi, '').trim();
+        const iconMatch = /^(\p{Extended_Pictographic}(?:\uFE0F|\u200D\p{Extended_Pictographic})*)\s*/u.exec(text);
+        if (iconMatch) {
+            text = text.slice(iconMatch[0].length);
+        }
+        const type = iconMatch ? calloutTypeForIcon(iconMatch[1]) : 'info';
+        return [`> [!${type}]`, ...text.split('\n').map(line => `> ${line.trim()}`.trimEnd())].join('\n');
+    });
+
+    return {
+        title,
+        icon: null,
+        cover: null,
+        render(options) {
+            return markdownToHtml(body, {
+                resolveImage: (src) => {
+                    const url = options.resolveImage(src);
+                    if (!url) {
+                        options.onSkip('image', decodeFileName(src));
+                    }
+                    return url;
+                },
+                resolveLink: (target) => {
+                    const page = options.resolveLink(target);
+                    if (!page && isAttachmentLink(target)) {
+                        options.onSkip('file', decodeFileName(target));
+                    }
+                    return page;
+                }
+            });
+        }
+    };
+}
+
+/**
+ * CSV 파싱 (따옴표 안의 쉼표/줄바꿈 지원)
+ */
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+
+    if (field || row.length) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows;
+}
+
+/**
+ * Notion 데이터베이스 CSV를 표로 변환 (첫 열의 행 제목은 가져온 행 페이지로 연결)
+ * @param {string} csv
+ * @param {Object} options
+ * @param {function(string): ({id: string, title: string}|null)} options.resolveRowTitle
+ */
+function notionCsvToHtml(csv, options = {}) {
+    const resolveRowTitle = options.resolveRowTitle || (() => null);
+    const rows = parseCsv(String(csv || '').replace(/^\uFEFF/, ''))
+        .filter(cells => cells.some(cell => cell.trim() !== ''));
+
+    if (!rows.length) {
+        return '<p></p>';
+    }
+
+    const columnCount = rows[0].length;
+    const body = rows.map((cells, rowIndex) => {
+        const tag = rowIndex === 0 ? 'th' : 'td';
+        const padded = cells.slice(0, columnCount).concat(Array(Math.max(0, columnCount - cells.length)).fill(''));
+
+        return '<tr>' + padded.map((cell, columnIndex) => {
+            const page = rowIndex > 0 && columnIndex === 0 ? resolveRowTitle(cell.trim()) : null;
+            const text = page ? mentionHtml(page) : escapeHtml(cell).replace(/\r?\n/g, '<br>');
+            return `<${tag}><p>${text}</p></${tag}>`;
+        }).join('') + '</tr>';
+    }).join('');
+
+    return `<table><tbody>${body}</tbody></table>`;
+}
+
+// ==================== HTML ====================
+
+/**
+ * Notion HTML 문서 분석 (제목, 아이콘, 커버는 header에서, 본문은 .page-body에서)
+ * @returns {{title: string|null, icon: string|null, cover: string|null, render: function(Object): string}}
+ */
+function parseNotionHtml(html) {
+    const dom = new JSDOM(html);
+    const doc = dom.window.document;
+
+    const header = doc.querySelector('header');
+    const titleEl = doc.querySelector('.page-title') || doc.querySelector('title');
+    const iconEl = header && header.querySelector('.page-header-icon .icon');
+    const coverEl = header && header.querySelector('img.page-cover-image');
+    const propertiesEl = header && header.querySelector('table.properties');
+    const bodyEl = doc.querySelector('.page-body') || doc.body;
+
+    return {
+        title: titleEl ? titleEl.textContent.trim() || null : null,
+        // 이미지로 된 사용자 지정 아이콘은 가져오지 않음
+        icon: iconEl && iconEl.tagName !== 'IMG' ? iconEl.textContent.trim() || null : null,
+        cover: coverEl ? coverEl.getAttribute('src') : null,
+        /**
+         * @param {Object} options
+         * @param {function(string): (string|null)} options.resolveImage - 이미지 src -> 저장된 이미지 URL
+         * @param {function(string): ({id: string, title: string}|null)} options.resolveLink - 상대 링크 -> 페이지
+         * @param {function(string, string): void} options.onSkip - 변환하지 못한 블록 알림
+         */
+        render(options) {
+            const parts = [];
+            // 데이터베이스 행 페이지의 속성 표
+            if (propertiesEl) {
+                parts.push(tableToHtml(propertiesEl, options));
+            }
+            parts.push(convertBlocks(Array.from(bodyEl.childNodes), options));
+            return parts.join('') || '<p></p>';
+        }
+    };
+}
+
+function isBlockElement(node) {
+    return node.nodeType === 1 && BLOCK_TAGS.has(node.tagName.toUpperCase()) && !node.classList.contains('checkbox');
+}
+
+/**
+ * 연속해서 하나로 합칠 블록 종류 (Notion은 목록 항목과 북마크를 블록마다 따로 내보냄)
+ */
+function blockGroupKey(node) {
+    if (node.nodeType !== 1) return null;
+
+    switch (node.tagName) {
+        case 'UL':
+            return node.classList.contains('to-do-list') ? 'todo' : 'bullet';
+        case 'OL':
+            return 'number';
+        case 'FIGURE':
+            return node.classList.contains('bookmark') ? 'bookmark' : null;
+        default:
+            return null;
+    }
+}
+
+function convertBlocks(nodes, ctx) {
+    const html = [];
+    let inlineRun = [];
+
+    const flushInline = () => {
+        const text = inlineRun.map(node => convertInline(node, ctx)).join('').trim();
+        if (text) html.push(`<p>${text}</p>`);
+        inlineRun = [];
+    };
+
+    for (let i = 0; i < nodes.length; i++) {
+        const node = nodes[i];
+
+        if (node.nodeType === 3 || (node.nodeType === 1 && !isBlockElement(node))) {
+            inlineRun.push(node);
+            continue;
+        }
+        if (node.nodeType !== 1) continue;
+
+        flushInline();
+
+        const groupKey = blockGroupKey(node);
+        if (!groupKey) {
+            html.push(convertBlock(node, ctx));
+            continue;
+        }
+
+        const group = [node];
+        let next = i + 1;
+        while (next < nodes.length) {
+            const sibling = nodes[next];
+            if (sibling.nodeType === 3 && !sibling.textContent.trim()) {
+                next++;
+            } else if (blockGroupKey(sibling) === groupKey) {
+                group.push(sibling);
+                i = next;
+                next++;
+            } else {
+                break;
+            }
+        }
+
+        html.push(groupKey === 'bookmark' ? bookmarksToHtml(group) : listToHtml(group, groupKey, ctx));
+    }
+    flushInline();
+
+    return html.join('');
+}
+
+function convertBlock(el, ctx) {
+    switch (el.tagName.toUpperCase()) {
+        case 'STYLE':
+        case 'SCRIPT':
+            return '';
+        case 'P':
+            return `<p>${inlineChildren(el, ctx).trim()}</p>`;
+        case 'H1': case 'H2': case 'H3': case 'H4': case 'H5': case 'H6': {
+            const tag = el.tagName.toLowerCase();
+            return `<${tag}>${inlineChildren(el, ctx).trim()}</${tag}>`;
+        }
+        case 'BLOCKQUOTE': {
+            const hasBlocks = Array.from(el.children).some(isBlockElement);
+            return `<blockquote>${hasBlocks ? convertBlocks(Array.from(el.childNodes), ctx) : `<p>${inlineChildren(el, ctx).trim()}</p>`}</blockquote>`;
+        }
+        case 'PRE':
+            return codeBlockHtml(el);
+        case 'HR':
+            return '<hr>';
+        case 'TABLE':
+            return tableToHtml(el, ctx);
+        case 'FIGURE':
+            return figureToHtml(el, ctx);
+        case 'DETAILS':
+            return `<ul><li>${toggleHtml(el, ctx)}</li></ul>`;
+        case 'NAV':
+            ctx.onSkip('table_of_contents', '');
+            return '';
+        default:
+            // column-list, column, indented 등 래퍼는 안쪽 블록을 순서대로 변환
+            return convertBlocks(Array.from(el.childNodes), ctx);
+    }
+}
+
+function listToHtml(group, groupKey, ctx) {
+    const items = group.flatMap(list => Array.from(list.children).filter(child => child.tagName === 'LI'));
+
+    if (groupKey === 'todo') {
+        return '<ul data-type="taskList">' + items.map(li => {
+            const checked = Boolean(li.querySelector(':scope > .checkbox-on'));
+            return `<li data-type="taskItem" data-checked="${checked ? 'true' : 'false'}">${listItemHtml(li, ctx)}</li>`;
+        }).join('') + '</ul>';
+    }
+
+    const tag = groupKey === 'number' ? 'ol' : 'ul';
+    return `<${tag}>` + items.map(li => `<li>${listItemHtml(li, ctx)}</li>`).join('') + `</${tag}>`;
+}
+
+/**
+ * 목록 항목 (첫 블록 앞의 인라인 내용은 문단, 나머지는 하위 블록)
+ */
+function listItemHtml(li, ctx) {
+    const details = Array.from(li.children).find(child => child.tagName === 'DETAILS');
+    if (details) {
+        return toggleHtml(details, ctx);
+    }
+
+    const inline = [];
+    const blocks = [];
+    for (const child of li.childNodes) {
+        if (child.nodeType === 1 && child.classList.contains('checkbox')) continue;
+
+        if (blocks.length || isBlockElement(child)) {
+            blocks.push(child);
+        } else {
+            inline.push(child);
+        }
+    }
+
+    const text = inline.map(node => convertInline(node, ctx)).join('').trim();
+    return `<p>${text}</p>` + convertBlocks(blocks, ctx);
+}
+
+/**
+ * 토글 -> 요약 문단과 하위 블록
+ */
+function toggleHtml(details, ctx) {
+    const summary = Array.from(details.children).find(child => child.tagName === 'SUMMARY');
+    const children = Array.from(details.childNodes).filter(child => child !== summary);
+    return `<p>${summary ? inlineChildren(summary, ctx).trim() : ''}</p>` + convertBlocks(children, ctx);
+}
+
+function codeBlockHtml(el) {
+    const codeEl = el.querySelector('code') || el;
+    const match = /language-([^\s"]+)/.exec(codeEl.getAttribute('class') || '');
+    const language = match && match[1].toLowerCase() !== 'plain' ? match[1].toLowerCase() : '';
+    const langClass = language ? ` class="language-${escapeHtml(language)}"` : '';
+    return `<pre><code${langClass}>${escapeHtml(codeEl.textContent)}</code></pre>`;
+}
+
+function tableToHtml(table, ctx) {
+    const body = Array.from(table.querySelectorAll('tr')).map(tr => {
+        const isHeaderRow = tr.parentElement && tr.parentElement.tagName === 'THEAD';
+        const cells = Array.from(tr.children)
+            .filter(cell => cell.tagName === 'TD' || cell.tagName === 'TH')
+            .map(cell => {
+                const tag = isHeaderRow || cell.tagName === 'TH' ? 'th' : 'td';
+                return `<${tag}><p>${inlineChildren(cell, ctx).trim()}</p></${tag}>`;
+            })
+            .join('');
+        return cells ? `<tr>${cells}</tr>` : '';
+    }).join('');
+
+    return body ? `<table><tbody>${body}</tbody></table>` : '';
+}
+
+function figureToHtml(el, ctx) {
+    const classes = el.classList;
+
+    if (classes.contains('callout')) {
+        const iconEl = el.querySelector('.icon');
+        const icon = iconEl && iconEl.tagName !== 'IMG' ? iconEl.textContent.trim() : '';
+        const divs = Array.from(el.children).filter(child => child.tagName === 'DIV');
+        const contentEl = divs.length > 1 ? divs[divs.length - 1] : el;
+        return calloutHtml(calloutTypeForIcon(icon), blockText(contentEl, iconEl));
+    }
+
+    if (classes.contains('equation')) {
+        const latex = mathLatex(el);
+        return latex ? `<div data-type="math-block" class="math-block" data-latex="${escapeHtml(latex)}"></div>` : '';
+    }
+
+    if (classes.contains('image')) {
+        const img = el.querySelector('img');
+        const link = el.querySelector('a[href]');
+        const src = (img && img.getAttribute('src')) || (link && link.getAttribute('href')) || '';
+        const url = src ? ctx.resolveImage(src) : null;
+        if (!url) {
+            ctx.onSkip('image', decodeFileName(src));
+            return '';
+        }
+
+        const caption = el.querySelector('figcaption');
+        return imageBlockHtml(url, (img && img.getAttribute('alt')) || '', caption ? caption.textContent.trim() : '');
+    }
+
+    if (classes.contains('link-to-page')) {
+        const link = el.querySelector('a[href]');
+        return link ? `<p>${linkHtml(link, ctx)}</p>` : '';
+    }
+
+    if (classes.contains('bookmark')) {
+        return bookmarksToHtml([el]);
+    }
+
+    // 첨부 파일, 동영상, 임베드 등
+    const link = el.querySelector('a[href]');
+    const href = link ? link.getAttribute('href') : '';
+    if (href && isExternalUrl(href)) {
+        ctx.onSkip('embed', href);
+        return `<p><a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer nofollow">${escapeHtml(link.textContent.trim() || href)}</a></p>`;
+    }
+    if (href) {
+        ctx.onSkip('file', decodeFileName(href));
+        return '';
+    }
+
+    if (el.textContent.trim()) {
+        return convertBlocks(Array.from(el.childNodes), ctx);
+    }
+
+    ctx.onSkip('unsupported', el.className || 'figure');
+    return '';
+}
+
+function bookmarksToHtml(group) {
+    const blocks = group.map(figure => {
+        const link = figure.querySelector('a[href]');
+        const url = link ? link.getAttribute('href') : '';
+        if (!url || !isExternalUrl(url)) return '';
+
+        const titleEl = figure.querySelector('.bookmark-title');
+        const descriptionEl = figure.querySelector('.bookmark-description');
+        const thumbnailEl = figure.querySelector('img.bookmark-image');
+        const thumbnail = thumbnailEl && isExternalUrl(thumbnailEl.getAttribute('src') || '') ? thumbnailEl.getAttribute('src') : '';
+
+        return `<div data-type="bookmark-block" class="bookmark-block" data-url="${escapeHtml(url)}" ` +
+            `data-title="${escapeHtml((titleEl && titleEl.textContent.trim()) || url)}" ` +
+            `data-description="${escapeHtml(descriptionEl ? descriptionEl.textContent.trim() : '')}" ` +
+            `data-thumbnail="${escapeHtml(thumbnail)}"></div>`;
+    }).join('');
+
+    return blocks ? `<div data-type="bookmark-container" class="bookmark-container" data-title="" data-icon="🔖">${blocks}</div>` : '';
+}
+
+/**
+ * 콜아웃처럼 평문으로 저장되는 블록의 텍스트 (블록 경계와 <br>은 줄바꿈)
+ */
+function blockText(el, exclude) {
+    const collect = (node) => {
+        if (node === exclude) return '';
+        if (node.nodeType === 3) return node.textContent.replace(/\s*\n\s*/g, ' ');
+        if (node.nodeType !== 1) return '';
+
+        const tag = node.tagName.toUpperCase();
+        if (tag === 'BR') return '\n';
+        if (tag === 'STYLE' || tag === 'SCRIPT') return '';
+        if (node.classList.contains('notion-text-equation-token')) return `$${mathLatex(node)}$`;
+
+        const inner = Array.from(node.childNodes).map(collect).join('');
+        return isBlockElement(node) || tag === 'LI' ? `\n${inner}\n` : inner;
+    };
+
+    return collect(el)
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n[ \t]+/g, '\n')
+        .replace(/\n{2,}/g, '\n')
+        .trim();
+}
+
+function inlineChildren(el, ctx) {
+    return Array.from(el.childNodes).map(node => convertInline(node, ctx)).join('');
+}
+
+function convertInline(node, ctx) {
+    if (node.nodeType === 3) {
+        return escapeHtml(node.textContent.replace(/\s*\n\s*/g, ' '));
+    }
+    if (node.nodeType !== 1) return '';
+
+    if (node.classList.contains('notion-text-equation-token')) {
+        const latex = mathLatex(node);
+        return `<span data-type="math-inline" class="math-inline" data-latex="${escapeHtml(latex)}">${escapeHtml(latex)}</span>`;
+    }
+
+    const wrap = (tag) => {
+        const inner = inlineChildren(node, ctx);
+        return inner.trim() ? `<${tag}>${inner}</${tag}>` : inner;
+    };
+
+    switch (node.tagName.toUpperCase()) {
+        case 'BR':
+            return '<br>';
+        case 'STRONG':
+        case 'B':
+            return wrap('strong');
+        case 'EM':
+        case 'I':
+            return wrap('em');
+        case 'S':
+        case 'DEL':
+            return wrap('s');
+        case 'U':
+            return wrap('u');
+        case 'CODE':
+            return `<code>${escapeHtml(node.textContent)}</code>`;
+        case 'A':
+            return linkHtml(node, ctx);
+        case 'STYLE':
+        case 'SCRIPT':
+        case 'SVG':
+        case 'IMG':
+            // 인라인 아이콘 등
+            return '';
+        case 'VIDEO':
+        case 'AUDIO':
+        case 'IFRAME':
+        case 'EMBED':
+        case 'OBJECT':
+            ctx.onSkip('embed', node.getAttribute('src') || node.getAttribute('data') || '');
+            return '';
+        default:
+            return inlineChildren(node, ctx);
+    }
+}
+
+function linkHtml(a, ctx) {
+    const href = a.getAttribute('href') || '';
+    const inner = inlineChildren(a, ctx);
+
+    if (!href || href.startsWith('#')) {
+        return inner;
+    }
+
+    if (isExternalUrl(href)) {
+        return `<a href="${escapeHtml(href)}" target="_blank" rel="noopener noreferrer nofollow">${inner}</a>`;
+    }
+
+    const page = ctx.resolveLink(href);
+    if (page) {
+        return mentionHtml(page);
+    }
+
+    if (isAttachmentLink(href)) {
+        ctx.onSkip('file', decodeFileName(href));
+    }
+    return inner;
+}
+
+module.exports = {
+    stripNotionId,
+    parseNotionMarkdown,
+    parseNotionHtml,
+    notionCsvToHtml
+};
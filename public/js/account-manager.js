@@ -2,6 +2,23 @@
  * 계정 관리 모듈
  */
 
+import { fetchAndDisplayCurrentUser } from './settings-manager.js';
+
+// SimpleWebAuthn 동적 import (비밀번호 변경 시 패스키 추가 인증)
+let SimpleWebAuthnBrowser = null;
+
+async function loadSimpleWebAuthn() {
+    if (SimpleWebAuthnBrowser) return SimpleWebAuthnBrowser;
+
+    try {
+        SimpleWebAuthnBrowser = await import('/vendor/modules/@simplewebauthn/browser@10.0.0.js');
+        return SimpleWebAuthnBrowser;
+    } catch (error) {
+        console.error('SimpleWebAuthn 로드 실패:', error);
+        throw new Error('SimpleWebAuthn 라이브러리를 로드할 수 없습니다.');
+    }
+}
+
 /**
  * CSRF 쿠키 가져오기
  */
@@ -112,10 +129,284 @@ export async function confirmDeleteAccount() {
     }
 }
 
+/**
+ * JSON 요청 (CSRF 토큰 포함)
+ * @returns {Promise<{ok: boolean, data: Object}>}
+ */
+async function sendJson(method, url, body) {
+    const csrfToken = getCookie('nteok_csrf');
+    const response = await fetch(url, {
+        method,
+        headers: {
+            'Content-Type': 'application/json',
+            'X-CSRF-Token': csrfToken
+        },
+        body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json().catch(() => ({}));
+    return { ok: response.ok, data };
+}
+
+/**
+ * 아이디 변경 모달 열기
+ */
+export function openChangeUsernameModal() {
+    const modal = document.querySelector('#change-username-modal');
+    const usernameInput = document.querySelector('#change-username-new');
+    const passwordInput = document.querySelector('#change-username-password');
+    const errorEl = document.querySelector('#change-username-error');
+
+    if (!modal) return;
+
+    if (usernameInput) usernameInput.value = '';
+    if (passwordInput) passwordInput.value = '';
+    if (errorEl) errorEl.textContent = '';
+
+    modal.classList.remove('hidden');
+
+    if (usernameInput) {
+        usernameInput.focus();
+    }
+}
+
+/**
+ * 아이디 변경 모달 닫기
+ */
+export function closeChangeUsernameModal() {
+    const modal = document.querySelector('#change-username-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+}
+
+/**
+ * 아이디 변경 실행
+ */
+export async function confirmChangeUsername() {
+    const usernameInput = document.querySelector('#change-username-new');
+    const passwordInput = document.querySelector('#change-username-password');
+    const errorEl = document.querySelector('#change-username-error');
+    const confirmBtn = document.querySelector('#confirm-change-username-btn');
+
+    if (!usernameInput || !passwordInput || !errorEl) return;
+
+    const newUsername = usernameInput.value.trim();
+    const password = passwordInput.value;
+
+    errorEl.textContent = '';
+
+    if (newUsername.length < 3 || newUsername.length > 64) {
+        errorEl.textContent = '아이디는 3~64자 사이로 입력하세요.';
+        usernameInput.focus();
+        return;
+    }
+
+    if (!password) {
+        errorEl.textContent = '비밀번호를 입력하세요.';
+        passwordInput.focus();
+        return;
+    }
+
+    if (confirmBtn) confirmBtn.disabled = true;
+
+    try {
+        const { ok, data } = await sendJson('PUT', '/api/auth/username', { newUsername, password });
+
+        if (!ok) {
+            errorEl.textContent = data.error || '아이디 변경에 실패했습니다.';
+            return;
+        }
+
+        // 헤더와 설정 모달의 사용자 정보 갱신
+        await fetchAndDisplayCurrentUser();
+        const settingsUsernameEl = document.querySelector('#settings-username');
+        if (settingsUsernameEl) {
+            settingsUsernameEl.textContent = data.username;
+        }
+
+        closeChangeUsernameModal();
+        alert(`아이디가 "${data.username}"(으)로 변경되었습니다.\n다른 기기의 세션 ${data.revokedCount}개가 로그아웃되었습니다.`);
+    } catch (error) {
+        console.error('아이디 변경 실패:', error);
+        errorEl.textContent = '아이디 변경 중 오류가 발생했습니다.';
+    } finally {
+        if (confirmBtn) confirmBtn.disabled = false;
+    }
+}
+
+/**
+ * 비밀번호 변경 모달 열기
+ */
+export function openChangePasswordModal() {
+    const modal = document.querySelector('#change-password-modal');
+    if (!modal) return;
+
+    ['#change-password-current', '#change-password-new', '#change-password-confirm', '#change-password-totp'].forEach((selector) => {
+        const input = document.querySelector(selector);
+        if (input) input.value = '';
+    });
+
+    const errorEl = document.querySelector('#change-password-error');
+    if (errorEl) errorEl.textContent = '';
+
+    // 2단계 인증 입력은 서버가 요구할 때만 표시
+    showStepUpFields([]);
+
+    modal.classList.remove('hidden');
+
+    const currentInput = document.querySelector('#change-password-current');
+    if (currentInput) {
+        currentInput.focus();
+    }
+}
+
+/**
+ * 비밀번호 변경 모달 닫기
+ */
+export function closeChangePasswordModal() {
+    const modal = document.querySelector('#change-password-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+}
+
+/**
+ * 추가 인증 입력 영역 표시
+ * @param {string[]} methods - 사용 가능한 방법 (totp, passkey)
+ */
+function showStepUpFields(methods) {
+    const stepUpEl = document.querySelector('#change-password-step-up');
+    const totpField = document.querySelector('#change-password-totp-field');
+    const passkeyBtn = document.querySelector('#change-password-passkey-btn');
+
+    if (stepUpEl) stepUpEl.hidden = methods.length === 0;
+    if (totpField) totpField.hidden = !methods.includes('totp');
+    if (passkeyBtn) passkeyBtn.style.display = methods.includes('passkey') ? '' : 'none';
+}
+
+/**
+ * 비밀번호 변경 실행
+ * @param {{usePasskey?: boolean}} [options] - 패스키로 추가 인증할지 여부
+ */
+export async function confirmChangePassword({ usePasskey = false } = {}) {
+    const currentInput = document.querySelector('#change-password-current');
+    const newInput = document.querySelector('#change-password-new');
+    const confirmInput = document.querySelector('#change-password-confirm');
+    const totpInput = document.querySelector('#change-password-totp');
+    const errorEl = document.querySelector('#change-password-error');
+    const confirmBtn = document.querySelector('#confirm-change-password-btn');
+
+    if (!currentInput || !newInput || !confirmInput || !errorEl) return;
+
+    const currentPassword = currentInput.value;
+    const newPassword = newInput.value;
+
+    errorEl.textContent = '';
+
+    if (!currentPassword) {
+        errorEl.textContent = '현재 비밀번호를 입력하세요.';
+        currentInput.focus();
+        return;
+    }
+
+    if (!newPassword) {
+        errorEl.textContent = '새 비밀번호를 입력하세요.';
+        newInput.focus();
+        return;
+    }
+
+    if (newPassword !== confirmInput.value) {
+        errorEl.textContent = '새 비밀번호와 비밀번호 확인이 일치하지 않습니다.';
+        confirmInput.focus();
+        return;
+    }
+
+    const body = { currentPassword, newPassword };
+
+    if (confirmBtn) confirmBtn.disabled = true;
+
+    try {
+        if (usePasskey) {
+            const options = await sendJson('POST', '/api/auth/step-up/passkey/options');
+            if (!options.ok) {
+                errorEl.textContent = options.data.error || '패스키 인증을 시작하지 못했습니다.';
+                return;
+            }
+
+            const webAuthn = await loadSimpleWebAuthn();
+            body.passkeyCredential = await webAuthn.startAuthentication(options.data);
+        } else if (totpInput && totpInput.value.trim()) {
+            body.totpToken = totpInput.value.trim();
+        }
+
+        const { ok, data } = await sendJson('PUT', '/api/auth/password', body);
+
+        if (!ok) {
+            // 2단계 인증을 사용하는 계정: 추가 인증 입력 표시
+            if (data.code === 'STEP_UP_REQUIRED') {
+                showStepUpFields(data.methods || []);
+                if (totpInput && data.methods && data.methods.includes('totp')) {
+                    totpInput.focus();
+                }
+            }
+            errorEl.textContent = data.error || '비밀번호 변경에 실패했습니다.';
+            return;
+        }
+
+        closeChangePasswordModal();
+        alert(`비밀번호가 변경되었습니다.\n다른 기기의 세션 ${data.revokedCount}개가 로그아웃되었습니다.`);
+    } catch (error) {
+        console.error('비밀번호 변경 실패:', error);
+        errorEl.textContent = error.name === 'NotAllowedError'
+            ? '패스키 인증이 취소되었습니다.'
+            : '비밀번호 변경 중 오류가 발생했습니다.';
+    } finally {
+        if (confirmBtn) confirmBtn.disabled = false;
+    }
+}
+
 /**
  * 계정 관리 버튼 이벤트 바인딩
  */
 export function bindAccountManagementButtons() {
+    // 아이디 변경
+    const changeUsernameBtn = document.querySelector('#change-username-btn');
+    if (changeUsernameBtn) {
+        changeUsernameBtn.addEventListener('click', openChangeUsernameModal);
+    }
+
+    ['#close-change-username-btn', '#cancel-change-username-btn'].forEach((selector) => {
+        const btn = document.querySelector(selector);
+        if (btn) btn.addEventListener('click', closeChangeUsernameModal);
+    });
+
+    const confirmUsernameBtn = document.querySelector('#confirm-change-username-btn');
+    if (confirmUsernameBtn) {
+        confirmUsernameBtn.addEventListener('click', confirmChangeUsername);
+    }
+
+    // 비밀번호 변경
+    const changePasswordBtn = document.querySelector('#change-password-btn');
+    if (changePasswordBtn) {
+        changePasswordBtn.addEventListener('click', openChangePasswordModal);
+    }
+
+    ['#close-change-password-btn', '#cancel-change-password-btn'].forEach((selector) => {
+        const btn = document.querySelector(selector);
+        if (btn) btn.addEventListener('click', closeChangePasswordModal);
+    });
+
+    const confirmPasswordBtn = document.querySelector('#confirm-change-password-btn');
+    if (confirmPasswordBtn) {
+        confirmPasswordBtn.addEventListener('click', () => confirmChangePassword());
+    }
+
+    const passkeyBtn = document.querySelector('#change-password-passkey-btn');
+    if (passkeyBtn) {
+        passkeyBtn.addEventListener('click', () => confirmChangePassword({ usePasskey: true }));
+    }
+
     // 계정 삭제 버튼
     const deleteBtn = document.querySelector('#delete-account-btn');
     if (deleteBtn) {
@@ -0,0 +1,922 @@
+/**
+ * 관리자 콘솔 모듈
+ * 사용자 관리(생성, 비활성화, 관리자 권한, 비밀번호 재설정/재설정 링크, 2단계 인증 해제, 삭제),
+ * 가입 관리(회원가입 모드, 초대 코드, 승인 대기열), 전체 보안 이벤트 조회/무결성 검증과
+ * 관리자 감사 로그 조회 기능을 제공합니다.
+ */
+
+import { secureFetch, escapeHtml } from './ui-utils.js';
+import { formatDateTime, parseUserAgent } from './login-logs-manager.js';
+import { SECURITY_EVENT_LABELS, formatSecurityEventDetails } from './security-events-manager.js';
+
+const AUDIT_LOGS_PER_PAGE = 50;
+
+const AUDIT_ACTION_LABELS = {
+    'user.create': '사용자 생성',
+    'user.disable': '계정 비활성화',
+    'user.enable': '계정 활성화',
+    'user.grant_admin': '관리자 권한 부여',
+    'user.revoke_admin': '관리자 권한 해제',
+    'user.reset_password': '비밀번호 재설정',
+    'user.reset_link': '비밀번호 재설정 링크 발급',
+    'user.revoke_2fa': '2단계 인증 해제',
+    'user.delete': '사용자 삭제',
+    'user.approve': '가입 승인',
+    'user.reject': '가입 거절',
+    'registration.mode': '회원가입 모드 변경',
+    'invite.create': '초대 코드 생성',
+    'invite.revoke': '초대 코드 폐기'
+};
+
+const AUDIT_DETAIL_LABELS = {
+    isAdmin: '관리자',
+    generated: '임시 비밀번호',
+    revokedSessions: '종료된 세션',
+    emailed: '메일 전송',
+    totpEnabled: 'TOTP 사용',
+    passkeysRemoved: '삭제된 패스키',
+    from: '이전',
+    to: '변경',
+    inviteId: '초대 코드 ID',
+    maxUses: '사용 횟수',
+    expiresInDays: '만료 (일)'
+};
+
+const REGISTRATION_MODE_LABELS = {
+    open: '공개',
+    invite: '초대 전용',
+    approval: '관리자 승인',
+    closed: '닫힘'
+};
+
+const INVITE_STATUS_LABELS = {
+    active: { label: '사용 가능', className: 'active' },
+    expired: { label: '만료됨', className: 'disabled' },
+    exhausted: { label: '모두 사용됨', className: '' },
+    revoked: { label: '폐기됨', className: 'disabled' }
+};
+
+let usersCache = [];
+let currentAuditPage = 1;
+let currentSecurityPage = 1;
+
+/**
+ * API 응답 처리 (오류 시 서버 메시지로 예외 발생)
+ */
+async function parseResponse(response) {
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        throw new Error(data.error || 'HTTP ' + response.status);
+    }
+
+    return data;
+}
+
+/**
+ * 사용자 목록 로드
+ */
+async function loadUsers() {
+    const tbody = document.getElementById('admin-users-table-body');
+
+    try {
+        const response = await fetch('/api/admin/users', {
+            method: 'GET',
+            credentials: 'include'
+        });
+
+        const data = await parseResponse(response);
+        usersCache = data.users || [];
+        renderUsersTable(usersCache);
+    } catch (error) {
+        console.error('사용자 목록 로드 오류:', error);
+        tbody.innerHTML = '<tr><td colspan="8" class="admin-table-empty">사용자 목록을 불러오는 중 오류가 발생했습니다.</td></tr>';
+    }
+}
+
+/**
+ * 사용자 테이블 렌더링
+ */
+function renderUsersTable(users) {
+    const tbody = document.getElementById('admin-users-table-body');
+
+    if (!users || users.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="8" class="admin-table-empty">사용자가 없습니다.</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = users.map(user => {
+        const badges = [
+            user.isDisabled
+                ? '<span class="admin-badge disabled">비활성</span>'
+                : '<span class="admin-badge active">활성</span>',
+            user.isAdmin ? '<span class="admin-badge admin">관리자</span>' : ''
+        ].join('');
+
+        const twoFactor = [
+            user.totpEnabled ? 'TOTP' : null,
+            user.passkeyEnabled ? '패스키' : null
+        ].filter(Boolean).join(', ') || '-';
+
+        const selfLabel = user.isSelf ? ' <span class="admin-badge">나</span>' : '';
+        const selfDisabled = user.isSelf ? 'disabled' : '';
+
+        return `
+            <tr>
+                <td>${escapeHtml(user.username)}${selfLabel}</td>
+                <td>${badges}</td>
+                <td>${twoFactor}</td>
+                <td>${user.pageCount}</td>
+                <td>${user.sessionCount}</td>
+                <td>${formatDateTime(user.createdAt)}</td>
+                <td>${user.lastLoginAt ? formatDateTime(user.lastLoginAt) : '-'}</td>
+                <td>
+                    <div class="admin-actions">
+                        <button class="admin-action-btn" data-action="toggle-disabled" data-user-id="${user.id}" ${selfDisabled}>
+                            ${user.isDisabled ? '활성화' : '비활성화'}
+                        </button>
+                        <button class="admin-action-btn" data-action="toggle-admin" data-user-id="${user.id}" ${selfDisabled}>
+                            ${user.isAdmin ? '관리자 해제' : '관리자 지정'}
+                        </button>
+                        <button class="admin-action-btn" data-action="reset-password" data-user-id="${user.id}">
+                            비밀번호 재설정
+                        </button>
+                        <button class="admin-action-btn" data-action="reset-link" data-user-id="${user.id}">
+                            재설정 링크
+                        </button>
+                        <button class="admin-action-btn" data-action="revoke-2fa" data-user-id="${user.id}" ${user.totpEnabled || user.passkeyEnabled ? '' : 'disabled'}>
+                            2FA 해제
+                        </button>
+                        <button class="admin-action-btn danger" data-action="delete" data-user-id="${user.id}" ${selfDisabled}>
+                            삭제
+                        </button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * 사용자 생성
+ */
+async function createUser(event) {
+    event.preventDefault();
+
+    const usernameInput = document.getElementById('admin-new-username');
+    const passwordInput = document.getElementById('admin-new-password');
+    const isAdminInput = document.getElementById('admin-new-is-admin');
+
+    const username = usernameInput.value.trim();
+    const password = passwordInput.value;
+
+    if (!username) {
+        alert('아이디를 입력해 주세요.');
+        return;
+    }
+
+    try {
+        const response = await secureFetch('/api/admin/users', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                username,
+                password: password || undefined,
+                isAdmin: isAdminInput.checked
+            })
+        });
+
+        const data = await parseResponse(response);
+
+        usernameInput.value = '';
+        passwordInput.value = '';
+        isAdminInput.checked = false;
+
+        await loadUsers();
+
+        if (data.temporaryPassword) {
+            prompt(`사용자 "${data.user.username}"를 생성했습니다.\n임시 비밀번호를 복사해 사용자에게 전달하세요.`, data.temporaryPassword);
+        } else {
+            alert(`사용자 "${data.user.username}"를 생성했습니다.`);
+        }
+    } catch (error) {
+        console.error('사용자 생성 오류:', error);
+        alert('사용자 생성에 실패했습니다: ' + error.message);
+    }
+}
+
+/**
+ * 사용자별 작업 실행
+ */
+async function handleUserAction(action, user, button) {
+    let request = null;
+
+    switch (action) {
+        case 'toggle-disabled':
+            if (!confirm(user.isDisabled
+                ? `"${user.username}" 계정을 활성화하시겠습니까?`
+                : `"${user.username}" 계정을 비활성화하시겠습니까?\n모든 세션이 즉시 로그아웃됩니다.`)) {
+                return;
+            }
+            request = {
+                url: `/api/admin/users/${user.id}/disabled`,
+                method: 'PUT',
+                body: { disabled: !user.isDisabled }
+            };
+            break;
+
+        case 'toggle-admin':
+            if (!confirm(user.isAdmin
+                ? `"${user.username}"의 관리자 권한을 해제하시겠습니까?`
+                : `"${user.username}"에게 관리자 권한을 부여하시겠습니까?`)) {
+                return;
+            }
+            request = {
+                url: `/api/admin/users/${user.id}/admin`,
+                method: 'PUT',
+                body: { isAdmin: !user.isAdmin }
+            };
+            break;
+
+        case 'reset-password': {
+            const password = prompt(`"${user.username}"의 새 비밀번호를 입력하세요.\n비워 두면 임시 비밀번호가 생성됩니다.\n모든 세션이 로그아웃됩니다.`, '');
+            if (password === null) {
+                return;
+            }
+            request = {
+                url: `/api/admin/users/${user.id}/reset-password`,
+                method: 'POST',
+                body: { password: password || undefined }
+            };
+            break;
+        }
+
+        case 'reset-link': {
+            const email = prompt(`"${user.username}"의 일회용 비밀번호 재설정 링크를 발급합니다.\n링크를 메일로 보내려면 이메일 주소를 입력하세요. (비워 두면 링크만 표시)\n이전에 발급한 링크는 폐기됩니다.`, '');
+            if (email === null) {
+                return;
+            }
+            request = {
+                url: `/api/admin/users/${user.id}/reset-link`,
+                method: 'POST',
+                body: { email: email.trim() || undefined }
+            };
+            break;
+        }
+
+        case 'revoke-2fa':
+            if (!confirm(`"${user.username}"의 2단계 인증(TOTP, 패스키, 백업 코드)을 모두 해제하시겠습니까?`)) {
+                return;
+            }
+            request = {
+                url: `/api/admin/users/${user.id}/2fa`,
+                method: 'DELETE'
+            };
+            break;
+
+        case 'delete':
+            if (!confirm(`"${user.username}" 계정과 모든 데이터를 삭제하시겠습니까?\n이 작업은 되돌릴 수 없습니다.`)) {
+                return;
+            }
+            request = {
+                url: `/api/admin/users/${user.id}`,
+                method: 'DELETE'
+            };
+            break;
+
+        default:
+            return;
+    }
+
+    button.disabled = true;
+
+    try {
+        const options = { method: request.method };
+        if (request.body) {
+            options.headers = { 'Content-Type': 'application/json' };
+            options.body = JSON.stringify(request.body);
+        }
+
+        const response = await secureFetch(request.url, options);
+        const data = await parseResponse(response);
+
+        await loadUsers();
+
+        if (data.temporaryPassword) {
+            prompt(`"${user.username}"의 임시 비밀번호입니다. 복사해 사용자에게 전달하세요.`, data.temporaryPassword);
+        }
+
+        if (data.url) {
+            const notice = data.emailed
+                ? '링크를 메일로 보냈습니다.'
+                : (data.emailError || '링크를 복사해 사용자에게 전달하세요.');
+            prompt(`"${user.username}"의 비밀번호 재설정 링크입니다. (만료: ${formatDateTime(data.expiresAt)})\n${notice}`, data.url);
+        }
+    } catch (error) {
+        console.error('관리자 작업 오류:', error);
+        alert('작업에 실패했습니다: ' + error.message);
+        button.disabled = false;
+    }
+}
+
+/**
+ * 가입 관리 탭 로드 (회원가입 모드, 승인 대기, 초대 코드)
+ */
+async function loadRegistration() {
+    await Promise.all([loadRegistrationMode(), loadPendingUsers(), loadInvites()]);
+}
+
+/**
+ * 회원가입 모드 로드
+ */
+async function loadRegistrationMode() {
+    const select = document.getElementById('admin-registration-mode');
+
+    try {
+        const response = await fetch('/api/admin/registration', {
+            method: 'GET',
+            credentials: 'include'
+        });
+
+        const data = await parseResponse(response);
+        select.value = data.mode;
+    } catch (error) {
+        console.error('회원가입 설정 로드 오류:', error);
+    }
+}
+
+/**
+ * 회원가입 모드 저장
+ */
+async function saveRegistrationMode() {
+    const select = document.getElementById('admin-registration-mode');
+    const mode = select.value;
+
+    if (!confirm(`회원가입 모드를 "${REGISTRATION_MODE_LABELS[mode]}"(으)로 변경하시겠습니까?`)) {
+        await loadRegistrationMode();
+        return;
+    }
+
+    try {
+        const response = await secureFetch('/api/admin/registration', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ mode })
+        });
+
+        await parseResponse(response);
+        alert('회원가입 모드를 변경했습니다.');
+    } catch (error) {
+        console.error('회원가입 설정 저장 오류:', error);
+        alert('회원가입 모드 변경에 실패했습니다: ' + error.message);
+        await loadRegistrationMode();
+    }
+}
+
+/**
+ * 가입 승인 대기 목록 로드
+ */
+async function loadPendingUsers() {
+    const tbody = document.getElementById('admin-pending-table-body');
+
+    try {
+        const response = await fetch('/api/admin/pending-users', {
+            method: 'GET',
+            credentials: 'include'
+        });
+
+        const data = await parseResponse(response);
+        const pendingUsers = data.pendingUsers || [];
+
+        if (pendingUsers.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="admin-table-empty">승인 대기 중인 가입 신청이 없습니다.</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = pendingUsers.map(pending => {
+            const { device, icon } = parseUserAgent(pending.userAgent);
+
+            return `
+                <tr>
+                    <td>${escapeHtml(pending.username)}</td>
+                    <td>${formatDateTime(pending.createdAt)}</td>
+                    <td>${escapeHtml(pending.ipAddress || '-')}</td>
+                    <td title="${escapeHtml(pending.userAgent || '')}">
+                        <i class="fa-solid ${icon}"></i>
+                        ${escapeHtml(device)}
+                    </td>
+                    <td>
+                        <div class="admin-actions">
+                            <button class="admin-action-btn" data-pending-action="approve" data-pending-id="${pending.id}" data-username="${escapeHtml(pending.username)}">승인</button>
+                            <button class="admin-action-btn danger" data-pending-action="reject" data-pending-id="${pending.id}" data-username="${escapeHtml(pending.username)}">거절</button>
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('가입 승인 대기 목록 로드 오류:', error);
+        tbody.innerHTML = '<tr><td colspan="5" class="admin-table-empty">목록을 불러오는 중 오류가 발생했습니다.</td></tr>';
+    }
+}
+
+/**
+ * 가입 신청 승인/거절
+ */
+async function handlePendingAction(action, pendingId, username, button) {
+    const approve = action === 'approve';
+
+    if (!confirm(approve
+        ? `"${username}"의 가입을 승인하시겠습니까?`
+        : `"${username}"의 가입 신청을 거절하시겠습니까?`)) {
+        return;
+    }
+
+    button.disabled = true;
+
+    try {
+        const response = await secureFetch(approve
+            ? `/api/admin/pending-users/${pendingId}/approve`
+            : `/api/admin/pending-users/${pendingId}`, {
+            method: approve ? 'POST' : 'DELETE'
+        });
+
+        await parseResponse(response);
+        await loadPendingUsers();
+    } catch (error) {
+        console.error('가입 신청 처리 오류:', error);
+        alert('작업에 실패했습니다: ' + error.message);
+        button.disabled = false;
+    }
+}
+
+/**
+ * 초대 코드 목록 로드
+ */
+async function loadInvites() {
+    const tbody = document.getElementById('admin-invites-table-body');
+
+    try {
+        const response = await fetch('/api/admin/invites', {
+            method: 'GET',
+            credentials: 'include'
+        });
+
+        const data = await parseResponse(response);
+        const invites = data.invites || [];
+
+        if (invites.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7" class="admin-table-empty">초대 코드가 없습니다.</td></tr>';
+            return;
+        }
+
+        tbody.innerHTML = invites.map(invite => {
+            const status = INVITE_STATUS_LABELS[invite.status] || INVITE_STATUS_LABELS.active;
+            const uses = invite.maxUses === null ? `${invite.useCount} / 무제한` : `${invite.useCount} / ${invite.maxUses}`;
+            const isActive = invite.status === 'active';
+
+            return `
+                <tr>
+                    <td class="admin-invite-code">${escapeHtml(invite.code)}</td>
+                    <td>${escapeHtml(invite.note || '-')}</td>
+                    <td>${uses}</td>
+                    <td>${invite.expiresAt ? formatDateTime(invite.expiresAt) : '없음'}</td>
+                    <td><span class="admin-badge ${status.className}">${status.label}</span></td>
+                    <td>${escapeHtml(invite.createdBy || '-')}</td>
+                    <td>
+                        <div class="admin-actions">
+                            <button class="admin-action-btn" data-invite-action="copy" data-code="${escapeHtml(invite.code)}" ${isActive ? '' : 'disabled'}>링크 복사</button>
+                            <button class="admin-action-btn danger" data-invite-action="revoke" data-invite-id="${invite.id}" ${invite.status === 'revoked' ? 'disabled' : ''}>폐기</button>
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    } catch (error) {
+        console.error('초대 코드 목록 로드 오류:', error);
+        tbody.innerHTML = '<tr><td colspan="7" class="admin-table-empty">목록을 불러오는 중 오류가 발생했습니다.</td></tr>';
+    }
+}
+
+/**
+ * 초대 링크 (가입 페이지에 코드가 미리 입력됨)
+ */
+function buildInviteLink(code) {
+    return `${window.location.origin}/register?invite=${encodeURIComponent(code)}`;
+}
+
+/**
+ * 초대 링크 클립보드 복사
+ */
+async function copyInviteLink(code) {
+    const link = buildInviteLink(code);
+
+    try {
+        await navigator.clipboard.writeText(link);
+        alert('초대 링크를 복사했습니다.');
+    } catch (error) {
+        prompt('초대 링크를 복사하세요.', link);
+    }
+}
+
+/**
+ * 초대 코드 생성
+ */
+async function createInvite(event) {
+    event.preventDefault();
+
+    const maxUsesInput = document.getElementById('admin-invite-max-uses');
+    const expiresInput = document.getElementById('admin-invite-expires-days');
+    const noteInput = document.getElementById('admin-invite-note');
+
+    try {
+        const response = await secureFetch('/api/admin/invites', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                maxUses: maxUsesInput.value ? Number(maxUsesInput.value) : null,
+                expiresInDays: expiresInput.value ? Number(expiresInput.value) : null,
+                note: noteInput.value
+            })
+        });
+
+        const data = await parseResponse(response);
+
+        maxUsesInput.value = '';
+        expiresInput.value = '';
+        noteInput.value = '';
+
+        await loadInvites();
+        prompt('초대 코드를 생성했습니다. 아래 링크를 전달하세요.', buildInviteLink(data.invite.code));
+    } catch (error) {
+        console.error('초대 코드 생성 오류:', error);
+        alert('초대 코드 생성에 실패했습니다: ' + error.message);
+    }
+}
+
+/**
+ * 초대 코드 폐기
+ */
+async function revokeInvite(inviteId, button) {
+    if (!confirm('이 초대 코드를 폐기하시겠습니까?\n이미 가입한 사용자에게는 영향이 없습니다.')) {
+        return;
+    }
+
+    button.disabled = true;
+
+    try {
+        const response = await secureFetch(`/api/admin/invites/${inviteId}`, {
+            method: 'DELETE'
+        });
+
+        await parseResponse(response);
+        await loadInvites();
+    } catch (error) {
+        console.error('초대 코드 폐기 오류:', error);
+        alert('초대 코드 폐기에 실패했습니다: ' + error.message);
+        button.disabled = false;
+    }
+}
+
+/**
+ * 전체 보안 이벤트 로드
+ */
+async function loadSecurityEvents(page = 1) {
+    const tbody = document.getElementById('admin-security-table-body');
+    const username = document.getElementById('admin-security-username').value.trim();
+    const eventType = document.getElementById('admin-security-event-type').value;
+    currentSecurityPage = page;
+
+    try {
+        const params = new URLSearchParams({
+            limit: String(AUDIT_LOGS_PER_PAGE),
+            offset: String((page - 1) * AUDIT_LOGS_PER_PAGE)
+        });
+        if (username) params.set('username', username);
+        if (eventType) params.set('eventType', eventType);
+
+        const response = await fetch(`/api/admin/audit-events?${params.toString()}`, {
+            method: 'GET',
+            credentials: 'include'
+        });
+
+        const data = await parseResponse(response);
+        const events = data.events || [];
+
+        if (events.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="6" class="admin-table-empty">기록이 없습니다.</td></tr>';
+        } else {
+            tbody.innerHTML = events.map(event => `
+                <tr>
+                    <td>${formatDateTime(event.createdAt)}</td>
+                    <td>${escapeHtml(event.username || '-')}</td>
+                    <td>${escapeHtml(SECURITY_EVENT_LABELS[event.eventType] || event.eventType)}</td>
+                    <td>${escapeHtml(formatSecurityEventDetails(event))}</td>
+                    <td>${escapeHtml(event.actorUsername && event.actorUserId !== event.userId ? event.actorUsername : '-')}</td>
+                    <td>${escapeHtml(event.ipAddress || '-')}</td>
+                </tr>
+            `).join('');
+        }
+
+        renderPaginationInto('admin-security-pagination', data.total, page);
+    } catch (error) {
+        console.error('보안 이벤트 로드 오류:', error);
+        tbody.innerHTML = '<tr><td colspan="6" class="admin-table-empty">기록을 불러오는 중 오류가 발생했습니다.</td></tr>';
+    }
+}
+
+/**
+ * 보안 이벤트 해시 체인 무결성 검증
+ */
+async function verifyAuditChain(button) {
+    const resultEl = document.getElementById('admin-audit-chain-result');
+
+    button.disabled = true;
+    resultEl.textContent = '검증 중...';
+
+    try {
+        const response = await fetch('/api/admin/audit-events/verify', {
+            method: 'GET',
+            credentials: 'include'
+        });
+
+        const result = await parseResponse(response);
+
+        resultEl.textContent = result.valid
+            ? `무결성 확인: ${result.checkedCount}개 이벤트의 해시 체인이 온전합니다. (마지막 해시: ${result.headHash.substring(0, 16)}…)`
+            : `경고: 이벤트 ID ${result.brokenAtId}에서 해시 체인이 끊어졌습니다. 이 이벤트 또는 직전 이벤트가 수정되거나 삭제되었을 수 있습니다.`;
+        resultEl.style.color = result.valid ? '#16a34a' : '#dc2626';
+    } catch (error) {
+        console.error('보안 이벤트 검증 오류:', error);
+        resultEl.textContent = '검증에 실패했습니다: ' + error.message;
+        resultEl.style.color = '#dc2626';
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * 감사 로그 로드
+ */
+async function loadAuditLogs(page = 1) {
+    const tbody = document.getElementById('admin-audit-table-body');
+    currentAuditPage = page;
+
+    try {
+        const offset = (page - 1) * AUDIT_LOGS_PER_PAGE;
+        const response = await fetch(`/api/admin/audit-logs?limit=${AUDIT_LOGS_PER_PAGE}&offset=${offset}`, {
+            method: 'GET',
+            credentials: 'include'
+        });
+
+        const data = await parseResponse(response);
+        renderAuditTable(data.logs);
+        renderPaginationInto('admin-audit-pagination', data.total, page);
+    } catch (error) {
+        console.error('감사 로그 로드 오류:', error);
+        tbody.innerHTML = '<tr><td colspan="6" class="admin-table-empty">기록을 불러오는 중 오류가 발생했습니다.</td></tr>';
+    }
+}
+
+/**
+ * 감사 로그 세부 정보 포맷팅
+ */
+function formatAuditDetails(details) {
+    if (!details || typeof details !== 'object') {
+        return '-';
+    }
+
+    const parts = Object.entries(details).map(([key, value]) => {
+        const label = AUDIT_DETAIL_LABELS[key] || key;
+        let text;
+        if (typeof value === 'boolean') {
+            text = value ? '예' : '아니오';
+        } else if (value === null) {
+            text = '제한 없음';
+        } else if (key === 'from' || key === 'to') {
+            text = REGISTRATION_MODE_LABELS[value] || String(value);
+        } else {
+            text = String(value);
+        }
+        return `${label}: ${text}`;
+    });
+
+    return parts.length > 0 ? parts.join(', ') : '-';
+}
+
+/**
+ * 감사 로그 테이블 렌더링
+ */
+function renderAuditTable(logs) {
+    const tbody = document.getElementById('admin-audit-table-body');
+
+    if (!logs || logs.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="admin-table-empty">기록이 없습니다.</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = logs.map(log => `
+        <tr>
+            <td>${formatDateTime(log.createdAt)}</td>
+            <td>${escapeHtml(log.adminUsername || '-')}</td>
+            <td>${escapeHtml(AUDIT_ACTION_LABELS[log.action] || log.action)}</td>
+            <td>${escapeHtml(log.targetUsername || '-')}</td>
+            <td>${escapeHtml(log.ipAddress || '-')}</td>
+            <td>${escapeHtml(formatAuditDetails(log.details))}</td>
+        </tr>
+    `).join('');
+}
+
+/**
+ * 페이지네이션 렌더링 (감사 로그, 보안 이벤트 공용)
+ */
+function renderPaginationInto(containerId, total, currentPage) {
+    const pagination = document.getElementById(containerId);
+    const totalPages = Math.ceil(total / AUDIT_LOGS_PER_PAGE);
+
+    if (totalPages <= 1) {
+        pagination.innerHTML = '';
+        return;
+    }
+
+    pagination.innerHTML = `
+        <button class="pagination-btn" data-page="${currentPage - 1}" ${currentPage <= 1 ? 'disabled' : ''}>
+            <i class="fa-solid fa-chevron-left"></i>
+        </button>
+        <span style="padding: 0 8px; color: #6b7280;">${currentPage} / ${totalPages}</span>
+        <button class="pagination-btn" data-page="${currentPage + 1}" ${currentPage >= totalPages ? 'disabled' : ''}>
+            <i class="fa-solid fa-chevron-right"></i>
+        </button>
+    `;
+}
+
+/**
+ * 탭 전환
+ */
+function switchTab(tab) {
+    document.querySelectorAll('#admin-modal .admin-tab').forEach(button => {
+        button.classList.toggle('active', button.dataset.adminTab === tab);
+    });
+
+    document.getElementById('admin-users-panel').style.display = tab === 'users' ? '' : 'none';
+    document.getElementById('admin-registration-panel').style.display = tab === 'registration' ? '' : 'none';
+    document.getElementById('admin-security-panel').style.display = tab === 'security' ? '' : 'none';
+    document.getElementById('admin-audit-panel').style.display = tab === 'audit' ? '' : 'none';
+
+    if (tab === 'users') {
+        loadUsers();
+    } else if (tab === 'registration') {
+        loadRegistration();
+    } else if (tab === 'security') {
+        loadSecurityEvents(1);
+    } else {
+        loadAuditLogs(1);
+    }
+}
+
+/**
+ * 관리자 콘솔 열기
+ */
+function openAdminModal() {
+    const modal = document.getElementById('admin-modal');
+    modal.style.display = 'flex';
+
+    switchTab('users');
+}
+
+/**
+ * 관리자 콘솔 닫기
+ */
+function closeAdminModal() {
+    const modal = document.getElementById('admin-modal');
+    modal.style.display = 'none';
+}
+
+/**
+ * 이벤트 바인딩
+ */
+export function bindAdminConsole() {
+    const openBtn = document.getElementById('open-admin-console-btn');
+    const closeBtn = document.getElementById('close-admin-modal-btn');
+    const modal = document.getElementById('admin-modal');
+    const createForm = document.getElementById('admin-create-user-form');
+    const usersTbody = document.getElementById('admin-users-table-body');
+    const pagination = document.getElementById('admin-audit-pagination');
+    const saveModeBtn = document.getElementById('admin-save-registration-mode-btn');
+    const inviteForm = document.getElementById('admin-create-invite-form');
+    const pendingTbody = document.getElementById('admin-pending-table-body');
+    const invitesTbody = document.getElementById('admin-invites-table-body');
+    const securityFilterForm = document.getElementById('admin-security-filter-form');
+    const securityEventSelect = document.getElementById('admin-security-event-type');
+    const verifyChainBtn = document.getElementById('admin-verify-audit-chain-btn');
+    const securityPagination = document.getElementById('admin-security-pagination');
+
+    if (openBtn) {
+        openBtn.addEventListener('click', openAdminModal);
+    }
+
+    if (closeBtn) {
+        closeBtn.addEventListener('click', closeAdminModal);
+    }
+
+    if (createForm) {
+        createForm.addEventListener('submit', createUser);
+    }
+
+    if (modal) {
+        modal.querySelectorAll('.admin-tab').forEach(button => {
+            button.addEventListener('click', () => switchTab(button.dataset.adminTab));
+        });
+
+        // 모달 외부 클릭 시 닫기
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal || e.target.classList.contains('modal-overlay')) {
+                closeAdminModal();
+            }
+        });
+    }
+
+    // 사용자별 작업 버튼 (이벤트 위임)
+    if (usersTbody) {
+        usersTbody.addEventListener('click', (e) => {
+            const button = e.target.closest('.admin-action-btn');
+            if (!button || button.disabled) {
+                return;
+            }
+
+            const user = usersCache.find(u => String(u.id) === button.dataset.userId);
+            if (user) {
+                handleUserAction(button.dataset.action, user, button);
+            }
+        });
+    }
+
+    if (saveModeBtn) {
+        saveModeBtn.addEventListener('click', saveRegistrationMode);
+    }
+
+    if (inviteForm) {
+        inviteForm.addEventListener('submit', createInvite);
+    }
+
+    // 가입 승인/거절 버튼 (이벤트 위임)
+    if (pendingTbody) {
+        pendingTbody.addEventListener('click', (e) => {
+            const button = e.target.closest('.admin-action-btn');
+            if (button && !button.disabled) {
+                handlePendingAction(button.dataset.pendingAction, button.dataset.pendingId, button.dataset.username, button);
+            }
+        });
+    }
+
+    // 초대 링크 복사/폐기 버튼 (이벤트 위임)
+    if (invitesTbody) {
+        invitesTbody.addEventListener('click', (e) => {
+            const button = e.target.closest('.admin-action-btn');
+            if (!button || button.disabled) {
+                return;
+            }
+
+            if (button.dataset.inviteAction === 'copy') {
+                copyInviteLink(button.dataset.code);
+            } else if (button.dataset.inviteAction === 'revoke') {
+                revokeInvite(button.dataset.inviteId, button);
+            }
+        });
+    }
+
+    if (securityEventSelect) {
+        securityEventSelect.insertAdjacentHTML('beforeend', Object.entries(SECURITY_EVENT_LABELS)
+            .map(([type, label]) => `<option value="${escapeHtml(type)}">${escapeHtml(label)}</option>`)
+            .join(''));
+    }
+
+    if (securityFilterForm) {
+        securityFilterForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            loadSecurityEvents(1);
+        });
+    }
+
+    if (verifyChainBtn) {
+        verifyChainBtn.addEventListener('click', () => verifyAuditChain(verifyChainBtn));
+    }
+
+    if (securityPagination) {
+        securityPagination.addEventListener('click', (e) => {
+            const button = e.target.closest('.pagination-btn');
+            if (button && !button.disabled) {
+                loadSecurityEvents(Number(button.dataset.page) || currentSecurityPage);
+            }
+        });
+    }
+
+    if (pagination) {
+        pagination.addEventListener('click', (e) => {
+            const button = e.target.closest('.pagination-btn');
+            if (button && !button.disabled) {
+                loadAuditLogs(Number(button.dataset.page) || currentAuditPage);
+            }
+        });
+    }
+}
@@ -0,0 +1,259 @@
+/**
+ * API 토큰 관리 모듈
+ * 페이지/컬렉션 API에 사용할 개인 API 토큰을 발급하고 폐기합니다.
+ */
+
+import { secureFetch, escapeHtml } from './ui-utils.js';
+import { formatDateTime } from './login-logs-manager.js';
+
+const SCOPE_LABELS = {
+    read: '읽기 전용',
+    write: '읽기 + 쓰기'
+};
+
+/**
+ * 응답 JSON 파싱 (실패 시 서버 오류 메시지로 예외)
+ */
+async function parseResponse(response) {
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        throw new Error(data.error || 'HTTP ' + response.status);
+    }
+
+    return data;
+}
+
+/**
+ * 토큰 목록 로드
+ */
+async function loadApiTokens() {
+    const tbody = document.getElementById('api-tokens-table-body');
+
+    try {
+        const response = await fetch('/api/tokens', {
+            method: 'GET',
+            credentials: 'include'
+        });
+        const data = await parseResponse(response);
+        renderApiTokensTable(data.tokens);
+    } catch (error) {
+        console.error('API 토큰 목록 로드 오류:', error);
+        tbody.innerHTML = '<tr><td colspan="7" class="admin-table-empty">토큰 목록을 불러오는 중 오류가 발생했습니다.</td></tr>';
+    }
+}
+
+/**
+ * 토큰 테이블 렌더링
+ */
+function renderApiTokensTable(tokens) {
+    const tbody = document.getElementById('api-tokens-table-body');
+
+    if (!tokens || tokens.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="7" class="admin-table-empty">발급된 토큰이 없습니다.</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = tokens.map(token => {
+        const collections = token.collections
+            ? token.collections.map(collection => collection.name || collection.id).join(', ')
+            : '모든 컬렉션';
+        const expires = token.expiresAt
+            ? `${formatDateTime(token.expiresAt)}${token.expired ? ' <span class="admin-badge disabled">만료됨</span>' : ''}`
+            : '없음';
+
+        return `
+            <tr>
+                <td>${escapeHtml(token.name)}</td>
+                <td class="admin-invite-code">${escapeHtml(token.tokenPrefix)}…</td>
+                <td><span class="admin-badge ${token.scope === 'write' ? 'admin' : ''}">${SCOPE_LABELS[token.scope] || escapeHtml(token.scope)}</span></td>
+                <td title="${escapeHtml(collections)}">${escapeHtml(collections)}</td>
+                <td>${expires}</td>
+                <td>${token.lastUsedAt ? formatDateTime(token.lastUsedAt) : '사용 안 함'}</td>
+                <td>
+                    <div class="admin-actions">
+                        <button class="admin-action-btn danger" data-token-id="${token.id}" data-token-name="${escapeHtml(token.name)}">폐기</button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * 토큰 사용 범위로 선택할 컬렉션 목록 로드
+ */
+async function loadCollectionOptions() {
+    const container = document.getElementById('api-token-collections');
+
+    try {
+        const response = await fetch('/api/collections', {
+            method: 'GET',
+            credentials: 'include'
+        });
+        const collections = await parseResponse(response);
+
+        if (collections.length === 0) {
+            container.innerHTML = '<span style="font-size: 13px; color: #9ca3af;">컬렉션이 없습니다.</span>';
+            return;
+        }
+
+        container.innerHTML = collections.map(collection => `
+            <label class="admin-checkbox">
+                <input type="checkbox" value="${escapeHtml(collection.id)}">
+                ${escapeHtml(collection.name)}
+            </label>
+        `).join('');
+    } catch (error) {
+        console.error('컬렉션 목록 로드 오류:', error);
+        container.innerHTML = '<span style="font-size: 13px; color: #dc2626;">컬렉션 목록을 불러오지 못했습니다.</span>';
+    }
+}
+
+/**
+ * 토큰 발급
+ */
+async function createApiToken(e) {
+    e.preventDefault();
+
+    const nameInput = document.getElementById('api-token-name');
+    const scopeSelect = document.getElementById('api-token-scope');
+    const expiresInput = document.getElementById('api-token-expires-days');
+    const collectionIds = Array.from(
+        document.querySelectorAll('#api-token-collections input[type="checkbox"]:checked')
+    ).map(input => input.value);
+
+    try {
+        const response = await secureFetch('/api/tokens', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({
+                name: nameInput.value,
+                scope: scopeSelect.value,
+                collectionIds: collectionIds.length > 0 ? collectionIds : null,
+                expiresInDays: expiresInput.value === '' ? null : Number(expiresInput.value)
+            })
+        });
+        const data = await parseResponse(response);
+
+        // 토큰 원문은 이번 한 번만 표시
+        document.getElementById('api-token-created-value').textContent = data.token;
+        document.getElementById('api-token-created').style.display = 'block';
+
+        e.target.reset();
+        document.querySelectorAll('#api-token-collections input[type="checkbox"]').forEach(input => {
+            input.checked = false;
+        });
+        await loadApiTokens();
+    } catch (error) {
+        console.error('API 토큰 발급 오류:', error);
+        alert('토큰 발급 실패: ' + error.message);
+    }
+}
+
+/**
+ * 발급된 토큰 복사
+ */
+async function copyCreatedToken() {
+    const token = document.getElementById('api-token-created-value').textContent;
+
+    try {
+        await navigator.clipboard.writeText(token);
+        alert('토큰을 복사했습니다.');
+    } catch (error) {
+        prompt('토큰을 복사하세요.', token);
+    }
+}
+
+/**
+ * 토큰 폐기
+ */
+async function revokeApiToken(tokenId, tokenName, button) {
+    if (!confirm(`'${tokenName}' 토큰을 폐기하시겠습니까?\n이 토큰을 사용하는 스크립트나 도구는 즉시 접근이 차단됩니다.`)) {
+        return;
+    }
+
+    button.disabled = true;
+
+    try {
+        const response = await secureFetch(`/api/tokens/${encodeURIComponent(tokenId)}`, {
+            method: 'DELETE',
+            credentials: 'include'
+        });
+        await parseResponse(response);
+        await loadApiTokens();
+    } catch (error) {
+        console.error('API 토큰 폐기 오류:', error);
+        alert('토큰 폐기 실패: ' + error.message);
+        button.disabled = false;
+    }
+}
+
+/**
+ * API 토큰 모달 열기
+ */
+function openApiTokensModal() {
+    const modal = document.getElementById('api-tokens-modal');
+    modal.style.display = 'flex';
+
+    loadApiTokens();
+    loadCollectionOptions();
+}
+
+/**
+ * API 토큰 모달 닫기 (발급된 토큰 원문도 화면에서 제거)
+ */
+function closeApiTokensModal() {
+    const modal = document.getElementById('api-tokens-modal');
+    modal.style.display = 'none';
+
+    document.getElementById('api-token-created').style.display = 'none';
+    document.getElementById('api-token-created-value').textContent = '';
+}
+
+/**
+ * 이벤트 바인딩
+ */
+export function bindApiTokensModal() {
+    const manageBtn = document.getElementById('manage-api-tokens-btn');
+    const closeBtn = document.getElementById('close-api-tokens-btn');
+    const createForm = document.getElementById('api-token-create-form');
+    const copyBtn = document.getElementById('copy-api-token-btn');
+    const tbody = document.getElementById('api-tokens-table-body');
+    const modal = document.getElementById('api-tokens-modal');
+
+    if (manageBtn) {
+        manageBtn.addEventListener('click', openApiTokensModal);
+    }
+
+    if (closeBtn) {
+        closeBtn.addEventListener('click', closeApiTokensModal);
+    }
+
+    if (createForm) {
+        createForm.addEventListener('submit', createApiToken);
+    }
+
+    if (copyBtn) {
+        copyBtn.addEventListener('click', copyCreatedToken);
+    }
+
+    if (tbody) {
+        tbody.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-token-id]');
+            if (button && !button.disabled) {
+                revokeApiToken(button.dataset.tokenId, button.dataset.tokenName, button);
+            }
+        });
+    }
+
+    // 모달 외부 클릭 시 닫기
+    if (modal) {
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                closeApiTokensModal();
+            }
+        });
+    }
+}
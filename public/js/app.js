@@ -15,7 +15,9 @@ import {
     saveCurrentPage,
     toggleEditMode,
     bindModeToggle,
-    bindNewCollectionButton
+    bindNewCollectionButton,
+    bindTrashButton,
+    bindTagsButton
 } from './pages-manager.js';
 import {
     initEncryptionManager,
@@ -25,8 +27,16 @@ import {
     closeDecryptionModal,
     bindEncryptionModal,
     bindDecryptionModal,
-    handlePermanentDecryption
+    handlePermanentDecryption,
+    handleCollectionEncryption,
+    handleCollectionKeyShare
 } from './encryption-manager.js';
+import {
+    initSearchIndexManager,
+    searchEncryptedIndexes,
+    getLockedEncryptedCollections,
+    unlockCollectionSearch
+} from './search-index-manager.js';
 import {
     openShareModal,
     closeShareModal,
@@ -77,6 +87,63 @@ import {
 import {
     bindLoginLogsModal
 } from './login-logs-manager.js';
+import {
+    bindSessionsModal
+} from './sessions-manager.js';
+import {
+    bindSecurityEventsModal
+} from './security-events-manager.js';
+import {
+    bindApiTokensModal
+} from './api-tokens-manager.js';
+import {
+    bindWebhooksModal,
+    openWebhooksModal
+} from './webhooks-manager.js';
+import {
+    bindAdminConsole
+} from './admin-manager.js';
+import {
+    initRevisionManager,
+    bindRevisionEvents
+} from './revision-manager.js';
+import {
+    initTagManager,
+    loadPageTags,
+    renderPageTags
+} from './tag-manager.js';
+import { loadBacklinks } from './backlinks-manager.js';
+import {
+    initCommentsManager,
+    bindCommentEvents,
+    openCommentThread
+} from './comments-manager.js';
+import {
+    initNotificationsManager,
+    bindNotificationEvents,
+    fetchNotifications
+} from './notifications-manager.js';
+import {
+    initOfflineManager,
+    bindOfflineEvents,
+    registerServiceWorker,
+    replayOfflineQueue,
+    getPendingOperationCount
+} from './offline-manager.js';
+import { clearOfflineData } from './offline-store.js';
+import {
+    initTemplateManager,
+    openNewPageModal,
+    setPageTemplate,
+    bindNewPageModal
+} from './template-manager.js';
+import {
+    initMarkdownManager,
+    exportPageMarkdown,
+    exportCollectionMarkdown,
+    openMarkdownImport,
+    bindMarkdownImport
+} from './markdown-manager.js';
 
 // ==================== Global State ====================
 const appState = {
@@ -94,7 +161,10 @@ const appState = {
     },
     currentEncryptingPageId: null,
     currentDecryptingPage: null,
-    fetchPageList: null
+    fetchPageList: null,
+    isTrashView: false,  // 사이드바 휴지통 보기 여부
+    isTagView: false,  // 사이드바 태그 보기 여부
+    trash: { pages: [], collections: [], retentionDays: 30 }
 };
 
 // 전역 변수 (드롭다운용)
@@ -120,6 +190,20 @@ async function handlePageListClick(event, state) {
         const permission = colMenuBtn.dataset.permission;
         const collection = appState.collections.find(c => c.id === collectionId);
 
+        // Markdown 내보내기는 모든 사용자, 불러오기는 쓰기 권한이 있을 때만
+        const markdownItems = `
+            <button data-action="export-collection-markdown" data-collection-id="${escapeHtml(collectionId)}">
+                <i class="fa-brands fa-markdown"></i>
+                Markdown으로 내보내기
+            </button>
+            ${isOwner || (permission && permission !== 'READ') ? `
+            <button data-action="import-collection-markdown" data-collection-id="${escapeHtml(collectionId)}">
+                <i class="fa-solid fa-file-import"></i>
+                Markdown 불러오기
+            </button>
+            ` : ''}
+        `;
+
         let menuItems = '';
         if (isOwner) {
             // 공유된 컬렉션이고 아직 암호화되지 않았으면 암호화 옵션 표시
@@ -134,19 +218,33 @@ async function handlePageListClick(event, state) {
                     <i class="fa-solid fa-share-nodes"></i>
                     컬렉션 공유
                 </button>
+                <button data-action="collection-webhooks" data-collection-id="${escapeHtml(collectionId)}">
+                    <i class="fa-solid fa-satellite-dish"></i>
+                    웹훅
+                </button>
                 ${showEncryptOption ? `
                 <button data-action="encrypt-collection" data-collection-id="${escapeHtml(collectionId)}">
                     <i class="fa-solid fa-lock"></i>
                     컬렉션 암호화
                 </button>
                 ` : ''}
+                ${collection && collection.isShared && collection.isEncrypted ? `
+                <button data-action="share-collection-key" data-collection-id="${escapeHtml(collectionId)}">
+                    <i class="fa-solid fa-key"></i>
+                    암호화 키 공유
+                </button>
+                ` : ''}
+                ${markdownItems}
                 <button data-action="delete-collection" data-collection-id="${escapeHtml(collectionId)}">
                     <i class="fa-regular fa-trash-can"></i>
                     컬렉션 삭제
                 </button>
             `;
         } else {
-            menuItems = `<div style="padding: 8px; color: #6b7280; font-size: 12px;">권한: ${escapeHtml(permission || 'READ')}</div>`;
+            menuItems = `
+                ${markdownItems}
+                <div style="padding: 8px; color: #6b7280; font-size: 12px;">권한: ${escapeHtml(permission || 'READ')}</div>
+            `;
         }
 
         showContextMenu(colMenuBtn, menuItems);
@@ -154,7 +252,7 @@ async function handlePageListClick(event, state) {
     }
 
     // 컬렉션 메뉴 액션
-    const colMenuAction = event.target.closest("#context-menu button[data-action^='collection-settings'], #context-menu button[data-action^='share-collection'], #context-menu button[data-action^='delete-collection'], #context-menu button[data-action^='encrypt-collection']");
+    const colMenuAction = event.target.closest("#context-menu button[data-action^='collection-settings'], #context-menu button[data-action^='share-collection'], #context-menu button[data-action='collection-webhooks'], #context-menu button[data-action^='delete-collection'], #context-menu button[data-action^='encrypt-collection'], #context-menu button[data-action$='-collection-markdown']");
     if (colMenuAction) {
         const action = colMenuAction.dataset.action;
         const colId = colMenuAction.dataset.collectionId;
@@ -176,14 +274,38 @@ async function handlePageListClick(event, state) {
             return;
         }
 
+        if (action === "collection-webhooks" && colId) {
+            closeContextMenu();
+            openWebhooksModal(colId);
+            return;
+        }
+
+        if (action === "export-collection-markdown" && colId) {
+            closeContextMenu();
+            await exportCollectionMarkdown(colId);
+            return;
+        }
+
+        if (action === "import-collection-markdown" && colId) {
+            closeContextMenu();
+            openMarkdownImport(colId);
+            return;
+        }
+
         if (action === "encrypt-collection" && colId) {
             await handleCollectionEncryption(colId);
             closeContextMenu();
             return;
         }
 
+        if (action === "share-collection-key" && colId) {
+            closeContextMenu();
+            await handleCollectionKeyShare(colId);
+            return;
+        }
+
         if (action === "delete-collection" && colId) {
-            const ok = confirm("이 컬렉션과 포함된 모든 페이지를 삭제하시겠습니까?");
+            const ok = confirm("이 컬렉션과 포함된 모든 페이지를 휴지통으로 이동하시겠습니까?");
             if (!ok) return;
             try {
                 const res = await secureFetch("/api/collections/" + encodeURIComponent(colId), {
@@ -234,48 +356,8 @@ async function handlePageListClick(event, state) {
         if (!colId) return;
         state.expandedCollections.add(colId);
 
-        let title = prompt("새 페이지 제목을 입력하세요.", "새 페이지");
-        if (title === null) return;
-
-        const plainTitle = title.trim() || "새 페이지";
-        const plainContent = "<p></p>";
-
-        try {
-            const res = await secureFetch("/api/pages", {
-                method: "POST",
-                headers: { "Content-Type": "application/json" },
-                body: JSON.stringify({
-                    title: plainTitle,
-                    content: plainContent,
-                    parentId: null,
-                    collectionId: colId
-                })
-            });
-
-            if (!res.ok) {
-                throw new Error("HTTP " + res.status + " " + res.statusText);
-            }
-
-            const page = await res.json();
-            state.pages.unshift({
-                id: page.id,
-                title: plainTitle,
-                updatedAt: page.updatedAt,
-                parentId: page.parentId || null,
-                collectionId: page.collectionId || colId,
-                sortOrder: typeof page.sortOrder === "number" ? page.sortOrder : 0
-            });
-
-            state.currentCollectionId = colId;
-            state.currentPageId = page.id;
-            renderPageList();
-            await loadPage(page.id);
-        } catch (error) {
-            console.error("페이지 생성 오류:", error);
-            alert("페이지를 생성하지 못했다: " + error.message);
-        } finally {
-            closeContextMenu();
-        }
+        closeContextMenu();
+        await openNewPageModal(colId);
         return;
     }
 
@@ -334,11 +416,41 @@ async function handlePageListClick(event, state) {
                 `;
             }
         } else {
+            // 템플릿 지정/해제 (컬렉션 템플릿은 쓰기 권한이 있을 때만)
+            const canEditCollection = collection && collection.permission !== 'READ';
+            let templateItems = '';
+            if (page && page.templateScope) {
+                templateItems = (page.templateScope === 'USER' || canEditCollection) ? `
+                    <button data-action="unset-template" data-page-id="${escapeHtml(pageId)}">
+                        <i class="fa-solid fa-clone"></i>
+                        템플릿 해제
+                    </button>
+                ` : '';
+            } else {
+                templateItems = `
+                    <button data-action="set-template-user" data-page-id="${escapeHtml(pageId)}">
+                        <i class="fa-regular fa-clone"></i>
+                        내 템플릿으로 지정
+                    </button>
+                    ${canEditCollection ? `
+                    <button data-action="set-template-collection" data-page-id="${escapeHtml(pageId)}">
+                        <i class="fa-solid fa-clone"></i>
+                        컬렉션 템플릿으로 지정
+                    </button>
+                    ` : ''}
+                `;
+            }
+
             menuItems = `
                 <button data-action="set-icon" data-page-id="${escapeHtml(pageId)}">
                     <i class="fa-solid fa-icons"></i>
                     아이콘 설정
                 </button>
+                ${templateItems}
+                <button data-action="export-page-markdown" data-page-id="${escapeHtml(pageId)}">
+                    <i class="fa-brands fa-markdown"></i>
+                    Markdown으로 내보내기
+                </button>
                 <button data-action="encrypt-page" data-page-id="${escapeHtml(pageId)}">
                     <i class="fa-solid fa-lock"></i>
                     암호화 설정
@@ -355,11 +467,26 @@ async function handlePageListClick(event, state) {
     }
 
     // 페이지 메뉴 액션
-    const pageMenuAction = event.target.closest("#context-menu button[data-action^='set-icon'], #context-menu button[data-action^='encrypt-page'], #context-menu button[data-action^='permanent-decrypt'], #context-menu button[data-action^='delete-page'], #context-menu button[data-action^='toggle-share']");
+    const pageMenuAction = event.target.closest("#context-menu button[data-action^='set-icon'], #context-menu button[data-action^='encrypt-page'], #context-menu button[data-action^='permanent-decrypt'], #context-menu button[data-action^='delete-page'], #context-menu button[data-action^='toggle-share'], #context-menu button[data-action$='-template'], #context-menu button[data-action^='set-template-'], #context-menu button[data-action='export-page-markdown']");
     if (pageMenuAction) {
         const action = pageMenuAction.dataset.action;
         const pageId = pageMenuAction.dataset.pageId;
 
+        if ((action === "set-template-user" || action === "set-template-collection" || action === "unset-template") && pageId) {
+            closeContextMenu();
+            const scope = action === "set-template-user" ? "USER"
+                : action === "set-template-collection" ? "COLLECTION"
+                : null;
+            await setPageTemplate(pageId, scope);
+            return;
+        }
+
+        if (action === "export-page-markdown" && pageId) {
+            closeContextMenu();
+            await exportPageMarkdown(pageId);
+            return;
+        }
+
         if (action === "set-icon" && pageId) {
             showIconPickerModal(pageId);
             closeContextMenu();
@@ -419,7 +546,7 @@ async function handlePageListClick(event, state) {
         }
 
         if (action === "delete-page" && pageId) {
-            const ok = confirm("이 페이지를 삭제하시겠습니까?");
+            const ok = confirm("이 페이지와 하위 페이지를 휴지통으로 이동하시겠습니까?");
             if (!ok) return;
             try {
                 const res = await secureFetch("/api/pages/" + encodeURIComponent(pageId), {
@@ -428,8 +555,10 @@ async function handlePageListClick(event, state) {
                 if (!res.ok) {
                     throw new Error("HTTP " + res.status + " " + res.statusText);
                 }
-                state.pages = state.pages.filter((p) => p.id !== pageId);
-                if (state.currentPageId === pageId) {
+                const data = await res.json();
+                const trashedIds = new Set(data.trashedIds || [pageId]);
+                state.pages = state.pages.filter((p) => !trashedIds.has(p.id));
+                if (trashedIds.has(state.currentPageId)) {
                     state.currentPageId = null;
                 }
                 renderPageList();
@@ -510,6 +639,12 @@ function bindLogoutButton() {
     if (!btn) return;
 
     btn.addEventListener("click", async () => {
+        // 로그아웃하면 이 기기의 오프라인 데이터가 삭제되므로 보내지 못한 변경이 있으면 확인
+        const pendingCount = await getPendingOperationCount();
+        if (pendingCount > 0 && !confirm(`서버에 아직 반영되지 않은 오프라인 변경 ${pendingCount}건이 삭제됩니다. 로그아웃하시겠습니까?`)) {
+            return;
+        }
+
         try {
             const res = await secureFetch("/api/auth/logout", {
                 method: "POST"
@@ -525,6 +660,9 @@ function bindLogoutButton() {
                 window.cryptoManager.clearMasterKey();
             }
 
+            // 이 기기에 저장된 페이지 본문/목록 삭제
+            await clearOfflineData();
+
             window.location.href = "/login";
         } catch (error) {
             console.error("로그아웃 오류:", error);
@@ -556,6 +694,8 @@ async function decryptAndLoadPage(page, password) {
     }
 
     renderPageList();
+    await loadPageTags(page.id);
+    loadBacklinks(page.id);
 
     if (window.innerWidth <= 768) {
         closeSidebar();
@@ -564,6 +704,11 @@ async function decryptAndLoadPage(page, password) {
     console.log("페이지 복호화 성공");
 }
 
+// 모바일 사이드바 (설치된 앱)
+const SIDEBAR_EDGE_SWIPE_WIDTH = 24; // 열기 제스처를 시작할 수 있는 왼쪽 가장자리 폭 (px)
+const SIDEBAR_SWIPE_DISTANCE = 60; // 열기/닫기로 인식할 최소 가로 이동 거리 (px)
+let sidebarHistoryEntry = false; // 사이드바를 열며 추가한 히스토리 항목이 있는지
+
 /**
  * 사이드바 열기
  */
@@ -577,6 +722,12 @@ function openSidebar() {
     if (overlay) {
         overlay.classList.add("visible");
     }
+
+    // 설치된 앱에는 브라우저 UI가 없으므로 뒤로 가기(안드로이드 뒤로 버튼)로 사이드바를 닫도록 히스토리 항목 추가
+    if (isStandaloneApp() && !sidebarHistoryEntry) {
+        history.pushState({ sidebar: true }, "");
+        sidebarHistoryEntry = true;
+    }
 }
 
 /**
@@ -592,6 +743,12 @@ function closeSidebar() {
     if (overlay) {
         overlay.classList.remove("visible");
     }
+
+    // 뒤로 가기 외의 방법으로 닫으면 추가했던 히스토리 항목 제거
+    if (sidebarHistoryEntry) {
+        sidebarHistoryEntry = false;
+        history.back();
+    }
 }
 
 /**
@@ -612,6 +769,66 @@ function bindMobileSidebar() {
             closeSidebar();
         });
     }
+
+    // 설치된 앱으로 실행 중인지 표시 (안전 영역 여백 등 CSS에서 사용)
+    const standaloneQuery = window.matchMedia("(display-mode: standalone)");
+    const updateStandaloneClass = () => {
+        document.documentElement.classList.toggle("standalone-app", isStandaloneApp());
+    };
+    updateStandaloneClass();
+    standaloneQuery.addEventListener("change", updateStandaloneClass);
+
+    // 뒤로 가기로 사이드바 닫기
+    window.addEventListener("popstate", () => {
+        if (sidebarHistoryEntry) {
+            sidebarHistoryEntry = false;
+            closeSidebar();
+        }
+    });
+
+    // 화면 왼쪽 가장자리에서 밀어 열고, 사이드바를 왼쪽으로 밀어 닫기
+    let touchStart = null;
+
+    document.addEventListener("touchstart", (event) => {
+        if (!isStandaloneApp() || window.innerWidth > 768 || event.touches.length !== 1) {
+            touchStart = null;
+            return;
+        }
+
+        const touch = event.touches[0];
+        const sidebar = document.querySelector(".sidebar");
+        const isOpen = !!(sidebar && sidebar.classList.contains("open"));
+
+        touchStart = (isOpen || touch.clientX <= SIDEBAR_EDGE_SWIPE_WIDTH)
+            ? { x: touch.clientX, y: touch.clientY, isOpen }
+            : null;
+    }, { passive: true });
+
+    document.addEventListener("touchend", (event) => {
+        if (!touchStart || !event.changedTouches.length) return;
+
+        const touch = event.changedTouches[0];
+        const dx = touch.clientX - touchStart.x;
+        const dy = touch.clientY - touchStart.y;
+        const { isOpen } = touchStart;
+        touchStart = null;
+
+        // 세로 스크롤은 무시
+        if (Math.abs(dx) < SIDEBAR_SWIPE_DISTANCE || Math.abs(dy) > Math.abs(dx)) return;
+
+        if (!isOpen && dx > 0) {
+            openSidebar();
+        } else if (isOpen && dx < 0) {
+            closeSidebar();
+        }
+    }, { passive: true });
+}
+
+/**
+ * 설치된 앱(홈 화면에서 실행)인지 확인
+ */
+function isStandaloneApp() {
+    return window.matchMedia("(display-mode: standalone)").matches || window.navigator.standalone === true;
 }
 
 /**
@@ -668,6 +885,7 @@ async function closeReadonlyWarningModal() {
 
         // 읽기모드로 전환 시 커버 버튼 숨김
         updateCoverButtonsVisibility();
+        renderPageTags();
 
         if (appState.currentPageId) {
             try {
@@ -817,6 +1035,72 @@ function bindPageListClick() {
     });
 }
 
+/**
+ * 페이지 링크 클릭 바인딩
+ * - 본문의 페이지 멘션: 읽기모드에서는 클릭, 쓰기모드에서는 Ctrl/Cmd+클릭 시 이동
+ * - 에디터 아래 백링크 목록
+ * - 알림 메뉴의 댓글 알림 (페이지 이동 후 해당 스레드 열기)
+ */
+function bindPageLinkClick() {
+    const editorEl = document.querySelector("#editor");
+    if (editorEl) {
+        editorEl.addEventListener("click", async (event) => {
+            const mention = event.target.closest(".page-mention[data-page-id]");
+            if (!mention) return;
+            if (appState.isWriteMode && !(event.ctrlKey || event.metaKey)) return;
+
+            event.preventDefault();
+            await openLinkedPage(mention.dataset.pageId);
+        });
+    }
+
+    const backlinksEl = document.querySelector("#page-backlinks");
+    if (backlinksEl) {
+        backlinksEl.addEventListener("click", async (event) => {
+            const item = event.target.closest(".page-backlink-item[data-page-id]");
+            if (!item) return;
+
+            await openLinkedPage(item.dataset.pageId);
+        });
+    }
+
+    const notificationsEl = document.querySelector("#notifications-list");
+    if (notificationsEl) {
+        notificationsEl.addEventListener("click", async (event) => {
+            if (event.target.closest(".notification-delete-btn")) return;
+
+            const item = event.target.closest(".notification-item[data-page-id]");
+            if (!item) return;
+
+            const { pageId, threadId } = item.dataset;
+            await openLinkedPage(pageId);
+            if (threadId && appState.currentPageId === pageId) {
+                openCommentThread(pageId, threadId);
+            }
+        });
+    }
+}
+
+/**
+ * 링크된 페이지로 이동 (암호화된 페이지는 복호화 모달 표시)
+ */
+async function openLinkedPage(pageId) {
+    if (!pageId || pageId === appState.currentPageId) return;
+
+    const page = appState.pages.find(p => p.id === pageId);
+    if (!page) {
+        alert("삭제되었거나 접근할 수 없는 페이지입니다.");
+        return;
+    }
+
+    if (page.isEncrypted) {
+        showDecryptionModal(page);
+        return;
+    }
+
+    await loadPage(pageId);
+}
+
 /**
  * Context Menu 클릭 바인딩
  */
@@ -918,14 +1202,40 @@ async function init() {
     // 페이지 발행 관리자 초기화
     initPublishManager(appState);
 
+    // 페이지 버전 기록 관리자 초기화
+    initRevisionManager(appState);
+    initSearchIndexManager(appState);
+
+    // 페이지 댓글 관리자 초기화
+    initCommentsManager(appState);
+
+    // 알림 센터 초기화
+    initNotificationsManager(appState);
+
+    // 오프라인 편집 관리자 초기화 (앱 화면 캐시용 서비스 워커 등록)
+    initOfflineManager(appState);
+    registerServiceWorker();
+
+    // 페이지 태그 관리자 초기화
+    initTagManager(appState);
+
+    // 페이지 템플릿 관리자 초기화
+    initTemplateManager(appState);
+
+    // Markdown 내보내기/불러오기 초기화
+    initMarkdownManager(appState);
+
     // 검색 기능 초기화
     initSearch();
 
     // 이벤트 바인딩
     initEvent();
     bindPageListClick();
+    bindPageLinkClick();
     bindContextMenuClick();
     bindNewCollectionButton();
+    bindTrashButton();
+    bindTagsButton();
     bindModeToggle();
     bindLogoutButton();
     bindSettingsModal();
@@ -933,22 +1243,36 @@ async function init() {
     bindDecryptionModal();
     bindShareModal();
     bindCollectionSettingsModal();
+    bindNewPageModal();
+    bindMarkdownImport();
     bindReadonlyWarningModal();
     bindDeletePermissionModal();
     bindEncryptPermissionModal();
     bindIconPickerModal();
     bindMobileSidebar();
     bindPublishEvents();
+    bindRevisionEvents();
+    bindCommentEvents();
+    bindNotificationEvents();
+    bindOfflineEvents();
     bindTotpModals();
     bindPasskeyModals();
     bindAccountManagementButtons();
     bindLoginLogsModal();
+    bindSessionsModal();
+    bindSecurityEventsModal();
+    bindApiTokensModal();
+    bindWebhooksModal();
+    bindAdminConsole();
 
     // 데이터 로드 - 병렬 처리로 최적화 (성능 개선)
     try {
         // 1. 사용자 정보 먼저 로드 (다른 API 호출에 필요할 수 있음)
         await fetchAndDisplayCurrentUser();
 
+        // 안 읽은 알림 수 표시 (페이지 로드와 무관하므로 기다리지 않음)
+        fetchNotifications();
+
         // 2. 컬렉션과 페이지 목록을 병렬로 로드
         const [collectionsResult, pagesResult] = await Promise.allSettled([
             fetchCollections(),
@@ -965,6 +1289,9 @@ async function init() {
             console.error('페이지 로드 실패:', pagesResult.reason);
             showErrorInEditor('페이지 목록을 불러오지 못했습니다.');
         }
+
+        // 지난번 오프라인에서 한 변경이 남아 있으면 재전송
+        replayOfflineQueue();
     } catch (error) {
         console.error('초기화 중 오류:', error);
         showErrorInEditor('데이터 로드에 실패했습니다. 페이지를 새로고침하세요.');
@@ -1153,6 +1480,7 @@ function initSearch() {
         clearTimeout(searchTimeout);
         searchTimeout = setTimeout(async () => {
             if (query.length === 0) {
+                searchState.requestId++;
                 hideSearchResults();
             } else if (query.length >= 2) {
                 await performSearch(query);
@@ -1161,51 +1489,64 @@ function initSearch() {
     });
 }
 
+// 현재 검색 상태 (더 보기 페이지네이션 및 이전 요청 응답 무시용)
+const SEARCH_PAGE_SIZE = 20;
+const searchState = {
+    query: '',
+    results: [],
+    encryptedResults: [],
+    total: 0,
+    requestId: 0
+};
+
 /**
- * 검색 실행
+ * 검색 실행 (서버 전문 검색 API 사용)
+ * @param {string} query - 검색어
+ * @param {boolean} append - true면 기존 결과 뒤에 다음 페이지를 이어 붙임
  */
-async function performSearch(query) {
-    const results = [];
-    const queryLower = query.toLowerCase();
-
-    for (const page of appState.pages) {
-        let titleToSearch = '';
-        let shouldInclude = false;
+async function performSearch(query, append = false) {
+    const requestId = ++searchState.requestId;
+    const offset = append ? searchState.results.length : 0;
 
-        if (page.isEncrypted) {
-            // 암호화된 페이지는 검색에서 제외 (보안상 이유)
-            shouldInclude = false;
-        } else {
-            // 평문 페이지: 제목과 내용에서 직접 검색
-            titleToSearch = page.title || '';
-            const content = page.content || '';
+    try {
+        const params = new URLSearchParams({
+            q: query,
+            limit: String(SEARCH_PAGE_SIZE),
+            offset: String(offset)
+        });
+        const res = await fetch(`/api/search?${params.toString()}`);
+        const data = await res.json();
 
-            // HTML 태그 제거
-            const tempDiv = document.createElement('div');
-            tempDiv.innerHTML = content;
-            const textContent = tempDiv.textContent || '';
+        // 입력이 바뀌어 더 최근 요청이 있으면 이 응답은 무시
+        if (requestId !== searchState.requestId) return;
 
-            const fullText = titleToSearch + ' ' + textContent;
-            shouldInclude = fullText.toLowerCase().includes(queryLower);
+        if (!res.ok) {
+            throw new Error(data.error || `HTTP ${res.status}`);
         }
 
-        if (shouldInclude) {
-            results.push({
-                id: page.id,
-                title: titleToSearch || '제목 없음',
-                collectionId: page.collectionId,
-                isEncrypted: page.isEncrypted
-            });
+        // 암호화 페이지는 서버 색인에 없으므로 잠금 해제된 컬렉션의 암호화 색인에서 별도 검색
+        if (!append) {
+            searchState.encryptedResults = await searchEncryptedIndexes(query);
+            if (requestId !== searchState.requestId) return;
         }
-    }
 
-    displaySearchResults(results, query);
+        searchState.query = query;
+        searchState.results = append ? searchState.results.concat(data.results) : data.results;
+        searchState.total = data.total;
+
+        displaySearchResults(searchState.encryptedResults.concat(searchState.results), searchState.total + searchState.encryptedResults.length);
+    } catch (error) {
+        if (requestId !== searchState.requestId) return;
+        console.error('검색 오류:', error);
+        displaySearchResults([], 0, error.message || '검색 중 오류가 발생했습니다.');
+    }
 }
 
 /**
  * 검색 결과 표시
+ * snippet은 서버에서 HTML 이스케이프 후 일치 부분만 <mark>로 감싼 값
  */
-function displaySearchResults(results, query) {
+function displaySearchResults(results, total, errorMessage = null) {
     const searchResultsContainer = document.getElementById('search-results');
     const searchCountEl = document.getElementById('search-count');
     const searchResultsList = document.getElementById('search-results-list');
@@ -1213,39 +1554,60 @@ function displaySearchResults(results, query) {
     if (!searchResultsContainer || !searchCountEl || !searchResultsList) return;
 
     // 검색 결과 개수 표시
-    searchCountEl.textContent = results.length;
+    searchCountEl.textContent = total;
 
     // 검색 결과 목록 생성
     searchResultsList.innerHTML = '';
 
-    if (results.length === 0) {
-        searchResultsList.innerHTML = '<li style="padding: 8px; color: #9ca3af; font-size: 13px;">검색 결과가 없습니다.</li>';
+    if (errorMessage) {
+        const li = document.createElement('li');
+        li.className = 'search-result-empty';
+        li.textContent = errorMessage;
+        searchResultsList.appendChild(li);
+    } else if (results.length === 0) {
+        searchResultsList.innerHTML = '<li class="search-result-empty">검색 결과가 없습니다.</li>';
     } else {
         results.forEach(result => {
             const li = document.createElement('li');
-            li.style.cssText = 'padding: 8px; cursor: pointer; border-radius: 4px; font-size: 13px; display: flex; align-items: center; gap: 6px;';
+            li.className = 'search-result-item';
             li.dataset.pageId = result.id;
 
-            // 암호화 아이콘 추가
-            if (result.isEncrypted) {
-                const lockIcon = document.createElement('i');
-                lockIcon.className = 'fa-solid fa-lock';
-                lockIcon.style.cssText = 'font-size: 10px; color: #9ca3af;';
-                li.appendChild(lockIcon);
+            const titleRow = document.createElement('div');
+            titleRow.className = 'search-result-title';
+
+            if (result.icon) {
+                const icon = document.createElement(result.icon.startsWith('fa-') ? 'i' : 'span');
+                if (result.icon.startsWith('fa-')) {
+                    icon.className = result.icon;
+                } else {
+                    icon.textContent = result.icon;
+                }
+                titleRow.appendChild(icon);
             }
 
             const titleSpan = document.createElement('span');
             titleSpan.textContent = result.title;
-            titleSpan.style.cssText = 'overflow: hidden; text-overflow: ellipsis; white-space: nowrap;';
-            li.appendChild(titleSpan);
+            titleRow.appendChild(titleSpan);
 
-            // 호버 효과
-            li.addEventListener('mouseenter', () => {
-                li.style.background = '#f3f4f6';
-            });
-            li.addEventListener('mouseleave', () => {
-                li.style.background = '';
-            });
+            // 암호화 색인에서 찾은 페이지 표시
+            if (result.isEncrypted) {
+                const lockIcon = document.createElement('i');
+                lockIcon.className = 'fa-solid fa-lock search-result-lock';
+                titleRow.appendChild(lockIcon);
+            }
+            li.appendChild(titleRow);
+
+            const meta = document.createElement('div');
+            meta.className = 'search-result-meta';
+            meta.textContent = result.collectionName || '';
+            li.appendChild(meta);
+
+            if (result.snippet) {
+                const snippet = document.createElement('div');
+                snippet.className = 'search-result-snippet';
+                snippet.innerHTML = result.snippet;
+                li.appendChild(snippet);
+            }
 
             // 클릭 시 페이지 로드
             li.addEventListener('click', async () => {
@@ -1256,6 +1618,46 @@ function displaySearchResults(results, query) {
 
             searchResultsList.appendChild(li);
         });
+
+        // 남은 결과가 있으면 더 보기 버튼 표시
+        if (results.length < total) {
+            const moreLi = document.createElement('li');
+            const moreBtn = document.createElement('button');
+            moreBtn.type = 'button';
+            moreBtn.className = 'search-more-button';
+            moreBtn.textContent = `더 보기 (${total - results.length}개 남음)`;
+            moreBtn.addEventListener('click', async (e) => {
+                e.stopPropagation();
+                moreBtn.disabled = true;
+                await performSearch(searchState.query, true);
+            });
+            moreLi.appendChild(moreBtn);
+            searchResultsList.appendChild(moreLi);
+        }
+    }
+
+    // 잠긴 암호화 컬렉션이 있으면 잠금 해제 후 함께 검색할 수 있도록 안내
+    const lockedCollections = errorMessage ? [] : getLockedEncryptedCollections();
+    if (lockedCollections.length > 0) {
+        const unlockLi = document.createElement('li');
+        const unlockBtn = document.createElement('button');
+        unlockBtn.type = 'button';
+        unlockBtn.className = 'search-more-button';
+        unlockBtn.innerHTML = `<i class="fa-solid fa-lock-open"></i> 암호화 컬렉션 ${lockedCollections.length}개 잠금 해제 후 검색`;
+        unlockBtn.addEventListener('click', async (e) => {
+            e.stopPropagation();
+            unlockBtn.disabled = true;
+            for (const collection of lockedCollections) {
+                try {
+                    await unlockCollectionSearch(collection.id);
+                } catch (error) {
+                    alert(`'${collection.name}' 잠금 해제 실패: ${error.message}`);
+                }
+            }
+            await performSearch(searchState.query);
+        });
+        unlockLi.appendChild(unlockBtn);
+        searchResultsList.appendChild(unlockLi);
     }
 
     // 검색 결과 영역 표시
@@ -0,0 +1,92 @@
+/**
+ * 페이지 백링크 모듈
+ *
+ * - 에디터 아래 "이 페이지를 링크한 페이지" 목록 (페이지 멘션으로 현재 페이지를 가리키는 페이지)
+ * - 항목 클릭 처리는 app.js의 페이지 링크 클릭 바인딩에서 담당
+ */
+
+import { escapeHtml } from './ui-utils.js';
+
+// 현재 페이지 백링크
+const backlinkState = {
+    pageId: null,
+    backlinks: [],
+    requestId: 0
+};
+
+/**
+ * 백링크 불러오기 (페이지 로드/저장 시 호출, null이면 패널 숨김)
+ */
+export async function loadBacklinks(pageId) {
+    const requestId = ++backlinkState.requestId;
+    backlinkState.pageId = pageId;
+    backlinkState.backlinks = [];
+    renderBacklinks();
+
+    if (!pageId) return;
+
+    try {
+        const res = await fetch(`/api/pages/${encodeURIComponent(pageId)}/backlinks`);
+        if (!res.ok) {
+            throw new Error("HTTP " + res.status);
+        }
+
+        const data = await res.json();
+
+        // 응답 전에 다른 페이지로 이동했으면 무시
+        if (requestId !== backlinkState.requestId) return;
+
+        backlinkState.backlinks = Array.isArray(data.backlinks) ? data.backlinks : [];
+        renderBacklinks();
+    } catch (error) {
+        console.error("백링크 조회 오류:", error);
+    }
+}
+
+/**
+ * 백링크 패널 렌더링 (백링크가 없으면 숨김)
+ */
+function renderBacklinks() {
+    const container = document.getElementById("page-backlinks");
+    if (!container) return;
+
+    container.innerHTML = "";
+
+    if (!backlinkState.pageId || !backlinkState.backlinks.length) {
+        container.style.display = "none";
+        return;
+    }
+
+    container.style.display = "block";
+
+    const header = document.createElement("div");
+    header.className = "page-backlinks-header";
+    header.innerHTML = `<i class="fa-solid fa-link"></i><span>이 페이지를 링크한 페이지 ${backlinkState.backlinks.length}개</span>`;
+    container.appendChild(header);
+
+    const list = document.createElement("ul");
+    list.className = "page-backlinks-list";
+
+    backlinkState.backlinks.forEach((page) => {
+        const li = document.createElement("li");
+        li.className = "page-backlink-item";
+        li.dataset.pageId = page.id;
+
+        let iconHtml = `<i class="fa-regular fa-file-lines"></i>`;
+        if (page.icon) {
+            iconHtml = page.icon.startsWith('fa-')
+                ? `<i class="${escapeHtml(page.icon)}"></i>`
+                : `<span>${escapeHtml(page.icon)}</span>`;
+        }
+
+        li.innerHTML = `
+            <span class="page-backlink-icon">${iconHtml}</span>
+            <span class="page-backlink-title">${escapeHtml(page.title || "제목 없음")}</span>
+            <span class="page-backlink-collection">${escapeHtml(page.collectionName || "")}</span>
+        `;
+
+        list.appendChild(li);
+    });
+
+    container.appendChild(list);
+}
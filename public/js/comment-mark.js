@@ -0,0 +1,43 @@
+/**
+ * Tiptap Comment Mark Extension
+ * 댓글 스레드가 달린 본문 텍스트 범위를 표시하는 마크
+ *
+ * 마크는 서버가 Yjs 문서에 직접 적용하므로(읽기 권한 사용자도 댓글 가능) 편집기 명령은 제공하지 않음.
+ * 해결된 스레드의 표시는 comments-manager.js가 스타일로 흐리게 처리함.
+ */
+
+const Mark = Tiptap.Core.Mark;
+
+export const CommentMark = Mark.create({
+    name: 'comment',
+
+    // 표시된 범위 끝에서 입력한 글자에는 마크를 이어 붙이지 않음
+    inclusive: false,
+
+    addAttributes() {
+        return {
+            commentId: {
+                default: null,
+                parseHTML: element => element.getAttribute('data-comment-id'),
+                renderHTML: attributes => {
+                    if (!attributes.commentId) {
+                        return {};
+                    }
+                    return { 'data-comment-id': attributes.commentId };
+                },
+            },
+        };
+    },
+
+    parseHTML() {
+        return [
+            {
+                tag: 'span[data-comment-id]',
+            },
+        ];
+    },
+
+    renderHTML({ HTMLAttributes }) {
+        return ['span', { ...HTMLAttributes, class: 'comment-anchor' }, 0];
+    },
+});
@@ -0,0 +1,767 @@
+/**
+ * 페이지 댓글 모듈
+ *
+ * - 본문 텍스트를 선택해 댓글 스레드 작성 (선택 범위는 Yjs 상대 위치로 전송, 서버가 본문에 마크 적용)
+ * - 스레드 답글, 수정/삭제, 해결/다시 열기, @아이디 멘션 자동완성
+ * - 다른 사용자의 변경은 WebSocket 'comment-change' 이벤트로 반영 (sync-manager.js에서 전달)
+ */
+
+// sync-manager.js와 같은 Yjs/y-prosemirror 인스턴스를 쓰도록 동일한 경로로 가져옴
+import * as Y from '/vendor/modules/yjs@13.6.18.js';
+import { ySyncPluginKey, absolutePositionToRelativePosition } from '/vendor/modules/y-prosemirror@1.2.12.js';
+import { secureFetch, escapeHtml } from './ui-utils.js';
+import { formatDateTime } from './login-logs-manager.js';
+
+// 멘션 자동완성 최대 표시 개수
+const MENTION_SUGGESTION_LIMIT = 6;
+
+// 전역 상태
+let state = null;
+const commentState = {
+    pageId: null,
+    threads: [],
+    members: null,
+    requestId: 0,
+    isOpen: false,
+    showResolved: false,
+    activeThreadId: null,
+    pendingSelection: null,    // { quote, anchor } - 새 스레드가 달릴 선택 범위
+    editingCommentId: null,
+    reloadTimer: null,
+    pendingFocus: null         // { pageId, threadId } - 페이지를 불러온 뒤 열 스레드 (알림에서 이동)
+};
+
+/**
+ * 댓글 관리자 초기화
+ */
+export function initCommentsManager(appState) {
+    state = appState;
+}
+
+/**
+ * 댓글 불러오기 (페이지 로드 시 호출, null이면 버튼/패널 숨김)
+ */
+export async function loadComments(pageId) {
+    const requestId = ++commentState.requestId;
+
+    if (commentState.pageId !== pageId) {
+        commentState.threads = [];
+        commentState.members = null;
+        commentState.activeThreadId = null;
+        commentState.pendingSelection = null;
+        commentState.editingCommentId = null;
+    }
+    commentState.pageId = pageId;
+
+    if (!pageId) {
+        closeCommentsPanel();
+        renderComments();
+        return;
+    }
+
+    try {
+        const res = await fetch(`/api/pages/${encodeURIComponent(pageId)}/comments`);
+        if (!res.ok) {
+            throw new Error("HTTP " + res.status);
+        }
+
+        const data = await res.json();
+
+        // 응답 전에 다른 페이지로 이동했으면 무시
+        if (requestId !== commentState.requestId) return;
+
+        commentState.threads = Array.isArray(data.threads) ? data.threads : [];
+        renderComments();
+        applyPendingFocus();
+    } catch (error) {
+        console.error("댓글 조회 오류:", error);
+        if (requestId === commentState.requestId) {
+            commentState.threads = [];
+            renderComments();
+        }
+    }
+}
+
+/**
+ * 특정 스레드 열기 (알림에서 이동)
+ * 페이지를 아직 불러오는 중이면 댓글을 불러온 뒤 열림
+ */
+export function openCommentThread(pageId, threadId) {
+    commentState.pendingFocus = { pageId, threadId: Number(threadId) };
+
+    if (commentState.pageId === pageId && commentState.threads.length) {
+        applyPendingFocus();
+    }
+}
+
+function applyPendingFocus() {
+    const pending = commentState.pendingFocus;
+    if (!pending || pending.pageId !== commentState.pageId) return;
+
+    commentState.pendingFocus = null;
+    if (!commentState.threads.some((thread) => thread.id === pending.threadId)) return;
+
+    openCommentsPanel();
+    focusThread(pending.threadId, { scrollAnchor: true });
+}
+
+/**
+ * 다른 사용자의 댓글 변경 반영 (WebSocket 'comment-change')
+ */
+export function applyRemoteCommentChange(data) {
+    if (!data || data.pageId !== commentState.pageId) return;
+
+    // 연속된 변경은 한 번에 다시 불러옴
+    clearTimeout(commentState.reloadTimer);
+    commentState.reloadTimer = setTimeout(() => {
+        loadComments(commentState.pageId);
+    }, 200);
+}
+
+/**
+ * 에디터 선택 범위를 댓글 위치로 변환
+ * 서버는 한 텍스트 노드 안의 범위에만 마크를 적용하므로 시작 문단 안으로 범위를 제한함
+ */
+function captureSelection() {
+    const editor = state?.editor;
+    if (!editor || editor.isDestroyed) return null;
+
+    let { from, to } = editor.state.selection;
+
+    // 읽기 모드에서는 에디터 선택이 갱신되지 않을 수 있어 DOM 선택으로 보완
+    if (from === to) {
+        const domSelection = window.getSelection();
+        if (domSelection && domSelection.rangeCount > 0 && !domSelection.isCollapsed
+            && editor.view.dom.contains(domSelection.anchorNode)
+            && editor.view.dom.contains(domSelection.focusNode)) {
+            try {
+                const range = domSelection.getRangeAt(0);
+                from = editor.view.posAtDOM(range.startContainer, range.startOffset);
+                to = editor.view.posAtDOM(range.endContainer, range.endOffset);
+            } catch (error) {
+                return null;
+            }
+        }
+    }
+
+    if (from >= to) return null;
+
+    const $from = editor.state.doc.resolve(from);
+    if (!$from.parent.isTextblock) return null;
+    to = Math.min(to, $from.end());
+
+    const quote = editor.state.doc.textBetween(from, to, " ").replace(/\s+/g, " ").trim();
+    if (!quote) return null;
+
+    const syncState = ySyncPluginKey.getState(editor.state);
+    if (!syncState || !syncState.binding) return null;
+
+    const { type, binding } = syncState;
+    const encode = (pos) => {
+        const relPos = absolutePositionToRelativePosition(pos, type, binding.mapping);
+        const bytes = Y.encodeRelativePosition(relPos);
+        return btoa(String.fromCharCode(...bytes));
+    };
+
+    return {
+        quote,
+        anchor: { from: encode(from), to: encode(to) }
+    };
+}
+
+/**
+ * 댓글 버튼 표시/숨김 + 열린 스레드 수
+ */
+function updateCommentsButton() {
+    const btn = document.getElementById("page-comments-btn");
+    if (!btn) return;
+
+    if (!commentState.pageId) {
+        btn.style.display = "none";
+        return;
+    }
+
+    btn.style.display = "flex";
+
+    const countEl = document.getElementById("page-comments-count");
+    if (countEl) {
+        const openCount = commentState.threads.filter((thread) => !thread.resolved).length;
+        countEl.textContent = String(openCount);
+        countEl.style.display = openCount > 0 ? "" : "none";
+    }
+}
+
+/**
+ * 댓글 패널 열기 (선택한 텍스트가 있으면 해당 범위에 새 스레드 작성)
+ */
+function openCommentsPanel(selection = null) {
+    const panel = document.getElementById("comments-panel");
+    if (!panel || !commentState.pageId) return;
+
+    commentState.isOpen = true;
+    if (selection) {
+        commentState.pendingSelection = selection;
+    }
+
+    panel.style.display = "flex";
+    renderComposer();
+    renderComments();
+    ensureMembersLoaded();
+
+    if (selection) {
+        document.getElementById("comments-composer-input")?.focus();
+    }
+}
+
+/**
+ * 댓글 패널 닫기
+ */
+function closeCommentsPanel() {
+    const panel = document.getElementById("comments-panel");
+
+    commentState.isOpen = false;
+    commentState.activeThreadId = null;
+    commentState.pendingSelection = null;
+    hideMentionMenu();
+
+    if (panel) {
+        panel.style.display = "none";
+    }
+    updateAnchorStyles();
+}
+
+/**
+ * 멘션 자동완성용 사용자 목록 (패널을 처음 열 때 한 번 조회)
+ */
+async function ensureMembersLoaded() {
+    if (commentState.members || !commentState.pageId) return;
+
+    const pageId = commentState.pageId;
+    try {
+        const res = await fetch(`/api/pages/${encodeURIComponent(pageId)}/comments/members`);
+        if (!res.ok) {
+            throw new Error("HTTP " + res.status);
+        }
+
+        const data = await res.json();
+        if (pageId === commentState.pageId) {
+            commentState.members = Array.isArray(data.members) ? data.members : [];
+        }
+    } catch (error) {
+        console.error("멘션 사용자 목록 조회 오류:", error);
+    }
+}
+
+/**
+ * 새 댓글 입력 영역 (선택한 텍스트 인용 표시)
+ */
+function renderComposer() {
+    const quoteBox = document.getElementById("comments-composer-quote");
+    const quoteText = document.getElementById("comments-composer-quote-text");
+    const input = document.getElementById("comments-composer-input");
+    if (!quoteBox || !quoteText || !input) return;
+
+    const selection = commentState.pendingSelection;
+    if (selection) {
+        quoteText.textContent = selection.quote;
+        quoteBox.style.display = "flex";
+        input.placeholder = "선택한 텍스트에 댓글을 입력하세요. @아이디로 멘션할 수 있습니다.";
+    } else {
+        quoteText.textContent = "";
+        quoteBox.style.display = "none";
+        input.placeholder = "페이지에 댓글을 입력하세요. @아이디로 멘션할 수 있습니다.";
+    }
+
+    showComposerError("");
+}
+
+function showComposerError(message) {
+    const errorEl = document.getElementById("comments-composer-error");
+    if (errorEl) {
+        errorEl.textContent = message;
+    }
+}
+
+/**
+ * 댓글 본문 HTML (멘션된 사용자 강조)
+ */
+function renderCommentContent(comment) {
+    let html = escapeHtml(comment.content);
+
+    (comment.mentions || []).forEach((username) => {
+        const mention = "@" + escapeHtml(username);
+        html = html.split(mention).join(`<span class="comment-mention">${mention}</span>`);
+    });
+
+    return html;
+}
+
+/**
+ * 스레드 목록 렌더링
+ */
+function renderComments() {
+    updateCommentsButton();
+    updateAnchorStyles();
+
+    const list = document.getElementById("comments-thread-list");
+    if (!list || !commentState.isOpen) return;
+
+    const threads = commentState.threads.filter((thread) => commentState.showResolved || !thread.resolved);
+
+    if (threads.length === 0) {
+        list.innerHTML = `<div class="comments-empty">${commentState.threads.length ? "열린 댓글이 없습니다." : "아직 댓글이 없습니다."}</div>`;
+        return;
+    }
+
+    list.innerHTML = threads.map((thread) => {
+        const classes = ["comment-thread"];
+        if (thread.resolved) classes.push("resolved");
+        if (thread.id === commentState.activeThreadId) classes.push("active");
+
+        const quoteHtml = thread.quote
+            ? `<blockquote class="comment-thread-quote" data-action="focus-anchor">${escapeHtml(thread.quote)}</blockquote>`
+            : "";
+
+        const commentsHtml = thread.comments.map((comment) => {
+            const isEditing = comment.id === commentState.editingCommentId;
+            const edited = comment.updatedAt && comment.updatedAt !== comment.createdAt;
+
+            const actions = [];
+            if (comment.canEdit && !isEditing) {
+                actions.push(`<button type="button" data-action="edit" title="수정"><i class="fa-solid fa-pen"></i></button>`);
+            }
+            if (comment.canDelete && !isEditing) {
+                actions.push(`<button type="button" data-action="delete" title="삭제"><i class="fa-solid fa-trash"></i></button>`);
+            }
+
+            const bodyHtml = isEditing
+                ? `<textarea class="comments-textarea comment-edit-input" rows="3">${escapeHtml(comment.content)}</textarea>
+                   <div class="comment-edit-actions">
+                       <button type="button" class="secondary-button" data-action="cancel-edit">취소</button>
+                       <button type="button" class="primary-button" data-action="save-edit">저장</button>
+                   </div>`
+                : `<div class="comment-content">${renderCommentContent(comment)}</div>`;
+
+            return `
+                <div class="comment-item" data-comment-id="${comment.id}">
+                    <div class="comment-meta">
+                        <span class="comment-author">${escapeHtml(comment.username || "알 수 없음")}</span>
+                        <span class="comment-time">${escapeHtml(formatDateTime(comment.createdAt))}${edited ? " (수정됨)" : ""}</span>
+                        <span class="comment-item-actions">${actions.join("")}</span>
+                    </div>
+                    ${bodyHtml}
+                </div>
+            `;
+        }).join("");
+
+        let threadActions = "";
+        if (thread.resolved) {
+            threadActions = `<span class="comment-resolved-info"><i class="fa-solid fa-check"></i> ${escapeHtml(thread.resolvedBy || "")} 해결함</span>`;
+            if (thread.canResolve) {
+                threadActions += `<button type="button" class="comment-thread-btn" data-action="reopen">다시 열기</button>`;
+            }
+        } else if (thread.canResolve) {
+            threadActions = `<button type="button" class="comment-thread-btn" data-action="resolve"><i class="fa-solid fa-check"></i> 해결</button>`;
+        }
+
+        return `
+            <div class="${classes.join(" ")}" data-thread-id="${thread.id}">
+                ${quoteHtml}
+                ${commentsHtml}
+                <div class="comment-thread-actions">${threadActions}</div>
+                <div class="comment-reply">
+                    <textarea class="comments-textarea comment-reply-input" rows="1" placeholder="답글 입력..."></textarea>
+                    <button type="button" class="comment-thread-btn" data-action="reply">답글</button>
+                </div>
+            </div>
+        `;
+    }).join("");
+}
+
+/**
+ * 본문 표시 스타일 (해결된 스레드는 흐리게, 선택한 스레드는 강조)
+ * 에디터가 다시 렌더링되어도 유지되도록 DOM 대신 스타일 규칙으로 처리
+ */
+function updateAnchorStyles() {
+    let styleEl = document.getElementById("comment-anchor-styles");
+    if (!styleEl) {
+        styleEl = document.createElement("style");
+        styleEl.id = "comment-anchor-styles";
+        document.head.appendChild(styleEl);
+    }
+
+    const rules = commentState.threads
+        .filter((thread) => thread.resolved)
+        .map((thread) => `#editor .comment-anchor[data-comment-id="${Number(thread.id)}"] { background: transparent; border-bottom-color: transparent; }`);
+
+    if (commentState.activeThreadId) {
+        rules.push(`#editor .comment-anchor[data-comment-id="${Number(commentState.activeThreadId)}"] { background: var(--comment-anchor-active-bg, rgba(255, 196, 0, 0.55)); }`);
+    }
+
+    styleEl.textContent = rules.join("\n");
+}
+
+/**
+ * 스레드 선택 (본문 표시 강조 + 목록에서 스크롤)
+ */
+function focusThread(threadId, { scrollAnchor = false } = {}) {
+    commentState.activeThreadId = threadId;
+
+    const thread = commentState.threads.find((t) => t.id === threadId);
+    if (thread && thread.resolved) {
+        commentState.showResolved = true;
+        const checkbox = document.getElementById("comments-show-resolved");
+        if (checkbox) checkbox.checked = true;
+    }
+
+    renderComments();
+
+    const threadEl = document.querySelector(`#comments-thread-list .comment-thread[data-thread-id="${Number(threadId)}"]`);
+    threadEl?.scrollIntoView({ block: "nearest", behavior: "smooth" });
+
+    if (scrollAnchor) {
+        const anchorEl = document.querySelector(`#editor .comment-anchor[data-comment-id="${Number(threadId)}"]`);
+        anchorEl?.scrollIntoView({ block: "center", behavior: "smooth" });
+    }
+}
+
+/**
+ * JSON 요청 (실패 시 서버 오류 메시지로 예외)
+ */
+async function sendJson(method, url, body) {
+    const res = await secureFetch(url, {
+        method,
+        headers: { "Content-Type": "application/json" },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await res.json().catch(() => ({}));
+
+    if (!res.ok) {
+        throw new Error(data.error || "요청을 처리하지 못했습니다.");
+    }
+
+    return data;
+}
+
+function commentsUrl(suffix = "") {
+    return `/api/pages/${encodeURIComponent(commentState.pageId)}/comments${suffix}`;
+}
+
+/**
+ * 새 스레드 작성
+ */
+async function submitNewThread() {
+    const input = document.getElementById("comments-composer-input");
+    const submitBtn = document.getElementById("comments-composer-submit");
+    if (!input || !commentState.pageId) return;
+
+    const content = input.value.trim();
+    if (!content) {
+        showComposerError("댓글 내용을 입력해 주세요.");
+        return;
+    }
+
+    const selection = commentState.pendingSelection;
+    if (submitBtn) submitBtn.disabled = true;
+
+    try {
+        const data = await sendJson("POST", commentsUrl(), {
+            content,
+            quote: selection ? selection.quote : undefined,
+            anchor: selection ? selection.anchor : undefined
+        });
+
+        commentState.threads.push(data.thread);
+        commentState.pendingSelection = null;
+        input.value = "";
+        renderComposer();
+        focusThread(data.thread.id);
+    } catch (error) {
+        console.error("댓글 작성 실패:", error);
+        showComposerError(error.message);
+    } finally {
+        if (submitBtn) submitBtn.disabled = false;
+    }
+}
+
+/**
+ * 스레드 목록 버튼 처리 (이벤트 위임)
+ */
+async function handleThreadAction(event) {
+    const actionEl = event.target.closest("[data-action]");
+    const threadEl = event.target.closest(".comment-thread");
+    if (!threadEl) return;
+
+    const threadId = Number(threadEl.dataset.threadId);
+
+    if (!actionEl) {
+        if (threadId !== commentState.activeThreadId && !event.target.closest("textarea")) {
+            focusThread(threadId);
+        }
+        return;
+    }
+
+    const commentEl = event.target.closest(".comment-item");
+    const commentId = commentEl ? Number(commentEl.dataset.commentId) : null;
+    const action = actionEl.dataset.action;
+
+    try {
+        switch (action) {
+            case "focus-anchor":
+                focusThread(threadId, { scrollAnchor: true });
+                break;
+            case "reply": {
+                const input = threadEl.querySelector(".comment-reply-input");
+                const content = input ? input.value.trim() : "";
+                if (!content) return;
+
+                actionEl.disabled = true;
+                await sendJson("POST", commentsUrl(`/${threadId}/replies`), { content });
+                commentState.activeThreadId = threadId;
+                await loadComments(commentState.pageId);
+                break;
+            }
+            case "edit":
+                commentState.editingCommentId = commentId;
+                renderComments();
+                document.querySelector(`.comment-item[data-comment-id="${commentId}"] .comment-edit-input`)?.focus();
+                break;
+            case "cancel-edit":
+                commentState.editingCommentId = null;
+                renderComments();
+                break;
+            case "save-edit": {
+                const input = commentEl.querySelector(".comment-edit-input");
+                const content = input ? input.value.trim() : "";
+                if (!content) return;
+
+                actionEl.disabled = true;
+                await sendJson("PATCH", commentsUrl(`/${commentId}`), { content });
+                commentState.editingCommentId = null;
+                await loadComments(commentState.pageId);
+                break;
+            }
+            case "delete": {
+                const isRoot = commentId === threadId;
+                const message = isRoot
+                    ? "이 스레드를 삭제하시겠습니까?\n모든 답글과 본문 표시가 함께 삭제됩니다."
+                    : "이 댓글을 삭제하시겠습니까?";
+                if (!confirm(message)) return;
+
+                await sendJson("DELETE", commentsUrl(`/${commentId}`));
+                if (isRoot && commentState.activeThreadId === threadId) {
+                    commentState.activeThreadId = null;
+                }
+                await loadComments(commentState.pageId);
+                break;
+            }
+            case "resolve":
+            case "reopen":
+                await sendJson("POST", commentsUrl(`/${threadId}/${action}`));
+                await loadComments(commentState.pageId);
+                break;
+        }
+    } catch (error) {
+        console.error("댓글 처리 실패:", error);
+        alert(error.message);
+        actionEl.disabled = false;
+    }
+}
+
+/**
+ * 입력 중인 @멘션 (캐럿 바로 앞의 "@아이디 일부")
+ */
+function getMentionQuery(textarea) {
+    const before = textarea.value.slice(0, textarea.selectionStart);
+    const match = before.match(/(^|\s)@([^\s@]*)$/);
+    return match ? match[2] : null;
+}
+
+function hideMentionMenu() {
+    const menu = document.getElementById("comments-mention-menu");
+    if (menu) {
+        menu.remove();
+    }
+}
+
+/**
+ * 멘션 자동완성 메뉴 표시
+ */
+function showMentionMenu(textarea) {
+    const query = getMentionQuery(textarea);
+    const members = commentState.members || [];
+
+    if (query === null || members.length === 0) {
+        hideMentionMenu();
+        return;
+    }
+
+    const lowerQuery = query.toLowerCase();
+    const matches = members
+        .filter((username) => username.toLowerCase().startsWith(lowerQuery))
+        .slice(0, MENTION_SUGGESTION_LIMIT);
+
+    if (matches.length === 0) {
+        hideMentionMenu();
+        return;
+    }
+
+    let menu = document.getElementById("comments-mention-menu");
+    if (!menu) {
+        menu = document.createElement("div");
+        menu.id = "comments-mention-menu";
+        menu.className = "comments-mention-menu";
+    }
+
+    menu.innerHTML = matches
+        .map((username, index) => `<button type="button" class="comments-mention-option${index === 0 ? " selected" : ""}" data-username="${escapeHtml(username)}">@${escapeHtml(username)}</button>`)
+        .join("");
+
+    // 입력창 바로 아래에 표시
+    textarea.insertAdjacentElement("afterend", menu);
+
+    menu.onmousedown = (e) => {
+        const option = e.target.closest(".comments-mention-option");
+        if (!option) return;
+        e.preventDefault();
+        insertMention(textarea, option.dataset.username);
+    };
+}
+
+/**
+ * 입력 중인 @멘션을 선택한 아이디로 바꿈
+ */
+function insertMention(textarea, username) {
+    const caret = textarea.selectionStart;
+    const before = textarea.value.slice(0, caret).replace(/@([^\s@]*)$/, `@${username} `);
+    const after = textarea.value.slice(caret);
+
+    textarea.value = before + after;
+    textarea.setSelectionRange(before.length, before.length);
+    textarea.focus();
+    hideMentionMenu();
+}
+
+/**
+ * 멘션 메뉴 키보드 처리 (위/아래 이동, Enter/Tab 선택, Esc 닫기)
+ * 메뉴를 처리했으면 true
+ */
+function handleMentionKeydown(event, textarea) {
+    const menu = document.getElementById("comments-mention-menu");
+    if (!menu || menu.previousElementSibling !== textarea) return false;
+
+    const options = Array.from(menu.querySelectorAll(".comments-mention-option"));
+    const currentIndex = options.findIndex((option) => option.classList.contains("selected"));
+
+    if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+        const delta = event.key === "ArrowDown" ? 1 : -1;
+        const nextIndex = (currentIndex + delta + options.length) % options.length;
+        options.forEach((option, index) => option.classList.toggle("selected", index === nextIndex));
+        event.preventDefault();
+        return true;
+    }
+
+    if (event.key === "Enter" || event.key === "Tab") {
+        const selected = options[currentIndex] || options[0];
+        if (selected) {
+            event.preventDefault();
+            insertMention(textarea, selected.dataset.username);
+            return true;
+        }
+    }
+
+    if (event.key === "Escape") {
+        hideMentionMenu();
+        event.preventDefault();
+        return true;
+    }
+
+    return false;
+}
+
+/**
+ * 댓글 관련 이벤트 바인딩
+ */
+export function bindCommentEvents() {
+    const commentsBtn = document.getElementById("page-comments-btn");
+    if (commentsBtn) {
+        // 클릭 시점에는 에디터 선택이 풀릴 수 있어 mousedown에서 선택 범위를 저장
+        let capturedSelection = null;
+        commentsBtn.addEventListener("mousedown", () => {
+            capturedSelection = captureSelection();
+        });
+        commentsBtn.addEventListener("click", () => {
+            const selection = capturedSelection || captureSelection();
+            capturedSelection = null;
+
+            if (commentState.isOpen && !selection) {
+                closeCommentsPanel();
+            } else {
+                openCommentsPanel(selection);
+            }
+        });
+    }
+
+    document.getElementById("close-comments-panel-btn")?.addEventListener("click", closeCommentsPanel);
+
+    document.getElementById("comments-show-resolved")?.addEventListener("change", (e) => {
+        commentState.showResolved = e.target.checked;
+        renderComments();
+    });
+
+    document.getElementById("comments-composer-clear-quote")?.addEventListener("click", () => {
+        commentState.pendingSelection = null;
+        renderComposer();
+    });
+
+    document.getElementById("comments-composer-submit")?.addEventListener("click", submitNewThread);
+
+    const panel = document.getElementById("comments-panel");
+    if (panel) {
+        panel.addEventListener("input", (e) => {
+            if (e.target.matches("textarea.comments-textarea")) {
+                showMentionMenu(e.target);
+            }
+        });
+
+        panel.addEventListener("keydown", (e) => {
+            if (!e.target.matches("textarea.comments-textarea")) return;
+            if (handleMentionKeydown(e, e.target)) return;
+
+            // Ctrl/Cmd + Enter로 전송
+            if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                if (e.target.id === "comments-composer-input") {
+                    submitNewThread();
+                } else {
+                    e.target.closest(".comment-thread")
+                        ?.querySelector(e.target.classList.contains("comment-edit-input") ? '[data-action="save-edit"]' : '[data-action="reply"]')
+                        ?.click();
+                }
+            }
+        });
+
+        panel.addEventListener("focusout", (e) => {
+            if (e.target.matches("textarea.comments-textarea")) {
+                hideMentionMenu();
+            }
+        });
+    }
+
+    document.getElementById("comments-thread-list")?.addEventListener("click", handleThreadAction);
+
+    // 본문의 댓글 표시 클릭 시 해당 스레드로 이동
+    document.getElementById("editor")?.addEventListener("click", (e) => {
+        const anchorEl = e.target.closest(".comment-anchor[data-comment-id]");
+        if (!anchorEl || !commentState.pageId) return;
+
+        const threadId = Number(anchorEl.dataset.commentId);
+        if (!commentState.threads.some((thread) => thread.id === threadId)) return;
+
+        // 텍스트를 선택하는 중이면 무시
+        if (!window.getSelection()?.isCollapsed) return;
+
+        openCommentsPanel();
+        focusThread(threadId);
+    });
+}
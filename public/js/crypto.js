@@ -14,6 +14,8 @@ class CryptoManager {
         this.masterKeySalt = null; // 마스터 키용 salt (사용자별 고정)
         this.loginPassword = null; // 로그인 비밀번호 (세션 동안 유지)
 
+        this.collectionKeys = new Map(); // 잠금 해제된 컬렉션 키 (collectionId -> CryptoKey, 메모리 전용)
+
         this.inactivityTimer = null; // 자동 로그아웃 타이머
         this.INACTIVITY_TIMEOUT = 15 * 60 * 1000; // 15분 (밀리초)
     }
@@ -309,6 +311,7 @@ class CryptoManager {
      */
     handleInactivityTimeout() {
         this.clearKey();
+        this.clearCollectionKeys();
 
         // 로그아웃 API 호출
         fetch('/api/auth/logout', { method: 'POST' })
@@ -328,9 +331,81 @@ class CryptoManager {
 
     // ==================== 마스터 키 시스템 제거됨 ====================
     // initializeMasterKey, encryptWithMasterKey, decryptWithMasterKey 제거됨
-    // generateCollectionKey, encryptCollectionKey, decryptCollectionKey 제거됨
     // 선택적 암호화 시스템으로 변경
 
+    // ==================== 컬렉션 키 (컬렉션 비밀번호 방식) ====================
+
+    /**
+     * 새 컬렉션 키 생성 (AES-256-GCM)
+     * @returns {Promise<CryptoKey>}
+     */
+    async generateCollectionKey() {
+        return crypto.subtle.generateKey(
+            { name: 'AES-GCM', length: 256 },
+            true,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * 컬렉션 키를 컬렉션 비밀번호로 감싸기 (서버에는 이 결과만 저장)
+     * @param {CryptoKey} key - 컬렉션 키
+     * @param {string} password - 컬렉션 비밀번호
+     * @returns {Promise<string>} SALT:<salt>:ENC2:<encrypted> 형식
+     */
+    async wrapCollectionKey(key, password) {
+        const rawKey = await crypto.subtle.exportKey('raw', key);
+        const { key: wrappingKey, salt } = await this.deriveKeyFromPassword(password);
+
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const ciphertext = await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: iv, tagLength: 128 },
+            wrappingKey,
+            new TextEncoder().encode(this.arrayBufferToBase64(rawKey))
+        );
+
+        const combined = new Uint8Array(iv.length + ciphertext.byteLength);
+        combined.set(iv, 0);
+        combined.set(new Uint8Array(ciphertext), iv.length);
+
+        return `SALT:${this.arrayBufferToBase64(salt.buffer)}:ENC2:${this.arrayBufferToBase64(combined.buffer)}`;
+    }
+
+    /**
+     * 컬렉션 비밀번호로 감싼 컬렉션 키 풀기
+     * @param {string} wrappedKey - wrapCollectionKey 결과
+     * @param {string} password - 컬렉션 비밀번호
+     * @returns {Promise<CryptoKey>}
+     */
+    async unwrapCollectionKey(wrappedKey, password) {
+        const rawKeyBase64 = await this.decrypt(wrappedKey, password);
+        return crypto.subtle.importKey(
+            'raw',
+            this.base64ToArrayBuffer(rawKeyBase64),
+            { name: 'AES-GCM', length: 256 },
+            false,
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * 잠금 해제된 컬렉션 키 저장/조회
+     */
+    setCollectionKey(collectionId, key) {
+        this.collectionKeys.set(collectionId, key);
+    }
+
+    getCollectionKey(collectionId) {
+        return this.collectionKeys.get(collectionId) || null;
+    }
+
+    /**
+     * 잠금 해제된 컬렉션 키 모두 제거 (자동 로그아웃 시)
+     */
+    clearCollectionKeys() {
+        this.collectionKeys.clear();
+    }
+
     /**
      * 특정 키로 데이터 암호화 (컬렉션 키 사용)
      * @param {string} plaintext - 평문
@@ -7,24 +7,24 @@
 import { secureFetch } from './ui-utils.js';
 
 // 문단 정렬(TextAlign) 익스텐션 ESM import
-import { TextAlign } from "https://esm.sh/@tiptap/extension-text-align@2.0.0-beta.209";
+import { TextAlign } from "/vendor/modules/@tiptap/extension-text-align@2.0.0-beta.209.js";
 
 // 텍스트 색상(Color) / TextStyle 익스텐션 ESM import
-import Color from "https://esm.sh/@tiptap/extension-color@2.0.0-beta.209";
-import TextStyle from "https://esm.sh/@tiptap/extension-text-style@2.0.0-beta.209";
+import Color from "/vendor/modules/@tiptap/extension-color@2.0.0-beta.209.js";
+import TextStyle from "/vendor/modules/@tiptap/extension-text-style@2.0.0-beta.209.js";
 
 // 폰트 패밀리(FontFamily) 익스텐션 ESM import
-import FontFamily from "https://esm.sh/@tiptap/extension-font-family@2.0.0-beta.209";
+import FontFamily from "/vendor/modules/@tiptap/extension-font-family@2.0.0-beta.209.js";
 
 // TaskList / TaskItem 익스텐션 ESM import
-import TaskList from "https://esm.sh/@tiptap/extension-task-list@2.0.0-beta.209";
-import TaskItem from "https://esm.sh/@tiptap/extension-task-item@2.0.0-beta.209";
+import TaskList from "/vendor/modules/@tiptap/extension-task-list@2.0.0-beta.209.js";
+import TaskItem from "/vendor/modules/@tiptap/extension-task-item@2.0.0-beta.209.js";
 
 // Table 익스텐션 ESM import
-import Table from "https://esm.sh/@tiptap/extension-table@2.0.0-beta.209";
-import TableRow from "https://esm.sh/@tiptap/extension-table-row@2.0.0-beta.209";
-import TableHeader from "https://esm.sh/@tiptap/extension-table-header@2.0.0-beta.209";
-import TableCell from "https://esm.sh/@tiptap/extension-table-cell@2.0.0-beta.209";
+import Table from "/vendor/modules/@tiptap/extension-table@2.0.0-beta.209.js";
+import TableRow from "/vendor/modules/@tiptap/extension-table-row@2.0.0-beta.209.js";
+import TableHeader from "/vendor/modules/@tiptap/extension-table-header@2.0.0-beta.209.js";
+import TableCell from "/vendor/modules/@tiptap/extension-table-cell@2.0.0-beta.209.js";
 
 // Math 노드 import
 import { MathBlock, MathInline } from './math-node.js';
@@ -38,6 +38,12 @@ import { BookmarkBlock, BookmarkContainerBlock } from './bookmark-node.js';
 // CalloutBlock 노드 import
 import { CalloutBlock } from './callout-node.js';
 
+// PageMention 노드 import
+import { PageMention } from './page-mention-node.js';
+
+// 댓글 표시 마크 import
+import { CommentMark } from './comment-mark.js';
+
 // 전역 Tiptap 번들에서 Editor / StarterKit 가져오기
 const Editor = Tiptap.Core.Editor;
 const StarterKit = Tiptap.StarterKit;
@@ -282,6 +288,17 @@ export const SLASH_ITEMS = [
         command(editor) {
             editor.chain().focus().setCallout('info', '', '').run();
         }
+    },
+    {
+        id: "pageMention",
+        label: "페이지 링크",
+        description: "다른 페이지 멘션 (@ 또는 [[ 입력)",
+        icon: "@",
+        command(editor) {
+            editor.chain().focus().insertContent('@').run();
+            const pos = editor.state.selection.from;
+            openMentionMenu(editor.view.coordsAtPos(pos), pos - 1, '@', editor);
+        }
     }
 ];
 
@@ -753,8 +770,270 @@ function getSlashCommandText(editor) {
     return text;
 }
 
+// 페이지 멘션 메뉴 상태 ("@" 또는 "[[" 입력 시)
+const MENTION_MAX_RESULTS = 8;
+const MENTION_MAX_QUERY_LENGTH = 50;
+let mentionMenuEl = null;
+let mentionActiveIndex = 0;
+let mentionState = {
+    active: false,
+    fromPos: null,
+    trigger: '',
+    editor: null,
+    filterText: '',
+    items: []
+};
+
+/**
+ * 멘션 후보 페이지 검색 (제목 앞부분 일치 우선, 현재 페이지 제외)
+ */
+function filterMentionPages(filterText) {
+    const appState = window.appState || {};
+    const pages = (appState.pages || []).filter(p => p.id !== appState.currentPageId);
+    const lowerFilter = filterText.trim().toLowerCase();
+
+    const scored = pages
+        .map(page => {
+            const title = (page.title || '').toLowerCase();
+            if (!lowerFilter) return { page, score: 1 };
+            if (title.startsWith(lowerFilter)) return { page, score: 0 };
+            if (title.includes(lowerFilter)) return { page, score: 1 };
+            return null;
+        })
+        .filter(Boolean);
+
+    scored.sort((a, b) =>
+        a.score - b.score ||
+        new Date(b.page.updatedAt || 0) - new Date(a.page.updatedAt || 0)
+    );
+
+    return scored.slice(0, MENTION_MAX_RESULTS).map(({ page }) => page);
+}
+
+/**
+ * 멘션 메뉴 DOM 요소 생성 (슬래시 메뉴와 같은 스타일 사용)
+ */
+function createMentionMenuElement() {
+    if (mentionMenuEl) {
+        return;
+    }
+
+    mentionMenuEl = document.createElement("div");
+    mentionMenuEl.id = "mention-menu";
+    mentionMenuEl.className = "hidden";
+
+    const listEl = document.createElement("ul");
+    listEl.className = "slash-menu-list";
+    listEl.id = "mention-menu-list";
+
+    mentionMenuEl.appendChild(listEl);
+    document.body.appendChild(mentionMenuEl);
+
+    // 클릭 전에 에디터 포커스를 잃지 않도록 함
+    mentionMenuEl.addEventListener("mousedown", (event) => {
+        event.preventDefault();
+    });
+
+    mentionMenuEl.addEventListener("click", (event) => {
+        const li = event.target.closest(".slash-menu-item");
+        if (!li) return;
+        insertMention(li.dataset.pageId);
+    });
+}
+
+/**
+ * 멘션 메뉴 항목 렌더링
+ */
+function renderMentionMenuItems() {
+    if (!mentionMenuEl) return;
+
+    const listEl = mentionMenuEl.querySelector("#mention-menu-list");
+    if (!listEl) return;
+
+    listEl.innerHTML = "";
+
+    if (mentionState.items.length === 0) {
+        const noResults = document.createElement("li");
+        noResults.className = "slash-menu-no-results";
+        noResults.textContent = "일치하는 페이지가 없습니다";
+        noResults.style.padding = "16px";
+        noResults.style.textAlign = "center";
+        noResults.style.color = "#ccc";
+        listEl.appendChild(noResults);
+    } else {
+        const collections = (window.appState && window.appState.collections) || [];
+
+        mentionState.items.forEach((page, index) => {
+            const li = document.createElement("li");
+            li.className = "slash-menu-item";
+            li.dataset.pageId = page.id;
+
+            if (index === 0) {
+                li.classList.add("active");
+            }
+
+            let icon = `<i class="fa-regular fa-file-lines"></i>`;
+            if (page.icon) {
+                icon = page.icon.startsWith('fa-')
+                    ? `<i class="${escapeHtml(page.icon)}"></i>`
+                    : escapeHtml(page.icon);
+            }
+
+            const collection = collections.find(c => c.id === page.collectionId);
+
+            li.innerHTML = `
+                <div class="slash-menu-item-icon">${icon}</div>
+                <div class="slash-menu-item-main">
+                    <div class="slash-menu-item-label">${escapeHtml(page.title || "제목 없음")}</div>
+                    <div class="slash-menu-item-desc">${escapeHtml(collection ? collection.name : "")}</div>
+                </div>
+            `;
+
+            listEl.appendChild(li);
+        });
+    }
+
+    mentionActiveIndex = 0;
+}
+
+/**
+ * 멘션 메뉴 열기
+ * @param {number} fromPos - 트리거 문자("@" 또는 첫 번째 "[")의 위치
+ */
+function openMentionMenu(coords, fromPos, trigger, editor) {
+    if (!mentionMenuEl) {
+        createMentionMenuElement();
+    }
+
+    mentionState.active = true;
+    mentionState.fromPos = fromPos;
+    mentionState.trigger = trigger;
+    mentionState.editor = editor;
+    mentionState.filterText = '';
+    mentionState.items = filterMentionPages('');
+
+    renderMentionMenuItems();
+
+    mentionMenuEl.classList.remove("hidden");
+    mentionMenuEl.style.left = `${coords.left}px`;
+    mentionMenuEl.style.top = `${coords.bottom + 4}px`;
+}
+
 /**
- * 슬래시 명령 키보드 바인딩
+ * 멘션 메뉴 닫기
+ */
+function closeMentionMenu() {
+    mentionState.active = false;
+    mentionState.fromPos = null;
+    mentionState.trigger = '';
+    mentionState.editor = null;
+    mentionState.filterText = '';
+    mentionState.items = [];
+    if (mentionMenuEl) {
+        mentionMenuEl.classList.add("hidden");
+    }
+}
+
+/**
+ * 멘션 메뉴 항목 이동
+ */
+function moveMentionActive(delta) {
+    if (!mentionMenuEl) return;
+
+    const items = Array.from(mentionMenuEl.querySelectorAll(".slash-menu-item"));
+    if (!items.length) return;
+
+    mentionActiveIndex = (mentionActiveIndex + delta + items.length) % items.length;
+    items.forEach((el, index) => {
+        el.classList.toggle("active", index === mentionActiveIndex);
+        if (index === mentionActiveIndex) {
+            el.scrollIntoView({ block: "nearest" });
+        }
+    });
+}
+
+/**
+ * 트리거 문자와 검색어를 지우고 멘션 노드 삽입
+ */
+function insertMention(pageId) {
+    const editor = mentionState.editor;
+    const page = mentionState.items.find(p => p.id === pageId);
+    if (!editor || !page || typeof mentionState.fromPos !== "number") {
+        closeMentionMenu();
+        return;
+    }
+
+    editor
+        .chain()
+        .focus()
+        .deleteRange({
+            from: mentionState.fromPos,
+            to: editor.state.selection.from
+        })
+        .insertPageMention({ pageId: page.id, title: page.title || "제목 없음" })
+        .run();
+
+    closeMentionMenu();
+}
+
+/**
+ * 에디터 내용 변경 시 멘션 검색어 갱신 (트리거가 지워졌거나 커서가 벗어나면 닫기)
+ */
+function updateMentionMenu(editor) {
+    const { fromPos, trigger } = mentionState;
+    const selection = editor.state.selection;
+    const queryFrom = fromPos + trigger.length;
+
+    if (selection.from < queryFrom) {
+        closeMentionMenu();
+        return;
+    }
+
+    let text;
+    try {
+        if (editor.state.doc.textBetween(fromPos, queryFrom) !== trigger) {
+            closeMentionMenu();
+            return;
+        }
+        text = editor.state.doc.textBetween(queryFrom, selection.from, "\n");
+    } catch (e) {
+        closeMentionMenu();
+        return;
+    }
+
+    if (text.includes("\n") || text.length > MENTION_MAX_QUERY_LENGTH || (trigger === '@' && text.startsWith(' '))) {
+        closeMentionMenu();
+        return;
+    }
+
+    mentionState.filterText = text.replace(/\]+$/, '');
+    mentionState.items = filterMentionPages(mentionState.filterText);
+    renderMentionMenuItems();
+}
+
+/**
+ * 커서 위치에서 멘션 트리거가 입력되는지 확인
+ * - "@": 줄 처음이나 공백 뒤에서만 (이메일 주소 입력과 구분)
+ * - "[[": 바로 앞 문자가 "["일 때 두 번째 "[" 입력
+ * @returns {{fromPos: number, trigger: string}|null}
+ */
+function detectMentionTrigger(editor, key) {
+    if (!editor.isEditable || !editor.state.selection.empty) return null;
+
+    const { $from, from } = editor.state.selection;
+    const before = $from.parent.textBetween(Math.max(0, $from.parentOffset - 1), $from.parentOffset, null, "\ufffc");
+
+    if (key === "@" && (before === "" || /\s/.test(before))) {
+        return { fromPos: from, trigger: "@" };
+    }
+    if (key === "[" && before === "[") {
+        return { fromPos: from - 1, trigger: "[[" };
+    }
+    return null;
+}
+
+/**
+ * 슬래시 명령 키보드 바인딩 (페이지 멘션 트리거 포함)
  */
 export function bindSlashKeyHandlers(editor) {
     document.addEventListener("keydown", (event) => {
@@ -763,6 +1042,50 @@ export function bindSlashKeyHandlers(editor) {
         const target = event.target;
         const inEditor = target && target.closest && target.closest(".ProseMirror");
 
+        // 멘션 메뉴가 열려 있을 때의 키 처리
+        if (mentionState.active) {
+            if (event.key === "ArrowDown") {
+                event.preventDefault();
+                moveMentionActive(1);
+                return;
+            }
+            if (event.key === "ArrowUp") {
+                event.preventDefault();
+                moveMentionActive(-1);
+                return;
+            }
+            if (event.key === "Enter" || event.key === "Tab") {
+                event.preventDefault();
+                const active = mentionMenuEl && mentionMenuEl.querySelectorAll(".slash-menu-item")[mentionActiveIndex];
+                if (active) {
+                    insertMention(active.dataset.pageId);
+                } else {
+                    closeMentionMenu();
+                }
+                return;
+            }
+            if (event.key === "Escape") {
+                event.preventDefault();
+                closeMentionMenu();
+                return;
+            }
+            return;
+        }
+
+        // 에디터 안에서 "@" 또는 "[[" 입력 시 멘션 메뉴 활성화 (문자 입력은 기본 동작에 맡김)
+        if (!slashState.active && inEditor && (event.key === "@" || event.key === "[")) {
+            const trigger = detectMentionTrigger(editor, event.key);
+            if (trigger) {
+                try {
+                    const coords = editor.view.coordsAtPos(editor.state.selection.from);
+                    openMentionMenu(coords, trigger.fromPos, trigger.trigger, editor);
+                } catch (e) {
+                    console.error("멘션 메뉴 좌표 계산 실패:", e);
+                }
+            }
+            return;
+        }
+
         // 에디터 안에서 "/" 입력 시 슬래시 메뉴 활성화
         if (!slashState.active && event.key === "/" && inEditor) {
             try {
@@ -822,6 +1145,11 @@ export function bindSlashKeyHandlers(editor) {
                 closeSlashMenu();
             }
         }
+        // 슬래시 메뉴의 "페이지 링크" 항목으로 방금 연 경우는 닫지 않음
+        const fromSlashMenu = slashMenuEl && slashMenuEl.contains(event.target);
+        if (mentionState.active && mentionMenuEl && !mentionMenuEl.contains(event.target) && !fromSlashMenu) {
+            closeMentionMenu();
+        }
     });
 }
 
@@ -897,6 +1225,8 @@ export function initEditor() {
             BookmarkContainerBlock,
             BookmarkBlock,
             CalloutBlock,
+            PageMention,
+            CommentMark,
         ],
         content: "<p>불러오는 중...</p>",
         onSelectionUpdate() {
@@ -918,6 +1248,11 @@ export function initEditor() {
             // 내용 업데이트 시 핸들 재생성
             setTimeout(() => addTableResizeHandles(editor), 50);
 
+            // 멘션 메뉴 검색어 업데이트
+            if (mentionState.active) {
+                updateMentionMenu(editor);
+            }
+
             // 슬래시 메뉴 필터링 업데이트
             if (slashState.active) {
                 const selection = editor.state.selection;
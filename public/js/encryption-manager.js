@@ -5,6 +5,7 @@
 import { secureFetch } from './ui-utils.js';
 import { loadPage, renderPageList, fetchPageList } from './pages-manager.js';
 import { stopPageSync } from './sync-manager.js';
+import { indexEncryptedPage, getCollectionKey } from './search-index-manager.js';
 
 // 전역 상태
 let state = {
@@ -126,6 +127,10 @@ export async function handleEncryption(event) {
         }
 
         alert("페이지가 성공적으로 암호화되었습니다!");
+
+        // 컬렉션 키가 잠금 해제되어 있으면 암호화 검색 색인에 반영
+        indexEncryptedPage(page.collectionId, page.id, page.title, page.content);
+
         closeEncryptionModal();
 
         // 암호화 완료 - 쓰기 모드 차단
@@ -264,6 +269,9 @@ export async function handleDecryption(event) {
 
         closeDecryptionModal();
 
+        // 복호화한 김에 암호화 검색 색인 갱신 (컬렉션 키가 잠금 해제된 경우)
+        indexEncryptedPage(pageData.collectionId, page.id, pageData.title, decryptedContent);
+
         // 4. 에디터에 복호화된 콘텐츠 표시 (DB는 수정 안 함)
         state.currentPageId = page.id;
         state.currentPageIsEncrypted = true; // 여전히 암호화된 상태로 마킹 (수정 방지)
@@ -368,6 +376,165 @@ export async function handlePermanentDecryption(pageId) {
     }
 }
 
+/**
+ * 컬렉션 키를 감쌀 비밀번호 강도 검증 (서버의 validatePasswordStrength와 같은 기준)
+ * 감싼 키는 서버에 저장되므로 오프라인 대입 공격을 견딜 수 있어야 함
+ * @returns {string|null} 오류 메시지 (통과하면 null)
+ */
+function validateKeyPassword(password) {
+    if (password.length < 10) {
+        return "비밀번호는 10자 이상이어야 합니다.";
+    }
+
+    const strength = [/[A-Z]/, /[a-z]/, /\d/, /[!@#$%^&*(),.?":{}|<>]/]
+        .filter(pattern => pattern.test(password)).length;
+
+    if (strength < 3) {
+        return "비밀번호는 대문자, 소문자, 숫자, 특수문자 중 3가지 이상을 포함해야 합니다.";
+    }
+
+    return null;
+}
+
+/**
+ * 컬렉션 암호화 (컬렉션 키 생성)
+ * 컬렉션 키를 새로 만들어 컬렉션 비밀번호로 감싼 값만 서버에 저장
+ * 공유받은 사용자에게는 소유자가 handleCollectionKeyShare로 수신자별 비밀번호로 감싼 키를 따로 전달함
+ */
+export async function handleCollectionEncryption(collectionId) {
+    const collection = state.collections.find(c => c.id === collectionId);
+    if (!collection || !collection.isOwner) {
+        alert("컬렉션 소유자만 암호화를 설정할 수 있습니다.");
+        return;
+    }
+
+    if (collection.isEncrypted) {
+        alert("이미 암호화된 컬렉션입니다.");
+        return;
+    }
+
+    const password = prompt("컬렉션 비밀번호를 입력하세요 (10자 이상, 대문자/소문자/숫자/특수문자 중 3가지 이상):");
+    if (!password) {
+        return;
+    }
+
+    const passwordError = validateKeyPassword(password);
+    if (passwordError) {
+        alert(passwordError);
+        return;
+    }
+
+    const confirmPassword = prompt("컬렉션 비밀번호를 다시 입력하세요:");
+    if (password !== confirmPassword) {
+        alert("비밀번호가 일치하지 않습니다. 다시 확인해 주세요.");
+        return;
+    }
+
+    try {
+        const collectionKey = await cryptoManager.generateCollectionKey();
+        const encryptedKey = await cryptoManager.wrapCollectionKey(collectionKey, password);
+
+        const res = await secureFetch(`/api/collections/${encodeURIComponent(collectionId)}/encrypt`, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json"
+            },
+            body: JSON.stringify({ encryptedKey })
+        });
+
+        if (!res.ok) {
+            throw new Error("HTTP " + res.status);
+        }
+
+        cryptoManager.setCollectionKey(collectionId, collectionKey);
+        collection.isEncrypted = true;
+        renderPageList();
+
+        alert("컬렉션 암호화가 설정되었습니다. 공유받은 사용자에게는 메뉴의 '암호화 키 공유'로 키를 전달하세요.");
+    } catch (error) {
+        console.error("컬렉션 암호화 오류:", error);
+        alert("컬렉션 암호화 설정에 실패했습니다: " + error.message);
+    }
+}
+
+/**
+ * 공유받은 사용자에게 컬렉션 키 전달
+ * 잠금 해제한 컬렉션 키를 수신자 전용 비밀번호로 감싸 서버에 저장 (비밀번호는 소유자가 별도로 전달)
+ */
+export async function handleCollectionKeyShare(collectionId) {
+    const collection = state.collections.find(c => c.id === collectionId);
+    if (!collection || !collection.isOwner || !collection.isEncrypted) {
+        alert("암호화된 컬렉션의 소유자만 키를 공유할 수 있습니다.");
+        return;
+    }
+
+    try {
+        const sharesRes = await fetch(`/api/collections/${encodeURIComponent(collectionId)}/shares`);
+        if (!sharesRes.ok) {
+            throw new Error("HTTP " + sharesRes.status);
+        }
+
+        const shares = await sharesRes.json();
+        if (!shares.length) {
+            alert("이 컬렉션을 공유받은 사용자가 없습니다.");
+            return;
+        }
+
+        const username = prompt(
+            "키를 전달할 사용자 아이디를 입력하세요:\n" + shares.map(share => `- ${share.username}`).join("\n")
+        );
+        if (!username) {
+            return;
+        }
+
+        if (!shares.some(share => share.username === username.trim())) {
+            alert("이 컬렉션을 공유받은 사용자가 아닙니다.");
+            return;
+        }
+
+        const collectionKey = await getCollectionKey(collectionId);
+        if (!collectionKey) {
+            return;
+        }
+
+        const password = prompt(`'${username.trim()}' 사용자가 잠금 해제에 사용할 비밀번호를 입력하세요 (10자 이상, 대문자/소문자/숫자/특수문자 중 3가지 이상):`);
+        if (!password) {
+            return;
+        }
+
+        const passwordError = validateKeyPassword(password);
+        if (passwordError) {
+            alert(passwordError);
+            return;
+        }
+
+        const confirmPassword = prompt("비밀번호를 다시 입력하세요:");
+        if (password !== confirmPassword) {
+            alert("비밀번호가 일치하지 않습니다. 다시 확인해 주세요.");
+            return;
+        }
+
+        const encryptedKey = await cryptoManager.wrapCollectionKey(collectionKey, password);
+        const res = await secureFetch(`/api/collections/${encodeURIComponent(collectionId)}/share-key`, {
+            method: "POST",
+            headers: {
+                "Content-Type": "application/json"
+            },
+            body: JSON.stringify({ username: username.trim(), encryptedKey })
+        });
+
+        if (!res.ok) {
+            const data = await res.json().catch(() => ({}));
+            throw new Error(data.error || "HTTP " + res.status);
+        }
+
+        alert(`'${username.trim()}' 사용자에게 키를 공유했습니다. 비밀번호는 안전한 경로로 따로 전달하세요.`);
+    } catch (error) {
+        console.error("컬렉션 키 공유 오류:", error);
+        alert("컬렉션 키 공유에 실패했습니다: " + error.message);
+    }
+}
+
 /**
  * 암호화 모달 이벤트 바인딩
  */
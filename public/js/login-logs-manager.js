@@ -20,7 +20,7 @@ function escapeHtml(text) {
 /**
  * 날짜/시간 포맷팅
  */
-function formatDateTime(dateStr) {
+export function formatDateTime(dateStr) {
     if (!dateStr) return '-';
     const date = new Date(dateStr);
     const year = date.getFullYear();
@@ -35,7 +35,7 @@ function formatDateTime(dateStr) {
 /**
  * 위치 정보 포맷팅
  */
-function formatLocation(log) {
+export function formatLocation(log) {
     const parts = [];
     if (log.city) parts.push(log.city);
     if (log.region) parts.push(log.region);
@@ -48,7 +48,7 @@ function formatLocation(log) {
 /**
  * User Agent 파싱 (간단한 버전)
  */
-function parseUserAgent(userAgent) {
+export function parseUserAgent(userAgent) {
     if (!userAgent) return { device: '알 수 없음', icon: 'fa-question' };
 
     const ua = userAgent.toLowerCase();
@@ -0,0 +1,250 @@
+/**
+ * Markdown 내보내기/불러오기 모듈
+ *
+ * - 페이지(하위 페이지 포함) 또는 컬렉션을 Markdown ZIP으로 내보내기
+ * - .md 파일 또는 폴더 구조를 담은 ZIP(Obsidian 보관소 등) 불러오기
+ *   컬렉션 메뉴에서 불러오면 해당 컬렉션에, 설정에서 불러오면 새 컬렉션에 추가
+ * - Notion 내보내기 ZIP("Markdown & CSV" / "HTML" 형식) 가져오기
+ */
+
+import { secureFetch } from './ui-utils.js';
+import { fetchCollections, fetchPageList } from './pages-manager.js';
+
+// 전역 상태 (app.js에서 전달받음)
+let state = {
+    pages: [],
+    collections: [],
+    expandedCollections: new Set()
+};
+
+// 파일 선택 후 불러올 대상 컬렉션 (null이면 새 컬렉션)
+let pendingImportCollectionId = null;
+
+// Notion 가져오기에서 건너뛴 블록 종류별 표시 이름
+const NOTION_SKIP_LABELS = {
+    image: "이미지",
+    file: "첨부 파일",
+    embed: "임베드",
+    table_of_contents: "목차",
+    cover: "커버 이미지",
+    unsupported: "지원하지 않는 블록"
+};
+
+/**
+ * 상태 초기화
+ */
+export function initMarkdownManager(appState) {
+    state = appState;
+}
+
+/**
+ * 응답을 파일로 다운로드
+ */
+async function downloadResponse(response, fallbackName) {
+    if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw new Error(errorData.error || "HTTP " + response.status);
+    }
+
+    const blob = await response.blob();
+    const url = window.URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = `${(fallbackName || "export").replace(/[<>:"/\\|?*]/g, "_")}.zip`;
+
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    window.URL.revokeObjectURL(url);
+}
+
+/**
+ * 페이지 Markdown 내보내기 (페이지 메뉴)
+ */
+export async function exportPageMarkdown(pageId) {
+    const page = state.pages.find((p) => p.id === pageId);
+
+    try {
+        const res = await fetch(`/api/backup/markdown/pages/${encodeURIComponent(pageId)}`);
+        await downloadResponse(res, page ? page.title : "page");
+    } catch (error) {
+        console.error("Markdown 내보내기 오류:", error);
+        alert("Markdown 내보내기에 실패했습니다: " + error.message);
+    }
+}
+
+/**
+ * 컬렉션 Markdown 내보내기 (컬렉션 메뉴)
+ */
+export async function exportCollectionMarkdown(collectionId) {
+    const collection = state.collections.find((c) => c.id === collectionId);
+
+    try {
+        const res = await fetch(`/api/backup/markdown/collections/${encodeURIComponent(collectionId)}`);
+        await downloadResponse(res, collection ? collection.name : "collection");
+    } catch (error) {
+        console.error("Markdown 내보내기 오류:", error);
+        alert("Markdown 내보내기에 실패했습니다: " + error.message);
+    }
+}
+
+/**
+ * Markdown 파일 선택 창 열기
+ * @param {string|null} collectionId - 불러올 컬렉션 (null이면 새 컬렉션 생성)
+ */
+export function openMarkdownImport(collectionId = null) {
+    const input = document.getElementById("import-markdown-input");
+    if (!input) return;
+
+    pendingImportCollectionId = collectionId;
+    input.click();
+}
+
+/**
+ * Markdown 불러오기
+ */
+async function importMarkdown(file, collectionId) {
+    if (!file || !/\.(md|markdown|zip)$/i.test(file.name)) {
+        alert("Markdown(.md) 또는 ZIP 파일만 선택할 수 있습니다.");
+        return;
+    }
+
+    try {
+        const formData = new FormData();
+        if (collectionId) {
+            formData.append("collectionId", collectionId);
+        }
+        formData.append("file", file);
+
+        const res = await secureFetch("/api/backup/markdown/import", {
+            method: "POST",
+            body: formData
+        });
+
+        if (!res.ok) {
+            const errorData = await res.json().catch(() => ({}));
+            throw new Error(errorData.error || "HTTP " + res.status);
+        }
+
+        const result = await res.json();
+
+        await refreshAfterImport(result.collectionId, !collectionId);
+
+        alert(
+            `Markdown 불러오기가 완료되었습니다.\n\n` +
+            `페이지: ${result.pagesCount}개\n` +
+            `이미지: ${result.imagesCount}개`
+        );
+    } catch (error) {
+        console.error("Markdown 불러오기 오류:", error);
+        alert("Markdown 불러오기에 실패했습니다: " + error.message);
+    }
+}
+
+/**
+ * 불러오기 완료 후 사이드바 갱신
+ */
+async function refreshAfterImport(collectionId, createdCollection) {
+    if (createdCollection) {
+        await fetchCollections();
+    }
+    state.expandedCollections.add(collectionId);
+    await fetchPageList();
+}
+
+/**
+ * Notion 내보내기 가져오기
+ */
+async function importNotion(file) {
+    if (!file || !/\.zip$/i.test(file.name)) {
+        alert("Notion에서 내보낸 ZIP 파일만 선택할 수 있습니다.");
+        return;
+    }
+
+    try {
+        const formData = new FormData();
+        formData.append("file", file);
+
+        const res = await secureFetch("/api/backup/notion/import", {
+            method: "POST",
+            body: formData
+        });
+
+        if (!res.ok) {
+            const errorData = await res.json().catch(() => ({}));
+            throw new Error(errorData.error || "HTTP " + res.status);
+        }
+
+        const result = await res.json();
+        await refreshAfterImport(result.collectionId, true);
+
+        let message =
+            `Notion 가져오기가 완료되었습니다.\n\n` +
+            `페이지: ${result.pagesCount}개\n` +
+            `이미지: ${result.imagesCount}개`;
+
+        if (result.skippedCount > 0) {
+            // 종류별 개수 (응답 목록이 잘렸으면 전체 개수만 표시)
+            const counts = {};
+            (result.skipped || []).forEach((item) => {
+                counts[item.type] = (counts[item.type] || 0) + 1;
+            });
+
+            message += `\n\n변환하지 못한 블록: ${result.skippedCount}개`;
+            if ((result.skipped || []).length === result.skippedCount) {
+                Object.entries(counts).forEach(([type, count]) => {
+                    message += `\n- ${NOTION_SKIP_LABELS[type] || type}: ${count}개`;
+                });
+            }
+            (result.skipped || []).slice(0, 5).forEach((item) => {
+                message += `\n  · ${item.pageTitle}${item.detail ? ` (${item.detail})` : ""}`;
+            });
+            console.warn("Notion 가져오기에서 건너뛴 블록:", result.skipped);
+        }
+
+        alert(message);
+    } catch (error) {
+        console.error("Notion 가져오기 오류:", error);
+        alert("Notion 가져오기에 실패했습니다: " + error.message);
+    }
+}
+
+/**
+ * Markdown/Notion 불러오기 이벤트 바인딩 (설정 화면 버튼과 공용 파일 입력)
+ */
+export function bindMarkdownImport() {
+    const importBtn = document.getElementById("import-markdown-btn");
+    if (importBtn) {
+        importBtn.addEventListener("click", () => {
+            openMarkdownImport(null);
+        });
+    }
+
+    const input = document.getElementById("import-markdown-input");
+    if (input) {
+        input.addEventListener("change", async (e) => {
+            const file = e.target.files[0];
+            const collectionId = pendingImportCollectionId;
+            pendingImportCollectionId = null;
+
+            if (file) {
+                await importMarkdown(file, collectionId);
+            }
+            // 같은 파일을 다시 선택할 수 있도록 입력 초기화
+            input.value = "";
+        });
+    }
+
+    const notionBtn = document.getElementById("import-notion-btn");
+    const notionInput = document.getElementById("import-notion-input");
+    if (notionBtn && notionInput) {
+        notionBtn.addEventListener("click", () => notionInput.click());
+        notionInput.addEventListener("change", async (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                await importNotion(file);
+            }
+            notionInput.value = "";
+        });
+    }
+}
@@ -0,0 +1,385 @@
+/**
+ * 알림 센터 모듈
+ *
+ * - 사이드바 종 아이콘 메뉴: 알림 목록, 안 읽은 알림 수, 읽음 처리, 종류별 받기 설정
+ * - 새 알림은 WebSocket 'notification' 이벤트로 실시간 반영 (sync-manager.js에서 전달)
+ * - 댓글 알림 클릭 시 페이지 이동은 app.js의 페이지 링크 클릭 바인딩에서 담당
+ */
+
+import { secureFetch, escapeHtml } from './ui-utils.js';
+import { formatDateTime, formatLocation, parseUserAgent } from './login-logs-manager.js';
+import { fetchCollections, fetchPageList } from './pages-manager.js';
+
+const NOTIFICATIONS_PER_PAGE = 30;
+
+// 알림 종류별 설정 이름과 아이콘
+const NOTIFICATION_TYPE_INFO = {
+    'collection.shared': { label: '컬렉션 공유', icon: 'fa-solid fa-share-nodes' },
+    'share.revoked': { label: '공유 해제', icon: 'fa-solid fa-link-slash' },
+    'comment.mention': { label: '댓글 멘션', icon: 'fa-solid fa-at' },
+    'comment.reply': { label: '댓글 답글', icon: 'fa-regular fa-comment' },
+    'login.new_country': { label: '처음 보는 국가에서 로그인', icon: 'fa-solid fa-earth-asia' }
+};
+
+const PERMISSION_LABELS = {
+    READ: '읽기',
+    EDIT: '편집',
+    ADMIN: '관리'
+};
+
+// 전역 상태
+let state = null;
+const notificationState = {
+    notifications: [],
+    unreadCount: 0,
+    hasMore: false,
+    isOpen: false,
+    isLoading: false
+};
+
+/**
+ * 알림 관리자 초기화
+ */
+export function initNotificationsManager(appState) {
+    state = appState;
+}
+
+/**
+ * 알림 목록 불러오기 (before가 있으면 이어서 조회)
+ */
+export async function fetchNotifications({ before = null } = {}) {
+    if (notificationState.isLoading) return;
+    notificationState.isLoading = true;
+
+    try {
+        const params = new URLSearchParams({ limit: String(NOTIFICATIONS_PER_PAGE) });
+        if (before) params.set("before", String(before));
+
+        const res = await fetch(`/api/notifications?${params.toString()}`);
+        if (!res.ok) {
+            throw new Error("HTTP " + res.status);
+        }
+
+        const data = await res.json();
+        const notifications = Array.isArray(data.notifications) ? data.notifications : [];
+
+        notificationState.notifications = before
+            ? notificationState.notifications.concat(notifications)
+            : notifications;
+        notificationState.hasMore = !!data.hasMore;
+        notificationState.unreadCount = Number(data.unreadCount) || 0;
+        renderNotifications();
+    } catch (error) {
+        console.error("알림 조회 오류:", error);
+    } finally {
+        notificationState.isLoading = false;
+    }
+}
+
+/**
+ * 새 알림 반영 (WebSocket 'notification')
+ */
+export function handleIncomingNotification(data) {
+    const notification = data && data.notification;
+    if (!notification) return;
+
+    if (notificationState.notifications.some((n) => n.id === notification.id)) return;
+
+    notificationState.notifications.unshift(notification);
+    notificationState.unreadCount += notification.read ? 0 : 1;
+    renderNotifications();
+
+    // 공유 추가/해제는 사이드바 컬렉션 목록에도 바로 반영
+    if (notification.type === 'collection.shared' || notification.type === 'share.revoked') {
+        Promise.allSettled([fetchCollections(), fetchPageList()]);
+    }
+}
+
+/**
+ * 알림 한 개의 본문 HTML
+ */
+function renderNotificationMessage(notification) {
+    const data = notification.data || {};
+    const actor = `<strong>${escapeHtml(notification.actor || '알 수 없는 사용자')}</strong>`;
+    const collectionName = `<strong>${escapeHtml(data.collection?.name || '삭제된 컬렉션')}</strong>`;
+    const pageTitle = `<strong>${escapeHtml(data.page?.title || '제목 없음')}</strong>`;
+    const excerpt = data.excerpt ? `<div class="notification-excerpt">${escapeHtml(data.excerpt)}</div>` : '';
+
+    switch (notification.type) {
+        case 'collection.shared': {
+            const permission = escapeHtml(PERMISSION_LABELS[data.permission] || data.permission || '');
+            return data.permissionChanged
+                ? `${actor}님이 ${collectionName} 컬렉션 권한을 ${permission}(으)로 변경했습니다.`
+                : `${actor}님이 ${collectionName} 컬렉션을 공유했습니다. (${permission})`;
+        }
+        case 'share.revoked':
+            return `${actor}님이 ${collectionName} 컬렉션 공유를 해제했습니다.`;
+        case 'comment.mention':
+            return `${actor}님이 ${pageTitle} 페이지 댓글에서 회원님을 멘션했습니다.${excerpt}`;
+        case 'comment.reply':
+            return `${actor}님이 ${pageTitle} 페이지의 댓글 스레드에 답글을 남겼습니다.${excerpt}`;
+        case 'login.new_country': {
+            const device = parseUserAgent(data.userAgent).device;
+            return `처음 보는 국가에서 로그인했습니다: <strong>${escapeHtml(formatLocation(data))}</strong>
+                <div class="notification-excerpt">${escapeHtml(device)} · ${escapeHtml(data.ipAddress || '')}<br>본인이 아니라면 비밀번호를 변경하고 다른 세션을 종료하세요.</div>`;
+        }
+        default:
+            return escapeHtml(notification.type);
+    }
+}
+
+/**
+ * 종 아이콘 배지 + 알림 목록 렌더링
+ */
+function renderNotifications() {
+    const badge = document.getElementById("notifications-badge");
+    if (badge) {
+        const count = notificationState.unreadCount;
+        badge.textContent = count > 99 ? "99+" : String(count);
+        badge.style.display = count > 0 ? "" : "none";
+    }
+
+    const markAllBtn = document.getElementById("notifications-read-all-btn");
+    if (markAllBtn) {
+        markAllBtn.disabled = notificationState.unreadCount === 0;
+    }
+
+    const list = document.getElementById("notifications-list");
+    if (!list) return;
+
+    if (notificationState.notifications.length === 0) {
+        list.innerHTML = `<li class="notifications-empty">새 알림이 없습니다.</li>`;
+    } else {
+        list.innerHTML = notificationState.notifications.map((notification) => {
+            const info = NOTIFICATION_TYPE_INFO[notification.type] || { icon: 'fa-regular fa-bell' };
+            const data = notification.data || {};
+
+            // 댓글 알림은 클릭하면 해당 페이지의 스레드로 이동
+            const linkAttrs = data.page && data.page.id
+                ? ` data-page-id="${escapeHtml(data.page.id)}" data-thread-id="${Number(data.threadId) || ''}"`
+                : '';
+
+            return `
+                <li class="notification-item${notification.read ? '' : ' unread'}" data-notification-id="${notification.id}"${linkAttrs}>
+                    <i class="${info.icon} notification-icon"></i>
+                    <div class="notification-body">
+                        <div class="notification-message">${renderNotificationMessage(notification)}</div>
+                        <div class="notification-time">${escapeHtml(formatDateTime(notification.createdAt))}</div>
+                    </div>
+                    <button type="button" class="notification-delete-btn" title="삭제">
+                        <i class="fa-solid fa-xmark"></i>
+                    </button>
+                </li>
+            `;
+        }).join("");
+    }
+
+    const moreBtn = document.getElementById("notifications-more-btn");
+    if (moreBtn) {
+        moreBtn.style.display = notificationState.hasMore ? "" : "none";
+    }
+}
+
+/**
+ * 알림 메뉴 열기/닫기
+ */
+function toggleNotificationsMenu(forceOpen) {
+    const menu = document.getElementById("notifications-menu");
+    if (!menu) return;
+
+    const open = forceOpen !== undefined ? forceOpen : !notificationState.isOpen;
+    notificationState.isOpen = open;
+
+    if (open) {
+        menu.classList.remove("hidden");
+        showPreferencesPane(false);
+        fetchNotifications();
+    } else {
+        menu.classList.add("hidden");
+    }
+}
+
+/**
+ * JSON 요청 (실패 시 서버 오류 메시지로 예외)
+ */
+async function sendJson(method, url, body) {
+    const res = await secureFetch(url, {
+        method,
+        headers: { "Content-Type": "application/json" },
+        body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await res.json().catch(() => ({}));
+
+    if (!res.ok) {
+        throw new Error(data.error || "요청을 처리하지 못했습니다.");
+    }
+
+    return data;
+}
+
+/**
+ * 알림 읽음 처리
+ */
+async function markNotificationRead(notificationId) {
+    const notification = notificationState.notifications.find((n) => n.id === notificationId);
+    if (!notification || notification.read) return;
+
+    try {
+        const data = await sendJson("POST", `/api/notifications/${notificationId}/read`);
+        notification.read = true;
+        notificationState.unreadCount = Number(data.unreadCount) || 0;
+        renderNotifications();
+    } catch (error) {
+        console.error("알림 읽음 처리 실패:", error);
+    }
+}
+
+/**
+ * 모든 알림 읽음 처리
+ */
+async function markAllNotificationsRead() {
+    try {
+        await sendJson("POST", "/api/notifications/read-all");
+        notificationState.notifications.forEach((n) => { n.read = true; });
+        notificationState.unreadCount = 0;
+        renderNotifications();
+    } catch (error) {
+        console.error("알림 읽음 처리 실패:", error);
+        alert(error.message);
+    }
+}
+
+/**
+ * 알림 삭제
+ */
+async function deleteNotification(notificationId) {
+    try {
+        const data = await sendJson("DELETE", `/api/notifications/${notificationId}`);
+        notificationState.notifications = notificationState.notifications.filter((n) => n.id !== notificationId);
+        notificationState.unreadCount = Number(data.unreadCount) || 0;
+        renderNotifications();
+    } catch (error) {
+        console.error("알림 삭제 실패:", error);
+        alert(error.message);
+    }
+}
+
+/**
+ * 알림 받기 설정 영역 표시 (목록과 전환)
+ */
+async function showPreferencesPane(show) {
+    const pane = document.getElementById("notifications-preferences");
+    const list = document.getElementById("notifications-list");
+    const moreBtn = document.getElementById("notifications-more-btn");
+    if (!pane || !list) return;
+
+    pane.style.display = show ? "" : "none";
+    list.style.display = show ? "none" : "";
+    if (moreBtn && show) moreBtn.style.display = "none";
+    if (!show) {
+        renderNotifications();
+        return;
+    }
+
+    pane.innerHTML = `<div class="notifications-empty">불러오는 중...</div>`;
+
+    try {
+        const res = await fetch("/api/notifications/preferences");
+        if (!res.ok) {
+            throw new Error("HTTP " + res.status);
+        }
+
+        const { preferences } = await res.json();
+        pane.innerHTML = `
+            <div class="notifications-preferences-desc">받을 알림 종류를 선택하세요.</div>
+            ${Object.entries(NOTIFICATION_TYPE_INFO).map(([type, info]) => `
+                <label class="notifications-preference">
+                    <input type="checkbox" data-type="${type}" ${preferences[type] !== false ? 'checked' : ''}>
+                    <i class="${info.icon}"></i>
+                    <span>${escapeHtml(info.label)}</span>
+                </label>
+            `).join("")}
+        `;
+    } catch (error) {
+        console.error("알림 설정 조회 오류:", error);
+        pane.innerHTML = `<div class="notifications-empty">알림 설정을 불러오지 못했습니다.</div>`;
+    }
+}
+
+/**
+ * 알림 받기 설정 변경 (체크박스 하나씩 저장)
+ */
+async function updatePreference(checkbox) {
+    const type = checkbox.dataset.type;
+    checkbox.disabled = true;
+
+    try {
+        await sendJson("PUT", "/api/notifications/preferences", {
+            preferences: { [type]: checkbox.checked }
+        });
+    } catch (error) {
+        console.error("알림 설정 변경 실패:", error);
+        checkbox.checked = !checkbox.checked;
+        alert(error.message);
+    } finally {
+        checkbox.disabled = false;
+    }
+}
+
+/**
+ * 알림 관련 이벤트 바인딩
+ */
+export function bindNotificationEvents() {
+    document.getElementById("notifications-btn")?.addEventListener("click", (e) => {
+        e.stopPropagation();
+        toggleNotificationsMenu();
+    });
+
+    document.getElementById("notifications-read-all-btn")?.addEventListener("click", markAllNotificationsRead);
+
+    document.getElementById("notifications-settings-btn")?.addEventListener("click", () => {
+        const pane = document.getElementById("notifications-preferences");
+        showPreferencesPane(pane ? pane.style.display === "none" : true);
+    });
+
+    document.getElementById("notifications-more-btn")?.addEventListener("click", () => {
+        const last = notificationState.notifications[notificationState.notifications.length - 1];
+        if (last) fetchNotifications({ before: last.id });
+    });
+
+    document.getElementById("notifications-preferences")?.addEventListener("change", (e) => {
+        if (e.target.matches('input[type="checkbox"][data-type]')) {
+            updatePreference(e.target);
+        }
+    });
+
+    const list = document.getElementById("notifications-list");
+    if (list) {
+        list.addEventListener("click", (e) => {
+            const item = e.target.closest(".notification-item");
+            if (!item) return;
+
+            const notificationId = Number(item.dataset.notificationId);
+
+            if (e.target.closest(".notification-delete-btn")) {
+                e.stopPropagation();
+                deleteNotification(notificationId);
+                return;
+            }
+
+            markNotificationRead(notificationId);
+
+            // 페이지로 이동하는 알림은 메뉴를 닫음 (이동 자체는 app.js에서 처리)
+            if (item.dataset.pageId) {
+                toggleNotificationsMenu(false);
+            }
+        });
+    }
+
+    // 메뉴 외부 클릭 시 닫기
+    document.addEventListener("click", (e) => {
+        if (!notificationState.isOpen) return;
+        if (e.target.closest("#notifications-menu, #notifications-btn")) return;
+        toggleNotificationsMenu(false);
+    });
+}
@@ -0,0 +1,484 @@
+/**
+ * 오프라인 편집 모듈
+ *
+ * - 서비스 워커 등록 (앱 화면과 스크립트를 캐시해 오프라인에서도 새로고침 가능)
+ * - 오프라인에서 한 페이지 생성/이동/제목 변경을 IndexedDB 대기열에 보관
+ * - 온라인 복구 시 대기열을 REST API로 순서대로 재전송하고 충돌을 알림
+ *
+ * 본문 편집은 sync-manager.js가 페이지별 Yjs 문서를 IndexedDB에 저장하고 재연결 시 변경분을 병합함.
+ */
+
+import { secureFetch, escapeHtml } from './ui-utils.js';
+import { fetchCollections, fetchPageList, loadPage } from './pages-manager.js';
+import { persistCurrentDoc, stopPageSync, flushPendingDocs, showInfo } from './sync-manager.js';
+import {
+    isOfflinePageId,
+    generateOfflinePageId,
+    loadPageDoc,
+    renamePageDoc,
+    deletePageDoc,
+    getDirtyPageDocs,
+    saveSnapshot,
+    getQueuedOperations,
+    addQueuedOperation,
+    updateQueuedOperation,
+    removeQueuedOperation
+} from './offline-store.js';
+
+// 전역 상태 (app.js에서 전달받음)
+let state = {
+    pages: [],
+    collections: [],
+    currentPageId: null
+};
+
+let isReplaying = false;
+
+/**
+ * 상태 초기화
+ */
+export function initOfflineManager(appState) {
+    state = appState;
+}
+
+/**
+ * 서비스 워커 등록
+ */
+export function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) {
+        return;
+    }
+
+    navigator.serviceWorker.register('/sw.js').catch((error) => {
+        console.warn('[Offline] 서비스 워커 등록 실패:', error);
+    });
+}
+
+/**
+ * 네트워크 오류로 요청이 실패했는지 확인 (서버 응답을 받은 오류는 제외)
+ */
+export function isOfflineError(error) {
+    return !navigator.onLine || error instanceof TypeError;
+}
+
+/**
+ * 오프라인 여부
+ */
+export function isOffline() {
+    return !navigator.onLine;
+}
+
+/**
+ * 현재 페이지 목록을 오프라인 스냅샷으로 저장
+ */
+export function savePageListSnapshot() {
+    return saveSnapshot('pages', state.pages);
+}
+
+/**
+ * 대기열에서 페이지에 대한 작업 찾기
+ */
+async function findQueuedOperation(type, pageId) {
+    const operations = await getQueuedOperations();
+    return operations.find(op => op.type === type && op.pageId === pageId) || null;
+}
+
+/**
+ * 서버에 아직 만들어지지 않은 페이지 목록 (서버 목록과 함께 표시)
+ */
+export async function getOfflineCreatedPages() {
+    const operations = await getQueuedOperations();
+    return operations
+        .filter(op => op.type === 'create')
+        .map(op => ({
+            id: op.pageId,
+            title: op.title,
+            collectionId: op.collectionId,
+            parentId: op.parentId,
+            sortOrder: 0,
+            isEncrypted: false,
+            updatedAt: new Date(op.queuedAt).toISOString()
+        }));
+}
+
+/**
+ * 오프라인 페이지 생성 (임시 ID로 만들고 온라인 복구 시 서버에 생성)
+ */
+export async function createPageOffline({ collectionId, title }) {
+    const collection = state.collections.find(c => c.id === collectionId);
+    if (collection && collection.permission === 'READ') {
+        throw new Error('페이지를 생성할 권한이 없습니다.');
+    }
+
+    const page = {
+        id: generateOfflinePageId(),
+        title: title || '새 페이지',
+        collectionId,
+        parentId: null,
+        sortOrder: 0,
+        isEncrypted: false,
+        updatedAt: new Date().toISOString()
+    };
+
+    await addQueuedOperation({
+        type: 'create',
+        pageId: page.id,
+        collectionId: page.collectionId,
+        parentId: page.parentId,
+        title: page.title
+    });
+
+    return page;
+}
+
+/**
+ * 오프라인 제목 변경 기록
+ * 같은 페이지의 변경은 하나로 합치고, 충돌 확인을 위해 처음 제목(baseTitle)을 유지
+ */
+export async function queuePageRename(pageId, title) {
+    if (isOfflinePageId(pageId)) {
+        const createOp = await findQueuedOperation('create', pageId);
+        if (createOp) {
+            await updateQueuedOperation({ ...createOp, title });
+        }
+    } else {
+        const existing = await findQueuedOperation('rename', pageId);
+        if (existing) {
+            await updateQueuedOperation({ ...existing, title });
+        } else {
+            const page = state.pages.find(p => p.id === pageId);
+            await addQueuedOperation({
+                type: 'rename',
+                pageId,
+                title,
+                baseTitle: page ? page.title : null
+            });
+        }
+    }
+
+    state.pages.forEach((p) => {
+        if (p.id === pageId) p.title = title;
+    });
+    await savePageListSnapshot();
+}
+
+/**
+ * 오프라인 페이지 이동 기록 (다른 컬렉션 또는 다른 상위 페이지로)
+ * 충돌 확인을 위해 처음 위치(baseCollectionId/baseParentId)를 유지
+ */
+export async function queuePageMove(pageId, { targetCollectionId, targetParentId, sortOrder }) {
+    const page = state.pages.find(p => p.id === pageId);
+
+    if (isOfflinePageId(pageId)) {
+        const createOp = await findQueuedOperation('create', pageId);
+        if (createOp) {
+            await updateQueuedOperation({ ...createOp, collectionId: targetCollectionId, parentId: targetParentId });
+        }
+    } else {
+        const existing = await findQueuedOperation('move', pageId);
+        if (existing) {
+            await updateQueuedOperation({ ...existing, targetCollectionId, targetParentId, sortOrder });
+        } else {
+            await addQueuedOperation({
+                type: 'move',
+                pageId,
+                targetCollectionId,
+                targetParentId,
+                sortOrder,
+                baseCollectionId: page ? page.collectionId : null,
+                baseParentId: page ? page.parentId || null : null
+            });
+        }
+    }
+
+    if (page) {
+        page.collectionId = targetCollectionId;
+        page.parentId = targetParentId;
+        page.sortOrder = sortOrder;
+    }
+    await savePageListSnapshot();
+}
+
+/**
+ * 오프라인에서 열 페이지 정보 (목록 스냅샷 + 이 기기에 저장된 Yjs 문서)
+ * 본문은 startPageSync가 저장된 문서를 에디터에 연결하여 표시함
+ */
+export async function getOfflinePage(pageId) {
+    const page = state.pages.find(p => p.id === pageId);
+    if (!page) {
+        throw new Error('오프라인 상태에서는 이 페이지를 찾을 수 없습니다.');
+    }
+
+    if (page.isEncrypted) {
+        throw new Error('오프라인 상태에서는 암호화된 페이지를 열 수 없습니다.');
+    }
+
+    if (!isOfflinePageId(pageId) && !(await loadPageDoc(pageId))) {
+        throw new Error('이 기기에서 열어 본 적이 없는 페이지는 오프라인 상태에서 열 수 없습니다.');
+    }
+
+    return {
+        id: page.id,
+        title: page.title,
+        content: '<p></p>',
+        collectionId: page.collectionId,
+        parentId: page.parentId || null,
+        sortOrder: page.sortOrder || 0,
+        isEncrypted: false,
+        updatedAt: page.updatedAt,
+        coverImage: page.coverImage || null,
+        coverPosition: page.coverPosition || 50
+    };
+}
+
+/**
+ * 서버에 반영되지 않은 오프라인 변경 수 (대기열 작업 + 보내지 못한 본문, 로그아웃 확인용)
+ */
+export async function getPendingOperationCount() {
+    const [operations, docs] = await Promise.all([getQueuedOperations(), getDirtyPageDocs()]);
+    return operations.length + docs.length;
+}
+
+/**
+ * 응답 본문의 오류 메시지 추출
+ */
+async function readErrorMessage(res) {
+    const data = await res.json().catch(() => ({}));
+    return data.error || `HTTP ${res.status}`;
+}
+
+/**
+ * 서버의 현재 페이지 정보 조회 (충돌 확인용, 삭제되었거나 권한이 없으면 null)
+ */
+async function fetchServerPage(pageId) {
+    const res = await fetch(`/api/pages/${encodeURIComponent(pageId)}`);
+    if (res.status === 404 || res.status === 403) {
+        return null;
+    }
+    if (!res.ok) {
+        throw new Error(await readErrorMessage(res));
+    }
+    return res.json();
+}
+
+/**
+ * 남은 작업의 임시 페이지 ID를 실제 ID로 교체
+ */
+async function remapQueuedPageId(operations, tempId, pageId) {
+    for (const op of operations) {
+        let changed = false;
+        if (op.pageId === tempId) {
+            op.pageId = pageId;
+            changed = true;
+        }
+        if (op.targetParentId === tempId) {
+            op.targetParentId = pageId;
+            changed = true;
+        }
+        if (op.parentId === tempId) {
+            op.parentId = pageId;
+            changed = true;
+        }
+        if (changed) {
+            await updateQueuedOperation(op);
+        }
+    }
+}
+
+/**
+ * 작업 하나 재전송
+ * @returns {Promise<string|null>} 충돌 메시지 (적용되었으면 null)
+ */
+async function replayOperation(op, remaining, context) {
+    if (op.type === 'create') {
+        const res = await secureFetch('/api/pages', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                title: op.title,
+                content: '<p></p>',
+                collectionId: op.collectionId,
+                parentId: isOfflinePageId(op.parentId) ? null : op.parentId
+            })
+        });
+
+        if (!res.ok) {
+            if (state.currentPageId === op.pageId) {
+                stopPageSync();
+            }
+            await deletePageDoc(op.pageId);
+            return `"${op.title}" 페이지를 만들지 못해 오프라인에서 작성한 내용이 저장되지 않았습니다: ${await readErrorMessage(res)}`;
+        }
+
+        const page = await res.json();
+
+        // 열려 있는 임시 페이지는 저장 후 닫고, 본문 문서를 실제 ID로 옮겨 재연결 시 서버에 병합
+        if (state.currentPageId === op.pageId) {
+            await persistCurrentDoc();
+            stopPageSync();
+            context.reopenPageId = page.id;
+        }
+        await renamePageDoc(op.pageId, page.id);
+        await remapQueuedPageId(remaining, op.pageId, page.id);
+        return null;
+    }
+
+    if (isOfflinePageId(op.pageId) || isOfflinePageId(op.targetParentId)) {
+        return '서버에 만들지 못한 페이지와 관련된 변경은 적용하지 않았습니다.';
+    }
+
+    const serverPage = await fetchServerPage(op.pageId);
+
+    if (op.type === 'rename') {
+        if (!serverPage) {
+            return `"${op.title}" 페이지가 삭제되었거나 권한이 없어 제목 변경을 적용하지 않았습니다.`;
+        }
+        if (op.baseTitle !== null && serverPage.title !== op.baseTitle && serverPage.title !== op.title) {
+            return `"${op.baseTitle}" 페이지의 제목이 다른 곳에서 "${serverPage.title}"(으)로 바뀌어 "${op.title}"(으)로의 변경을 적용하지 않았습니다.`;
+        }
+
+        const res = await secureFetch(`/api/pages/${encodeURIComponent(op.pageId)}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ title: op.title })
+        });
+        if (!res.ok) {
+            return `"${op.title}" 제목 변경 실패: ${await readErrorMessage(res)}`;
+        }
+        return null;
+    }
+
+    if (op.type === 'move') {
+        if (!serverPage) {
+            return '이동한 페이지가 삭제되었거나 권한이 없어 이동을 적용하지 않았습니다.';
+        }
+        if (serverPage.collectionId !== op.baseCollectionId || (serverPage.parentId || null) !== op.baseParentId) {
+            return `"${serverPage.title}" 페이지가 다른 곳에서 이미 이동되어 오프라인 이동을 적용하지 않았습니다.`;
+        }
+
+        const res = await secureFetch(`/api/pages/${encodeURIComponent(op.pageId)}/move`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                targetCollectionId: op.targetCollectionId,
+                targetParentId: op.targetParentId,
+                sortOrder: op.sortOrder
+            })
+        });
+        if (!res.ok) {
+            return `"${serverPage.title}" 페이지 이동 실패: ${await readErrorMessage(res)}`;
+        }
+        return null;
+    }
+
+    return `알 수 없는 오프라인 작업입니다: ${op.type}`;
+}
+
+/**
+ * 오프라인 대기열 재전송 (온라인 복구 시, 앱 시작 시)
+ * 네트워크가 다시 끊기면 남은 작업은 다음 복구 때 이어서 보냄
+ */
+export async function replayOfflineQueue() {
+    if (isReplaying || isOffline()) {
+        return;
+    }
+
+    isReplaying = true;
+    const conflicts = [];
+    const context = { reopenPageId: null };
+    let applied = 0;
+
+    try {
+        const operations = await getQueuedOperations();
+        if (!operations.length) {
+            return;
+        }
+
+        console.log(`[Offline] 오프라인 작업 ${operations.length}건 재전송`);
+
+        for (let i = 0; i < operations.length; i++) {
+            const op = operations[i];
+            let conflict;
+
+            try {
+                conflict = await replayOperation(op, operations.slice(i + 1), context);
+            } catch (error) {
+                if (isOfflineError(error)) {
+                    console.warn('[Offline] 재전송 중 연결 끊김, 남은 작업 보관');
+                    break;
+                }
+                conflict = `오프라인 변경 적용 실패: ${error.message}`;
+            }
+
+            await removeQueuedOperation(op.id);
+            if (conflict) {
+                conflicts.push(conflict);
+            } else {
+                applied++;
+            }
+        }
+
+        // 서버 기준으로 목록 갱신
+        await Promise.allSettled([fetchCollections(), fetchPageList()]);
+
+        if (context.reopenPageId) {
+            await loadPage(context.reopenPageId);
+        }
+
+        // 실제 ID로 옮긴 본문 전송
+        flushPendingDocs();
+    } catch (error) {
+        console.error('[Offline] 대기열 재전송 오류:', error);
+    } finally {
+        isReplaying = false;
+    }
+
+    if (applied) {
+        showInfo(`오프라인에서 한 변경 ${applied}건을 서버에 반영했습니다.`);
+    }
+    if (conflicts.length) {
+        showConflictReport(conflicts);
+    }
+}
+
+/**
+ * 충돌 보고 모달 표시
+ */
+function showConflictReport(conflicts) {
+    const modal = document.getElementById('offline-conflicts-modal');
+    const listEl = document.getElementById('offline-conflicts-list');
+    if (!modal || !listEl) {
+        alert('일부 오프라인 변경을 적용하지 못했습니다:\n\n' + conflicts.join('\n'));
+        return;
+    }
+
+    listEl.innerHTML = conflicts.map(message => `<li>${escapeHtml(message)}</li>`).join('');
+    modal.classList.remove('hidden');
+}
+
+/**
+ * 충돌 보고 모달 닫기
+ */
+function closeConflictReport() {
+    const modal = document.getElementById('offline-conflicts-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+}
+
+/**
+ * 이벤트 바인딩
+ */
+export function bindOfflineEvents() {
+    ['close-offline-conflicts-btn', 'offline-conflicts-confirm-btn'].forEach((id) => {
+        const btn = document.getElementById(id);
+        if (btn) {
+            btn.addEventListener('click', closeConflictReport);
+        }
+    });
+
+    const overlay = document.querySelector('#offline-conflicts-modal .modal-overlay');
+    if (overlay) {
+        overlay.addEventListener('click', closeConflictReport);
+    }
+}
@@ -0,0 +1,295 @@
+/**
+ * 오프라인 저장소 모듈 (IndexedDB)
+ *
+ * - docs: 페이지별 Yjs 문서 상태 (새로고침 후 오프라인에서도 본문 표시, 끊긴 동안의 편집 보존)
+ * - snapshots: 컬렉션/페이지 목록 등 마지막으로 받은 서버 응답
+ * - queue: 오프라인에서 한 페이지 생성/이동/제목 변경 (온라인 복구 시 offline-manager.js가 재전송)
+ *
+ * IndexedDB를 쓸 수 없는 환경(사생활 보호 모드 등)에서는 모든 함수가 조용히 실패하고 빈 값을 돌려줌.
+ */
+
+const DB_NAME = 'nteok-offline';
+const DB_VERSION = 1;
+const MAX_STORED_DOCS = 50; // 동기화가 끝난 문서는 최근에 연 것만 보관
+
+// 오프라인에서 만든 페이지의 임시 ID 접두사 (서버에 생성되면 실제 ID로 바뀜)
+export const OFFLINE_PAGE_ID_PREFIX = 'offline-';
+
+let dbPromise = null;
+
+/**
+ * 오프라인에서 만든(아직 서버에 없는) 페이지인지 확인
+ */
+export function isOfflinePageId(pageId) {
+    return typeof pageId === 'string' && pageId.startsWith(OFFLINE_PAGE_ID_PREFIX);
+}
+
+/**
+ * 오프라인 페이지 임시 ID 생성
+ */
+export function generateOfflinePageId() {
+    const random = Math.random().toString(36).slice(2, 10);
+    return `${OFFLINE_PAGE_ID_PREFIX}${Date.now()}-${random}`;
+}
+
+/**
+ * DB 열기 (최초 호출 시 스키마 생성)
+ */
+function openDb() {
+    if (dbPromise) {
+        return dbPromise;
+    }
+
+    dbPromise = new Promise((resolve, reject) => {
+        if (typeof indexedDB === 'undefined') {
+            reject(new Error('IndexedDB를 사용할 수 없습니다.'));
+            return;
+        }
+
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('docs')) {
+                const docs = db.createObjectStore('docs', { keyPath: 'pageId' });
+                docs.createIndex('savedAt', 'savedAt');
+            }
+            if (!db.objectStoreNames.contains('snapshots')) {
+                db.createObjectStore('snapshots', { keyPath: 'key' });
+            }
+            if (!db.objectStoreNames.contains('queue')) {
+                db.createObjectStore('queue', { keyPath: 'id', autoIncrement: true });
+            }
+        };
+
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    }).catch((error) => {
+        console.warn('[Offline] 저장소 열기 실패:', error);
+        dbPromise = null;
+        return null;
+    });
+
+    return dbPromise;
+}
+
+/**
+ * 트랜잭션 실행 (fn에서 만든 요청의 결과를 트랜잭션 완료 후 반환)
+ */
+async function withStore(storeNames, mode, fn) {
+    const db = await openDb();
+    if (!db) {
+        return null;
+    }
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeNames, mode);
+        const stores = Array.isArray(storeNames)
+            ? storeNames.map(name => tx.objectStore(name))
+            : [tx.objectStore(storeNames)];
+        const request = fn(...stores);
+
+        tx.oncomplete = () => resolve(request ? request.result : null);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+/**
+ * 저장된 페이지 문서 조회
+ * @returns {Promise<{pageId: string, update: Uint8Array, dirty: boolean, savedAt: number}|null>}
+ */
+export async function loadPageDoc(pageId) {
+    try {
+        return (await withStore('docs', 'readonly', store => store.get(pageId))) || null;
+    } catch (error) {
+        console.warn('[Offline] 문서 조회 실패:', error);
+        return null;
+    }
+}
+
+/**
+ * 페이지 문서 저장
+ * @param {Uint8Array} update - Y.encodeStateAsUpdate 결과
+ * @param {boolean} dirty - 서버에 아직 보내지 못한 로컬 변경이 있는지
+ */
+export async function savePageDoc(pageId, update, dirty) {
+    try {
+        await withStore('docs', 'readwrite', store => store.put({
+            pageId,
+            update,
+            dirty: !!dirty,
+            savedAt: Date.now()
+        }));
+        await prunePageDocs();
+    } catch (error) {
+        console.warn('[Offline] 문서 저장 실패:', error);
+    }
+}
+
+/**
+ * 페이지 문서 삭제
+ */
+export async function deletePageDoc(pageId) {
+    try {
+        await withStore('docs', 'readwrite', store => store.delete(pageId));
+    } catch (error) {
+        console.warn('[Offline] 문서 삭제 실패:', error);
+    }
+}
+
+/**
+ * 임시 ID로 저장된 문서를 서버에서 받은 실제 ID로 옮김
+ */
+export async function renamePageDoc(fromPageId, toPageId) {
+    try {
+        await withStore('docs', 'readwrite', (store) => {
+            const request = store.get(fromPageId);
+            request.onsuccess = () => {
+                if (!request.result) return;
+                store.delete(fromPageId);
+                store.put({ ...request.result, pageId: toPageId, dirty: true, savedAt: Date.now() });
+            };
+            return null;
+        });
+    } catch (error) {
+        console.warn('[Offline] 문서 이동 실패:', error);
+    }
+}
+
+/**
+ * 서버에 보내지 못한 변경이 있는 문서 목록
+ */
+export async function getDirtyPageDocs() {
+    try {
+        const docs = await withStore('docs', 'readonly', store => store.getAll());
+        return (docs || []).filter(doc => doc.dirty);
+    } catch (error) {
+        console.warn('[Offline] 문서 목록 조회 실패:', error);
+        return [];
+    }
+}
+
+/**
+ * 오래된 문서 정리 (보내지 못한 변경이 있는 문서는 유지)
+ */
+async function prunePageDocs() {
+    await withStore('docs', 'readwrite', (store) => {
+        const countRequest = store.count();
+        countRequest.onsuccess = () => {
+            let excess = countRequest.result - MAX_STORED_DOCS;
+            if (excess <= 0) return;
+
+            // savedAt 오름차순 (오래된 것부터)
+            store.index('savedAt').openCursor().onsuccess = (event) => {
+                const cursor = event.target.result;
+                if (!cursor || excess <= 0) return;
+                if (!cursor.value.dirty) {
+                    cursor.delete();
+                    excess--;
+                }
+                cursor.continue();
+            };
+        };
+        return null;
+    });
+}
+
+/**
+ * 스냅샷 조회 (collections, pages, currentUser 등)
+ */
+export async function loadSnapshot(key) {
+    try {
+        const record = await withStore('snapshots', 'readonly', store => store.get(key));
+        return record ? record.value : null;
+    } catch (error) {
+        console.warn('[Offline] 스냅샷 조회 실패:', error);
+        return null;
+    }
+}
+
+/**
+ * 스냅샷 저장
+ */
+export async function saveSnapshot(key, value) {
+    try {
+        await withStore('snapshots', 'readwrite', store => store.put({ key, value, savedAt: Date.now() }));
+    } catch (error) {
+        console.warn('[Offline] 스냅샷 저장 실패:', error);
+    }
+}
+
+/**
+ * 대기 중인 오프라인 작업 목록 (추가한 순서)
+ */
+export async function getQueuedOperations() {
+    try {
+        return (await withStore('queue', 'readonly', store => store.getAll())) || [];
+    } catch (error) {
+        console.warn('[Offline] 작업 대기열 조회 실패:', error);
+        return [];
+    }
+}
+
+/**
+ * 오프라인 작업 추가
+ */
+export async function addQueuedOperation(operation) {
+    try {
+        return await withStore('queue', 'readwrite', store => store.add({ ...operation, queuedAt: Date.now() }));
+    } catch (error) {
+        console.warn('[Offline] 작업 대기열 추가 실패:', error);
+        return null;
+    }
+}
+
+/**
+ * 오프라인 작업 수정 (같은 페이지에 대한 작업 합치기)
+ */
+export async function updateQueuedOperation(operation) {
+    try {
+        await withStore('queue', 'readwrite', store => store.put(operation));
+    } catch (error) {
+        console.warn('[Offline] 작업 대기열 수정 실패:', error);
+    }
+}
+
+/**
+ * 오프라인 작업 제거 (재전송 완료 또는 충돌)
+ */
+export async function removeQueuedOperation(id) {
+    try {
+        await withStore('queue', 'readwrite', store => store.delete(id));
+    } catch (error) {
+        console.warn('[Offline] 작업 대기열 삭제 실패:', error);
+    }
+}
+
+/**
+ * 저장소를 현재 사용자에게 연결 (다른 사용자의 데이터가 남아 있으면 모두 삭제)
+ */
+export async function bindOfflineStoreToUser(userId) {
+    const owner = await loadSnapshot('owner');
+    if (owner !== null && owner !== userId) {
+        await clearOfflineData();
+    }
+    if (owner !== userId) {
+        await saveSnapshot('owner', userId);
+    }
+}
+
+/**
+ * 오프라인 데이터 전체 삭제 (로그아웃 시)
+ */
+export async function clearOfflineData() {
+    try {
+        await withStore(['docs', 'snapshots', 'queue'], 'readwrite', (docs, snapshots, queue) => {
+            docs.clear();
+            snapshots.clear();
+            queue.clear();
+            return null;
+        });
+    } catch (error) {
+        console.warn('[Offline] 저장소 삭제 실패:', error);
+    }
+}
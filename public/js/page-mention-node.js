@@ -0,0 +1,137 @@
+/**
+ * Tiptap PageMention Node Extension
+ * 다른 NTEOK 페이지를 가리키는 인라인 멘션 노드
+ *
+ * 링크는 페이지 ID로만 연결되므로 대상 페이지의 제목이 바뀌거나 다른 컬렉션으로 이동해도 유지됨.
+ * data-title은 삽입 시점의 제목으로, 대상 페이지에 접근할 수 없을 때만 표시에 사용함.
+ */
+
+const Node = Tiptap.Core.Node;
+
+/**
+ * 현재 사용자가 볼 수 있는 페이지 목록에서 대상 페이지 조회
+ */
+function findMentionTarget(pageId) {
+    const pages = window.appState?.pages || [];
+    return pages.find(p => p.id === pageId) || null;
+}
+
+/**
+ * 멘션 표시 요소 갱신 (현재 제목과 아이콘, 접근 불가 여부)
+ */
+function renderMentionLabel(dom, pageId, fallbackTitle) {
+    const page = findMentionTarget(pageId);
+
+    dom.innerHTML = '';
+    dom.classList.toggle('missing', !page);
+    dom.title = page ? '' : '삭제되었거나 접근할 수 없는 페이지';
+
+    const iconEl = document.createElement('span');
+    iconEl.className = 'page-mention-icon';
+    if (page && page.icon && !page.icon.startsWith('fa-')) {
+        iconEl.textContent = page.icon;
+    } else {
+        const i = document.createElement('i');
+        i.className = page && page.icon ? page.icon : 'fa-regular fa-file-lines';
+        iconEl.appendChild(i);
+    }
+
+    const titleEl = document.createElement('span');
+    titleEl.className = 'page-mention-title';
+    titleEl.textContent = page ? (page.title || '제목 없음') : (fallbackTitle || '알 수 없는 페이지');
+
+    dom.appendChild(iconEl);
+    dom.appendChild(titleEl);
+}
+
+/**
+ * 원격 제목/아이콘 변경 시 화면에 표시된 멘션 갱신
+ */
+export function refreshPageMentions(pageId) {
+    document.querySelectorAll(`.page-mention[data-page-id="${CSS.escape(pageId)}"]`).forEach((dom) => {
+        renderMentionLabel(dom, pageId, dom.dataset.fallbackTitle);
+    });
+}
+
+export const PageMention = Node.create({
+    name: 'pageMention',
+
+    group: 'inline',
+
+    inline: true,
+
+    atom: true,
+
+    selectable: true,
+
+    addAttributes() {
+        return {
+            pageId: {
+                default: null,
+                parseHTML: element => element.getAttribute('data-id'),
+                renderHTML: attributes => ({ 'data-id': attributes.pageId })
+            },
+            title: {
+                default: '',
+                parseHTML: element => element.getAttribute('data-title') || element.textContent || '',
+                renderHTML: attributes => ({ 'data-title': attributes.title || '' })
+            }
+        };
+    },
+
+    parseHTML() {
+        return [
+            {
+                tag: 'span[data-type="page-mention"]'
+            }
+        ];
+    },
+
+    renderHTML({ node, HTMLAttributes }) {
+        return [
+            'span',
+            {
+                ...HTMLAttributes,
+                'data-type': 'page-mention',
+                'class': 'page-mention'
+            },
+            node.attrs.title || ''
+        ];
+    },
+
+    addNodeView() {
+        return ({ node }) => {
+            const dom = document.createElement('span');
+            dom.className = 'page-mention';
+            dom.contentEditable = 'false';
+            dom.dataset.pageId = node.attrs.pageId || '';
+            dom.dataset.fallbackTitle = node.attrs.title || '';
+
+            renderMentionLabel(dom, node.attrs.pageId, node.attrs.title);
+
+            return {
+                dom,
+                update: (updatedNode) => {
+                    if (updatedNode.type.name !== this.name) {
+                        return false;
+                    }
+                    dom.dataset.pageId = updatedNode.attrs.pageId || '';
+                    dom.dataset.fallbackTitle = updatedNode.attrs.title || '';
+                    renderMentionLabel(dom, updatedNode.attrs.pageId, updatedNode.attrs.title);
+                    return true;
+                }
+            };
+        };
+    },
+
+    addCommands() {
+        return {
+            insertPageMention: ({ pageId, title }) => ({ commands }) => {
+                return commands.insertContent([
+                    { type: this.name, attrs: { pageId, title } },
+                    { type: 'text', text: ' ' }
+                ]);
+            }
+        };
+    }
+});
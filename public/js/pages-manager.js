@@ -4,9 +4,24 @@
 
 import { secureFetch } from './ui-utils.js';
 import { escapeHtml, showErrorInEditor } from './ui-utils.js';
-import { startPageSync, stopPageSync, startCollectionSync, stopCollectionSync, flushPendingUpdates, syncEditorFromMetadata } from './sync-manager.js';
+import { startPageSync, stopPageSync, startCollectionSync, stopCollectionSync, isPageContentSynced } from './sync-manager.js';
 import { showCover, hideCover, updateCoverButtonsVisibility } from './cover-manager.js';
 import { checkPublishStatus, updatePublishButton } from './publish-manager.js';
+import { updateHistoryButton } from './revision-manager.js';
+import { getCollectionKey, indexEncryptedPage } from './search-index-manager.js';
+import { loadPageTags, renderPageTags, fetchTagBrowser, renderTagBrowser } from './tag-manager.js';
+import { loadBacklinks } from './backlinks-manager.js';
+import { loadComments } from './comments-manager.js';
+import {
+    isOffline,
+    isOfflineError,
+    getOfflinePage,
+    getOfflineCreatedPages,
+    queuePageRename,
+    queuePageMove,
+    savePageListSnapshot
+} from './offline-manager.js';
+import { isOfflinePageId, loadSnapshot, saveSnapshot } from './offline-store.js';
 
 // 전역 상태 (app.js에서 전달받음)
 let state = {
@@ -17,7 +32,10 @@ let state = {
     currentCollectionId: null,
     expandedCollections: new Set(),
     isWriteMode: false,
-    currentPageIsEncrypted: false  // 현재 페이지의 암호화 상태
+    currentPageIsEncrypted: false,  // 현재 페이지의 암호화 상태
+    isTrashView: false,  // 사이드바 휴지통 보기 여부
+    isTagView: false,  // 사이드바 태그 보기 여부
+    trash: { pages: [], collections: [], retentionDays: 30 }
 };
 
 /**
@@ -46,8 +64,23 @@ export async function fetchCollections() {
             state.currentCollectionId = state.collections[0].id;
         }
 
+        saveSnapshot("collections", state.collections);
         renderPageList();
     } catch (error) {
+        // 오프라인: 마지막으로 받은 목록 표시
+        if (isOfflineError(error)) {
+            const collections = await loadSnapshot("collections");
+            if (collections) {
+                state.collections.length = 0;
+                state.collections.push(...collections);
+                if (!state.currentCollectionId && state.collections.length) {
+                    state.currentCollectionId = state.collections[0].id;
+                }
+                renderPageList();
+                return;
+            }
+        }
+
         console.error("컬렉션 목록 요청 오류:", error);
         showErrorInEditor("컬렉션을 불러오는 데 실패했다: " + error.message, state.editor);
     }
@@ -70,9 +103,13 @@ export async function fetchPageList() {
         // 제목은 평문으로 저장되므로 복호화 불필요
         const pages = Array.isArray(data) ? data : [];
 
+        // 오프라인에서 만들어 아직 서버에 없는 페이지도 함께 표시
+        pages.push(...await getOfflineCreatedPages());
+
         state.pages.length = 0;
         state.pages.push(...pages);
 
+        savePageListSnapshot();
         renderPageList();
 
         if (!state.pages.length) {
@@ -81,6 +118,17 @@ export async function fetchPageList() {
             }
         }
     } catch (error) {
+        // 오프라인: 마지막으로 받은 목록(오프라인 변경 반영) 표시
+        if (isOfflineError(error)) {
+            const pages = await loadSnapshot("pages");
+            if (pages) {
+                state.pages.length = 0;
+                state.pages.push(...pages);
+                renderPageList();
+                return;
+            }
+        }
+
         console.error("페이지 목록 요청 오류:", error);
         showErrorInEditor("페이지 목록을 불러오는 데 실패했다: " + error.message, state.editor);
     }
@@ -145,6 +193,16 @@ export function renderPageList() {
 
     listEl.innerHTML = "";
 
+    if (state.isTrashView) {
+        renderTrashList(listEl);
+        return;
+    }
+
+    if (state.isTagView) {
+        renderTagBrowser(listEl);
+        return;
+    }
+
     if (!state.collections.length) {
         const empty = document.createElement("li");
         empty.className = "collection-empty";
@@ -286,6 +344,14 @@ export function renderPageList() {
                         ? new Date(node.updatedAt).toLocaleString()
                         : "";
 
+                    // 템플릿으로 지정된 페이지 표시
+                    if (node.templateScope) {
+                        const badge = document.createElement("span");
+                        badge.className = "page-template-badge";
+                        badge.textContent = node.templateScope === "COLLECTION" ? "컬렉션 템플릿" : "내 템플릿";
+                        dateSpan.prepend(badge);
+                    }
+
                     titleWrap.appendChild(titleSpan);
                     titleWrap.appendChild(dateSpan);
 
@@ -332,6 +398,279 @@ export function renderPageList() {
     initCollectionDragDrop();
 }
 
+/**
+ * 휴지통 목록 가져오기
+ */
+export async function fetchTrash() {
+    try {
+        const res = await fetch("/api/trash");
+        if (!res.ok) {
+            throw new Error("HTTP " + res.status + " " + res.statusText);
+        }
+
+        const data = await res.json();
+        state.trash = {
+            pages: Array.isArray(data.pages) ? data.pages : [],
+            collections: Array.isArray(data.collections) ? data.collections : [],
+            retentionDays: data.retentionDays || 30
+        };
+
+        renderPageList();
+    } catch (error) {
+        console.error("휴지통 목록 요청 오류:", error);
+        alert("휴지통을 불러오지 못했습니다: " + error.message);
+    }
+}
+
+/**
+ * 휴지통 목록 렌더링 (renderPageList에서 휴지통 보기일 때 호출)
+ */
+function renderTrashList(listEl) {
+    // 휴지통 보기에서는 드래그 앤 드롭 비활성화
+    if (listEl._sortable) {
+        listEl._sortable.destroy();
+        listEl._sortable = null;
+    }
+
+    const trash = state.trash || { pages: [], collections: [], retentionDays: 30 };
+
+    const header = document.createElement("li");
+    header.className = "trash-header";
+    header.innerHTML = `
+        <div class="trash-header-title">
+            <i class="fa-regular fa-trash-can"></i>
+            <span>휴지통</span>
+        </div>
+        <div class="trash-header-info">${trash.retentionDays}일이 지난 항목은 자동으로 영구 삭제됩니다.</div>
+    `;
+
+    if (trash.pages.length || trash.collections.length) {
+        const emptyBtn = document.createElement("button");
+        emptyBtn.type = "button";
+        emptyBtn.className = "trash-empty-btn";
+        emptyBtn.innerHTML = `<i class="fa-solid fa-broom"></i> 휴지통 비우기`;
+        emptyBtn.addEventListener("click", emptyTrash);
+        header.appendChild(emptyBtn);
+    }
+
+    listEl.appendChild(header);
+
+    if (!trash.pages.length && !trash.collections.length) {
+        const empty = document.createElement("li");
+        empty.className = "collection-empty";
+        empty.textContent = "휴지통이 비어 있습니다.";
+        listEl.appendChild(empty);
+        return;
+    }
+
+    const createItem = ({ iconHtml, title, meta, onRestore, onPurge }) => {
+        const li = document.createElement("li");
+        li.className = "trash-item";
+
+        const info = document.createElement("div");
+        info.className = "trash-item-info";
+        info.innerHTML = `
+            <span class="trash-item-title">${iconHtml}${escapeHtml(title)}</span>
+            <span class="trash-item-meta">${escapeHtml(meta)}</span>
+        `;
+
+        const actions = document.createElement("div");
+        actions.className = "trash-item-actions";
+
+        const restoreBtn = document.createElement("button");
+        restoreBtn.type = "button";
+        restoreBtn.title = "복원";
+        restoreBtn.innerHTML = `<i class="fa-solid fa-rotate-left"></i>`;
+        restoreBtn.addEventListener("click", onRestore);
+
+        const purgeBtn = document.createElement("button");
+        purgeBtn.type = "button";
+        purgeBtn.title = "영구 삭제";
+        purgeBtn.innerHTML = `<i class="fa-solid fa-xmark"></i>`;
+        purgeBtn.addEventListener("click", onPurge);
+
+        actions.appendChild(restoreBtn);
+        actions.appendChild(purgeBtn);
+
+        li.appendChild(info);
+        li.appendChild(actions);
+        return li;
+    };
+
+    trash.collections.forEach((collection) => {
+        const deletedAt = collection.deletedAt ? new Date(collection.deletedAt).toLocaleString() : "";
+        listEl.appendChild(createItem({
+            iconHtml: `<i class="fa-regular fa-folder" style="margin-right: 6px;"></i>`,
+            title: collection.name || "제목 없음",
+            meta: `컬렉션 · 페이지 ${collection.pageCount}개 · ${deletedAt}`,
+            onRestore: () => restoreTrashItem("collections", collection.id),
+            onPurge: () => purgeTrashItem("collections", collection.id, `'${collection.name}' 컬렉션과 포함된 모든 페이지를 영구 삭제하시겠습니까?`)
+        }));
+    });
+
+    trash.pages.forEach((page) => {
+        let iconHtml = `<i class="fa-regular fa-file-lines" style="margin-right: 6px;"></i>`;
+        if (page.icon) {
+            iconHtml = page.icon.startsWith('fa-')
+                ? `<i class="${escapeHtml(page.icon)}" style="margin-right: 6px;"></i>`
+                : `<span style="margin-right: 6px;">${escapeHtml(page.icon)}</span>`;
+        }
+
+        const deletedAt = page.deletedAt ? new Date(page.deletedAt).toLocaleString() : "";
+        const childCount = page.pageCount > 1 ? ` · 하위 ${page.pageCount - 1}개` : "";
+        const deletedBy = page.deletedBy ? ` · ${page.deletedBy}` : "";
+
+        listEl.appendChild(createItem({
+            iconHtml,
+            title: page.title || "제목 없음",
+            meta: `${page.collectionName || ""}${childCount} · ${deletedAt}${deletedBy}`,
+            onRestore: () => restoreTrashItem("pages", page.id),
+            onPurge: () => purgeTrashItem("pages", page.id, `'${page.title}' 페이지${childCount ? "와 하위 페이지" : ""}를 영구 삭제하시겠습니까?`)
+        }));
+    });
+}
+
+/**
+ * 휴지통 항목 복원
+ * @param {"pages"|"collections"} type
+ */
+async function restoreTrashItem(type, id) {
+    try {
+        const res = await secureFetch(`/api/trash/${type}/${encodeURIComponent(id)}/restore`, {
+            method: "POST"
+        });
+
+        if (!res.ok) {
+            const errorData = await res.json().catch(() => ({}));
+            throw new Error(errorData.error || "HTTP " + res.status);
+        }
+
+        const data = await res.json();
+        if (data.movedToRoot) {
+            alert("원래 상위 페이지가 휴지통에 있어 컬렉션 최상위로 복원했습니다.");
+        }
+
+        if (type === "collections") {
+            await fetchCollections();
+        }
+        await fetchPageList();
+        await fetchTrash();
+    } catch (error) {
+        console.error("휴지통 복원 오류:", error);
+        alert("복원하지 못했습니다: " + error.message);
+    }
+}
+
+/**
+ * 휴지통 항목 영구 삭제
+ * @param {"pages"|"collections"} type
+ */
+async function purgeTrashItem(type, id, message) {
+    if (!confirm(message + "\n이 작업은 되돌릴 수 없습니다.")) return;
+
+    try {
+        const res = await secureFetch(`/api/trash/${type}/${encodeURIComponent(id)}`, {
+            method: "DELETE"
+        });
+
+        if (!res.ok) {
+            const errorData = await res.json().catch(() => ({}));
+            throw new Error(errorData.error || "HTTP " + res.status);
+        }
+
+        await fetchTrash();
+    } catch (error) {
+        console.error("휴지통 영구 삭제 오류:", error);
+        alert("영구 삭제하지 못했습니다: " + error.message);
+    }
+}
+
+/**
+ * 휴지통 비우기
+ */
+async function emptyTrash() {
+    if (!confirm("휴지통의 모든 항목을 영구 삭제하시겠습니까?\n이 작업은 되돌릴 수 없습니다.")) return;
+
+    try {
+        const res = await secureFetch("/api/trash", { method: "DELETE" });
+
+        if (!res.ok) {
+            const errorData = await res.json().catch(() => ({}));
+            throw new Error(errorData.error || "HTTP " + res.status);
+        }
+
+        await fetchTrash();
+    } catch (error) {
+        console.error("휴지통 비우기 오류:", error);
+        alert("휴지통을 비우지 못했습니다: " + error.message);
+    }
+}
+
+/**
+ * 사이드바 보기 전환 버튼(휴지통, 태그) 표시 갱신
+ * 활성화된 보기의 버튼은 페이지 목록으로 돌아가는 버튼으로 바뀜
+ */
+function updateSidebarViewButtons() {
+    const buttons = [
+        { selector: "#trash-btn", active: state.isTrashView, icon: "fa-regular fa-trash-can", text: "휴지통" },
+        { selector: "#tags-btn", active: state.isTagView, icon: "fa-solid fa-tags", text: "태그" }
+    ];
+
+    buttons.forEach(({ selector, active, icon, text }) => {
+        const btn = document.querySelector(selector);
+        if (!btn) return;
+
+        const iconEl = btn.querySelector("i");
+        const textEl = btn.querySelector("span");
+        if (iconEl) {
+            iconEl.className = active ? "fa-solid fa-arrow-left" : icon;
+        }
+        if (textEl) {
+            textEl.textContent = active ? "페이지 목록" : text;
+        }
+    });
+}
+
+/**
+ * 휴지통 버튼 바인딩 (사이드바 휴지통 보기 전환)
+ */
+export function bindTrashButton() {
+    const btn = document.querySelector("#trash-btn");
+    if (!btn) return;
+
+    btn.addEventListener("click", async () => {
+        state.isTrashView = !state.isTrashView;
+        state.isTagView = false;
+        updateSidebarViewButtons();
+
+        if (state.isTrashView) {
+            renderPageList();
+            await fetchTrash();
+        } else {
+            renderPageList();
+        }
+    });
+}
+
+/**
+ * 태그 버튼 바인딩 (사이드바 태그 브라우저 보기 전환)
+ */
+export function bindTagsButton() {
+    const btn = document.querySelector("#tags-btn");
+    if (!btn) return;
+
+    btn.addEventListener("click", async () => {
+        state.isTagView = !state.isTagView;
+        state.isTrashView = false;
+        updateSidebarViewButtons();
+
+        renderPageList();
+        if (state.isTagView) {
+            await fetchTagBrowser();
+        }
+    });
+}
+
 /**
  * 컬렉션 드래그 앤 드롭 초기화
  */
@@ -460,6 +799,13 @@ function initPageDragDrop(pageListEl, collectionId, parentId, permission) {
             if (fromCollectionId === toCollectionId && fromParentId === toParentId) {
                 if (evt.oldIndex === evt.newIndex) return;
 
+                if (isOffline()) {
+                    alert('오프라인 상태에서는 순서를 바꿀 수 없습니다. 다른 컬렉션이나 페이지 아래로 옮기는 것은 가능합니다.');
+                    await fetchPageList();
+                    renderPageList();
+                    return;
+                }
+
                 const pageItems = Array.from(toList.querySelectorAll('.page-list-item'));
                 const pageIds = pageItems.map(item => item.dataset.pageId);
 
@@ -502,6 +848,17 @@ function initPageDragDrop(pageListEl, collectionId, parentId, permission) {
                 try {
                     const newSortOrder = evt.newIndex * 10;
 
+                    // 오프라인: 대기열에 기록하고 온라인 복구 시 재전송
+                    if (isOffline() || isOfflinePageId(pageId)) {
+                        await queuePageMove(pageId, {
+                            targetCollectionId: toCollectionId,
+                            targetParentId: toParentId,
+                            sortOrder: newSortOrder
+                        });
+                        renderPageList();
+                        return;
+                    }
+
                     const res = await secureFetch(`/api/pages/${pageId}/move`, {
                         method: 'PATCH',
                         headers: { 'Content-Type': 'application/json' },
@@ -574,14 +931,32 @@ export async function loadPage(id) {
     }
 
     try {
-        console.log("단일 페이지 요청: GET /api/pages/" + id);
-        const res = await fetch("/api/pages/" + encodeURIComponent(id));
-        if (!res.ok) {
-            throw new Error("HTTP " + res.status + " " + res.statusText);
+        let page;
+
+        if (isOfflinePageId(id)) {
+            // 오프라인에서 만들어 아직 서버에 없는 페이지
+            page = await getOfflinePage(id);
+        } else {
+            try {
+                console.log("단일 페이지 요청: GET /api/pages/" + id);
+                const res = await fetch("/api/pages/" + encodeURIComponent(id));
+                if (!res.ok) {
+                    throw new Error("HTTP " + res.status + " " + res.statusText);
+                }
+
+                page = await res.json();
+                console.log("단일 페이지 응답:", page);
+            } catch (error) {
+                // 오프라인: 이 기기에 저장된 문서로 열기
+                if (!isOfflineError(error)) {
+                    throw error;
+                }
+                page = await getOfflinePage(id);
+            }
         }
 
-        const page = await res.json();
-        console.log("단일 페이지 응답:", page);
+        // 서버에 없는 페이지는 발행/태그/백링크/댓글 조회 생략
+        const serverPageId = isOfflinePageId(page.id) ? null : page.id;
 
         // 현재 페이지 상태 설정
         state.currentPageId = page.id;
@@ -607,6 +982,9 @@ export async function loadPage(id) {
             if (isSharedCollection && collection.isEncrypted) {
                 // 암호화된 공유 컬렉션: 컬렉션 키로 복호화
                 const collectionKey = await getCollectionKey(collection.id);
+                if (!collectionKey) {
+                    throw new Error('컬렉션 비밀번호가 필요합니다.');
+                }
                 content = await cryptoManager.decryptWithKey(page.encryptedContent, collectionKey);
             } else {
                 // 개인 컬렉션 암호화 페이지: 복호화 필요
@@ -624,6 +1002,9 @@ export async function loadPage(id) {
             titleInput.value = title;
         }
 
+        // 이전 페이지의 Yjs 바인딩을 먼저 해제 (새 내용이 이전 문서로 전파되지 않도록)
+        stopPageSync();
+
         if (state.editor) {
             state.editor.commands.setContent(content, { emitUpdate: false });
         }
@@ -675,7 +1056,19 @@ export async function loadPage(id) {
         }
 
         // 발행 상태 확인
-        await checkPublishStatus(page.id);
+        await checkPublishStatus(serverPageId);
+
+        // 버전 기록 버튼 표시 여부 갱신
+        updateHistoryButton();
+
+        // 페이지 태그 표시
+        await loadPageTags(serverPageId);
+
+        // 이 페이지를 멘션한 페이지 목록 표시
+        loadBacklinks(serverPageId);
+
+        // 페이지 댓글 표시 (암호화 페이지는 댓글 미지원)
+        loadComments(page.isEncrypted ? null : serverPageId);
 
         // 모바일에서 페이지 로드 후 사이드바 닫기
         if (window.innerWidth <= 768) {
@@ -684,25 +1077,13 @@ export async function loadPage(id) {
     } catch (error) {
         console.error("단일 페이지 로드 오류:", error);
         showErrorInEditor("페이지를 불러오지 못했다: " + error.message, state.editor);
+        updateHistoryButton();
+        loadPageTags(null);
+        loadBacklinks(null);
+        loadComments(null);
     }
 }
 
-/**
- * 검색 키워드 추출 (E2EE 시스템 재설계)
- */
-function extractSearchKeywords(title, htmlContent) {
-    const tempDiv = document.createElement('div');
-    tempDiv.innerHTML = htmlContent;
-    const textContent = tempDiv.textContent || '';
-    const fullText = title + ' ' + textContent;
-    const words = fullText
-        .toLowerCase()
-        .replace(/[^\w\sㄱ-ㅎㅏ-ㅣ가-힣]/g, ' ')
-        .split(/\s+/)
-        .filter(word => word.length >= 2);
-    return [...new Set(words)];
-}
-
 /**
  * 현재 페이지 저장 (E2EE 시스템 재설계 - 투명한 암호화)
  */
@@ -718,6 +1099,13 @@ async function savePageTitle() {
 
     const title = titleInput.value || "제목 없음";
 
+    // 오프라인: 대기열에 기록하고 온라인 복구 시 재전송
+    if (isOffline() || isOfflinePageId(state.currentPageId)) {
+        await queuePageRename(state.currentPageId, title);
+        renderPageList();
+        return true;
+    }
+
     try {
         await secureFetch("/api/pages/" + encodeURIComponent(state.currentPageId), {
             method: "PATCH",
@@ -778,11 +1166,24 @@ export async function saveCurrentPage() {
             return false;
         }
 
+        // 오프라인: 본문은 Yjs 문서로 이 기기에 저장되어 재연결 시 병합되므로 제목 변경만 기록
+        if (isOffline() || isOfflinePageId(currentPage.id)) {
+            if (currentPage.title !== title) {
+                await queuePageRename(currentPage.id, title);
+            }
+            renderPageList();
+            return true;
+        }
+
         // 공유 컬렉션 vs 개인 컬렉션 구분
         if (isSharedCollection) {
             if (collection.isEncrypted) {
                 // 암호화된 공유 컬렉션: 컬렉션 키 사용
                 const collectionKey = await getCollectionKey(collection.id);
+                if (!collectionKey) {
+                    alert('컬렉션 비밀번호가 필요합니다.');
+                    return false;
+                }
                 requestBody = {
                     title: title,  // 제목은 평문으로
                     content: '',  // 내용은 빈 문자열 (암호화됨)
@@ -809,6 +1210,12 @@ export async function saveCurrentPage() {
             };
         }
 
+        // 실시간 동기화 중인 평문 페이지는 본문이 이미 서버 Yjs 문서에 있으므로 제목/아이콘만 전송
+        // (본문을 보내면 서버가 외부 변경으로 보고 다른 편집자의 문서를 재동기화함)
+        if (!requestBody.isEncrypted && isPageContentSynced(currentPage.id)) {
+            delete requestBody.content;
+        }
+
         const res = await secureFetch("/api/pages/" + encodeURIComponent(state.currentPageId), {
             method: "PUT",
             headers: {
@@ -824,6 +1231,11 @@ export async function saveCurrentPage() {
         const page = await res.json();
         const decryptedTitle = titleInput ? titleInput.value || "제목 없음" : "제목 없음";
 
+        // 암호화 컬렉션: 평문 대신 암호화 검색 색인에 키워드 반영
+        if (requestBody.isEncrypted) {
+            indexEncryptedPage(collection.id, page.id, title, content);
+        }
+
         state.pages = state.pages.map((p) => {
             if (p.id === page.id) {
                 return {
@@ -853,16 +1265,6 @@ export async function saveCurrentPage() {
     }
 }
 
-/**
- * 공유 컬렉션 키 조회 (향후 구현 예정)
- * TODO: 마스터 키 없이 컬렉션 암호화 구현
- */
-async function getCollectionKey(collectionId) {
-    // 현재 마스터 키 시스템 제거로 인해 비활성화
-    // 공유 컬렉션 암호화는 컬렉션별 비밀번호 방식으로 재구현 필요
-    throw new Error('공유 컬렉션 암호화는 현재 지원되지 않습니다.');
-}
-
 /**
  * 편집 모드 토글
  */
@@ -878,12 +1280,6 @@ export async function toggleEditMode() {
     if (!state.editor || !modeToggleBtn) return;
 
     if (state.isWriteMode) {
-        // 대기 중인 업데이트를 즉시 실행 (yMetadata에 저장)
-        flushPendingUpdates();
-
-        // yMetadata → 에디터 명시적 동기화 (읽기 모드 전환 전)
-        syncEditorFromMetadata();
-
         // 제목만 저장 (content는 Yjs 동기화에 의존)
         await savePageTitle();
 
@@ -907,6 +1303,7 @@ export async function toggleEditMode() {
         // 읽기모드 진입 시 커버 버튼 숨김
         updateCoverButtonsVisibility();
         updatePublishButton();
+        renderPageTags();
     } else {
         // 암호화된 페이지는 쓰기 모드 진입 차단
         if (state.currentPageIsEncrypted) {
@@ -936,6 +1333,7 @@ export async function toggleEditMode() {
         // 쓰기모드 진입 시 커버 버튼 표시
         updateCoverButtonsVisibility();
         updatePublishButton();
+        renderPageTags();
     }
 }
 
@@ -1,9 +1,88 @@
+// 현재 회원가입 모드 (open | invite | approval | closed)
+let registrationMode = "open";
+
+const REGISTRATION_NOTICES = {
+    invite: "초대 코드가 있어야 가입할 수 있습니다.",
+    approval: "가입 신청 후 관리자 승인이 필요합니다. 초대 코드가 있으면 바로 가입됩니다.",
+    closed: "현재 회원가입이 허용되지 않습니다. 계정이 필요하면 관리자에게 문의하세요."
+};
+
+/**
+ * 회원가입 모드에 맞게 화면 구성
+ */
+function applyRegistrationMode(mode) {
+    const form = document.querySelector("#register-form");
+    const noticeEl = document.querySelector("#register-notice");
+    const inviteField = document.querySelector("#invite-code-field");
+    const inviteInput = document.querySelector("#inviteCode");
+
+    registrationMode = mode;
+
+    if (noticeEl) {
+        noticeEl.textContent = REGISTRATION_NOTICES[mode] || "";
+    }
+
+    if (inviteField && inviteInput) {
+        inviteField.hidden = mode !== "invite" && mode !== "approval";
+        inviteInput.required = mode === "invite";
+    }
+
+    // 가입 불가: 입력 필드와 버튼을 숨기고 로그인 링크만 표시
+    if (form && mode === "closed") {
+        form.querySelectorAll(".login-field, .login-helper, .login-submit").forEach((el) => {
+            el.hidden = true;
+        });
+    }
+
+    const submitBtn = document.querySelector("#register-submit");
+    if (submitBtn && mode === "approval") {
+        submitBtn.textContent = "가입 신청";
+    }
+}
+
+/**
+ * 서버의 회원가입 모드 조회
+ */
+async function loadRegistrationMode() {
+    try {
+        const res = await fetch("/api/auth/registration");
+        if (!res.ok) {
+            return;
+        }
+
+        const data = await res.json();
+        applyRegistrationMode(data.mode);
+    } catch (error) {
+        console.error("회원가입 설정 조회 오류:", error);
+    }
+}
+
+/**
+ * 가입 신청 완료 (관리자 승인 대기) 화면 표시
+ */
+function showPendingApproval() {
+    const form = document.querySelector("#register-form");
+    const noticeEl = document.querySelector("#register-notice");
+
+    if (noticeEl) {
+        noticeEl.textContent = "가입 신청이 접수되었습니다. 관리자가 승인하면 로그인할 수 있습니다.";
+    }
+
+    if (form) {
+        form.reset();
+        form.querySelectorAll(".login-field, .login-helper, .login-submit").forEach((el) => {
+            el.hidden = true;
+        });
+    }
+}
+
 async function handleRegister(event) {
     event.preventDefault();
 
     const usernameInput = document.querySelector("#username");
     const passwordInput = document.querySelector("#password");
     const passwordConfirmInput = document.querySelector("#passwordConfirm");
+    const inviteInput = document.querySelector("#inviteCode");
     const errorEl = document.querySelector("#register-error");
 
     if (!usernameInput || !passwordInput || !passwordConfirmInput || !errorEl) {
@@ -13,9 +92,15 @@ async function handleRegister(event) {
     const username = usernameInput.value.trim();
     const password = passwordInput.value;
     const passwordConfirm = passwordConfirmInput.value;
+    const inviteCode = inviteInput ? inviteInput.value.trim() : "";
 
     errorEl.textContent = "";
 
+    if (registrationMode === "closed") {
+        errorEl.textContent = REGISTRATION_NOTICES.closed;
+        return;
+    }
+
     // 간단한 클라이언트 측 검증
     if (!username || !password || !passwordConfirm) {
         errorEl.textContent = "아이디와 비밀번호를 모두 입력해 주세요.";
@@ -32,6 +117,11 @@ async function handleRegister(event) {
         return;
     }
 
+    if (registrationMode === "invite" && !inviteCode) {
+        errorEl.textContent = "초대 코드를 입력해 주세요.";
+        return;
+    }
+
     // 보안 개선: 비밀번호 강도 검증 강화
     if (password.length < 10) {
         errorEl.textContent = "비밀번호는 10자 이상이어야 합니다.";
@@ -58,7 +148,7 @@ async function handleRegister(event) {
             headers: {
                 "Content-Type": "application/json"
             },
-            body: JSON.stringify({ username, password })
+            body: JSON.stringify({ username, password, inviteCode: inviteCode || undefined })
         });
 
         const res = await fetch("/api/auth/register", options);
@@ -77,6 +167,12 @@ async function handleRegister(event) {
             return;
         }
 
+        // 관리자 승인 모드: 세션 없이 승인 대기
+        if (res.status === 202) {
+            showPendingApproval();
+            return;
+        }
+
         // 회원가입 성공 → 서버에서 세션도 만들어주므로 바로 메인으로 이동
         window.location.href = "/";
     } catch (error) {
@@ -90,4 +186,13 @@ document.addEventListener("DOMContentLoaded", () => {
     if (form) {
         form.addEventListener("submit", handleRegister);
     }
+
+    // 초대 링크(/register?invite=...)로 접속한 경우 코드 미리 입력
+    const inviteFromUrl = new URLSearchParams(window.location.search).get("invite");
+    const inviteInput = document.querySelector("#inviteCode");
+    if (inviteFromUrl && inviteInput) {
+        inviteInput.value = inviteFromUrl;
+    }
+
+    loadRegistrationMode();
 });
\ No newline at end of file
@@ -0,0 +1,249 @@
+// SimpleWebAuthn 동적 import (login.js와 동일)
+let SimpleWebAuthnBrowser = null;
+
+async function loadSimpleWebAuthn() {
+    if (SimpleWebAuthnBrowser) return SimpleWebAuthnBrowser;
+
+    try {
+        SimpleWebAuthnBrowser = await import('/vendor/modules/@simplewebauthn/browser@10.0.0.js');
+        return SimpleWebAuthnBrowser;
+    } catch (error) {
+        console.error('SimpleWebAuthn 로드 실패:', error);
+        throw new Error('SimpleWebAuthn 라이브러리를 로드할 수 없습니다.');
+    }
+}
+
+// 관리자가 발급한 재설정 링크의 토큰 (?token=...)
+const resetToken = new URLSearchParams(window.location.search).get("token");
+
+/**
+ * JSON POST 요청 (실패 시 서버 오류 메시지로 예외)
+ */
+async function postJson(url, body) {
+    const res = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body)
+    });
+    const data = await res.json().catch(() => ({}));
+
+    if (!res.ok) {
+        throw new Error(data.error || "요청을 처리하지 못했습니다.");
+    }
+
+    return data;
+}
+
+function setNotice(text) {
+    const noticeEl = document.querySelector("#reset-notice");
+    if (noticeEl) {
+        noticeEl.textContent = text;
+    }
+}
+
+function setError(text) {
+    const errorEl = document.querySelector("#reset-error");
+    if (errorEl) {
+        errorEl.textContent = text;
+    }
+}
+
+/**
+ * 새 비밀번호 입력 영역 표시
+ */
+function showPasswordFields() {
+    ["#new-password-field", "#new-password-confirm-field", "#reset-helper", "#reset-submit"].forEach((selector) => {
+        const el = document.querySelector(selector);
+        if (el) el.hidden = false;
+    });
+
+    document.querySelector("#newPassword").required = true;
+    document.querySelector("#newPasswordConfirm").required = true;
+}
+
+/**
+ * 재설정 완료 화면 (입력 영역을 숨기고 로그인 링크만 표시)
+ */
+function showCompleted() {
+    const form = document.querySelector("#reset-form");
+
+    setError("");
+    setNotice("비밀번호를 재설정했습니다. 새 비밀번호로 로그인하세요.");
+
+    if (form) {
+        form.reset();
+        form.querySelectorAll(".login-field, .login-helper, .login-submit").forEach((el) => {
+            el.hidden = true;
+        });
+    }
+}
+
+/**
+ * 선택한 본인 확인 방법에 맞게 입력 영역 표시
+ */
+function applySelectedMethod() {
+    const method = document.querySelector('input[name="method"]:checked')?.value;
+    const backupCodeField = document.querySelector("#backup-code-field");
+    const backupCodeInput = document.querySelector("#backupCode");
+
+    if (backupCodeField && backupCodeInput) {
+        backupCodeField.hidden = method !== "backup_code";
+        backupCodeInput.required = method === "backup_code";
+    }
+}
+
+/**
+ * 1단계: 아이디로 사용 가능한 본인 확인 방법 조회
+ */
+async function loadMethods() {
+    const usernameInput = document.querySelector("#username");
+    const username = usernameInput.value.trim();
+
+    setError("");
+    setNotice("");
+
+    if (!username) {
+        setError("아이디를 입력해 주세요.");
+        return;
+    }
+
+    try {
+        const data = await postJson("/api/password-reset/methods", { username });
+
+        if (data.methods.length === 0) {
+            setNotice("이 아이디로는 직접 재설정할 수 없습니다. 관리자에게 비밀번호 재설정 링크를 요청하세요.");
+            return;
+        }
+
+        usernameInput.readOnly = true;
+        document.querySelector("#reset-methods-btn").hidden = true;
+        document.querySelector("#reset-method-field").hidden = false;
+
+        ["backup_code", "passkey"].forEach((method) => {
+            const option = document.querySelector(`#reset-method-${method.replace("_", "-")}`);
+            // .login-remember는 display가 지정되어 있어 hidden 속성 대신 style로 숨김
+            if (option) option.style.display = data.methods.includes(method) ? "" : "none";
+        });
+
+        document.querySelector(`input[name="method"][value="${data.methods[0]}"]`).checked = true;
+        applySelectedMethod();
+        showPasswordFields();
+    } catch (error) {
+        console.error("본인 확인 방법 조회 실패:", error);
+        setError(error.message);
+    }
+}
+
+/**
+ * 2단계: 본인 확인 후 비밀번호 재설정
+ */
+async function handleReset(event) {
+    event.preventDefault();
+
+    const newPassword = document.querySelector("#newPassword").value;
+    const newPasswordConfirm = document.querySelector("#newPasswordConfirm").value;
+
+    setError("");
+
+    if (!newPassword) {
+        setError("새 비밀번호를 입력해 주세요.");
+        return;
+    }
+
+    if (newPassword !== newPasswordConfirm) {
+        setError("새 비밀번호와 비밀번호 확인이 일치하지 않습니다.");
+        return;
+    }
+
+    const submitBtn = document.querySelector("#reset-submit");
+    submitBtn.disabled = true;
+
+    try {
+        if (resetToken) {
+            await postJson("/api/password-reset/link", { token: resetToken, newPassword });
+        } else {
+            const username = document.querySelector("#username").value.trim();
+            const method = document.querySelector('input[name="method"]:checked')?.value;
+
+            if (method === "backup_code") {
+                const backupCode = document.querySelector("#backupCode").value.trim();
+                if (!backupCode) {
+                    throw new Error("백업 코드를 입력해 주세요.");
+                }
+                await postJson("/api/password-reset/backup-code", { username, backupCode, newPassword });
+            } else if (method === "passkey") {
+                const options = await postJson("/api/password-reset/passkey/options", { username });
+                const webAuthn = await loadSimpleWebAuthn();
+                const credential = await webAuthn.startAuthentication(options);
+                await postJson("/api/password-reset/passkey/verify", {
+                    tempSessionId: options.tempSessionId,
+                    credential,
+                    newPassword
+                });
+            } else {
+                throw new Error("본인 확인 방법을 선택해 주세요.");
+            }
+        }
+
+        showCompleted();
+    } catch (error) {
+        console.error("비밀번호 재설정 실패:", error);
+        setError(error.message || "비밀번호 재설정 중 오류가 발생했습니다.");
+    } finally {
+        submitBtn.disabled = false;
+    }
+}
+
+/**
+ * 관리자 발급 링크로 접속한 경우: 링크 확인 후 새 비밀번호 입력만 표시
+ */
+async function initResetLink() {
+    const usernameInput = document.querySelector("#username");
+    const form = document.querySelector("#reset-form");
+
+    document.querySelector("#reset-methods-btn").hidden = true;
+    usernameInput.readOnly = true;
+
+    try {
+        const data = await postJson("/api/password-reset/link/check", { token: resetToken });
+        usernameInput.value = data.username;
+        setNotice("관리자가 발급한 일회용 링크입니다. 새 비밀번호를 설정하세요.");
+        showPasswordFields();
+    } catch (error) {
+        setNotice(error.message);
+        form.querySelectorAll(".login-field").forEach((el) => {
+            el.hidden = true;
+        });
+    }
+}
+
+document.addEventListener("DOMContentLoaded", () => {
+    const form = document.querySelector("#reset-form");
+    if (form) {
+        form.addEventListener("submit", handleReset);
+    }
+
+    const methodsBtn = document.querySelector("#reset-methods-btn");
+    if (methodsBtn) {
+        methodsBtn.addEventListener("click", loadMethods);
+    }
+
+    document.querySelectorAll('input[name="method"]').forEach((input) => {
+        input.addEventListener("change", applySelectedMethod);
+    });
+
+    // 아이디 입력 후 Enter 키로 다음 단계
+    const usernameInput = document.querySelector("#username");
+    if (usernameInput) {
+        usernameInput.addEventListener("keydown", (e) => {
+            if (e.key === "Enter" && !usernameInput.readOnly) {
+                e.preventDefault();
+                loadMethods();
+            }
+        });
+    }
+
+    if (resetToken) {
+        initResetLink();
+    }
+});
@@ -0,0 +1,440 @@
+/**
+ * 페이지 버전 기록 관리 모듈
+ * 버전 목록 조회, 현재 내용과의 나란히 비교(diff), 버전 복원
+ */
+
+import { secureFetch, escapeHtml } from './ui-utils.js';
+
+// 전역 상태
+let state = null;
+const revisionState = {
+    pageId: null,
+    revisions: [],
+    selectedRevision: null
+};
+
+/**
+ * 버전 기록 관리자 초기화
+ */
+export function initRevisionManager(appState) {
+    state = appState;
+}
+
+/**
+ * 버전 기록 버튼 표시/숨김 (암호화 페이지는 버전 기록 미지원)
+ */
+export function updateHistoryButton() {
+    const historyBtn = document.getElementById('page-history-btn');
+    if (!historyBtn) return;
+
+    if (!state?.currentPageId || state.currentPageIsEncrypted) {
+        historyBtn.style.display = 'none';
+        return;
+    }
+
+    historyBtn.style.display = 'flex';
+}
+
+/**
+ * 버전 기록 모달 열기
+ */
+export async function openHistoryModal() {
+    const modal = document.getElementById('page-history-modal');
+    if (!modal || !state?.currentPageId) return;
+
+    revisionState.pageId = state.currentPageId;
+    revisionState.revisions = [];
+    revisionState.selectedRevision = null;
+
+    showRevisionError('');
+    renderDiffPlaceholder('왼쪽 목록에서 버전을 선택하세요.');
+    updateRestoreButton();
+
+    modal.classList.remove('hidden');
+
+    await fetchRevisions();
+}
+
+/**
+ * 버전 기록 모달 닫기
+ */
+export function closeHistoryModal() {
+    const modal = document.getElementById('page-history-modal');
+    if (modal) {
+        modal.classList.add('hidden');
+    }
+}
+
+/**
+ * 버전 목록 조회
+ */
+async function fetchRevisions() {
+    const listEl = document.getElementById('revision-list');
+    if (!listEl) return;
+
+    listEl.innerHTML = '<li class="revision-empty">불러오는 중...</li>';
+
+    try {
+        const res = await fetch(`/api/pages/${encodeURIComponent(revisionState.pageId)}/revisions`);
+        if (!res.ok) {
+            const error = await res.json().catch(() => ({}));
+            throw new Error(error.error || '버전 기록 조회 실패');
+        }
+
+        revisionState.revisions = await res.json();
+        renderRevisionList();
+    } catch (error) {
+        console.error('버전 기록 조회 오류:', error);
+        listEl.innerHTML = '';
+        showRevisionError(error.message || '버전 기록을 불러오지 못했습니다.');
+    }
+}
+
+/**
+ * 버전 목록 렌더링
+ */
+function renderRevisionList() {
+    const listEl = document.getElementById('revision-list');
+    if (!listEl) return;
+
+    listEl.innerHTML = '';
+
+    if (!revisionState.revisions.length) {
+        listEl.innerHTML = '<li class="revision-empty">저장된 버전이 없습니다.</li>';
+        return;
+    }
+
+    const reasonLabels = {
+        auto: '자동 저장',
+        save: '저장',
+        restore: '복원 전'
+    };
+
+    revisionState.revisions.forEach((revision) => {
+        const item = document.createElement('li');
+        item.className = 'revision-list-item';
+        item.dataset.revisionId = revision.id;
+
+        if (revisionState.selectedRevision && revisionState.selectedRevision.id === revision.id) {
+            item.classList.add('active');
+        }
+
+        const date = revision.createdAt ? new Date(revision.createdAt).toLocaleString() : '';
+        const reason = reasonLabels[revision.reason] || revision.reason;
+
+        item.innerHTML = `
+            <div class="revision-list-item-date">${escapeHtml(date)}</div>
+            <div class="revision-list-item-meta">
+                ${escapeHtml(reason)}${revision.username ? ' · ' + escapeHtml(revision.username) : ''}
+            </div>
+        `;
+
+        item.addEventListener('click', () => selectRevision(revision.id));
+        listEl.appendChild(item);
+    });
+}
+
+/**
+ * 버전 선택 → 본문 조회 후 diff 표시
+ */
+async function selectRevision(revisionId) {
+    showRevisionError('');
+
+    try {
+        const res = await fetch(`/api/pages/${encodeURIComponent(revisionState.pageId)}/revisions/${encodeURIComponent(revisionId)}`);
+        if (!res.ok) {
+            const error = await res.json().catch(() => ({}));
+            throw new Error(error.error || '버전 조회 실패');
+        }
+
+        revisionState.selectedRevision = await res.json();
+        renderRevisionList();
+        renderDiff();
+        updateRestoreButton();
+    } catch (error) {
+        console.error('버전 조회 오류:', error);
+        showRevisionError(error.message || '버전을 불러오지 못했습니다.');
+    }
+}
+
+/**
+ * HTML을 최상위 블록 단위로 분리
+ * DOMParser로 파싱하여 스크립트/이미지 로드 없이 안전하게 처리
+ */
+function splitHtmlBlocks(html) {
+    const doc = new DOMParser().parseFromString(html || '', 'text/html');
+    const blocks = [];
+
+    doc.body.childNodes.forEach((node) => {
+        if (node.nodeType === Node.ELEMENT_NODE) {
+            blocks.push(node.outerHTML);
+        } else if (node.nodeType === Node.TEXT_NODE && node.textContent.trim()) {
+            blocks.push(`<p>${escapeHtml(node.textContent)}</p>`);
+        }
+    });
+
+    return blocks;
+}
+
+/**
+ * 블록 배열 LCS 기반 diff
+ * 반환: [{ type: 'same' | 'removed' | 'added', html }]
+ */
+function diffBlocks(oldBlocks, newBlocks) {
+    const n = oldBlocks.length;
+    const m = newBlocks.length;
+    const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+
+    for (let i = n - 1; i >= 0; i--) {
+        for (let j = m - 1; j >= 0; j--) {
+            lcs[i][j] = oldBlocks[i] === newBlocks[j]
+                ? lcs[i + 1][j + 1] + 1
+                : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+        if (oldBlocks[i] === newBlocks[j]) {
+            ops.push({ type: 'same', html: oldBlocks[i] });
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            ops.push({ type: 'removed', html: oldBlocks[i++] });
+        } else {
+            ops.push({ type: 'added', html: newBlocks[j++] });
+        }
+    }
+    while (i < n) ops.push({ type: 'removed', html: oldBlocks[i++] });
+    while (j < m) ops.push({ type: 'added', html: newBlocks[j++] });
+
+    return ops;
+}
+
+/**
+ * diff 결과를 좌우 행으로 정렬
+ * 연속된 삭제/추가 블록은 같은 행에 짝지어 변경으로 표시
+ */
+function buildDiffRows(ops) {
+    const rows = [];
+    let removed = [];
+    let added = [];
+
+    const flush = () => {
+        const count = Math.max(removed.length, added.length);
+        for (let k = 0; k < count; k++) {
+            rows.push({
+                left: removed[k] !== undefined ? removed[k] : null,
+                right: added[k] !== undefined ? added[k] : null,
+                changed: true
+            });
+        }
+        removed = [];
+        added = [];
+    };
+
+    ops.forEach((op) => {
+        if (op.type === 'same') {
+            flush();
+            rows.push({ left: op.html, right: op.html, changed: false });
+        } else if (op.type === 'removed') {
+            removed.push(op.html);
+        } else {
+            added.push(op.html);
+        }
+    });
+    flush();
+
+    return rows;
+}
+
+/**
+ * 선택한 버전과 현재 내용의 나란히 비교 렌더링
+ */
+function renderDiff() {
+    const diffEl = document.getElementById('revision-diff');
+    const leftLabel = document.getElementById('revision-diff-left-label');
+    const revision = revisionState.selectedRevision;
+    if (!diffEl || !revision) return;
+
+    if (leftLabel) {
+        const date = revision.createdAt ? new Date(revision.createdAt).toLocaleString() : '';
+        leftLabel.textContent = `선택한 버전 (${date})`;
+    }
+
+    const currentTitle = document.querySelector('#page-title-input')?.value || '';
+    const currentHtml = state.editor ? state.editor.getHTML() : '';
+
+    const rows = buildDiffRows(diffBlocks(splitHtmlBlocks(revision.content), splitHtmlBlocks(currentHtml)));
+
+    diffEl.innerHTML = '';
+
+    // 제목 비교
+    const titleRow = document.createElement('div');
+    titleRow.className = 'revision-diff-row revision-diff-title' + (revision.title !== currentTitle ? ' changed' : '');
+    titleRow.innerHTML = `
+        <div class="revision-diff-cell removed">${escapeHtml(revision.title)}</div>
+        <div class="revision-diff-cell added">${escapeHtml(currentTitle)}</div>
+    `;
+    diffEl.appendChild(titleRow);
+
+    if (!rows.some(row => row.changed) && revision.title === currentTitle) {
+        const same = document.createElement('p');
+        same.className = 'revision-empty';
+        same.textContent = '현재 내용과 동일합니다.';
+        diffEl.appendChild(same);
+    }
+
+    rows.forEach((row) => {
+        const rowEl = document.createElement('div');
+        rowEl.className = 'revision-diff-row' + (row.changed ? ' changed' : '');
+
+        const left = document.createElement('div');
+        left.className = 'revision-diff-cell removed' + (row.left === null ? ' empty' : '');
+        left.innerHTML = row.left || '';
+
+        const right = document.createElement('div');
+        right.className = 'revision-diff-cell added' + (row.right === null ? ' empty' : '');
+        right.innerHTML = row.right || '';
+
+        rowEl.appendChild(left);
+        rowEl.appendChild(right);
+        diffEl.appendChild(rowEl);
+    });
+}
+
+/**
+ * diff 영역 안내 문구 표시
+ */
+function renderDiffPlaceholder(message) {
+    const diffEl = document.getElementById('revision-diff');
+    const leftLabel = document.getElementById('revision-diff-left-label');
+    if (leftLabel) {
+        leftLabel.textContent = '선택한 버전';
+    }
+    if (diffEl) {
+        diffEl.innerHTML = `<p class="revision-empty">${escapeHtml(message)}</p>`;
+    }
+}
+
+/**
+ * 복원 버튼 상태 갱신 (읽기 전용 컬렉션은 복원 불가)
+ */
+function updateRestoreButton() {
+    const restoreBtn = document.getElementById('restore-revision-btn');
+    if (!restoreBtn) return;
+
+    const page = state?.pages.find(p => p.id === revisionState.pageId);
+    const collection = page ? state.collections.find(c => c.id === page.collectionId) : null;
+    const isReadOnly = collection && collection.permission === 'READ';
+
+    restoreBtn.disabled = !revisionState.selectedRevision || isReadOnly;
+    restoreBtn.style.display = isReadOnly ? 'none' : '';
+}
+
+/**
+ * 선택한 버전으로 복원
+ */
+async function restoreSelectedRevision() {
+    const revision = revisionState.selectedRevision;
+    if (!revision) return;
+
+    const date = revision.createdAt ? new Date(revision.createdAt).toLocaleString() : '';
+    if (!confirm(`${date} 버전으로 복원하시겠습니까?\n현재 내용은 버전 기록에 보관됩니다.`)) {
+        return;
+    }
+
+    const restoreBtn = document.getElementById('restore-revision-btn');
+    if (restoreBtn) restoreBtn.disabled = true;
+
+    try {
+        const res = await secureFetch(
+            `/api/pages/${encodeURIComponent(revisionState.pageId)}/revisions/${encodeURIComponent(revision.id)}/restore`,
+            { method: 'POST' }
+        );
+
+        if (!res.ok) {
+            const error = await res.json().catch(() => ({}));
+            throw new Error(error.error || '버전 복원 실패');
+        }
+
+        const data = await res.json();
+        const restored = data.page;
+
+        // 다른 페이지로 이동하지 않았다면 편집기에 즉시 반영
+        // (실시간 동기화 중이면 서버의 yjs-reset으로 이미 반영되었을 수 있으므로 내용이 다를 때만 설정)
+        if (state.currentPageId === restored.id) {
+            const titleInput = document.querySelector('#page-title-input');
+            if (titleInput) {
+                titleInput.value = restored.title;
+            }
+            if (state.editor && state.editor.getHTML() !== restored.content) {
+                state.editor.commands.setContent(restored.content, { emitUpdate: false });
+            }
+        }
+
+        const pageIndex = state.pages.findIndex(p => p.id === restored.id);
+        if (pageIndex !== -1) {
+            state.pages[pageIndex] = {
+                ...state.pages[pageIndex],
+                title: restored.title,
+                content: restored.content,
+                icon: restored.icon,
+                updatedAt: restored.updatedAt
+            };
+        }
+
+        if (state.fetchPageList) {
+            state.fetchPageList();
+        }
+
+        closeHistoryModal();
+        console.log('버전 복원 완료:', revision.id);
+    } catch (error) {
+        console.error('버전 복원 오류:', error);
+        showRevisionError(error.message || '버전 복원에 실패했습니다.');
+        if (restoreBtn) restoreBtn.disabled = false;
+    }
+}
+
+/**
+ * 에러 메시지 표시
+ */
+function showRevisionError(message) {
+    const errorDiv = document.getElementById('revision-error');
+    if (errorDiv) {
+        errorDiv.textContent = message;
+    }
+}
+
+/**
+ * 이벤트 바인딩
+ */
+export function bindRevisionEvents() {
+    const historyBtn = document.getElementById('page-history-btn');
+    if (historyBtn) {
+        historyBtn.addEventListener('click', openHistoryModal);
+    }
+
+    const closeBtn = document.getElementById('close-page-history-btn');
+    if (closeBtn) {
+        closeBtn.addEventListener('click', closeHistoryModal);
+    }
+
+    // 모달 오버레이 클릭 시 닫기
+    const modal = document.getElementById('page-history-modal');
+    if (modal) {
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal || e.target.classList.contains('modal-overlay')) {
+                closeHistoryModal();
+            }
+        });
+    }
+
+    const restoreBtn = document.getElementById('restore-revision-btn');
+    if (restoreBtn) {
+        restoreBtn.addEventListener('click', restoreSelectedRevision);
+    }
+}
@@ -0,0 +1,298 @@
+/**
+ * 암호화 컬렉션 검색 색인 관리 모듈
+ *
+ * 암호화된 페이지는 서버 전문 검색(/api/search)에서 제외되므로,
+ * 클라이언트가 컬렉션별 키워드 색인을 만들어 컬렉션 키로 암호화한 뒤 서버에 저장한다.
+ * 검색 시에는 잠금 해제된 컬렉션의 색인만 메모리에서 복호화하여 조회한다.
+ *
+ * 색인 평문 형식: { version: 1, pages: { [pageId]: { keywords: string[], updatedAt: string } } }
+ */
+
+import { secureFetch } from './ui-utils.js';
+
+const SEARCH_INDEX_VERSION = 1;
+
+// 전역 상태 (app.js에서 전달받음)
+let state = {
+    pages: [],
+    collections: []
+};
+
+// 복호화된 색인 캐시 (collectionId -> 색인 평문 객체, 메모리 전용)
+const decryptedIndexes = new Map();
+
+// 컬렉션별 색인 저장 작업 직렬화 (동시 저장 시 덮어쓰기 방지)
+const saveQueues = new Map();
+
+/**
+ * 상태 초기화
+ */
+export function initSearchIndexManager(appState) {
+    state = appState;
+}
+
+/**
+ * 검색 키워드 추출 (E2EE 시스템 재설계)
+ */
+export function extractSearchKeywords(title, htmlContent) {
+    const tempDiv = document.createElement('div');
+    tempDiv.innerHTML = htmlContent;
+    const textContent = tempDiv.textContent || '';
+    const fullText = title + ' ' + textContent;
+    const words = fullText
+        .toLowerCase()
+        .replace(/[^\w\sㄱ-ㅎㅏ-ㅣ가-힣]/g, ' ')
+        .split(/\s+/)
+        .filter(word => word.length >= 2);
+    return [...new Set(words)];
+}
+
+/**
+ * 컬렉션 키 조회 (잠금 해제)
+ * 메모리에 없으면 서버에서 컬렉션 비밀번호로 감싼 키를 받아 비밀번호로 풀어 캐시함
+ * @param {string} collectionId
+ * @param {{interactive?: boolean}} options - interactive가 false면 비밀번호를 묻지 않고 null 반환
+ * @returns {Promise<CryptoKey|null>}
+ */
+export async function getCollectionKey(collectionId, { interactive = true } = {}) {
+    const cachedKey = cryptoManager.getCollectionKey(collectionId);
+    if (cachedKey) {
+        return cachedKey;
+    }
+
+    if (!interactive) {
+        return null;
+    }
+
+    const res = await fetch(`/api/collections/${encodeURIComponent(collectionId)}/encryption-key`);
+    if (!res.ok) {
+        const data = await res.json().catch(() => ({}));
+        throw new Error(data.error || 'HTTP ' + res.status);
+    }
+    const { encryptedKey } = await res.json();
+
+    // 공유받은 사용자는 소유자에게 받은 비밀번호로 잠금 해제
+    const collection = state.collections.find(c => c.id === collectionId);
+    const passwordLabel = collection && collection.isOwner === false ? '소유자에게 받은 비밀번호' : '컬렉션 비밀번호';
+    const password = prompt(`'${collection ? collection.name : '컬렉션'}' ${passwordLabel}를 입력하세요:`);
+    if (!password) {
+        return null;
+    }
+
+    let key;
+    try {
+        key = await cryptoManager.unwrapCollectionKey(encryptedKey, password);
+    } catch (error) {
+        throw new Error('컬렉션 비밀번호가 올바르지 않습니다.');
+    }
+
+    cryptoManager.setCollectionKey(collectionId, key);
+    return key;
+}
+
+/**
+ * 컬렉션 키가 메모리에 잠금 해제되어 있는지 확인
+ */
+export function isCollectionUnlocked(collectionId) {
+    return cryptoManager.getCollectionKey(collectionId) !== null;
+}
+
+/**
+ * 아직 잠금 해제되지 않은 암호화 컬렉션 목록
+ */
+export function getLockedEncryptedCollections() {
+    return state.collections.filter(c => c.isEncrypted && !isCollectionUnlocked(c.id));
+}
+
+/**
+ * 서버에서 색인을 받아 복호화 (캐시 우선)
+ */
+async function loadCollectionIndex(collectionId, key) {
+    if (decryptedIndexes.has(collectionId)) {
+        return decryptedIndexes.get(collectionId);
+    }
+
+    let index = { version: SEARCH_INDEX_VERSION, pages: {} };
+
+    const res = await fetch(`/api/collections/${encodeURIComponent(collectionId)}/search-index`);
+    if (!res.ok) {
+        throw new Error('HTTP ' + res.status);
+    }
+
+    const data = await res.json();
+    if (data.encryptedIndex) {
+        try {
+            const parsed = JSON.parse(await cryptoManager.decryptWithKey(data.encryptedIndex, key));
+            if (parsed && parsed.version === SEARCH_INDEX_VERSION && parsed.pages) {
+                index = parsed;
+            }
+        } catch (error) {
+            // 키가 바뀌었거나 손상된 색인은 버리고 새로 생성
+            console.warn('검색 색인 복호화 실패, 색인을 다시 생성합니다:', error);
+        }
+    }
+
+    decryptedIndexes.set(collectionId, index);
+    return index;
+}
+
+/**
+ * 색인을 컬렉션 키로 암호화하여 서버에 저장 (컬렉션별로 순차 실행)
+ */
+function saveCollectionIndex(collectionId, key) {
+    const previous = saveQueues.get(collectionId) || Promise.resolve();
+
+    const next = previous.catch(() => {}).then(async () => {
+        const index = decryptedIndexes.get(collectionId);
+        if (!index) return;
+
+        const encryptedIndex = await cryptoManager.encryptWithKey(JSON.stringify(index), key);
+        const res = await secureFetch(`/api/collections/${encodeURIComponent(collectionId)}/search-index`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ encryptedIndex })
+        });
+
+        if (!res.ok) {
+            throw new Error('HTTP ' + res.status);
+        }
+    });
+
+    saveQueues.set(collectionId, next);
+    return next;
+}
+
+/**
+ * 암호화 페이지의 키워드를 색인에 반영
+ * 컬렉션 키가 잠금 해제된 경우에만 동작하며, 비밀번호를 묻지 않음
+ * @param {string} collectionId
+ * @param {string} pageId
+ * @param {string} title - 평문 제목
+ * @param {string} htmlContent - 복호화된 본문 HTML
+ */
+export async function indexEncryptedPage(collectionId, pageId, title, htmlContent) {
+    if (!collectionId || !pageId) return;
+
+    try {
+        const key = await getCollectionKey(collectionId, { interactive: false });
+        if (!key) return;
+
+        const index = await loadCollectionIndex(collectionId, key);
+        index.pages[pageId] = {
+            keywords: extractSearchKeywords(title || '', htmlContent || ''),
+            updatedAt: new Date().toISOString()
+        };
+
+        await saveCollectionIndex(collectionId, key);
+    } catch (error) {
+        console.error('검색 색인 갱신 실패:', error);
+    }
+}
+
+/**
+ * 컬렉션 잠금 해제 후 색인 동기화
+ * - 삭제된 페이지 항목 제거
+ * - 컬렉션 키로 암호화된 페이지 중 색인이 없거나 오래된 페이지를 복호화하여 색인
+ *   (개별 비밀번호로 암호화된 페이지는 사용자가 복호화할 때 색인됨)
+ * @returns {Promise<boolean>} 잠금 해제 성공 여부
+ */
+export async function unlockCollectionSearch(collectionId) {
+    const key = await getCollectionKey(collectionId);
+    if (!key) return false;
+
+    const index = await loadCollectionIndex(collectionId, key);
+    const collectionPages = state.pages.filter(p => p.collectionId === collectionId);
+    const pageIds = new Set(collectionPages.map(p => p.id));
+    let changed = false;
+
+    for (const pageId of Object.keys(index.pages)) {
+        if (!pageIds.has(pageId)) {
+            delete index.pages[pageId];
+            changed = true;
+        }
+    }
+
+    for (const page of collectionPages) {
+        if (!page.isEncrypted) continue;
+
+        const entry = index.pages[page.id];
+        if (entry && page.updatedAt && entry.updatedAt >= page.updatedAt) continue;
+
+        try {
+            const res = await fetch(`/api/pages/${encodeURIComponent(page.id)}`);
+            if (!res.ok) continue;
+
+            const pageData = await res.json();
+            // SALT: 형식은 페이지 비밀번호로 암호화된 것이므로 컬렉션 키로 복호화 불가
+            if (!pageData.encryptedContent || pageData.encryptedContent.startsWith('SALT:')) continue;
+
+            const content = await cryptoManager.decryptWithKey(pageData.encryptedContent, key);
+            index.pages[page.id] = {
+                keywords: extractSearchKeywords(pageData.title || '', content),
+                updatedAt: new Date().toISOString()
+            };
+            changed = true;
+        } catch (error) {
+            console.warn(`페이지 색인 실패 (${page.id}):`, error);
+        }
+    }
+
+    if (changed) {
+        await saveCollectionIndex(collectionId, key);
+    }
+
+    return true;
+}
+
+/**
+ * 잠금 해제된 암호화 컬렉션 색인에서 검색
+ * 검색어의 모든 단어가 페이지 키워드(부분 일치) 또는 제목에 포함되어야 결과로 반환
+ * @param {string} query
+ * @returns {Promise<Array<{id, title, icon, collectionId, collectionName, isEncrypted}>>}
+ */
+export async function searchEncryptedIndexes(query) {
+    const terms = query
+        .toLowerCase()
+        .split(/\s+/)
+        .filter(term => term.length > 0);
+    if (!terms.length) return [];
+
+    const results = [];
+
+    for (const collection of state.collections) {
+        const key = await getCollectionKey(collection.id, { interactive: false });
+        if (!key) continue;
+
+        let index;
+        try {
+            index = await loadCollectionIndex(collection.id, key);
+        } catch (error) {
+            console.error('검색 색인 조회 실패:', error);
+            continue;
+        }
+
+        for (const [pageId, entry] of Object.entries(index.pages)) {
+            // 영구 복호화된 페이지는 서버 전문 검색 대상이므로 제외
+            const page = state.pages.find(p => p.id === pageId);
+            if (!page || !page.isEncrypted) continue;
+
+            const title = (page.title || '').toLowerCase();
+            const matches = terms.every(term =>
+                title.includes(term) || entry.keywords.some(keyword => keyword.includes(term))
+            );
+
+            if (matches) {
+                results.push({
+                    id: page.id,
+                    title: page.title || '제목 없음',
+                    icon: page.icon || null,
+                    collectionId: collection.id,
+                    collectionName: collection.name,
+                    isEncrypted: true
+                });
+            }
+        }
+    }
+
+    return results;
+}
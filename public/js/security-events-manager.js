@@ -0,0 +1,238 @@
+/**
+ * 보안 활동 모듈
+ * 2단계 인증, 패스키, 보안 설정, 공유, 발행, 백업, API 토큰, 웹훅 등 계정의 보안 감사 이벤트를 표시합니다.
+ */
+
+import { escapeHtml } from './ui-utils.js';
+import { formatDateTime, parseUserAgent } from './login-logs-manager.js';
+
+const EVENTS_PER_PAGE = 50;
+
+export const SECURITY_EVENT_LABELS = {
+    'password.change': '비밀번호 변경',
+    'username.change': '아이디 변경',
+    'password.reset': '비밀번호 재설정',
+    'password.reset_link': '비밀번호 재설정 링크 발급',
+    'totp.enable': 'TOTP 2단계 인증 활성화',
+    'totp.disable': 'TOTP 2단계 인증 비활성화',
+    'totp.backup_code_used': '백업 코드로 로그인',
+    'passkey.add': '패스키 등록',
+    'passkey.remove': '패스키 삭제',
+    '2fa.reset': '2단계 인증 초기화',
+    'security_settings.update': '보안 설정 변경',
+    'share.grant': '컬렉션 공유',
+    'share.revoke': '컬렉션 공유 해제',
+    'share_link.create': '공유 링크 생성',
+    'share_link.revoke': '공유 링크 폐기',
+    'share_link.join': '공유 링크로 컬렉션 참여',
+    'page.publish': '페이지 발행',
+    'page.unpublish': '페이지 발행 취소',
+    'backup.export': '백업 내보내기',
+    'backup.import': '데이터 가져오기',
+    'api_token.create': 'API 토큰 발급',
+    'api_token.revoke': 'API 토큰 폐기',
+    'webhook.create': '웹훅 등록',
+    'webhook.update': '웹훅 수정',
+    'webhook.delete': '웹훅 삭제',
+    'webhook.secret_rotate': '웹훅 비밀키 재발급',
+    'account.disable': '계정 비활성화',
+    'account.enable': '계정 활성화',
+    'account.delete': '계정 삭제'
+};
+
+const DETAIL_LABELS = {
+    backupCodes: '백업 코드',
+    remainingCodes: '남은 백업 코드',
+    deviceName: '디바이스',
+    sharedWith: '공유 대상',
+    permission: '권한',
+    linkId: '링크 ID',
+    expiresInDays: '만료 (일)',
+    collectionName: '컬렉션',
+    blockDuplicateLogin: '중복 로그인 차단',
+    countryWhitelistEnabled: '국가 화이트리스트',
+    allowedLoginCountries: '허용 국가',
+    format: '형식',
+    collectionsCount: '컬렉션',
+    pagesCount: '페이지',
+    imagesCount: '이미지',
+    revokedSessions: '종료된 세션',
+    passkeysRemoved: '삭제된 패스키',
+    tokenName: '토큰 이름',
+    scope: '권한',
+    collectionId: '컬렉션 ID',
+    url: 'URL',
+    events: '이벤트',
+    isActive: '활성화',
+    method: '방법',
+    expiresInHours: '만료 (시간)',
+    emailed: '메일 전송',
+    previousUsername: '이전 아이디'
+};
+
+let currentPage = 1;
+
+/**
+ * 이벤트 세부 정보 포맷팅
+ */
+export function formatSecurityEventDetails(event) {
+    const parts = [];
+
+    if (event.details && typeof event.details === 'object') {
+        Object.entries(event.details).forEach(([key, value]) => {
+            const label = DETAIL_LABELS[key] || key;
+            let text;
+            if (typeof value === 'boolean') {
+                text = value ? '켜짐' : '꺼짐';
+            } else if (value === null || value === '') {
+                text = '없음';
+            } else {
+                text = String(value);
+            }
+            parts.push(`${label}: ${text}`);
+        });
+    }
+
+    if (event.targetType === 'page' && event.targetId) {
+        parts.unshift(`페이지 ID: ${event.targetId}`);
+    }
+
+    return parts.length > 0 ? parts.join(', ') : '-';
+}
+
+/**
+ * 보안 활동 로드
+ */
+async function loadSecurityEvents(page = 1) {
+    const tbody = document.getElementById('security-events-table-body');
+    currentPage = page;
+
+    try {
+        const offset = (page - 1) * EVENTS_PER_PAGE;
+        const response = await fetch(`/api/auth/security-events?limit=${EVENTS_PER_PAGE}&offset=${offset}`, {
+            method: 'GET',
+            credentials: 'include'
+        });
+
+        if (!response.ok) {
+            throw new Error('보안 활동 로드 실패');
+        }
+
+        const data = await response.json();
+        renderSecurityEventsTable(data.events);
+        renderPagination(data.total, page);
+    } catch (error) {
+        console.error('보안 활동 로드 오류:', error);
+        tbody.innerHTML = '<tr><td colspan="5" class="admin-table-empty">기록을 불러오는 중 오류가 발생했습니다.</td></tr>';
+    }
+}
+
+/**
+ * 보안 활동 테이블 렌더링
+ */
+function renderSecurityEventsTable(events) {
+    const tbody = document.getElementById('security-events-table-body');
+
+    if (!events || events.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" class="admin-table-empty">기록된 보안 활동이 없습니다.</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = events.map(event => {
+        const { device, icon } = parseUserAgent(event.userAgent);
+        const label = SECURITY_EVENT_LABELS[event.eventType] || event.eventType;
+        const actor = event.actorUsername
+            ? ` <span class="admin-badge admin">관리자: ${escapeHtml(event.actorUsername)}</span>`
+            : '';
+
+        return `
+            <tr>
+                <td>${formatDateTime(event.createdAt)}</td>
+                <td>${escapeHtml(label)}${actor}</td>
+                <td>${escapeHtml(formatSecurityEventDetails(event))}</td>
+                <td>${escapeHtml(event.ipAddress)}</td>
+                <td title="${escapeHtml(event.userAgent || '')}">
+                    <i class="fa-solid ${icon}"></i>
+                    ${escapeHtml(device)}
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * 페이지네이션 렌더링
+ */
+function renderPagination(total, page) {
+    const pagination = document.getElementById('security-events-pagination');
+    const totalPages = Math.ceil(total / EVENTS_PER_PAGE);
+
+    if (totalPages <= 1) {
+        pagination.innerHTML = '';
+        return;
+    }
+
+    pagination.innerHTML = `
+        <button class="pagination-btn" data-page="${page - 1}" ${page <= 1 ? 'disabled' : ''}>
+            <i class="fa-solid fa-chevron-left"></i>
+        </button>
+        <span style="padding: 0 8px; color: #6b7280;">${page} / ${totalPages}</span>
+        <button class="pagination-btn" data-page="${page + 1}" ${page >= totalPages ? 'disabled' : ''}>
+            <i class="fa-solid fa-chevron-right"></i>
+        </button>
+    `;
+}
+
+/**
+ * 보안 활동 모달 열기
+ */
+function openSecurityEventsModal() {
+    const modal = document.getElementById('security-events-modal');
+    modal.style.display = 'flex';
+
+    loadSecurityEvents(1);
+}
+
+/**
+ * 보안 활동 모달 닫기
+ */
+function closeSecurityEventsModal() {
+    const modal = document.getElementById('security-events-modal');
+    modal.style.display = 'none';
+}
+
+/**
+ * 이벤트 바인딩
+ */
+export function bindSecurityEventsModal() {
+    const viewBtn = document.getElementById('view-security-events-btn');
+    const closeBtn = document.getElementById('close-security-events-btn');
+    const pagination = document.getElementById('security-events-pagination');
+    const modal = document.getElementById('security-events-modal');
+
+    if (viewBtn) {
+        viewBtn.addEventListener('click', openSecurityEventsModal);
+    }
+
+    if (closeBtn) {
+        closeBtn.addEventListener('click', closeSecurityEventsModal);
+    }
+
+    if (pagination) {
+        pagination.addEventListener('click', (e) => {
+            const button = e.target.closest('.pagination-btn');
+            if (button && !button.disabled) {
+                loadSecurityEvents(Number(button.dataset.page) || currentPage);
+            }
+        });
+    }
+
+    // 모달 외부 클릭 시 닫기
+    if (modal) {
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                closeSecurityEventsModal();
+            }
+        });
+    }
+}
@@ -0,0 +1,184 @@
+/**
+ * 활성 세션 관리 모듈
+ * 로그인되어 있는 세션(기기) 목록을 표시하고 원격 로그아웃 기능을 제공합니다.
+ */
+
+import { secureFetch, escapeHtml } from './ui-utils.js';
+import { formatDateTime, formatLocation, parseUserAgent } from './login-logs-manager.js';
+
+/**
+ * 세션 목록 로드
+ */
+async function loadSessions() {
+    const tbody = document.getElementById('sessions-table-body');
+
+    try {
+        const response = await fetch('/api/auth/sessions', {
+            method: 'GET',
+            credentials: 'include'
+        });
+
+        if (!response.ok) {
+            throw new Error('세션 목록 로드 실패');
+        }
+
+        const data = await response.json();
+        renderSessionsTable(data.sessions);
+    } catch (error) {
+        console.error('세션 목록 로드 오류:', error);
+        tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; padding: 40px;">세션 목록을 불러오는 중 오류가 발생했습니다.</td></tr>';
+    }
+}
+
+/**
+ * 세션 테이블 렌더링
+ */
+function renderSessionsTable(sessions) {
+    const tbody = document.getElementById('sessions-table-body');
+    const revokeOthersBtn = document.getElementById('revoke-other-sessions-btn');
+
+    if (revokeOthersBtn) {
+        revokeOthersBtn.disabled = !sessions || !sessions.some(session => !session.current);
+    }
+
+    if (!sessions || sessions.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" style="text-align: center; padding: 40px;">활성 세션이 없습니다.</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = sessions.map(session => {
+        const { device, icon } = parseUserAgent(session.userAgent);
+        const action = session.current
+            ? '<span class="session-current-badge">현재 세션</span>'
+            : `<button class="session-revoke-btn" data-session-id="${escapeHtml(session.id)}">로그아웃</button>`;
+
+        return `
+            <tr>
+                <td title="${escapeHtml(session.userAgent || '')}">
+                    <i class="fa-solid ${icon}"></i>
+                    ${escapeHtml(device)}
+                </td>
+                <td>${escapeHtml(session.ipAddress)}</td>
+                <td>${escapeHtml(formatLocation(session))}</td>
+                <td>${formatDateTime(session.createdAt)}</td>
+                <td>${formatDateTime(session.lastSeenAt)}</td>
+                <td>${action}</td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * 특정 세션 로그아웃
+ */
+async function revokeSession(sessionId, button) {
+    if (!confirm('이 세션을 로그아웃하시겠습니까?')) {
+        return;
+    }
+
+    button.disabled = true;
+
+    try {
+        const response = await secureFetch(`/api/auth/sessions/${encodeURIComponent(sessionId)}`, {
+            method: 'DELETE'
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error || 'HTTP ' + response.status);
+        }
+
+        await loadSessions();
+    } catch (error) {
+        console.error('세션 로그아웃 오류:', error);
+        alert('세션 로그아웃에 실패했습니다: ' + error.message);
+        button.disabled = false;
+    }
+}
+
+/**
+ * 현재 세션을 제외한 모든 세션 로그아웃
+ */
+async function revokeOtherSessions() {
+    if (!confirm('현재 기기를 제외한 모든 세션을 로그아웃하시겠습니까?')) {
+        return;
+    }
+
+    try {
+        const response = await secureFetch('/api/auth/sessions', {
+            method: 'DELETE'
+        });
+
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            throw new Error(errorData.error || 'HTTP ' + response.status);
+        }
+
+        const result = await response.json();
+        await loadSessions();
+        alert(`${result.revokedCount}개의 세션을 로그아웃했습니다.`);
+    } catch (error) {
+        console.error('세션 로그아웃 오류:', error);
+        alert('세션 로그아웃에 실패했습니다: ' + error.message);
+    }
+}
+
+/**
+ * 세션 모달 열기
+ */
+function openSessionsModal() {
+    const modal = document.getElementById('sessions-modal');
+    modal.style.display = 'flex';
+
+    loadSessions();
+}
+
+/**
+ * 세션 모달 닫기
+ */
+function closeSessionsModal() {
+    const modal = document.getElementById('sessions-modal');
+    modal.style.display = 'none';
+}
+
+/**
+ * 이벤트 바인딩
+ */
+export function bindSessionsModal() {
+    const viewSessionsBtn = document.getElementById('view-sessions-btn');
+    const closeBtn = document.getElementById('close-sessions-btn');
+    const revokeOthersBtn = document.getElementById('revoke-other-sessions-btn');
+    const tbody = document.getElementById('sessions-table-body');
+    const modal = document.getElementById('sessions-modal');
+
+    if (viewSessionsBtn) {
+        viewSessionsBtn.addEventListener('click', openSessionsModal);
+    }
+
+    if (closeBtn) {
+        closeBtn.addEventListener('click', closeSessionsModal);
+    }
+
+    if (revokeOthersBtn) {
+        revokeOthersBtn.addEventListener('click', revokeOtherSessions);
+    }
+
+    // 세션별 로그아웃 버튼 (이벤트 위임)
+    if (tbody) {
+        tbody.addEventListener('click', (e) => {
+            const button = e.target.closest('.session-revoke-btn');
+            if (button) {
+                revokeSession(button.dataset.sessionId, button);
+            }
+        });
+    }
+
+    // 모달 외부 클릭 시 닫기
+    if (modal) {
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                closeSessionsModal();
+            }
+        });
+    }
+}
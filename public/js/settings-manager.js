@@ -2,6 +2,8 @@
  * 설정 관리 모듈
  */
 
+import { bindOfflineStoreToUser, loadSnapshot, saveSnapshot } from './offline-store.js';
+
 // 전역 상태
 let state = {
     currentUser: null,
@@ -39,6 +41,12 @@ export async function openSettingsModal() {
         usernameEl.textContent = state.currentUser.username || "-";
     }
 
+    // 관리자에게만 관리자 섹션 표시
+    const adminSection = document.querySelector("#admin-settings-section");
+    if (adminSection) {
+        adminSection.style.display = state.currentUser && state.currentUser.isAdmin ? "" : "none";
+    }
+
     // 현재 설정 값 표시
     if (defaultModeSelect) {
         defaultModeSelect.value = state.userSettings.defaultMode;
@@ -259,17 +267,20 @@ export async function fetchAndDisplayCurrentUser() {
         const user = await res.json();
         state.currentUser = user;
 
-        const userNameEl = document.querySelector("#user-name");
-        const userAvatarEl = document.querySelector("#user-avatar");
+        // 오프라인 저장소를 이 사용자에게 연결 (다른 사용자가 남긴 데이터는 삭제)
+        await bindOfflineStoreToUser(user.id);
+        saveSnapshot("currentUser", user);
 
-        if (userNameEl) {
-            userNameEl.textContent = user.username || "사용자";
+        displayCurrentUser(user);
+    } catch (error) {
+        // 오프라인: 마지막으로 확인한 사용자 정보 표시
+        const cachedUser = error instanceof TypeError ? await loadSnapshot("currentUser") : null;
+        if (cachedUser) {
+            state.currentUser = cachedUser;
+            displayCurrentUser(cachedUser);
+            return;
         }
 
-        if (userAvatarEl) {
-            userAvatarEl.textContent = user.username ? user.username[0].toUpperCase() : "?";
-        }
-    } catch (error) {
         console.error("사용자 정보 불러오기 실패:", error);
         const userNameEl = document.querySelector("#user-name");
         const userAvatarEl = document.querySelector("#user-avatar");
@@ -284,6 +295,22 @@ export async function fetchAndDisplayCurrentUser() {
     }
 }
 
+/**
+ * 사이드바에 사용자 이름/아바타 표시
+ */
+function displayCurrentUser(user) {
+    const userNameEl = document.querySelector("#user-name");
+    const userAvatarEl = document.querySelector("#user-avatar");
+
+    if (userNameEl) {
+        userNameEl.textContent = user.username || "사용자";
+    }
+
+    if (userAvatarEl) {
+        userAvatarEl.textContent = user.username ? user.username[0].toUpperCase() : "?";
+    }
+}
+
 /**
  * 백업 내보내기
  */
@@ -16,6 +16,7 @@ export function openShareModal(collectionId) {
     if (modal) {
         modal.classList.remove("hidden");
         loadShareList(collectionId);
+        loadShareLinkList(collectionId);
     }
 }
 
@@ -140,12 +141,144 @@ export async function removeShare(collectionId, shareId) {
 }
 
 
+/**
+ * 공유 링크 목록 로드
+ */
+export async function loadShareLinkList(collectionId) {
+    const listEl = document.querySelector("#share-link-list");
+    if (!listEl) return;
+
+    try {
+        const res = await fetch(`/api/collections/${encodeURIComponent(collectionId)}/share-links`);
+        if (!res.ok) throw new Error("HTTP " + res.status);
+
+        const links = await res.json();
+
+        if (links.length === 0) {
+            listEl.innerHTML = '<div style="color: #6b7280; font-size: 13px;">생성된 공유 링크가 없습니다.</div>';
+            return;
+        }
+
+        listEl.innerHTML = links.map(link => {
+            const usable = link.isActive && !link.isExpired;
+            let status;
+            if (!link.isActive) {
+                status = '폐기됨';
+            } else if (link.isExpired) {
+                status = '만료됨';
+            } else {
+                status = link.expiresAt ? `${new Date(link.expiresAt).toLocaleString()} 만료` : '만료 없음';
+            }
+
+            return `
+                <div class="share-item share-link-item${usable ? '' : ' inactive'}">
+                    <div class="share-item-info">
+                        <div class="share-link-url">${escapeHtml(link.url)}</div>
+                        <div class="share-item-permission">${link.permission === 'EDIT' ? '편집 가능' : '읽기 전용'} · ${escapeHtml(status)}</div>
+                    </div>
+                    ${usable ? `
+                        <div class="share-item-actions">
+                            <button class="secondary-button copy-share-link-btn" data-url="${escapeHtml(link.url)}" style="padding: 4px 8px; font-size: 12px;">
+                                복사
+                            </button>
+                            <button class="danger-button revoke-share-link-btn" data-link-id="${link.id}" style="padding: 4px 8px; font-size: 12px;">
+                                폐기
+                            </button>
+                        </div>
+                    ` : ''}
+                </div>
+            `;
+        }).join('');
+
+        listEl.querySelectorAll('.copy-share-link-btn').forEach(btn => {
+            btn.addEventListener('click', () => copyShareLink(btn.dataset.url));
+        });
+
+        listEl.querySelectorAll('.revoke-share-link-btn').forEach(btn => {
+            btn.addEventListener('click', () => revokeShareLink(collectionId, btn.dataset.linkId));
+        });
+    } catch (error) {
+        console.error("공유 링크 목록 로드 오류:", error);
+    }
+}
+
+/**
+ * 공유 링크 생성
+ */
+export async function handleCreateShareLink(event) {
+    event.preventDefault();
+
+    const permissionSelect = document.querySelector("#share-link-permission");
+    const expiresSelect = document.querySelector("#share-link-expires");
+    const errorEl = document.querySelector("#share-link-error");
+
+    if (!permissionSelect || !expiresSelect || !errorEl) return;
+
+    errorEl.textContent = "";
+
+    try {
+        const res = await secureFetch(`/api/collections/${encodeURIComponent(currentSharingCollectionId)}/share-links`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+                permission: permissionSelect.value,
+                expiresInDays: expiresSelect.value ? Number(expiresSelect.value) : null
+            })
+        });
+
+        if (!res.ok) {
+            const error = await res.json();
+            throw new Error(error.error || "링크 생성 실패");
+        }
+
+        const link = await res.json();
+        await loadShareLinkList(currentSharingCollectionId);
+        await copyShareLink(link.url);
+    } catch (error) {
+        console.error("공유 링크 생성 오류:", error);
+        errorEl.textContent = error.message;
+    }
+}
+
+/**
+ * 공유 링크를 클립보드에 복사
+ */
+async function copyShareLink(url) {
+    try {
+        await navigator.clipboard.writeText(url);
+        alert("공유 링크가 클립보드에 복사되었습니다.");
+    } catch (error) {
+        prompt("공유 링크를 복사하세요:", url);
+    }
+}
+
+/**
+ * 공유 링크 폐기
+ */
+export async function revokeShareLink(collectionId, linkId) {
+    if (!confirm("이 링크를 폐기하시겠습니까?\n폐기된 링크로는 더 이상 컬렉션에 접근할 수 없습니다.")) return;
+
+    try {
+        const res = await secureFetch(`/api/collections/${encodeURIComponent(collectionId)}/share-links/${linkId}`, {
+            method: "DELETE"
+        });
+
+        if (!res.ok) throw new Error("HTTP " + res.status);
+
+        await loadShareLinkList(collectionId);
+    } catch (error) {
+        console.error("공유 링크 폐기 오류:", error);
+        alert("공유 링크 폐기 중 오류가 발생했습니다.");
+    }
+}
+
 /**
  * 공유 모달 이벤트 바인딩
  */
 export function bindShareModal() {
     const closeBtn = document.querySelector("#close-share-modal-btn");
     const userForm = document.querySelector("#share-user-form");
+    const linkForm = document.querySelector("#share-link-form");
 
     if (closeBtn) {
         closeBtn.addEventListener("click", closeShareModal);
@@ -154,4 +287,8 @@ export function bindShareModal() {
     if (userForm) {
         userForm.addEventListener("submit", handleShareUser);
     }
+
+    if (linkForm) {
+        linkForm.addEventListener("submit", handleCreateShareLink);
+    }
 }
@@ -0,0 +1,266 @@
+/**
+ * 공유 컬렉션 스크립트
+ * 링크로 공유된 컬렉션의 페이지 트리와 페이지를 읽기 전용으로 표시
+ * 렌더링 함수는 shared-content.js에 정의됨
+ */
+
+(() => {
+    const token = window.location.pathname.split('/').pop();
+    const apiBase = `/api/shared/collection/${encodeURIComponent(token)}`;
+
+    let pages = [];
+    let currentPageId = null;
+
+    /**
+     * 페이지 아이콘 요소 생성 (Font Awesome 클래스 또는 이모지)
+     */
+    function createIconElement(icon) {
+        if (!icon) {
+            const el = document.createElement('i');
+            el.className = 'fa-regular fa-file-lines';
+            return el;
+        }
+
+        if (icon.startsWith('fa-')) {
+            const el = document.createElement('i');
+            el.className = icon;
+            return el;
+        }
+
+        const el = document.createElement('span');
+        el.textContent = icon;
+        return el;
+    }
+
+    /**
+     * 페이지 트리 렌더링
+     * 부모가 목록에 없는 페이지(암호화된 부모 등)는 최상위로 표시
+     */
+    function renderTree() {
+        const treeEl = document.getElementById('collection-tree');
+        treeEl.innerHTML = '';
+
+        if (!pages.length) {
+            const emptyEl = document.createElement('li');
+            emptyEl.className = 'shared-collection-tree-empty';
+            emptyEl.textContent = '공개된 페이지가 없습니다.';
+            treeEl.appendChild(emptyEl);
+            return;
+        }
+
+        const pageIds = new Set(pages.map(p => p.id));
+        const childrenByParent = new Map();
+        pages.forEach((page) => {
+            const parentKey = page.parentId && pageIds.has(page.parentId) ? page.parentId : null;
+            if (!childrenByParent.has(parentKey)) {
+                childrenByParent.set(parentKey, []);
+            }
+            childrenByParent.get(parentKey).push(page);
+        });
+
+        const buildList = (parentKey, listEl) => {
+            const children = (childrenByParent.get(parentKey) || [])
+                .sort((a, b) => (a.sortOrder || 0) - (b.sortOrder || 0));
+
+            children.forEach((page) => {
+                const li = document.createElement('li');
+
+                const item = document.createElement('div');
+                item.className = 'shared-collection-tree-item';
+                item.dataset.pageId = page.id;
+                item.appendChild(createIconElement(page.icon));
+
+                const titleEl = document.createElement('span');
+                titleEl.textContent = page.title;
+                item.appendChild(titleEl);
+
+                item.addEventListener('click', () => {
+                    window.location.hash = encodeURIComponent(page.id);
+                });
+
+                li.appendChild(item);
+
+                if (childrenByParent.has(page.id)) {
+                    const childList = document.createElement('ul');
+                    buildList(page.id, childList);
+                    li.appendChild(childList);
+                }
+
+                listEl.appendChild(li);
+            });
+        };
+
+        buildList(null, treeEl);
+    }
+
+    /**
+     * 트리에서 현재 페이지 강조
+     */
+    function highlightCurrentPage() {
+        document.querySelectorAll('.shared-collection-tree-item').forEach((item) => {
+            item.classList.toggle('active', item.dataset.pageId === currentPageId);
+        });
+    }
+
+    /**
+     * 오류 메시지 표시
+     */
+    function showError(message) {
+        const editorEl = document.getElementById('page-editor');
+        editorEl.innerHTML = `
+            <div class="shared-page-error">
+                <div class="shared-page-error-message">
+                    <p><i class="fa-solid fa-exclamation-circle"></i></p>
+                    <p></p>
+                    <p style="font-size: 13px; margin-top: 16px; color: #6b7280;">
+                        <a href="/" style="color: #2d5f5d; text-decoration: underline;">홈으로 돌아가기</a>
+                    </p>
+                </div>
+            </div>
+        `;
+        editorEl.querySelector('.shared-page-error-message p:nth-child(2)').textContent = message;
+        editorEl.classList.remove('shared-page-loading');
+    }
+
+    /**
+     * 페이지 로드 및 표시
+     */
+    async function loadPage(pageId) {
+        currentPageId = pageId;
+        highlightCurrentPage();
+
+        const editorEl = document.getElementById('page-editor');
+        editorEl.classList.add('shared-page-loading');
+        editorEl.innerHTML = '<p>페이지를 불러오는 중입니다...</p>';
+
+        try {
+            const response = await fetch(`${apiBase}/pages/${encodeURIComponent(pageId)}`);
+            if (!response.ok) {
+                throw new Error('페이지를 찾을 수 없습니다.');
+            }
+
+            const data = await response.json();
+
+            // 응답 대기 중 다른 페이지로 이동했으면 무시
+            if (currentPageId !== pageId) return;
+
+            document.getElementById('page-title-text').textContent = data.title || '제목 없음';
+
+            const iconEl = document.getElementById('page-icon');
+            if (data.icon && !data.icon.startsWith('fa-')) {
+                iconEl.textContent = data.icon;
+                iconEl.style.display = 'inline';
+            } else {
+                iconEl.textContent = '';
+                iconEl.style.display = 'none';
+            }
+
+            const coverEl = document.getElementById('page-cover');
+            if (data.coverImage) {
+                // 사용자 커버는 로그인이 필요하므로 공유 링크 범위의 경로 사용 (기본 커버는 공개)
+                const coverUrl = data.coverImage.startsWith('default/')
+                    ? `/covers/${data.coverImage}`
+                    : `${apiBase}/covers/${data.coverImage}`;
+                coverEl.style.backgroundImage = `url('${coverUrl}')`;
+                coverEl.style.backgroundPositionY = `${data.coverPosition || 50}%`;
+                coverEl.style.display = 'block';
+            } else {
+                coverEl.style.display = 'none';
+            }
+
+            renderSharedContent(editorEl, data.content);
+            editorEl.classList.remove('shared-page-loading');
+        } catch (error) {
+            console.error('페이지 로드 오류:', error);
+            showError(error.message || '페이지를 불러올 수 없습니다.');
+        }
+    }
+
+    /**
+     * 주소의 해시(#pageId)에 맞는 페이지 표시, 없으면 첫 페이지 표시
+     */
+    function loadPageFromHash() {
+        const hashId = decodeURIComponent(window.location.hash.slice(1));
+        const page = pages.find(p => p.id === hashId);
+        const firstItem = document.querySelector('.shared-collection-tree-item');
+        const pageId = page ? page.id : (firstItem ? firstItem.dataset.pageId : null);
+
+        if (pageId && pageId !== currentPageId) {
+            loadPage(pageId);
+        }
+    }
+
+    /**
+     * 편집 권한 링크로 컬렉션 참여 (로그인 필요)
+     */
+    async function joinCollection() {
+        const joinBtn = document.getElementById('join-collection-btn');
+        joinBtn.disabled = true;
+
+        try {
+            const response = await fetch(`/api/share-links/${encodeURIComponent(token)}/join`, window.csrfUtils.addCsrfHeader({
+                method: 'POST'
+            }));
+
+            if (response.status === 401) {
+                alert('컬렉션에 참여하려면 먼저 로그인하세요. 로그인 후 이 링크를 다시 열어 주세요.');
+                window.location.href = '/login';
+                return;
+            }
+
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.error || '컬렉션 참여 실패');
+            }
+
+            alert(`'${data.collectionName}' 컬렉션에 참여했습니다.`);
+            window.location.href = '/';
+        } catch (error) {
+            console.error('컬렉션 참여 오류:', error);
+            alert(error.message);
+            joinBtn.disabled = false;
+        }
+    }
+
+    (async () => {
+        try {
+            if (!token) {
+                throw new Error('토큰이 없습니다.');
+            }
+
+            const response = await fetch(apiBase);
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                throw new Error(data.error || '컬렉션을 찾을 수 없습니다.');
+            }
+
+            const data = await response.json();
+            pages = data.pages || [];
+
+            document.title = `${data.collection.name} - NTEOK`;
+            document.getElementById('collection-name').textContent = data.collection.name;
+
+            if (data.permission === 'EDIT') {
+                const joinBtn = document.getElementById('join-collection-btn');
+                joinBtn.style.display = '';
+                joinBtn.addEventListener('click', joinCollection);
+            }
+
+            renderTree();
+
+            if (!pages.length) {
+                const editorEl = document.getElementById('page-editor');
+                editorEl.innerHTML = '<p>이 컬렉션에는 공개된 페이지가 없습니다.</p>';
+                editorEl.classList.remove('shared-page-loading');
+                return;
+            }
+
+            window.addEventListener('hashchange', loadPageFromHash);
+            loadPageFromHash();
+        } catch (error) {
+            console.error('컬렉션 로드 오류:', error);
+            document.getElementById('collection-name').textContent = '';
+            showError(error.message || '컬렉션을 불러올 수 없습니다.');
+        }
+    })();
+})();
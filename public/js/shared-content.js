@@ -0,0 +1,282 @@
+/**
+ * 공개 페이지 콘텐츠 렌더링 스크립트
+ * 발행된 페이지(/shared/page/:token)와 링크 공유된 컬렉션(/shared/collection/:token)에서 공통으로 사용
+ */
+
+/**
+ * 북마크 블록 렌더링 함수
+ * @param {HTMLElement} container - 렌더링 대상 컨테이너
+ */
+function renderBookmarks(container) {
+    // 북마크 컨테이너 렌더링 (BookmarkContainerBlock)
+    container.querySelectorAll('[data-type="bookmark-container"]').forEach((el) => {
+        renderBookmarkContainer(el);
+    });
+
+    // 독립 북마크 블록 렌더링 (BookmarkBlock)
+    container.querySelectorAll('[data-type="bookmark-block"]').forEach((el) => {
+        renderBookmarkBlock(el);
+    });
+}
+
+/**
+ * 북마크 컨테이너 렌더링
+ */
+function renderBookmarkContainer(element) {
+    const icon = element.getAttribute('data-icon') || '🔖';
+    const title = element.getAttribute('data-title') || '북마크';
+
+    // 기존 내용 백업
+    const bookmarks = Array.from(element.querySelectorAll('[data-type="bookmark-block"]')).map(el => ({
+        url: el.getAttribute('data-url'),
+        title: el.getAttribute('data-title'),
+        description: el.getAttribute('data-description'),
+        thumbnail: el.getAttribute('data-thumbnail')
+    }));
+
+    // 컨테이너 재구성
+    element.innerHTML = '';
+    element.className = 'bookmark-container-wrapper';
+    element.setAttribute('data-type', 'bookmark-container');
+
+    // 헤더
+    const header = document.createElement('div');
+    header.className = 'bookmark-container-header';
+
+    const titleContainer = document.createElement('div');
+    titleContainer.className = 'bookmark-container-title-container';
+
+    const iconEl = document.createElement('div');
+    iconEl.className = 'bookmark-container-icon';
+    iconEl.textContent = icon;
+
+    const titleEl = document.createElement('div');
+    titleEl.className = 'bookmark-container-title';
+    titleEl.textContent = title;
+
+    titleContainer.appendChild(iconEl);
+    titleContainer.appendChild(titleEl);
+    header.appendChild(titleContainer);
+    element.appendChild(header);
+
+    // 콘텐츠
+    const content = document.createElement('div');
+    content.className = 'bookmark-container-content';
+
+    bookmarks.forEach(bookmark => {
+        const card = createBookmarkCard(bookmark);
+        content.appendChild(card);
+    });
+
+    element.appendChild(content);
+}
+
+/**
+ * 독립 북마크 블록 렌더링
+ */
+function renderBookmarkBlock(element) {
+    const bookmark = {
+        url: element.getAttribute('data-url'),
+        title: element.getAttribute('data-title'),
+        description: element.getAttribute('data-description'),
+        thumbnail: element.getAttribute('data-thumbnail')
+    };
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'bookmark-block-wrapper';
+    const card = createBookmarkCard(bookmark);
+    wrapper.appendChild(card);
+
+    element.replaceWith(wrapper);
+}
+
+/**
+ * 북마크 카드 생성
+ */
+function createBookmarkCard(bookmark) {
+    const card = document.createElement('a');
+    card.className = 'bookmark-card';
+    card.href = bookmark.url || '#';
+    card.target = '_blank';
+    card.rel = 'noopener noreferrer';
+    card.style.color = 'inherit';
+
+    // 텍스트 정보
+    const textContainer = document.createElement('div');
+    textContainer.className = 'bookmark-text';
+
+    const titleElement = document.createElement('div');
+    titleElement.className = 'bookmark-title';
+    titleElement.textContent = bookmark.title || bookmark.url || '제목 없음';
+
+    const descElement = document.createElement('div');
+    descElement.className = 'bookmark-description';
+    descElement.textContent = bookmark.description || '';
+
+    const urlContainer = document.createElement('div');
+    urlContainer.className = 'bookmark-url';
+    urlContainer.textContent = bookmark.url || '';
+
+    textContainer.appendChild(titleElement);
+    if (bookmark.description) {
+        textContainer.appendChild(descElement);
+    }
+    textContainer.appendChild(urlContainer);
+
+    card.appendChild(textContainer);
+
+    // 썸네일
+    const thumbnailContainer = document.createElement('div');
+    thumbnailContainer.className = 'bookmark-thumbnail';
+
+    if (bookmark.thumbnail) {
+        const thumbnail = document.createElement('img');
+        const proxyUrl = `/api/pages/proxy/image?url=${encodeURIComponent(bookmark.thumbnail)}`;
+        thumbnail.src = proxyUrl;
+        thumbnail.alt = bookmark.title || '';
+
+        thumbnail.onload = () => {
+            thumbnailContainer.classList.remove('error');
+        };
+
+        thumbnail.onerror = () => {
+            console.warn('[BookmarkBlock] 썸네일 로드 실패:', proxyUrl);
+            thumbnailContainer.classList.add('error');
+            thumbnail.style.display = 'none';
+        };
+
+        thumbnailContainer.appendChild(thumbnail);
+    } else {
+        thumbnailContainer.classList.add('error');
+    }
+
+    const errorMessage = document.createElement('div');
+    errorMessage.className = 'bookmark-thumbnail-error';
+    errorMessage.textContent = '이미지 없음';
+    thumbnailContainer.appendChild(errorMessage);
+
+    card.appendChild(thumbnailContainer);
+
+    return card;
+}
+
+/**
+ * 북마크 이미지 프록시 처리
+ */
+function processBookmarkImages(container) {
+    container.querySelectorAll('.bookmark-thumbnail img').forEach((img) => {
+        const currentSrc = img.src;
+        if (!currentSrc.includes('/api/pages/proxy/image')) {
+            const proxyUrl = `/api/pages/proxy/image?url=${encodeURIComponent(img.src)}`;
+            img.src = proxyUrl;
+        }
+    });
+}
+
+/**
+ * 체크박스(to-do list) 렌더링 함수
+ * @param {HTMLElement} container - 렌더링 대상 컨테이너
+ */
+function renderCheckboxes(container) {
+    // taskList 타입의 ul 요소를 모두 찾아서 처리
+    container.querySelectorAll('ul[data-type="taskList"]').forEach((ul) => {
+        // 각 li 항목 처리
+        ul.querySelectorAll('li').forEach((li) => {
+            const isChecked = li.getAttribute('data-checked') === 'true';
+
+            // 이미 렌더링된 경우 건너뛰기
+            if (li.querySelector('input[type="checkbox"]')) {
+                const checkbox = li.querySelector('input[type="checkbox"]');
+                checkbox.checked = isChecked;
+                return;
+            }
+
+            // 기존 내용 백업
+            const content = li.innerHTML;
+
+            // li 내용 재구성
+            li.innerHTML = '';
+
+            // label과 checkbox 생성
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = isChecked;
+            checkbox.disabled = true; // 공개 페이지에서는 체크박스 비활성화
+
+            label.appendChild(checkbox);
+            li.appendChild(label);
+
+            // 콘텐츠 div 생성
+            const contentDiv = document.createElement('div');
+            contentDiv.innerHTML = content;
+            li.appendChild(contentDiv);
+        });
+    });
+}
+
+/**
+ * KaTeX 수식 렌더링
+ * @param {HTMLElement} container - 렌더링 대상 컨테이너
+ */
+function renderMath(container) {
+    if (!window.katex) return;
+
+    // 수식 블록 렌더링
+    container.querySelectorAll('[data-type="math-block"]').forEach((el) => {
+        try {
+            const latex = el.getAttribute('data-latex') || el.textContent;
+            if (latex) {
+                el.innerHTML = '';
+                window.katex.render(latex, el, {
+                    displayMode: true,
+                    throwOnError: false
+                });
+            }
+        } catch (err) {
+            console.error('[MathBlock] KaTeX 렌더링 오류:', err);
+        }
+    });
+
+    // 인라인 수식 렌더링 (혹시 있을 경우)
+    container.querySelectorAll('[data-type="math-inline"]').forEach((el) => {
+        try {
+            const latex = el.getAttribute('data-latex') || el.textContent;
+            if (latex) {
+                el.innerHTML = '';
+                window.katex.render(latex, el, {
+                    displayMode: false,
+                    throwOnError: false
+                });
+            }
+        } catch (err) {
+            console.error('[MathInline] KaTeX 렌더링 오류:', err);
+        }
+    });
+
+    // 레거시: 이전 형식 지원 (.katex-block, .katex-inline)
+    container.querySelectorAll('.katex-block, .katex-inline').forEach((el) => {
+        try {
+            const isDisplay = el.classList.contains('katex-block');
+            const latex = el.dataset.latex || el.textContent;
+            el.innerHTML = '';
+            window.katex.render(latex, el, { displayMode: isDisplay, throwOnError: false });
+        } catch (err) {
+            console.error('KaTeX 렌더링 오류:', err);
+        }
+    });
+}
+
+/**
+ * 공개 페이지 본문 표시 (북마크, 체크박스, 수식 렌더링 포함)
+ * @param {HTMLElement} container - 본문 컨테이너
+ * @param {string} html - 서버에서 정화된 본문 HTML
+ */
+function renderSharedContent(container, html) {
+    container.innerHTML = html || '<p></p>';
+
+    renderBookmarks(container);
+    renderCheckboxes(container);
+    renderMath(container);
+    processBookmarkImages(container);
+}
@@ -3,10 +3,18 @@
  * 실시간 협업 편집을 위한 클라이언트 측 동기화 로직
  */
 
-import * as Y from 'https://cdn.jsdelivr.net/npm/yjs@13.6.18/+esm';
-import { Awareness, encodeAwarenessUpdate, applyAwarenessUpdate } from 'https://esm.sh/y-protocols@1.0.6/awareness';
+// 자체 호스팅 번들 (public/vendor/modules, y-prosemirror/y-protocols는 같은 Yjs 청크를 공유)
+import * as Y from '/vendor/modules/yjs@13.6.18.js';
+import { Awareness, encodeAwarenessUpdate, applyAwarenessUpdate } from '/vendor/modules/y-protocols@1.0.6/awareness.js';
+import { ySyncPlugin, ySyncPluginKey, prosemirrorToYXmlFragment } from '/vendor/modules/y-prosemirror@1.2.12.js';
 import { escapeHtml, showErrorInEditor } from './ui-utils.js';
 import { showCover, hideCover } from './cover-manager.js';
+import { applyRemotePageTags } from './tag-manager.js';
+import { refreshPageMentions } from './page-mention-node.js';
+import { applyRemoteCommentChange } from './comments-manager.js';
+import { handleIncomingNotification } from './notifications-manager.js';
+import { isOfflinePageId, loadPageDoc, savePageDoc, deletePageDoc, getDirtyPageDocs } from './offline-store.js';
+import { replayOfflineQueue } from './offline-manager.js';
 
 // 전역 상태
 let ws = null;
@@ -14,12 +22,15 @@ let reconnectAttempts = 0;
 let reconnectTimer = null;
 let ydoc = null;
 let yXmlFragment = null;
-let yMetadata = null;
 let currentPageId = null;
 let currentCollectionId = null;
-let lastLocalUpdateTime = 0;
-let updateTimeout = null;
 let hasInitializedPage = false; // 페이지 초기화 완료 플래그 (재연결 감지용)
+let isEditorBound = false; // 에디터가 ProseMirror 프래그먼트에 바인딩되었는지 여부
+let pendingSeedObserver = null; // 초기 내용 작성 대기 중인 프래그먼트 observer
+let localChangesPending = false; // 서버에 보내지 못한 로컬 변경이 있는지 (오프라인 편집)
+let persistTimer = null; // IndexedDB 저장 debounce 타이머
+
+const PERSIST_DELAY_MS = 500;
 
 // 커서 공유 상태
 const cursorState = {
@@ -86,6 +97,9 @@ function connectWebSocket() {
 
         // 사용자 알림 구독
         subscribeUser();
+
+        // 다른 페이지에서 오프라인으로 편집한 내용 전송
+        flushPendingDocs();
     };
 
     ws.onmessage = (event) => {
@@ -105,6 +119,12 @@ function connectWebSocket() {
         console.log('[WS] 연결 종료');
         ws = null;
 
+        // 전송 중이던 변경이 유실됐을 수 있으므로 새로고침 후에도 재연결 시 병합하도록 표시
+        if (ydoc && isEditorBound) {
+            localChangesPending = true;
+            persistCurrentDoc();
+        }
+
         // 재연결 시도
         attemptReconnect();
     };
@@ -142,12 +162,15 @@ function handleWebSocketMessage(message) {
             handleInit(data);
             hasInitializedPage = true; // 초기화 완료 플래그 설정
             break;
-        case 'reconnected':
-            console.log('[WS] 재연결 완료 - 기존 상태 유지');
-            break;
         case 'yjs-update':
             handleYjsUpdate(data);
             break;
+        case 'yjs-reset':
+            handleYjsReset(data);
+            break;
+        case 'seed-request':
+            handleSeedRequest(data);
+            break;
         case 'user-joined':
             handleUserJoined(data);
             break;
@@ -157,14 +180,20 @@ function handleWebSocketMessage(message) {
         case 'metadata-change':
             handleMetadataChange(data);
             break;
+        case 'comment-change':
+            applyRemoteCommentChange(data);
+            break;
+        case 'notification':
+            handleIncomingNotification(data);
+            break;
         case 'page-created':
             handlePageCreated(data);
             break;
         case 'page-deleted':
             handlePageDeleted(data);
             break;
-        case 'duplicate-login':
-            handleDuplicateLogin(data);
+        case 'session-revoked':
+            handleSessionRevoked(data);
             break;
         case 'awareness-update':
             handleRemoteAwarenessUpdate(data);
@@ -198,28 +227,57 @@ export async function startPageSync(pageId, isEncrypted) {
     currentPageId = pageId;
     state.currentPageId = pageId;
 
-    // Yjs 문서 생성
-    ydoc = new Y.Doc();
+    // Yjs 문서 생성 (본문은 ProseMirror 프래그먼트에 저장)
+    const doc = new Y.Doc();
+    ydoc = doc;
     yXmlFragment = ydoc.getXmlFragment('prosemirror');
-    yMetadata = ydoc.getMap('metadata');
+    localChangesPending = false;
 
     // Awareness 초기화
     cursorState.awareness = new Awareness(ydoc);
     cursorState.localClientId = ydoc.clientID;
     cursorState.awareness.on('change', handleAwarenessChange);
 
-    // WebSocket으로 페이지 구독
-    if (ws && ws.readyState === WebSocket.OPEN) {
-        subscribePage(pageId);
+    // 이 기기에 저장된 문서 불러오기
+    // - 오프라인: 마지막으로 받은 상태로 편집 계속
+    // - 온라인: 보내지 못한 변경이 있을 때만 적용하고 재연결과 같은 방식으로 변경분을 주고받음
+    const stored = await loadPageDoc(pageId);
+    if (ydoc !== doc) {
+        return; // 불러오는 동안 다른 페이지로 전환됨
     }
 
-    // Yjs 변경 감지 → 서버 전송
+    const isConnected = ws && ws.readyState === WebSocket.OPEN;
+    if (stored && (stored.dirty || !isConnected)) {
+        Y.applyUpdate(ydoc, stored.update);
+        localChangesPending = stored.dirty;
+        hasInitializedPage = true;
+    }
+
+    // Yjs 변경 감지 → 서버 전송 및 IndexedDB 저장
     ydoc.on('update', (update, origin) => {
         // 로컬 변경사항만 서버로 전송 (remote는 제외)
-        if (origin !== 'remote') {
-            sendYjsUpdate(pageId, update);
+        // 연결이 끊겼거나 서버에 아직 없는 페이지이면 보관했다가 재연결 시 변경분 동기화로 전송
+        if (origin !== 'remote' && (isOfflinePageId(pageId) || !sendYjsUpdate(pageId, update))) {
+            localChangesPending = true;
         }
+        schedulePersist();
     });
+
+    // 오프라인에서 만든 페이지: 서버에 생성될 때까지 로컬 문서로만 편집
+    if (isOfflinePageId(pageId)) {
+        if (yXmlFragment.length === 0) {
+            seedFragmentFromEditor();
+        }
+        setupEditorBinding();
+        return;
+    }
+
+    // WebSocket으로 페이지 구독 (연결되지 않았으면 저장된 문서로 바로 편집)
+    if (isConnected) {
+        subscribePage(pageId);
+    } else if (yXmlFragment.length > 0) {
+        setupEditorBinding();
+    }
 }
 
 /**
@@ -231,12 +289,24 @@ function subscribePage(pageId) {
         return;
     }
 
+    // 오프라인에서 만든 페이지는 서버에 생성된 뒤 실제 ID로 다시 구독
+    if (isOfflinePageId(pageId)) {
+        return;
+    }
+
+    const payload = {
+        pageId,
+        isReconnect: hasInitializedPage // 재연결 플래그 전송
+    };
+
+    // 재연결 시 로컬 상태 벡터를 보내 끊긴 동안의 변경분만 주고받음
+    if (hasInitializedPage && ydoc) {
+        payload.stateVector = encodeBase64(Y.encodeStateVector(ydoc));
+    }
+
     ws.send(JSON.stringify({
         type: 'subscribe-page',
-        payload: {
-            pageId,
-            isReconnect: hasInitializedPage // 재연결 플래그 전송
-        }
+        payload
     }));
 
     console.log('[WS] 페이지 구독:', pageId, hasInitializedPage ? '(재연결)' : '(최초 연결)');
@@ -271,67 +341,60 @@ export function stopPageSync() {
 
     cursorState.lastSentPosition = null;
 
+    // 에디터와 프래그먼트 바인딩 해제 (이후 setContent가 이전 문서로 전파되지 않도록)
+    if (isEditorBound && state.editor && !state.editor.isDestroyed) {
+        state.editor.unregisterPlugin(ySyncPluginKey);
+    }
+    isEditorBound = false;
+
+    if (pendingSeedObserver && yXmlFragment) {
+        yXmlFragment.unobserveDeep(pendingSeedObserver);
+    }
+    pendingSeedObserver = null;
+
+    // 저장 대기 중인 변경을 문서 정리 전에 IndexedDB에 기록
+    if (persistTimer) {
+        persistCurrentDoc();
+    }
+    localChangesPending = false;
+
     if (ydoc) {
         ydoc.destroy();
         ydoc = null;
         yXmlFragment = null;
-        yMetadata = null;
     }
 
     currentPageId = null;
     state.currentPageId = null;
-    lastLocalUpdateTime = 0;
     hasInitializedPage = false; // 플래그 초기화
 }
 
 /**
- * 대기 중인 업데이트를 즉시 실행
- * 읽기 모드 전환 시 데이터 손실 방지
+ * 바이너리 데이터를 Base64 문자열로 변환 (큰 문서에서 인자 개수 제한을 피하도록 나누어 처리)
  */
-export function flushPendingUpdates() {
-    if (updateTimeout) {
-        clearTimeout(updateTimeout);
-
-        // 즉시 실행 (yMetadata만 업데이트, 에디터는 toggleEditMode에서 동기화)
-        if (state.editor && yMetadata) {
-            const newContent = state.editor.getHTML();
-            const oldContent = yMetadata.get('content');
-
-            if (newContent !== oldContent) {
-                yMetadata.set('content', newContent);
-            }
-        }
-
-        updateTimeout = null;
+function encodeBase64(bytes) {
+    const data = new Uint8Array(bytes);
+    let binary = '';
+    for (let i = 0; i < data.length; i += 0x8000) {
+        binary += String.fromCharCode(...data.subarray(i, i + 0x8000));
     }
+    return btoa(binary);
 }
 
-/**
- * yMetadata에서 에디터로 콘텐츠 동기화
- * 읽기 모드 전환 시 호출
- */
-export function syncEditorFromMetadata() {
-    if (state.editor && yMetadata) {
-        const content = yMetadata.get('content');
-        if (content) {
-            const currentContent = state.editor.getHTML();
-            if (content !== currentContent) {
-                state.editor.commands.setContent(content, { emitUpdate: false });
-            }
-        }
-    }
+function decodeBase64(base64) {
+    return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
 }
 
 /**
  * Yjs 업데이트 서버 전송
+ * @returns {boolean} 전송 여부 (연결이 끊겼으면 false)
  */
 function sendYjsUpdate(pageId, update) {
     if (!ws || ws.readyState !== WebSocket.OPEN) {
-        console.warn('[WS] WebSocket이 연결되지 않았습니다.');
-        return;
+        return false;
     }
 
-    const base64Update = btoa(String.fromCharCode(...new Uint8Array(update)));
+    const base64Update = encodeBase64(update);
 
     ws.send(JSON.stringify({
         type: 'yjs-update',
@@ -340,16 +403,74 @@ function sendYjsUpdate(pageId, update) {
             update: base64Update
         }
     }));
+    return true;
+}
+
+/**
+ * 현재 문서를 IndexedDB에 저장 (debounce)
+ */
+function schedulePersist() {
+    if (persistTimer) {
+        clearTimeout(persistTimer);
+    }
+    persistTimer = setTimeout(persistCurrentDoc, PERSIST_DELAY_MS);
+}
+
+/**
+ * 페이지 본문이 Yjs로 동기화되고 있는지 확인
+ * 바인딩된 편집기의 변경은 서버 문서에 직접 반영되므로 REST 저장 시 본문을 다시 보내지 않음
+ */
+export function isPageContentSynced(pageId) {
+    return isEditorBound && currentPageId === pageId;
+}
+
+/**
+ * 현재 문서를 IndexedDB에 즉시 저장
+ */
+export function persistCurrentDoc() {
+    if (persistTimer) {
+        clearTimeout(persistTimer);
+        persistTimer = null;
+    }
+
+    if (!ydoc || !currentPageId) {
+        return Promise.resolve();
+    }
+
+    return savePageDoc(currentPageId, Y.encodeStateAsUpdate(ydoc), localChangesPending);
+}
+
+/**
+ * 열려 있지 않은 페이지의 보내지 못한 변경 전송
+ * 문서 전체 상태를 보내도 서버에서 이미 있는 항목은 무시되므로 구독 없이 yjs-update로 병합
+ */
+export async function flushPendingDocs() {
+    const docs = await getDirtyPageDocs();
+
+    for (const doc of docs) {
+        if (doc.pageId === currentPageId || isOfflinePageId(doc.pageId)) {
+            continue;
+        }
+        if (!sendYjsUpdate(doc.pageId, doc.update)) {
+            return;
+        }
+        await savePageDoc(doc.pageId, doc.update, false);
+        console.log('[Sync] 오프라인 변경 전송:', doc.pageId);
+    }
 }
 
 /**
  * 초기 상태 처리
+ * - 최초 구독: 서버 상태 적용 후 에디터 바인딩 (seed이면 현재 편집기 내용으로 문서를 채움)
+ * - 재연결: 서버에만 있는 변경분을 적용하고, 서버에 없는 로컬 변경분을 되돌려 보냄
  */
 function handleInit(data) {
+    if (!ydoc) {
+        return;
+    }
+
     try {
-        // Yjs 상태 복원
-        const stateUpdate = Uint8Array.from(atob(data.state), c => c.charCodeAt(0));
-        Y.applyUpdate(ydoc, stateUpdate);
+        Y.applyUpdate(ydoc, decodeBase64(data.state), 'remote');
 
         // 사용자 정보를 awareness에 설정
         if (cursorState.awareness && data.userId && data.username && data.color) {
@@ -360,8 +481,36 @@ function handleInit(data) {
             });
         }
 
-        // Tiptap 에디터와 연결
-        setupEditorBinding();
+        if (data.isReconnect) {
+            const localUpdate = Y.encodeStateAsUpdate(ydoc, decodeBase64(data.stateVector));
+            if (sendYjsUpdate(currentPageId, localUpdate)) {
+                localChangesPending = false;
+                persistCurrentDoc();
+            }
+
+            // 저장된 문서로 시작한 경우 (새로고침 후 첫 연결)
+            if (!isEditorBound) {
+                if (yXmlFragment.length > 0) {
+                    setupEditorBinding();
+                } else {
+                    waitForSeed();
+                }
+            }
+
+            console.log('[WS] 재연결 동기화 완료');
+            return;
+        }
+
+        if (data.seed) {
+            seedFragmentFromEditor();
+        }
+
+        // Tiptap 에디터와 연결 (문서가 아직 비어 있으면 초기 내용이 들어온 뒤 연결)
+        if (yXmlFragment.length > 0) {
+            setupEditorBinding();
+        } else {
+            waitForSeed();
+        }
 
         console.log('[WS] 초기 상태 로드 완료');
     } catch (error) {
@@ -369,21 +518,88 @@ function handleInit(data) {
     }
 }
 
+/**
+ * 현재 편집기 내용(pages.content에서 불러온 HTML)으로 빈 프래그먼트 채우기
+ * 서버에 저장된 Yjs 상태가 없는 페이지에서 첫 구독자만 수행
+ */
+function seedFragmentFromEditor() {
+    if (!state.editor || !ydoc || yXmlFragment.length > 0) {
+        return;
+    }
+
+    prosemirrorToYXmlFragment(state.editor.state.doc, yXmlFragment);
+    console.log('[Sync] 편집기 내용으로 문서 초기화');
+}
+
+/**
+ * 다른 구독자가 프래그먼트를 채울 때까지 바인딩 보류
+ * (빈 프래그먼트에 바인딩하면 편집기 내용이 지워짐)
+ */
+function waitForSeed() {
+    if (pendingSeedObserver) {
+        return;
+    }
+
+    pendingSeedObserver = () => {
+        if (yXmlFragment.length === 0) {
+            return;
+        }
+        yXmlFragment.unobserveDeep(pendingSeedObserver);
+        pendingSeedObserver = null;
+        setupEditorBinding();
+    };
+    yXmlFragment.observeDeep(pendingSeedObserver);
+}
+
 /**
  * Yjs 업데이트 처리
  */
 function handleYjsUpdate(data) {
-    try {
-        const update = Uint8Array.from(atob(data.update), c => c.charCodeAt(0));
+    if (!ydoc) {
+        return;
+    }
 
-        // 원격 업데이트는 'remote' origin으로 표시
-        // yMetadata.observe()가 자동으로 에디터를 업데이트함
-        Y.applyUpdate(ydoc, update, 'remote');
+    try {
+        // 원격 업데이트는 'remote' origin으로 표시 (ySyncPlugin이 에디터에 반영)
+        Y.applyUpdate(ydoc, decodeBase64(data.update), 'remote');
     } catch (error) {
         console.error('[WS] Yjs 업데이트 처리 오류:', error);
     }
 }
 
+/**
+ * 서버 문서 재설정 처리 (버전 복원 등)
+ * 편집기에 새 내용을 표시한 뒤 빈 문서로 다시 구독하여 동기화를 새로 시작
+ */
+function handleYjsReset(data) {
+    if (data.pageId !== currentPageId) {
+        return;
+    }
+
+    const pageId = currentPageId;
+    stopPageSync();
+
+    // 이 기기에 저장된 이전 문서가 새 문서에 다시 병합되지 않도록 삭제
+    deletePageDoc(pageId);
+
+    if (state.editor) {
+        state.editor.commands.setContent(data.content || '<p></p>', { emitUpdate: false });
+    }
+
+    startPageSync(pageId, false);
+}
+
+/**
+ * 초기 내용 작성 요청 처리 (작성을 맡은 구독자가 내용을 채우기 전에 떠난 경우)
+ */
+function handleSeedRequest(data) {
+    if (data.pageId !== currentPageId || !ydoc || isEditorBound) {
+        return;
+    }
+
+    seedFragmentFromEditor();
+}
+
 /**
  * 사용자 입장 처리
  */
@@ -469,16 +685,6 @@ function subscribeUser() {
  */
 function handleMetadataChange(data) {
     try {
-        // 현재 페이지의 메타데이터 변경인 경우 Yjs 메타데이터도 업데이트
-        if (data.pageId === state.currentPageId && yMetadata) {
-            // Yjs 메타데이터에서 지원하는 필드만 업데이트
-            const supportedFields = ['title', 'icon', 'sortOrder', 'parentId'];
-            if (supportedFields.includes(data.field)) {
-                yMetadata.set(data.field, data.value);
-                console.log(`[Sync] Yjs 메타데이터 업데이트: ${data.field} = ${data.value}`);
-            }
-        }
-
         // 커버 이미지 동기화
         if (data.field === 'coverImage' && data.pageId === state.currentPageId) {
             if (data.value) {
@@ -496,6 +702,20 @@ function handleMetadataChange(data) {
             }
         }
 
+        // 태그 동기화
+        if (data.field === 'tags') {
+            applyRemotePageTags(data.pageId, data.value);
+        }
+
+        // 본문에 표시된 페이지 멘션의 제목/아이콘 갱신
+        if (data.field === 'title' || data.field === 'icon') {
+            const page = (state.pages || []).find(p => p.id === data.pageId);
+            if (page) {
+                page[data.field] = data.value;
+            }
+            refreshPageMentions(data.pageId);
+        }
+
         // 사이드바 업데이트
         updatePageInSidebar(data.pageId, data.field, data.value);
     } catch (error) {
@@ -524,6 +744,8 @@ function handlePageDeleted(data) {
     try {
         const deletedPageId = data.pageId;
 
+        deletePageDoc(deletedPageId);
+
         // state.pages 배열에서 삭제된 페이지 제거
         if (state.pages) {
             const pageIndex = state.pages.findIndex(p => p.id === deletedPageId);
@@ -567,10 +789,10 @@ function handlePageDeleted(data) {
 }
 
 /**
- * 중복 로그인 처리
+ * 원격 로그아웃 처리 (활성 세션 관리에서 이 세션을 종료한 경우)
  */
-function handleDuplicateLogin(data) {
-    alert(data.message || '다른 위치에서 로그인하여 현재 세션이 종료됩니다.');
+function handleSessionRevoked(data) {
+    alert(data.message || '다른 기기에서 이 세션을 로그아웃했습니다.');
     window.location.href = '/login';
 }
 
@@ -638,7 +860,7 @@ function showUserNotification(message, color) {
 /**
  * 정보 메시지 표시
  */
-function showInfo(message) {
+export function showInfo(message) {
     const notification = document.createElement('div');
     notification.style.cssText = `
         position: fixed;
@@ -665,10 +887,13 @@ function showInfo(message) {
 function handleOnline() {
     showInfo('네트워크 연결이 복구되었습니다.');
 
-    // WebSocket 재연결
+    // WebSocket 재연결 (열려 있는 페이지의 오프라인 편집은 재연결 동기화로 전송)
     if (!ws || ws.readyState !== WebSocket.OPEN) {
         connectWebSocket();
     }
+
+    // 오프라인에서 한 페이지 생성/이동/제목 변경 재전송
+    replayOfflineQueue();
 }
 
 /**
@@ -692,105 +917,20 @@ function handleVisibilityChange() {
 
 /**
  * Tiptap 에디터와 Yjs 바인딩 설정
+ * ySyncPlugin이 편집기 트랜잭션과 ProseMirror 프래그먼트를 양방향으로 동기화함
  */
 function setupEditorBinding() {
-    if (!state.editor || !ydoc || !yMetadata) {
+    if (!state.editor || !ydoc || !yXmlFragment) {
         console.error('[WS] 에디터 바인딩 실패: 필수 요소 없음');
         return;
     }
 
-    // 현재 에디터 콘텐츠를 Yjs에 저장
-    const currentContent = state.editor.getHTML();
-    yMetadata.set('content', currentContent);
-
-    // 보류 중인 원격 업데이트
-    let remoteUpdatePending = null;
-
-    // Tiptap 에디터 변경 시 Yjs 업데이트
-    let isUpdating = false;
-
-    // yMetadata 변경 감지 → 에디터 업데이트 (원격 변경만)
-    yMetadata.observe((event, transaction) => {
-        if (isUpdating) {
-            return;
-        }
-
-        // 로컬 변경은 무시 (에디터가 이미 최신 상태)
-        // 원격 변경(origin === 'remote')만 에디터에 적용
-        if (transaction.origin !== 'remote') {
-            return;
-        }
-
-        const content = yMetadata.get('content');
-        if (content && state.editor) {
-            const currentContent = state.editor.getHTML();
-            if (content !== currentContent) {
-                // 에디터에 포커스가 있고 최근 200ms 이내에 로컬 업데이트가 있었는지 확인
-                const editorHasFocus = state.editor.view.hasFocus();
-                const timeSinceLastUpdate = Date.now() - lastLocalUpdateTime;
-                const isRecentlyTyping = timeSinceLastUpdate < 200;
-
-                if (editorHasFocus && isRecentlyTyping) {
-                    // 사용자가 타이핑 중이면 업데이트 보류
-                    remoteUpdatePending = content;
-                } else {
-                    // 타이핑 중이 아니거나 포커스가 없으면 즉시 업데이트
-                    isUpdating = true;
-                    state.editor.commands.setContent(content, { emitUpdate: false });
-                    isUpdating = false;
-                }
-            }
-        }
-    });
-
-    state.editor.on('update', ({ editor }) => {
-        console.log('[Sync] update 이벤트 감지, isUpdating:', isUpdating);
-
-        // 원격 업데이트로 인한 변경은 무시
-        if (isUpdating) {
-            return;
-        }
-
-        // 마지막 로컬 업데이트 시간 기록
-        lastLocalUpdateTime = Date.now();
-
-        // Debounce (50ms) - 실시간 반응
-        if (updateTimeout) {
-            clearTimeout(updateTimeout);
-        }
-
-        updateTimeout = setTimeout(() => {
-            const newContent = editor.getHTML();
-            const oldContent = yMetadata.get('content');
-
-            console.log('[Sync] 동기화 체크 - 변경됨:', newContent !== oldContent);
-
-            if (newContent !== oldContent) {
-                // origin을 지정하지 않으면 로컬 업데이트로 처리됨
-                yMetadata.set('content', newContent);
-                console.log('[Sync] Yjs에 저장 완료');
-            }
-            updateTimeout = null; // 타이머 초기화
-        }, 50);
-    });
-
-    // 에디터 포커스 해제 시 보류 중인 원격 업데이트 적용
-    state.editor.on('blur', () => {
-        if (remoteUpdatePending) {
-            isUpdating = true;
-            state.editor.commands.setContent(remoteUpdatePending, { emitUpdate: false });
-            remoteUpdatePending = null;
-            isUpdating = false;
-        }
-    });
-
-    // 보류 중인 업데이트를 저장하는 함수
-    state.editor._setPendingRemoteUpdate = (content) => {
-        remoteUpdatePending = content;
-    };
+    if (isEditorBound) {
+        return;
+    }
 
-    // Yjs 원격 업데이트를 에디터에 적용할 때 사용할 플래그 저장
-    state.editor._syncIsUpdating = false;
+    state.editor.registerPlugin(ySyncPlugin(yXmlFragment));
+    isEditorBound = true;
 
     console.log('[WS] 에디터 바인딩 완료');
 
@@ -889,8 +1029,9 @@ function handleAwarenessChange({ added, updated, removed }) {
  */
 function sendAwarenessUpdate(update) {
     if (!ws || ws.readyState !== WebSocket.OPEN) return;
+    if (isOfflinePageId(currentPageId)) return;
 
-    const base64Update = btoa(String.fromCharCode(...new Uint8Array(update)));
+    const base64Update = encodeBase64(update);
 
     ws.send(JSON.stringify({
         type: 'awareness-update',
@@ -908,7 +1049,7 @@ function handleRemoteAwarenessUpdate(data) {
     if (!cursorState.awareness) return;
 
     try {
-        const update = Uint8Array.from(atob(data.awarenessUpdate), c => c.charCodeAt(0));
+        const update = decodeBase64(data.awarenessUpdate);
         applyAwarenessUpdate(cursorState.awareness, update, 'remote');
     } catch (error) {
         console.error('[WS] Awareness 업데이트 처리 오류:', error);
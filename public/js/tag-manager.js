@@ -0,0 +1,370 @@
+/**
+ * 페이지 태그 관리 모듈
+ *
+ * - 제목 아래 태그 칩 편집기 (쓰기모드에서만 추가/삭제 가능)
+ * - 사이드바 태그 브라우저 (접근 가능한 모든 컬렉션의 태그와 태그별 페이지 목록)
+ */
+
+import { secureFetch, escapeHtml } from './ui-utils.js';
+
+// 전역 상태 (app.js에서 전달받음)
+let state = {
+    currentPageId: null,
+    isWriteMode: false,
+    isTagView: false
+};
+
+// 현재 페이지 태그
+const pageTagState = {
+    pageId: null,
+    tags: [],
+    requestId: 0
+};
+
+// 사이드바 태그 브라우저 상태
+const tagBrowserState = {
+    tags: [],
+    selectedTag: null,
+    pages: [],
+    loading: false
+};
+
+/**
+ * 상태 초기화
+ */
+export function initTagManager(appState) {
+    state = appState;
+}
+
+/**
+ * 페이지 태그 불러오기 (페이지 로드 시 호출)
+ */
+export async function loadPageTags(pageId) {
+    const requestId = ++pageTagState.requestId;
+    pageTagState.pageId = pageId;
+    pageTagState.tags = [];
+    renderPageTags();
+
+    if (!pageId) return;
+
+    try {
+        const res = await fetch(`/api/pages/${encodeURIComponent(pageId)}/tags`);
+        if (!res.ok) {
+            throw new Error("HTTP " + res.status);
+        }
+
+        const data = await res.json();
+
+        // 응답 전에 다른 페이지로 이동했으면 무시
+        if (requestId !== pageTagState.requestId) return;
+
+        pageTagState.tags = Array.isArray(data.tags) ? data.tags : [];
+        renderPageTags();
+    } catch (error) {
+        console.error("페이지 태그 조회 오류:", error);
+    }
+}
+
+/**
+ * 다른 사용자가 변경한 태그 반영 (metadata-change 이벤트)
+ */
+export function applyRemotePageTags(pageId, tags) {
+    if (pageId !== pageTagState.pageId) return;
+
+    pageTagState.tags = Array.isArray(tags) ? tags : [];
+    renderPageTags();
+}
+
+/**
+ * 태그 칩 편집기 렌더링
+ * 쓰기모드가 아니면 태그가 없을 때 영역을 숨김
+ */
+export function renderPageTags() {
+    const container = document.getElementById("page-tags");
+    if (!container) return;
+
+    container.innerHTML = "";
+
+    const editable = Boolean(state.isWriteMode && pageTagState.pageId === state.currentPageId);
+    if (!pageTagState.pageId || (!pageTagState.tags.length && !editable)) {
+        container.style.display = "none";
+        return;
+    }
+
+    container.style.display = "flex";
+
+    pageTagState.tags.forEach((tag) => {
+        const chip = document.createElement("span");
+        chip.className = "page-tag-chip";
+        chip.innerHTML = `<i class="fa-solid fa-hashtag"></i><span>${escapeHtml(tag)}</span>`;
+
+        if (editable) {
+            const removeBtn = document.createElement("button");
+            removeBtn.type = "button";
+            removeBtn.className = "page-tag-remove";
+            removeBtn.title = "태그 삭제";
+            removeBtn.innerHTML = `<i class="fa-solid fa-xmark"></i>`;
+            removeBtn.addEventListener("click", () => {
+                savePageTags(pageTagState.tags.filter((t) => t !== tag));
+            });
+            chip.appendChild(removeBtn);
+        }
+
+        container.appendChild(chip);
+    });
+
+    if (editable) {
+        const input = document.createElement("input");
+        input.type = "text";
+        input.className = "page-tag-input";
+        input.placeholder = "태그 추가...";
+        input.maxLength = 50;
+
+        input.addEventListener("keydown", (event) => {
+            if (event.isComposing) return;
+
+            if (event.key === "Enter" || event.key === ",") {
+                event.preventDefault();
+                const name = input.value.replace(/^#+/, "").trim();
+                if (!name) return;
+
+                const exists = pageTagState.tags.some((t) => t.toLowerCase() === name.toLowerCase());
+                if (!exists) {
+                    savePageTags([...pageTagState.tags, name], true);
+                }
+                input.value = "";
+            } else if (event.key === "Backspace" && !input.value && pageTagState.tags.length) {
+                savePageTags(pageTagState.tags.slice(0, -1), true);
+            }
+        });
+
+        container.appendChild(input);
+    }
+}
+
+/**
+ * 태그 목록 저장 (전체 교체)
+ * @param {string[]} tags
+ * @param {boolean} refocus - 저장 후 입력창에 다시 포커스
+ */
+async function savePageTags(tags, refocus = false) {
+    const pageId = pageTagState.pageId;
+    if (!pageId) return;
+
+    try {
+        const res = await secureFetch(`/api/pages/${encodeURIComponent(pageId)}/tags`, {
+            method: "PUT",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ tags })
+        });
+
+        if (!res.ok) {
+            const errorData = await res.json().catch(() => ({}));
+            throw new Error(errorData.error || "HTTP " + res.status);
+        }
+
+        const data = await res.json();
+        if (pageId !== pageTagState.pageId) return;
+
+        pageTagState.tags = data.tags || [];
+        renderPageTags();
+
+        if (refocus) {
+            const input = document.querySelector("#page-tags .page-tag-input");
+            if (input) input.focus();
+        }
+
+        // 태그 브라우저가 열려 있으면 목록 갱신
+        if (state.isTagView) {
+            await fetchTagBrowser();
+        }
+    } catch (error) {
+        console.error("페이지 태그 저장 오류:", error);
+        alert("태그를 저장하지 못했습니다: " + error.message);
+    }
+}
+
+/**
+ * 태그 브라우저 데이터 가져오기 (태그 목록, 선택된 태그의 페이지 목록)
+ */
+export async function fetchTagBrowser() {
+    tagBrowserState.loading = true;
+
+    try {
+        const res = await fetch("/api/tags");
+        if (!res.ok) {
+            throw new Error("HTTP " + res.status + " " + res.statusText);
+        }
+
+        const data = await res.json();
+        tagBrowserState.tags = Array.isArray(data.tags) ? data.tags : [];
+
+        const selected = tagBrowserState.selectedTag;
+        if (selected && !tagBrowserState.tags.some((t) => t.name.toLowerCase() === selected.toLowerCase())) {
+            tagBrowserState.selectedTag = null;
+            tagBrowserState.pages = [];
+        }
+
+        if (tagBrowserState.selectedTag) {
+            await fetchTagPages(tagBrowserState.selectedTag);
+        }
+    } catch (error) {
+        console.error("태그 목록 요청 오류:", error);
+        alert("태그 목록을 불러오지 못했습니다: " + error.message);
+    } finally {
+        tagBrowserState.loading = false;
+        refreshTagBrowser();
+    }
+}
+
+/**
+ * 특정 태그의 페이지 목록 가져오기
+ */
+async function fetchTagPages(name) {
+    const res = await fetch(`/api/tags/${encodeURIComponent(name)}/pages`);
+    if (!res.ok) {
+        throw new Error("HTTP " + res.status + " " + res.statusText);
+    }
+
+    const data = await res.json();
+    tagBrowserState.pages = Array.isArray(data.pages) ? data.pages : [];
+}
+
+/**
+ * 태그 선택 (null이면 태그 목록으로 돌아감)
+ */
+async function selectTag(name) {
+    tagBrowserState.selectedTag = name;
+    tagBrowserState.pages = [];
+
+    if (!name) {
+        refreshTagBrowser();
+        return;
+    }
+
+    tagBrowserState.loading = true;
+    refreshTagBrowser();
+
+    try {
+        await fetchTagPages(name);
+    } catch (error) {
+        console.error("태그 페이지 목록 요청 오류:", error);
+        alert("페이지 목록을 불러오지 못했습니다: " + error.message);
+    } finally {
+        tagBrowserState.loading = false;
+        refreshTagBrowser();
+    }
+}
+
+/**
+ * 태그 브라우저가 열려 있을 때만 사이드바 목록을 다시 그림
+ */
+function refreshTagBrowser() {
+    if (!state.isTagView) return;
+
+    const listEl = document.querySelector("#collection-list");
+    if (!listEl) return;
+
+    listEl.innerHTML = "";
+    renderTagBrowser(listEl);
+}
+
+/**
+ * 태그 브라우저 렌더링 (renderPageList에서 태그 보기일 때 호출)
+ * 페이지 항목은 li.page-list-item으로 렌더링하여 기존 페이지 클릭 처리(복호화 모달 포함)를 그대로 사용
+ */
+export function renderTagBrowser(listEl) {
+    // 태그 보기에서는 드래그 앤 드롭 비활성화
+    if (listEl._sortable) {
+        listEl._sortable.destroy();
+        listEl._sortable = null;
+    }
+
+    const selected = tagBrowserState.selectedTag;
+
+    const header = document.createElement("li");
+    header.className = "tag-browser-header";
+
+    if (selected) {
+        const backBtn = document.createElement("button");
+        backBtn.type = "button";
+        backBtn.className = "tag-browser-back";
+        backBtn.title = "태그 목록";
+        backBtn.innerHTML = `<i class="fa-solid fa-arrow-left"></i>`;
+        backBtn.addEventListener("click", () => selectTag(null));
+        header.appendChild(backBtn);
+    }
+
+    const title = document.createElement("div");
+    title.className = "tag-browser-title";
+    title.innerHTML = selected
+        ? `<i class="fa-solid fa-hashtag"></i><span>${escapeHtml(selected)}</span>`
+        : `<i class="fa-solid fa-tags"></i><span>태그</span>`;
+    header.appendChild(title);
+
+    listEl.appendChild(header);
+
+    if (tagBrowserState.loading) {
+        const loading = document.createElement("li");
+        loading.className = "collection-empty";
+        loading.textContent = "불러오는 중...";
+        listEl.appendChild(loading);
+        return;
+    }
+
+    if (!selected) {
+        if (!tagBrowserState.tags.length) {
+            const empty = document.createElement("li");
+            empty.className = "collection-empty";
+            empty.textContent = "태그가 없습니다. 쓰기모드에서 제목 아래에 태그를 추가하세요.";
+            listEl.appendChild(empty);
+            return;
+        }
+
+        tagBrowserState.tags.forEach((tag) => {
+            const li = document.createElement("li");
+            li.className = "tag-browser-item";
+            li.innerHTML = `
+                <span class="tag-browser-item-name"><i class="fa-solid fa-hashtag"></i>${escapeHtml(tag.name)}</span>
+                <span class="tag-browser-item-count">${tag.pageCount}</span>
+            `;
+            li.addEventListener("click", () => selectTag(tag.name));
+            listEl.appendChild(li);
+        });
+        return;
+    }
+
+    if (!tagBrowserState.pages.length) {
+        const empty = document.createElement("li");
+        empty.className = "collection-empty";
+        empty.textContent = "이 태그가 붙은 페이지가 없습니다.";
+        listEl.appendChild(empty);
+        return;
+    }
+
+    tagBrowserState.pages.forEach((page) => {
+        const li = document.createElement("li");
+        li.className = "page-list-item tag-browser-page";
+        li.dataset.pageId = page.id;
+
+        let iconHtml = `<i class="fa-regular fa-file-lines" style="margin-right: 6px;"></i>`;
+        if (page.icon) {
+            iconHtml = page.icon.startsWith('fa-')
+                ? `<i class="${escapeHtml(page.icon)}" style="margin-right: 6px; color: #2d5f5d;"></i>`
+                : `<span style="margin-right: 6px;">${escapeHtml(page.icon)}</span>`;
+        } else if (page.isEncrypted) {
+            iconHtml = `<i class="fa-solid fa-lock" style="margin-right: 6px; color: #2d5f5d;"></i>`;
+        }
+
+        li.innerHTML = `
+            <span class="page-list-item-title">${iconHtml}${escapeHtml(page.title || "제목 없음")}</span>
+            <span class="page-list-item-date">${escapeHtml(page.collectionName || "")}</span>
+        `;
+
+        if (page.id === state.currentPageId) {
+            li.classList.add("active");
+        }
+
+        listEl.appendChild(li);
+    });
+}
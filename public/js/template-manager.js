@@ -0,0 +1,329 @@
+/**
+ * 페이지 템플릿 모듈
+ *
+ * - 새 페이지 모달 (빈 페이지 또는 템플릿 선택, {{date}}/{{time}}/{{datetime}}/{{user}} 변수는 서버에서 채움)
+ * - 페이지를 개인/컬렉션 템플릿으로 지정하거나 해제
+ */
+
+import { secureFetch, escapeHtml } from './ui-utils.js';
+import { fetchPageList, renderPageList, loadPage } from './pages-manager.js';
+import { isOffline, createPageOffline, savePageListSnapshot } from './offline-manager.js';
+
+// 전역 상태 (app.js에서 전달받음)
+let state = {
+    pages: [],
+    collections: [],
+    expandedCollections: new Set(),
+    currentCollectionId: null,
+    currentPageId: null
+};
+
+// 새 페이지 모달 상태
+const newPageState = {
+    collectionId: null,
+    templates: [],
+    selectedTemplateId: null
+};
+
+/**
+ * 상태 초기화
+ */
+export function initTemplateManager(appState) {
+    state = appState;
+}
+
+/**
+ * 새 페이지 모달 열기 (컬렉션의 "페이지 추가" 버튼)
+ */
+export async function openNewPageModal(collectionId) {
+    const modal = document.getElementById("new-page-modal");
+    if (!modal) return;
+
+    newPageState.collectionId = collectionId;
+    newPageState.templates = [];
+    newPageState.selectedTemplateId = null;
+
+    const titleInput = document.getElementById("new-page-title-input");
+    if (titleInput) {
+        titleInput.value = "";
+        titleInput.placeholder = "새 페이지";
+    }
+
+    setNewPageError("");
+    renderTemplateList(true);
+    modal.classList.remove("hidden");
+    if (titleInput) titleInput.focus();
+
+    try {
+        const res = await fetch(`/api/pages/templates?collectionId=${encodeURIComponent(collectionId)}`);
+        if (!res.ok) {
+            throw new Error("HTTP " + res.status);
+        }
+
+        const data = await res.json();
+
+        // 응답 전에 모달을 닫았거나 다른 컬렉션으로 다시 열었으면 무시
+        if (newPageState.collectionId !== collectionId) return;
+
+        newPageState.templates = Array.isArray(data.templates) ? data.templates : [];
+    } catch (error) {
+        console.error("템플릿 목록 조회 오류:", error);
+    }
+
+    renderTemplateList(false);
+}
+
+/**
+ * 새 페이지 모달 닫기
+ */
+function closeNewPageModal() {
+    const modal = document.getElementById("new-page-modal");
+    if (modal) {
+        modal.classList.add("hidden");
+    }
+
+    newPageState.collectionId = null;
+    newPageState.templates = [];
+    newPageState.selectedTemplateId = null;
+    setNewPageError("");
+}
+
+function setNewPageError(message) {
+    const errorEl = document.getElementById("new-page-error");
+    if (errorEl) {
+        errorEl.textContent = message;
+    }
+}
+
+/**
+ * 템플릿 목록 렌더링 (첫 항목은 항상 "빈 페이지")
+ */
+function renderTemplateList(loading) {
+    const listEl = document.getElementById("new-page-template-list");
+    if (!listEl) return;
+
+    listEl.innerHTML = "";
+
+    const items = [{ id: null, title: "빈 페이지", icon: "fa-regular fa-file", scope: null }]
+        .concat(newPageState.templates);
+
+    items.forEach((template) => {
+        const li = document.createElement("li");
+        li.className = "template-picker-item";
+        li.dataset.templateId = template.id || "";
+        li.classList.toggle("active", template.id === newPageState.selectedTemplateId);
+
+        let iconHtml = `<i class="fa-regular fa-clone"></i>`;
+        if (template.icon) {
+            iconHtml = template.icon.startsWith('fa-')
+                ? `<i class="${escapeHtml(template.icon)}"></i>`
+                : escapeHtml(template.icon);
+        }
+
+        let desc = "내용 없이 시작";
+        if (template.scope) {
+            desc = template.scope === "COLLECTION"
+                ? `컬렉션 템플릿 · ${template.collectionName || ""}`
+                : "내 템플릿";
+            if (template.childCount > 0) {
+                desc += ` · 하위 페이지 ${template.childCount}개`;
+            }
+        }
+
+        li.innerHTML = `
+            <span class="template-picker-icon">${iconHtml}</span>
+            <span class="template-picker-main">
+                <span class="template-picker-title">${escapeHtml(template.title)}</span>
+                <span class="template-picker-desc">${escapeHtml(desc)}</span>
+            </span>
+        `;
+
+        listEl.appendChild(li);
+    });
+
+    if (loading) {
+        const loadingEl = document.createElement("li");
+        loadingEl.className = "template-picker-empty";
+        loadingEl.textContent = "템플릿 불러오는 중...";
+        listEl.appendChild(loadingEl);
+    } else if (!newPageState.templates.length) {
+        const emptyEl = document.createElement("li");
+        emptyEl.className = "template-picker-empty";
+        emptyEl.textContent = "템플릿이 없습니다. 페이지 메뉴에서 템플릿으로 지정할 수 있습니다.";
+        listEl.appendChild(emptyEl);
+    }
+}
+
+/**
+ * 템플릿 선택 (제목을 비워 두면 템플릿 제목이 사용됨)
+ */
+function selectTemplate(templateId) {
+    newPageState.selectedTemplateId = templateId || null;
+
+    const template = newPageState.templates.find((t) => t.id === newPageState.selectedTemplateId);
+    const titleInput = document.getElementById("new-page-title-input");
+    if (titleInput) {
+        titleInput.placeholder = template ? template.title : "새 페이지";
+    }
+
+    document.querySelectorAll("#new-page-template-list .template-picker-item").forEach((li) => {
+        li.classList.toggle("active", (li.dataset.templateId || null) === newPageState.selectedTemplateId);
+    });
+}
+
+/**
+ * 새 페이지 생성
+ */
+async function createNewPage(event) {
+    event.preventDefault();
+
+    const colId = newPageState.collectionId;
+    if (!colId) return;
+
+    const templateId = newPageState.selectedTemplateId;
+    const titleInput = document.getElementById("new-page-title-input");
+    const typedTitle = titleInput ? titleInput.value.trim() : "";
+    const submitBtn = event.target.querySelector('button[type="submit"]');
+
+    const body = {
+        parentId: null,
+        collectionId: colId
+    };
+    if (templateId) {
+        body.templateId = templateId;
+        if (typedTitle) body.title = typedTitle;
+    } else {
+        body.title = typedTitle || "새 페이지";
+        body.content = "<p></p>";
+    }
+
+    if (submitBtn) submitBtn.disabled = true;
+
+    try {
+        // 오프라인: 임시 페이지로 만들고 온라인 복구 시 서버에 생성
+        if (isOffline()) {
+            if (templateId) {
+                throw new Error("오프라인 상태에서는 템플릿으로 만들 수 없습니다.");
+            }
+
+            const page = await createPageOffline({ collectionId: colId, title: body.title });
+            closeNewPageModal();
+
+            state.expandedCollections.add(colId);
+            state.pages.unshift(page);
+            await savePageListSnapshot();
+
+            state.currentCollectionId = colId;
+            state.currentPageId = page.id;
+            renderPageList();
+            await loadPage(page.id);
+            return;
+        }
+
+        const res = await secureFetch("/api/pages", {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(body)
+        });
+
+        if (!res.ok) {
+            const errorData = await res.json().catch(() => ({}));
+            throw new Error(errorData.error || "HTTP " + res.status + " " + res.statusText);
+        }
+
+        const page = await res.json();
+        closeNewPageModal();
+
+        state.expandedCollections.add(colId);
+
+        if (templateId) {
+            // 하위 페이지까지 복제되므로 목록 전체를 다시 불러옴
+            await fetchPageList();
+        } else {
+            state.pages.unshift({
+                id: page.id,
+                title: page.title,
+                updatedAt: page.updatedAt,
+                parentId: page.parentId || null,
+                collectionId: page.collectionId || colId,
+                sortOrder: typeof page.sortOrder === "number" ? page.sortOrder : 0
+            });
+        }
+
+        state.currentCollectionId = colId;
+        state.currentPageId = page.id;
+        renderPageList();
+        await loadPage(page.id);
+    } catch (error) {
+        console.error("페이지 생성 오류:", error);
+        setNewPageError("페이지를 생성하지 못했습니다: " + error.message);
+    } finally {
+        if (submitBtn) submitBtn.disabled = false;
+    }
+}
+
+/**
+ * 페이지를 템플릿으로 지정하거나 해제 (페이지 메뉴)
+ * @param {'USER'|'COLLECTION'|null} scope - null이면 해제
+ */
+export async function setPageTemplate(pageId, scope) {
+    try {
+        const res = await secureFetch(`/api/pages/${encodeURIComponent(pageId)}/template`, {
+            method: "PUT",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ scope })
+        });
+
+        if (!res.ok) {
+            const errorData = await res.json().catch(() => ({}));
+            throw new Error(errorData.error || "HTTP " + res.status);
+        }
+
+        const data = await res.json();
+        const page = state.pages.find((p) => p.id === pageId);
+        if (page) {
+            page.templateScope = data.templateScope || null;
+        }
+        renderPageList();
+    } catch (error) {
+        console.error("템플릿 설정 오류:", error);
+        alert("템플릿 설정에 실패했습니다: " + error.message);
+    }
+}
+
+/**
+ * 새 페이지 모달 이벤트 바인딩
+ */
+export function bindNewPageModal() {
+    const form = document.getElementById("new-page-form");
+    if (form) {
+        form.addEventListener("submit", createNewPage);
+    }
+
+    const listEl = document.getElementById("new-page-template-list");
+    if (listEl) {
+        listEl.addEventListener("click", (event) => {
+            const item = event.target.closest(".template-picker-item");
+            if (!item) return;
+            selectTemplate(item.dataset.templateId);
+        });
+    }
+
+    const closeBtn = document.getElementById("close-new-page-btn");
+    if (closeBtn) {
+        closeBtn.addEventListener("click", closeNewPageModal);
+    }
+
+    const cancelBtn = document.getElementById("cancel-new-page-btn");
+    if (cancelBtn) {
+        cancelBtn.addEventListener("click", closeNewPageModal);
+    }
+
+    const modal = document.getElementById("new-page-modal");
+    if (modal) {
+        const overlay = modal.querySelector(".modal-overlay");
+        if (overlay) {
+            overlay.addEventListener("click", closeNewPageModal);
+        }
+    }
+}
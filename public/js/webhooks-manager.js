@@ -0,0 +1,453 @@
+/**
+ * 웹훅 관리 모듈
+ * 컬렉션 이벤트를 외부 서비스로 보내는 웹훅을 등록하고 전송 기록을 확인합니다.
+ */
+
+import { secureFetch, escapeHtml } from './ui-utils.js';
+import { formatDateTime } from './login-logs-manager.js';
+
+const DELIVERIES_PER_PAGE = 20;
+
+const WEBHOOK_EVENT_LABELS = {
+    'page.created': '페이지 생성',
+    'page.updated': '페이지 수정',
+    'page.deleted': '페이지 삭제',
+    'page.published': '페이지 발행',
+    'page.unpublished': '페이지 발행 취소',
+    'share.changed': '공유 변경',
+    'comment.added': '댓글 작성',
+    'ping': '테스트'
+};
+
+const DELIVERY_STATUS_LABELS = {
+    pending: { text: '대기', className: '' },
+    sending: { text: '전송 중', className: '' },
+    success: { text: '성공', className: 'active' },
+    failed: { text: '실패', className: 'disabled' }
+};
+
+let currentCollectionId = null;
+let currentWebhookId = null;
+let currentDeliveriesPage = 1;
+
+/**
+ * 응답 JSON 파싱 (실패 시 서버 오류 메시지로 예외)
+ */
+async function parseResponse(response) {
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+        throw new Error(data.error || 'HTTP ' + response.status);
+    }
+
+    return data;
+}
+
+function renderStatusBadge(status) {
+    const label = DELIVERY_STATUS_LABELS[status];
+    if (!label) {
+        return '<span style="color: #9ca3af;">-</span>';
+    }
+    return `<span class="admin-badge ${label.className}">${label.text}</span>`;
+}
+
+/**
+ * 구독 이벤트 체크박스 렌더링
+ */
+function renderEventOptions(events) {
+    const container = document.getElementById('webhook-events');
+
+    container.innerHTML = events.map(event => `
+        <label class="admin-checkbox">
+            <input type="checkbox" value="${escapeHtml(event)}" checked>
+            ${escapeHtml(WEBHOOK_EVENT_LABELS[event] || event)}
+        </label>
+    `).join('');
+}
+
+/**
+ * 웹훅 목록 로드
+ */
+async function loadWebhooks() {
+    const tbody = document.getElementById('webhooks-table-body');
+
+    try {
+        const response = await fetch(`/api/webhooks?collectionId=${encodeURIComponent(currentCollectionId)}`, {
+            method: 'GET',
+            credentials: 'include'
+        });
+        const data = await parseResponse(response);
+
+        if (!document.querySelector('#webhook-events input')) {
+            renderEventOptions(data.events);
+        }
+        renderWebhooksTable(data.webhooks);
+    } catch (error) {
+        console.error('웹훅 목록 로드 오류:', error);
+        tbody.innerHTML = '<tr><td colspan="5" class="admin-table-empty">웹훅 목록을 불러오는 중 오류가 발생했습니다.</td></tr>';
+    }
+}
+
+/**
+ * 웹훅 테이블 렌더링
+ */
+function renderWebhooksTable(webhooks) {
+    const tbody = document.getElementById('webhooks-table-body');
+
+    if (!webhooks || webhooks.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="5" class="admin-table-empty">등록된 웹훅이 없습니다.</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = webhooks.map(webhook => {
+        const events = webhook.events.map(event => WEBHOOK_EVENT_LABELS[event] || event).join(', ');
+        const lastDelivery = webhook.lastAttemptAt
+            ? `${renderStatusBadge(webhook.lastStatus)} ${formatDateTime(webhook.lastAttemptAt)}`
+            : '전송 기록 없음';
+
+        return `
+            <tr>
+                <td title="${escapeHtml(webhook.url)}" style="max-width: 240px; overflow: hidden; text-overflow: ellipsis;">
+                    ${escapeHtml(webhook.url)}
+                    ${webhook.isActive ? '' : ' <span class="admin-badge disabled">비활성</span>'}
+                </td>
+                <td title="${escapeHtml(events)}">${escapeHtml(events)}</td>
+                <td>${lastDelivery}</td>
+                <td>${formatDateTime(webhook.createdAt)}</td>
+                <td>
+                    <div class="admin-actions">
+                        <button class="admin-action-btn" data-webhook-action="deliveries" data-webhook-id="${webhook.id}">전송 기록</button>
+                        <button class="admin-action-btn" data-webhook-action="test" data-webhook-id="${webhook.id}" ${webhook.isActive ? '' : 'disabled'}>테스트</button>
+                        <button class="admin-action-btn" data-webhook-action="${webhook.isActive ? 'disable' : 'enable'}" data-webhook-id="${webhook.id}">${webhook.isActive ? '비활성화' : '활성화'}</button>
+                        <button class="admin-action-btn" data-webhook-action="rotate-secret" data-webhook-id="${webhook.id}">비밀키 재발급</button>
+                        <button class="admin-action-btn danger" data-webhook-action="delete" data-webhook-id="${webhook.id}">삭제</button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * 발급된 비밀키 표시 (이번 한 번만 확인 가능)
+ */
+function showWebhookSecret(secret) {
+    document.getElementById('webhook-secret-value').textContent = secret;
+    document.getElementById('webhook-secret').style.display = 'block';
+}
+
+function hideWebhookSecret() {
+    document.getElementById('webhook-secret').style.display = 'none';
+    document.getElementById('webhook-secret-value').textContent = '';
+}
+
+/**
+ * 웹훅 등록
+ */
+async function createWebhook(e) {
+    e.preventDefault();
+
+    const urlInput = document.getElementById('webhook-url');
+    const events = Array.from(
+        document.querySelectorAll('#webhook-events input[type="checkbox"]:checked')
+    ).map(input => input.value);
+
+    if (events.length === 0) {
+        alert('구독할 이벤트를 하나 이상 선택해 주세요.');
+        return;
+    }
+
+    try {
+        const response = await secureFetch('/api/webhooks', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({
+                collectionId: currentCollectionId,
+                url: urlInput.value,
+                events
+            })
+        });
+        const data = await parseResponse(response);
+
+        showWebhookSecret(data.secret);
+        urlInput.value = '';
+        await loadWebhooks();
+    } catch (error) {
+        console.error('웹훅 등록 오류:', error);
+        alert('웹훅 등록 실패: ' + error.message);
+    }
+}
+
+/**
+ * 웹훅 목록의 버튼 동작 처리
+ */
+async function handleWebhookAction(action, webhookId, button) {
+    if (action === 'deliveries') {
+        currentWebhookId = webhookId;
+        document.getElementById('webhook-deliveries-section').style.display = 'block';
+        await loadDeliveries(1);
+        return;
+    }
+
+    if (action === 'delete' &&
+        !confirm('이 웹훅을 삭제하시겠습니까?\n대기 중인 전송과 전송 기록도 함께 삭제됩니다.')) {
+        return;
+    }
+
+    if (action === 'rotate-secret' &&
+        !confirm('비밀키를 재발급하시겠습니까?\n이전 비밀키로는 더 이상 서명을 검증할 수 없습니다.')) {
+        return;
+    }
+
+    const requests = {
+        test: { url: `/api/webhooks/${webhookId}/test`, method: 'POST' },
+        enable: { url: `/api/webhooks/${webhookId}`, method: 'PUT', body: { isActive: true } },
+        disable: { url: `/api/webhooks/${webhookId}`, method: 'PUT', body: { isActive: false } },
+        'rotate-secret': { url: `/api/webhooks/${webhookId}/secret`, method: 'POST' },
+        delete: { url: `/api/webhooks/${webhookId}`, method: 'DELETE' }
+    };
+    const request = requests[action];
+    if (!request) {
+        return;
+    }
+
+    button.disabled = true;
+
+    try {
+        const response = await secureFetch(request.url, {
+            method: request.method,
+            headers: request.body ? { 'Content-Type': 'application/json' } : undefined,
+            credentials: 'include',
+            body: request.body ? JSON.stringify(request.body) : undefined
+        });
+        const data = await parseResponse(response);
+
+        if (action === 'rotate-secret') {
+            showWebhookSecret(data.secret);
+        }
+
+        if (action === 'test') {
+            alert('테스트 이벤트를 전송 대기열에 추가했습니다. 결과는 전송 기록에서 확인하세요.');
+        }
+
+        if (action === 'delete' && String(currentWebhookId) === String(webhookId)) {
+            currentWebhookId = null;
+            document.getElementById('webhook-deliveries-section').style.display = 'none';
+        }
+
+        await loadWebhooks();
+        if (currentWebhookId && String(currentWebhookId) === String(webhookId)) {
+            await loadDeliveries(currentDeliveriesPage);
+        }
+    } catch (error) {
+        console.error('웹훅 작업 오류:', error);
+        alert('작업 실패: ' + error.message);
+        button.disabled = false;
+    }
+}
+
+/**
+ * 전송 기록 로드
+ */
+async function loadDeliveries(page = 1) {
+    const tbody = document.getElementById('webhook-deliveries-table-body');
+    currentDeliveriesPage = page;
+
+    try {
+        const offset = (page - 1) * DELIVERIES_PER_PAGE;
+        const response = await fetch(`/api/webhooks/${encodeURIComponent(currentWebhookId)}/deliveries?limit=${DELIVERIES_PER_PAGE}&offset=${offset}`, {
+            method: 'GET',
+            credentials: 'include'
+        });
+        const data = await parseResponse(response);
+        renderDeliveriesTable(data.deliveries);
+        renderDeliveriesPagination(data.total, page);
+    } catch (error) {
+        console.error('웹훅 전송 기록 로드 오류:', error);
+        tbody.innerHTML = '<tr><td colspan="6" class="admin-table-empty">전송 기록을 불러오는 중 오류가 발생했습니다.</td></tr>';
+    }
+}
+
+/**
+ * 전송 기록 테이블 렌더링
+ */
+function renderDeliveriesTable(deliveries) {
+    const tbody = document.getElementById('webhook-deliveries-table-body');
+
+    if (!deliveries || deliveries.length === 0) {
+        tbody.innerHTML = '<tr><td colspan="6" class="admin-table-empty">전송 기록이 없습니다.</td></tr>';
+        return;
+    }
+
+    tbody.innerHTML = deliveries.map(delivery => {
+        const result = delivery.errorMessage
+            ? escapeHtml(delivery.errorMessage)
+            : (delivery.responseStatus ? `HTTP ${delivery.responseStatus}` : '-');
+        const nextAttempt = delivery.status === 'pending' && delivery.nextAttemptAt
+            ? `<div style="font-size: 12px; color: #9ca3af;">다음 시도: ${formatDateTime(delivery.nextAttemptAt)}</div>`
+            : '';
+
+        return `
+            <tr>
+                <td>${formatDateTime(delivery.createdAt)}</td>
+                <td>${escapeHtml(WEBHOOK_EVENT_LABELS[delivery.eventType] || delivery.eventType)}</td>
+                <td>${renderStatusBadge(delivery.status)}${nextAttempt}</td>
+                <td>${delivery.attemptCount}</td>
+                <td title="${escapeHtml(delivery.responseBody || '')}">${result}</td>
+                <td>
+                    <div class="admin-actions">
+                        <button class="admin-action-btn" data-delivery-id="${delivery.id}" ${delivery.status === 'sending' ? 'disabled' : ''}>재전송</button>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }).join('');
+}
+
+/**
+ * 전송 기록 페이지네이션 렌더링
+ */
+function renderDeliveriesPagination(total, page) {
+    const pagination = document.getElementById('webhook-deliveries-pagination');
+    const totalPages = Math.ceil(total / DELIVERIES_PER_PAGE);
+
+    if (totalPages <= 1) {
+        pagination.innerHTML = '';
+        return;
+    }
+
+    pagination.innerHTML = `
+        <button class="pagination-btn" data-page="${page - 1}" ${page <= 1 ? 'disabled' : ''}>
+            <i class="fa-solid fa-chevron-left"></i>
+        </button>
+        <span style="padding: 0 8px; color: #6b7280;">${page} / ${totalPages}</span>
+        <button class="pagination-btn" data-page="${page + 1}" ${page >= totalPages ? 'disabled' : ''}>
+            <i class="fa-solid fa-chevron-right"></i>
+        </button>
+    `;
+}
+
+/**
+ * 재전송
+ */
+async function redeliver(deliveryId, button) {
+    button.disabled = true;
+
+    try {
+        const response = await secureFetch(`/api/webhooks/deliveries/${encodeURIComponent(deliveryId)}/redeliver`, {
+            method: 'POST',
+            credentials: 'include'
+        });
+        await parseResponse(response);
+        await loadDeliveries(currentDeliveriesPage);
+    } catch (error) {
+        console.error('웹훅 재전송 오류:', error);
+        alert('재전송 실패: ' + error.message);
+        button.disabled = false;
+    }
+}
+
+/**
+ * 비밀키 복사
+ */
+async function copyWebhookSecret() {
+    const secret = document.getElementById('webhook-secret-value').textContent;
+
+    try {
+        await navigator.clipboard.writeText(secret);
+        alert('비밀키를 복사했습니다.');
+    } catch (error) {
+        prompt('비밀키를 복사하세요.', secret);
+    }
+}
+
+/**
+ * 웹훅 모달 열기
+ * @param {string} collectionId - 웹훅을 관리할 컬렉션 (소유자만)
+ */
+export function openWebhooksModal(collectionId) {
+    const modal = document.getElementById('webhooks-modal');
+    currentCollectionId = collectionId;
+    currentWebhookId = null;
+
+    document.getElementById('webhook-events').innerHTML = '';
+    document.getElementById('webhook-deliveries-section').style.display = 'none';
+    hideWebhookSecret();
+    modal.style.display = 'flex';
+
+    loadWebhooks();
+}
+
+/**
+ * 웹훅 모달 닫기 (발급된 비밀키도 화면에서 제거)
+ */
+function closeWebhooksModal() {
+    const modal = document.getElementById('webhooks-modal');
+    modal.style.display = 'none';
+
+    hideWebhookSecret();
+    currentCollectionId = null;
+    currentWebhookId = null;
+}
+
+/**
+ * 이벤트 바인딩
+ */
+export function bindWebhooksModal() {
+    const closeBtn = document.getElementById('close-webhooks-btn');
+    const createForm = document.getElementById('webhook-create-form');
+    const copyBtn = document.getElementById('copy-webhook-secret-btn');
+    const webhooksBody = document.getElementById('webhooks-table-body');
+    const deliveriesBody = document.getElementById('webhook-deliveries-table-body');
+    const pagination = document.getElementById('webhook-deliveries-pagination');
+    const modal = document.getElementById('webhooks-modal');
+
+    if (closeBtn) {
+        closeBtn.addEventListener('click', closeWebhooksModal);
+    }
+
+    if (createForm) {
+        createForm.addEventListener('submit', createWebhook);
+    }
+
+    if (copyBtn) {
+        copyBtn.addEventListener('click', copyWebhookSecret);
+    }
+
+    if (webhooksBody) {
+        webhooksBody.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-webhook-action]');
+            if (button && !button.disabled) {
+                handleWebhookAction(button.dataset.webhookAction, button.dataset.webhookId, button);
+            }
+        });
+    }
+
+    if (deliveriesBody) {
+        deliveriesBody.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-delivery-id]');
+            if (button && !button.disabled) {
+                redeliver(button.dataset.deliveryId, button);
+            }
+        });
+    }
+
+    if (pagination) {
+        pagination.addEventListener('click', (e) => {
+            const button = e.target.closest('.pagination-btn');
+            if (button && !button.disabled) {
+                loadDeliveries(Number(button.dataset.page) || currentDeliveriesPage);
+            }
+        });
+    }
+
+    // 모달 외부 클릭 시 닫기
+    if (modal) {
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                closeWebhooksModal();
+            }
+        });
+    }
+}
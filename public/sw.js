@@ -0,0 +1,163 @@
+/**
+ * NTEOK 서비스 워커
+ *
+ * 앱을 설치(홈 화면에 추가)하거나 오프라인에서 새로고침할 수 있도록 앱 화면과 정적 자산을 캐시함.
+ * - 설치 시: 앱 화면(/), CSS, public/js 모듈, 아이콘/매니페스트, public/vendor 라이브러리(Tiptap, Yjs, KaTeX, Font Awesome 등) 미리 캐시
+ * - 화면과 같은 출처의 정적 파일: 네트워크 우선, 실패 시 캐시 (배포 직후 새 파일을 바로 사용)
+ * - 다른 출처 요청과 API 요청은 가로채지 않음 (페이지 목록/본문은 offline-store.js가 IndexedDB에 보관)
+ *
+ * public/js에 모듈을 추가하거나 public/vendor를 다시 빌드하면 APP_SHELL도 맞추고 CACHE_NAME 버전을 올릴 것.
+ */
+
+const CACHE_NAME = 'nteok-shell-v6';
+
+const APP_SHELL = [
+    '/',
+    '/css/main.css',
+    '/icon.png',
+    '/manifest.webmanifest',
+    '/js/account-manager.js',
+    '/js/admin-manager.js',
+    '/js/api-tokens-manager.js',
+    '/js/app.js',
+    '/js/backlinks-manager.js',
+    '/js/bookmark-node.js',
+    '/js/callout-node.js',
+    '/js/comment-mark.js',
+    '/js/comments-manager.js',
+    '/js/cover-manager.js',
+    '/js/crypto.js',
+    '/js/csrf-utils.js',
+    '/js/editor.js',
+    '/js/encryption-manager.js',
+    '/js/image-with-caption-node.js',
+    '/js/login-logs-manager.js',
+    '/js/markdown-manager.js',
+    '/js/math-node.js',
+    '/js/notifications-manager.js',
+    '/js/offline-manager.js',
+    '/js/offline-store.js',
+    '/js/page-mention-node.js',
+    '/js/pages-manager.js',
+    '/js/passkey-manager.js',
+    '/js/publish-manager.js',
+    '/js/revision-manager.js',
+    '/js/search-index-manager.js',
+    '/js/security-events-manager.js',
+    '/js/sessions-manager.js',
+    '/js/settings-manager.js',
+    '/js/share-manager.js',
+    '/js/sync-manager.js',
+    '/js/tag-manager.js',
+    '/js/template-manager.js',
+    '/js/totp-manager.js',
+    '/js/ui-utils.js',
+    '/js/webhooks-manager.js',
+    // public/vendor (청크 파일명은 빌드마다 바뀜, KaTeX 글꼴은 처음 사용할 때 캐시)
+    '/vendor/tiptap@2.0.0-beta.209/tiptap.min.js',
+    '/vendor/katex@0.16.9/katex.min.js',
+    '/vendor/katex@0.16.9/katex.min.css',
+    '/vendor/sortablejs@1.15.0/Sortable.min.js',
+    '/vendor/fontawesome-free@6.5.0/css/all.min.css',
+    '/vendor/fontawesome-free@6.5.0/webfonts/fa-brands-400.woff2',
+    '/vendor/fontawesome-free@6.5.0/webfonts/fa-regular-400.woff2',
+    '/vendor/fontawesome-free@6.5.0/webfonts/fa-solid-900.woff2',
+    '/vendor/modules/yjs@13.6.18.js',
+    '/vendor/modules/y-protocols@1.0.6/awareness.js',
+    '/vendor/modules/y-prosemirror@1.2.12.js',
+    '/vendor/modules/@simplewebauthn/browser@10.0.0.js',
+    '/vendor/modules/@tiptap/extension-text-align@2.0.0-beta.209.js',
+    '/vendor/modules/@tiptap/extension-color@2.0.0-beta.209.js',
+    '/vendor/modules/@tiptap/extension-text-style@2.0.0-beta.209.js',
+    '/vendor/modules/@tiptap/extension-font-family@2.0.0-beta.209.js',
+    '/vendor/modules/@tiptap/extension-task-list@2.0.0-beta.209.js',
+    '/vendor/modules/@tiptap/extension-task-item@2.0.0-beta.209.js',
+    '/vendor/modules/@tiptap/extension-table@2.0.0-beta.209.js',
+    '/vendor/modules/@tiptap/extension-table-row@2.0.0-beta.209.js',
+    '/vendor/modules/@tiptap/extension-table-header@2.0.0-beta.209.js',
+    '/vendor/modules/@tiptap/extension-table-cell@2.0.0-beta.209.js',
+    '/vendor/modules/chunks/chunk-6XNWLH65.js',
+    '/vendor/modules/chunks/chunk-BWKT24GY.js',
+    '/vendor/modules/chunks/chunk-DHWNXFW7.js',
+    '/vendor/modules/chunks/chunk-IHRIUEAN.js',
+    '/vendor/modules/chunks/chunk-M6KOVZFE.js',
+    '/vendor/modules/chunks/chunk-MCLGQMCL.js'
+];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(precache().then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    // 이전 버전 캐시 정리
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+
+    if (url.origin === self.location.origin) {
+        // API, 웹소켓, 사용자 파일(커버/이미지)은 캐시하지 않음
+        if (url.pathname.startsWith('/api/') || url.pathname.startsWith('/ws') ||
+            url.pathname.startsWith('/covers/') || url.pathname.startsWith('/imgs/')) {
+            return;
+        }
+
+        // 메인 화면만 오프라인 대상 (로그인/공유 페이지는 제외)
+        if (request.mode === 'navigate' && url.pathname !== '/') {
+            return;
+        }
+
+        event.respondWith(networkFirst(request));
+    }
+});
+
+/**
+ * 앱 화면 미리 캐시
+ * 일부가 실패해도 설치는 계속함 (로그인 세션이 만료되어 /가 로그인 페이지로 리다이렉트된 경우 등)
+ */
+async function precache() {
+    const cache = await caches.open(CACHE_NAME);
+
+    await Promise.all(APP_SHELL.map(async (url) => {
+        try {
+            const response = await fetch(url, { cache: 'no-cache' });
+            if (response.ok && !response.redirected) {
+                await cache.put(url, response);
+            }
+        } catch (error) {
+            console.warn('[SW] 미리 캐시 실패:', url, error);
+        }
+    }));
+}
+
+/**
+ * 네트워크 우선 (성공한 응답은 캐시 갱신)
+ * 로그인 페이지로 리다이렉트된 응답은 캐시하지 않음
+ */
+async function networkFirst(request) {
+    const cache = await caches.open(CACHE_NAME);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok && !response.redirected) {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: request.mode === 'navigate' });
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
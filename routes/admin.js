@@ -0,0 +1,1001 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * Admin Routes
+ *
+ * 이 파일은 관리자 전용 라우트를 처리합니다.
+ * - 사용자 목록 조회, 생성, 삭제
+ * - 계정 비활성화/활성화, 관리자 권한 부여/해제
+ * - 비밀번호 강제 재설정, 일회용 비밀번호 재설정 링크 발급, 2단계 인증(TOTP, 패스키) 해제
+ * - 회원가입 모드 설정, 초대 코드 관리, 가입 승인 대기열 처리
+ * - 관리자 작업 기록(감사 로그) 조회
+ * - 전체 보안 감사 이벤트 조회 및 해시 체인 검증
+ *
+ * 모든 변경 작업은 admin_audit_logs에 기록되며,
+ * 대상 계정의 보안에 영향을 주는 작업은 audit_events에도 기록됩니다.
+ */
+
+module.exports = (dependencies) => {
+    const {
+        pool,
+        bcrypt,
+        crypto,
+        authMiddleware,
+        adminMiddleware,
+        formatDateForDb,
+        toIsoString,
+        validatePasswordStrength,
+        createCollection,
+        destroyUserSessions,
+        getRegistrationMode,
+        setRegistrationMode,
+        recordAuditEvent,
+        verifyAuditEventChain,
+        logError,
+        mailer,
+        BASE_URL,
+        BCRYPT_SALT_ROUNDS,
+        PASSWORD_RESET_LINK_TTL_HOURS,
+        REGISTRATION_MODES
+    } = dependencies;
+
+    // 모든 라우트에 관리자 권한 필요
+    router.use(authMiddleware, adminMiddleware);
+
+    /**
+     * 관리자 작업 기록
+     * @param {Object} req - 요청 (관리자 정보, IP)
+     * @param {string} action - 작업 종류 (user.create, user.disable 등)
+     * @param {{id: number, username: string}|null} target - 대상 사용자
+     * @param {Object} [details] - 부가 정보
+     */
+    async function recordAdminAction(req, action, target, details = null, connection = pool) {
+        await connection.execute(
+            `INSERT INTO admin_audit_logs
+             (admin_user_id, admin_username, action, target_user_id, target_username, details, ip_address, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                req.user.id,
+                req.user.username,
+                action,
+                target ? target.id : null,
+                target ? target.username : null,
+                details ? JSON.stringify(details) : null,
+                req.ip || null,
+                formatDateForDb(new Date())
+            ]
+        );
+    }
+
+    /**
+     * 사용자 ID 파라미터로 대상 사용자 조회
+     */
+    async function findTargetUser(idParam) {
+        const userId = Number(idParam);
+        if (!Number.isInteger(userId) || userId <= 0) {
+            return null;
+        }
+
+        const [rows] = await pool.execute(
+            `SELECT id, username, is_admin, is_disabled, totp_enabled, passkey_enabled
+             FROM users WHERE id = ?`,
+            [userId]
+        );
+        return rows[0] || null;
+    }
+
+    /**
+     * 대상 사용자를 제외한 활성 관리자 수 (마지막 관리자 보호용)
+     */
+    async function countOtherActiveAdmins(userId) {
+        const [rows] = await pool.execute(
+            `SELECT COUNT(*) AS cnt FROM users WHERE is_admin = 1 AND is_disabled = 0 AND id != ?`,
+            [userId]
+        );
+        return rows[0].cnt;
+    }
+
+    /**
+     * 임시 비밀번호 생성 (validatePasswordStrength 조건 충족)
+     */
+    function generateTemporaryPassword() {
+        const random = crypto.randomBytes(12).toString("base64").replace(/[+/=]/g, "");
+        return `${random}-Aa1`;
+    }
+
+    /**
+     * 사용자 목록 조회
+     * GET /api/admin/users
+     */
+    router.get("/users", async (req, res) => {
+        try {
+            const nowStr = formatDateForDb(new Date());
+            const [rows] = await pool.execute(
+                `SELECT u.id, u.username, u.is_admin, u.is_disabled, u.totp_enabled, u.passkey_enabled, u.created_at,
+                        (SELECT MAX(l.created_at) FROM login_logs l WHERE l.user_id = u.id AND l.success = 1) AS last_login_at,
+                        (SELECT COUNT(*) FROM sessions s
+                         WHERE s.user_id = u.id AND s.is_pending = 0
+                           AND s.expires_at > ? AND s.absolute_expires_at > ?) AS session_count,
+                        (SELECT COUNT(*) FROM pages p WHERE p.user_id = u.id AND p.deleted_at IS NULL) AS page_count
+                 FROM users u
+                 ORDER BY u.id ASC`,
+                [nowStr, nowStr]
+            );
+
+            const users = rows.map(row => ({
+                id: row.id,
+                username: row.username,
+                isAdmin: row.is_admin === 1,
+                isDisabled: row.is_disabled === 1,
+                totpEnabled: row.totp_enabled === 1,
+                passkeyEnabled: row.passkey_enabled === 1,
+                createdAt: toIsoString(row.created_at),
+                lastLoginAt: row.last_login_at ? toIsoString(row.last_login_at) : null,
+                sessionCount: Number(row.session_count),
+                pageCount: Number(row.page_count),
+                isSelf: row.id === req.user.id
+            }));
+
+            res.json({ users });
+        } catch (error) {
+            logError("GET /api/admin/users", error);
+            res.status(500).json({ error: "사용자 목록 조회 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 사용자 생성
+     * POST /api/admin/users
+     * body: { username: string, password?: string, isAdmin?: boolean }
+     * password를 생략하면 임시 비밀번호를 생성하여 응답에 한 번만 포함
+     */
+    router.post("/users", async (req, res) => {
+        const { username, password, isAdmin } = req.body || {};
+
+        if (typeof username !== "string") {
+            return res.status(400).json({ error: "아이디를 입력해 주세요." });
+        }
+
+        const trimmedUsername = username.trim();
+        if (trimmedUsername.length < 3 || trimmedUsername.length > 64) {
+            return res.status(400).json({ error: "아이디는 3~64자 사이로 입력해 주세요." });
+        }
+
+        const hasPassword = typeof password === "string" && password !== "";
+        const newPassword = hasPassword ? password : generateTemporaryPassword();
+
+        const passwordValidation = validatePasswordStrength(newPassword);
+        if (!passwordValidation.valid) {
+            return res.status(400).json({ error: passwordValidation.error });
+        }
+
+        try {
+            const [rows] = await pool.execute(
+                `SELECT id FROM users WHERE username = ?
+                 UNION ALL
+                 SELECT id FROM pending_registrations WHERE username = ?`,
+                [trimmedUsername, trimmedUsername]
+            );
+            if (rows.length > 0) {
+                return res.status(409).json({ error: "이미 사용 중인 아이디입니다." });
+            }
+
+            const nowStr = formatDateForDb(new Date());
+            const passwordHash = await bcrypt.hash(newPassword, BCRYPT_SALT_ROUNDS);
+
+            const [result] = await pool.execute(
+                `INSERT INTO users (username, password_hash, is_admin, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [trimmedUsername, passwordHash, isAdmin === true ? 1 : 0, nowStr, nowStr]
+            );
+
+            await createCollection({
+                userId: result.insertId,
+                name: "기본 컬렉션"
+            });
+
+            const target = { id: result.insertId, username: trimmedUsername };
+            await recordAdminAction(req, "user.create", target, { isAdmin: isAdmin === true });
+
+            console.log(`[관리자] 사용자 ID ${req.user.id}: 사용자 생성 (ID: ${target.id})`);
+
+            res.status(201).json({
+                ok: true,
+                user: target,
+                temporaryPassword: hasPassword ? undefined : newPassword
+            });
+        } catch (error) {
+            logError("POST /api/admin/users", error);
+            res.status(500).json({ error: "사용자 생성 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 계정 비활성화/활성화
+     * 비활성화하면 모든 세션이 즉시 종료되고 로그인할 수 없음
+     * PUT /api/admin/users/:id/disabled
+     * body: { disabled: boolean }
+     */
+    router.put("/users/:id/disabled", async (req, res) => {
+        const { disabled } = req.body || {};
+
+        if (typeof disabled !== "boolean") {
+            return res.status(400).json({ error: "disabled 값이 올바르지 않습니다." });
+        }
+
+        try {
+            const target = await findTargetUser(req.params.id);
+            if (!target) {
+                return res.status(404).json({ error: "사용자를 찾을 수 없습니다." });
+            }
+
+            if (disabled && target.id === req.user.id) {
+                return res.status(400).json({ error: "자신의 계정은 비활성화할 수 없습니다." });
+            }
+
+            if (disabled && target.is_admin && await countOtherActiveAdmins(target.id) === 0) {
+                return res.status(400).json({ error: "마지막 관리자 계정은 비활성화할 수 없습니다." });
+            }
+
+            await pool.execute(
+                `UPDATE users SET is_disabled = ?, updated_at = ? WHERE id = ?`,
+                [disabled ? 1 : 0, formatDateForDb(new Date()), target.id]
+            );
+
+            const revokedSessions = disabled ? await destroyUserSessions(target.id) : 0;
+
+            await recordAdminAction(req, disabled ? "user.disable" : "user.enable", target,
+                disabled ? { revokedSessions } : null);
+            await recordAuditEvent(req, disabled ? "account.disable" : "account.enable", { user: target });
+
+            console.log(`[관리자] 사용자 ID ${req.user.id}: 사용자 ${disabled ? '비활성화' : '활성화'} (ID: ${target.id})`);
+
+            res.json({ ok: true, revokedSessions });
+        } catch (error) {
+            logError("PUT /api/admin/users/:id/disabled", error);
+            res.status(500).json({ error: "계정 상태 변경 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 관리자 권한 부여/해제
+     * PUT /api/admin/users/:id/admin
+     * body: { isAdmin: boolean }
+     */
+    router.put("/users/:id/admin", async (req, res) => {
+        const { isAdmin } = req.body || {};
+
+        if (typeof isAdmin !== "boolean") {
+            return res.status(400).json({ error: "isAdmin 값이 올바르지 않습니다." });
+        }
+
+        try {
+            const target = await findTargetUser(req.params.id);
+            if (!target) {
+                return res.status(404).json({ error: "사용자를 찾을 수 없습니다." });
+            }
+
+            if (!isAdmin && target.id === req.user.id) {
+                return res.status(400).json({ error: "자신의 관리자 권한은 해제할 수 없습니다." });
+            }
+
+            await pool.execute(
+                `UPDATE users SET is_admin = ?, updated_at = ? WHERE id = ?`,
+                [isAdmin ? 1 : 0, formatDateForDb(new Date()), target.id]
+            );
+
+            await recordAdminAction(req, isAdmin ? "user.grant_admin" : "user.revoke_admin", target);
+
+            console.log(`[관리자] 사용자 ID ${req.user.id}: 관리자 권한 ${isAdmin ? '부여' : '해제'} (ID: ${target.id})`);
+
+            res.json({ ok: true });
+        } catch (error) {
+            logError("PUT /api/admin/users/:id/admin", error);
+            res.status(500).json({ error: "관리자 권한 변경 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 비밀번호 강제 재설정
+     * 대상 사용자의 모든 세션을 종료
+     * POST /api/admin/users/:id/reset-password
+     * body: { password?: string } (생략하면 임시 비밀번호를 생성하여 응답에 한 번만 포함)
+     */
+    router.post("/users/:id/reset-password", async (req, res) => {
+        const { password } = req.body || {};
+        const hasPassword = typeof password === "string" && password !== "";
+        const newPassword = hasPassword ? password : generateTemporaryPassword();
+
+        const passwordValidation = validatePasswordStrength(newPassword);
+        if (!passwordValidation.valid) {
+            return res.status(400).json({ error: passwordValidation.error });
+        }
+
+        try {
+            const target = await findTargetUser(req.params.id);
+            if (!target) {
+                return res.status(404).json({ error: "사용자를 찾을 수 없습니다." });
+            }
+
+            const passwordHash = await bcrypt.hash(newPassword, BCRYPT_SALT_ROUNDS);
+            await pool.execute(
+                `UPDATE users SET password_hash = ?, updated_at = ? WHERE id = ?`,
+                [passwordHash, formatDateForDb(new Date()), target.id]
+            );
+
+            // 자신의 비밀번호를 재설정한 경우 현재 세션은 유지
+            const revokedSessions = await destroyUserSessions(
+                target.id,
+                target.id === req.user.id ? req.sessionPublicId : null
+            );
+
+            await recordAdminAction(req, "user.reset_password", target, {
+                generated: !hasPassword,
+                revokedSessions
+            });
+            await recordAuditEvent(req, "password.reset", { user: target, details: { revokedSessions } });
+
+            console.log(`[관리자] 사용자 ID ${req.user.id}: 비밀번호 재설정 (ID: ${target.id})`);
+
+            res.json({
+                ok: true,
+                revokedSessions,
+                temporaryPassword: hasPassword ? undefined : newPassword
+            });
+        } catch (error) {
+            logError("POST /api/admin/users/:id/reset-password", error);
+            res.status(500).json({ error: "비밀번호 재설정 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 일회용 비밀번호 재설정 링크 발급
+     * 2단계 인증이 없거나 분실한 사용자를 위한 대체 수단 (이전에 발급한 미사용 링크는 폐기)
+     * POST /api/admin/users/:id/reset-link
+     * body: { email?: string } (지정하면 링크를 메일로 전송, MAIL_TRANSPORT 설정 필요)
+     */
+    router.post("/users/:id/reset-link", async (req, res) => {
+        const { email } = req.body || {};
+        const normalizedEmail = typeof email === "string" ? email.trim() : "";
+
+        if (normalizedEmail && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(normalizedEmail)) {
+            return res.status(400).json({ error: "올바른 이메일 주소를 입력해 주세요." });
+        }
+
+        if (normalizedEmail && !mailer.enabled) {
+            return res.status(400).json({ error: "메일 전송이 설정되지 않았습니다. 링크를 복사해 전달하세요." });
+        }
+
+        try {
+            const target = await findTargetUser(req.params.id);
+            if (!target) {
+                return res.status(404).json({ error: "사용자를 찾을 수 없습니다." });
+            }
+
+            const now = new Date();
+            const expiresAt = new Date(now.getTime() + PASSWORD_RESET_LINK_TTL_HOURS * 60 * 60 * 1000);
+            const token = crypto.randomBytes(32).toString("base64url");
+            const url = `${BASE_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+            await pool.execute(
+                `DELETE FROM password_reset_tokens WHERE user_id = ? AND used_at IS NULL`,
+                [target.id]
+            );
+            await pool.execute(
+                `INSERT INTO password_reset_tokens (user_id, token_hash, created_by, expires_at, created_at)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [
+                    target.id,
+                    crypto.createHash("sha256").update(token).digest("hex"),
+                    req.user.id,
+                    formatDateForDb(expiresAt),
+                    formatDateForDb(now)
+                ]
+            );
+
+            let emailed = false;
+            if (normalizedEmail) {
+                try {
+                    await mailer.send({
+                        to: normalizedEmail,
+                        subject: "[NTEOK] 비밀번호 재설정 링크",
+                        text: [
+                            `${target.username}님, 관리자가 비밀번호 재설정 링크를 발급했습니다.`,
+                            "",
+                            "아래 링크에서 새 비밀번호를 설정하세요. 링크는 한 번만 사용할 수 있습니다.",
+                            url,
+                            "",
+                            `만료: ${expiresAt.toISOString()}`,
+                            "직접 요청하지 않았다면 이 메일을 무시하고 관리자에게 알려 주세요."
+                        ].join("\n")
+                    });
+                    emailed = true;
+                } catch (error) {
+                    logError("POST /api/admin/users/:id/reset-link (메일 전송)", error);
+                }
+            }
+
+            await recordAdminAction(req, "user.reset_link", target, { emailed });
+            await recordAuditEvent(req, "password.reset_link", {
+                user: target,
+                details: { expiresInHours: PASSWORD_RESET_LINK_TTL_HOURS, emailed }
+            });
+
+            console.log(`[관리자] 사용자 ID ${req.user.id}: 비밀번호 재설정 링크 발급 (ID: ${target.id})`);
+
+            res.status(201).json({
+                ok: true,
+                url,
+                expiresAt: expiresAt.toISOString(),
+                emailed,
+                emailError: normalizedEmail && !emailed ? "메일 전송에 실패했습니다. 링크를 복사해 전달하세요." : undefined
+            });
+        } catch (error) {
+            logError("POST /api/admin/users/:id/reset-link", error);
+            res.status(500).json({ error: "재설정 링크 발급 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 2단계 인증 해제 (TOTP, 백업 코드, 패스키 모두 삭제)
+     * DELETE /api/admin/users/:id/2fa
+     */
+    router.delete("/users/:id/2fa", async (req, res) => {
+        let connection;
+
+        try {
+            const target = await findTargetUser(req.params.id);
+            if (!target) {
+                return res.status(404).json({ error: "사용자를 찾을 수 없습니다." });
+            }
+
+            connection = await pool.getConnection();
+            await connection.beginTransaction();
+
+            const [passkeyResult] = await connection.execute(
+                `DELETE FROM passkeys WHERE user_id = ?`,
+                [target.id]
+            );
+            await connection.execute(
+                `DELETE FROM backup_codes WHERE user_id = ?`,
+                [target.id]
+            );
+            await connection.execute(
+                `UPDATE users
+                 SET totp_enabled = 0, totp_secret = NULL, passkey_enabled = 0, updated_at = ?
+                 WHERE id = ?`,
+                [formatDateForDb(new Date()), target.id]
+            );
+
+            await recordAdminAction(req, "user.revoke_2fa", target, {
+                totpEnabled: target.totp_enabled === 1,
+                passkeysRemoved: passkeyResult.affectedRows
+            }, connection);
+
+            await connection.commit();
+
+            await recordAuditEvent(req, "2fa.reset", {
+                user: target,
+                details: { passkeysRemoved: passkeyResult.affectedRows }
+            });
+
+            console.log(`[관리자] 사용자 ID ${req.user.id}: 2단계 인증 해제 (ID: ${target.id})`);
+
+            res.json({ ok: true });
+        } catch (error) {
+            if (connection) {
+                await connection.rollback();
+            }
+            logError("DELETE /api/admin/users/:id/2fa", error);
+            res.status(500).json({ error: "2단계 인증 해제 중 오류가 발생했습니다." });
+        } finally {
+            if (connection) {
+                connection.release();
+            }
+        }
+    });
+
+    /**
+     * 사용자 삭제 (사용자의 컬렉션, 페이지 등은 ON DELETE CASCADE로 함께 삭제)
+     * DELETE /api/admin/users/:id
+     */
+    router.delete("/users/:id", async (req, res) => {
+        try {
+            const target = await findTargetUser(req.params.id);
+            if (!target) {
+                return res.status(404).json({ error: "사용자를 찾을 수 없습니다." });
+            }
+
+            if (target.id === req.user.id) {
+                return res.status(400).json({ error: "자신의 계정은 계정 설정에서 삭제하세요." });
+            }
+
+            if (target.is_admin && await countOtherActiveAdmins(target.id) === 0) {
+                return res.status(400).json({ error: "마지막 관리자 계정은 삭제할 수 없습니다." });
+            }
+
+            // 열려 있는 WebSocket 연결을 먼저 종료 (세션 행은 users 삭제 시 함께 삭제됨)
+            await destroyUserSessions(target.id);
+            await pool.execute(`DELETE FROM users WHERE id = ?`, [target.id]);
+
+            await recordAdminAction(req, "user.delete", target);
+            await recordAuditEvent(req, "account.delete", { user: target });
+
+            console.log(`[관리자] 사용자 ID ${req.user.id}: 사용자 삭제 (ID: ${target.id})`);
+
+            res.json({ ok: true });
+        } catch (error) {
+            logError("DELETE /api/admin/users/:id", error);
+            res.status(500).json({ error: "사용자 삭제 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 회원가입 설정 조회
+     * GET /api/admin/registration
+     */
+    router.get("/registration", async (req, res) => {
+        try {
+            const mode = await getRegistrationMode();
+            res.json({ mode, modes: REGISTRATION_MODES });
+        } catch (error) {
+            logError("GET /api/admin/registration", error);
+            res.status(500).json({ error: "회원가입 설정 조회 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 회원가입 모드 변경
+     * PUT /api/admin/registration
+     * body: { mode: "open" | "invite" | "approval" | "closed" }
+     */
+    router.put("/registration", async (req, res) => {
+        const { mode } = req.body || {};
+
+        if (!REGISTRATION_MODES.includes(mode)) {
+            return res.status(400).json({ error: "올바르지 않은 회원가입 모드입니다." });
+        }
+
+        try {
+            const previousMode = await getRegistrationMode();
+            await setRegistrationMode(mode, req.user.id);
+
+            await recordAdminAction(req, "registration.mode", null, { from: previousMode, to: mode });
+
+            console.log(`[관리자] 사용자 ID ${req.user.id}: 회원가입 모드 변경 (${previousMode} -> ${mode})`);
+
+            res.json({ ok: true, mode });
+        } catch (error) {
+            logError("PUT /api/admin/registration", error);
+            res.status(500).json({ error: "회원가입 설정 변경 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 초대 코드 목록 조회
+     * GET /api/admin/invites
+     */
+    router.get("/invites", async (req, res) => {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT i.id, i.code, i.note, i.max_uses, i.use_count, i.expires_at, i.is_active, i.created_at,
+                        u.username AS created_by_username
+                 FROM invite_codes i
+                 LEFT JOIN users u ON i.created_by = u.id
+                 ORDER BY i.created_at DESC, i.id DESC`
+            );
+
+            const now = new Date();
+            const invites = rows.map(row => {
+                const expired = row.expires_at ? new Date(row.expires_at) <= now : false;
+                const exhausted = row.max_uses !== null && row.use_count >= row.max_uses;
+
+                return {
+                    id: row.id,
+                    code: row.code,
+                    note: row.note,
+                    maxUses: row.max_uses,
+                    useCount: row.use_count,
+                    expiresAt: row.expires_at ? toIsoString(row.expires_at) : null,
+                    createdAt: toIsoString(row.created_at),
+                    createdBy: row.created_by_username,
+                    status: !row.is_active ? "revoked" : expired ? "expired" : exhausted ? "exhausted" : "active"
+                };
+            });
+
+            res.json({ invites });
+        } catch (error) {
+            logError("GET /api/admin/invites", error);
+            res.status(500).json({ error: "초대 코드 목록 조회 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 초대 코드 생성
+     * POST /api/admin/invites
+     * body: { maxUses?: number|null, expiresInDays?: number|null, note?: string }
+     */
+    router.post("/invites", async (req, res) => {
+        const { maxUses, expiresInDays, note } = req.body || {};
+
+        const normalizedMaxUses = maxUses === undefined || maxUses === null || maxUses === ""
+            ? null
+            : Number(maxUses);
+        if (normalizedMaxUses !== null &&
+            (!Number.isInteger(normalizedMaxUses) || normalizedMaxUses < 1 || normalizedMaxUses > 10000)) {
+            return res.status(400).json({ error: "사용 횟수는 1~10000 사이로 입력해 주세요." });
+        }
+
+        const normalizedDays = expiresInDays === undefined || expiresInDays === null || expiresInDays === ""
+            ? null
+            : Number(expiresInDays);
+        if (normalizedDays !== null &&
+            (!Number.isInteger(normalizedDays) || normalizedDays < 1 || normalizedDays > 365)) {
+            return res.status(400).json({ error: "만료 기간은 1~365일 사이로 입력해 주세요." });
+        }
+
+        const normalizedNote = typeof note === "string" ? note.trim().slice(0, 100) : "";
+
+        try {
+            const now = new Date();
+            const code = crypto.randomBytes(12).toString("base64url");
+            const expiresAt = normalizedDays !== null
+                ? new Date(now.getTime() + normalizedDays * 24 * 60 * 60 * 1000)
+                : null;
+
+            const [result] = await pool.execute(
+                `INSERT INTO invite_codes (code, note, created_by, max_uses, expires_at, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [
+                    code,
+                    normalizedNote || null,
+                    req.user.id,
+                    normalizedMaxUses,
+                    expiresAt ? formatDateForDb(expiresAt) : null,
+                    formatDateForDb(now)
+                ]
+            );
+
+            await recordAdminAction(req, "invite.create", null, {
+                inviteId: result.insertId,
+                maxUses: normalizedMaxUses,
+                expiresInDays: normalizedDays
+            });
+
+            console.log(`[관리자] 사용자 ID ${req.user.id}: 초대 코드 생성 (ID: ${result.insertId})`);
+
+            res.status(201).json({
+                ok: true,
+                invite: {
+                    id: result.insertId,
+                    code,
+                    maxUses: normalizedMaxUses,
+                    expiresAt: expiresAt ? expiresAt.toISOString() : null
+                }
+            });
+        } catch (error) {
+            logError("POST /api/admin/invites", error);
+            res.status(500).json({ error: "초대 코드 생성 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 초대 코드 폐기
+     * DELETE /api/admin/invites/:id
+     */
+    router.delete("/invites/:id", async (req, res) => {
+        const inviteId = Number(req.params.id);
+        if (!Number.isInteger(inviteId) || inviteId <= 0) {
+            return res.status(404).json({ error: "초대 코드를 찾을 수 없습니다." });
+        }
+
+        try {
+            const [result] = await pool.execute(
+                `UPDATE invite_codes SET is_active = 0 WHERE id = ? AND is_active = 1`,
+                [inviteId]
+            );
+
+            if (result.affectedRows === 0) {
+                return res.status(404).json({ error: "초대 코드를 찾을 수 없습니다." });
+            }
+
+            await recordAdminAction(req, "invite.revoke", null, { inviteId });
+
+            console.log(`[관리자] 사용자 ID ${req.user.id}: 초대 코드 폐기 (ID: ${inviteId})`);
+
+            res.json({ ok: true });
+        } catch (error) {
+            logError("DELETE /api/admin/invites/:id", error);
+            res.status(500).json({ error: "초대 코드 폐기 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 가입 승인 대기 목록 조회
+     * GET /api/admin/pending-users
+     */
+    router.get("/pending-users", async (req, res) => {
+        try {
+            const [rows] = await pool.execute(
+                `SELECT id, username, ip_address, user_agent, created_at
+                 FROM pending_registrations
+                 ORDER BY created_at ASC, id ASC`
+            );
+
+            const pendingUsers = rows.map(row => ({
+                id: row.id,
+                username: row.username,
+                ipAddress: row.ip_address,
+                userAgent: row.user_agent,
+                createdAt: toIsoString(row.created_at)
+            }));
+
+            res.json({ pendingUsers });
+        } catch (error) {
+            logError("GET /api/admin/pending-users", error);
+            res.status(500).json({ error: "가입 승인 대기 목록 조회 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 가입 신청 승인 (사용자 계정 생성)
+     * POST /api/admin/pending-users/:id/approve
+     */
+    router.post("/pending-users/:id/approve", async (req, res) => {
+        const pendingId = Number(req.params.id);
+        if (!Number.isInteger(pendingId) || pendingId <= 0) {
+            return res.status(404).json({ error: "가입 신청을 찾을 수 없습니다." });
+        }
+
+        let connection;
+
+        try {
+            connection = await pool.getConnection();
+            await connection.beginTransaction();
+
+            const [pendingRows] = await connection.execute(
+                `SELECT id, username, password_hash FROM pending_registrations WHERE id = ? FOR UPDATE`,
+                [pendingId]
+            );
+
+            if (!pendingRows.length) {
+                await connection.rollback();
+                return res.status(404).json({ error: "가입 신청을 찾을 수 없습니다." });
+            }
+
+            const pending = pendingRows[0];
+
+            const [existingRows] = await connection.execute(
+                `SELECT id FROM users WHERE username = ?`,
+                [pending.username]
+            );
+            if (existingRows.length > 0) {
+                await connection.rollback();
+                return res.status(409).json({ error: "이미 사용 중인 아이디입니다. 신청을 거절해 주세요." });
+            }
+
+            const nowStr = formatDateForDb(new Date());
+            const [result] = await connection.execute(
+                `INSERT INTO users (username, password_hash, created_at, updated_at)
+                 VALUES (?, ?, ?, ?)`,
+                [pending.username, pending.password_hash, nowStr, nowStr]
+            );
+
+            await connection.execute(
+                `DELETE FROM pending_registrations WHERE id = ?`,
+                [pending.id]
+            );
+
+            const target = { id: result.insertId, username: pending.username };
+            await recordAdminAction(req, "user.approve", target, null, connection);
+
+            await connection.commit();
+
+            await createCollection({
+                userId: target.id,
+                name: "기본 컬렉션"
+            });
+
+            console.log(`[관리자] 사용자 ID ${req.user.id}: 가입 승인 (ID: ${target.id})`);
+
+            res.json({ ok: true, user: target });
+        } catch (error) {
+            if (connection) {
+                await connection.rollback().catch(() => {});
+            }
+            logError("POST /api/admin/pending-users/:id/approve", error);
+            res.status(500).json({ error: "가입 승인 중 오류가 발생했습니다." });
+        } finally {
+            if (connection) {
+                connection.release();
+            }
+        }
+    });
+
+    /**
+     * 가입 신청 거절
+     * DELETE /api/admin/pending-users/:id
+     */
+    router.delete("/pending-users/:id", async (req, res) => {
+        const pendingId = Number(req.params.id);
+        if (!Number.isInteger(pendingId) || pendingId <= 0) {
+            return res.status(404).json({ error: "가입 신청을 찾을 수 없습니다." });
+        }
+
+        try {
+            const [rows] = await pool.execute(
+                `SELECT id, username FROM pending_registrations WHERE id = ?`,
+                [pendingId]
+            );
+            if (!rows.length) {
+                return res.status(404).json({ error: "가입 신청을 찾을 수 없습니다." });
+            }
+
+            await pool.execute(`DELETE FROM pending_registrations WHERE id = ?`, [pendingId]);
+
+            await recordAdminAction(req, "user.reject", { id: null, username: rows[0].username });
+
+            console.log(`[관리자] 사용자 ID ${req.user.id}: 가입 거절 (신청 ID: ${pendingId})`);
+
+            res.json({ ok: true });
+        } catch (error) {
+            logError("DELETE /api/admin/pending-users/:id", error);
+            res.status(500).json({ error: "가입 거절 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 전체 보안 감사 이벤트 조회
+     * GET /api/admin/audit-events
+     * query: { limit?: number, offset?: number, username?: string, eventType?: string }
+     */
+    router.get("/audit-events", async (req, res) => {
+        try {
+            const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+            const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+            const conditions = [];
+            const params = [];
+
+            if (typeof req.query.username === "string" && req.query.username.trim()) {
+                conditions.push("username = ?");
+                params.push(req.query.username.trim());
+            }
+
+            if (typeof req.query.eventType === "string" && req.query.eventType.trim()) {
+                conditions.push("event_type = ?");
+                params.push(req.query.eventType.trim());
+            }
+
+            const where = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+            const [rows] = await pool.execute(
+                `SELECT id, user_id, username, actor_user_id, actor_username, event_type,
+                        target_type, target_id, details, ip_address, user_agent, created_at
+                 FROM audit_events
+                 ${where}
+                 ORDER BY id DESC
+                 LIMIT ? OFFSET ?`,
+                [...params, limit, offset]
+            );
+
+            const [countRows] = await pool.execute(
+                `SELECT COUNT(*) AS total FROM audit_events ${where}`,
+                params
+            );
+
+            const events = rows.map(row => {
+                let details = null;
+                try {
+                    details = row.details ? JSON.parse(row.details) : null;
+                } catch (e) {
+                    details = null;
+                }
+
+                return {
+                    id: row.id,
+                    userId: row.user_id,
+                    username: row.username,
+                    actorUserId: row.actor_user_id,
+                    actorUsername: row.actor_username,
+                    eventType: row.event_type,
+                    targetType: row.target_type,
+                    targetId: row.target_id,
+                    details,
+                    ipAddress: row.ip_address,
+                    userAgent: row.user_agent,
+                    createdAt: toIsoString(row.created_at)
+                };
+            });
+
+            res.json({
+                events,
+                total: countRows[0].total,
+                limit,
+                offset
+            });
+        } catch (error) {
+            logError("GET /api/admin/audit-events", error);
+            res.status(500).json({ error: "보안 감사 이벤트 조회 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 보안 감사 이벤트 해시 체인 검증
+     * 변조되거나 삭제된 이벤트가 있으면 체인이 끊어진 이벤트 ID를 반환
+     * GET /api/admin/audit-events/verify
+     */
+    router.get("/audit-events/verify", async (req, res) => {
+        try {
+            const result = await verifyAuditEventChain();
+
+            if (!result.valid) {
+                console.warn(`[보안 감사] 해시 체인 검증 실패 - 이벤트 ID: ${result.brokenAtId}`);
+            }
+
+            res.json(result);
+        } catch (error) {
+            logError("GET /api/admin/audit-events/verify", error);
+            res.status(500).json({ error: "보안 감사 이벤트 검증 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 관리자 작업 기록 조회
+     * GET /api/admin/audit-logs
+     * query: { limit?: number, offset?: number }
+     */
+    router.get("/audit-logs", async (req, res) => {
+        try {
+            const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+            const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+            const [rows] = await pool.execute(
+                `SELECT id, admin_user_id, admin_username, action, target_user_id, target_username,
+                        details, ip_address, created_at
+                 FROM admin_audit_logs
+                 ORDER BY created_at DESC, id DESC
+                 LIMIT ? OFFSET ?`,
+                [limit, offset]
+            );
+
+            const [countRows] = await pool.execute(
+                `SELECT COUNT(*) AS total FROM admin_audit_logs`
+            );
+
+            const logs = rows.map(row => {
+                let details = null;
+                try {
+                    details = row.details ? JSON.parse(row.details) : null;
+                } catch (e) {
+                    details = null;
+                }
+
+                return {
+                    id: row.id,
+                    adminUserId: row.admin_user_id,
+                    adminUsername: row.admin_username,
+                    action: row.action,
+                    targetUserId: row.target_user_id,
+                    targetUsername: row.target_username,
+                    details,
+                    ipAddress: row.ip_address,
+                    createdAt: toIsoString(row.created_at)
+                };
+            });
+
+            res.json({
+                logs,
+                total: countRows[0].total,
+                limit,
+                offset
+            });
+        } catch (error) {
+            logError("GET /api/admin/audit-logs", error);
+            res.status(500).json({ error: "관리자 작업 기록 조회 중 오류가 발생했습니다." });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,243 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+
+/**
+ * API Tokens Routes
+ *
+ * 이 파일은 개인 API 토큰 관리 라우트를 처리합니다.
+ * - 토큰 목록 조회
+ * - 토큰 발급 (원문은 발급 응답에서 한 번만 반환)
+ * - 토큰 폐기
+ *
+ * 토큰 인증 자체는 server.js의 authMiddleware에서 처리하며,
+ * 토큰으로는 이 API를 호출할 수 없습니다 (페이지/컬렉션 API만 허용).
+ */
+
+module.exports = (dependencies) => {
+    const {
+        pool,
+        authMiddleware,
+        toIsoString,
+        sanitizeInput,
+        formatDateForDb,
+        getCollectionPermission,
+        hashApiToken,
+        parseApiTokenCollectionIds,
+        recordAuditEvent,
+        API_TOKEN_PREFIX,
+        API_TOKEN_SCOPES,
+        logError
+    } = dependencies;
+
+    const MAX_TOKENS_PER_USER = 20;
+    const MAX_TOKEN_COLLECTIONS = 50;
+
+    /**
+     * API 토큰 목록 조회
+     * GET /api/tokens
+     */
+    router.get("/", authMiddleware, async (req, res) => {
+        const userId = req.user.id;
+
+        try {
+            const [rows] = await pool.execute(
+                `SELECT id, name, token_prefix, scope, collection_ids, expires_at, last_used_at, last_used_ip, created_at
+                 FROM api_tokens
+                 WHERE user_id = ?
+                 ORDER BY created_at DESC, id DESC`,
+                [userId]
+            );
+
+            // 허용 컬렉션 이름 표시용 (삭제된 컬렉션은 이름 없이 ID만 표시)
+            const referencedIds = [...new Set(rows.flatMap(row => parseApiTokenCollectionIds(row.collection_ids) || []))];
+            const collectionNames = new Map();
+            if (referencedIds.length > 0) {
+                const [collectionRows] = await pool.execute(
+                    `SELECT id, name FROM collections WHERE id IN (${referencedIds.map(() => "?").join(",")})`,
+                    referencedIds
+                );
+                collectionRows.forEach(row => collectionNames.set(row.id, row.name));
+            }
+
+            const now = new Date();
+            const tokens = rows.map(row => {
+                const collectionIds = parseApiTokenCollectionIds(row.collection_ids);
+
+                return {
+                    id: row.id,
+                    name: row.name,
+                    tokenPrefix: row.token_prefix,
+                    scope: row.scope,
+                    collections: collectionIds
+                        ? collectionIds.map(id => ({ id, name: collectionNames.get(id) || null }))
+                        : null,
+                    expiresAt: row.expires_at ? toIsoString(row.expires_at) : null,
+                    expired: row.expires_at ? new Date(row.expires_at) <= now : false,
+                    lastUsedAt: row.last_used_at ? toIsoString(row.last_used_at) : null,
+                    lastUsedIp: row.last_used_ip,
+                    createdAt: toIsoString(row.created_at)
+                };
+            });
+
+            res.json({ tokens });
+        } catch (error) {
+            logError("GET /api/tokens", error);
+            res.status(500).json({ error: "API 토큰 목록을 불러오지 못했습니다." });
+        }
+    });
+
+    /**
+     * API 토큰 발급
+     * POST /api/tokens
+     * body: { name: string, scope: 'read' | 'write', collectionIds?: string[] | null, expiresInDays?: number | null }
+     * collectionIds가 없으면 접근 가능한 모든 컬렉션에 사용 가능
+     */
+    router.post("/", authMiddleware, async (req, res) => {
+        const userId = req.user.id;
+        const { name, scope, collectionIds, expiresInDays } = req.body || {};
+
+        const normalizedName = typeof name === "string" ? sanitizeInput(name.trim()).slice(0, 100) : "";
+        if (!normalizedName) {
+            return res.status(400).json({ error: "토큰 이름을 입력해 주세요." });
+        }
+
+        if (!API_TOKEN_SCOPES.includes(scope)) {
+            return res.status(400).json({ error: "scope는 read 또는 write여야 합니다." });
+        }
+
+        let normalizedCollectionIds = null;
+        if (collectionIds !== undefined && collectionIds !== null) {
+            if (!Array.isArray(collectionIds) || collectionIds.length === 0 ||
+                !collectionIds.every(id => typeof id === "string" && id.trim() !== "")) {
+                return res.status(400).json({ error: "collectionIds는 컬렉션 ID 배열이어야 합니다." });
+            }
+            normalizedCollectionIds = [...new Set(collectionIds.map(id => id.trim()))];
+            if (normalizedCollectionIds.length > MAX_TOKEN_COLLECTIONS) {
+                return res.status(400).json({ error: `컬렉션은 최대 ${MAX_TOKEN_COLLECTIONS}개까지 지정할 수 있습니다.` });
+            }
+        }
+
+        const normalizedDays = expiresInDays === undefined || expiresInDays === null || expiresInDays === ""
+            ? null
+            : Number(expiresInDays);
+        if (normalizedDays !== null &&
+            (!Number.isInteger(normalizedDays) || normalizedDays < 1 || normalizedDays > 365)) {
+            return res.status(400).json({ error: "만료 기간은 1~365일 사이로 입력해 주세요." });
+        }
+
+        try {
+            const [countRows] = await pool.execute(
+                `SELECT COUNT(*) AS count FROM api_tokens WHERE user_id = ?`,
+                [userId]
+            );
+            if (countRows[0].count >= MAX_TOKENS_PER_USER) {
+                return res.status(400).json({ error: `API 토큰은 최대 ${MAX_TOKENS_PER_USER}개까지 만들 수 있습니다.` });
+            }
+
+            if (normalizedCollectionIds) {
+                for (const collectionId of normalizedCollectionIds) {
+                    const { permission } = await getCollectionPermission(collectionId, userId);
+                    if (!permission) {
+                        return res.status(403).json({ error: "접근 권한이 없는 컬렉션이 포함되어 있습니다." });
+                    }
+                }
+            }
+
+            const now = new Date();
+            const token = API_TOKEN_PREFIX + crypto.randomBytes(32).toString("base64url");
+            const tokenPrefix = token.substring(0, API_TOKEN_PREFIX.length + 6);
+            const expiresAt = normalizedDays !== null
+                ? new Date(now.getTime() + normalizedDays * 24 * 60 * 60 * 1000)
+                : null;
+
+            const [result] = await pool.execute(
+                `INSERT INTO api_tokens (user_id, name, token_prefix, token_hash, scope, collection_ids, expires_at, created_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    userId,
+                    normalizedName,
+                    tokenPrefix,
+                    hashApiToken(token),
+                    scope,
+                    normalizedCollectionIds ? JSON.stringify(normalizedCollectionIds) : null,
+                    expiresAt ? formatDateForDb(expiresAt) : null,
+                    formatDateForDb(now)
+                ]
+            );
+
+            await recordAuditEvent(req, "api_token.create", {
+                targetType: "api_token",
+                targetId: result.insertId,
+                details: {
+                    tokenName: normalizedName,
+                    scope,
+                    ...(normalizedCollectionIds ? { collectionsCount: normalizedCollectionIds.length } : {}),
+                    expiresInDays: normalizedDays
+                }
+            });
+
+            console.log(`[API 토큰] 사용자 ID ${userId}: 토큰 발급 (ID: ${result.insertId}, 범위: ${scope})`);
+
+            res.status(201).json({
+                ok: true,
+                token,
+                apiToken: {
+                    id: result.insertId,
+                    name: normalizedName,
+                    tokenPrefix,
+                    scope,
+                    expiresAt: expiresAt ? expiresAt.toISOString() : null,
+                    createdAt: now.toISOString()
+                }
+            });
+        } catch (error) {
+            logError("POST /api/tokens", error);
+            res.status(500).json({ error: "API 토큰 발급 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * API 토큰 폐기 (즉시 사용 불가)
+     * DELETE /api/tokens/:id
+     */
+    router.delete("/:id", authMiddleware, async (req, res) => {
+        const userId = req.user.id;
+        const tokenId = Number(req.params.id);
+        if (!Number.isInteger(tokenId) || tokenId <= 0) {
+            return res.status(404).json({ error: "API 토큰을 찾을 수 없습니다." });
+        }
+
+        try {
+            const [rows] = await pool.execute(
+                `SELECT name FROM api_tokens WHERE id = ? AND user_id = ?`,
+                [tokenId, userId]
+            );
+            if (!rows.length) {
+                return res.status(404).json({ error: "API 토큰을 찾을 수 없습니다." });
+            }
+
+            const [result] = await pool.execute(
+                `DELETE FROM api_tokens WHERE id = ? AND user_id = ?`,
+                [tokenId, userId]
+            );
+
+            if (result.affectedRows > 0) {
+                await recordAuditEvent(req, "api_token.revoke", {
+                    targetType: "api_token",
+                    targetId: tokenId,
+                    details: { tokenName: rows[0].name }
+                });
+            }
+
+            console.log(`[API 토큰] 사용자 ID ${userId}: 토큰 폐기 (ID: ${tokenId})`);
+
+            res.json({ ok: true });
+        } catch (error) {
+            logError("DELETE /api/tokens/:id", error);
+            res.status(500).json({ error: "API 토큰 폐기 중 오류가 발생했습니다." });
+        }
+    });
+
+    return router;
+};
@@ -5,21 +5,25 @@ const router = express.Router();
  * Authentication Routes
  *
  * 이 파일은 인증 관련 라우트를 처리합니다.
- * - 로그인, 로그아웃, 회원가입
- * - 계정 삭제
+ * - 로그인, 로그아웃, 회원가입 (가입 모드, 초대 코드, 승인 대기)
+ * - 계정 삭제, 비밀번호 변경, 아이디 변경
  * - 현재 사용자 정보 조회
  * - 암호화 Salt 업데이트
  * - 비밀번호 재확인
+ * - 활성 세션 조회 및 원격 로그아웃
+ * - 보안 활동(감사 이벤트) 조회
  */
 
 module.exports = (dependencies) => {
     const {
         pool,
         bcrypt,
-        crypto,
-        sessions,
-        userSessions,
+        speakeasy,
         createSession,
+        createPendingSession,
+        destroySession,
+        destroyUserSessions,
+        hashSessionId,
         generateCsrfToken,
         formatDateForDb,
         validatePasswordStrength,
@@ -32,11 +36,130 @@ module.exports = (dependencies) => {
         createCollection,
         authMiddleware,
         authLimiter,
+        passkeyLimiter,
+        BASE_URL,
         recordLoginAttempt,
         maskIPAddress,
-        checkCountryWhitelist
+        getLocationFromIP,
+        checkCountryWhitelist,
+        wsCloseSessionConnections,
+        getRegistrationMode,
+        recordAuditEvent
     } = dependencies;
 
+    const {
+        generateAuthenticationOptions,
+        verifyAuthenticationResponse,
+    } = require('@simplewebauthn/server');
+
+    // RP (Relying Party) 설정 (routes/passkey.js와 동일)
+    const rpID = new URL(BASE_URL).hostname;
+    const expectedOrigin = BASE_URL;
+
+    /**
+     * 민감한 계정 변경 전 추가 인증 (step-up)
+     * 2단계 인증을 사용하는 계정은 TOTP 코드 또는 패스키 인증이 추가로 필요
+     * @param {Object} req - 요청 (현재 세션 쿠키로 패스키 챌린지 조회)
+     * @param {{id: number, totp_enabled: number, totp_secret: string|null, passkey_enabled: number}} user
+     * @param {{totpToken?: string, passkeyCredential?: Object}} proof
+     * @returns {Promise<{ok: boolean, status?: number, body?: Object}>}
+     */
+    async function verifyStepUp(req, user, { totpToken, passkeyCredential }) {
+        const methods = [];
+        if (user.totp_enabled && user.totp_secret) methods.push("totp");
+        if (user.passkey_enabled) methods.push("passkey");
+
+        if (methods.length === 0) {
+            return { ok: true };
+        }
+
+        if (methods.includes("totp") && typeof totpToken === "string" && totpToken.trim()) {
+            const verified = speakeasy.totp.verify({
+                secret: user.totp_secret,
+                encoding: 'base32',
+                token: totpToken.trim(),
+                window: 2
+            });
+
+            return verified
+                ? { ok: true }
+                : { ok: false, status: 401, body: { error: "인증 코드가 올바르지 않습니다." } };
+        }
+
+        if (methods.includes("passkey") && passkeyCredential && typeof passkeyCredential === "object") {
+            const sessionId = hashSessionId(req.cookies[SESSION_COOKIE_NAME]);
+            const [challenges] = await pool.execute(
+                `SELECT challenge FROM webauthn_challenges
+                 WHERE user_id = ? AND session_id = ? AND operation = 'step_up'
+                 AND expires_at > NOW()
+                 ORDER BY created_at DESC LIMIT 1`,
+                [user.id, sessionId]
+            );
+
+            if (challenges.length === 0) {
+                return { ok: false, status: 400, body: { error: "유효한 챌린지를 찾을 수 없습니다. 다시 시도해 주세요." } };
+            }
+
+            // 챌린지는 한 번만 사용
+            await pool.execute(
+                "DELETE FROM webauthn_challenges WHERE user_id = ? AND session_id = ? AND operation = 'step_up'",
+                [user.id, sessionId]
+            );
+
+            const [passkeys] = await pool.execute(
+                "SELECT id, public_key, counter, transports FROM passkeys WHERE credential_id = ? AND user_id = ?",
+                [passkeyCredential.id, user.id]
+            );
+
+            if (passkeys.length === 0) {
+                return { ok: false, status: 404, body: { error: "등록되지 않은 패스키입니다." } };
+            }
+
+            const passkey = passkeys[0];
+
+            let verification;
+            try {
+                verification = await verifyAuthenticationResponse({
+                    response: passkeyCredential,
+                    expectedChallenge: challenges[0].challenge,
+                    expectedOrigin: expectedOrigin,
+                    expectedRPID: rpID,
+                    credential: {
+                        id: passkeyCredential.id,
+                        publicKey: Buffer.from(passkey.public_key, 'base64'),
+                        counter: passkey.counter,
+                        transports: passkey.transports ? passkey.transports.split(',') : []
+                    },
+                    requireUserVerification: false
+                });
+            } catch (error) {
+                verification = { verified: false };
+            }
+
+            if (!verification.verified) {
+                return { ok: false, status: 401, body: { error: "패스키 인증에 실패했습니다." } };
+            }
+
+            // Counter 업데이트 (재생 공격 방지)
+            await pool.execute(
+                "UPDATE passkeys SET counter = ?, last_used_at = ? WHERE id = ?",
+                [verification.authenticationInfo.newCounter, formatDateForDb(new Date()), passkey.id]
+            );
+
+            return { ok: true };
+        }
+
+        return {
+            ok: false,
+            status: 403,
+            body: {
+                error: "2단계 인증을 사용하는 계정입니다. 인증 코드 또는 패스키로 본인임을 확인해 주세요.",
+                code: "STEP_UP_REQUIRED",
+                methods
+            }
+        };
+    }
+
     /**
      * 로그인
      * POST /api/auth/login
@@ -55,7 +178,7 @@ module.exports = (dependencies) => {
             const [rows] = await pool.execute(
                 `
                 SELECT id, username, password_hash, totp_enabled, passkey_enabled, block_duplicate_login,
-                       country_whitelist_enabled, allowed_login_countries
+                       country_whitelist_enabled, allowed_login_countries, is_disabled
                 FROM users
                 WHERE username = ?
                 `,
@@ -63,6 +186,19 @@ module.exports = (dependencies) => {
             );
 
             if (!rows.length) {
+                // 관리자 승인 대기 중인 가입 신청이면 비밀번호 확인 후 안내
+                const [pendingRows] = await pool.execute(
+                    `SELECT password_hash FROM pending_registrations WHERE username = ?`,
+                    [trimmedUsername]
+                );
+                if (pendingRows.length && await bcrypt.compare(password, pendingRows[0].password_hash)) {
+                    console.warn(`[로그인 실패] IP: ${req.ip}, 사유: 가입 승인 대기`);
+                    return res.status(403).json({
+                        error: "가입 신청이 관리자 승인을 기다리고 있습니다.",
+                        code: 'REGISTRATION_PENDING'
+                    });
+                }
+
                 // 로그인 로그 기록
                 await recordLoginAttempt({
                     userId: null,
@@ -99,6 +235,25 @@ module.exports = (dependencies) => {
                 return res.status(401).json({ error: "아이디 또는 비밀번호가 올바르지 않습니다." });
             }
 
+            // 관리자가 비활성화한 계정
+            if (user.is_disabled) {
+                await recordLoginAttempt({
+                    userId: user.id,
+                    username: user.username,
+                    ipAddress: req.ip || req.connection.remoteAddress,
+                    port: req.connection.remotePort || 0,
+                    success: false,
+                    failureReason: '비활성화된 계정',
+                    userAgent: req.headers['user-agent'] || null
+                });
+
+                console.warn(`[로그인 실패] IP: ${req.ip}, 사유: 비활성화된 계정`);
+                return res.status(403).json({
+                    error: "비활성화된 계정입니다. 관리자에게 문의하세요.",
+                    code: 'ACCOUNT_DISABLED'
+                });
+            }
+
             // 국가 화이트리스트 체크
             const countryCheck = checkCountryWhitelist(
                 {
@@ -128,14 +283,7 @@ module.exports = (dependencies) => {
             // 2FA(TOTP 또는 패스키) 활성화 확인
             if (user.totp_enabled || user.passkey_enabled) {
                 // 임시 세션 생성 (2FA 검증 대기)
-                const tempSessionId = crypto.randomBytes(32).toString("hex");
-                const now = new Date();
-
-                sessions.set(tempSessionId, {
-                    pendingUserId: user.id,
-                    createdAt: now.getTime(),
-                    lastAccessedAt: now.getTime()
-                });
+                const tempSessionId = await createPendingSession(user.id);
 
                 // 사용 가능한 2FA 방법 목록
                 const availableMethods = [];
@@ -152,17 +300,17 @@ module.exports = (dependencies) => {
             }
 
             // TOTP 비활성화 상태 - 정상 로그인 진행
-            const sessionResult = createSession({
+            const sessionResult = await createSession({
                 id: user.id,
                 username: user.username,
                 blockDuplicateLogin: user.block_duplicate_login
-            });
+            }, req);
 
-            // 중복 로그인 차단 모드에서 거부된 경우
+            // 중복 로그인 차단 모드 또는 비활성화된 계정으로 거부된 경우
             if (!sessionResult.success) {
-                return res.status(409).json({
+                return res.status(sessionResult.code === 'ACCOUNT_DISABLED' ? 403 : 409).json({
                     error: sessionResult.error,
-                    code: 'DUPLICATE_LOGIN_BLOCKED'
+                    code: sessionResult.code
                 });
             }
 
@@ -211,22 +359,11 @@ module.exports = (dependencies) => {
      * 로그아웃
      * POST /api/auth/logout
      */
-    router.post("/logout", (req, res) => {
-        const { getSessionFromRequest } = dependencies;
-        const session = getSessionFromRequest(req);
-        if (session) {
-            sessions.delete(session.id);
-
-            // userSessions에서도 제거
-            if (session.userId) {
-                const userSessionSet = userSessions.get(session.userId);
-                if (userSessionSet) {
-                    userSessionSet.delete(session.id);
-                    if (userSessionSet.size === 0) {
-                        userSessions.delete(session.userId);
-                    }
-                }
-            }
+    router.post("/logout", async (req, res) => {
+        try {
+            await destroySession(req.cookies[SESSION_COOKIE_NAME]);
+        } catch (error) {
+            logError("POST /api/auth/logout", error);
         }
 
         res.clearCookie(SESSION_COOKIE_NAME, {
@@ -274,28 +411,27 @@ module.exports = (dependencies) => {
                 return res.status(401).json({ error: "비밀번호가 올바르지 않습니다." });
             }
 
+            // 마지막 관리자 계정은 삭제할 수 없음 (관리자 콘솔을 사용할 수 없게 되므로)
+            if (req.user.isAdmin) {
+                const [adminRows] = await pool.execute(
+                    `SELECT COUNT(*) AS cnt FROM users WHERE is_admin = 1 AND is_disabled = 0 AND id != ?`,
+                    [req.user.id]
+                );
+                if (adminRows[0].cnt === 0) {
+                    return res.status(400).json({ error: "마지막 관리자 계정은 삭제할 수 없습니다. 다른 사용자에게 관리자 권한을 먼저 부여하세요." });
+                }
+            }
+
             await pool.execute(`DELETE FROM users WHERE id = ?`, [req.user.id]);
 
+            // 감사 이벤트는 users에 종속되지 않으므로 삭제 후에도 남음
+            await recordAuditEvent(req, "account.delete");
+
             // 보안: 민감 정보 마스킹 (사용자명 일부만 표시)
             const maskedUsername = req.user.username.substring(0, 2) + '***';
             console.log(`[계정 삭제 완료] 사용자 ID: ${req.user.id}, 사용자명: ${maskedUsername}`);
 
-            const { getSessionFromRequest } = dependencies;
-            const session = getSessionFromRequest(req);
-            if (session) {
-                sessions.delete(session.id);
-
-                // userSessions에서도 제거
-                if (session.userId) {
-                    const userSessionSet = userSessions.get(session.userId);
-                    if (userSessionSet) {
-                        userSessionSet.delete(session.id);
-                        if (userSessionSet.size === 0) {
-                            userSessions.delete(session.userId);
-                        }
-                    }
-                }
-            }
+            // 사용자의 세션은 users 삭제 시 함께 삭제됨 (ON DELETE CASCADE)
 
             res.clearCookie(SESSION_COOKIE_NAME, {
                 httpOnly: true,
@@ -310,13 +446,231 @@ module.exports = (dependencies) => {
         }
     });
 
+    /**
+     * 계정 변경 전 패스키 추가 인증 시작 - 챌린지 생성
+     * POST /api/auth/step-up/passkey/options
+     */
+    router.post("/step-up/passkey/options", authMiddleware, passkeyLimiter, async (req, res) => {
+        try {
+            const [passkeys] = await pool.execute(
+                "SELECT credential_id, transports FROM passkeys WHERE user_id = ?",
+                [req.user.id]
+            );
+
+            if (passkeys.length === 0) {
+                return res.status(404).json({ error: "등록된 패스키가 없습니다." });
+            }
+
+            const options = await generateAuthenticationOptions({
+                rpID: rpID,
+                timeout: 60000,
+                allowCredentials: passkeys.map(pk => ({
+                    id: pk.credential_id,
+                    type: 'public-key',
+                    transports: pk.transports ? pk.transports.split(',') : ['usb', 'ble', 'nfc', 'internal', 'hybrid']
+                })),
+                userVerification: 'preferred'
+            });
+
+            const now = new Date();
+            const expiresAt = new Date(now.getTime() + 5 * 60 * 1000);
+            const sessionId = hashSessionId(req.cookies[SESSION_COOKIE_NAME]);
+
+            await pool.execute(
+                `INSERT INTO webauthn_challenges
+                 (user_id, session_id, challenge, operation, created_at, expires_at)
+                 VALUES (?, ?, ?, 'step_up', ?, ?)`,
+                [req.user.id, sessionId, options.challenge, formatDateForDb(now), formatDateForDb(expiresAt)]
+            );
+
+            res.json(options);
+        } catch (error) {
+            logError("POST /api/auth/step-up/passkey/options", error);
+            res.status(500).json({ error: "패스키 인증 옵션 생성 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 비밀번호 변경 (다른 모든 세션 로그아웃)
+     * PUT /api/auth/password
+     * body: { currentPassword: string, newPassword: string, totpToken?: string, passkeyCredential?: Object }
+     */
+    router.put("/password", authMiddleware, authLimiter, async (req, res) => {
+        const { currentPassword, newPassword, totpToken, passkeyCredential } = req.body || {};
+
+        if (typeof currentPassword !== "string" || !currentPassword) {
+            return res.status(400).json({ error: "현재 비밀번호를 입력해 주세요." });
+        }
+
+        if (typeof newPassword !== "string") {
+            return res.status(400).json({ error: "새 비밀번호를 입력해 주세요." });
+        }
+
+        const passwordValidation = validatePasswordStrength(newPassword);
+        if (!passwordValidation.valid) {
+            return res.status(400).json({ error: passwordValidation.error });
+        }
+
+        if (newPassword === currentPassword) {
+            return res.status(400).json({ error: "새 비밀번호는 현재 비밀번호와 달라야 합니다." });
+        }
+
+        try {
+            const [rows] = await pool.execute(
+                `SELECT id, username, password_hash, totp_enabled, totp_secret, passkey_enabled
+                 FROM users WHERE id = ?`,
+                [req.user.id]
+            );
+
+            if (!rows.length) {
+                return res.status(404).json({ error: "사용자를 찾을 수 없습니다." });
+            }
+
+            const user = rows[0];
+
+            const ok = await bcrypt.compare(currentPassword, user.password_hash);
+            if (!ok) {
+                // 보안: 민감 정보 마스킹 (사용자명 일부만 표시)
+                const maskedUsername = req.user.username.substring(0, 2) + '***';
+                console.warn(`[비밀번호 변경 실패] 사용자: ${maskedUsername}, IP: ${req.ip}, 사유: 비밀번호 불일치`);
+                return res.status(401).json({ error: "현재 비밀번호가 올바르지 않습니다." });
+            }
+
+            const stepUp = await verifyStepUp(req, user, { totpToken, passkeyCredential });
+            if (!stepUp.ok) {
+                return res.status(stepUp.status).json(stepUp.body);
+            }
+
+            const passwordHash = await bcrypt.hash(newPassword, BCRYPT_SALT_ROUNDS);
+            await pool.execute(
+                `UPDATE users SET password_hash = ?, updated_at = ? WHERE id = ?`,
+                [passwordHash, formatDateForDb(new Date()), user.id]
+            );
+
+            // 현재 세션을 제외한 모든 세션 로그아웃
+            const revokedSessions = await destroyUserSessions(user.id, req.sessionPublicId);
+
+            await recordAuditEvent(req, "password.change", { details: { revokedSessions } });
+
+            console.log(`[비밀번호 변경] 사용자 ID ${user.id}: 다른 세션 ${revokedSessions}개 로그아웃`);
+
+            res.json({ ok: true, revokedCount: revokedSessions });
+        } catch (error) {
+            logError("PUT /api/auth/password", error);
+            res.status(500).json({ error: "비밀번호 변경 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 아이디 변경 (다른 모든 세션 로그아웃)
+     * PUT /api/auth/username
+     * body: { newUsername: string, password: string }
+     */
+    router.put("/username", authMiddleware, authLimiter, async (req, res) => {
+        const { newUsername, password } = req.body || {};
+
+        if (typeof newUsername !== "string" || typeof password !== "string" || !password) {
+            return res.status(400).json({ error: "새 아이디와 비밀번호를 모두 입력해 주세요." });
+        }
+
+        const trimmedUsername = newUsername.trim();
+
+        if (trimmedUsername.length < 3 || trimmedUsername.length > 64) {
+            return res.status(400).json({ error: "아이디는 3~64자 사이로 입력해 주세요." });
+        }
+
+        if (trimmedUsername === req.user.username) {
+            return res.status(400).json({ error: "현재 아이디와 같습니다." });
+        }
+
+        try {
+            const [rows] = await pool.execute(
+                `SELECT id, username, password_hash FROM users WHERE id = ?`,
+                [req.user.id]
+            );
+
+            if (!rows.length) {
+                return res.status(404).json({ error: "사용자를 찾을 수 없습니다." });
+            }
+
+            const user = rows[0];
+
+            const ok = await bcrypt.compare(password, user.password_hash);
+            if (!ok) {
+                // 보안: 민감 정보 마스킹 (사용자명 일부만 표시)
+                const maskedUsername = req.user.username.substring(0, 2) + '***';
+                console.warn(`[아이디 변경 실패] 사용자: ${maskedUsername}, IP: ${req.ip}, 사유: 비밀번호 불일치`);
+                return res.status(401).json({ error: "비밀번호가 올바르지 않습니다." });
+            }
+
+            // 가입 승인 대기 중인 아이디도 사용할 수 없음
+            const [existing] = await pool.execute(
+                `
+                SELECT id FROM users WHERE username = ? AND id != ?
+                UNION ALL
+                SELECT id FROM pending_registrations WHERE username = ?
+                `,
+                [trimmedUsername, user.id, trimmedUsername]
+            );
+
+            if (existing.length > 0) {
+                return res.status(409).json({ error: "이미 사용 중인 아이디입니다." });
+            }
+
+            try {
+                await pool.execute(
+                    `UPDATE users SET username = ?, updated_at = ? WHERE id = ?`,
+                    [trimmedUsername, formatDateForDb(new Date()), user.id]
+                );
+            } catch (error) {
+                // 동시에 같은 아이디로 변경/가입한 경우 (UNIQUE 제약)
+                if (error.code === "ER_DUP_ENTRY") {
+                    return res.status(409).json({ error: "이미 사용 중인 아이디입니다." });
+                }
+                throw error;
+            }
+
+            // 현재 세션을 제외한 모든 세션 로그아웃
+            const revokedSessions = await destroyUserSessions(user.id, req.sessionPublicId);
+
+            await recordAuditEvent(req, "username.change", {
+                user: { id: user.id, username: trimmedUsername },
+                details: { previousUsername: user.username, revokedSessions }
+            });
+
+            console.log(`[아이디 변경] 사용자 ID ${user.id}: 다른 세션 ${revokedSessions}개 로그아웃`);
+
+            res.json({ ok: true, username: trimmedUsername, revokedCount: revokedSessions });
+        } catch (error) {
+            logError("PUT /api/auth/username", error);
+            res.status(500).json({ error: "아이디 변경 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 회원가입 모드 조회 (회원가입 페이지에서 알맞은 화면을 표시하기 위해 사용)
+     * GET /api/auth/registration
+     */
+    router.get("/registration", async (req, res) => {
+        try {
+            const mode = await getRegistrationMode();
+            res.json({ mode });
+        } catch (error) {
+            logError("GET /api/auth/registration", error);
+            res.status(500).json({ error: "회원가입 설정 조회 중 오류가 발생했습니다." });
+        }
+    });
+
     /**
      * 회원가입
      * POST /api/auth/register
-     * body: { username: string, password: string }
+     * body: { username: string, password: string, inviteCode?: string }
+     * - invite 모드: 유효한 초대 코드 필수
+     * - approval 모드: 초대 코드가 없으면 승인 대기열에 등록 (202, 세션 없음)
+     * - closed 모드: 가입 불가
      */
     router.post("/register", authLimiter, async (req, res) => {
-        const { username, password } = req.body || {};
+        const { username, password, inviteCode } = req.body || {};
 
         if (typeof username !== "string" || typeof password !== "string") {
             return res.status(400).json({ error: "아이디와 비밀번호를 모두 입력해 주세요." });
@@ -333,14 +687,34 @@ module.exports = (dependencies) => {
             return res.status(400).json({ error: passwordValidation.error });
         }
 
+        const trimmedInviteCode = typeof inviteCode === "string" ? inviteCode.trim() : "";
+
+        let connection;
+
         try {
+            const mode = await getRegistrationMode();
+
+            if (mode === "closed") {
+                return res.status(403).json({
+                    error: "현재 회원가입이 허용되지 않습니다. 관리자에게 문의하세요.",
+                    code: 'REGISTRATION_CLOSED'
+                });
+            }
+
+            if (mode === "invite" && !trimmedInviteCode) {
+                return res.status(403).json({
+                    error: "초대 코드가 필요합니다.",
+                    code: 'INVITE_REQUIRED'
+                });
+            }
+
             const [rows] = await pool.execute(
                 `
-                SELECT id
-                FROM users
-                WHERE username = ?
+                SELECT id FROM users WHERE username = ?
+                UNION ALL
+                SELECT id FROM pending_registrations WHERE username = ?
                 `,
-                [trimmedUsername]
+                [trimmedUsername, trimmedUsername]
             );
 
             if (rows.length > 0) {
@@ -352,13 +726,70 @@ module.exports = (dependencies) => {
 
             const passwordHash = await bcrypt.hash(password, BCRYPT_SALT_ROUNDS);
 
-            const [result] = await pool.execute(
+            connection = await pool.getConnection();
+            await connection.beginTransaction();
+
+            // 초대 코드 사용 (open 모드에서는 무시)
+            let inviteId = null;
+            if (trimmedInviteCode && mode !== "open") {
+                const [inviteRows] = await connection.execute(
+                    `
+                    SELECT id
+                    FROM invite_codes
+                    WHERE code = ?
+                      AND is_active = 1
+                      AND (expires_at IS NULL OR expires_at > ?)
+                      AND (max_uses IS NULL OR use_count < max_uses)
+                    FOR UPDATE
+                    `,
+                    [trimmedInviteCode, nowStr]
+                );
+
+                if (!inviteRows.length) {
+                    await connection.rollback();
+                    return res.status(400).json({
+                        error: "유효하지 않거나 만료된 초대 코드입니다.",
+                        code: 'INVALID_INVITE'
+                    });
+                }
+
+                inviteId = inviteRows[0].id;
+                await connection.execute(
+                    `UPDATE invite_codes SET use_count = use_count + 1 WHERE id = ?`,
+                    [inviteId]
+                );
+            }
+
+            // 승인 모드에서 초대 코드 없이 가입하면 승인 대기열에 등록
+            if (mode === "approval" && !inviteId) {
+                await connection.execute(
+                    `
+                    INSERT INTO pending_registrations (username, password_hash, ip_address, user_agent, created_at)
+                    VALUES (?, ?, ?, ?, ?)
+                    `,
+                    [
+                        trimmedUsername,
+                        passwordHash,
+                        req.ip || null,
+                        req.headers['user-agent'] || null,
+                        nowStr
+                    ]
+                );
+                await connection.commit();
+
+                console.log(`[회원가입] 승인 대기 등록: ${trimmedUsername}, IP: ${req.ip}`);
+
+                return res.status(202).json({ ok: true, pending: true });
+            }
+
+            const [result] = await connection.execute(
                 `
                 INSERT INTO users (username, password_hash, created_at, updated_at)
                 VALUES (?, ?, ?, ?)
                 `,
                 [trimmedUsername, passwordHash, nowStr, nowStr]
             );
+            await connection.commit();
 
             const user = {
                 id: result.insertId,
@@ -371,13 +802,13 @@ module.exports = (dependencies) => {
                 name: "기본 컬렉션"
             });
 
-            const sessionResult = createSession(user);
+            const sessionResult = await createSession(user, req);
 
             // 회원가입 시에는 중복 로그인이 발생할 수 없지만 방어적 코딩
             if (!sessionResult.success) {
-                return res.status(409).json({
+                return res.status(sessionResult.code === 'ACCOUNT_DISABLED' ? 403 : 409).json({
                     error: sessionResult.error,
-                    code: 'DUPLICATE_LOGIN_BLOCKED'
+                    code: sessionResult.code
                 });
             }
 
@@ -406,8 +837,19 @@ module.exports = (dependencies) => {
                 }
             });
         } catch (error) {
+            if (connection) {
+                await connection.rollback().catch(() => {});
+            }
+            // 동시 가입으로 인한 아이디 중복
+            if (error && error.code === "ER_DUP_ENTRY") {
+                return res.status(409).json({ error: "이미 사용 중인 아이디입니다." });
+            }
             logError("POST /api/auth/register", error);
             return res.status(500).json({ error: "회원가입 처리 중 오류가 발생했습니다." });
+        } finally {
+            if (connection) {
+                connection.release();
+            }
         }
     });
 
@@ -418,7 +860,7 @@ module.exports = (dependencies) => {
     router.get("/me", authMiddleware, async (req, res) => {
         try {
             const [rows] = await pool.execute(
-                `SELECT id, username FROM users WHERE id = ?`,
+                `SELECT id, username, is_admin FROM users WHERE id = ?`,
                 [req.user.id]
             );
 
@@ -429,7 +871,8 @@ module.exports = (dependencies) => {
             const user = rows[0];
             res.json({
                 id: user.id,
-                username: user.username
+                username: user.username,
+                isAdmin: user.is_admin === 1
             });
         } catch (error) {
             logError("GET /api/auth/me", error);
@@ -537,6 +980,12 @@ module.exports = (dependencies) => {
                 values
             );
 
+            const changes = {};
+            if (blockDuplicateLogin !== undefined) changes.blockDuplicateLogin = blockDuplicateLogin;
+            if (countryWhitelistEnabled !== undefined) changes.countryWhitelistEnabled = countryWhitelistEnabled;
+            if (allowedLoginCountries !== undefined) changes.allowedLoginCountries = allowedLoginCountries.join(",");
+            await recordAuditEvent(req, "security_settings.update", { details: changes });
+
             // 보안: 사용자명 일부만 표시
             const maskedUsername = req.user.username.substring(0, 2) + '***';
             console.log(`[보안 설정] 사용자 ID ${req.user.id} (${maskedUsername}): 설정 업데이트 완료`);
@@ -642,6 +1091,153 @@ module.exports = (dependencies) => {
         }
     });
 
+    /**
+     * 보안 활동(감사 이벤트) 조회
+     * GET /api/auth/security-events
+     * query: { limit?: number, offset?: number }
+     */
+    router.get("/security-events", authMiddleware, async (req, res) => {
+        try {
+            const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+            const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+            const [rows] = await pool.execute(
+                `SELECT id, actor_user_id, actor_username, event_type, target_type, target_id,
+                        details, ip_address, user_agent, created_at
+                 FROM audit_events
+                 WHERE user_id = ?
+                 ORDER BY created_at DESC, id DESC
+                 LIMIT ? OFFSET ?`,
+                [req.user.id, limit, offset]
+            );
+
+            const [countRows] = await pool.execute(
+                `SELECT COUNT(*) AS total FROM audit_events WHERE user_id = ?`,
+                [req.user.id]
+            );
+
+            const events = rows.map(row => {
+                let details = null;
+                try {
+                    details = row.details ? JSON.parse(row.details) : null;
+                } catch (e) {
+                    details = null;
+                }
+
+                return {
+                    id: row.id,
+                    eventType: row.event_type,
+                    targetType: row.target_type,
+                    targetId: row.target_id,
+                    details,
+                    // 관리자 등 다른 사용자가 수행한 작업인 경우에만 수행자 표시
+                    actorUsername: row.actor_user_id !== null && row.actor_user_id !== req.user.id
+                        ? row.actor_username
+                        : null,
+                    ipAddress: maskIPAddress(row.ip_address),
+                    userAgent: row.user_agent,
+                    createdAt: row.created_at
+                };
+            });
+
+            res.json({
+                events,
+                total: countRows[0].total,
+                limit,
+                offset
+            });
+        } catch (error) {
+            logError("GET /api/auth/security-events", error);
+            res.status(500).json({ error: "보안 활동 조회 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 활성 세션 목록 조회
+     * GET /api/auth/sessions
+     */
+    router.get("/sessions", authMiddleware, async (req, res) => {
+        try {
+            const nowStr = formatDateForDb(new Date());
+            const [rows] = await pool.execute(
+                `SELECT public_id, ip_address, user_agent, created_at, last_seen_at
+                 FROM sessions
+                 WHERE user_id = ? AND is_pending = 0 AND expires_at > ? AND absolute_expires_at > ?
+                 ORDER BY last_seen_at DESC`,
+                [req.user.id, nowStr, nowStr]
+            );
+
+            const sessions = rows.map(row => {
+                const location = getLocationFromIP(row.ip_address);
+                return {
+                    id: row.public_id,
+                    userAgent: row.user_agent,
+                    ipAddress: maskIPAddress(row.ip_address),
+                    country: location.country,
+                    region: location.region,
+                    city: location.city,
+                    createdAt: row.created_at,
+                    lastSeenAt: row.last_seen_at,
+                    current: row.public_id === req.sessionPublicId
+                };
+            });
+
+            res.json({ sessions });
+        } catch (error) {
+            logError("GET /api/auth/sessions", error);
+            res.status(500).json({ error: "세션 목록 조회 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 다른 모든 세션 로그아웃 (현재 세션 제외)
+     * DELETE /api/auth/sessions
+     */
+    router.delete("/sessions", authMiddleware, async (req, res) => {
+        try {
+            const revokedCount = await destroyUserSessions(req.user.id, req.sessionPublicId);
+
+            console.log(`[세션 종료] 사용자 ID ${req.user.id}: 다른 세션 ${revokedCount}개 로그아웃`);
+
+            res.json({ ok: true, revokedCount });
+        } catch (error) {
+            logError("DELETE /api/auth/sessions", error);
+            res.status(500).json({ error: "세션 종료 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 특정 세션 로그아웃
+     * DELETE /api/auth/sessions/:id
+     */
+    router.delete("/sessions/:id", authMiddleware, async (req, res) => {
+        try {
+            const publicId = req.params.id;
+
+            if (publicId === req.sessionPublicId) {
+                return res.status(400).json({ error: "현재 세션은 로그아웃으로 종료하세요." });
+            }
+
+            const [result] = await pool.execute(
+                `DELETE FROM sessions WHERE public_id = ? AND user_id = ? AND is_pending = 0`,
+                [publicId, req.user.id]
+            );
+
+            if (result.affectedRows === 0) {
+                return res.status(404).json({ error: "세션을 찾을 수 없습니다." });
+            }
+
+            wsCloseSessionConnections([publicId]);
+
+            console.log(`[세션 종료] 사용자 ID ${req.user.id}: 세션 ${publicId.substring(0, 8)}... 로그아웃`);
+
+            res.json({ ok: true });
+        } catch (error) {
+            logError("DELETE /api/auth/sessions/:id", error);
+            res.status(500).json({ error: "세션 종료 중 오류가 발생했습니다." });
+        }
+    });
+
     /**
      * 국가 목록 조회
      * GET /api/auth/countries
@@ -7,6 +7,8 @@ const path = require('path');
 const fs = require('fs');
 const multer = require('multer');
 const crypto = require('crypto');
+const { htmlToMarkdown, markdownToHtml, parseFrontMatter, buildFrontMatter } = require('../markdown-converter');
+const { stripNotionId, parseNotionMarkdown, parseNotionHtml, notionCsvToHtml } = require('../notion-converter');
 
 /**
  * Backup Routes
@@ -14,6 +16,9 @@ const crypto = require('crypto');
  * 이 파일은 백업 관련 라우트를 처리합니다.
  * - 백업 내보내기 (ZIP)
  * - 백업 불러오기 (ZIP)
+ * - Markdown 내보내기 (페이지/컬렉션 단위, ZIP)
+ * - Markdown 불러오기 (.md 또는 폴더 구조를 담은 ZIP, Obsidian 보관소 호환)
+ * - Notion 내보내기 가져오기 ("Markdown & CSV" / "HTML" 형식 ZIP)
  */
 
 // 백업 파일 업로드 설정
@@ -46,6 +51,31 @@ const backupUpload = multer({
     }
 });
 
+// Markdown 불러오기 업로드 설정 (.md 단일 파일 또는 ZIP)
+const MARKDOWN_UPLOAD_EXTENSIONS = ['.md', '.markdown', '.zip'];
+
+const markdownUpload = multer({
+    storage: multer.diskStorage({
+        destination: (req, file, cb) => {
+            cb(null, tempDir);
+        },
+        filename: (req, file, cb) => {
+            const uniqueSuffix = Date.now() + '-' + crypto.randomBytes(6).toString('hex');
+            cb(null, 'markdown-' + uniqueSuffix + path.extname(file.originalname).toLowerCase());
+        }
+    }),
+    limits: {
+        fileSize: 100 * 1024 * 1024 // 100MB
+    },
+    fileFilter: (req, file, cb) => {
+        if (MARKDOWN_UPLOAD_EXTENSIONS.includes(path.extname(file.originalname).toLowerCase())) {
+            cb(null, true);
+        } else {
+            cb(new Error('Markdown(.md) 또는 ZIP 파일만 업로드 가능합니다.'));
+        }
+    }
+});
+
 module.exports = (dependencies) => {
     const {
         pool,
@@ -53,10 +83,16 @@ module.exports = (dependencies) => {
         toIsoString,
         sanitizeInput,
         sanitizeHtmlContent,
+        htmlToPlainText,
+        normalizePageTags,
+        syncPageLinks,
+        remapPageMentionIds,
         generatePageId,
         generateCollectionId,
+        getCollectionPermission,
         formatDateForDb,
-        logError
+        logError,
+        recordAuditEvent
     } = dependencies;
 
     /**
@@ -88,6 +124,7 @@ module.exports = (dependencies) => {
             coverPosition: pageData.coverPosition || 50,
             publishToken: pageData.publishToken || null,
             publishedAt: pageData.publishedAt || null,
+            tags: pageData.tags || [],
             isCoverImage: pageData.coverImage && !DEFAULT_COVERS.includes(pageData.coverImage) ? true : false
         };
 
@@ -216,6 +253,7 @@ ${JSON.stringify(pageMetadata, null, 2)}
 
             // 메타데이터가 있으면 사용, 없으면 기본값
             return {
+                id: metadata?.id || null,
                 title,
                 content,
                 icon: icon || (metadata?.icon) || null,
@@ -229,11 +267,13 @@ ${JSON.stringify(pageMetadata, null, 2)}
                 sortOrder: metadata?.sortOrder || 0,
                 publishToken: metadata?.publishToken || null,
                 publishedAt: metadata?.publishedAt || null,
+                tags: Array.isArray(metadata?.tags) ? metadata.tags : [],
                 isCoverImage: metadata?.isCoverImage || false
             };
         } catch (error) {
             console.error('HTML 파싱 오류:', error);
             return {
+                id: null,
                 title: '제목 없음',
                 content: '<p></p>',
                 icon: null,
@@ -247,6 +287,7 @@ ${JSON.stringify(pageMetadata, null, 2)}
                 sortOrder: 0,
                 publishToken: null,
                 publishedAt: null,
+                tags: [],
                 isCoverImage: false
             };
         }
@@ -265,7 +306,7 @@ ${JSON.stringify(pageMetadata, null, 2)}
                 `SELECT id, name, sort_order, created_at, updated_at,
                         is_encrypted, default_encryption, enforce_encryption
                  FROM collections
-                 WHERE user_id = ?
+                 WHERE user_id = ? AND deleted_at IS NULL
                  ORDER BY sort_order ASC`,
                 [userId]
             );
@@ -291,7 +332,8 @@ ${JSON.stringify(pageMetadata, null, 2)}
                         created_at, updated_at, parent_id, sort_order, collection_id,
                         is_encrypted, share_allowed, icon, cover_image, cover_position
                  FROM pages
-                 WHERE collection_id IN (SELECT id FROM collections WHERE user_id = ?)
+                 WHERE collection_id IN (SELECT id FROM collections WHERE user_id = ? AND deleted_at IS NULL)
+                   AND deleted_at IS NULL
                  ORDER BY collection_id ASC, parent_id IS NULL DESC, sort_order ASC`,
                 [userId]
             );
@@ -315,7 +357,26 @@ ${JSON.stringify(pageMetadata, null, 2)}
                 });
             }
 
-            // 3-2. ZIP 아카이브 생성
+            // 3-2. 페이지별 태그 조회
+            const tagMap = new Map();
+
+            if (pageIds.length > 0) {
+                const [tagRows] = await pool.execute(
+                    `SELECT page_id, name FROM page_tags
+                     WHERE page_id IN (${pageIds.map(() => '?').join(',')})
+                     ORDER BY created_at ASC, name ASC`,
+                    pageIds
+                );
+
+                tagRows.forEach(tag => {
+                    if (!tagMap.has(tag.page_id)) {
+                        tagMap.set(tag.page_id, []);
+                    }
+                    tagMap.get(tag.page_id).push(tag.name);
+                });
+            }
+
+            // 3-3. ZIP 아카이브 생성
             const archive = archiver('zip', {
                 zlib: { level: 9 } // 최대 압축
             });
@@ -423,7 +484,8 @@ ${JSON.stringify(pageMetadata, null, 2)}
                     coverImage: page.cover_image || null,
                     coverPosition: page.cover_position || 50,
                     publishToken: publishInfo?.token || null,
-                    publishedAt: publishInfo?.createdAt || null
+                    publishedAt: publishInfo?.createdAt || null,
+                    tags: tagMap.get(page.id) || []
                 };
 
                 const html = convertPageToHTML(pageData);
@@ -458,6 +520,14 @@ ${JSON.stringify(pageMetadata, null, 2)}
             await archive.finalize();
 
             console.log(`[백업 내보내기] 사용자 ${userId} - 컬렉션: ${collections.length}, 페이지: ${pages.length}, 이미지: ${imagesToInclude.size}`);
+
+            await recordAuditEvent(req, "backup.export", {
+                details: {
+                    collectionsCount: collections.length,
+                    pagesCount: pages.length,
+                    imagesCount: imagesToInclude.size
+                }
+            });
         } catch (error) {
             logError('GET /api/backup/export', error);
             if (!res.headersSent) {
@@ -505,6 +575,8 @@ ${JSON.stringify(pageMetadata, null, 2)}
 
             const collectionMap = new Map(); // 폴더명 -> 컬렉션 ID
             const pageDataMap = new Map(); // 페이지 ID -> pageData (이미지 처리를 위해)
+            const pageIdMap = new Map(); // 백업의 페이지 ID -> 새 페이지 ID (멘션 링크 복원용)
+            const importedContents = new Map(); // 새 페이지 ID -> 저장된 평문 본문
             let totalPages = 0;
             let totalImages = 0;
 
@@ -608,6 +680,9 @@ ${JSON.stringify(pageMetadata, null, 2)}
 
                     // pageData를 맵에 저장 (이미지 처리 시 참조용)
                     pageDataMap.set(pageId, pageData);
+                    if (pageData.id) {
+                        pageIdMap.set(pageData.id, pageId);
+                    }
 
                     // 커버 이미지 처리
                     let coverImage = pageData.coverImage;
@@ -630,16 +705,22 @@ ${JSON.stringify(pageMetadata, null, 2)}
                         }
                     }
 
+                    const pageContent = sanitizeHtmlContent(pageData.content);
+                    if (!pageData.isEncrypted) {
+                        importedContents.set(pageId, pageContent);
+                    }
+
                     await connection.execute(
-                        `INSERT INTO pages (id, user_id, parent_id, title, content, encryption_salt, encrypted_content,
+                        `INSERT INTO pages (id, user_id, parent_id, title, content, content_text, encryption_salt, encrypted_content,
                                            sort_order, created_at, updated_at, collection_id,
                                            is_encrypted, share_allowed, icon, cover_image, cover_position)
-                         VALUES (?, ?, NULL, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                         VALUES (?, ?, NULL, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
                         [
                             pageId,
                             userId,
                             sanitizeInput(pageData.title),
-                            sanitizeHtmlContent(pageData.content),
+                            pageContent,
+                            pageData.isEncrypted ? '' : htmlToPlainText(pageContent),
                             pageData.encryptionSalt,
                             pageData.encryptedContent,
                             pageData.sortOrder || 0,
@@ -672,6 +753,14 @@ ${JSON.stringify(pageMetadata, null, 2)}
                         console.log(`[발행 정보 복원] ${pageData.title} - 토큰: ${maskedToken}`);
                     }
 
+                    // 태그 복원
+                    for (const tag of normalizePageTags(pageData.tags)) {
+                        await connection.execute(
+                            `INSERT INTO page_tags (page_id, name, created_by, created_at) VALUES (?, ?, ?, ?)`,
+                            [pageId, tag, userId, nowStr]
+                        );
+                    }
+
                     totalPages++;
                     console.log(`[페이지 복원] ${pageData.title} (암호화: ${pageData.isEncrypted})`);
                 }
@@ -748,6 +837,18 @@ ${JSON.stringify(pageMetadata, null, 2)}
                 }
             }
 
+            // 6. 페이지 멘션 대상 ID를 새 ID로 교체하고 링크 복원
+            for (const [pageId, content] of importedContents) {
+                const remapped = remapPageMentionIds(content, pageIdMap);
+                if (remapped !== content) {
+                    await connection.execute(
+                        `UPDATE pages SET content = ? WHERE id = ?`,
+                        [remapped, pageId]
+                    );
+                }
+                await syncPageLinks(pageId, remapped, connection);
+            }
+
             // 트랜잭션 커밋
             await connection.commit();
 
@@ -756,6 +857,15 @@ ${JSON.stringify(pageMetadata, null, 2)}
 
             console.log(`[백업 불러오기 완료] 컬렉션: ${collectionMap.size}, 페이지: ${totalPages}, 이미지: ${totalImages}`);
 
+            await recordAuditEvent(req, "backup.import", {
+                details: {
+                    format: "backup",
+                    collectionsCount: collectionMap.size,
+                    pagesCount: totalPages,
+                    imagesCount: totalImages
+                }
+            });
+
             res.json({
                 ok: true,
                 collectionsCount: collectionMap.size,
@@ -782,6 +892,951 @@ ${JSON.stringify(pageMetadata, null, 2)}
         }
     });
 
+    // ==================== Markdown 내보내기/불러오기 ====================
+
+    const IMPORT_MAX_PAGES = 1000;
+    const IMPORT_IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+    const ENCRYPTED_PAGE_NOTICE = '> 암호화된 페이지입니다. 내용은 NTEOK에서 잠금을 해제한 뒤 확인할 수 있습니다.\n';
+
+    /**
+     * Markdown 파일/폴더 이름 (제목에서 경로에 쓸 수 없는 문자 제거)
+     */
+    function markdownFileName(title) {
+        const name = sanitizeFilename(String(title || '').replace(/[\x00-\x1f]/g, ' '))
+            .replace(/^[.\s]+/, '')
+            .replace(/[.\s]+$/, '');
+        return name || '제목 없음';
+    }
+
+    function joinZipPath(baseDir, filePath) {
+        return baseDir ? `${baseDir}/${filePath}` : filePath;
+    }
+
+    /**
+     * 사용자가 볼 수 있는 컬렉션의 페이지 목록 (Markdown 내보내기용)
+     * 공유 불가능한 다른 사용자의 암호화 페이지는 제외
+     */
+    async function getMarkdownExportPages(collectionId, userId) {
+        const [pages] = await pool.execute(
+            `SELECT id, parent_id, title, content, icon, cover_image, is_encrypted, created_at, updated_at
+             FROM pages
+             WHERE collection_id = ? AND deleted_at IS NULL
+               AND NOT (is_encrypted = 1 AND share_allowed = 0 AND user_id != ?)
+             ORDER BY sort_order ASC, created_at ASC`,
+            [collectionId, userId]
+        );
+        return pages;
+    }
+
+    /**
+     * 페이지 트리를 Markdown 파일로 아카이브에 추가
+     * - 페이지는 "제목.md", 하위 페이지는 같은 이름의 폴더에 저장 (Obsidian 폴더 노트 구조)
+     * - 이미지는 baseDir/assets/에 복사하고 각 파일에서 상대 경로로 참조
+     * - 부모가 목록에 없는 페이지는 최상위로 취급
+     * @returns {{pagesCount: number, imagesCount: number}}
+     */
+    async function appendMarkdownPages(archive, pages, baseDir) {
+        const pageMap = new Map(pages.map(page => [page.id, page]));
+
+        // 1. 태그 조회
+        const tagMap = new Map();
+        if (pages.length > 0) {
+            const pageIds = pages.map(page => page.id);
+            const [tagRows] = await pool.execute(
+                `SELECT page_id, name FROM page_tags
+                 WHERE page_id IN (${pageIds.map(() => '?').join(',')})
+                 ORDER BY created_at ASC, name ASC`,
+                pageIds
+            );
+
+            tagRows.forEach(tag => {
+                if (!tagMap.has(tag.page_id)) {
+                    tagMap.set(tag.page_id, []);
+                }
+                tagMap.get(tag.page_id).push(tag.name);
+            });
+        }
+
+        // 2. 파일 경로 할당 (형제끼리 이름이 겹치면 " (2)"를 붙임)
+        const childrenMap = new Map();
+        for (const page of pages) {
+            const parentKey = page.parent_id && pageMap.has(page.parent_id) ? page.parent_id : null;
+            if (!childrenMap.has(parentKey)) {
+                childrenMap.set(parentKey, []);
+            }
+            childrenMap.get(parentKey).push(page);
+        }
+
+        const filePaths = new Map(); // 페이지 ID -> baseDir 기준 경로 (확장자 제외)
+        const assignPaths = (parentKey, dir) => {
+            // 최상위의 assets 폴더와 이름이 겹치지 않도록 예약
+            const used = new Set(dir ? [] : ['assets']);
+
+            for (const page of childrenMap.get(parentKey) || []) {
+                const base = markdownFileName(page.title);
+                let name = base;
+                let suffix = 2;
+                while (used.has(name.toLowerCase())) {
+                    name = `${base} (${suffix++})`;
+                }
+                used.add(name.toLowerCase());
+
+                const filePath = dir ? `${dir}/${name}` : name;
+                filePaths.set(page.id, filePath);
+                assignPaths(page.id, filePath);
+            }
+        };
+        assignPaths(null, '');
+
+        // 3. 페이지 멘션 -> 위키 링크 (파일명이 겹치면 경로로 구분)
+        const basenameCounts = new Map();
+        for (const filePath of filePaths.values()) {
+            const key = path.posix.basename(filePath).toLowerCase();
+            basenameCounts.set(key, (basenameCounts.get(key) || 0) + 1);
+        }
+
+        const resolveMention = (pageId, fallbackTitle) => {
+            const target = pageMap.get(pageId);
+            const title = String((target && target.title) || fallbackTitle || '제목 없음').replace(/[[\]|]/g, '');
+            const filePath = filePaths.get(pageId);
+            if (!filePath) {
+                return `[[${title}]]`;
+            }
+
+            const base = path.posix.basename(filePath);
+            const link = basenameCounts.get(base.toLowerCase()) > 1 ? filePath : base;
+            return link === title ? `[[${link}]]` : `[[${link}|${title}]]`;
+        };
+
+        // 4. 이미지 수집 (같은 이미지는 한 번만 포함)
+        const assets = new Map(); // "imgs/1/a.png" -> "assets/a.png" (파일이 없으면 null)
+        const usedAssetNames = new Set();
+        const addAsset = (folder, imagePath) => {
+            const key = `${folder}/${imagePath}`;
+            if (assets.has(key)) {
+                return assets.get(key);
+            }
+
+            const match = /^(\d+)\/([^/]+)$/.exec(imagePath || '');
+            const fullPath = match ? path.join(__dirname, '..', folder, match[1], path.basename(match[2])) : null;
+            if (!fullPath || !fs.existsSync(fullPath)) {
+                assets.set(key, null);
+                return null;
+            }
+
+            let name = path.basename(match[2]);
+            if (usedAssetNames.has(name)) {
+                name = `${match[1]}-${name}`;
+            }
+            usedAssetNames.add(name);
+
+            const assetPath = `assets/${name}`;
+            archive.file(fullPath, { name: joinZipPath(baseDir, assetPath) });
+            assets.set(key, assetPath);
+            return assetPath;
+        };
+
+        // 5. 페이지별 Markdown 파일 생성
+        for (const page of pages) {
+            const filePath = filePaths.get(page.id);
+            const relativePrefix = '../'.repeat(filePath.split('/').length - 1);
+            const isEncrypted = Boolean(page.is_encrypted);
+
+            let cover = null;
+            if (page.cover_image) {
+                if (DEFAULT_COVERS.includes(page.cover_image)) {
+                    cover = page.cover_image;
+                } else {
+                    const assetPath = addAsset('covers', page.cover_image);
+                    cover = assetPath ? relativePrefix + assetPath : null;
+                }
+            }
+
+            const frontMatter = buildFrontMatter({
+                title: page.title || '제목 없음',
+                icon: page.icon || null,
+                tags: tagMap.get(page.id) || [],
+                cover,
+                created: toIsoString(page.created_at),
+                updated: toIsoString(page.updated_at),
+                encrypted: isEncrypted || null
+            });
+
+            const body = isEncrypted
+                ? ENCRYPTED_PAGE_NOTICE
+                : htmlToMarkdown(page.content || '', {
+                    resolveImage: (src) => {
+                        const match = /^\/imgs\/(\d+\/[^?#]+)/.exec(src);
+                        const assetPath = match ? addAsset('imgs', match[1]) : null;
+                        return assetPath ? relativePrefix + assetPath : null;
+                    },
+                    resolveMention
+                });
+
+            archive.append(frontMatter + body, { name: joinZipPath(baseDir, `${filePath}.md`) });
+        }
+
+        return {
+            pagesCount: pages.length,
+            imagesCount: Array.from(assets.values()).filter(Boolean).length
+        };
+    }
+
+    /**
+     * Markdown ZIP 응답 생성
+     */
+    async function sendMarkdownArchive(res, archiveName, pages, baseDir) {
+        const archive = archiver('zip', {
+            zlib: { level: 9 }
+        });
+
+        res.attachment(`${archiveName}.zip`);
+        res.type('application/zip');
+
+        archive.on('error', (err) => {
+            console.error('ZIP 생성 오류:', err);
+            res.status(500).json({ error: 'ZIP 생성 실패' });
+        });
+
+        archive.pipe(res);
+
+        const result = await appendMarkdownPages(archive, pages, baseDir);
+        await archive.finalize();
+        return result;
+    }
+
+    /**
+     * 페이지 Markdown 내보내기 (하위 페이지 포함)
+     * GET /api/backup/markdown/pages/:id
+     */
+    router.get('/markdown/pages/:id', authMiddleware, async (req, res) => {
+        const pageId = req.params.id;
+        const userId = req.user.id;
+
+        try {
+            const [rows] = await pool.execute(
+                `SELECT p.id, p.title, p.collection_id, p.is_encrypted
+                 FROM pages p
+                 LEFT JOIN collections c ON p.collection_id = c.id
+                 LEFT JOIN collection_shares cs ON p.collection_id = cs.collection_id AND cs.shared_with_user_id = ?
+                 WHERE p.id = ? AND (p.user_id = ? OR c.user_id = ? OR cs.collection_id IS NOT NULL)
+                   AND NOT (p.is_encrypted = 1 AND p.share_allowed = 0 AND p.user_id != ?)
+                   AND p.deleted_at IS NULL AND c.deleted_at IS NULL`,
+                [userId, pageId, userId, userId, userId]
+            );
+
+            if (!rows.length) {
+                return res.status(404).json({ error: '페이지를 찾을 수 없습니다.' });
+            }
+
+            if (rows[0].is_encrypted) {
+                return res.status(400).json({ error: '암호화된 페이지는 Markdown으로 내보낼 수 없습니다.' });
+            }
+
+            // 하위 페이지 수집
+            const collectionPages = await getMarkdownExportPages(rows[0].collection_id, userId);
+            const subtreeIds = new Set([pageId]);
+            let added = true;
+            while (added) {
+                added = false;
+                for (const page of collectionPages) {
+                    if (!subtreeIds.has(page.id) && subtreeIds.has(page.parent_id)) {
+                        subtreeIds.add(page.id);
+                        added = true;
+                    }
+                }
+            }
+
+            const pages = collectionPages.filter(page => subtreeIds.has(page.id));
+            const result = await sendMarkdownArchive(res, markdownFileName(rows[0].title), pages, '');
+
+            console.log(`[Markdown 내보내기] 사용자 ${userId} - 페이지 ${pageId}: ${result.pagesCount}개, 이미지: ${result.imagesCount}`);
+        } catch (error) {
+            logError('GET /api/backup/markdown/pages/:id', error);
+            if (!res.headersSent) {
+                res.status(500).json({ error: 'Markdown 내보내기 실패' });
+            }
+        }
+    });
+
+    /**
+     * 컬렉션 Markdown 내보내기
+     * GET /api/backup/markdown/collections/:id
+     */
+    router.get('/markdown/collections/:id', authMiddleware, async (req, res) => {
+        const collectionId = req.params.id;
+        const userId = req.user.id;
+
+        try {
+            const { permission } = await getCollectionPermission(collectionId, userId);
+            if (!permission) {
+                return res.status(404).json({ error: '컬렉션을 찾을 수 없습니다.' });
+            }
+
+            const [collections] = await pool.execute(
+                `SELECT name FROM collections WHERE id = ?`,
+                [collectionId]
+            );
+            if (!collections.length) {
+                return res.status(404).json({ error: '컬렉션을 찾을 수 없습니다.' });
+            }
+
+            const folderName = markdownFileName(collections[0].name);
+            const pages = await getMarkdownExportPages(collectionId, userId);
+            const result = await sendMarkdownArchive(res, folderName, pages, folderName);
+
+            console.log(`[Markdown 내보내기] 사용자 ${userId} - 컬렉션 ${collectionId}: ${result.pagesCount}개, 이미지: ${result.imagesCount}`);
+        } catch (error) {
+            logError('GET /api/backup/markdown/collections/:id', error);
+            if (!res.headersSent) {
+                res.status(500).json({ error: 'Markdown 내보내기 실패' });
+            }
+        }
+    });
+
+    // ---------- 불러오기 공통 (Markdown, Notion) ----------
+
+    /**
+     * URL 인코딩된 상대 경로 해석 (쿼리/앵커 제거)
+     */
+    function decodeImportPath(value) {
+        let decoded = String(value || '');
+        try {
+            decoded = decodeURIComponent(decoded);
+        } catch (e) {
+            // 잘못된 % 인코딩은 원문 그대로 사용
+        }
+        return decoded.replace(/[?#].*$/, '').trim();
+    }
+
+    /**
+     * ZIP 항목 목록 구성 (숨김 폴더(.obsidian 등)와 __MACOSX 제외)
+     * ZIP 안에 ZIP만 들어 있으면 한 단계 펼침 (Notion은 큰 내보내기를 "Part-N.zip"으로 나눠 담음)
+     * @returns {Map<string, function(): Buffer>} ZIP 내부 경로 -> 데이터
+     */
+    function readImportZip(zip, nested = false) {
+        const files = new Map();
+
+        for (const entry of zip.getEntries()) {
+            if (entry.isDirectory) continue;
+
+            const entryName = entry.entryName.replace(/\\/g, '/');
+            if (entryName.split('/').some(segment => segment === '__MACOSX' || segment.startsWith('.'))) {
+                continue;
+            }
+
+            // ZIP Slip 방지: 경로 검증
+            if (!isSafePath(entryName, tempDir)) {
+                console.warn(`[보안] 위험한 ZIP 엔트리 건너뜀: ${entryName}`);
+                continue;
+            }
+
+            files.set(entryName, () => entry.getData());
+        }
+
+        const names = Array.from(files.keys());
+        if (!nested && names.length > 0 && names.every(name => name.toLowerCase().endsWith('.zip'))) {
+            const merged = new Map();
+            for (const name of names) {
+                for (const [innerName, getData] of readImportZip(new AdmZip(files.get(name)()), true)) {
+                    merged.set(innerName, getData);
+                }
+            }
+            return merged;
+        }
+
+        return files;
+    }
+
+    /**
+     * 모든 항목이 하나의 최상위 폴더 안에 있으면 그 폴더를 루트로 사용
+     * @returns {{rootName: string|null, files: Map<string, function(): Buffer>}}
+     */
+    function stripImportRootFolder(files) {
+        const topFolders = new Set(Array.from(files.keys()).map(name => name.includes('/') ? name.split('/')[0] : null));
+        if (files.size === 0 || topFolders.size !== 1 || topFolders.has(null)) {
+            return { rootName: null, files };
+        }
+
+        const rootName = Array.from(topFolders)[0];
+        const stripped = new Map();
+        for (const [name, getData] of files) {
+            stripped.set(name.slice(rootName.length + 1), getData);
+        }
+        return { rootName, files: stripped };
+    }
+
+    /**
+     * 문서 경로로 페이지 트리 노드 구성 (키: 확장자를 뺀 경로)
+     * - "X.md"와 "X/" 폴더는 같은 페이지가 되고, 문서 없이 하위 문서만 있는 폴더도 빈 페이지가 됨
+     * - folderNotes가 true이면 "X/X.md", "X/index.md", "X/README.md"를 폴더 페이지 본문으로 사용 (Obsidian 방식)
+     *   "X.md"도 함께 있으면 "X/X.md"는 하위 페이지
+     * @returns {Map<string, {key: string, name: string, file: string|null, parentKey: string}>}
+     */
+    function buildImportNodes(documentPaths, { folderNotes = false } = {}) {
+        const nodes = new Map();
+        const ensureNode = (key) => {
+            if (!key || nodes.has(key)) return;
+            const parentKey = path.posix.dirname(key) === '.' ? '' : path.posix.dirname(key);
+            nodes.set(key, { key, name: path.posix.basename(key), file: null, parentKey });
+            ensureNode(parentKey);
+        };
+
+        // 일반 문서를 먼저 배치한 뒤 폴더 노트를 배치
+        const items = documentPaths.map(name => {
+            const dir = path.posix.dirname(name) === '.' ? '' : path.posix.dirname(name);
+            const base = path.posix.basename(name, path.posix.extname(name));
+            const isFolderNote = folderNotes && dir !== '' &&
+                (base === path.posix.basename(dir) || /^(index|readme)$/i.test(base));
+            return { name, dir, base, isFolderNote };
+        }).sort((a, b) => Number(a.isFolderNote) - Number(b.isFolderNote));
+
+        for (const item of items) {
+            let key = item.dir ? `${item.dir}/${item.base}` : item.base;
+            if (item.isFolderNote && !(nodes.has(item.dir) && nodes.get(item.dir).file)) {
+                key = item.dir;
+            }
+            if (nodes.has(key) && nodes.get(key).file) continue;
+
+            ensureNode(key);
+            nodes.get(key).file = item.name;
+        }
+
+        return nodes;
+    }
+
+    /**
+     * 노드 본문의 상대 경로 기준 폴더 (문서가 없는 폴더 페이지는 그 폴더)
+     */
+    function importNodeDir(node) {
+        if (!node.file) return node.key;
+        const dir = path.posix.dirname(node.file);
+        return dir === '.' ? '' : dir;
+    }
+
+    /**
+     * 페이지 링크 해석기 (상대 경로 -> 보관소 경로 -> 파일명/제목 순으로 검색)
+     * 노드에 id와 title을 할당한 뒤 생성
+     * @returns {function(string, string): ({id: string, title: string}|null)} (기준 폴더, 링크 대상) -> 페이지
+     */
+    function createImportLinkResolver(nodes) {
+        const linkKeys = new Map(); // 경로(소문자) -> 노드
+        const linkNames = new Map(); // 파일명/제목(소문자) -> 노드
+
+        for (const node of nodes.values()) {
+            const fileKey = node.file ? node.file.replace(/\.[^./]+$/, '') : node.key;
+            [node.key, fileKey].forEach(alias => linkKeys.set(alias.toLowerCase(), node));
+
+            [node.name, path.posix.basename(fileKey), node.title].forEach(name => {
+                const key = name.toLowerCase();
+                if (!linkNames.has(key)) {
+                    linkNames.set(key, node);
+                }
+            });
+        }
+
+        return (dir, target) => {
+            const linkPath = decodeImportPath(target).replace(/\.(md|markdown|html?|csv)$/i, '');
+            if (!linkPath) return null;
+
+            const found =
+                linkKeys.get(path.posix.normalize(path.posix.join(dir, linkPath)).toLowerCase()) ||
+                linkKeys.get(path.posix.normalize(linkPath).replace(/^\/+/, '').toLowerCase()) ||
+                (linkPath.includes('/') ? null : linkNames.get(linkPath.toLowerCase()));
+            return found ? { id: found.id, title: found.title } : null;
+        };
+    }
+
+    /**
+     * 불러온 파일의 이미지 경로 해석과 복사
+     * 복사한 파일의 실제 경로는 writtenFiles에 기록 (실패 시 정리용)
+     */
+    function createImportAssets(files, userId, writtenFiles) {
+        const imagePathsByName = new Map(); // 파일명(소문자) -> 경로 (Obsidian의 ![[파일명]] 임베드용)
+        for (const name of files.keys()) {
+            const key = path.posix.basename(name).toLowerCase();
+            if (IMPORT_IMAGE_EXTENSIONS.includes(path.posix.extname(key)) && !imagePathsByName.has(key)) {
+                imagePathsByName.set(key, name);
+            }
+        }
+
+        const importedImages = new Map(); // "imgs:경로" -> "userId/파일명"
+
+        return {
+            /**
+             * 기준 폴더의 상대 경로 -> ZIP 내부 경로 (찾지 못하면 파일명으로 검색)
+             */
+            findAssetPath(dir, src) {
+                const target = decodeImportPath(src);
+                if (!target) return null;
+
+                const candidates = [
+                    path.posix.normalize(path.posix.join(dir, target)),
+                    path.posix.normalize(target).replace(/^\/+/, '')
+                ];
+                const found = candidates.find(candidate => files.has(candidate));
+                return found || imagePathsByName.get(path.posix.basename(target).toLowerCase()) || null;
+            },
+
+            /**
+             * ZIP 내부 이미지를 folder(imgs 또는 covers)/userId/에 복사 (같은 파일은 한 번만 저장)
+             * @returns {string|null} "userId/파일명"
+             */
+            importImage(folder, assetPath) {
+                const cacheKey = `${folder}:${assetPath}`;
+                if (importedImages.has(cacheKey)) {
+                    return importedImages.get(cacheKey);
+                }
+
+                const ext = path.posix.extname(assetPath || '').toLowerCase();
+                if (!files.has(assetPath) || !IMPORT_IMAGE_EXTENSIONS.includes(ext)) {
+                    return null;
+                }
+
+                const targetDir = path.join(__dirname, '..', folder, String(userId));
+                fs.mkdirSync(targetDir, { recursive: true });
+
+                const filename = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}${ext}`;
+                const targetPath = path.join(targetDir, filename);
+                fs.writeFileSync(targetPath, files.get(assetPath)());
+                writtenFiles.push(targetPath);
+
+                const stored = `${userId}/${filename}`;
+                importedImages.set(cacheKey, stored);
+                return stored;
+            }
+        };
+    }
+
+    /**
+     * 불러온 페이지 트리 저장 (형제는 이름 자연 정렬, 부모가 먼저 생성되도록 경로 깊이 순)
+     * targetCollectionId가 없으면 collectionName으로 새 컬렉션 생성
+     * @param {Map} nodes - buildImportNodes 결과에 id, title, content, icon, coverImage, tags를 채운 노드
+     * @returns {Promise<string>} 컬렉션 ID
+     */
+    async function saveImportedPages(userId, targetCollectionId, collectionName, nodes, now) {
+        const nowStr = formatDateForDb(now);
+        const connection = await pool.getConnection();
+
+        try {
+            await connection.beginTransaction();
+
+            // 1. 대상 컬렉션 준비
+            let collectionId = targetCollectionId;
+            let rootSortOffset = 0;
+
+            if (collectionId) {
+                const [orderRows] = await connection.execute(
+                    `SELECT COALESCE(MAX(sort_order), -1) AS maxOrder FROM pages
+                     WHERE collection_id = ? AND parent_id IS NULL AND deleted_at IS NULL`,
+                    [collectionId]
+                );
+                rootSortOffset = Number(orderRows[0].maxOrder) + 1;
+            } else {
+                const [orderRows] = await connection.execute(
+                    `SELECT COALESCE(MAX(sort_order), -1) AS maxOrder FROM collections WHERE user_id = ?`,
+                    [userId]
+                );
+
+                collectionId = generateCollectionId(now);
+                await connection.execute(
+                    `INSERT INTO collections (id, user_id, name, sort_order, created_at, updated_at)
+                     VALUES (?, ?, ?, ?, ?, ?)`,
+                    [
+                        collectionId,
+                        userId,
+                        sanitizeInput(String(collectionName || '').trim()).slice(0, 255) || '가져온 페이지',
+                        Number(orderRows[0].maxOrder) + 1,
+                        nowStr,
+                        nowStr
+                    ]
+                );
+            }
+
+            // 2. 형제 정렬 순서 (파일명 자연 정렬)
+            const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+            const siblings = new Map();
+            for (const node of nodes.values()) {
+                if (!siblings.has(node.parentKey)) {
+                    siblings.set(node.parentKey, []);
+                }
+                siblings.get(node.parentKey).push(node);
+            }
+
+            for (const [parentKey, list] of siblings) {
+                list.sort((a, b) => collator.compare(a.name, b.name));
+                list.forEach((node, index) => {
+                    node.sortOrder = (parentKey === '' ? rootSortOffset : 0) + index;
+                });
+            }
+
+            // 3. 페이지 생성
+            const orderedNodes = Array.from(nodes.values())
+                .sort((a, b) => a.key.split('/').length - b.key.split('/').length);
+
+            for (const node of orderedNodes) {
+                await connection.execute(
+                    `INSERT INTO pages (id, user_id, parent_id, title, content, content_text, sort_order, created_at, updated_at,
+                                       collection_id, icon, cover_image, cover_position)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 50)`,
+                    [
+                        node.id,
+                        userId,
+                        node.parentKey ? nodes.get(node.parentKey).id : null,
+                        node.title,
+                        node.content,
+                        htmlToPlainText(node.content),
+                        node.sortOrder,
+                        nowStr,
+                        nowStr,
+                        collectionId,
+                        node.icon || null,
+                        node.coverImage || null
+                    ]
+                );
+
+                for (const tag of node.tags || []) {
+                    await connection.execute(
+                        `INSERT INTO page_tags (page_id, name, created_by, created_at) VALUES (?, ?, ?, ?)`,
+                        [node.id, tag, userId, nowStr]
+                    );
+                }
+            }
+
+            // 4. 페이지 멘션 링크 기록
+            for (const node of orderedNodes) {
+                await syncPageLinks(node.id, node.content, connection);
+            }
+
+            await connection.commit();
+            return collectionId;
+        } catch (error) {
+            await connection.rollback();
+            throw error;
+        } finally {
+            connection.release();
+        }
+    }
+
+    /**
+     * 불러오기 중 복사한 이미지 삭제 (실패 시)
+     */
+    function removeImportedFiles(writtenFiles) {
+        for (const filePath of writtenFiles) {
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+            }
+        }
+    }
+
+    /**
+     * Markdown 불러오기
+     * 폴더 구조로 페이지 계층을 만들고, "폴더.md" / "폴더/폴더.md" / "폴더/index.md" / "폴더/README.md"는 폴더 페이지 본문으로 사용
+     * POST /api/backup/markdown/import
+     * body (multipart): file (.md, .markdown, .zip), collectionId? (없으면 새 컬렉션 생성)
+     */
+    router.post('/markdown/import', authMiddleware, markdownUpload.single('file'), async (req, res) => {
+        const userId = req.user.id;
+        const uploadedFile = req.file;
+
+        if (!uploadedFile) {
+            return res.status(400).json({ error: 'Markdown 파일이 업로드되지 않았습니다.' });
+        }
+
+        const targetCollectionId =
+            typeof req.body.collectionId === 'string' && req.body.collectionId.trim() !== ''
+                ? req.body.collectionId.trim()
+                : null;
+
+        const writtenFiles = [];
+
+        try {
+            if (targetCollectionId) {
+                const { permission } = await getCollectionPermission(targetCollectionId, userId);
+                if (!permission || permission === 'READ') {
+                    return res.status(403).json({ error: '이 컬렉션에 페이지를 추가할 권한이 없습니다.' });
+                }
+            }
+
+            // 1. 파일 목록 구성
+            const uploadExt = path.extname(uploadedFile.originalname);
+            const uploadName = path.basename(uploadedFile.originalname, uploadExt);
+            let rootName = null;
+            let files;
+
+            if (uploadExt.toLowerCase() === '.zip') {
+                ({ rootName, files } = stripImportRootFolder(readImportZip(new AdmZip(uploadedFile.path))));
+            } else {
+                files = new Map([[`${markdownFileName(uploadName)}.md`, () => fs.readFileSync(uploadedFile.path)]]);
+            }
+
+            const markdownPaths = Array.from(files.keys()).filter(name => /\.(md|markdown)$/i.test(name));
+            if (!markdownPaths.length) {
+                return res.status(400).json({ error: 'Markdown 파일이 없습니다.' });
+            }
+
+            // 2. 페이지 노드 구성
+            const nodes = buildImportNodes(markdownPaths, { folderNotes: true });
+            if (nodes.size > IMPORT_MAX_PAGES) {
+                return res.status(400).json({
+                    error: `한 번에 불러올 수 있는 페이지는 최대 ${IMPORT_MAX_PAGES}개입니다.`
+                });
+            }
+
+            // 3. ID와 제목 먼저 할당 (본문의 위키 링크를 페이지 멘션으로 연결하기 위해)
+            const now = new Date();
+            for (const node of nodes.values()) {
+                const markdown = node.file ? files.get(node.file)().toString('utf8') : '';
+                const { attributes, body } = parseFrontMatter(markdown);
+                const title = typeof attributes.title === 'string' && attributes.title.trim() !== ''
+                    ? attributes.title.trim()
+                    : node.name;
+
+                node.id = generatePageId(now);
+                node.title = sanitizeInput(title).slice(0, 255) || '제목 없음';
+                node.attributes = attributes;
+                node.body = body;
+            }
+
+            const resolveLink = createImportLinkResolver(nodes);
+            const assets = createImportAssets(files, userId, writtenFiles);
+
+            // 4. 본문 변환
+            for (const node of nodes.values()) {
+                const dir = importNodeDir(node);
+
+                const html = markdownToHtml(node.body, {
+                    resolveImage: (src) => {
+                        if (/^https?:\/\//i.test(src)) return src;
+                        const assetPath = assets.findAssetPath(dir, src);
+                        const stored = assetPath ? assets.importImage('imgs', assetPath) : null;
+                        return stored ? `/imgs/${stored}` : null;
+                    },
+                    resolveLink: (target) => resolveLink(dir, target)
+                });
+                node.content = sanitizeHtmlContent(html);
+
+                // 커버 이미지 (기본 커버는 그대로 유지)
+                const cover = typeof node.attributes.cover === 'string' ? node.attributes.cover.trim() : '';
+                node.coverImage = null;
+                if (DEFAULT_COVERS.includes(cover)) {
+                    node.coverImage = cover;
+                } else if (cover && !/^[a-z][a-z0-9+.-]*:/i.test(cover)) {
+                    const assetPath = assets.findAssetPath(dir, cover);
+                    node.coverImage = assetPath ? assets.importImage('covers', assetPath) : null;
+                }
+
+                const icon = typeof node.attributes.icon === 'string' ? node.attributes.icon.trim() : '';
+                node.icon = icon ? sanitizeInput(icon).slice(0, 100) : null;
+
+                const tags = node.attributes.tags;
+                node.tags = normalizePageTags(
+                    Array.isArray(tags) ? tags : (typeof tags === 'string' ? tags.split(',') : [])
+                );
+            }
+
+            // 5. 저장
+            const collectionId = await saveImportedPages(userId, targetCollectionId, rootName || uploadName, nodes, now);
+
+            console.log(`[Markdown 불러오기 완료] 사용자 ${userId} - 컬렉션: ${collectionId}, 페이지: ${nodes.size}, 이미지: ${writtenFiles.length}`);
+
+            await recordAuditEvent(req, "backup.import", {
+                targetType: "collection",
+                targetId: collectionId,
+                details: { format: "markdown", pagesCount: nodes.size, imagesCount: writtenFiles.length }
+            });
+
+            res.json({
+                ok: true,
+                collectionId,
+                pagesCount: nodes.size,
+                imagesCount: writtenFiles.length
+            });
+        } catch (error) {
+            removeImportedFiles(writtenFiles);
+            logError('POST /api/backup/markdown/import', error);
+            res.status(500).json({ error: 'Markdown 불러오기 실패: ' + error.message });
+        } finally {
+            // 임시 파일 삭제
+            if (fs.existsSync(uploadedFile.path)) {
+                fs.unlinkSync(uploadedFile.path);
+            }
+        }
+    });
+
+    // ==================== Notion 가져오기 ====================
+
+    // 응답에 담을 건너뛴 블록 최대 개수 (전체 개수는 skippedCount)
+    const NOTION_SKIPPED_REPORT_LIMIT = 200;
+
+    /**
+     * Notion 내보내기 가져오기 ("Markdown & CSV" 또는 "HTML" 형식 ZIP)
+     * 중첩된 페이지 폴더는 하위 페이지로, 콜아웃은 콜아웃 블록으로, 이미지는 에디터 이미지(/imgs/:userId/)로 변환
+     * 데이터베이스는 행 페이지를 하위 페이지로 두고 CSV 내용을 표로 표시
+     * 변환하지 못한 블록(첨부 파일, 임베드, 목차, 찾을 수 없는 이미지 등)은 응답의 skipped로 알림
+     * POST /api/backup/notion/import
+     * body (multipart): file (ZIP), collectionId? (없으면 새 컬렉션 생성)
+     */
+    router.post('/notion/import', authMiddleware, backupUpload.single('file'), async (req, res) => {
+        const userId = req.user.id;
+        const uploadedFile = req.file;
+
+        if (!uploadedFile) {
+            return res.status(400).json({ error: 'Notion 내보내기 파일이 업로드되지 않았습니다.' });
+        }
+
+        const targetCollectionId =
+            typeof req.body.collectionId === 'string' && req.body.collectionId.trim() !== ''
+                ? req.body.collectionId.trim()
+                : null;
+
+        const writtenFiles = [];
+
+        try {
+            if (targetCollectionId) {
+                const { permission } = await getCollectionPermission(targetCollectionId, userId);
+                if (!permission || permission === 'READ') {
+                    return res.status(403).json({ error: '이 컬렉션에 페이지를 추가할 권한이 없습니다.' });
+                }
+            }
+
+            // 1. 문서 목록 (데이터베이스 CSV는 "_all.csv"가 있으면 그쪽을 사용)
+            const { rootName, files } = stripImportRootFolder(readImportZip(new AdmZip(uploadedFile.path)));
+            const documents = new Map(); // 노드 경로 -> 실제 파일 경로
+
+            for (const name of files.keys()) {
+                if (/\.(md|html?)$/i.test(name)) {
+                    documents.set(name, name);
+                }
+            }
+            for (const name of files.keys()) {
+                if (!/\.csv$/i.test(name)) continue;
+                const documentPath = name.replace(/(_all)?\.csv$/i, '.csv');
+                if (/_all\.csv$/i.test(name) || !documents.has(documentPath)) {
+                    documents.set(documentPath, name);
+                }
+            }
+
+            if (!documents.size) {
+                return res.status(400).json({
+                    error: 'Notion 페이지를 찾지 못했습니다. "Markdown & CSV" 또는 "HTML" 형식으로 내보낸 ZIP인지 확인하세요.'
+                });
+            }
+
+            // 2. 페이지 노드 구성 ("제목 <ID>.md"와 "제목 <ID>/" 폴더가 한 페이지)
+            const nodes = buildImportNodes(Array.from(documents.keys()));
+            if (nodes.size > IMPORT_MAX_PAGES) {
+                return res.status(400).json({
+                    error: `한 번에 불러올 수 있는 페이지는 최대 ${IMPORT_MAX_PAGES}개입니다.`
+                });
+            }
+
+            // 3. 문서 분석 후 ID와 제목 먼저 할당 (페이지 링크를 멘션으로 연결하기 위해)
+            const now = new Date();
+            for (const node of nodes.values()) {
+                const filePath = node.file ? documents.get(node.file) : null;
+                const text = filePath ? files.get(filePath)().toString('utf8') : '';
+
+                if (filePath && /\.csv$/i.test(filePath)) {
+                    node.csv = text;
+                } else if (filePath && /\.html?$/i.test(filePath)) {
+                    node.document = parseNotionHtml(text);
+                } else if (filePath) {
+                    node.document = parseNotionMarkdown(text);
+                }
+
+                const title = (node.document && node.document.title) || stripNotionId(node.name);
+                node.id = generatePageId(now);
+                node.title = sanitizeInput(title).slice(0, 255) || '제목 없음';
+            }
+
+            const resolveLink = createImportLinkResolver(nodes);
+            const assets = createImportAssets(files, userId, writtenFiles);
+            const skipped = [];
+
+            // 4. 본문 변환
+            for (const node of nodes.values()) {
+                const dir = importNodeDir(node);
+                const onSkip = (type, detail) => {
+                    skipped.push({ pageId: node.id, pageTitle: node.title, type, detail: detail || '' });
+                };
+
+                let html = '<p></p>';
+                if (node.csv !== undefined) {
+                    // 데이터베이스: 첫 열의 행 제목을 하위 페이지로 연결
+                    const rowPages = new Map();
+                    for (const child of nodes.values()) {
+                        if (child.parentKey === node.key && !rowPages.has(child.title)) {
+                            rowPages.set(child.title, { id: child.id, title: child.title });
+                        }
+                    }
+                    html = notionCsvToHtml(node.csv, { resolveRowTitle: (title) => rowPages.get(title) || null });
+                } else if (node.document) {
+                    html = node.document.render({
+                        resolveImage: (src) => {
+                            if (/^https?:\/\//i.test(src)) return src;
+                            const assetPath = assets.findAssetPath(dir, src);
+                            const stored = assetPath ? assets.importImage('imgs', assetPath) : null;
+                            return stored ? `/imgs/${stored}` : null;
+                        },
+                        resolveLink: (target) => resolveLink(dir, target),
+                        onSkip
+                    });
+                }
+                node.content = sanitizeHtmlContent(html);
+
+                const icon = node.document && node.document.icon;
+                node.icon = icon ? sanitizeInput(icon).slice(0, 100) : null;
+
+                // 커버 이미지 (Notion 기본 커버처럼 외부 URL인 경우는 건너뜀)
+                const cover = node.document && node.document.cover;
+                node.coverImage = null;
+                if (cover) {
+                    const assetPath = /^[a-z][a-z0-9+.-]*:/i.test(cover) ? null : assets.findAssetPath(dir, cover);
+                    node.coverImage = assetPath ? assets.importImage('covers', assetPath) : null;
+                    if (!node.coverImage) {
+                        onSkip('cover', cover);
+                    }
+                }
+
+                node.tags = [];
+            }
+
+            // 5. 저장 (컬렉션 이름: 최상위 폴더, 최상위 페이지가 하나면 그 제목)
+            const rootNodes = Array.from(nodes.values()).filter(node => node.parentKey === '');
+            const collectionName = rootName
+                ? stripNotionId(rootName)
+                : (rootNodes.length === 1 ? rootNodes[0].title : 'Notion');
+            const collectionId = await saveImportedPages(userId, targetCollectionId, collectionName, nodes, now);
+
+            console.log(`[Notion 가져오기 완료] 사용자 ${userId} - 컬렉션: ${collectionId}, 페이지: ${nodes.size}, 이미지: ${writtenFiles.length}, 건너뛴 블록: ${skipped.length}`);
+
+            await recordAuditEvent(req, "backup.import", {
+                targetType: "collection",
+                targetId: collectionId,
+                details: { format: "notion", pagesCount: nodes.size, imagesCount: writtenFiles.length }
+            });
+
+            res.json({
+                ok: true,
+                collectionId,
+                pagesCount: nodes.size,
+                imagesCount: writtenFiles.length,
+                skippedCount: skipped.length,
+                skipped: skipped.slice(0, NOTION_SKIPPED_REPORT_LIMIT)
+            });
+        } catch (error) {
+            removeImportedFiles(writtenFiles);
+            logError('POST /api/backup/notion/import', error);
+            res.status(500).json({ error: 'Notion 가져오기 실패: ' + error.message });
+        } finally {
+            // 임시 파일 삭제
+            if (fs.existsSync(uploadedFile.path)) {
+                fs.unlinkSync(uploadedFile.path);
+            }
+        }
+    });
+
     /**
      * 파일명 정리 (특수문자 제거)
      */
@@ -7,7 +7,8 @@ const router = express.Router();
  * 이 파일은 컬렉션 관련 라우트를 처리합니다.
  * - 컬렉션 목록 조회
  * - 컬렉션 생성
- * - 컬렉션 삭제
+ * - 컬렉션 삭제 (휴지통으로 이동)
+ * - 컬렉션 키 및 암호화 검색 색인 관리
  */
 
 module.exports = (dependencies) => {
@@ -18,6 +19,8 @@ module.exports = (dependencies) => {
         sanitizeInput,
         createCollection,
         getCollectionPermission,
+        isCollectionInTokenScope,
+        formatDateForDb,
         logError
     } = dependencies;
 
@@ -46,12 +49,14 @@ module.exports = (dependencies) => {
                      FROM collection_shares
                      GROUP BY collection_id
                  ) sc ON c.id = sc.collection_id
-                 WHERE c.user_id = ? OR cs.shared_with_user_id IS NOT NULL
+                 WHERE (c.user_id = ? OR cs.shared_with_user_id IS NOT NULL)
+                   AND c.deleted_at IS NULL
                  ORDER BY c.sort_order ASC, c.updated_at DESC`,
                 [userId, userId, userId]
             );
 
-            const list = rows.map((row) => ({
+            // 컬렉션이 지정된 API 토큰은 허용된 컬렉션만 반환
+            const list = rows.filter((row) => isCollectionInTokenScope(req, row.id)).map((row) => ({
                 id: row.id,
                 name: row.name,
                 sortOrder: row.sort_order,
@@ -93,6 +98,7 @@ module.exports = (dependencies) => {
 
     /**
      * 컬렉션 삭제 (소유자만 가능)
+     * 휴지통으로 이동(소프트 삭제)하며, 보관 기간이 지나면 포함된 페이지와 함께 영구 삭제됨
      * DELETE /api/collections/:id
      */
     router.delete("/:id", authMiddleware, async (req, res) => {
@@ -106,8 +112,8 @@ module.exports = (dependencies) => {
             }
 
             await pool.execute(
-                `DELETE FROM collections WHERE id = ?`,
-                [id]
+                `UPDATE collections SET deleted_at = ?, deleted_by = ? WHERE id = ?`,
+                [formatDateForDb(new Date()), userId, id]
             );
 
             res.json({ ok: true, removedId: id });
@@ -207,8 +213,9 @@ module.exports = (dependencies) => {
                     [collectionId, userId]
                 );
 
+                // 소유자의 키(컬렉션 비밀번호로 감싼 키)는 반환하지 않음 - 소유자가 수신자별로 감싼 키만 허용
                 if (rows.length === 0) {
-                    return res.status(404).json({ error: "암호화 키를 찾을 수 없습니다." });
+                    return res.status(404).json({ error: "소유자가 아직 이 컬렉션의 암호화 키를 공유하지 않았습니다." });
                 }
 
                 res.json({ encryptedKey: rows[0].encrypted_key });
@@ -261,14 +268,94 @@ module.exports = (dependencies) => {
         }
     });
 
+    /**
+     * 암호화 검색 색인 조회 (컬렉션 키로 암호화된 상태 그대로 반환)
+     * GET /api/collections/:id/search-index
+     */
+    router.get("/:id/search-index", authMiddleware, async (req, res) => {
+        const collectionId = req.params.id;
+        const userId = req.user.id;
+
+        try {
+            const { permission } = await getCollectionPermission(collectionId, userId);
+            if (!permission) {
+                return res.status(403).json({ error: "접근 권한이 없습니다." });
+            }
+
+            const [rows] = await pool.execute(
+                `SELECT encrypted_index, updated_at FROM collection_search_indexes WHERE collection_id = ?`,
+                [collectionId]
+            );
+
+            if (rows.length === 0) {
+                return res.json({ encryptedIndex: null, updatedAt: null });
+            }
+
+            res.json({
+                encryptedIndex: rows[0].encrypted_index,
+                updatedAt: toIsoString(rows[0].updated_at)
+            });
+        } catch (error) {
+            logError("GET /api/collections/:id/search-index", error);
+            res.status(500).json({ error: "검색 색인 조회에 실패했습니다." });
+        }
+    });
+
+    /**
+     * 암호화 검색 색인 저장 (EDIT 이상 권한 필요)
+     * PUT /api/collections/:id/search-index
+     * body: { encryptedIndex: string }
+     */
+    router.put("/:id/search-index", authMiddleware, async (req, res) => {
+        const collectionId = req.params.id;
+        const userId = req.user.id;
+        const { encryptedIndex } = req.body;
+
+        if (typeof encryptedIndex !== "string" || encryptedIndex.length === 0) {
+            return res.status(400).json({ error: "검색 색인 데이터가 필요합니다." });
+        }
+
+        // 암호문(Base64)만 허용 - 평문 색인이 실수로 저장되는 것을 방지
+        if (!/^[A-Za-z0-9+/]+=*$/.test(encryptedIndex)) {
+            return res.status(400).json({ error: "암호화된 검색 색인만 저장할 수 있습니다." });
+        }
+
+        try {
+            const { permission } = await getCollectionPermission(collectionId, userId);
+            if (!permission || permission === 'READ') {
+                return res.status(403).json({ error: "검색 색인을 저장할 권한이 없습니다." });
+            }
+
+            const nowStr = formatDateForDb(new Date());
+            await pool.execute(
+                `INSERT INTO collection_search_indexes (collection_id, encrypted_index, updated_by, updated_at)
+                 VALUES (?, ?, ?, ?)
+                 ON DUPLICATE KEY UPDATE encrypted_index = VALUES(encrypted_index),
+                                         updated_by = VALUES(updated_by),
+                                         updated_at = VALUES(updated_at)`,
+                [collectionId, encryptedIndex, userId, nowStr]
+            );
+
+            res.json({ ok: true, updatedAt: new Date().toISOString() });
+        } catch (error) {
+            logError("PUT /api/collections/:id/search-index", error);
+            res.status(500).json({ error: "검색 색인 저장에 실패했습니다." });
+        }
+    });
+
     /**
      * 컬렉션 키를 새 수신자에게 공유
      * POST /api/collections/:id/share-key
+     * body: { username: string, encryptedKey: string } - encryptedKey는 수신자용 비밀번호로 감싼 컬렉션 키
      */
     router.post("/:id/share-key", authMiddleware, async (req, res) => {
         const collectionId = req.params.id;
         const userId = req.user.id;
-        const { sharedUserId, encryptedKey } = req.body;
+        const { username, encryptedKey } = req.body;
+
+        if (typeof username !== "string" || typeof encryptedKey !== "string" || !encryptedKey.startsWith("SALT:")) {
+            return res.status(400).json({ error: "수신자와 암호화된 키가 필요합니다." });
+        }
 
         try {
             const { isOwner } = await getCollectionPermission(collectionId, userId);
@@ -276,6 +363,21 @@ module.exports = (dependencies) => {
                 return res.status(403).json({ error: "컬렉션 소유자만 키를 공유할 수 있습니다." });
             }
 
+            // 이 컬렉션을 실제로 공유받은 사용자에게만 키 전달
+            const [shareRows] = await pool.execute(
+                `SELECT cs.shared_with_user_id
+                 FROM collection_shares cs
+                 JOIN users u ON cs.shared_with_user_id = u.id
+                 WHERE cs.collection_id = ? AND u.username = ?`,
+                [collectionId, username]
+            );
+
+            if (shareRows.length === 0) {
+                return res.status(404).json({ error: "이 컬렉션을 공유받은 사용자가 아닙니다." });
+            }
+
+            const sharedUserId = shareRows[0].shared_with_user_id;
+
             // collection_encryption_keys 테이블에 추가
             await pool.execute(
                 `INSERT INTO collection_encryption_keys (collection_id, user_id, encrypted_key, created_at, updated_at)
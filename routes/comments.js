@@ -0,0 +1,643 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * Page Comments Routes
+ *
+ * 이 파일은 페이지 댓글 관련 라우트를 처리합니다. (/api/pages 아래에 등록)
+ * - 댓글 스레드 조회 및 작성 (본문 텍스트 범위에 comment 마크로 연결)
+ * - 답글 작성, 댓글 수정/삭제
+ * - 스레드 해결/다시 열기
+ * - @아이디 멘션 (컬렉션에 접근 가능한 사용자만)
+ *
+ * 댓글은 본문을 수정하지 않으므로 읽기(READ) 권한 사용자도 작성할 수 있으며,
+ * 본문의 comment 마크는 서버가 Yjs 문서에 직접 적용합니다.
+ */
+
+const COMMENT_MAX_LENGTH = 5000;
+const COMMENT_QUOTE_MAX_LENGTH = 500;
+const COMMENT_MAX_MENTIONS = 20;
+// 알림에 함께 보여줄 댓글 앞부분 길이
+const NOTIFICATION_EXCERPT_LENGTH = 200;
+
+module.exports = (dependencies) => {
+    const {
+        pool,
+        authMiddleware,
+        toIsoString,
+        formatDateForDb,
+        getCollectionPermission,
+        wsBroadcastToPage,
+        applyYjsCommentMark,
+        removeYjsCommentMark,
+        enqueueWebhookEvent,
+        createNotification,
+        logError
+    } = dependencies;
+
+    /**
+     * 댓글을 달 수 있는 페이지 확인 (권한이 없으면 응답 후 null 반환)
+     * 암호화된 페이지는 서버가 본문을 읽을 수 없으므로 댓글을 지원하지 않음
+     */
+    async function getCommentTargetPage(pageId, userId, res) {
+        const [pageRows] = await pool.execute(
+            `SELECT p.id, p.title, p.collection_id, p.is_encrypted, c.user_id AS collection_owner_id
+             FROM pages p
+             JOIN collections c ON p.collection_id = c.id
+             WHERE p.id = ? AND p.deleted_at IS NULL`,
+            [pageId]
+        );
+
+        if (!pageRows.length) {
+            res.status(404).json({ error: "페이지를 찾을 수 없습니다." });
+            return null;
+        }
+
+        const page = pageRows[0];
+        const { permission } = await getCollectionPermission(page.collection_id, userId);
+        if (!permission) {
+            res.status(403).json({ error: "권한이 없습니다." });
+            return null;
+        }
+
+        if (page.is_encrypted === 1) {
+            res.status(400).json({ error: "암호화된 페이지는 댓글을 지원하지 않습니다." });
+            return null;
+        }
+
+        return { page, permission };
+    }
+
+    /**
+     * 댓글 본문 검증 (앞뒤 공백 제거, 길이 제한)
+     * @returns {string|null}
+     */
+    function normalizeCommentContent(content) {
+        if (typeof content !== "string") {
+            return null;
+        }
+
+        const trimmed = content.trim();
+        if (!trimmed || trimmed.length > COMMENT_MAX_LENGTH) {
+            return null;
+        }
+
+        return trimmed;
+    }
+
+    /**
+     * 페이지의 컬렉션에 접근할 수 있는 사용자 목록 (소유자 + 공유 대상)
+     */
+    async function getPageMembers(page) {
+        const [rows] = await pool.execute(
+            `SELECT u.id, u.username
+             FROM users u
+             WHERE u.is_disabled = 0
+               AND (u.id = ? OR u.id IN (SELECT shared_with_user_id FROM collection_shares WHERE collection_id = ?))
+             ORDER BY u.username ASC`,
+            [page.collection_owner_id, page.collection_id]
+        );
+        return rows;
+    }
+
+    /**
+     * 댓글 본문의 @아이디 중 페이지에 접근 가능한 사용자만 멘션으로 인정
+     * 아이디 뒤에 붙은 문장 부호(쉼표, 마침표 등)는 제외하고도 비교
+     * @returns {Promise<Array<{id: number, username: string}>>}
+     */
+    async function resolveMentions(page, content) {
+        const candidates = new Set();
+        for (const match of content.matchAll(/@([^\s@]+)/g)) {
+            candidates.add(match[1]);
+            candidates.add(match[1].replace(/[.,!?;:)\]]+$/, ""));
+        }
+
+        if (candidates.size === 0) {
+            return [];
+        }
+
+        const members = await getPageMembers(page);
+        return members
+            .filter((member) => candidates.has(member.username))
+            .slice(0, COMMENT_MAX_MENTIONS);
+    }
+
+    /**
+     * DB 행 → 응답 객체
+     */
+    function serializeComment(row, userId, permission, usernames) {
+        let mentionIds = [];
+        if (row.mentions) {
+            try {
+                mentionIds = JSON.parse(row.mentions);
+            } catch (error) {
+                mentionIds = [];
+            }
+        }
+
+        return {
+            id: row.id,
+            threadId: row.thread_id || row.id,
+            content: row.content,
+            userId: row.user_id,
+            username: row.username || null,
+            mentions: mentionIds.map((id) => usernames.get(id)).filter(Boolean),
+            createdAt: toIsoString(row.created_at),
+            updatedAt: toIsoString(row.updated_at),
+            canEdit: row.user_id === userId,
+            canDelete: row.user_id === userId || permission === "ADMIN"
+        };
+    }
+
+    /**
+     * 댓글 한 개 조회 (스레드 확인용)
+     */
+    async function getComment(pageId, commentId) {
+        if (!Number.isInteger(commentId) || commentId <= 0) {
+            return null;
+        }
+
+        const [rows] = await pool.execute(
+            `SELECT id, page_id, thread_id, user_id, content, mentions, resolved_at
+             FROM page_comments WHERE id = ? AND page_id = ?`,
+            [commentId, pageId]
+        );
+        return rows[0] || null;
+    }
+
+    /**
+     * 저장된 댓글을 응답 형식으로 다시 조회
+     */
+    async function loadSerializedComment(commentId, userId, permission) {
+        const [rows] = await pool.execute(
+            `SELECT pc.*, u.username
+             FROM page_comments pc
+             LEFT JOIN users u ON pc.user_id = u.id
+             WHERE pc.id = ?`,
+            [commentId]
+        );
+        const usernames = await getUsernameMap(rows);
+        return serializeComment(rows[0], userId, permission, usernames);
+    }
+
+    /**
+     * 멘션된 사용자 ID → 아이디 (삭제된 사용자는 제외됨)
+     */
+    async function getUsernameMap(rows) {
+        const ids = new Set();
+        rows.forEach((row) => {
+            if (!row.mentions) return;
+            try {
+                JSON.parse(row.mentions).forEach((id) => ids.add(Number(id)));
+            } catch (error) {
+                // 잘못된 값은 무시
+            }
+        });
+
+        const usernames = new Map();
+        if (ids.size === 0) {
+            return usernames;
+        }
+
+        const idList = [...ids];
+        const [userRows] = await pool.execute(
+            `SELECT id, username FROM users WHERE id IN (${idList.map(() => '?').join(',')})`,
+            idList
+        );
+        userRows.forEach((row) => usernames.set(row.id, row.username));
+        return usernames;
+    }
+
+    /**
+     * 새 댓글을 페이지를 보고 있는 다른 사용자에게 전송하고 웹훅 대기열에 추가
+     */
+    function publishNewComment(page, comment, quote, userId) {
+        wsBroadcastToPage(page.id, 'comment-change', {
+            pageId: page.id,
+            action: 'added',
+            threadId: comment.threadId,
+            comment
+        }, userId);
+
+        enqueueWebhookEvent(page.collection_id, "comment.added", {
+            page: { id: page.id, title: page.title },
+            comment: {
+                id: comment.id,
+                threadId: comment.threadId,
+                content: comment.content,
+                quote: quote || null,
+                author: comment.username,
+                mentions: comment.mentions
+            }
+        }, userId);
+    }
+
+    /**
+     * 댓글 알림 (멘션된 사용자, 답글이면 스레드 참여자)
+     * 작성자 본인과 이미 멘션 알림을 받은 사용자에게는 답글 알림을 다시 보내지 않음
+     */
+    async function notifyCommentRecipients(page, comment, mentions, actor, { isReply = false } = {}) {
+        const data = {
+            page: { id: page.id, title: page.title },
+            commentId: comment.id,
+            threadId: comment.threadId,
+            excerpt: comment.content.slice(0, NOTIFICATION_EXCERPT_LENGTH)
+        };
+        const notified = new Set([actor.id]);
+
+        mentions.forEach((member) => {
+            if (notified.has(member.id)) return;
+            notified.add(member.id);
+            createNotification(member.id, "comment.mention", { actor, data });
+        });
+
+        if (!isReply) return;
+
+        // 스레드 참여자 중 아직 페이지에 접근할 수 있는 사용자에게만 알림
+        const [rows] = await pool.execute(
+            `SELECT DISTINCT user_id FROM page_comments
+             WHERE (id = ? OR thread_id = ?) AND user_id IS NOT NULL`,
+            [comment.threadId, comment.threadId]
+        );
+        const memberIds = new Set((await getPageMembers(page)).map((member) => member.id));
+
+        rows.forEach((row) => {
+            if (notified.has(row.user_id) || !memberIds.has(row.user_id)) return;
+            notified.add(row.user_id);
+            createNotification(row.user_id, "comment.reply", { actor, data });
+        });
+    }
+
+    /**
+     * 페이지 댓글 스레드 목록 조회 (스레드는 작성순, 답글은 작성순)
+     * GET /api/pages/:id/comments
+     */
+    router.get("/:id/comments", authMiddleware, async (req, res) => {
+        const pageId = req.params.id;
+        const userId = req.user.id;
+
+        try {
+            const target = await getCommentTargetPage(pageId, userId, res);
+            if (!target) return;
+
+            const { permission } = target;
+
+            const [rows] = await pool.execute(
+                `SELECT pc.*, u.username, ru.username AS resolved_by_username
+                 FROM page_comments pc
+                 LEFT JOIN users u ON pc.user_id = u.id
+                 LEFT JOIN users ru ON pc.resolved_by = ru.id
+                 WHERE pc.page_id = ?
+                 ORDER BY pc.created_at ASC, pc.id ASC`,
+                [pageId]
+            );
+
+            const usernames = await getUsernameMap(rows);
+            const threads = [];
+            const threadMap = new Map();
+
+            rows.filter((row) => row.thread_id === null).forEach((row) => {
+                const thread = {
+                    id: row.id,
+                    quote: row.quote || null,
+                    resolved: !!row.resolved_at,
+                    resolvedAt: row.resolved_at ? toIsoString(row.resolved_at) : null,
+                    resolvedBy: row.resolved_by_username || null,
+                    canResolve: row.user_id === userId || permission !== "READ",
+                    comments: [serializeComment(row, userId, permission, usernames)]
+                };
+                threads.push(thread);
+                threadMap.set(row.id, thread);
+            });
+
+            rows.filter((row) => row.thread_id !== null).forEach((row) => {
+                const thread = threadMap.get(row.thread_id);
+                if (thread) {
+                    thread.comments.push(serializeComment(row, userId, permission, usernames));
+                }
+            });
+
+            res.json({ threads });
+        } catch (error) {
+            logError("GET /api/pages/:id/comments", error);
+            res.status(500).json({ error: "댓글 조회 실패." });
+        }
+    });
+
+    /**
+     * 멘션할 수 있는 사용자 목록 (컬렉션 소유자 + 공유 대상)
+     * GET /api/pages/:id/comments/members
+     */
+    router.get("/:id/comments/members", authMiddleware, async (req, res) => {
+        const pageId = req.params.id;
+        const userId = req.user.id;
+
+        try {
+            const target = await getCommentTargetPage(pageId, userId, res);
+            if (!target) return;
+
+            const members = await getPageMembers(target.page);
+            res.json({ members: members.map((member) => member.username) });
+        } catch (error) {
+            logError("GET /api/pages/:id/comments/members", error);
+            res.status(500).json({ error: "사용자 목록 조회 실패." });
+        }
+    });
+
+    /**
+     * 댓글 스레드 작성
+     * POST /api/pages/:id/comments
+     * body: { content: string, quote?: string, anchor?: { from: string, to: string } }
+     * anchor는 편집기에서 선택한 범위의 Y.RelativePosition (base64), 없으면 페이지 전체에 대한 댓글
+     */
+    router.post("/:id/comments", authMiddleware, async (req, res) => {
+        const pageId = req.params.id;
+        const userId = req.user.id;
+        const content = normalizeCommentContent(req.body.content);
+        const { anchor } = req.body;
+
+        if (!content) {
+            return res.status(400).json({ error: `댓글은 1~${COMMENT_MAX_LENGTH}자로 입력해 주세요.` });
+        }
+
+        if (anchor !== undefined && anchor !== null
+            && (typeof anchor !== "object" || typeof anchor.from !== "string" || typeof anchor.to !== "string")) {
+            return res.status(400).json({ error: "댓글 위치 정보가 올바르지 않습니다." });
+        }
+
+        const quote = typeof req.body.quote === "string"
+            ? req.body.quote.replace(/\s+/g, " ").trim().slice(0, COMMENT_QUOTE_MAX_LENGTH)
+            : "";
+
+        try {
+            const target = await getCommentTargetPage(pageId, userId, res);
+            if (!target) return;
+
+            const { page, permission } = target;
+            const mentions = await resolveMentions(page, content);
+            const nowStr = formatDateForDb(new Date());
+
+            const [result] = await pool.execute(
+                `INSERT INTO page_comments (page_id, thread_id, user_id, content, quote, mentions, created_at, updated_at)
+                 VALUES (?, NULL, ?, ?, ?, ?, ?, ?)`,
+                [pageId, userId, content, quote || null,
+                    mentions.length ? JSON.stringify(mentions.map((m) => m.id)) : null, nowStr, nowStr]
+            );
+            const threadId = result.insertId;
+
+            // 본문에 위치 표시 (실패하면 스레드를 남기지 않음)
+            if (anchor) {
+                let anchored = false;
+                try {
+                    anchored = await applyYjsCommentMark(pageId, anchor, threadId, userId);
+                } catch (error) {
+                    logError("POST /api/pages/:id/comments (anchor)", error);
+                }
+
+                if (!anchored) {
+                    await pool.execute(`DELETE FROM page_comments WHERE id = ?`, [threadId]);
+                    return res.status(409).json({
+                        error: "선택한 텍스트를 찾을 수 없습니다. 한 문단 안의 텍스트를 다시 선택해 주세요."
+                    });
+                }
+            }
+
+            const comment = await loadSerializedComment(threadId, userId, permission);
+            publishNewComment(page, comment, quote, userId);
+            notifyCommentRecipients(page, comment, mentions, req.user)
+                .catch((error) => logError("POST /api/pages/:id/comments (notify)", error));
+
+            res.status(201).json({
+                thread: {
+                    id: threadId,
+                    quote: quote || null,
+                    resolved: false,
+                    resolvedAt: null,
+                    resolvedBy: null,
+                    canResolve: true,
+                    comments: [comment]
+                }
+            });
+        } catch (error) {
+            logError("POST /api/pages/:id/comments", error);
+            res.status(500).json({ error: "댓글 작성 실패." });
+        }
+    });
+
+    /**
+     * 답글 작성 (해결된 스레드에 답글을 달면 다시 열림)
+     * POST /api/pages/:id/comments/:commentId/replies
+     * body: { content: string }
+     */
+    router.post("/:id/comments/:commentId/replies", authMiddleware, async (req, res) => {
+        const pageId = req.params.id;
+        const commentId = Number(req.params.commentId);
+        const userId = req.user.id;
+        const content = normalizeCommentContent(req.body.content);
+
+        if (!content) {
+            return res.status(400).json({ error: `댓글은 1~${COMMENT_MAX_LENGTH}자로 입력해 주세요.` });
+        }
+
+        try {
+            const target = await getCommentTargetPage(pageId, userId, res);
+            if (!target) return;
+
+            const { page, permission } = target;
+            const parent = await getComment(pageId, commentId);
+            if (!parent) {
+                return res.status(404).json({ error: "댓글을 찾을 수 없습니다." });
+            }
+
+            const threadId = parent.thread_id || parent.id;
+            const mentions = await resolveMentions(page, content);
+            const nowStr = formatDateForDb(new Date());
+
+            const [result] = await pool.execute(
+                `INSERT INTO page_comments (page_id, thread_id, user_id, content, mentions, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [pageId, threadId, userId, content,
+                    mentions.length ? JSON.stringify(mentions.map((m) => m.id)) : null, nowStr, nowStr]
+            );
+
+            await pool.execute(
+                `UPDATE page_comments SET resolved_at = NULL, resolved_by = NULL WHERE id = ? AND resolved_at IS NOT NULL`,
+                [threadId]
+            );
+
+            const comment = await loadSerializedComment(result.insertId, userId, permission);
+            publishNewComment(page, comment, null, userId);
+            notifyCommentRecipients(page, comment, mentions, req.user, { isReply: true })
+                .catch((error) => logError("POST /api/pages/:id/comments/:commentId/replies (notify)", error));
+
+            res.status(201).json({ comment });
+        } catch (error) {
+            logError("POST /api/pages/:id/comments/:commentId/replies", error);
+            res.status(500).json({ error: "답글 작성 실패." });
+        }
+    });
+
+    /**
+     * 댓글 수정 (작성자만)
+     * PATCH /api/pages/:id/comments/:commentId
+     * body: { content: string }
+     */
+    router.patch("/:id/comments/:commentId", authMiddleware, async (req, res) => {
+        const pageId = req.params.id;
+        const commentId = Number(req.params.commentId);
+        const userId = req.user.id;
+        const content = normalizeCommentContent(req.body.content);
+
+        if (!content) {
+            return res.status(400).json({ error: `댓글은 1~${COMMENT_MAX_LENGTH}자로 입력해 주세요.` });
+        }
+
+        try {
+            const target = await getCommentTargetPage(pageId, userId, res);
+            if (!target) return;
+
+            const { page, permission } = target;
+            const existing = await getComment(pageId, commentId);
+            if (!existing) {
+                return res.status(404).json({ error: "댓글을 찾을 수 없습니다." });
+            }
+
+            if (existing.user_id !== userId) {
+                return res.status(403).json({ error: "자신이 작성한 댓글만 수정할 수 있습니다." });
+            }
+
+            const mentions = await resolveMentions(page, content);
+
+            await pool.execute(
+                `UPDATE page_comments SET content = ?, mentions = ?, updated_at = ? WHERE id = ?`,
+                [content, mentions.length ? JSON.stringify(mentions.map((m) => m.id)) : null,
+                    formatDateForDb(new Date()), commentId]
+            );
+
+            const comment = await loadSerializedComment(commentId, userId, permission);
+
+            // 수정하면서 새로 멘션한 사용자에게만 알림
+            let previousMentionIds = [];
+            try {
+                previousMentionIds = existing.mentions ? JSON.parse(existing.mentions).map(Number) : [];
+            } catch (error) {
+                previousMentionIds = [];
+            }
+            const addedMentions = mentions.filter((member) => !previousMentionIds.includes(member.id));
+            notifyCommentRecipients(page, comment, addedMentions, req.user)
+                .catch((error) => logError("PATCH /api/pages/:id/comments/:commentId (notify)", error));
+
+            wsBroadcastToPage(pageId, 'comment-change', {
+                pageId,
+                action: 'updated',
+                threadId: comment.threadId,
+                comment
+            }, userId);
+
+            res.json({ comment });
+        } catch (error) {
+            logError("PATCH /api/pages/:id/comments/:commentId", error);
+            res.status(500).json({ error: "댓글 수정 실패." });
+        }
+    });
+
+    /**
+     * 스레드 해결 / 다시 열기 (스레드 작성자 또는 쓰기 권한 사용자)
+     * POST /api/pages/:id/comments/:commentId/resolve
+     * POST /api/pages/:id/comments/:commentId/reopen
+     */
+    ["resolve", "reopen"].forEach((action) => {
+        router.post(`/:id/comments/:commentId/${action}`, authMiddleware, async (req, res) => {
+            const pageId = req.params.id;
+            const commentId = Number(req.params.commentId);
+            const userId = req.user.id;
+
+            try {
+                const target = await getCommentTargetPage(pageId, userId, res);
+                if (!target) return;
+
+                const thread = await getComment(pageId, commentId);
+                if (!thread || thread.thread_id !== null) {
+                    return res.status(404).json({ error: "스레드를 찾을 수 없습니다." });
+                }
+
+                if (thread.user_id !== userId && target.permission === "READ") {
+                    return res.status(403).json({ error: "스레드를 해결할 권한이 없습니다." });
+                }
+
+                if (action === "resolve") {
+                    await pool.execute(
+                        `UPDATE page_comments SET resolved_at = ?, resolved_by = ? WHERE id = ?`,
+                        [formatDateForDb(new Date()), userId, commentId]
+                    );
+                } else {
+                    await pool.execute(
+                        `UPDATE page_comments SET resolved_at = NULL, resolved_by = NULL WHERE id = ?`,
+                        [commentId]
+                    );
+                }
+
+                wsBroadcastToPage(pageId, 'comment-change', {
+                    pageId,
+                    action: action === "resolve" ? 'resolved' : 'reopened',
+                    threadId: commentId
+                }, userId);
+
+                res.json({ ok: true, resolved: action === "resolve" });
+            } catch (error) {
+                logError(`POST /api/pages/:id/comments/:commentId/${action}`, error);
+                res.status(500).json({ error: action === "resolve" ? "스레드 해결 실패." : "스레드 다시 열기 실패." });
+            }
+        });
+    });
+
+    /**
+     * 댓글 삭제 (작성자 또는 컬렉션 관리자, 첫 댓글을 삭제하면 스레드 전체와 본문 표시 삭제)
+     * DELETE /api/pages/:id/comments/:commentId
+     */
+    router.delete("/:id/comments/:commentId", authMiddleware, async (req, res) => {
+        const pageId = req.params.id;
+        const commentId = Number(req.params.commentId);
+        const userId = req.user.id;
+
+        try {
+            const target = await getCommentTargetPage(pageId, userId, res);
+            if (!target) return;
+
+            const existing = await getComment(pageId, commentId);
+            if (!existing) {
+                return res.status(404).json({ error: "댓글을 찾을 수 없습니다." });
+            }
+
+            if (existing.user_id !== userId && target.permission !== "ADMIN") {
+                return res.status(403).json({ error: "댓글을 삭제할 권한이 없습니다." });
+            }
+
+            // 답글은 ON DELETE CASCADE로 함께 삭제됨
+            await pool.execute(`DELETE FROM page_comments WHERE id = ?`, [commentId]);
+
+            const isThread = existing.thread_id === null;
+            if (isThread) {
+                try {
+                    await removeYjsCommentMark(pageId, commentId, userId);
+                } catch (error) {
+                    logError("DELETE /api/pages/:id/comments/:commentId (anchor)", error);
+                }
+            }
+
+            wsBroadcastToPage(pageId, 'comment-change', {
+                pageId,
+                action: 'deleted',
+                threadId: existing.thread_id || existing.id,
+                commentId
+            }, userId);
+
+            res.json({ ok: true });
+        } catch (error) {
+            logError("DELETE /api/pages/:id/comments/:commentId", error);
+            res.status(500).json({ error: "댓글 삭제 실패." });
+        }
+    });
+
+    return router;
+};
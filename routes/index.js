@@ -1,25 +1,30 @@
 const express = require('express');
 const path = require('path');
+const fs = require('fs');
 const router = express.Router();
 
 /**
  * Static & Debug Routes
  *
  * 이 파일은 정적 페이지 및 디버그 라우트를 처리합니다.
- * - 메인 페이지, 로그인 페이지, 회원가입 페이지
+ * - 메인 페이지, 로그인 페이지, 회원가입 페이지, 비밀번호 재설정 페이지
  * - 앱 아이콘
  * - 헬스 체크 API
+ * - 발행된 페이지 / 링크 공유된 컬렉션 공개 뷰
  */
 
 module.exports = (dependencies) => {
-    const { getSessionFromRequest, pool, logError, toIsoString } = dependencies;
+    const { getSessionFromRequest, pool, logError, toIsoString, formatDateForDb } = dependencies;
 
     /**
      * 메인 화면
      * GET /
      */
-    router.get("/", (req, res) => {
-        const session = getSessionFromRequest(req);
+    router.get("/", async (req, res) => {
+        const session = await getSessionFromRequest(req).catch((error) => {
+            logError("GET /", error);
+            return null;
+        });
 
         if (!session) {
             return res.redirect("/login");
@@ -32,8 +37,11 @@ module.exports = (dependencies) => {
      * 로그인 페이지
      * GET /login
      */
-    router.get("/login", (req, res) => {
-        const session = getSessionFromRequest(req);
+    router.get("/login", async (req, res) => {
+        const session = await getSessionFromRequest(req).catch((error) => {
+            logError("GET /login", error);
+            return null;
+        });
 
         if (session) {
             return res.redirect("/");
@@ -46,8 +54,11 @@ module.exports = (dependencies) => {
      * 회원가입 페이지
      * GET /register
      */
-    router.get("/register", (req, res) => {
-        const session = getSessionFromRequest(req);
+    router.get("/register", async (req, res) => {
+        const session = await getSessionFromRequest(req).catch((error) => {
+            logError("GET /register", error);
+            return null;
+        });
 
         if (session) {
             return res.redirect("/");
@@ -56,6 +67,14 @@ module.exports = (dependencies) => {
         return res.sendFile(path.join(__dirname, "..", "public", "register.html"));
     });
 
+    /**
+     * 비밀번호 재설정 페이지 (로그인 여부와 관계없이 표시)
+     * GET /reset-password
+     */
+    router.get("/reset-password", (req, res) => {
+        return res.sendFile(path.join(__dirname, "..", "public", "reset-password.html"));
+    });
+
     /**
      * 앱 아이콘
      * GET /icon.png
@@ -83,6 +102,14 @@ module.exports = (dependencies) => {
         return res.sendFile(path.join(__dirname, "..", "public", "shared-page.html"));
     });
 
+    /**
+     * 링크 공유된 컬렉션 공개 뷰 (HTML)
+     * GET /shared/collection/:token
+     */
+    router.get("/shared/collection/:token", (req, res) => {
+        return res.sendFile(path.join(__dirname, "..", "public", "shared-collection.html"));
+    });
+
     /**
      * 공개 페이지 접근 시도 추적 (브루트포스 방지)
      */
@@ -135,6 +162,39 @@ module.exports = (dependencies) => {
         return true;
     }
 
+    /**
+     * 공유 컬렉션 요청 추적
+     * 한 번 열면 트리, 페이지, 이미지를 연달아 요청하므로 발행 페이지보다 넉넉한 한도를 사용하고,
+     * 잘못된 토큰만 브루트포스 방지 한도(checkSharedPageAccess)에 포함
+     */
+    const sharedCollectionRequests = new Map(); // IP -> { count, resetTime }
+    const SHARED_COLLECTION_MAX_REQUESTS = 300; // 분당 최대 300회 요청
+
+    function checkSharedCollectionAccess(clientIp, token, isValid) {
+        if (!isValid) {
+            return checkSharedPageAccess(clientIp, token, false);
+        }
+
+        const now = Date.now();
+        const requests = sharedCollectionRequests.get(clientIp);
+
+        if (!requests || now >= requests.resetTime) {
+            sharedCollectionRequests.set(clientIp, {
+                count: 1,
+                resetTime: now + SHARED_PAGE_RATE_LIMIT_WINDOW
+            });
+            return true;
+        }
+
+        requests.count++;
+        if (requests.count > SHARED_COLLECTION_MAX_REQUESTS) {
+            console.warn(`[공유 컬렉션 보안] IP ${clientIp}의 과도한 요청 차단 (${requests.count}회)`);
+            return false;
+        }
+
+        return true;
+    }
+
     // 5분마다 만료된 접근 시도 기록 정리
     setInterval(() => {
         const now = Date.now();
@@ -143,6 +203,11 @@ module.exports = (dependencies) => {
                 sharedPageAccessAttempts.delete(ip);
             }
         }
+        for (const [ip, requests] of sharedCollectionRequests.entries()) {
+            if (now > requests.resetTime) {
+                sharedCollectionRequests.delete(ip);
+            }
+        }
     }, 5 * 60 * 1000);
 
     /**
@@ -177,7 +242,7 @@ module.exports = (dependencies) => {
             const [pageRows] = await pool.execute(
                 `SELECT id, title, content, icon, cover_image, cover_position
                  FROM pages
-                 WHERE id = ? AND is_encrypted = 0`,
+                 WHERE id = ? AND is_encrypted = 0 AND deleted_at IS NULL`,
                 [pageId]
             );
 
@@ -206,5 +271,189 @@ module.exports = (dependencies) => {
         }
     });
 
+    /**
+     * 유효한(활성, 만료 전) 컬렉션 공유 링크 조회
+     */
+    async function findActiveShareLink(token) {
+        const [rows] = await pool.execute(
+            `SELECT sl.collection_id, sl.permission, c.name
+             FROM share_links sl
+             JOIN collections c ON sl.collection_id = c.id
+             WHERE sl.token = ? AND sl.is_active = 1
+               AND (sl.expires_at IS NULL OR sl.expires_at > ?)
+               AND c.deleted_at IS NULL`,
+            [token, formatDateForDb(new Date())]
+        );
+        return rows.length ? rows[0] : null;
+    }
+
+    /**
+     * 링크 공유된 컬렉션 데이터 API (페이지 트리, 암호화 페이지 제외)
+     * GET /api/shared/collection/:token
+     */
+    router.get("/api/shared/collection/:token", async (req, res) => {
+        const token = req.params.token;
+        const clientIp = req.ip || req.socket.remoteAddress || req.headers['x-forwarded-for'] || 'unknown';
+
+        try {
+            const link = await findActiveShareLink(token);
+
+            if (!checkSharedCollectionAccess(clientIp, token, link !== null)) {
+                return res.status(429).json({ error: "너무 많은 요청입니다. 잠시 후 다시 시도해주세요." });
+            }
+
+            if (!link) {
+                console.log(`[공유 컬렉션 접근] 실패 - 토큰: ${token.substring(0, 8)}..., IP: ${clientIp}`);
+                return res.status(404).json({ error: "유효하지 않거나 만료된 공유 링크입니다." });
+            }
+
+            const [pageRows] = await pool.execute(
+                `SELECT id, title, icon, parent_id, sort_order, updated_at
+                 FROM pages
+                 WHERE collection_id = ? AND is_encrypted = 0 AND deleted_at IS NULL
+                 ORDER BY parent_id IS NULL DESC, sort_order ASC, updated_at DESC`,
+                [link.collection_id]
+            );
+
+            res.json({
+                collection: { name: link.name },
+                permission: link.permission,
+                pages: pageRows.map((row) => ({
+                    id: row.id,
+                    title: row.title || "제목 없음",
+                    icon: row.icon || null,
+                    parentId: row.parent_id,
+                    sortOrder: row.sort_order,
+                    updatedAt: toIsoString(row.updated_at)
+                }))
+            });
+        } catch (error) {
+            logError("GET /api/shared/collection/:token", error);
+            res.status(500).json({ error: "컬렉션 로드 실패" });
+        }
+    });
+
+    /**
+     * 링크 공유된 컬렉션의 페이지 데이터 API
+     * GET /api/shared/collection/:token/pages/:pageId
+     */
+    router.get("/api/shared/collection/:token/pages/:pageId", async (req, res) => {
+        const { token, pageId } = req.params;
+        const clientIp = req.ip || req.socket.remoteAddress || req.headers['x-forwarded-for'] || 'unknown';
+
+        try {
+            const link = await findActiveShareLink(token);
+
+            if (!checkSharedCollectionAccess(clientIp, token, link !== null)) {
+                return res.status(429).json({ error: "너무 많은 요청입니다. 잠시 후 다시 시도해주세요." });
+            }
+
+            if (!link) {
+                return res.status(404).json({ error: "유효하지 않거나 만료된 공유 링크입니다." });
+            }
+
+            const [pageRows] = await pool.execute(
+                `SELECT id, title, content, icon, cover_image, cover_position
+                 FROM pages
+                 WHERE id = ? AND collection_id = ? AND is_encrypted = 0 AND deleted_at IS NULL`,
+                [pageId, link.collection_id]
+            );
+
+            if (!pageRows.length) {
+                return res.status(404).json({ error: "페이지를 찾을 수 없습니다." });
+            }
+
+            const page = pageRows[0];
+
+            // 에디터 이미지(/imgs/...)는 로그인이 필요하므로 공유 링크 범위의 이미지 경로로 변경
+            const sharedImgBase = `/api/shared/collection/${encodeURIComponent(token)}/imgs/`;
+            const content = (page.content || "<p></p>")
+                .replace(/(<img[^>]+src=["'])\/imgs\//g, `$1${sharedImgBase}`);
+
+            res.json({
+                id: page.id,
+                title: page.title || "제목 없음",
+                content,
+                icon: page.icon || null,
+                coverImage: page.cover_image || null,
+                coverPosition: page.cover_position || 50
+            });
+        } catch (error) {
+            logError("GET /api/shared/collection/:token/pages/:pageId", error);
+            res.status(500).json({ error: "페이지 로드 실패" });
+        }
+    });
+
+    /**
+     * 링크 공유된 컬렉션의 이미지 파일 전송
+     * 컬렉션 안의 공개 페이지(암호화 제외)가 실제로 사용하는 파일만 허용
+     */
+    async function sendSharedCollectionFile(req, res, kind) {
+        const token = req.params.token;
+        const clientIp = req.ip || req.socket.remoteAddress || req.headers['x-forwarded-for'] || 'unknown';
+
+        try {
+            const link = await findActiveShareLink(token);
+
+            if (!checkSharedCollectionAccess(clientIp, token, link !== null)) {
+                return res.status(429).json({ error: "너무 많은 요청입니다. 잠시 후 다시 시도해주세요." });
+            }
+
+            if (!link) {
+                return res.status(404).json({ error: "유효하지 않거나 만료된 공유 링크입니다." });
+            }
+
+            // 파일명 새니타이제이션 (경로 조작 방지)
+            const ownerId = parseInt(req.params.userId, 10);
+            const sanitizedFilename = path.basename(req.params.filename);
+            if (!Number.isInteger(ownerId) || ownerId <= 0) {
+                return res.status(404).json({ error: "파일을 찾을 수 없습니다." });
+            }
+
+            const filePath = `${ownerId}/${sanitizedFilename}`;
+            const [rows] = kind === "imgs"
+                ? await pool.execute(
+                    `SELECT id FROM pages
+                     WHERE collection_id = ? AND is_encrypted = 0 AND deleted_at IS NULL
+                       AND content LIKE ?
+                     LIMIT 1`,
+                    [link.collection_id, `%/imgs/${filePath}%`]
+                )
+                : await pool.execute(
+                    `SELECT id FROM pages
+                     WHERE collection_id = ? AND is_encrypted = 0 AND deleted_at IS NULL
+                       AND cover_image = ?
+                     LIMIT 1`,
+                    [link.collection_id, filePath]
+                );
+
+            const absolutePath = path.join(__dirname, "..", kind, String(ownerId), sanitizedFilename);
+            if (!rows.length || !fs.existsSync(absolutePath)) {
+                return res.status(404).json({ error: "파일을 찾을 수 없습니다." });
+            }
+
+            return res.sendFile(absolutePath);
+        } catch (error) {
+            logError(`GET /api/shared/collection/:token/${kind}/:userId/:filename`, error);
+            res.status(500).json({ error: "파일 로드 실패" });
+        }
+    }
+
+    /**
+     * 링크 공유된 컬렉션의 에디터 이미지
+     * GET /api/shared/collection/:token/imgs/:userId/:filename
+     */
+    router.get("/api/shared/collection/:token/imgs/:userId/:filename", (req, res) => {
+        return sendSharedCollectionFile(req, res, "imgs");
+    });
+
+    /**
+     * 링크 공유된 컬렉션의 커버 이미지
+     * GET /api/shared/collection/:token/covers/:userId/:filename
+     */
+    router.get("/api/shared/collection/:token/covers/:userId/:filename", (req, res) => {
+        return sendSharedCollectionFile(req, res, "covers");
+    });
+
     return router;
 };
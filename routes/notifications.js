@@ -0,0 +1,237 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * Notifications Routes
+ *
+ * 이 파일은 알림 센터 라우트를 처리합니다.
+ * - 알림 목록 조회 (읽음/안 읽음 상태, 안 읽은 알림 수)
+ * - 읽음 처리 (개별/전체)
+ * - 종류별 알림 받기 설정
+ *
+ * 알림 생성은 server.js의 createNotification에서 처리합니다
+ * (컬렉션 공유/공유 해제, 댓글 멘션/답글, 처음 보는 국가에서의 로그인).
+ */
+
+module.exports = (dependencies) => {
+    const {
+        pool,
+        authMiddleware,
+        formatDateForDb,
+        serializeNotification,
+        parseNotificationPreferences,
+        NOTIFICATION_TYPES,
+        logError
+    } = dependencies;
+
+    const DEFAULT_LIMIT = 30;
+    const MAX_LIMIT = 100;
+
+    /**
+     * 안 읽은 알림 수
+     */
+    async function getUnreadCount(userId) {
+        const [rows] = await pool.execute(
+            `SELECT COUNT(*) AS cnt FROM notifications WHERE user_id = ? AND read_at IS NULL`,
+            [userId]
+        );
+        return Number(rows[0].cnt);
+    }
+
+    /**
+     * 알림 목록 조회 (최신순)
+     * GET /api/notifications?unread=1&before=<id>&limit=30
+     */
+    router.get("/", authMiddleware, async (req, res) => {
+        const userId = req.user.id;
+        const unreadOnly = req.query.unread === "1" || req.query.unread === "true";
+        const before = Number.parseInt(req.query.before, 10);
+        const limit = Math.min(Math.max(Number.parseInt(req.query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+        try {
+            const conditions = ["user_id = ?"];
+            const params = [userId];
+
+            if (unreadOnly) {
+                conditions.push("read_at IS NULL");
+            }
+            if (Number.isInteger(before) && before > 0) {
+                conditions.push("id < ?");
+                params.push(before);
+            }
+
+            // 다음 페이지 여부 확인을 위해 하나 더 조회
+            const [rows] = await pool.execute(
+                `SELECT id, type, actor_username, data, read_at, created_at
+                 FROM notifications
+                 WHERE ${conditions.join(" AND ")}
+                 ORDER BY id DESC
+                 LIMIT ${limit + 1}`,
+                params
+            );
+
+            res.json({
+                notifications: rows.slice(0, limit).map(serializeNotification),
+                hasMore: rows.length > limit,
+                unreadCount: await getUnreadCount(userId)
+            });
+        } catch (error) {
+            logError("GET /api/notifications", error);
+            res.status(500).json({ error: "알림 조회 실패." });
+        }
+    });
+
+    /**
+     * 알림 받기 설정 조회
+     * GET /api/notifications/preferences
+     */
+    router.get("/preferences", authMiddleware, async (req, res) => {
+        const userId = req.user.id;
+
+        try {
+            const [rows] = await pool.execute(
+                `SELECT notification_preferences FROM users WHERE id = ?`,
+                [userId]
+            );
+
+            if (!rows.length) {
+                return res.status(404).json({ error: "사용자를 찾을 수 없습니다." });
+            }
+
+            res.json({ preferences: parseNotificationPreferences(rows[0].notification_preferences) });
+        } catch (error) {
+            logError("GET /api/notifications/preferences", error);
+            res.status(500).json({ error: "알림 설정 조회 실패." });
+        }
+    });
+
+    /**
+     * 알림 받기 설정 변경 (전달한 종류만 변경)
+     * PUT /api/notifications/preferences
+     * body: { preferences: { "comment.mention": true, "login.new_country": false, ... } }
+     */
+    router.put("/preferences", authMiddleware, async (req, res) => {
+        const userId = req.user.id;
+        const { preferences } = req.body;
+
+        if (!preferences || typeof preferences !== "object" || Array.isArray(preferences)) {
+            return res.status(400).json({ error: "알림 설정 형식이 올바르지 않습니다." });
+        }
+
+        const invalidType = Object.keys(preferences).find((type) =>
+            !NOTIFICATION_TYPES.includes(type) || typeof preferences[type] !== "boolean"
+        );
+        if (invalidType) {
+            return res.status(400).json({ error: `알 수 없는 알림 설정입니다: ${invalidType}` });
+        }
+
+        try {
+            const [rows] = await pool.execute(
+                `SELECT notification_preferences FROM users WHERE id = ?`,
+                [userId]
+            );
+
+            if (!rows.length) {
+                return res.status(404).json({ error: "사용자를 찾을 수 없습니다." });
+            }
+
+            const merged = { ...parseNotificationPreferences(rows[0].notification_preferences), ...preferences };
+
+            // 끈 종류만 저장 (새로 추가되는 알림 종류는 기본으로 받음)
+            const disabled = {};
+            NOTIFICATION_TYPES.forEach((type) => {
+                if (!merged[type]) disabled[type] = false;
+            });
+
+            await pool.execute(
+                `UPDATE users SET notification_preferences = ? WHERE id = ?`,
+                [Object.keys(disabled).length ? JSON.stringify(disabled) : null, userId]
+            );
+
+            res.json({ preferences: merged });
+        } catch (error) {
+            logError("PUT /api/notifications/preferences", error);
+            res.status(500).json({ error: "알림 설정 변경 실패." });
+        }
+    });
+
+    /**
+     * 모든 알림 읽음 처리
+     * POST /api/notifications/read-all
+     */
+    router.post("/read-all", authMiddleware, async (req, res) => {
+        const userId = req.user.id;
+
+        try {
+            await pool.execute(
+                `UPDATE notifications SET read_at = ? WHERE user_id = ? AND read_at IS NULL`,
+                [formatDateForDb(new Date()), userId]
+            );
+
+            res.json({ ok: true, unreadCount: 0 });
+        } catch (error) {
+            logError("POST /api/notifications/read-all", error);
+            res.status(500).json({ error: "알림 읽음 처리 실패." });
+        }
+    });
+
+    /**
+     * 알림 읽음 처리
+     * POST /api/notifications/:id/read
+     */
+    router.post("/:id/read", authMiddleware, async (req, res) => {
+        const userId = req.user.id;
+        const notificationId = Number.parseInt(req.params.id, 10);
+
+        if (!Number.isInteger(notificationId) || notificationId <= 0) {
+            return res.status(400).json({ error: "잘못된 알림 ID입니다." });
+        }
+
+        try {
+            const [result] = await pool.execute(
+                `UPDATE notifications SET read_at = COALESCE(read_at, ?) WHERE id = ? AND user_id = ?`,
+                [formatDateForDb(new Date()), notificationId, userId]
+            );
+
+            if (result.affectedRows === 0) {
+                return res.status(404).json({ error: "알림을 찾을 수 없습니다." });
+            }
+
+            res.json({ ok: true, unreadCount: await getUnreadCount(userId) });
+        } catch (error) {
+            logError("POST /api/notifications/:id/read", error);
+            res.status(500).json({ error: "알림 읽음 처리 실패." });
+        }
+    });
+
+    /**
+     * 알림 삭제
+     * DELETE /api/notifications/:id
+     */
+    router.delete("/:id", authMiddleware, async (req, res) => {
+        const userId = req.user.id;
+        const notificationId = Number.parseInt(req.params.id, 10);
+
+        if (!Number.isInteger(notificationId) || notificationId <= 0) {
+            return res.status(400).json({ error: "잘못된 알림 ID입니다." });
+        }
+
+        try {
+            const [result] = await pool.execute(
+                `DELETE FROM notifications WHERE id = ? AND user_id = ?`,
+                [notificationId, userId]
+            );
+
+            if (result.affectedRows === 0) {
+                return res.status(404).json({ error: "알림을 찾을 수 없습니다." });
+            }
+
+            res.json({ ok: true, unreadCount: await getUnreadCount(userId) });
+        } catch (error) {
+            logError("DELETE /api/notifications/:id", error);
+            res.status(500).json({ error: "알림 삭제 실패." });
+        }
+    });
+
+    return router;
+};
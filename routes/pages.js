@@ -12,6 +12,10 @@ const crypto = require('crypto');
  * - 페이지 수정
  * - 페이지 삭제
  * - 페이지 공유 허용 설정
+ * - 페이지 버전 기록 조회 및 복원
+ * - 페이지 태그 조회 및 설정
+ * - 페이지 백링크(이 페이지를 멘션한 페이지) 조회
+ * - 페이지 템플릿 지정/해제 및 템플릿 목록 조회 (템플릿으로 새 페이지 생성은 POST /api/pages)
  */
 
 module.exports = (dependencies) => {
@@ -21,11 +25,23 @@ module.exports = (dependencies) => {
         toIsoString,
         sanitizeInput,
         sanitizeHtmlContent,
+        htmlToPlainText,
+        normalizePageTags,
         generatePageId,
         formatDateForDb,
         getCollectionPermission,
+        isCollectionInTokenScope,
         wsBroadcastToCollection,
+        createPageRevision,
+        syncPageLinks,
+        remapPageMentionIds,
+        resetYjsDocContent,
+        discardYjsState,
+        extractHtmlFromYDoc,
+        yjsDocuments,
         logError,
+        recordAuditEvent,
+        enqueueWebhookEvent,
         generatePublishToken,
         coverUpload,
         editorImageUpload,
@@ -128,14 +144,17 @@ module.exports = (dependencies) => {
                     : null;
 
             let query = `
-                SELECT DISTINCT p.id, p.title, p.updated_at, p.parent_id, p.sort_order, p.collection_id, p.is_encrypted, p.share_allowed, p.user_id, p.icon, p.cover_image, p.cover_position
+                SELECT DISTINCT p.id, p.title, p.updated_at, p.parent_id, p.sort_order, p.collection_id, p.is_encrypted, p.share_allowed, p.user_id, p.icon, p.cover_image, p.cover_position,
+                       pt.scope AS template_scope
                 FROM pages p
                 LEFT JOIN collections c ON p.collection_id = c.id
                 LEFT JOIN collection_shares cs ON p.collection_id = cs.collection_id AND cs.shared_with_user_id = ?
+                LEFT JOIN page_templates pt ON pt.page_id = p.id AND (pt.scope = 'COLLECTION' OR pt.user_id = ?)
                 WHERE (p.user_id = ? OR c.user_id = ? OR cs.collection_id IS NOT NULL)
                   AND NOT (p.is_encrypted = 1 AND p.share_allowed = 0 AND p.user_id != ?)
+                  AND p.deleted_at IS NULL AND c.deleted_at IS NULL
             `;
-            const params = [userId, userId, userId, userId];
+            const params = [userId, userId, userId, userId, userId];
 
             if (collectionId) {
                 query += ` AND p.collection_id = ?`;
@@ -148,7 +167,8 @@ module.exports = (dependencies) => {
 
             const [rows] = await pool.execute(query, params);
 
-            const list = rows.map((row) => ({
+            // 컬렉션이 지정된 API 토큰은 허용된 컬렉션의 페이지만 반환
+            const list = rows.filter((row) => isCollectionInTokenScope(req, row.collection_id)).map((row) => ({
                 id: row.id,
                 title: row.title || "제목 없음",
                 updatedAt: toIsoString(row.updated_at),
@@ -160,7 +180,8 @@ module.exports = (dependencies) => {
                 userId: row.user_id,
                 icon: row.icon || null,
                 coverImage: row.cover_image || null,
-                coverPosition: row.cover_position || 50
+                coverPosition: row.cover_position || 50,
+                templateScope: row.template_scope || null
             }));
 
             console.log("GET /api/pages 응답 개수:", list.length);
@@ -172,6 +193,230 @@ module.exports = (dependencies) => {
         }
     });
 
+    const TEMPLATE_SCOPES = ['USER', 'COLLECTION'];
+    const TEMPLATE_MAX_PAGES = 200;
+
+    /**
+     * 템플릿 변수 치환 ({{date}}, {{time}}, {{datetime}}, {{user}})
+     * 알 수 없는 변수는 그대로 두며, 본문(HTML)에 넣는 값은 이스케이프
+     */
+    function applyTemplateVariables(text, variables, isHtml) {
+        return (text || "").replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+            const key = name.toLowerCase();
+            if (!Object.prototype.hasOwnProperty.call(variables, key)) {
+                return match;
+            }
+
+            const value = String(variables[key]);
+            return isHtml
+                ? value.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#39;")
+                : value;
+        });
+    }
+
+    /**
+     * 사용자가 사용할 수 있는 템플릿 페이지 조회
+     * 개인 템플릿은 지정한 사용자만, 컬렉션 템플릿은 해당 컬렉션에 접근 가능한 사용자만 사용 가능
+     */
+    async function getUsableTemplate(templateId, userId) {
+        const [rows] = await pool.execute(
+            `SELECT p.id, p.parent_id, p.title, p.content, p.icon, p.cover_image, p.cover_position, p.sort_order
+             FROM page_templates pt
+             JOIN pages p ON pt.page_id = p.id
+             LEFT JOIN collections c ON p.collection_id = c.id
+             LEFT JOIN collection_shares cs ON p.collection_id = cs.collection_id AND cs.shared_with_user_id = ?
+             WHERE pt.page_id = ?
+               AND (pt.scope = 'COLLECTION' OR pt.user_id = ?)
+               AND (p.user_id = ? OR c.user_id = ? OR cs.collection_id IS NOT NULL)
+               AND p.is_encrypted = 0
+               AND p.deleted_at IS NULL AND c.deleted_at IS NULL`,
+            [userId, templateId, userId, userId, userId]
+        );
+
+        return rows[0] || null;
+    }
+
+    /**
+     * 다른 사용자가 업로드한 이미지(본문, 커버)를 새 페이지 소유자의 폴더로 복사
+     * 템플릿 작성자가 원본을 삭제해도 고립 이미지 정리 대상이 되지 않도록 함
+     */
+    function copyTemplateAssets(page, userId) {
+        const copyFile = (folder, imagePath) => {
+            const match = /^(\d+)\/([^/]+)$/.exec(imagePath || "");
+            if (!match || Number(match[1]) === userId) {
+                return imagePath;
+            }
+
+            const source = path.join(__dirname, '..', folder, match[1], path.basename(match[2]));
+            if (!fs.existsSync(source)) {
+                return imagePath;
+            }
+
+            const targetDir = path.join(__dirname, '..', folder, String(userId));
+            fs.mkdirSync(targetDir, { recursive: true });
+
+            const filename = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}${path.extname(match[2])}`;
+            fs.copyFileSync(source, path.join(targetDir, filename));
+            return `${userId}/${filename}`;
+        };
+
+        const copied = new Map();
+        const content = (page.content || "<p></p>").replace(/\/imgs\/(\d+\/[^"'\s?#)]+)/g, (url, imagePath) => {
+            if (!copied.has(imagePath)) {
+                copied.set(imagePath, copyFile('imgs', imagePath));
+            }
+            return `/imgs/${copied.get(imagePath)}`;
+        });
+
+        return {
+            content,
+            coverImage: page.cover_image ? copyFile('covers', page.cover_image) : null
+        };
+    }
+
+    /**
+     * 템플릿(하위 페이지 포함)을 복제하여 새 페이지 생성
+     * 휴지통/암호화된 하위 페이지는 제외하며, 템플릿 내부를 가리키는 멘션은 복제된 페이지로 연결
+     * 템플릿을 사용할 수 없으면 오류 응답 후 null 반환
+     */
+    async function createPagesFromTemplate(options, res) {
+        const { templateId, userId, username, title, parentId, sortOrder, collectionId, now } = options;
+
+        const template = await getUsableTemplate(templateId, userId);
+        if (!template) {
+            res.status(404).json({ error: "템플릿을 찾을 수 없습니다." });
+            return null;
+        }
+
+        // 하위 페이지를 부모가 먼저 오도록 너비 우선으로 수집
+        const sourcePages = [template];
+        let frontier = [template.id];
+        while (frontier.length) {
+            const placeholders = frontier.map(() => '?').join(',');
+            const [children] = await pool.execute(
+                `SELECT id, parent_id, title, content, icon, cover_image, cover_position, sort_order
+                 FROM pages
+                 WHERE parent_id IN (${placeholders}) AND deleted_at IS NULL AND is_encrypted = 0
+                 ORDER BY sort_order ASC`,
+                frontier
+            );
+
+            if (sourcePages.length + children.length > TEMPLATE_MAX_PAGES) {
+                res.status(400).json({ error: `템플릿의 하위 페이지는 최대 ${TEMPLATE_MAX_PAGES}개까지 복제할 수 있습니다.` });
+                return null;
+            }
+
+            sourcePages.push(...children);
+            frontier = children.map((child) => child.id);
+        }
+
+        const nowStr = formatDateForDb(now);
+        const variables = {
+            date: nowStr.slice(0, 10),
+            time: nowStr.slice(11, 16),
+            datetime: nowStr.slice(0, 16),
+            user: username || ""
+        };
+        const idMap = new Map(sourcePages.map((page) => [page.id, generatePageId(now)]));
+
+        const clones = sourcePages.map((page) => {
+            const isRoot = page.id === template.id;
+            const assets = copyTemplateAssets(page, userId);
+            const content = sanitizeHtmlContent(
+                remapPageMentionIds(applyTemplateVariables(assets.content, variables, true), idMap)
+            );
+            const clonedTitle = isRoot && title
+                ? title
+                : applyTemplateVariables(page.title, variables, false);
+
+            return {
+                id: idMap.get(page.id),
+                parentId: isRoot ? parentId : idMap.get(page.parent_id),
+                title: sanitizeInput(clonedTitle.trim() !== "" ? clonedTitle.trim() : "제목 없음").slice(0, 255),
+                content,
+                sortOrder: isRoot ? sortOrder : page.sort_order,
+                icon: page.icon || null,
+                coverImage: assets.coverImage,
+                coverPosition: page.cover_position || 50
+            };
+        });
+
+        const conn = await pool.getConnection();
+        try {
+            await conn.beginTransaction();
+
+            for (const clone of clones) {
+                await conn.execute(
+                    `INSERT INTO pages (id, user_id, parent_id, title, content, content_text, sort_order, created_at, updated_at, collection_id, icon, cover_image, cover_position)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [clone.id, userId, clone.parentId, clone.title, clone.content, htmlToPlainText(clone.content),
+                        clone.sortOrder, nowStr, nowStr, collectionId, clone.icon, clone.coverImage, clone.coverPosition]
+                );
+            }
+
+            // 모든 페이지를 만든 뒤 링크를 반영해야 템플릿 내부 멘션이 연결됨
+            for (const clone of clones) {
+                await syncPageLinks(clone.id, clone.content, conn);
+            }
+
+            await conn.commit();
+        } catch (error) {
+            await conn.rollback();
+            throw error;
+        } finally {
+            conn.release();
+        }
+
+        return clones;
+    }
+
+    /**
+     * 템플릿 목록 조회 (개인 템플릿 + 컬렉션 템플릿)
+     * GET /api/pages/templates?collectionId=
+     * collectionId가 있으면 해당 컬렉션의 템플릿만, 없으면 접근 가능한 모든 컬렉션 템플릿 포함
+     */
+    router.get("/templates", authMiddleware, async (req, res) => {
+        const userId = req.user.id;
+        const collectionId =
+            typeof req.query.collectionId === "string" && req.query.collectionId.trim() !== ""
+                ? req.query.collectionId.trim()
+                : null;
+
+        try {
+            const [rows] = await pool.execute(
+                `SELECT p.id, p.title, p.icon, p.collection_id, c.name AS collection_name, pt.scope,
+                        (SELECT COUNT(*) FROM pages ch
+                         WHERE ch.parent_id = p.id AND ch.deleted_at IS NULL AND ch.is_encrypted = 0) AS child_count
+                 FROM page_templates pt
+                 JOIN pages p ON pt.page_id = p.id
+                 LEFT JOIN collections c ON p.collection_id = c.id
+                 LEFT JOIN collection_shares cs ON p.collection_id = cs.collection_id AND cs.shared_with_user_id = ?
+                 WHERE (p.user_id = ? OR c.user_id = ? OR cs.collection_id IS NOT NULL)
+                   AND ((pt.scope = 'USER' AND pt.user_id = ?)
+                        OR (pt.scope = 'COLLECTION' AND (? IS NULL OR p.collection_id = ?)))
+                   AND p.is_encrypted = 0
+                   AND p.deleted_at IS NULL AND c.deleted_at IS NULL
+                 ORDER BY pt.scope DESC, p.title ASC`,
+                [userId, userId, userId, userId, collectionId, collectionId]
+            );
+
+            res.json({
+                templates: rows.map((row) => ({
+                    id: row.id,
+                    title: row.title || "제목 없음",
+                    icon: row.icon || null,
+                    scope: row.scope,
+                    collectionId: row.collection_id,
+                    collectionName: row.collection_name,
+                    childCount: Number(row.child_count)
+                }))
+            });
+        } catch (error) {
+            logError("GET /api/pages/templates", error);
+            res.status(500).json({ error: "템플릿 목록을 불러오지 못했습니다." });
+        }
+    });
+
     /**
      * 단일 페이지 조회 (소유한 페이지 또는 공유받은 컬렉션의 페이지)
      * GET /api/pages/:id
@@ -188,7 +433,8 @@ module.exports = (dependencies) => {
                  FROM pages p
                  LEFT JOIN collections c ON p.collection_id = c.id
                  LEFT JOIN collection_shares cs ON p.collection_id = cs.collection_id AND cs.shared_with_user_id = ?
-                 WHERE p.id = ? AND (p.user_id = ? OR c.user_id = ? OR cs.collection_id IS NOT NULL)`,
+                 WHERE p.id = ? AND (p.user_id = ? OR c.user_id = ? OR cs.collection_id IS NOT NULL)
+                   AND p.deleted_at IS NULL AND c.deleted_at IS NULL`,
                 [userId, id, userId, userId]
             );
 
@@ -230,10 +476,15 @@ module.exports = (dependencies) => {
     /**
      * 새 페이지 생성
      * POST /api/pages
-     * body: { title?: string, content?: string, parentId?: string, sortOrder?: number, collectionId: string, icon?: string }
+     * body: { title?: string, content?: string, parentId?: string, sortOrder?: number, collectionId: string, icon?: string, templateId?: string }
+     * templateId가 있으면 템플릿의 본문, 아이콘, 커버, 하위 페이지를 복제하고 템플릿 변수를 채움 (content, icon은 무시)
      */
     router.post("/", authMiddleware, async (req, res) => {
         const rawTitle = typeof req.body.title === "string" ? req.body.title : "";
+        const templateId =
+            typeof req.body.templateId === "string" && req.body.templateId.trim() !== ""
+                ? req.body.templateId.trim()
+                : null;
         const title = sanitizeInput(rawTitle.trim() !== "" ? rawTitle.trim() : "제목 없음");
 
         const now = new Date();
@@ -276,7 +527,8 @@ module.exports = (dependencies) => {
                      FROM pages p
                      LEFT JOIN collections c ON p.collection_id = c.id
                      LEFT JOIN collection_shares cs ON p.collection_id = cs.collection_id AND cs.shared_with_user_id = ?
-                     WHERE p.id = ? AND (p.user_id = ? OR c.user_id = ? OR cs.collection_id IS NOT NULL)`,
+                     WHERE p.id = ? AND (p.user_id = ? OR c.user_id = ? OR cs.collection_id IS NOT NULL)
+                       AND p.deleted_at IS NULL`,
                     [userId, parentId, userId, userId]
                 );
 
@@ -289,14 +541,56 @@ module.exports = (dependencies) => {
                 }
             }
 
+            if (templateId) {
+                const clones = await createPagesFromTemplate({
+                    templateId,
+                    userId,
+                    username: req.user.username,
+                    title: rawTitle.trim() !== "" ? rawTitle.trim() : null,
+                    parentId,
+                    sortOrder,
+                    collectionId,
+                    now
+                }, res);
+                if (!clones) return;
+
+                const root = clones[0];
+
+                console.log("POST /api/pages 템플릿으로 생성:", root.id, "복제 페이지 수:", clones.length);
+
+                enqueueWebhookEvent(collectionId, "page.created", {
+                    page: { id: root.id, title: root.title, parentId: root.parentId },
+                    templateId,
+                    createdPageIds: clones.map((clone) => clone.id)
+                }, userId);
+
+                return res.status(201).json({
+                    id: root.id,
+                    title: root.title,
+                    content: root.content,
+                    parentId: root.parentId,
+                    sortOrder: root.sortOrder,
+                    collectionId,
+                    createdAt: now.toISOString(),
+                    updatedAt: now.toISOString(),
+                    icon: root.icon,
+                    coverImage: root.coverImage,
+                    coverPosition: root.coverPosition,
+                    templateId,
+                    createdPageIds: clones.map((clone) => clone.id)
+                });
+            }
+
             await pool.execute(
                 `
-                INSERT INTO pages (id, user_id, parent_id, title, content, sort_order, created_at, updated_at, collection_id, icon)
-                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                INSERT INTO pages (id, user_id, parent_id, title, content, content_text, sort_order, created_at, updated_at, collection_id, icon)
+                VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
                 `,
-                [id, userId, parentId, title, content, sortOrder, nowStr, nowStr, collectionId, icon]
+                [id, userId, parentId, title, content, htmlToPlainText(content), sortOrder, nowStr, nowStr, collectionId, icon]
             );
 
+            await syncPageLinks(id, content);
+
             const page = {
                 id,
                 title,
@@ -311,6 +605,10 @@ module.exports = (dependencies) => {
 
             console.log("POST /api/pages 생성:", id);
 
+            enqueueWebhookEvent(collectionId, "page.created", {
+                page: { id, title, parentId }
+            }, userId);
+
             res.status(201).json(page);
         } catch (error) {
             logError("POST /api/pages", error);
@@ -347,7 +645,7 @@ module.exports = (dependencies) => {
                 `SELECT id, title, content, encryption_salt, encrypted_content,
                         created_at, updated_at, parent_id, sort_order, collection_id, is_encrypted, user_id, icon
                  FROM pages
-                 WHERE id = ?`,
+                 WHERE id = ? AND deleted_at IS NULL`,
                 [id]
             );
 
@@ -374,9 +672,14 @@ module.exports = (dependencies) => {
             if (newIsEncrypted === 1) {
                 // 암호화된 페이지: content는 빈 문자열 (암호화됨)
                 newContent = '';
-            } else {
+            } else if (contentFromBody !== null) {
                 // 평문 페이지: content도 평문 저장
-                newContent = contentFromBody !== null ? contentFromBody : existing.content;
+                newContent = contentFromBody;
+            } else {
+                // 본문 없이 저장한 경우(실시간 편집 중인 편집기) 메모리의 Yjs 문서가 최신 본문
+                const docData = existing.is_encrypted === 0 ? yjsDocuments.get(id) : null;
+                const liveContent = docData ? extractHtmlFromYDoc(docData.ydoc) : null;
+                newContent = liveContent !== null ? sanitizeHtmlContent(liveContent) : existing.content;
             }
 
             const newIcon = iconFromBody !== undefined ? (iconFromBody !== "" ? iconFromBody : null) : existing.icon;
@@ -393,23 +696,40 @@ module.exports = (dependencies) => {
             if (isBecomingEncrypted) {
                 await pool.execute(
                     `UPDATE pages
-                     SET title = ?, content = ?, encryption_salt = ?, encrypted_content = ?,
+                     SET title = ?, content = ?, content_text = ?, encryption_salt = ?, encrypted_content = ?,
                          is_encrypted = ?, icon = ?, user_id = ?, updated_at = ?
                      WHERE id = ?`,
-                    [newTitle, newContent, newEncryptionSalt, newEncryptedContent,
+                    [newTitle, newContent, htmlToPlainText(newContent), newEncryptionSalt, newEncryptedContent,
                      newIsEncrypted, newIcon, userId, nowStr, id]
                 );
             } else {
                 await pool.execute(
                     `UPDATE pages
-                     SET title = ?, content = ?, encryption_salt = ?, encrypted_content = ?,
+                     SET title = ?, content = ?, content_text = ?, encryption_salt = ?, encrypted_content = ?,
                          is_encrypted = ?, icon = ?, updated_at = ?
                      WHERE id = ?`,
-                    [newTitle, newContent, newEncryptionSalt, newEncryptedContent,
+                    [newTitle, newContent, htmlToPlainText(newContent), newEncryptionSalt, newEncryptedContent,
                      newIsEncrypted, newIcon, nowStr, id]
                 );
             }
 
+            // 멘션 링크 갱신 (암호화 페이지는 본문이 비어 있으므로 링크가 제거됨)
+            await syncPageLinks(id, newContent);
+
+            // 저장된 Yjs 상태가 본문과 어긋나지 않도록 폐기
+            // - 암호화 전환 시 평문 CRDT 상태 제거
+            // - 본문이 바뀐 경우 메모리의 문서(구독자가 없어도 30분간 유지됨)까지 폐기하고 편집 중인 구독자에게 재동기화 요청
+            //   (편집기에서 저장한 경우처럼 메모리 문서가 이미 같은 내용이면 유지)
+            if (existing.is_encrypted !== newIsEncrypted) {
+                await discardYjsState(id);
+            } else if (contentFromBody !== null && newIsEncrypted === 0) {
+                const docData = yjsDocuments.get(id);
+                const liveContent = docData ? extractHtmlFromYDoc(docData.ydoc) : null;
+                if (liveContent === null || sanitizeHtmlContent(liveContent) !== newContent) {
+                    await resetYjsDocContent(id, { title: newTitle, content: newContent, icon: newIcon });
+                }
+            }
+
             const page = {
                 id,
                 title: newTitle,
@@ -424,8 +744,25 @@ module.exports = (dependencies) => {
                 icon: newIcon
             };
 
+            // 명시적 저장 시 버전 스냅샷 (평문 페이지만, 시간 간격 제한 없음)
+            if (newIsEncrypted === 0) {
+                await createPageRevision({
+                    pageId: id,
+                    userId,
+                    title: newTitle,
+                    content: newContent,
+                    icon: newIcon,
+                    reason: 'save',
+                    force: true
+                });
+            }
+
             console.log("PUT /api/pages/:id 수정 완료:", id);
 
+            enqueueWebhookEvent(existing.collection_id, "page.updated", {
+                page: { id, title: newTitle }
+            }, userId);
+
             if (titleFromBody && titleFromBody !== existing.title) {
                 wsBroadcastToCollection(existing.collection_id, 'metadata-change', {
                     pageId: id,
@@ -534,7 +871,7 @@ module.exports = (dependencies) => {
         try {
             // 현재 페이지 정보 조회
             const [pageRows] = await pool.execute(
-                `SELECT id, collection_id, parent_id, is_encrypted FROM pages WHERE id = ?`,
+                `SELECT id, collection_id, parent_id, is_encrypted FROM pages WHERE id = ? AND deleted_at IS NULL`,
                 [pageId]
             );
 
@@ -612,7 +949,7 @@ module.exports = (dependencies) => {
 
         try {
             const [rows] = await pool.execute(
-                `SELECT collection_id FROM pages WHERE id = ?`,
+                `SELECT collection_id FROM pages WHERE id = ? AND deleted_at IS NULL`,
                 [id]
             );
 
@@ -642,6 +979,10 @@ module.exports = (dependencies) => {
                 value: sanitizedTitle
             }, userId);
 
+            enqueueWebhookEvent(collectionId, "page.updated", {
+                page: { id, title: sanitizedTitle }
+            }, userId);
+
             res.json({ success: true, title: sanitizedTitle });
         } catch (error) {
             logError("PATCH /api/pages/:id", error);
@@ -649,85 +990,10 @@ module.exports = (dependencies) => {
         }
     });
 
-    /**
-     * 페이지에서 이미지 URL 추출
-     * @param {Object} page - 페이지 객체 (content, cover_image 포함)
-     * @returns {Array<string>} - 이미지 경로 배열 (예: ["1/abc.jpg", "1/xyz.png"])
-     */
-    function extractImagesFromPage(page) {
-        const images = [];
-
-        // 1. content에서 <img> 태그의 src 추출
-        if (page.content) {
-            const imgRegex = /<img[^>]+src=["']\/imgs\/([^"']+)["']/g;
-            let match;
-            while ((match = imgRegex.exec(page.content)) !== null) {
-                images.push(match[1]); // "userId/filename.jpg"
-            }
-        }
-
-        // 2. cover_image 추가
-        if (page.cover_image) {
-            images.push(page.cover_image); // "userId/filename.jpg"
-        }
-
-        return images;
-    }
-
-    /**
-     * 고립된 이미지 삭제 (다른 페이지에서 참조하지 않는 이미지만)
-     * @param {Array<string>} imageUrls - 이미지 경로 배열
-     * @param {number} userId - 사용자 ID
-     */
-    async function cleanupOrphanedImages(imageUrls, userId) {
-        if (!imageUrls || imageUrls.length === 0) return;
-
-        for (const imageUrl of imageUrls) {
-            try {
-                // 이미지 경로에서 userId와 filename 추출
-                const parts = imageUrl.split('/');
-                if (parts.length !== 2) continue;
-
-                const [imgUserId, filename] = parts;
-
-                // 해당 이미지를 참조하는 다른 페이지가 있는지 확인
-                const [contentRows] = await pool.execute(
-                    `SELECT COUNT(*) as count FROM pages WHERE user_id = ? AND content LIKE ?`,
-                    [userId, `%/imgs/${imageUrl}%`]
-                );
-
-                const [coverRows] = await pool.execute(
-                    `SELECT COUNT(*) as count FROM pages WHERE user_id = ? AND cover_image = ?`,
-                    [userId, imageUrl]
-                );
-
-                const totalReferences = contentRows[0].count + coverRows[0].count;
-
-                // 참조가 없으면 물리적 파일 삭제
-                if (totalReferences === 0) {
-                    // imgs 폴더에서 삭제 시도
-                    const imgPath = path.join(__dirname, '..', 'imgs', imgUserId, filename);
-                    if (fs.existsSync(imgPath)) {
-                        fs.unlinkSync(imgPath);
-                        console.log(`이미지 삭제됨: ${imgPath}`);
-                    }
-
-                    // covers 폴더에서도 삭제 시도 (커버 이미지인 경우)
-                    const coverPath = path.join(__dirname, '..', 'covers', imgUserId, filename);
-                    if (fs.existsSync(coverPath)) {
-                        fs.unlinkSync(coverPath);
-                        console.log(`커버 이미지 삭제됨: ${coverPath}`);
-                    }
-                }
-            } catch (err) {
-                console.error(`이미지 정리 중 오류 (${imageUrl}):`, err);
-                // 개별 이미지 정리 실패는 무시하고 계속 진행
-            }
-        }
-    }
-
     /**
      * 페이지 삭제 (EDIT 이상 권한 필요)
+     * 휴지통으로 이동(소프트 삭제)하며, 하위 페이지도 함께 휴지통으로 이동
+     * 영구 삭제는 보관 기간 만료 후 purgeExpiredTrash 또는 휴지통 비우기로 수행
      * DELETE /api/pages/:id
      */
     router.delete("/:id", authMiddleware, async (req, res) => {
@@ -735,9 +1001,8 @@ module.exports = (dependencies) => {
         const userId = req.user.id;
 
         try {
-            // 페이지 정보 조회 (이미지 정리를 위해 content와 cover_image도 가져옴)
             const [rows] = await pool.execute(
-                `SELECT id, collection_id, content, cover_image FROM pages WHERE id = ?`,
+                `SELECT id, title, collection_id FROM pages WHERE id = ? AND deleted_at IS NULL`,
                 [id]
             );
 
@@ -753,25 +1018,40 @@ module.exports = (dependencies) => {
                 return res.status(403).json({ error: "페이지를 삭제할 권한이 없습니다." });
             }
 
-            // 페이지에서 사용된 이미지 추출
-            const imageUrls = extractImagesFromPage(page);
+            // 휴지통에 있지 않은 하위 페이지 수집 (이미 휴지통에 있는 하위 트리는 별도 항목으로 유지)
+            const subtreeIds = [id];
+            let frontier = [id];
+            while (frontier.length) {
+                const placeholders = frontier.map(() => '?').join(',');
+                const [childRows] = await pool.execute(
+                    `SELECT id FROM pages WHERE parent_id IN (${placeholders}) AND deleted_at IS NULL`,
+                    frontier
+                );
+                frontier = childRows.map(r => r.id);
+                subtreeIds.push(...frontier);
+            }
 
-            // 페이지 삭제
+            const nowStr = formatDateForDb(new Date());
+            const placeholders = subtreeIds.map(() => '?').join(',');
             await pool.execute(
-                `DELETE FROM pages WHERE id = ?`,
-                [id]
+                `UPDATE pages
+                 SET deleted_at = ?, deleted_by = ?, trash_root_id = ?
+                 WHERE id IN (${placeholders})`,
+                [nowStr, userId, id, ...subtreeIds]
             );
 
-            console.log("DELETE /api/pages/:id 삭제:", id);
+            console.log(`DELETE /api/pages/:id 휴지통 이동: ${id} (하위 포함 ${subtreeIds.length}개)`);
 
-            // 고립된 이미지 정리 (비동기로 실행하여 응답 지연 방지)
-            if (imageUrls.length > 0) {
-                cleanupOrphanedImages(imageUrls, userId).catch(err => {
-                    console.error("이미지 정리 중 오류:", err);
-                });
-            }
+            subtreeIds.forEach((pageId) => {
+                wsBroadcastToCollection(page.collection_id, 'page-deleted', { pageId }, userId);
+            });
+
+            enqueueWebhookEvent(page.collection_id, "page.deleted", {
+                page: { id, title: page.title },
+                trashedIds: subtreeIds
+            }, userId);
 
-            res.json({ ok: true, removedId: id });
+            res.json({ ok: true, removedId: id, trashedIds: subtreeIds });
         } catch (error) {
             logError("DELETE /api/pages/:id", error);
             res.status(500).json({ error: "페이지 삭제 실패." });
@@ -1406,7 +1686,7 @@ module.exports = (dependencies) => {
 
         try {
             const [pageRows] = await pool.execute(
-                `SELECT id, user_id, is_encrypted FROM pages WHERE id = ?`,
+                `SELECT id, title, collection_id, user_id, is_encrypted FROM pages WHERE id = ?`,
                 [pageId]
             );
 
@@ -1455,6 +1735,16 @@ module.exports = (dependencies) => {
             // 보안: 토큰 일부만 표시
             console.log(`POST /api/pages/:id/publish 발행 완료: ${pageId}, 토큰: ${token.substring(0, 8)}...`);
 
+            await recordAuditEvent(req, "page.publish", {
+                targetType: "page",
+                targetId: pageId
+            });
+
+            enqueueWebhookEvent(page.collection_id, "page.published", {
+                page: { id: pageId, title: page.title },
+                url
+            }, userId);
+
             res.json({ ok: true, token, url });
 
         } catch (error) {
@@ -1473,7 +1763,7 @@ module.exports = (dependencies) => {
 
         try {
             const [pageRows] = await pool.execute(
-                `SELECT id, user_id FROM pages WHERE id = ?`,
+                `SELECT id, title, collection_id, user_id FROM pages WHERE id = ?`,
                 [pageId]
             );
 
@@ -1488,13 +1778,24 @@ module.exports = (dependencies) => {
             const now = new Date();
             const nowStr = formatDateForDb(now);
 
-            await pool.execute(
+            const [result] = await pool.execute(
                 `UPDATE page_publish_links
                  SET is_active = 0, updated_at = ?
                  WHERE page_id = ? AND is_active = 1`,
                 [nowStr, pageId]
             );
 
+            if (result.affectedRows > 0) {
+                await recordAuditEvent(req, "page.unpublish", {
+                    targetType: "page",
+                    targetId: pageId
+                });
+
+                enqueueWebhookEvent(pageRows[0].collection_id, "page.unpublished", {
+                    page: { id: pageId, title: pageRows[0].title }
+                }, userId);
+            }
+
             console.log("DELETE /api/pages/:id/publish 발행 취소 완료:", pageId);
             res.json({ ok: true });
 
@@ -1504,5 +1805,450 @@ module.exports = (dependencies) => {
         }
     });
 
+    /**
+     * 태그/백링크/템플릿 설정 대상 페이지 확인
+     * 접근 가능한 페이지인 경우 페이지 행과 권한을 반환하고, 그렇지 않으면 오류 응답 후 null 반환
+     */
+    async function getAccessibleTargetPage(pageId, userId, res) {
+        const [pageRows] = await pool.execute(
+            `SELECT id, collection_id, is_encrypted, share_allowed, user_id
+             FROM pages WHERE id = ? AND deleted_at IS NULL`,
+            [pageId]
+        );
+
+        if (!pageRows.length) {
+            res.status(404).json({ error: "페이지를 찾을 수 없습니다." });
+            return null;
+        }
+
+        const page = pageRows[0];
+        const { permission } = await getCollectionPermission(page.collection_id, userId);
+        if (!permission || (page.is_encrypted === 1 && page.share_allowed === 0 && page.user_id !== userId)) {
+            res.status(403).json({ error: "권한이 없습니다." });
+            return null;
+        }
+
+        return { page, permission };
+    }
+
+    /**
+     * 페이지 태그 조회
+     * GET /api/pages/:id/tags
+     */
+    router.get("/:id/tags", authMiddleware, async (req, res) => {
+        const pageId = req.params.id;
+        const userId = req.user.id;
+
+        try {
+            const target = await getAccessibleTargetPage(pageId, userId, res);
+            if (!target) return;
+
+            const [rows] = await pool.execute(
+                `SELECT name FROM page_tags WHERE page_id = ? ORDER BY created_at ASC, name ASC`,
+                [pageId]
+            );
+
+            res.json({ tags: rows.map((row) => row.name) });
+        } catch (error) {
+            logError("GET /api/pages/:id/tags", error);
+            res.status(500).json({ error: "태그 조회 실패." });
+        }
+    });
+
+    /**
+     * 페이지 태그 설정 (전달된 목록으로 전체 교체)
+     * PUT /api/pages/:id/tags
+     * body: { tags: string[] }
+     */
+    router.put("/:id/tags", authMiddleware, async (req, res) => {
+        const pageId = req.params.id;
+        const userId = req.user.id;
+
+        if (!Array.isArray(req.body.tags)) {
+            return res.status(400).json({ error: "tags는 배열이어야 합니다." });
+        }
+
+        const tags = normalizePageTags(req.body.tags);
+
+        const conn = await pool.getConnection();
+        try {
+            const target = await getAccessibleTargetPage(pageId, userId, res);
+            if (!target) return;
+
+            const { page, permission } = target;
+            if (permission === 'READ') {
+                return res.status(403).json({ error: "태그를 수정할 권한이 없습니다." });
+            }
+
+            // 기존 태그의 생성 시각을 유지하여 표시 순서가 바뀌지 않도록 함
+            const [existingRows] = await conn.execute(
+                `SELECT name FROM page_tags WHERE page_id = ?`,
+                [pageId]
+            );
+            const existing = new Set(existingRows.map((row) => row.name.toLowerCase()));
+            const keep = new Set(tags.map((tag) => tag.toLowerCase()));
+
+            const removed = existingRows.filter((row) => !keep.has(row.name.toLowerCase())).map((row) => row.name);
+            const added = tags.filter((tag) => !existing.has(tag.toLowerCase()));
+
+            await conn.beginTransaction();
+
+            if (removed.length) {
+                const placeholders = removed.map(() => '?').join(',');
+                await conn.execute(
+                    `DELETE FROM page_tags WHERE page_id = ? AND name IN (${placeholders})`,
+                    [pageId, ...removed]
+                );
+            }
+
+            const nowStr = formatDateForDb(new Date());
+            for (const tag of added) {
+                await conn.execute(
+                    `INSERT INTO page_tags (page_id, name, created_by, created_at) VALUES (?, ?, ?, ?)`,
+                    [pageId, tag, userId, nowStr]
+                );
+            }
+
+            await conn.commit();
+
+            const [rows] = await conn.execute(
+                `SELECT name FROM page_tags WHERE page_id = ? ORDER BY created_at ASC, name ASC`,
+                [pageId]
+            );
+            const savedTags = rows.map((row) => row.name);
+
+            if (removed.length || added.length) {
+                wsBroadcastToCollection(page.collection_id, 'metadata-change', {
+                    pageId,
+                    field: 'tags',
+                    value: savedTags
+                }, userId);
+            }
+
+            res.json({ ok: true, tags: savedTags });
+        } catch (error) {
+            await conn.rollback();
+            logError("PUT /api/pages/:id/tags", error);
+            res.status(500).json({ error: "태그 저장 실패." });
+        } finally {
+            conn.release();
+        }
+    });
+
+    /**
+     * 페이지 백링크 조회 (이 페이지를 멘션한 페이지 중 접근 가능한 페이지)
+     * GET /api/pages/:id/backlinks
+     */
+    router.get("/:id/backlinks", authMiddleware, async (req, res) => {
+        const pageId = req.params.id;
+        const userId = req.user.id;
+
+        try {
+            const target = await getAccessibleTargetPage(pageId, userId, res);
+            if (!target) return;
+
+            const [rows] = await pool.execute(
+                `SELECT DISTINCT p.id, p.title, p.icon, p.collection_id, p.updated_at, c.name AS collection_name
+                 FROM page_links l
+                 JOIN pages p ON l.source_page_id = p.id
+                 LEFT JOIN collections c ON p.collection_id = c.id
+                 LEFT JOIN collection_shares cs ON p.collection_id = cs.collection_id AND cs.shared_with_user_id = ?
+                 WHERE l.target_page_id = ?
+                   AND (p.user_id = ? OR c.user_id = ? OR cs.collection_id IS NOT NULL)
+                   AND p.deleted_at IS NULL AND c.deleted_at IS NULL
+                 ORDER BY p.updated_at DESC`,
+                [userId, pageId, userId, userId]
+            );
+
+            const backlinks = rows.map((row) => ({
+                id: row.id,
+                title: row.title || "제목 없음",
+                icon: row.icon || null,
+                collectionId: row.collection_id,
+                collectionName: row.collection_name,
+                updatedAt: toIsoString(row.updated_at)
+            }));
+
+            res.json({ backlinks });
+        } catch (error) {
+            logError("GET /api/pages/:id/backlinks", error);
+            res.status(500).json({ error: "백링크 조회 실패." });
+        }
+    });
+
+    /**
+     * 페이지를 템플릿으로 지정하거나 해제
+     * PUT /api/pages/:id/template
+     * body: { scope: 'USER' | 'COLLECTION' | null }
+     * 개인 템플릿은 읽기 권한만 있어도 지정 가능, 컬렉션 템플릿 지정/해제는 쓰기 권한 필요
+     */
+    router.put("/:id/template", authMiddleware, async (req, res) => {
+        const pageId = req.params.id;
+        const userId = req.user.id;
+        const scope = typeof req.body.scope === "string" ? req.body.scope.toUpperCase() : null;
+
+        if (scope !== null && !TEMPLATE_SCOPES.includes(scope)) {
+            return res.status(400).json({ error: "scope는 USER, COLLECTION 또는 null이어야 합니다." });
+        }
+
+        try {
+            const target = await getAccessibleTargetPage(pageId, userId, res);
+            if (!target) return;
+
+            const { page, permission } = target;
+            if (page.is_encrypted === 1) {
+                return res.status(400).json({ error: "암호화된 페이지는 템플릿으로 지정할 수 없습니다." });
+            }
+
+            const [existingRows] = await pool.execute(
+                `SELECT scope, user_id FROM page_templates WHERE page_id = ?`,
+                [pageId]
+            );
+            const existing = existingRows[0] || null;
+
+            // 다른 사용자의 개인 템플릿은 건드리지 않음
+            if (existing && existing.scope === 'USER' && existing.user_id !== userId) {
+                return res.status(409).json({ error: "다른 사용자가 개인 템플릿으로 지정한 페이지입니다." });
+            }
+
+            const touchesCollection = scope === 'COLLECTION' || (existing && existing.scope === 'COLLECTION');
+            if (touchesCollection && permission === 'READ') {
+                return res.status(403).json({ error: "컬렉션 템플릿을 변경할 권한이 없습니다." });
+            }
+
+            if (scope === null) {
+                await pool.execute(`DELETE FROM page_templates WHERE page_id = ?`, [pageId]);
+            } else {
+                await pool.execute(
+                    `INSERT INTO page_templates (page_id, scope, user_id, created_at)
+                     VALUES (?, ?, ?, ?)
+                     ON DUPLICATE KEY UPDATE scope = VALUES(scope), user_id = VALUES(user_id)`,
+                    [pageId, scope, userId, formatDateForDb(new Date())]
+                );
+            }
+
+            res.json({ ok: true, templateScope: scope });
+        } catch (error) {
+            logError("PUT /api/pages/:id/template", error);
+            res.status(500).json({ error: "템플릿 설정 실패." });
+        }
+    });
+
+    /**
+     * 버전 기록 조회/복원 대상 페이지 확인
+     * 접근 가능한 평문 페이지인 경우 페이지 행과 권한을 반환하고, 그렇지 않으면 오류 응답 후 null 반환
+     */
+    async function getRevisionTargetPage(pageId, userId, res) {
+        const [pageRows] = await pool.execute(
+            `SELECT id, title, content, icon, collection_id, is_encrypted
+             FROM pages WHERE id = ? AND deleted_at IS NULL`,
+            [pageId]
+        );
+
+        if (!pageRows.length) {
+            res.status(404).json({ error: "페이지를 찾을 수 없습니다." });
+            return null;
+        }
+
+        const page = pageRows[0];
+        const { permission } = await getCollectionPermission(page.collection_id, userId);
+        if (!permission) {
+            res.status(403).json({ error: "권한이 없습니다." });
+            return null;
+        }
+
+        if (page.is_encrypted === 1) {
+            res.status(400).json({ error: "암호화된 페이지는 버전 기록을 지원하지 않습니다." });
+            return null;
+        }
+
+        return { page, permission };
+    }
+
+    /**
+     * 페이지 버전 기록 목록 조회 (최신순, 본문 제외)
+     * GET /api/pages/:id/revisions
+     */
+    router.get("/:id/revisions", authMiddleware, async (req, res) => {
+        const pageId = req.params.id;
+        const userId = req.user.id;
+
+        try {
+            const target = await getRevisionTargetPage(pageId, userId, res);
+            if (!target) return;
+
+            const [rows] = await pool.execute(
+                `SELECT r.id, r.title, r.icon, r.reason, r.created_at, r.user_id, u.username
+                 FROM page_revisions r
+                 LEFT JOIN users u ON r.user_id = u.id
+                 WHERE r.page_id = ?
+                 ORDER BY r.created_at DESC, r.id DESC`,
+                [pageId]
+            );
+
+            const revisions = rows.map((row) => ({
+                id: row.id,
+                title: row.title,
+                icon: row.icon || null,
+                reason: row.reason,
+                createdAt: toIsoString(row.created_at),
+                userId: row.user_id,
+                username: row.username || null
+            }));
+
+            res.json(revisions);
+        } catch (error) {
+            logError("GET /api/pages/:id/revisions", error);
+            res.status(500).json({ error: "버전 기록 조회 실패" });
+        }
+    });
+
+    /**
+     * 페이지 특정 버전 조회 (본문 포함)
+     * GET /api/pages/:id/revisions/:revisionId
+     */
+    router.get("/:id/revisions/:revisionId", authMiddleware, async (req, res) => {
+        const pageId = req.params.id;
+        const revisionId = Number(req.params.revisionId);
+        const userId = req.user.id;
+
+        if (!Number.isInteger(revisionId)) {
+            return res.status(400).json({ error: "잘못된 버전 ID입니다." });
+        }
+
+        try {
+            const target = await getRevisionTargetPage(pageId, userId, res);
+            if (!target) return;
+
+            const [rows] = await pool.execute(
+                `SELECT r.id, r.title, r.content, r.icon, r.reason, r.created_at, r.user_id, u.username
+                 FROM page_revisions r
+                 LEFT JOIN users u ON r.user_id = u.id
+                 WHERE r.id = ? AND r.page_id = ?`,
+                [revisionId, pageId]
+            );
+
+            if (!rows.length) {
+                return res.status(404).json({ error: "버전을 찾을 수 없습니다." });
+            }
+
+            const row = rows[0];
+            res.json({
+                id: row.id,
+                title: row.title,
+                content: row.content,
+                icon: row.icon || null,
+                reason: row.reason,
+                createdAt: toIsoString(row.created_at),
+                userId: row.user_id,
+                username: row.username || null
+            });
+        } catch (error) {
+            logError("GET /api/pages/:id/revisions/:revisionId", error);
+            res.status(500).json({ error: "버전 조회 실패" });
+        }
+    });
+
+    /**
+     * 페이지를 특정 버전으로 복원
+     * 복원 직전 상태를 'restore' 버전으로 남기고, 메모리의 Yjs 문서도 함께 재설정
+     * POST /api/pages/:id/revisions/:revisionId/restore
+     */
+    router.post("/:id/revisions/:revisionId/restore", authMiddleware, async (req, res) => {
+        const pageId = req.params.id;
+        const revisionId = Number(req.params.revisionId);
+        const userId = req.user.id;
+
+        if (!Number.isInteger(revisionId)) {
+            return res.status(400).json({ error: "잘못된 버전 ID입니다." });
+        }
+
+        try {
+            const target = await getRevisionTargetPage(pageId, userId, res);
+            if (!target) return;
+
+            const { page, permission } = target;
+            if (permission === 'READ') {
+                return res.status(403).json({ error: "페이지를 복원할 권한이 없습니다." });
+            }
+
+            const [rows] = await pool.execute(
+                `SELECT title, content, icon FROM page_revisions WHERE id = ? AND page_id = ?`,
+                [revisionId, pageId]
+            );
+
+            if (!rows.length) {
+                return res.status(404).json({ error: "버전을 찾을 수 없습니다." });
+            }
+
+            const revision = rows[0];
+
+            // 현재 상태를 먼저 보관하여 복원도 되돌릴 수 있도록 함
+            await createPageRevision({
+                pageId,
+                userId,
+                title: page.title,
+                content: page.content,
+                icon: page.icon,
+                reason: 'restore',
+                force: true
+            });
+
+            const now = new Date();
+            const content = sanitizeHtmlContent(revision.content);
+
+            await pool.execute(
+                `UPDATE pages SET title = ?, content = ?, content_text = ?, icon = ?, updated_at = ? WHERE id = ?`,
+                [revision.title, content, htmlToPlainText(content), revision.icon, formatDateForDb(now), pageId]
+            );
+
+            await syncPageLinks(pageId, content);
+
+            // 저장된 Yjs 상태 폐기 후 구독자 편집기에 복원된 내용 반영
+            await resetYjsDocContent(pageId, {
+                title: revision.title,
+                content,
+                icon: revision.icon
+            });
+
+            if (revision.title !== page.title) {
+                wsBroadcastToCollection(page.collection_id, 'metadata-change', {
+                    pageId,
+                    field: 'title',
+                    value: revision.title
+                }, userId);
+            }
+
+            if ((revision.icon || null) !== (page.icon || null)) {
+                wsBroadcastToCollection(page.collection_id, 'metadata-change', {
+                    pageId,
+                    field: 'icon',
+                    value: revision.icon || null
+                }, userId);
+            }
+
+            console.log(`POST /api/pages/:id/revisions/:revisionId/restore 복원 완료: ${pageId} -> ${revisionId}`);
+
+            enqueueWebhookEvent(page.collection_id, "page.updated", {
+                page: { id: pageId, title: revision.title },
+                restoredRevisionId: revisionId
+            }, userId);
+
+            res.json({
+                ok: true,
+                page: {
+                    id: pageId,
+                    title: revision.title,
+                    content,
+                    icon: revision.icon || null,
+                    updatedAt: now.toISOString()
+                }
+            });
+        } catch (error) {
+            logError("POST /api/pages/:id/revisions/:revisionId/restore", error);
+            res.status(500).json({ error: "버전 복원 실패" });
+        }
+    });
+
     return router;
 };
@@ -8,7 +8,9 @@ module.exports = (dependencies) => {
         authMiddleware,
         csrfMiddleware,
         passkeyLimiter,
-        sessions,
+        getPendingSession,
+        destroySession,
+        hashSessionId,
         createSession,
         generateCsrfToken,
         formatDateForDb,
@@ -19,6 +21,7 @@ module.exports = (dependencies) => {
         BASE_URL,
         logError,
         recordLoginAttempt,
+        recordAuditEvent,
         checkCountryWhitelist
     } = dependencies;
 
@@ -112,7 +115,7 @@ module.exports = (dependencies) => {
             // 챌린지를 데이터베이스에 저장
             const now = new Date();
             const expiresAt = new Date(now.getTime() + 5 * 60 * 1000);
-            const sessionId = req.cookies[SESSION_COOKIE_NAME];
+            const sessionId = hashSessionId(req.cookies[SESSION_COOKIE_NAME]);
 
             await pool.execute(
                 `INSERT INTO webauthn_challenges
@@ -136,7 +139,7 @@ module.exports = (dependencies) => {
         try {
             const userId = req.user.id;
             const { credential, deviceName } = req.body;
-            const sessionId = req.cookies[SESSION_COOKIE_NAME];
+            const sessionId = hashSessionId(req.cookies[SESSION_COOKIE_NAME]);
 
             if (!credential) {
                 return res.status(400).json({ error: "인증 정보가 없습니다." });
@@ -185,11 +188,12 @@ module.exports = (dependencies) => {
             // credential.publicKey는 Uint8Array이므로 Buffer로 변환
             const publicKeyBase64 = Buffer.from(credentialPublicKey).toString('base64');
 
-            await pool.execute(
+            const passkeyDeviceName = deviceName || '알 수 없는 디바이스';
+            const [passkeyResult] = await pool.execute(
                 `INSERT INTO passkeys
                  (user_id, credential_id, public_key, counter, device_name, created_at)
                  VALUES (?, ?, ?, ?, ?, ?)`,
-                [userId, credentialIdBase64, publicKeyBase64, counter, deviceName || '알 수 없는 디바이스', nowStr]
+                [userId, credentialIdBase64, publicKeyBase64, counter, passkeyDeviceName, nowStr]
             );
 
             // users 테이블 passkey_enabled 플래그 활성화
@@ -204,6 +208,12 @@ module.exports = (dependencies) => {
                 [userId, sessionId]
             );
 
+            await recordAuditEvent(req, "passkey.add", {
+                targetType: "passkey",
+                targetId: passkeyResult.insertId,
+                details: { deviceName: passkeyDeviceName }
+            });
+
             res.json({ success: true });
         } catch (error) {
             logError("POST /api/passkey/register/verify", error);
@@ -377,17 +387,17 @@ module.exports = (dependencies) => {
             }
 
             // 세션 생성
-            const sessionResult = createSession({
+            const sessionResult = await createSession({
                 id: userId,
                 username: username,
                 blockDuplicateLogin: block_duplicate_login
-            });
+            }, req);
 
-            // 중복 로그인 차단 모드에서 거부된 경우
+            // 중복 로그인 차단 모드 또는 비활성화된 계정으로 거부된 경우
             if (!sessionResult.success) {
-                return res.status(409).json({
+                return res.status(sessionResult.code === 'ACCOUNT_DISABLED' ? 403 : 409).json({
                     error: sessionResult.error,
-                    code: 'DUPLICATE_LOGIN_BLOCKED'
+                    code: sessionResult.code
                 });
             }
 
@@ -633,17 +643,17 @@ module.exports = (dependencies) => {
             }
 
             // 세션 생성
-            const sessionResult = createSession({
+            const sessionResult = await createSession({
                 id: userId,
                 username: username,
                 blockDuplicateLogin: block_duplicate_login
-            });
+            }, req);
 
-            // 중복 로그인 차단 모드에서 거부된 경우
+            // 중복 로그인 차단 모드 또는 비활성화된 계정으로 거부된 경우
             if (!sessionResult.success) {
-                return res.status(409).json({
+                return res.status(sessionResult.code === 'ACCOUNT_DISABLED' ? 403 : 409).json({
                     error: sessionResult.error,
-                    code: 'DUPLICATE_LOGIN_BLOCKED'
+                    code: sessionResult.code
                 });
             }
 
@@ -700,7 +710,7 @@ module.exports = (dependencies) => {
                 return res.status(400).json({ error: "세션 정보가 없습니다." });
             }
 
-            const tempSession = sessions.get(tempSessionId);
+            const tempSession = await getPendingSession(tempSessionId);
             if (!tempSession || !tempSession.pendingUserId) {
                 return res.status(400).json({ error: "세션이 만료되었습니다. 다시 로그인하세요." });
             }
@@ -758,7 +768,7 @@ module.exports = (dependencies) => {
                 return res.status(400).json({ error: "인증 정보가 없습니다." });
             }
 
-            const tempSession = sessions.get(tempSessionId);
+            const tempSession = await getPendingSession(tempSessionId);
             if (!tempSession || !tempSession.pendingUserId) {
                 return res.status(400).json({ error: "세션이 만료되었습니다. 다시 로그인하세요." });
             }
@@ -855,25 +865,25 @@ module.exports = (dependencies) => {
             const { username, block_duplicate_login } = userRows[0];
 
             // 세션 생성
-            const sessionResult = createSession({
+            const sessionResult = await createSession({
                 id: userId,
                 username: username,
                 blockDuplicateLogin: block_duplicate_login
-            });
+            }, req);
 
-            // 중복 로그인 차단 모드에서 거부된 경우
+            // 중복 로그인 차단 모드 또는 비활성화된 계정으로 거부된 경우
             if (!sessionResult.success) {
-                sessions.delete(tempSessionId);
-                return res.status(409).json({
+                await destroySession(tempSessionId);
+                return res.status(sessionResult.code === 'ACCOUNT_DISABLED' ? 403 : 409).json({
                     error: sessionResult.error,
-                    code: 'DUPLICATE_LOGIN_BLOCKED'
+                    code: sessionResult.code
                 });
             }
 
             const sessionId = sessionResult.sessionId;
 
             // 임시 세션 삭제
-            sessions.delete(tempSessionId);
+            await destroySession(tempSessionId);
 
             // 사용된 챌린지 삭제
             await pool.execute(
@@ -929,7 +939,7 @@ module.exports = (dependencies) => {
 
             // 본인의 패스키인지 확인
             const [passkeys] = await pool.execute(
-                "SELECT id FROM passkeys WHERE id = ? AND user_id = ?",
+                "SELECT id, device_name FROM passkeys WHERE id = ? AND user_id = ?",
                 [passkeyId, userId]
             );
 
@@ -953,6 +963,12 @@ module.exports = (dependencies) => {
                 );
             }
 
+            await recordAuditEvent(req, "passkey.remove", {
+                targetType: "passkey",
+                targetId: passkeyId,
+                details: { deviceName: passkeys[0].device_name }
+            });
+
             res.json({ success: true });
         } catch (error) {
             logError("DELETE /api/passkey/:id", error);
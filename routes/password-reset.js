@@ -0,0 +1,423 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * Password Reset Routes
+ *
+ * 이 파일은 비밀번호를 잊은 사용자의 계정 복구 라우트를 처리합니다.
+ * - 사용 가능한 본인 확인 방법 조회
+ * - 백업 코드로 본인 확인 후 비밀번호 재설정
+ * - 패스키로 본인 확인 후 비밀번호 재설정
+ * - 관리자가 발급한 일회용 링크로 비밀번호 재설정
+ *
+ * 재설정이 완료되면 해당 사용자의 모든 세션이 종료됩니다.
+ * 로그인 전에 사용하는 API이므로 CSRF 검증에서 제외됩니다 (server.js csrfMiddleware).
+ */
+
+module.exports = (dependencies) => {
+    const {
+        pool,
+        bcrypt,
+        crypto,
+        formatDateForDb,
+        toIsoString,
+        validatePasswordStrength,
+        destroyUserSessions,
+        recordAuditEvent,
+        totpLimiter,
+        passkeyLimiter,
+        BCRYPT_SALT_ROUNDS,
+        BASE_URL,
+        logError
+    } = dependencies;
+
+    const {
+        generateAuthenticationOptions,
+        verifyAuthenticationResponse,
+    } = require('@simplewebauthn/server');
+
+    // RP (Relying Party) 설정 (routes/passkey.js와 동일)
+    const rpID = new URL(BASE_URL).hostname;
+    const expectedOrigin = BASE_URL;
+
+    function hashResetToken(token) {
+        return crypto.createHash("sha256").update(String(token)).digest("hex");
+    }
+
+    /**
+     * 재설정 대상 사용자 조회 (비활성화된 계정은 제외)
+     */
+    async function findResetUser(username) {
+        if (typeof username !== "string" || !username.trim()) {
+            return null;
+        }
+
+        const [rows] = await pool.execute(
+            `SELECT id, username, totp_enabled, passkey_enabled
+             FROM users WHERE username = ? AND is_disabled = 0`,
+            [username.trim()]
+        );
+        return rows[0] || null;
+    }
+
+    /**
+     * 새 비밀번호 저장, 모든 세션 종료, 감사 이벤트 기록
+     * @param {Object} req
+     * @param {{id: number, username: string}} user
+     * @param {string} newPassword - validatePasswordStrength를 통과한 비밀번호
+     * @param {'backup_code'|'passkey'|'admin_link'} method - 본인 확인 방법
+     */
+    async function completePasswordReset(req, user, newPassword, method) {
+        const passwordHash = await bcrypt.hash(newPassword, BCRYPT_SALT_ROUNDS);
+        await pool.execute(
+            `UPDATE users SET password_hash = ?, updated_at = ? WHERE id = ?`,
+            [passwordHash, formatDateForDb(new Date()), user.id]
+        );
+
+        const revokedSessions = await destroyUserSessions(user.id);
+
+        await recordAuditEvent(req, "password.reset", {
+            user: { id: user.id, username: user.username },
+            details: { method, revokedSessions }
+        });
+
+        console.log(`[비밀번호 재설정] 사용자 ID ${user.id}: 재설정 완료 (방법: ${method}, 종료된 세션: ${revokedSessions})`);
+    }
+
+    /**
+     * 사용 가능한 본인 확인 방법 조회
+     * POST /api/password-reset/methods
+     * body: { username: string }
+     * 존재하지 않는 아이디와 2단계 인증이 없는 계정은 구분하지 않고 빈 목록 반환
+     */
+    router.post("/methods", totpLimiter, async (req, res) => {
+        const { username } = req.body || {};
+
+        try {
+            const user = await findResetUser(username);
+            const methods = [];
+
+            if (user) {
+                if (user.totp_enabled) {
+                    const [codeRows] = await pool.execute(
+                        `SELECT COUNT(*) AS count FROM backup_codes WHERE user_id = ? AND used = 0`,
+                        [user.id]
+                    );
+                    if (codeRows[0].count > 0) {
+                        methods.push("backup_code");
+                    }
+                }
+
+                if (user.passkey_enabled) {
+                    methods.push("passkey");
+                }
+            }
+
+            res.json({ methods });
+        } catch (error) {
+            logError("POST /api/password-reset/methods", error);
+            res.status(500).json({ error: "본인 확인 방법을 조회하지 못했습니다." });
+        }
+    });
+
+    /**
+     * 백업 코드로 비밀번호 재설정 (사용한 백업 코드는 다시 사용할 수 없음)
+     * POST /api/password-reset/backup-code
+     * body: { username: string, backupCode: string, newPassword: string }
+     */
+    router.post("/backup-code", totpLimiter, async (req, res) => {
+        const { username, backupCode, newPassword } = req.body || {};
+
+        if (typeof backupCode !== "string" || !backupCode.trim()) {
+            return res.status(400).json({ error: "백업 코드를 입력하세요." });
+        }
+
+        // 백업 코드를 소모하기 전에 새 비밀번호부터 검증
+        const passwordValidation = validatePasswordStrength(newPassword);
+        if (!passwordValidation.valid) {
+            return res.status(400).json({ error: passwordValidation.error });
+        }
+
+        try {
+            const user = await findResetUser(username);
+            if (!user || !user.totp_enabled) {
+                return res.status(401).json({ error: "아이디 또는 백업 코드가 올바르지 않습니다." });
+            }
+
+            const [rows] = await pool.execute(
+                "SELECT id, code_hash FROM backup_codes WHERE user_id = ? AND used = 0",
+                [user.id]
+            );
+
+            let validCodeId = null;
+            for (const row of rows) {
+                if (await bcrypt.compare(backupCode.trim(), row.code_hash)) {
+                    validCodeId = row.id;
+                    break;
+                }
+            }
+
+            if (!validCodeId) {
+                return res.status(401).json({ error: "아이디 또는 백업 코드가 올바르지 않습니다." });
+            }
+
+            // 동시 요청으로 같은 코드가 두 번 쓰이지 않도록 used = 0 조건으로 소모
+            const [result] = await pool.execute(
+                "UPDATE backup_codes SET used = 1, used_at = ? WHERE id = ? AND used = 0",
+                [formatDateForDb(new Date()), validCodeId]
+            );
+            if (result.affectedRows === 0) {
+                return res.status(401).json({ error: "아이디 또는 백업 코드가 올바르지 않습니다." });
+            }
+
+            await recordAuditEvent(req, "totp.backup_code_used", {
+                user: { id: user.id, username: user.username },
+                details: { remainingCodes: rows.length - 1 }
+            });
+
+            await completePasswordReset(req, user, newPassword, "backup_code");
+
+            res.json({ ok: true });
+        } catch (error) {
+            logError("POST /api/password-reset/backup-code", error);
+            res.status(500).json({ error: "비밀번호 재설정 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 패스키 본인 확인 시작 - 챌린지 생성
+     * POST /api/password-reset/passkey/options
+     * body: { username: string }
+     */
+    router.post("/passkey/options", passkeyLimiter, async (req, res) => {
+        const { username } = req.body || {};
+
+        try {
+            const user = await findResetUser(username);
+            if (!user || !user.passkey_enabled) {
+                return res.status(400).json({ error: "패스키로 재설정할 수 없는 계정입니다." });
+            }
+
+            const [passkeys] = await pool.execute(
+                "SELECT credential_id, transports FROM passkeys WHERE user_id = ?",
+                [user.id]
+            );
+
+            if (passkeys.length === 0) {
+                return res.status(400).json({ error: "패스키로 재설정할 수 없는 계정입니다." });
+            }
+
+            const options = await generateAuthenticationOptions({
+                rpID: rpID,
+                timeout: 60000,
+                allowCredentials: passkeys.map(pk => ({
+                    id: pk.credential_id,
+                    type: 'public-key',
+                    transports: pk.transports ? pk.transports.split(',') : ['usb', 'ble', 'nfc', 'internal', 'hybrid']
+                })),
+                userVerification: 'preferred'
+            });
+
+            const now = new Date();
+            const expiresAt = new Date(now.getTime() + 5 * 60 * 1000);
+            const tempSessionId = crypto.randomBytes(32).toString('hex');
+
+            await pool.execute(
+                `INSERT INTO webauthn_challenges
+                 (user_id, session_id, challenge, operation, created_at, expires_at)
+                 VALUES (?, ?, ?, 'password_reset', ?, ?)`,
+                [user.id, tempSessionId, options.challenge, formatDateForDb(now), formatDateForDb(expiresAt)]
+            );
+
+            res.json({
+                ...options,
+                tempSessionId: tempSessionId
+            });
+        } catch (error) {
+            logError("POST /api/password-reset/passkey/options", error);
+            res.status(500).json({ error: "패스키 인증 옵션 생성 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 패스키로 비밀번호 재설정
+     * POST /api/password-reset/passkey/verify
+     * body: { tempSessionId: string, credential: Object, newPassword: string }
+     */
+    router.post("/passkey/verify", passkeyLimiter, async (req, res) => {
+        const { tempSessionId, credential, newPassword } = req.body || {};
+
+        if (!credential || !tempSessionId) {
+            return res.status(400).json({ error: "인증 정보가 없습니다." });
+        }
+
+        const passwordValidation = validatePasswordStrength(newPassword);
+        if (!passwordValidation.valid) {
+            return res.status(400).json({ error: passwordValidation.error });
+        }
+
+        try {
+            const [challenges] = await pool.execute(
+                `SELECT user_id, challenge FROM webauthn_challenges
+                 WHERE session_id = ? AND operation = 'password_reset'
+                 AND expires_at > ?
+                 ORDER BY created_at DESC LIMIT 1`,
+                [tempSessionId, formatDateForDb(new Date())]
+            );
+
+            if (challenges.length === 0) {
+                return res.status(400).json({ error: "유효한 챌린지를 찾을 수 없습니다. 다시 시도해 주세요." });
+            }
+
+            const { user_id: userId, challenge: expectedChallenge } = challenges[0];
+
+            // 챌린지는 한 번만 사용
+            await pool.execute(
+                "DELETE FROM webauthn_challenges WHERE session_id = ? AND operation = 'password_reset'",
+                [tempSessionId]
+            );
+
+            const [passkeys] = await pool.execute(
+                "SELECT id, public_key, counter, transports FROM passkeys WHERE credential_id = ? AND user_id = ?",
+                [credential.id, userId]
+            );
+
+            if (passkeys.length === 0) {
+                return res.status(404).json({ error: "등록되지 않은 패스키입니다." });
+            }
+
+            const passkey = passkeys[0];
+
+            let verification;
+            try {
+                verification = await verifyAuthenticationResponse({
+                    response: credential,
+                    expectedChallenge: expectedChallenge,
+                    expectedOrigin: expectedOrigin,
+                    expectedRPID: rpID,
+                    credential: {
+                        id: credential.id,
+                        publicKey: Buffer.from(passkey.public_key, 'base64'),
+                        counter: passkey.counter,
+                        transports: passkey.transports ? passkey.transports.split(',') : []
+                    },
+                    requireUserVerification: false
+                });
+            } catch (error) {
+                verification = { verified: false };
+            }
+
+            if (!verification.verified) {
+                return res.status(401).json({ error: "패스키 인증에 실패했습니다." });
+            }
+
+            await pool.execute(
+                "UPDATE passkeys SET counter = ?, last_used_at = ? WHERE id = ?",
+                [verification.authenticationInfo.newCounter, formatDateForDb(new Date()), passkey.id]
+            );
+
+            const [userRows] = await pool.execute(
+                "SELECT id, username FROM users WHERE id = ? AND is_disabled = 0",
+                [userId]
+            );
+            if (userRows.length === 0) {
+                return res.status(404).json({ error: "사용자를 찾을 수 없습니다." });
+            }
+
+            await completePasswordReset(req, userRows[0], newPassword, "passkey");
+
+            res.json({ ok: true });
+        } catch (error) {
+            logError("POST /api/password-reset/passkey/verify", error);
+            res.status(500).json({ error: "비밀번호 재설정 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 관리자 발급 재설정 링크 확인
+     * POST /api/password-reset/link/check
+     * body: { token: string }
+     */
+    router.post("/link/check", totpLimiter, async (req, res) => {
+        const { token } = req.body || {};
+
+        if (typeof token !== "string" || !token) {
+            return res.status(400).json({ error: "재설정 링크가 올바르지 않습니다." });
+        }
+
+        try {
+            const [rows] = await pool.execute(
+                `SELECT u.username, t.expires_at
+                 FROM password_reset_tokens t
+                 JOIN users u ON t.user_id = u.id
+                 WHERE t.token_hash = ? AND t.used_at IS NULL AND t.expires_at > ?`,
+                [hashResetToken(token), formatDateForDb(new Date())]
+            );
+
+            if (rows.length === 0) {
+                return res.status(400).json({ error: "재설정 링크가 만료되었거나 이미 사용되었습니다." });
+            }
+
+            res.json({
+                username: rows[0].username,
+                expiresAt: toIsoString(rows[0].expires_at)
+            });
+        } catch (error) {
+            logError("POST /api/password-reset/link/check", error);
+            res.status(500).json({ error: "재설정 링크 확인 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 관리자 발급 재설정 링크로 비밀번호 재설정 (링크는 한 번만 사용 가능)
+     * POST /api/password-reset/link
+     * body: { token: string, newPassword: string }
+     */
+    router.post("/link", totpLimiter, async (req, res) => {
+        const { token, newPassword } = req.body || {};
+
+        if (typeof token !== "string" || !token) {
+            return res.status(400).json({ error: "재설정 링크가 올바르지 않습니다." });
+        }
+
+        const passwordValidation = validatePasswordStrength(newPassword);
+        if (!passwordValidation.valid) {
+            return res.status(400).json({ error: passwordValidation.error });
+        }
+
+        try {
+            const tokenHash = hashResetToken(token);
+            const now = formatDateForDb(new Date());
+
+            const [rows] = await pool.execute(
+                `SELECT t.id, u.id AS user_id, u.username
+                 FROM password_reset_tokens t
+                 JOIN users u ON t.user_id = u.id
+                 WHERE t.token_hash = ? AND t.used_at IS NULL AND t.expires_at > ?`,
+                [tokenHash, now]
+            );
+
+            if (rows.length === 0) {
+                return res.status(400).json({ error: "재설정 링크가 만료되었거나 이미 사용되었습니다." });
+            }
+
+            // 동시 요청으로 같은 링크가 두 번 쓰이지 않도록 used_at IS NULL 조건으로 소모
+            const [result] = await pool.execute(
+                `UPDATE password_reset_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL`,
+                [now, rows[0].id]
+            );
+            if (result.affectedRows === 0) {
+                return res.status(400).json({ error: "재설정 링크가 만료되었거나 이미 사용되었습니다." });
+            }
+
+            await completePasswordReset(req, { id: rows[0].user_id, username: rows[0].username }, newPassword, "admin_link");
+
+            res.json({ ok: true });
+        } catch (error) {
+            logError("POST /api/password-reset/link", error);
+            res.status(500).json({ error: "비밀번호 재설정 중 오류가 발생했습니다." });
+        }
+    });
+
+    return router;
+};
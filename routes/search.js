@@ -0,0 +1,183 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * Search Routes
+ *
+ * 이 파일은 페이지 전문 검색 라우트를 처리합니다.
+ * - 제목/본문 전문 검색 (MySQL FULLTEXT, ngram 파서)
+ * - 관련도 순 정렬, 페이지네이션, 하이라이트된 본문 발췌
+ *
+ * 검색 대상은 pages.content_text(태그를 제거한 본문)이며,
+ * 암호화된 페이지는 content_text가 비어 있고 검색 결과에서도 제외됩니다.
+ */
+
+module.exports = (dependencies) => {
+    const {
+        pool,
+        authMiddleware,
+        toIsoString,
+        logError
+    } = dependencies;
+
+    // 검색어 관련 제한
+    const SEARCH_MIN_TERM_LENGTH = 2;   // ngram_token_size 기본값과 동일
+    const SEARCH_MAX_TERMS = 10;
+    const SEARCH_MAX_QUERY_LENGTH = 200;
+    const SNIPPET_LENGTH = 160;
+
+    /**
+     * 검색어를 단어 목록으로 분리
+     * BOOLEAN MODE 연산자 문자는 제거하여 사용자 입력이 쿼리 문법으로 해석되지 않도록 함
+     */
+    function parseSearchTerms(query) {
+        const terms = query
+            .replace(/[+\-<>()~*"@]/g, ' ')
+            .split(/\s+/)
+            .map((term) => term.trim())
+            .filter((term) => term.length >= SEARCH_MIN_TERM_LENGTH);
+
+        return [...new Set(terms)].slice(0, SEARCH_MAX_TERMS);
+    }
+
+    /**
+     * 단어 목록을 BOOLEAN MODE 검색식으로 변환 (모든 단어 포함, 단어 내부는 구문 일치)
+     */
+    function buildBooleanQuery(terms) {
+        return terms.map((term) => `+"${term}"`).join(' ');
+    }
+
+    function escapeHtml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * 검색어 주변 본문을 잘라 HTML 이스케이프 후 일치 부분을 <mark>로 감싼 발췌문 생성
+     */
+    function buildSnippet(text, terms) {
+        if (!text) return '';
+
+        const lowerText = text.toLowerCase();
+        let matchIndex = -1;
+        for (const term of terms) {
+            const index = lowerText.indexOf(term.toLowerCase());
+            if (index !== -1 && (matchIndex === -1 || index < matchIndex)) {
+                matchIndex = index;
+            }
+        }
+
+        let start = 0;
+        if (matchIndex > SNIPPET_LENGTH / 3) {
+            start = matchIndex - Math.floor(SNIPPET_LENGTH / 3);
+        }
+        const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+        const excerpt = text.slice(start, end);
+        const pattern = new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi');
+        const highlighted = excerpt
+            .split(pattern)
+            .map((part, index) => (index % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)))
+            .join('');
+
+        return `${start > 0 ? '…' : ''}${highlighted}${end < text.length ? '…' : ''}`;
+    }
+
+    /**
+     * 페이지 전문 검색 (소유한 페이지 및 공유받은 컬렉션의 페이지)
+     * GET /api/search
+     * query: { q: string, collectionId?: string, limit?: number, offset?: number }
+     */
+    router.get("/", authMiddleware, async (req, res) => {
+        const userId = req.user.id;
+
+        try {
+            const rawQuery = typeof req.query.q === "string" ? req.query.q.trim().slice(0, SEARCH_MAX_QUERY_LENGTH) : "";
+            const collectionId =
+                typeof req.query.collectionId === "string" && req.query.collectionId.trim() !== ""
+                    ? req.query.collectionId.trim()
+                    : null;
+            const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+            const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+            const terms = parseSearchTerms(rawQuery);
+            if (!terms.length) {
+                return res.status(400).json({ error: `검색어는 ${SEARCH_MIN_TERM_LENGTH}자 이상 입력해 주세요.` });
+            }
+
+            const booleanQuery = buildBooleanQuery(terms);
+
+            // GET /api/pages와 동일한 권한 조건 + 암호화/휴지통 페이지 제외
+            let whereClause = `
+                WHERE MATCH(p.title, p.content_text) AGAINST (? IN BOOLEAN MODE)
+                  AND (p.user_id = ? OR c.user_id = ? OR cs.collection_id IS NOT NULL)
+                  AND p.is_encrypted = 0
+                  AND p.deleted_at IS NULL AND c.deleted_at IS NULL
+            `;
+            const whereParams = [booleanQuery, userId, userId];
+
+            if (collectionId) {
+                whereClause += ` AND p.collection_id = ?`;
+                whereParams.push(collectionId);
+            }
+
+            const fromClause = `
+                FROM pages p
+                LEFT JOIN collections c ON p.collection_id = c.id
+                LEFT JOIN collection_shares cs ON p.collection_id = cs.collection_id AND cs.shared_with_user_id = ?
+            `;
+
+            const [rows] = await pool.execute(
+                `SELECT DISTINCT p.id, p.title, p.icon, p.collection_id, p.parent_id, p.updated_at,
+                        p.content_text, c.name AS collection_name,
+                        MATCH(p.title, p.content_text) AGAINST (? IN BOOLEAN MODE) AS score
+                 ${fromClause}
+                 ${whereClause}
+                 ORDER BY score DESC, p.updated_at DESC
+                 LIMIT ? OFFSET ?`,
+                [booleanQuery, userId, ...whereParams, limit, offset]
+            );
+
+            const [countRows] = await pool.execute(
+                `SELECT COUNT(DISTINCT p.id) AS total
+                 ${fromClause}
+                 ${whereClause}`,
+                [userId, ...whereParams]
+            );
+
+            const results = rows.map((row) => ({
+                id: row.id,
+                title: row.title || "제목 없음",
+                icon: row.icon || null,
+                collectionId: row.collection_id,
+                collectionName: row.collection_name,
+                parentId: row.parent_id,
+                updatedAt: toIsoString(row.updated_at),
+                snippet: buildSnippet(row.content_text, terms),
+                score: Number(row.score)
+            }));
+
+            res.json({
+                query: rawQuery,
+                terms,
+                results,
+                total: Number(countRows[0].total),
+                limit,
+                offset
+            });
+        } catch (error) {
+            logError("GET /api/search", error);
+            res.status(500).json({ error: "검색 중 오류가 발생했습니다." });
+        }
+    });
+
+    return router;
+};
@@ -19,9 +19,23 @@ module.exports = (dependencies) => {
         hasEncryptedPages,
         generateShareToken,
         BASE_URL,
-        logError
+        logError,
+        recordAuditEvent,
+        enqueueWebhookEvent,
+        createNotification
     } = dependencies;
 
+    /**
+     * 알림에 표시할 컬렉션 정보
+     */
+    async function getCollectionSummary(collectionId) {
+        const [rows] = await pool.execute(
+            `SELECT id, name FROM collections WHERE id = ?`,
+            [collectionId]
+        );
+        return rows.length ? { id: rows[0].id, name: rows[0].name } : { id: collectionId, name: null };
+    }
+
     /**
      * 컬렉션을 특정 사용자에게 공유
      * POST /api/collections/:id/shares
@@ -70,7 +84,7 @@ module.exports = (dependencies) => {
             const now = new Date();
             const nowStr = formatDateForDb(now);
 
-            await pool.execute(
+            const [shareResult] = await pool.execute(
                 `INSERT INTO collection_shares
                  (collection_id, owner_user_id, shared_with_user_id, permission, created_at, updated_at)
                  VALUES (?, ?, ?, ?, ?, ?)
@@ -80,6 +94,27 @@ module.exports = (dependencies) => {
                 [collectionId, ownerId, targetUserId, permission, nowStr, nowStr]
             );
 
+            await recordAuditEvent(req, "share.grant", {
+                targetType: "collection",
+                targetId: collectionId,
+                details: { sharedWith: username.trim(), permission }
+            });
+
+            enqueueWebhookEvent(collectionId, "share.changed", {
+                action: "grant",
+                share: { username: username.trim(), permission }
+            }, ownerId);
+
+            // 공유받은 사용자에게 알림 (이미 공유된 경우 affectedRows가 2: 권한 변경)
+            createNotification(targetUserId, "collection.shared", {
+                actor: req.user,
+                data: {
+                    collection: await getCollectionSummary(collectionId),
+                    permission,
+                    permissionChanged: shareResult.affectedRows > 1
+                }
+            });
+
             res.status(201).json({
                 ok: true,
                 share: {
@@ -148,11 +183,43 @@ module.exports = (dependencies) => {
                 return res.status(403).json({ error: "권한이 없습니다." });
             }
 
-            await pool.execute(
+            const [shareRows] = await pool.execute(
+                `SELECT u.username, cs.permission, cs.shared_with_user_id
+                 FROM collection_shares cs
+                 JOIN users u ON cs.shared_with_user_id = u.id
+                 WHERE cs.id = ? AND cs.collection_id = ?`,
+                [shareId, collectionId]
+            );
+
+            const [result] = await pool.execute(
                 `DELETE FROM collection_shares WHERE id = ? AND collection_id = ?`,
                 [shareId, collectionId]
             );
 
+            if (result.affectedRows > 0 && shareRows.length) {
+                // 공유 해제된 사용자에게 감싸 준 컬렉션 키도 삭제
+                await pool.execute(
+                    `DELETE FROM collection_encryption_keys WHERE collection_id = ? AND user_id = ?`,
+                    [collectionId, shareRows[0].shared_with_user_id]
+                );
+
+                await recordAuditEvent(req, "share.revoke", {
+                    targetType: "collection",
+                    targetId: collectionId,
+                    details: { sharedWith: shareRows[0].username, permission: shareRows[0].permission }
+                });
+
+                enqueueWebhookEvent(collectionId, "share.changed", {
+                    action: "revoke",
+                    share: { username: shareRows[0].username, permission: shareRows[0].permission }
+                }, req.user.id);
+
+                createNotification(shareRows[0].shared_with_user_id, "share.revoked", {
+                    actor: req.user,
+                    data: { collection: await getCollectionSummary(collectionId) }
+                });
+            }
+
             res.json({ ok: true });
         } catch (error) {
             logError("DELETE /api/collections/:id/shares/:shareId", error);
@@ -160,6 +227,249 @@ module.exports = (dependencies) => {
         }
     });
 
+    // 공유 링크 설정
+    const SHARE_LINK_PERMISSIONS = ['READ', 'EDIT'];
+    const SHARE_LINK_MAX_EXPIRES_DAYS = 365;
+
+    /**
+     * 공유 링크 응답 객체 생성
+     */
+    function formatShareLink(row) {
+        const expiresAt = row.expires_at ? new Date(row.expires_at) : null;
+        return {
+            id: row.id,
+            token: row.token,
+            url: `${BASE_URL}/shared/collection/${row.token}`,
+            permission: row.permission,
+            expiresAt: toIsoString(row.expires_at),
+            isActive: row.is_active === 1,
+            isExpired: expiresAt !== null && expiresAt.getTime() <= Date.now(),
+            createdAt: toIsoString(row.created_at),
+            updatedAt: toIsoString(row.updated_at)
+        };
+    }
+
+    /**
+     * 컬렉션 공유 링크 생성
+     * POST /api/collections/:id/share-links
+     * body: { permission: 'READ' | 'EDIT', expiresInDays?: number | null }
+     */
+    router.post("/collections/:id/share-links", authMiddleware, async (req, res) => {
+        const collectionId = req.params.id;
+        const ownerId = req.user.id;
+        const permission = typeof req.body.permission === "string" ? req.body.permission : "READ";
+        const expiresInDays = req.body.expiresInDays === undefined || req.body.expiresInDays === null
+            ? null
+            : Number(req.body.expiresInDays);
+
+        if (!SHARE_LINK_PERMISSIONS.includes(permission)) {
+            return res.status(400).json({ error: "유효하지 않은 권한입니다." });
+        }
+
+        if (expiresInDays !== null &&
+            (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > SHARE_LINK_MAX_EXPIRES_DAYS)) {
+            return res.status(400).json({ error: `만료 기간은 1일에서 ${SHARE_LINK_MAX_EXPIRES_DAYS}일 사이여야 합니다.` });
+        }
+
+        try {
+            const { isOwner } = await getCollectionPermission(collectionId, ownerId);
+            if (!isOwner) {
+                return res.status(403).json({ error: "컬렉션 소유자만 공유할 수 있습니다." });
+            }
+
+            const hasEncrypted = await hasEncryptedPages(collectionId);
+            if (hasEncrypted) {
+                return res.status(400).json({
+                    error: "공유가 허용되지 않은 암호화 페이지가 포함되어 있습니다. 해당 페이지의 공유를 허용하거나 삭제한 후 다시 시도해 주세요."
+                });
+            }
+
+            const now = new Date();
+            const nowStr = formatDateForDb(now);
+            const expiresAt = expiresInDays !== null
+                ? new Date(now.getTime() + expiresInDays * 24 * 60 * 60 * 1000)
+                : null;
+            const token = generateShareToken();
+
+            const [result] = await pool.execute(
+                `INSERT INTO share_links
+                 (token, collection_id, owner_user_id, permission, expires_at, is_active, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, ?, 1, ?, ?)`,
+                [token, collectionId, ownerId, permission, expiresAt ? formatDateForDb(expiresAt) : null, nowStr, nowStr]
+            );
+
+            await recordAuditEvent(req, "share_link.create", {
+                targetType: "collection",
+                targetId: collectionId,
+                details: { linkId: result.insertId, permission, expiresInDays }
+            });
+
+            enqueueWebhookEvent(collectionId, "share.changed", {
+                action: "link_create",
+                link: { id: result.insertId, permission, expiresAt: expiresAt ? expiresAt.toISOString() : null }
+            }, ownerId);
+
+            res.status(201).json(formatShareLink({
+                id: result.insertId,
+                token,
+                permission,
+                expires_at: expiresAt,
+                is_active: 1,
+                created_at: now,
+                updated_at: now
+            }));
+        } catch (error) {
+            logError("POST /api/collections/:id/share-links", error);
+            res.status(500).json({ error: "공유 링크 생성 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 컬렉션 공유 링크 목록 조회
+     * GET /api/collections/:id/share-links
+     */
+    router.get("/collections/:id/share-links", authMiddleware, async (req, res) => {
+        const collectionId = req.params.id;
+        const userId = req.user.id;
+
+        try {
+            const { isOwner } = await getCollectionPermission(collectionId, userId);
+            if (!isOwner) {
+                return res.status(403).json({ error: "권한이 없습니다." });
+            }
+
+            const [rows] = await pool.execute(
+                `SELECT id, token, permission, expires_at, is_active, created_at, updated_at
+                 FROM share_links
+                 WHERE collection_id = ?
+                 ORDER BY is_active DESC, created_at DESC`,
+                [collectionId]
+            );
+
+            res.json(rows.map(formatShareLink));
+        } catch (error) {
+            logError("GET /api/collections/:id/share-links", error);
+            res.status(500).json({ error: "공유 링크 목록 조회 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 컬렉션 공유 링크 폐기 (이후 해당 링크로 접근 불가)
+     * DELETE /api/collections/:id/share-links/:linkId
+     */
+    router.delete("/collections/:id/share-links/:linkId", authMiddleware, async (req, res) => {
+        const collectionId = req.params.id;
+        const linkId = req.params.linkId;
+        const userId = req.user.id;
+
+        try {
+            const { isOwner } = await getCollectionPermission(collectionId, userId);
+            if (!isOwner) {
+                return res.status(403).json({ error: "권한이 없습니다." });
+            }
+
+            const [result] = await pool.execute(
+                `UPDATE share_links SET is_active = 0, updated_at = ?
+                 WHERE id = ? AND collection_id = ?`,
+                [formatDateForDb(new Date()), linkId, collectionId]
+            );
+
+            if (result.affectedRows === 0) {
+                return res.status(404).json({ error: "공유 링크를 찾을 수 없습니다." });
+            }
+
+            await recordAuditEvent(req, "share_link.revoke", {
+                targetType: "collection",
+                targetId: collectionId,
+                details: { linkId: Number(linkId) }
+            });
+
+            enqueueWebhookEvent(collectionId, "share.changed", {
+                action: "link_revoke",
+                link: { id: Number(linkId) }
+            }, req.user.id);
+
+            res.json({ ok: true });
+        } catch (error) {
+            logError("DELETE /api/collections/:id/share-links/:linkId", error);
+            res.status(500).json({ error: "공유 링크 폐기 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 편집 권한 공유 링크로 컬렉션 참여 (로그인 사용자)
+     * 링크 소유자의 컬렉션을 EDIT 권한으로 공유받으며, 이미 더 높은 권한이 있으면 유지
+     * POST /api/share-links/:token/join
+     */
+    router.post("/share-links/:token/join", authMiddleware, async (req, res) => {
+        const token = req.params.token;
+        const userId = req.user.id;
+
+        try {
+            const [rows] = await pool.execute(
+                `SELECT sl.collection_id, sl.owner_user_id, sl.permission, c.name
+                 FROM share_links sl
+                 JOIN collections c ON sl.collection_id = c.id
+                 WHERE sl.token = ? AND sl.is_active = 1
+                   AND (sl.expires_at IS NULL OR sl.expires_at > ?)
+                   AND c.deleted_at IS NULL`,
+                [token, formatDateForDb(new Date())]
+            );
+
+            if (!rows.length) {
+                return res.status(404).json({ error: "유효하지 않거나 만료된 공유 링크입니다." });
+            }
+
+            const link = rows[0];
+
+            if (link.permission !== 'EDIT') {
+                return res.status(403).json({ error: "읽기 전용 링크로는 컬렉션에 참여할 수 없습니다." });
+            }
+
+            if (link.owner_user_id === userId) {
+                return res.status(400).json({ error: "자신의 컬렉션입니다." });
+            }
+
+            const hasEncrypted = await hasEncryptedPages(link.collection_id);
+            if (hasEncrypted) {
+                return res.status(400).json({ error: "공유가 허용되지 않은 암호화 페이지가 포함된 컬렉션입니다." });
+            }
+
+            const nowStr = formatDateForDb(new Date());
+
+            await pool.execute(
+                `INSERT INTO collection_shares
+                 (collection_id, owner_user_id, shared_with_user_id, permission, created_at, updated_at)
+                 VALUES (?, ?, ?, 'EDIT', ?, ?)
+                 ON DUPLICATE KEY UPDATE
+                 permission = IF(permission = 'READ', VALUES(permission), permission),
+                 updated_at = VALUES(updated_at)`,
+                [link.collection_id, link.owner_user_id, userId, nowStr, nowStr]
+            );
+
+            await recordAuditEvent(req, "share_link.join", {
+                targetType: "collection",
+                targetId: link.collection_id,
+                details: { collectionName: link.name }
+            });
+
+            enqueueWebhookEvent(link.collection_id, "share.changed", {
+                action: "link_join",
+                share: { username: req.user.username, permission: "EDIT" }
+            }, userId);
+
+            console.log(`POST /api/share-links/:token/join 참여 완료: ${link.collection_id} (사용자 ${userId})`);
+
+            res.json({
+                ok: true,
+                collectionId: link.collection_id,
+                collectionName: link.name
+            });
+        } catch (error) {
+            logError("POST /api/share-links/:token/join", error);
+            res.status(500).json({ error: "컬렉션 참여 중 오류가 발생했습니다." });
+        }
+    });
 
     return router;
 };
@@ -0,0 +1,103 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * Tags Routes
+ *
+ * 이 파일은 태그 브라우저 라우트를 처리합니다.
+ * - 접근 가능한 모든 컬렉션의 태그 목록 (페이지 수 포함)
+ * - 특정 태그가 붙은 페이지 목록
+ *
+ * 페이지별 태그 조회/설정은 pages.js의 /api/pages/:id/tags 에서 처리합니다.
+ */
+
+module.exports = (dependencies) => {
+    const {
+        pool,
+        authMiddleware,
+        toIsoString,
+        logError
+    } = dependencies;
+
+    // GET /api/pages와 동일한 권한 조건 + 휴지통 페이지 제외
+    const accessibleFromClause = `
+        FROM page_tags t
+        JOIN pages p ON t.page_id = p.id
+        LEFT JOIN collections c ON p.collection_id = c.id
+        LEFT JOIN collection_shares cs ON p.collection_id = cs.collection_id AND cs.shared_with_user_id = ?
+        WHERE (p.user_id = ? OR c.user_id = ? OR cs.collection_id IS NOT NULL)
+          AND NOT (p.is_encrypted = 1 AND p.share_allowed = 0 AND p.user_id != ?)
+          AND p.deleted_at IS NULL AND c.deleted_at IS NULL
+    `;
+
+    /**
+     * 태그 목록 조회 (접근 가능한 페이지 기준 페이지 수 포함)
+     * GET /api/tags
+     */
+    router.get("/", authMiddleware, async (req, res) => {
+        const userId = req.user.id;
+
+        try {
+            const [rows] = await pool.execute(
+                `SELECT MIN(t.name) AS name, COUNT(DISTINCT p.id) AS page_count
+                 ${accessibleFromClause}
+                 GROUP BY t.name
+                 ORDER BY page_count DESC, name ASC`,
+                [userId, userId, userId, userId]
+            );
+
+            res.json({
+                tags: rows.map((row) => ({
+                    name: row.name,
+                    pageCount: Number(row.page_count)
+                }))
+            });
+        } catch (error) {
+            logError("GET /api/tags", error);
+            res.status(500).json({ error: "태그 목록을 불러오지 못했습니다." });
+        }
+    });
+
+    /**
+     * 특정 태그가 붙은 페이지 목록 조회 (태그 이름은 대소문자 구분 없음)
+     * GET /api/tags/:name/pages
+     */
+    router.get("/:name/pages", authMiddleware, async (req, res) => {
+        const userId = req.user.id;
+        const name = typeof req.params.name === "string" ? req.params.name.trim() : "";
+
+        if (!name) {
+            return res.status(400).json({ error: "태그 이름이 필요합니다." });
+        }
+
+        try {
+            const [rows] = await pool.execute(
+                `SELECT DISTINCT p.id, p.title, p.icon, p.collection_id, p.parent_id, p.is_encrypted,
+                        p.updated_at, c.name AS collection_name
+                 ${accessibleFromClause}
+                   AND t.name = ?
+                 ORDER BY p.updated_at DESC`,
+                [userId, userId, userId, userId, name]
+            );
+
+            res.json({
+                tag: name,
+                pages: rows.map((row) => ({
+                    id: row.id,
+                    title: row.title || "제목 없음",
+                    icon: row.icon || null,
+                    collectionId: row.collection_id,
+                    collectionName: row.collection_name,
+                    parentId: row.parent_id,
+                    isEncrypted: row.is_encrypted ? true : false,
+                    updatedAt: toIsoString(row.updated_at)
+                }))
+            });
+        } catch (error) {
+            logError("GET /api/tags/:name/pages", error);
+            res.status(500).json({ error: "태그 페이지 목록을 불러오지 못했습니다." });
+        }
+    });
+
+    return router;
+};
@@ -23,7 +23,10 @@ module.exports = (dependencies) => {
         authMiddleware,
         csrfMiddleware,
         totpLimiter,
-        sessions,
+        getSessionFromRequest,
+        updateSessionData,
+        getPendingSession,
+        destroySession,
         createSession,
         generateCsrfToken,
         formatDateForDb,
@@ -34,6 +37,7 @@ module.exports = (dependencies) => {
         BCRYPT_SALT_ROUNDS,
         logError,
         recordLoginAttempt,
+        recordAuditEvent,
         checkCountryWhitelist
     } = dependencies;
 
@@ -76,12 +80,11 @@ module.exports = (dependencies) => {
 
             const qrCodeUrl = await QRCode.toDataURL(secret.otpauth_url);
 
-            const sessionId = req.cookies[SESSION_COOKIE_NAME];
-            const session = sessions.get(sessionId);
+            const session = await getSessionFromRequest(req);
             if (!session) {
                 return res.status(401).json({ error: "세션이 만료되었습니다." });
             }
-            session.totpTempSecret = secret.base32;
+            await updateSessionData(session.id, { totpTempSecret: secret.base32 });
 
             res.json({
                 secret: secret.base32,
@@ -106,8 +109,7 @@ module.exports = (dependencies) => {
                 return res.status(400).json({ error: "유효한 6자리 코드를 입력하세요." });
             }
 
-            const sessionId = req.cookies[SESSION_COOKIE_NAME];
-            const session = sessions.get(sessionId);
+            const session = await getSessionFromRequest(req);
             const secret = session?.totpTempSecret;
 
             if (!secret) {
@@ -145,7 +147,11 @@ module.exports = (dependencies) => {
                 [secret, nowStr, userId]
             );
 
-            delete session.totpTempSecret;
+            await updateSessionData(session.id, { totpTempSecret: undefined });
+
+            await recordAuditEvent(req, "totp.enable", {
+                details: { backupCodes: backupCodes.length }
+            });
 
             res.json({
                 success: true,
@@ -194,6 +200,8 @@ module.exports = (dependencies) => {
 
             await pool.execute("DELETE FROM backup_codes WHERE user_id = ?", [userId]);
 
+            await recordAuditEvent(req, "totp.disable");
+
             res.json({ success: true });
         } catch (error) {
             logError("POST /api/totp/disable", error);
@@ -217,7 +225,7 @@ module.exports = (dependencies) => {
                 return res.status(400).json({ error: "세션 정보가 없습니다." });
             }
 
-            const tempSession = sessions.get(tempSessionId);
+            const tempSession = await getPendingSession(tempSessionId);
             if (!tempSession || !tempSession.pendingUserId) {
                 return res.status(400).json({ error: "세션이 만료되었습니다. 다시 로그인하세요." });
             }
@@ -278,32 +286,32 @@ module.exports = (dependencies) => {
                 });
 
                 console.warn(`[로그인 실패] IP: ${req.ip}, 사유: ${countryCheck.reason}`);
-                sessions.delete(tempSessionId);
+                await destroySession(tempSessionId);
                 return res.status(403).json({
                     error: "현재 위치에서는 로그인할 수 없습니다. 계정 보안 설정을 확인하세요."
                 });
             }
 
             // 세션 생성
-            const sessionResult = createSession({
+            const sessionResult = await createSession({
                 id: userId,
                 username: username,
                 blockDuplicateLogin: block_duplicate_login
-            });
+            }, req);
 
-            // 중복 로그인 차단 모드에서 거부된 경우
+            // 중복 로그인 차단 모드 또는 비활성화된 계정으로 거부된 경우
             if (!sessionResult.success) {
-                sessions.delete(tempSessionId);
-                return res.status(409).json({
+                await destroySession(tempSessionId);
+                return res.status(sessionResult.code === 'ACCOUNT_DISABLED' ? 403 : 409).json({
                     error: sessionResult.error,
-                    code: 'DUPLICATE_LOGIN_BLOCKED'
+                    code: sessionResult.code
                 });
             }
 
             const sessionId = sessionResult.sessionId;
 
             // 임시 세션 삭제
-            sessions.delete(tempSessionId);
+            await destroySession(tempSessionId);
 
             res.cookie(SESSION_COOKIE_NAME, sessionId, {
                 httpOnly: true,
@@ -354,7 +362,7 @@ module.exports = (dependencies) => {
                 return res.status(400).json({ error: "세션 정보가 없습니다." });
             }
 
-            const tempSession = sessions.get(tempSessionId);
+            const tempSession = await getPendingSession(tempSessionId);
             if (!tempSession || !tempSession.pendingUserId) {
                 return res.status(400).json({ error: "세션이 만료되었습니다. 다시 로그인하세요." });
             }
@@ -401,26 +409,31 @@ module.exports = (dependencies) => {
 
             const { username, block_duplicate_login } = userRows[0];
 
+            await recordAuditEvent(req, "totp.backup_code_used", {
+                user: { id: userId, username },
+                details: { remainingCodes: rows.length - 1 }
+            });
+
             // 세션 생성
-            const sessionResult = createSession({
+            const sessionResult = await createSession({
                 id: userId,
                 username: username,
                 blockDuplicateLogin: block_duplicate_login
-            });
+            }, req);
 
-            // 중복 로그인 차단 모드에서 거부된 경우
+            // 중복 로그인 차단 모드 또는 비활성화된 계정으로 거부된 경우
             if (!sessionResult.success) {
-                sessions.delete(tempSessionId);
-                return res.status(409).json({
+                await destroySession(tempSessionId);
+                return res.status(sessionResult.code === 'ACCOUNT_DISABLED' ? 403 : 409).json({
                     error: sessionResult.error,
-                    code: 'DUPLICATE_LOGIN_BLOCKED'
+                    code: sessionResult.code
                 });
             }
 
             const sessionId = sessionResult.sessionId;
 
             // 임시 세션 삭제
-            sessions.delete(tempSessionId);
+            await destroySession(tempSessionId);
 
             res.cookie(SESSION_COOKIE_NAME, sessionId, {
                 httpOnly: true,
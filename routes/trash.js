@@ -0,0 +1,329 @@
+const express = require('express');
+const router = express.Router();
+
+/**
+ * Trash Routes
+ *
+ * 이 파일은 휴지통 관련 라우트를 처리합니다.
+ * - 휴지통 목록 조회 (페이지 트리, 컬렉션)
+ * - 페이지/컬렉션 복원
+ * - 페이지/컬렉션 영구 삭제
+ * - 휴지통 비우기
+ *
+ * 페이지 삭제 시 하위 트리 전체가 같은 trash_root_id로 묶여 휴지통으로 이동하며,
+ * 복원도 이 단위로 이루어집니다. 보관 기간(TRASH_RETENTION_DAYS)이 지난 항목은
+ * server.js의 purgeExpiredTrash 작업이 영구 삭제합니다.
+ */
+
+module.exports = (dependencies) => {
+    const {
+        pool,
+        authMiddleware,
+        toIsoString,
+        formatDateForDb,
+        getCollectionPermission,
+        wsBroadcastToCollection,
+        enqueueWebhookEvent,
+        purgeTrashedPageTree,
+        purgeTrashedCollection,
+        TRASH_RETENTION_DAYS,
+        logError
+    } = dependencies;
+
+    /**
+     * 휴지통 항목의 영구 삭제 예정 시각 계산
+     */
+    function getExpiresAt(deletedAt) {
+        if (!deletedAt) return null;
+        const expires = new Date(new Date(deletedAt).getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+        return expires.toISOString();
+    }
+
+    /**
+     * 사용자가 접근 가능한 휴지통 페이지 트리(루트) 조회
+     * 컬렉션 소유자 또는 EDIT 이상 권한으로 공유받은 사용자만 조회 가능
+     */
+    async function getTrashedPageRoots(userId, pageId = null) {
+        let query = `
+            SELECT p.id, p.title, p.icon, p.collection_id, p.parent_id, p.sort_order,
+                   p.deleted_at, c.name AS collection_name, u.username AS deleted_by_username,
+                   (SELECT COUNT(*) FROM pages d
+                    WHERE d.trash_root_id = p.id AND d.deleted_at IS NOT NULL) AS page_count
+            FROM pages p
+            JOIN collections c ON p.collection_id = c.id
+            LEFT JOIN collection_shares cs ON c.id = cs.collection_id AND cs.shared_with_user_id = ?
+            LEFT JOIN users u ON p.deleted_by = u.id
+            WHERE p.deleted_at IS NOT NULL AND p.trash_root_id = p.id
+              AND c.deleted_at IS NULL
+              AND (c.user_id = ? OR cs.permission IN ('EDIT', 'ADMIN'))
+              AND NOT (p.is_encrypted = 1 AND p.share_allowed = 0 AND p.user_id != ?)
+        `;
+        const params = [userId, userId, userId];
+
+        if (pageId) {
+            query += ` AND p.id = ?`;
+            params.push(pageId);
+        }
+
+        query += ` ORDER BY p.deleted_at DESC`;
+
+        const [rows] = await pool.execute(query, params);
+        return rows;
+    }
+
+    /**
+     * 사용자가 소유한 휴지통 컬렉션 조회
+     */
+    async function getTrashedCollections(userId, collectionId = null) {
+        let query = `
+            SELECT c.id, c.name, c.deleted_at,
+                   (SELECT COUNT(*) FROM pages p WHERE p.collection_id = c.id) AS page_count
+            FROM collections c
+            WHERE c.user_id = ? AND c.deleted_at IS NOT NULL
+        `;
+        const params = [userId];
+
+        if (collectionId) {
+            query += ` AND c.id = ?`;
+            params.push(collectionId);
+        }
+
+        query += ` ORDER BY c.deleted_at DESC`;
+
+        const [rows] = await pool.execute(query, params);
+        return rows;
+    }
+
+    /**
+     * 휴지통 목록 조회
+     * GET /api/trash
+     */
+    router.get("/", authMiddleware, async (req, res) => {
+        const userId = req.user.id;
+
+        try {
+            const pageRows = await getTrashedPageRoots(userId);
+            const collectionRows = await getTrashedCollections(userId);
+
+            res.json({
+                retentionDays: TRASH_RETENTION_DAYS,
+                pages: pageRows.map((row) => ({
+                    id: row.id,
+                    title: row.title || "제목 없음",
+                    icon: row.icon || null,
+                    collectionId: row.collection_id,
+                    collectionName: row.collection_name,
+                    parentId: row.parent_id,
+                    pageCount: Number(row.page_count),
+                    deletedAt: toIsoString(row.deleted_at),
+                    deletedBy: row.deleted_by_username || null,
+                    expiresAt: getExpiresAt(row.deleted_at)
+                })),
+                collections: collectionRows.map((row) => ({
+                    id: row.id,
+                    name: row.name,
+                    pageCount: Number(row.page_count),
+                    deletedAt: toIsoString(row.deleted_at),
+                    expiresAt: getExpiresAt(row.deleted_at)
+                }))
+            });
+        } catch (error) {
+            logError("GET /api/trash", error);
+            res.status(500).json({ error: "휴지통 목록을 불러오지 못했습니다." });
+        }
+    });
+
+    /**
+     * 페이지 복원 (하위 트리 포함, 원래 부모와 정렬 순서 유지)
+     * 원래 부모가 휴지통에 있으면 컬렉션 최상위로 복원
+     * POST /api/trash/pages/:id/restore
+     */
+    router.post("/pages/:id/restore", authMiddleware, async (req, res) => {
+        const pageId = req.params.id;
+        const userId = req.user.id;
+
+        const conn = await pool.getConnection();
+        try {
+            const [rows] = await conn.execute(
+                `SELECT p.id, p.title, p.collection_id, p.parent_id, c.deleted_at AS collection_deleted_at
+                 FROM pages p
+                 JOIN collections c ON p.collection_id = c.id
+                 WHERE p.id = ? AND p.trash_root_id = p.id AND p.deleted_at IS NOT NULL`,
+                [pageId]
+            );
+
+            if (!rows.length) {
+                return res.status(404).json({ error: "휴지통에서 페이지를 찾을 수 없습니다." });
+            }
+
+            const page = rows[0];
+
+            if (page.collection_deleted_at) {
+                return res.status(409).json({ error: "컬렉션이 휴지통에 있습니다. 먼저 컬렉션을 복원하세요." });
+            }
+
+            const { permission } = await getCollectionPermission(page.collection_id, userId);
+            if (!permission || permission === 'READ') {
+                return res.status(403).json({ error: "페이지를 복원할 권한이 없습니다." });
+            }
+
+            // 원래 부모가 아직 존재하는지 확인
+            let parentId = page.parent_id;
+            if (parentId) {
+                const [parentRows] = await conn.execute(
+                    `SELECT id FROM pages WHERE id = ? AND deleted_at IS NULL`,
+                    [parentId]
+                );
+                if (!parentRows.length) {
+                    parentId = null;
+                }
+            }
+
+            await conn.beginTransaction();
+
+            if (parentId !== page.parent_id) {
+                await conn.execute(
+                    `UPDATE pages SET parent_id = NULL WHERE id = ?`,
+                    [pageId]
+                );
+            }
+
+            const [result] = await conn.execute(
+                `UPDATE pages
+                 SET deleted_at = NULL, deleted_by = NULL, trash_root_id = NULL, updated_at = ?
+                 WHERE trash_root_id = ? AND deleted_at IS NOT NULL`,
+                [formatDateForDb(new Date()), pageId]
+            );
+
+            await conn.commit();
+
+            console.log(`POST /api/trash/pages/:id/restore 복원 완료: ${pageId} (${result.affectedRows}개)`);
+
+            wsBroadcastToCollection(page.collection_id, 'page-created', { pageId }, userId);
+
+            enqueueWebhookEvent(page.collection_id, "page.created", {
+                page: { id: pageId, title: page.title, parentId },
+                restored: true
+            }, userId);
+
+            res.json({
+                ok: true,
+                restoredId: pageId,
+                restoredCount: result.affectedRows,
+                parentId,
+                movedToRoot: parentId !== page.parent_id
+            });
+        } catch (error) {
+            await conn.rollback();
+            logError("POST /api/trash/pages/:id/restore", error);
+            res.status(500).json({ error: "페이지 복원에 실패했습니다." });
+        } finally {
+            conn.release();
+        }
+    });
+
+    /**
+     * 페이지 영구 삭제 (하위 트리 포함)
+     * DELETE /api/trash/pages/:id
+     */
+    router.delete("/pages/:id", authMiddleware, async (req, res) => {
+        const pageId = req.params.id;
+        const userId = req.user.id;
+
+        try {
+            const rows = await getTrashedPageRoots(userId, pageId);
+            if (!rows.length) {
+                return res.status(404).json({ error: "휴지통에서 페이지를 찾을 수 없습니다." });
+            }
+
+            const purgedCount = await purgeTrashedPageTree(pageId);
+
+            console.log(`DELETE /api/trash/pages/:id 영구 삭제: ${pageId} (${purgedCount}개)`);
+            res.json({ ok: true, removedId: pageId, purgedCount });
+        } catch (error) {
+            logError("DELETE /api/trash/pages/:id", error);
+            res.status(500).json({ error: "페이지 영구 삭제에 실패했습니다." });
+        }
+    });
+
+    /**
+     * 컬렉션 복원 (소유자만 가능)
+     * POST /api/trash/collections/:id/restore
+     */
+    router.post("/collections/:id/restore", authMiddleware, async (req, res) => {
+        const collectionId = req.params.id;
+        const userId = req.user.id;
+
+        try {
+            const [result] = await pool.execute(
+                `UPDATE collections
+                 SET deleted_at = NULL, deleted_by = NULL, updated_at = ?
+                 WHERE id = ? AND user_id = ? AND deleted_at IS NOT NULL`,
+                [formatDateForDb(new Date()), collectionId, userId]
+            );
+
+            if (result.affectedRows === 0) {
+                return res.status(404).json({ error: "휴지통에서 컬렉션을 찾을 수 없습니다." });
+            }
+
+            console.log("POST /api/trash/collections/:id/restore 복원 완료:", collectionId);
+            res.json({ ok: true, restoredId: collectionId });
+        } catch (error) {
+            logError("POST /api/trash/collections/:id/restore", error);
+            res.status(500).json({ error: "컬렉션 복원에 실패했습니다." });
+        }
+    });
+
+    /**
+     * 컬렉션 영구 삭제 (소유자만 가능, 포함된 페이지도 함께 삭제)
+     * DELETE /api/trash/collections/:id
+     */
+    router.delete("/collections/:id", authMiddleware, async (req, res) => {
+        const collectionId = req.params.id;
+        const userId = req.user.id;
+
+        try {
+            const rows = await getTrashedCollections(userId, collectionId);
+            if (!rows.length) {
+                return res.status(404).json({ error: "휴지통에서 컬렉션을 찾을 수 없습니다." });
+            }
+
+            const purgedCount = await purgeTrashedCollection(collectionId);
+
+            console.log(`DELETE /api/trash/collections/:id 영구 삭제: ${collectionId} (페이지 ${purgedCount}개)`);
+            res.json({ ok: true, removedId: collectionId, purgedCount });
+        } catch (error) {
+            logError("DELETE /api/trash/collections/:id", error);
+            res.status(500).json({ error: "컬렉션 영구 삭제에 실패했습니다." });
+        }
+    });
+
+    /**
+     * 휴지통 비우기 (사용자가 접근 가능한 모든 휴지통 항목 영구 삭제)
+     * DELETE /api/trash
+     */
+    router.delete("/", authMiddleware, async (req, res) => {
+        const userId = req.user.id;
+
+        try {
+            const pageRows = await getTrashedPageRoots(userId);
+            const collectionRows = await getTrashedCollections(userId);
+
+            let purgedPages = 0;
+            for (const row of pageRows) {
+                purgedPages += await purgeTrashedPageTree(row.id);
+            }
+            for (const row of collectionRows) {
+                purgedPages += await purgeTrashedCollection(row.id);
+            }
+
+            console.log(`DELETE /api/trash 휴지통 비우기: 페이지 ${purgedPages}개, 컬렉션 ${collectionRows.length}개`);
+            res.json({ ok: true, purgedPages, purgedCollections: collectionRows.length });
+        } catch (error) {
+            logError("DELETE /api/trash", error);
+            res.status(500).json({ error: "휴지통 비우기에 실패했습니다." });
+        }
+    });
+
+    return router;
+};
@@ -0,0 +1,472 @@
+const express = require('express');
+const router = express.Router();
+const crypto = require('crypto');
+
+/**
+ * Webhooks Routes
+ *
+ * 이 파일은 컬렉션 웹훅 관리 라우트를 처리합니다.
+ * - 웹훅 목록 조회 / 등록 / 수정 / 삭제 (컬렉션 소유자만)
+ * - 서명 비밀키 재발급 (원문은 응답에서 한 번만 반환)
+ * - 테스트 전송, 전송 기록 조회, 재전송
+ *
+ * 실제 전송과 재시도는 server.js의 웹훅 대기열(processWebhookQueue)에서 처리합니다.
+ */
+
+module.exports = (dependencies) => {
+    const {
+        pool,
+        authMiddleware,
+        toIsoString,
+        formatDateForDb,
+        getCollectionPermission,
+        recordAuditEvent,
+        WEBHOOK_EVENTS,
+        parseWebhookEvents,
+        validateWebhookUrl,
+        insertWebhookDelivery,
+        processWebhookQueue,
+        logError
+    } = dependencies;
+
+    const MAX_WEBHOOKS_PER_COLLECTION = 10;
+    const MAX_URL_LENGTH = 2048;
+
+    function generateWebhookSecret() {
+        return "whsec_" + crypto.randomBytes(32).toString("base64url");
+    }
+
+    /**
+     * 구독 이벤트 목록 검증
+     * @returns {string[]|null} - 정규화된 이벤트 목록 (잘못된 값이면 null)
+     */
+    function normalizeEvents(events) {
+        if (!Array.isArray(events) || events.length === 0 ||
+            !events.every(event => WEBHOOK_EVENTS.includes(event))) {
+            return null;
+        }
+        return [...new Set(events)];
+    }
+
+    /**
+     * 요청 사용자가 소유한 컬렉션의 웹훅 조회 (없거나 소유자가 아니면 null)
+     */
+    async function getOwnedWebhook(webhookId, userId) {
+        const id = Number(webhookId);
+        if (!Number.isInteger(id) || id <= 0) {
+            return null;
+        }
+
+        const [rows] = await pool.execute(
+            `SELECT w.id, w.collection_id, w.url, w.events, w.is_active
+             FROM webhooks w
+             JOIN collections c ON w.collection_id = c.id
+             WHERE w.id = ? AND c.user_id = ? AND c.deleted_at IS NULL`,
+            [id, userId]
+        );
+        return rows.length ? rows[0] : null;
+    }
+
+    /**
+     * 웹훅 목록 조회
+     * GET /api/webhooks?collectionId=
+     */
+    router.get("/", authMiddleware, async (req, res) => {
+        const userId = req.user.id;
+        const collectionId = typeof req.query.collectionId === "string" ? req.query.collectionId : "";
+
+        if (!collectionId) {
+            return res.status(400).json({ error: "collectionId가 필요합니다." });
+        }
+
+        try {
+            const { isOwner } = await getCollectionPermission(collectionId, userId);
+            if (!isOwner) {
+                return res.status(403).json({ error: "컬렉션 소유자만 웹훅을 관리할 수 있습니다." });
+            }
+
+            const [rows] = await pool.execute(
+                `SELECT w.id, w.url, w.events, w.is_active, w.created_at, w.updated_at,
+                        (SELECT d.status FROM webhook_deliveries d
+                         WHERE d.webhook_id = w.id AND d.attempt_count > 0
+                         ORDER BY d.last_attempt_at DESC, d.id DESC LIMIT 1) AS last_status,
+                        (SELECT MAX(d.last_attempt_at) FROM webhook_deliveries d
+                         WHERE d.webhook_id = w.id) AS last_attempt_at
+                 FROM webhooks w
+                 WHERE w.collection_id = ?
+                 ORDER BY w.created_at ASC, w.id ASC`,
+                [collectionId]
+            );
+
+            res.json({
+                events: WEBHOOK_EVENTS,
+                webhooks: rows.map(row => ({
+                    id: row.id,
+                    url: row.url,
+                    events: parseWebhookEvents(row.events),
+                    isActive: !!row.is_active,
+                    lastStatus: row.last_status || null,
+                    lastAttemptAt: row.last_attempt_at ? toIsoString(row.last_attempt_at) : null,
+                    createdAt: toIsoString(row.created_at),
+                    updatedAt: toIsoString(row.updated_at)
+                }))
+            });
+        } catch (error) {
+            logError("GET /api/webhooks", error);
+            res.status(500).json({ error: "웹훅 목록을 불러오지 못했습니다." });
+        }
+    });
+
+    /**
+     * 웹훅 등록
+     * POST /api/webhooks
+     * body: { collectionId: string, url: string, events: string[] }
+     * 서명 비밀키는 이 응답에서 한 번만 반환
+     */
+    router.post("/", authMiddleware, async (req, res) => {
+        const userId = req.user.id;
+        const { collectionId, url, events } = req.body || {};
+
+        if (typeof collectionId !== "string" || !collectionId) {
+            return res.status(400).json({ error: "collectionId가 필요합니다." });
+        }
+
+        const normalizedUrl = typeof url === "string" ? url.trim() : "";
+        if (!normalizedUrl || normalizedUrl.length > MAX_URL_LENGTH) {
+            return res.status(400).json({ error: "웹훅 URL을 입력해 주세요." });
+        }
+
+        const normalizedEvents = normalizeEvents(events);
+        if (!normalizedEvents) {
+            return res.status(400).json({ error: "구독할 이벤트를 하나 이상 선택해 주세요." });
+        }
+
+        try {
+            const { isOwner } = await getCollectionPermission(collectionId, userId);
+            if (!isOwner) {
+                return res.status(403).json({ error: "컬렉션 소유자만 웹훅을 관리할 수 있습니다." });
+            }
+
+            const urlError = await validateWebhookUrl(normalizedUrl);
+            if (urlError) {
+                return res.status(400).json({ error: urlError });
+            }
+
+            const [countRows] = await pool.execute(
+                `SELECT COUNT(*) AS count FROM webhooks WHERE collection_id = ?`,
+                [collectionId]
+            );
+            if (countRows[0].count >= MAX_WEBHOOKS_PER_COLLECTION) {
+                return res.status(400).json({ error: `웹훅은 컬렉션당 최대 ${MAX_WEBHOOKS_PER_COLLECTION}개까지 등록할 수 있습니다.` });
+            }
+
+            const now = formatDateForDb(new Date());
+            const secret = generateWebhookSecret();
+            const [result] = await pool.execute(
+                `INSERT INTO webhooks (collection_id, created_by, url, secret, events, is_active, created_at, updated_at)
+                 VALUES (?, ?, ?, ?, ?, 1, ?, ?)`,
+                [collectionId, userId, normalizedUrl, secret, JSON.stringify(normalizedEvents), now, now]
+            );
+
+            await recordAuditEvent(req, "webhook.create", {
+                targetType: "webhook",
+                targetId: result.insertId,
+                details: { collectionId, url: normalizedUrl, events: normalizedEvents.join(", ") }
+            });
+
+            console.log(`[웹훅] 사용자 ID ${userId}: 웹훅 등록 (ID: ${result.insertId}, 컬렉션: ${collectionId})`);
+
+            res.status(201).json({
+                ok: true,
+                secret,
+                webhook: {
+                    id: result.insertId,
+                    url: normalizedUrl,
+                    events: normalizedEvents,
+                    isActive: true
+                }
+            });
+        } catch (error) {
+            logError("POST /api/webhooks", error);
+            res.status(500).json({ error: "웹훅 등록 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 웹훅 수정
+     * PUT /api/webhooks/:id
+     * body: { url?: string, events?: string[], isActive?: boolean }
+     */
+    router.put("/:id", authMiddleware, async (req, res) => {
+        const userId = req.user.id;
+        const { url, events, isActive } = req.body || {};
+
+        try {
+            const webhook = await getOwnedWebhook(req.params.id, userId);
+            if (!webhook) {
+                return res.status(404).json({ error: "웹훅을 찾을 수 없습니다." });
+            }
+
+            let normalizedUrl = webhook.url;
+            if (url !== undefined) {
+                normalizedUrl = typeof url === "string" ? url.trim() : "";
+                if (!normalizedUrl || normalizedUrl.length > MAX_URL_LENGTH) {
+                    return res.status(400).json({ error: "웹훅 URL을 입력해 주세요." });
+                }
+                const urlError = await validateWebhookUrl(normalizedUrl);
+                if (urlError) {
+                    return res.status(400).json({ error: urlError });
+                }
+            }
+
+            let normalizedEvents = parseWebhookEvents(webhook.events);
+            if (events !== undefined) {
+                normalizedEvents = normalizeEvents(events);
+                if (!normalizedEvents) {
+                    return res.status(400).json({ error: "구독할 이벤트를 하나 이상 선택해 주세요." });
+                }
+            }
+
+            if (isActive !== undefined && typeof isActive !== "boolean") {
+                return res.status(400).json({ error: "isActive는 boolean이어야 합니다." });
+            }
+            const nextActive = isActive === undefined ? !!webhook.is_active : isActive;
+
+            await pool.execute(
+                `UPDATE webhooks SET url = ?, events = ?, is_active = ?, updated_at = ? WHERE id = ?`,
+                [normalizedUrl, JSON.stringify(normalizedEvents), nextActive ? 1 : 0, formatDateForDb(new Date()), webhook.id]
+            );
+
+            await recordAuditEvent(req, "webhook.update", {
+                targetType: "webhook",
+                targetId: webhook.id,
+                details: {
+                    collectionId: webhook.collection_id,
+                    url: normalizedUrl,
+                    events: normalizedEvents.join(", "),
+                    isActive: nextActive
+                }
+            });
+
+            res.json({
+                ok: true,
+                webhook: {
+                    id: webhook.id,
+                    url: normalizedUrl,
+                    events: normalizedEvents,
+                    isActive: nextActive
+                }
+            });
+        } catch (error) {
+            logError("PUT /api/webhooks/:id", error);
+            res.status(500).json({ error: "웹훅 수정 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 웹훅 삭제 (대기 중인 전송과 전송 기록도 함께 삭제)
+     * DELETE /api/webhooks/:id
+     */
+    router.delete("/:id", authMiddleware, async (req, res) => {
+        const userId = req.user.id;
+
+        try {
+            const webhook = await getOwnedWebhook(req.params.id, userId);
+            if (!webhook) {
+                return res.status(404).json({ error: "웹훅을 찾을 수 없습니다." });
+            }
+
+            await pool.execute(`DELETE FROM webhooks WHERE id = ?`, [webhook.id]);
+
+            await recordAuditEvent(req, "webhook.delete", {
+                targetType: "webhook",
+                targetId: webhook.id,
+                details: { collectionId: webhook.collection_id, url: webhook.url }
+            });
+
+            console.log(`[웹훅] 사용자 ID ${userId}: 웹훅 삭제 (ID: ${webhook.id})`);
+
+            res.json({ ok: true });
+        } catch (error) {
+            logError("DELETE /api/webhooks/:id", error);
+            res.status(500).json({ error: "웹훅 삭제 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 서명 비밀키 재발급 (이전 비밀키는 즉시 무효)
+     * POST /api/webhooks/:id/secret
+     */
+    router.post("/:id/secret", authMiddleware, async (req, res) => {
+        const userId = req.user.id;
+
+        try {
+            const webhook = await getOwnedWebhook(req.params.id, userId);
+            if (!webhook) {
+                return res.status(404).json({ error: "웹훅을 찾을 수 없습니다." });
+            }
+
+            const secret = generateWebhookSecret();
+            await pool.execute(
+                `UPDATE webhooks SET secret = ?, updated_at = ? WHERE id = ?`,
+                [secret, formatDateForDb(new Date()), webhook.id]
+            );
+
+            await recordAuditEvent(req, "webhook.secret_rotate", {
+                targetType: "webhook",
+                targetId: webhook.id,
+                details: { collectionId: webhook.collection_id, url: webhook.url }
+            });
+
+            res.json({ ok: true, secret });
+        } catch (error) {
+            logError("POST /api/webhooks/:id/secret", error);
+            res.status(500).json({ error: "비밀키 재발급 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 테스트 전송 (구독 이벤트와 관계없이 ping 이벤트를 대기열에 추가)
+     * POST /api/webhooks/:id/test
+     */
+    router.post("/:id/test", authMiddleware, async (req, res) => {
+        const userId = req.user.id;
+
+        try {
+            const webhook = await getOwnedWebhook(req.params.id, userId);
+            if (!webhook) {
+                return res.status(404).json({ error: "웹훅을 찾을 수 없습니다." });
+            }
+
+            if (!webhook.is_active) {
+                return res.status(400).json({ error: "비활성화된 웹훅은 테스트할 수 없습니다." });
+            }
+
+            const [collectionRows] = await pool.execute(
+                `SELECT name FROM collections WHERE id = ?`,
+                [webhook.collection_id]
+            );
+
+            const payload = {
+                id: crypto.randomUUID(),
+                event: "ping",
+                createdAt: new Date().toISOString(),
+                collection: {
+                    id: webhook.collection_id,
+                    name: collectionRows.length ? collectionRows[0].name : null
+                },
+                actor: { id: req.user.id, username: req.user.username },
+                data: { webhookId: webhook.id }
+            };
+
+            await insertWebhookDelivery({ webhookId: webhook.id, payload });
+            setImmediate(processWebhookQueue);
+
+            res.status(202).json({ ok: true, eventId: payload.id });
+        } catch (error) {
+            logError("POST /api/webhooks/:id/test", error);
+            res.status(500).json({ error: "테스트 전송 중 오류가 발생했습니다." });
+        }
+    });
+
+    /**
+     * 전송 기록 조회 (최신순)
+     * GET /api/webhooks/:id/deliveries?limit=&offset=
+     */
+    router.get("/:id/deliveries", authMiddleware, async (req, res) => {
+        const userId = req.user.id;
+        const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+        const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+        try {
+            const webhook = await getOwnedWebhook(req.params.id, userId);
+            if (!webhook) {
+                return res.status(404).json({ error: "웹훅을 찾을 수 없습니다." });
+            }
+
+            const [countRows] = await pool.execute(
+                `SELECT COUNT(*) AS total FROM webhook_deliveries WHERE webhook_id = ?`,
+                [webhook.id]
+            );
+
+            const [rows] = await pool.execute(
+                `SELECT id, event_id, event_type, status, attempt_count, next_attempt_at, last_attempt_at,
+                        response_status, response_body, error_message, created_at
+                 FROM webhook_deliveries
+                 WHERE webhook_id = ?
+                 ORDER BY created_at DESC, id DESC
+                 LIMIT ? OFFSET ?`,
+                [webhook.id, limit, offset]
+            );
+
+            res.json({
+                total: countRows[0].total,
+                deliveries: rows.map(row => ({
+                    id: row.id,
+                    eventId: row.event_id,
+                    eventType: row.event_type,
+                    status: row.status,
+                    attemptCount: row.attempt_count,
+                    nextAttemptAt: row.next_attempt_at ? toIsoString(row.next_attempt_at) : null,
+                    lastAttemptAt: row.last_attempt_at ? toIsoString(row.last_attempt_at) : null,
+                    responseStatus: row.response_status,
+                    responseBody: row.response_body,
+                    errorMessage: row.error_message,
+                    createdAt: toIsoString(row.created_at)
+                }))
+            });
+        } catch (error) {
+            logError("GET /api/webhooks/:id/deliveries", error);
+            res.status(500).json({ error: "전송 기록을 불러오지 못했습니다." });
+        }
+    });
+
+    /**
+     * 재전송 (같은 이벤트 ID로 다시 대기열에 넣고 재시도 횟수 초기화)
+     * POST /api/webhooks/deliveries/:deliveryId/redeliver
+     */
+    router.post("/deliveries/:deliveryId/redeliver", authMiddleware, async (req, res) => {
+        const userId = req.user.id;
+        const deliveryId = Number(req.params.deliveryId);
+        if (!Number.isInteger(deliveryId) || deliveryId <= 0) {
+            return res.status(404).json({ error: "전송 기록을 찾을 수 없습니다." });
+        }
+
+        try {
+            const [rows] = await pool.execute(
+                `SELECT d.id, d.status, w.is_active
+                 FROM webhook_deliveries d
+                 JOIN webhooks w ON d.webhook_id = w.id
+                 JOIN collections c ON w.collection_id = c.id
+                 WHERE d.id = ? AND c.user_id = ? AND c.deleted_at IS NULL`,
+                [deliveryId, userId]
+            );
+            if (!rows.length) {
+                return res.status(404).json({ error: "전송 기록을 찾을 수 없습니다." });
+            }
+
+            if (rows[0].status === "sending") {
+                return res.status(409).json({ error: "이미 전송 중입니다." });
+            }
+
+            if (!rows[0].is_active) {
+                return res.status(400).json({ error: "비활성화된 웹훅은 재전송할 수 없습니다." });
+            }
+
+            await pool.execute(
+                `UPDATE webhook_deliveries
+                 SET status = 'pending', attempt_count = 0, next_attempt_at = ?, error_message = NULL
+                 WHERE id = ? AND status <> 'sending'`,
+                [formatDateForDb(new Date()), deliveryId]
+            );
+            setImmediate(processWebhookQueue);
+
+            res.status(202).json({ ok: true });
+        } catch (error) {
+            logError("POST /api/webhooks/deliveries/:deliveryId/redeliver", error);
+            res.status(500).json({ error: "재전송 중 오류가 발생했습니다." });
+        }
+    });
+
+    return router;
+};
@@ -14,10 +14,13 @@ const Y = require("yjs");
 const https = require("https");
 const http = require("http");
 const certManager = require("./cert-manager");
+const { createMailer } = require("./mail-transport");
 const multer = require("multer");
 const fs = require("fs");
 const WebSocket = require("ws");
 const geoip = require("geoip-lite");
+const dns = require("dns");
+const axios = require("axios");
 const compression = require("compression");
 
 const app = express();
@@ -49,6 +52,13 @@ const DEFAULT_ADMIN_USERNAME = process.env.ADMIN_USERNAME || "admin";
 const DEFAULT_ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || crypto.randomBytes(16).toString("hex");
 const BCRYPT_SALT_ROUNDS = Number(process.env.BCRYPT_SALT_ROUNDS || 12);
 
+// 휴지통 보관 기간 (일). 기간이 지난 항목은 주기적으로 영구 삭제됨
+const TRASH_RETENTION_DAYS = Number(process.env.TRASH_RETENTION_DAYS || 30);
+
+// 페이지 태그 제한
+const PAGE_TAG_MAX_LENGTH = 50;
+const PAGE_TAG_MAX_PER_PAGE = 20;
+
 // 기본 비밀번호가 환경변수로 설정되지 않았다면 경고 메시지 출력
 if (!process.env.ADMIN_PASSWORD) {
     console.warn("\n" + "=".repeat(80));
@@ -92,55 +102,113 @@ const DB_CONFIG = {
 };
 
 let pool;
-const sessions = new Map();
-// 사용자별 세션 추적 (userId -> Set<sessionId>)
-const userSessions = new Map();
+
+// 세션은 MySQL sessions 테이블에 저장 (서버 재시작, 다중 인스턴스에서도 유지)
+// 쿠키의 세션 ID는 SHA-256 해시로만 저장하여 DB가 유출되어도 세션을 탈취할 수 없도록 함
+// 2FA 검증 대기 중인 임시 세션도 같은 테이블에 is_pending = 1로 저장
+const PENDING_SESSION_TTL_MS = 10 * 60 * 1000; // 10분
+// idle timeout 갱신 최소 간격 (요청마다 DB에 쓰지 않도록)
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+const ACCOUNT_DISABLED_MESSAGE = "비활성화된 계정입니다. 관리자에게 문의하세요.";
+
+// 회원가입 모드
+// - open: 누구나 가입 가능
+// - invite: 초대 코드가 있어야 가입 가능
+// - approval: 가입 신청 후 관리자 승인 필요 (유효한 초대 코드가 있으면 바로 가입)
+// - closed: 회원가입 불가 (관리자만 사용자 생성 가능)
+// 관리자 콘솔에서 변경한 값(system_settings)이 환경 변수보다 우선
+const REGISTRATION_MODES = ["open", "invite", "approval", "closed"];
+const DEFAULT_REGISTRATION_MODE = REGISTRATION_MODES.includes(process.env.REGISTRATION_MODE)
+    ? process.env.REGISTRATION_MODE
+    : "open";
+
+// 개인 API 토큰 (Authorization: Bearer nteok_...)
+// - 페이지/컬렉션 API에서만 사용 가능, 토큰 요청은 쿠키를 쓰지 않으므로 CSRF 검증 제외
+const API_TOKEN_PREFIX = "nteok_";
+const API_TOKEN_SCOPES = ["read", "write"];
+const API_TOKEN_BASE_URLS = ["/api/pages", "/api/collections"];
+
+// 웹훅 (컬렉션 이벤트를 외부 URL로 HMAC 서명하여 전송)
+// - 전송 대기열은 webhook_deliveries 테이블에 저장되어 서버가 재시작되어도 이어서 전송
+// - 실패하면 WEBHOOK_RETRY_DELAYS_MS 간격으로 재시도하고, 모두 실패하면 failed로 종료
+// - 기본적으로 내부 네트워크 주소로는 보내지 않음 (WEBHOOK_ALLOW_PRIVATE_NETWORKS=true로 허용)
+const WEBHOOK_EVENTS = ["page.created", "page.updated", "page.deleted", "page.published", "page.unpublished", "share.changed", "comment.added"];
+const WEBHOOK_RETRY_DELAYS_MS = [
+    60 * 1000,            // 1분
+    5 * 60 * 1000,        // 5분
+    30 * 60 * 1000,       // 30분
+    2 * 60 * 60 * 1000,   // 2시간
+    6 * 60 * 60 * 1000,   // 6시간
+    12 * 60 * 60 * 1000   // 12시간
+];
+// page.updated는 실시간 편집 중 자주 발생하므로 이 시간 동안 같은 페이지의 이벤트를 하나로 묶음
+const WEBHOOK_UPDATE_DEBOUNCE_MS = 30 * 1000;
+const WEBHOOK_REQUEST_TIMEOUT_MS = 10 * 1000;
+const WEBHOOK_QUEUE_INTERVAL_MS = 15 * 1000;
+// 전송 중(sending) 상태로 이 시간 이상 남은 항목은 서버 종료로 중단된 것으로 보고 다시 대기열에 넣음
+const WEBHOOK_SENDING_TIMEOUT_MS = 5 * 60 * 1000;
+const WEBHOOK_DELIVERY_RETENTION_DAYS = 30;
+const WEBHOOK_ALLOW_PRIVATE_NETWORKS = process.env.WEBHOOK_ALLOW_PRIVATE_NETWORKS === "true";
+
+// 알림 센터 (notifications 테이블에 저장하고 접속 중이면 WebSocket으로도 전달)
+// - 사용자는 종류별로 받을지 설정 가능 (users.notification_preferences에 끈 종류만 저장)
+const NOTIFICATION_TYPES = ["collection.shared", "share.revoked", "comment.mention", "comment.reply", "login.new_country"];
+const NOTIFICATION_RETENTION_DAYS = 90;
+
+// 비밀번호 재설정 (백업 코드/패스키로 본인 확인, 또는 관리자가 발급한 일회용 링크)
+const PASSWORD_RESET_LINK_TTL_HOURS = Number(process.env.PASSWORD_RESET_LINK_TTL_HOURS || 24);
+
+// 메일 전송 (MAIL_TRANSPORT=smtp | log, 미설정 시 비활성화)
+const mailer = createMailer();
 
 /**
- * 만료된 세션 정리 작업
- * 주기적으로 실행하여 메모리 누수 방지
+ * 세션 ID -> 저장용 해시
  */
-function cleanupExpiredSessions() {
-    const now = Date.now();
-    let cleanedCount = 0;
-
-    sessions.forEach((session, sessionId) => {
-        let shouldDelete = false;
+function hashSessionId(sessionId) {
+    return crypto.createHash("sha256").update(String(sessionId)).digest("hex");
+}
 
-        // 임시 세션 (pendingUserId) 정리 - 10분 경과
-        if (session.pendingUserId && session.createdAt + 10 * 60 * 1000 < now) {
-            shouldDelete = true;
-        }
+/**
+ * API 토큰 -> 저장용 해시
+ */
+function hashApiToken(token) {
+    return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
 
-        // 정식 세션의 절대 만료 시간 체크
-        if (session.absoluteExpiry && session.absoluteExpiry <= now) {
-            shouldDelete = true;
-        }
+/**
+ * API 토큰의 허용 컬렉션 목록(JSON) 파싱
+ * @returns {Array<string>|null} - null이면 모든 컬렉션 허용
+ */
+function parseApiTokenCollectionIds(value) {
+    if (!value) return null;
+    try {
+        const ids = JSON.parse(value);
+        return Array.isArray(ids) ? ids.map(String) : null;
+    } catch (error) {
+        // 파싱할 수 없으면 어떤 컬렉션도 허용하지 않음
+        return [];
+    }
+}
 
-        // Idle timeout 체크
-        if (session.expiresAt && session.expiresAt <= now) {
-            shouldDelete = true;
-        }
+/**
+ * 만료된 세션 정리 작업
+ * 주기적으로 실행하여 sessions 테이블 정리 (idle/absolute 만료, 10분 지난 임시 세션)
+ */
+async function cleanupExpiredSessions() {
+    if (!pool) return;
 
-        if (shouldDelete) {
-            sessions.delete(sessionId);
-            cleanedCount++;
+    try {
+        const nowStr = formatDateForDb(new Date());
+        const [result] = await pool.execute(
+            "DELETE FROM sessions WHERE expires_at <= ? OR absolute_expires_at <= ?",
+            [nowStr, nowStr]
+        );
 
-            // userSessions에서도 제거
-            if (session.userId) {
-                const userSessionSet = userSessions.get(session.userId);
-                if (userSessionSet) {
-                    userSessionSet.delete(sessionId);
-                    if (userSessionSet.size === 0) {
-                        userSessions.delete(session.userId);
-                    }
-                }
-            }
+        if (result.affectedRows > 0) {
+            console.log(`[세션 정리] ${result.affectedRows}개의 만료된 세션을 정리했습니다.`);
         }
-    });
-
-    if (cleanedCount > 0) {
-        console.log(`[세션 정리] ${cleanedCount}개의 만료된 세션을 정리했습니다. (남은 세션: ${sessions.size})`);
+    } catch (error) {
+        console.error("세션 정리 중 오류:", error);
     }
 }
 
@@ -164,6 +232,23 @@ function cleanupExpiredWebAuthnChallenges() {
 // 5분마다 WebAuthn 챌린지 정리 작업 실행
 setInterval(cleanupExpiredWebAuthnChallenges, 5 * 60 * 1000);
 
+/**
+ * 만료되었거나 사용된 비밀번호 재설정 링크 정리
+ */
+function cleanupExpiredPasswordResetTokens() {
+    const now = formatDateForDb(new Date());
+    pool.execute("DELETE FROM password_reset_tokens WHERE expires_at < ? OR used_at IS NOT NULL", [now])
+        .then(([result]) => {
+            if (result.affectedRows > 0) {
+                console.log(`[비밀번호 재설정 링크 정리] ${result.affectedRows}개의 링크를 정리했습니다.`);
+            }
+        })
+        .catch(err => console.error("비밀번호 재설정 링크 정리 중 오류:", err));
+}
+
+// 1시간마다 비밀번호 재설정 링크 정리 작업 실행
+setInterval(cleanupExpiredPasswordResetTokens, 60 * 60 * 1000);
+
 /**
  * 30일 이상 오래된 로그인 로그 정리
  */
@@ -434,6 +519,11 @@ async function recordLoginAttempt(params) {
         // 현재 시각
         const now = formatDateForDb(new Date());
 
+        // 처음 보는 국가인지는 이번 기록을 남기기 전에 확인
+        const isNewCountry = success && userId && location.country
+            ? await isNewLoginCountry(userId, location.country)
+            : false;
+
         await pool.execute(
             `INSERT INTO login_logs (
                 user_id, username, ip_address, port,
@@ -457,6 +547,18 @@ async function recordLoginAttempt(params) {
         );
 
         console.log(`[로그인 로그] 사용자: ${username || '알 수 없음'}, 성공: ${success}, IP: ${ipAddress}`);
+
+        if (isNewCountry) {
+            createNotification(userId, "login.new_country", {
+                data: {
+                    country: location.country,
+                    region: location.region,
+                    city: location.city,
+                    ipAddress: maskIPAddress(ipAddress),
+                    userAgent: userAgent ? String(userAgent).slice(0, 255) : null
+                }
+            });
+        }
     } catch (error) {
         console.error('로그인 로그 기록 실패:', error);
         // 로그 기록 실패가 로그인 프로세스를 방해하지 않도록 에러를 던지지 않음
@@ -464,291 +566,1335 @@ async function recordLoginAttempt(params) {
 }
 
 /**
- * 보안 개선: 암호학적으로 안전한 페이지 ID 생성
- * Math.random() 대신 crypto.randomBytes 사용
+ * 처음 보는 국가에서의 로그인인지 확인
+ * 보관 중인 성공 로그인 기록(30일)에 없는 국가면 true (기록이 하나도 없는 첫 로그인은 제외)
  */
-function generatePageId(now) {
-    const iso = now.toISOString().replace(/[:.]/g, "-");
-    const rand = crypto.randomBytes(6).toString("hex"); // 12자 hex 문자열
-    return "page-" + iso + "-" + rand;
+async function isNewLoginCountry(userId, country) {
+    const [rows] = await pool.execute(
+        `SELECT COUNT(*) AS total, SUM(country = ?) AS same_country
+         FROM login_logs
+         WHERE user_id = ? AND success = 1`,
+        [country, userId]
+    );
+
+    return Number(rows[0].total) > 0 && Number(rows[0].same_country || 0) === 0;
 }
 
 /**
- * 보안 개선: 암호학적으로 안전한 컬렉션 ID 생성
- * Math.random() 대신 crypto.randomBytes 사용
+ * 알림 설정 파싱 (종류 -> 받기 여부, 저장되지 않은 종류는 기본으로 받음)
  */
-function generateCollectionId(now) {
-    const iso = now.toISOString().replace(/[:.]/g, "-");
-    const rand = crypto.randomBytes(6).toString("hex"); // 12자 hex 문자열
-    return "col-" + iso + "-" + rand;
+function parseNotificationPreferences(raw) {
+    let stored = {};
+    if (raw) {
+        try {
+            stored = JSON.parse(raw) || {};
+        } catch (error) {
+            stored = {};
+        }
+    }
+
+    const preferences = {};
+    NOTIFICATION_TYPES.forEach(type => {
+        preferences[type] = stored[type] !== false;
+    });
+    return preferences;
 }
 
 /**
- * DB DATETIME 값을 ISO 문자열로 변환
+ * 알림 응답 형식으로 변환
  */
-function toIsoString(value) {
-    if (!value) {
-        return null;
+function serializeNotification(row) {
+    let data = null;
+    if (row.data) {
+        try {
+            data = JSON.parse(row.data);
+        } catch (error) {
+            data = null;
+        }
     }
-    if (value instanceof Date) {
-        return value.toISOString();
+
+    return {
+        id: row.id,
+        type: row.type,
+        actor: row.actor_username || null,
+        data,
+        read: !!row.read_at,
+        createdAt: toIsoString(row.created_at)
+    };
+}
+
+/**
+ * 알림 생성 (받는 사용자의 설정을 확인하고 저장한 뒤 접속 중인 탭에 전달)
+ * @param {number} userId - 받는 사용자
+ * @param {string} type - NOTIFICATION_TYPES 중 하나
+ * @param {Object} [options]
+ * @param {{id: number, username: string}} [options.actor] - 알림을 발생시킨 사용자 (본인이면 알림을 만들지 않음)
+ * @param {Object} [options.data] - 종류별 부가 정보
+ */
+async function createNotification(userId, type, options = {}) {
+    const actor = options.actor || null;
+    if (actor && Number(actor.id) === Number(userId)) return;
+
+    try {
+        const [userRows] = await pool.execute(
+            `SELECT notification_preferences FROM users WHERE id = ? AND is_disabled = 0`,
+            [userId]
+        );
+        if (!userRows.length) return;
+        if (!parseNotificationPreferences(userRows[0].notification_preferences)[type]) return;
+
+        const row = {
+            type,
+            actor_username: actor ? actor.username : null,
+            data: options.data ? JSON.stringify(options.data) : null,
+            read_at: null,
+            created_at: new Date()
+        };
+
+        const [result] = await pool.execute(
+            `INSERT INTO notifications (user_id, type, actor_user_id, actor_username, data, created_at)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [userId, type, actor ? actor.id : null, row.actor_username, row.data, formatDateForDb(row.created_at)]
+        );
+
+        wsBroadcastToUser(Number(userId), 'notification', {
+            notification: serializeNotification({ id: result.insertId, ...row })
+        });
+    } catch (error) {
+        // 알림 실패가 원래 작업을 방해하지 않도록 에러를 던지지 않음
+        logError(`createNotification (${type})`, error);
     }
-    if (typeof value === "string") {
-        if (value.endsWith("Z")) {
-            return value;
+}
+
+/**
+ * 보관 기간이 지난 알림 정리
+ */
+async function cleanupOldNotifications() {
+    try {
+        const cutoff = new Date(Date.now() - NOTIFICATION_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+        const [result] = await pool.execute(
+            `DELETE FROM notifications WHERE created_at < ?`,
+            [formatDateForDb(cutoff)]
+        );
+
+        if (result.affectedRows > 0) {
+            console.log(`[알림] ${result.affectedRows}개의 오래된 알림을 정리했습니다.`);
         }
-        return value + "Z";
+    } catch (error) {
+        logError("cleanupOldNotifications", error);
     }
-    return String(value);
 }
 
+// 보안 감사 이벤트 해시 체인의 시작값
+const AUDIT_CHAIN_GENESIS_HASH = "0".repeat(64);
+// 같은 인스턴스 안에서 체인 기록 순서를 보장하기 위한 큐
+let auditEventQueue = Promise.resolve();
+
 /**
- * CSRF 토큰 생성
+ * 보안 감사 이벤트 해시 계산
+ * 직전 이벤트의 해시와 현재 이벤트의 저장 값을 함께 해시하여 체인을 만듦
+ * (중간 레코드를 수정하거나 삭제하면 이후 체인 검증이 실패)
  */
-function generateCsrfToken() {
-    return crypto.randomBytes(32).toString("hex");
+function computeAuditEventHash(prevHash, event) {
+    const payload = JSON.stringify([
+        prevHash,
+        event.userId,
+        event.username,
+        event.actorUserId,
+        event.actorUsername,
+        event.eventType,
+        event.targetType,
+        event.targetId,
+        event.details,
+        event.ipAddress,
+        event.userAgent,
+        event.createdAt
+    ]);
+
+    return crypto.createHash("sha256").update(payload).digest("hex");
 }
 
 /**
- * XSS 방지: HTML 태그 제거 (sanitization)
- * 사용자 입력값에서 잠재적으로 위험한 HTML 태그를 제거
- * 제목 등 평문 필드에 사용
+ * 보안 감사 이벤트 저장 (체인 끝에 추가)
  */
-function sanitizeInput(input) {
-    if (typeof input !== 'string') {
-        return input;
+async function insertAuditEvent(event) {
+    let connection;
+
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        // 다중 인스턴스에서도 체인이 갈라지지 않도록 마지막 이벤트를 잠금
+        const [lastRows] = await connection.execute(
+            `SELECT hash FROM audit_events ORDER BY id DESC LIMIT 1 FOR UPDATE`
+        );
+        const prevHash = lastRows.length ? lastRows[0].hash : AUDIT_CHAIN_GENESIS_HASH;
+        const hash = computeAuditEventHash(prevHash, event);
+
+        await connection.execute(
+            `INSERT INTO audit_events (
+                user_id, username, actor_user_id, actor_username, event_type,
+                target_type, target_id, details, ip_address, user_agent,
+                created_at, prev_hash, hash
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [
+                event.userId,
+                event.username,
+                event.actorUserId,
+                event.actorUsername,
+                event.eventType,
+                event.targetType,
+                event.targetId,
+                event.details,
+                event.ipAddress,
+                event.userAgent,
+                event.createdAt,
+                prevHash,
+                hash
+            ]
+        );
+
+        await connection.commit();
+    } catch (error) {
+        if (connection) {
+            await connection.rollback().catch(() => {});
+        }
+        console.error(`보안 감사 이벤트 기록 실패 (${event.eventType}):`, error);
+        // 감사 로그 기록 실패가 원래 작업을 방해하지 않도록 에러를 던지지 않음
+    } finally {
+        if (connection) {
+            connection.release();
+        }
     }
-    // HTML 태그 제거
-    return input.replace(/<[^>]*>/g, '');
 }
 
 /**
- * 보안 개선: HTML 콘텐츠 정화 (DOMPurify)
- * 에디터 콘텐츠 등 HTML이 필요한 필드에 사용
+ * 보안 감사 이벤트 기록
+ * @param {Object|null} req - 요청 (IP, User-Agent, 수행자 정보)
+ * @param {string} eventType - 이벤트 종류 (totp.enable, share.grant 등)
+ * @param {Object} [options]
+ * @param {{id: number, username: string}} [options.user] - 이벤트가 속한 계정 (기본값: 요청한 사용자)
+ * @param {string} [options.targetType] - 대상 종류 (collection, page, passkey 등)
+ * @param {string|number} [options.targetId] - 대상 ID
+ * @param {Object} [options.details] - 부가 정보
  */
-function sanitizeHtmlContent(html) {
-    if (typeof html !== 'string') {
-        return html;
-    }
+function recordAuditEvent(req, eventType, options = {}) {
+    const actor = req && req.user ? req.user : null;
+    const user = options.user || actor;
+
+    const event = {
+        userId: user ? Number(user.id) : null,
+        username: user ? user.username : null,
+        actorUserId: actor ? Number(actor.id) : null,
+        actorUsername: actor ? actor.username : null,
+        eventType,
+        targetType: options.targetType || null,
+        targetId: options.targetId !== undefined && options.targetId !== null ? String(options.targetId) : null,
+        details: options.details ? JSON.stringify(options.details) : null,
+        ipAddress: req ? getRequestIp(req) : null,
+        userAgent: req ? getRequestUserAgent(req) : null,
+        createdAt: formatDateForDb(new Date())
+    };
 
-    // DOMPurify로 안전한 HTML만 허용
-    return DOMPurify.sanitize(html, {
-        ALLOWED_TAGS: [
-            'p', 'br', 'strong', 'em', 'u', 's', 'code', 'pre',
-            'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
-            'ul', 'ol', 'li', 'blockquote',
-            'a', 'span', 'div',
-            'hr',
-            'table', 'thead', 'tbody', 'tr', 'th', 'td',
-            'img', 'figure',
-            'label', 'input'
-        ],
-        ALLOWED_ATTR: ['style', 'class', 'href', 'target', 'rel', 'data-type', 'data-latex', 'colspan', 'rowspan', 'colwidth', 'src', 'alt', 'data-src', 'data-alt', 'data-caption', 'data-width', 'data-align', 'data-url', 'data-title', 'data-description', 'data-thumbnail', 'data-id', 'data-icon', 'data-checked', 'type', 'checked', 'data-callout-type', 'data-content'],
-        ALLOW_DATA_ATTR: false,
-        ALLOWED_URI_REGEXP: /^(?:(?:(?:f|ht)tps?|mailto|tel|callto|cid|xmpp):|[^a-z]|[a-z+.\-]+(?:[^a-z+.\-:]|$))/i
-    });
+    const task = auditEventQueue.then(() => insertAuditEvent(event));
+    auditEventQueue = task.catch(() => {});
+    return task;
 }
 
 /**
- * 보안 개선: 비밀번호 강도 검증
- * @param {string} password - 검증할 비밀번호
- * @returns {{valid: boolean, error?: string}}
+ * 보안 감사 이벤트 해시 체인 검증
+ * @returns {Promise<{valid: boolean, checkedCount: number, brokenAtId: number|null, headHash: string}>}
  */
-function validatePasswordStrength(password) {
-    if (!password || typeof password !== 'string') {
-        return { valid: false, error: "비밀번호를 입력해 주세요." };
-    }
+async function verifyAuditEventChain() {
+    const BATCH_SIZE = 1000;
+    let prevHash = AUDIT_CHAIN_GENESIS_HASH;
+    let lastId = 0;
+    let checkedCount = 0;
+
+    while (true) {
+        // created_at은 저장된 문자열 그대로 비교해야 하므로 DB에서 포맷
+        const [rows] = await pool.execute(
+            `SELECT id, user_id, username, actor_user_id, actor_username, event_type,
+                    target_type, target_id, details, ip_address, user_agent,
+                    DATE_FORMAT(created_at, '%Y-%m-%d %H:%i:%s') AS created_at_str,
+                    prev_hash, hash
+             FROM audit_events
+             WHERE id > ?
+             ORDER BY id ASC
+             LIMIT ?`,
+            [lastId, BATCH_SIZE]
+        );
 
-    if (password.length < 10) {
-        return { valid: false, error: "비밀번호는 10자 이상이어야 합니다." };
-    }
+        for (const row of rows) {
+            const expectedHash = computeAuditEventHash(prevHash, {
+                userId: row.user_id,
+                username: row.username,
+                actorUserId: row.actor_user_id,
+                actorUsername: row.actor_username,
+                eventType: row.event_type,
+                targetType: row.target_type,
+                targetId: row.target_id,
+                details: row.details,
+                ipAddress: row.ip_address,
+                userAgent: row.user_agent,
+                createdAt: row.created_at_str
+            });
 
-    const hasUpperCase = /[A-Z]/.test(password);
-    const hasLowerCase = /[a-z]/.test(password);
-    const hasNumbers = /\d/.test(password);
-    const hasSpecialChar = /[!@#$%^&*(),.?":{}|<>]/.test(password);
+            if (row.prev_hash !== prevHash || row.hash !== expectedHash) {
+                return { valid: false, checkedCount, brokenAtId: row.id, headHash: prevHash };
+            }
 
-    const strength = [hasUpperCase, hasLowerCase, hasNumbers, hasSpecialChar]
-        .filter(Boolean).length;
+            prevHash = row.hash;
+            lastId = row.id;
+            checkedCount++;
+        }
 
-    if (strength < 3) {
-        return {
-            valid: false,
-            error: "비밀번호는 대문자, 소문자, 숫자, 특수문자 중 3가지 이상을 포함해야 합니다."
-        };
+        if (rows.length < BATCH_SIZE) {
+            break;
+        }
     }
 
-    return { valid: true };
+    return { valid: true, checkedCount, brokenAtId: null, headHash: prevHash };
 }
 
 /**
- * 보안 개선: 에러 로깅 (프로덕션에서는 상세 정보 숨김)
- * @param {string} context - 에러 발생 위치
- * @param {Error} error - 에러 객체
+ * 웹훅 구독 이벤트 목록(JSON) 파싱
  */
-function logError(context, error) {
-    if (IS_PRODUCTION) {
-        // 프로덕션: 간단한 에러 메시지만
-        console.error(`[오류] ${context}`);
-        // 실제 프로덕션에서는 로깅 서비스로 전송 권장 (e.g., Sentry, Winston)
-    } else {
-        // 개발: 상세한 스택 트레이스
-        console.error(`[오류] ${context}:`, error);
+function parseWebhookEvents(value) {
+    try {
+        const events = JSON.parse(value);
+        return Array.isArray(events) ? events.filter((event) => WEBHOOK_EVENTS.includes(event)) : [];
+    } catch (error) {
+        return [];
     }
 }
 
 /**
- * CSRF 토큰 검증 (Double Submit Cookie 패턴)
+ * 웹훅 서명 생성
+ * signature = HMAC-SHA256(secret, "<timestamp>.<본문>") (hex)
  */
-function verifyCsrfToken(req) {
-    const tokenFromHeader = req.headers["x-csrf-token"];
-    const tokenFromCookie = req.cookies[CSRF_COOKIE_NAME];
+function signWebhookPayload(secret, timestamp, body) {
+    return crypto.createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
 
-    if (!tokenFromHeader || !tokenFromCookie) {
+/**
+ * 웹훅 전송을 막아야 하는 주소인지 확인 (SSRF 방지)
+ * localhost, 사설망, 링크 로컬(클라우드 메타데이터 포함), CGNAT, IPv6 ULA/링크 로컬 대역 차단
+ */
+function isBlockedWebhookAddress(address) {
+    if (WEBHOOK_ALLOW_PRIVATE_NETWORKS) {
         return false;
     }
 
-    // 타이밍 공격 방지를 위한 상수 시간 비교
-    return crypto.timingSafeEqual(
-        Buffer.from(tokenFromHeader),
-        Buffer.from(tokenFromCookie)
-    );
+    const ip = String(address).toLowerCase().replace(/^::ffff:/, "");
+    if (isPrivateOrLocalIP(ip)) {
+        return true;
+    }
+
+    return /^(0\.|127\.|169\.254\.|100\.(6[4-9]|[7-9]\d|1[01]\d|12[0-7])\.)/.test(ip) ||
+        ip === "::" ||
+        /^f[cd][0-9a-f]{2}:/.test(ip) ||
+        /^fe[89ab][0-9a-f]:/.test(ip);
 }
 
 /**
- * 세션 생성
- * 보안 개선: idle timeout과 absolute timeout 모두 적용
- * 중복 로그인 감지: 사용자 설정에 따라 차단 또는 기존 세션 파기
- * @param {Object} user - 사용자 정보 (id, username, blockDuplicateLogin 포함)
- * @returns {Object} - { success: boolean, sessionId?: string, error?: string }
+ * 웹훅 연결용 DNS 조회
+ * 검증 후 연결 시점에 다시 조회한 주소가 내부망을 가리키는 경우(DNS 리바인딩)를 막기 위해
+ * 실제 연결에 사용하는 조회 결과를 한 번 더 검사함
  */
-function createSession(user) {
-    const sessionId = crypto.randomBytes(24).toString("hex");
-    const now = Date.now();
-    const expiresAt = now + SESSION_TTL_MS; // idle timeout
-    const absoluteExpiry = now + SESSION_ABSOLUTE_TTL_MS; // absolute timeout
+function lookupWebhookAddress(hostname, options, callback) {
+    if (typeof options === "function") {
+        callback = options;
+        options = {};
+    }
 
-    // 중복 로그인 감지: 기존 세션 확인
-    const existingSessions = userSessions.get(user.id);
-    if (existingSessions && existingSessions.size > 0) {
-        // 보안: 사용자명 일부만 표시
-        const maskedUsername = user.username.substring(0, 2) + '***';
-        console.log(`[중복 로그인 감지] 사용자 ID ${user.id} (${maskedUsername})의 기존 세션 ${existingSessions.size}개 발견`);
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            callback(error);
+            return;
+        }
 
-        // 사용자 설정 확인: 중복 로그인 차단 모드
-        if (user.blockDuplicateLogin) {
-            console.log(`[중복 로그인 차단] 사용자 ID ${user.id} (${maskedUsername})의 새 로그인 시도 거부`);
-            return {
-                success: false,
-                error: '이미 다른 위치에서 로그인 중입니다. 기존 세션을 먼저 종료하거나, 설정에서 "중복 로그인 차단" 옵션을 해제해주세요.'
-            };
+        const addresses = Array.isArray(address) ? address : [{ address, family }];
+        if (addresses.some((entry) => isBlockedWebhookAddress(entry.address))) {
+            callback(new Error("내부 네트워크 주소로는 웹훅을 보낼 수 없습니다."));
+            return;
         }
 
-        // 중복 로그인 허용 모드: 기존 세션들에게 알림 전송
-        wsBroadcastToUser(user.id, 'duplicate-login', {
-            message: '다른 위치에서 로그인하여 현재 세션이 종료됩니다.',
-            timestamp: new Date().toISOString()
-        });
+        callback(null, address, family);
+    });
+}
 
-        // 기존 세션 모두 파기
-        existingSessions.forEach(oldSessionId => {
-            sessions.delete(oldSessionId);
-            // 보안: 세션 ID 일부만 표시
-            console.log(`[세션 파기] 세션 ID: ${oldSessionId.substring(0, 8)}...`);
-        });
+const webhookHttpAgent = new http.Agent({ lookup: lookupWebhookAddress });
+const webhookHttpsAgent = new https.Agent({ lookup: lookupWebhookAddress });
 
-        // 사용자 세션 목록 초기화
-        existingSessions.clear();
+/**
+ * 웹훅 URL 검증 (http/https만 허용, 내부 네트워크 주소 차단)
+ * 등록할 때와 전송 직전에 확인하고, 전송 시에는 webhookHttpAgent/webhookHttpsAgent가 연결 주소를 다시 검사
+ * @returns {Promise<string|null>} - 거부 사유 (허용이면 null)
+ */
+async function validateWebhookUrl(url) {
+    let parsedUrl;
+    try {
+        parsedUrl = new URL(url);
+    } catch (error) {
+        return "유효하지 않은 URL입니다.";
     }
 
-    // 새 세션 생성
-    sessions.set(sessionId, {
-        userId: user.id,
-        username: user.username,
-        expiresAt,
-        absoluteExpiry,
-        createdAt: now
-    });
+    if (!["http:", "https:"].includes(parsedUrl.protocol)) {
+        return "http 또는 https URL만 사용할 수 있습니다.";
+    }
 
-    // 사용자 세션 목록에 추가
-    if (!userSessions.has(user.id)) {
-        userSessions.set(user.id, new Set());
+    if (parsedUrl.username || parsedUrl.password) {
+        return "URL에 사용자 정보를 포함할 수 없습니다.";
     }
-    userSessions.get(user.id).add(sessionId);
 
-    // 보안: 세션 ID와 사용자명 일부만 표시
-    const maskedUsername = user.username.substring(0, 2) + '***';
-    console.log(`[세션 생성] 사용자: ${maskedUsername} (ID: ${user.id}), 세션 ID: ${sessionId.substring(0, 8)}...`);
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(parsedUrl.hostname.replace(/^\[|\]$/g, ""), { all: true });
+    } catch (error) {
+        return "URL의 호스트를 찾을 수 없습니다.";
+    }
 
-    return { success: true, sessionId };
+    if (addresses.some(({ address }) => isBlockedWebhookAddress(address))) {
+        return "내부 네트워크 주소로는 웹훅을 보낼 수 없습니다.";
+    }
+
+    return null;
 }
 
 /**
- * 요청에서 세션 읽기
- * 보안 개선: idle timeout과 absolute timeout 모두 검증
+ * 웹훅 전송 대기열에 한 건 추가
+ * @param {Object} params
+ * @param {number} params.webhookId
+ * @param {Object} params.payload - 전송할 본문 ({ id, event, createdAt, collection, actor, data })
+ * @param {string|null} params.resourceId - page.updated 묶음 처리용 페이지 ID
+ * @param {Date} params.sendAt - 첫 전송 시각
  */
-function getSessionFromRequest(req) {
-    if (!req.cookies) {
-        return null;
-    }
+async function insertWebhookDelivery({ webhookId, payload, resourceId = null, sendAt = new Date() }) {
+    await pool.execute(
+        `INSERT INTO webhook_deliveries (webhook_id, event_id, event_type, resource_id, payload, status, next_attempt_at, created_at)
+         VALUES (?, ?, ?, ?, ?, 'pending', ?, ?)`,
+        [
+            webhookId,
+            payload.id,
+            payload.event,
+            resourceId,
+            JSON.stringify(payload),
+            formatDateForDb(sendAt),
+            formatDateForDb(new Date())
+        ]
+    );
+}
 
-    const sessionId = req.cookies[SESSION_COOKIE_NAME];
-    if (!sessionId) {
+/**
+ * 컬렉션 이벤트를 구독 중인 웹훅의 전송 대기열에 추가
+ * 실패해도 예외를 던지지 않으므로 호출 측에서 기다릴 필요 없음
+ * page.updated는 아직 보내지 않은 같은 페이지의 이벤트가 있으면 최신 내용으로 교체 (연속 편집을 하나로 묶음)
+ * @param {string} collectionId
+ * @param {string} eventType - WEBHOOK_EVENTS 중 하나
+ * @param {Object} data - 이벤트 데이터 ({ page }, { share } 등)
+ * @param {number|null} actorUserId - 이벤트를 일으킨 사용자
+ */
+async function enqueueWebhookEvent(collectionId, eventType, data = {}, actorUserId = null) {
+    try {
+        const [webhooks] = await pool.execute(
+            `SELECT w.id, w.events, c.name AS collection_name
+             FROM webhooks w
+             JOIN collections c ON w.collection_id = c.id
+             WHERE w.collection_id = ? AND w.is_active = 1 AND c.deleted_at IS NULL`,
+            [collectionId]
+        );
+
+        const targets = webhooks.filter((webhook) => parseWebhookEvents(webhook.events).includes(eventType));
+        if (targets.length === 0) {
+            return;
+        }
+
+        let actor = null;
+        if (actorUserId) {
+            const [userRows] = await pool.execute(`SELECT id, username FROM users WHERE id = ?`, [actorUserId]);
+            actor = userRows.length ? { id: userRows[0].id, username: userRows[0].username } : null;
+        }
+
+        const now = new Date();
+        const isDebounced = eventType === "page.updated";
+        const resourceId = data.page ? data.page.id : null;
+
+        for (const webhook of targets) {
+            const payload = {
+                id: crypto.randomUUID(),
+                event: eventType,
+                createdAt: now.toISOString(),
+                collection: { id: collectionId, name: webhook.collection_name },
+                actor,
+                data
+            };
+
+            if (isDebounced && resourceId) {
+                // 전송 예정 시각은 그대로 두어 계속 편집 중이어도 WEBHOOK_UPDATE_DEBOUNCE_MS마다 전송
+                const [result] = await pool.execute(
+                    `UPDATE webhook_deliveries
+                     SET event_id = ?, payload = ?
+                     WHERE webhook_id = ? AND event_type = ? AND resource_id = ?
+                       AND status = 'pending' AND attempt_count = 0`,
+                    [payload.id, JSON.stringify(payload), webhook.id, eventType, resourceId]
+                );
+                if (result.affectedRows > 0) {
+                    continue;
+                }
+            }
+
+            await insertWebhookDelivery({
+                webhookId: webhook.id,
+                payload,
+                resourceId,
+                sendAt: isDebounced ? new Date(now.getTime() + WEBHOOK_UPDATE_DEBOUNCE_MS) : now
+            });
+        }
+
+        if (!isDebounced) {
+            setImmediate(processWebhookQueue);
+        }
+    } catch (error) {
+        logError("enqueueWebhookEvent", error);
+    }
+}
+
+/**
+ * 웹훅 한 건 전송 후 결과 기록
+ * 2xx 응답만 성공으로 처리하고, 리다이렉트는 따라가지 않음
+ */
+async function deliverWebhook(delivery) {
+    const attemptCount = delivery.attempt_count + 1;
+    const timestamp = Math.floor(Date.now() / 1000);
+    let responseStatus = null;
+    let responseBody = null;
+    let errorMessage = null;
+
+    try {
+        const urlError = await validateWebhookUrl(delivery.url);
+        if (urlError) {
+            throw new Error(urlError);
+        }
+
+        const response = await axios.post(delivery.url, delivery.payload, {
+            timeout: WEBHOOK_REQUEST_TIMEOUT_MS,
+            maxRedirects: 0,
+            maxContentLength: 64 * 1024,
+            // 검증한 조회 결과로만 연결 (환경 변수의 프록시 설정도 무시)
+            httpAgent: webhookHttpAgent,
+            httpsAgent: webhookHttpsAgent,
+            proxy: false,
+            responseType: "text",
+            transformResponse: [(body) => body],
+            validateStatus: () => true,
+            headers: {
+                "Content-Type": "application/json",
+                "User-Agent": "NTEOK-Webhook/1.0",
+                "X-NTEOK-Event": delivery.event_type,
+                "X-NTEOK-Delivery": delivery.event_id,
+                "X-NTEOK-Timestamp": String(timestamp),
+                "X-NTEOK-Signature": `sha256=${signWebhookPayload(delivery.secret, timestamp, delivery.payload)}`
+            }
+        });
+
+        responseStatus = response.status;
+        responseBody = typeof response.data === "string" ? response.data.slice(0, 2000) : null;
+        if (response.status < 200 || response.status >= 300) {
+            errorMessage = `HTTP ${response.status}`;
+        }
+    } catch (error) {
+        errorMessage = String(error.message || error).slice(0, 500);
+    }
+
+    const retryDelay = WEBHOOK_RETRY_DELAYS_MS[attemptCount - 1];
+    const status = !errorMessage ? "success" : retryDelay !== undefined ? "pending" : "failed";
+
+    await pool.execute(
+        `UPDATE webhook_deliveries
+         SET status = ?, attempt_count = ?, next_attempt_at = ?, last_attempt_at = ?,
+             response_status = ?, response_body = ?, error_message = ?
+         WHERE id = ?`,
+        [
+            status,
+            attemptCount,
+            status === "pending" ? formatDateForDb(new Date(Date.now() + retryDelay)) : null,
+            formatDateForDb(new Date()),
+            responseStatus,
+            responseBody,
+            errorMessage,
+            delivery.id
+        ]
+    );
+
+    if (status === "failed") {
+        console.warn(`[웹훅] 전송 실패 (재시도 종료) - 전송 ID: ${delivery.id}, 시도: ${attemptCount}회, 오류: ${errorMessage}`);
+    }
+}
+
+let webhookQueueRunning = false;
+
+/**
+ * 전송 시각이 된 웹훅 대기열 처리
+ * 여러 서버 인스턴스가 동시에 실행해도 status를 sending으로 바꾼 인스턴스만 전송
+ * 비활성화된 웹훅의 항목은 다시 활성화될 때까지 대기
+ */
+async function processWebhookQueue() {
+    if (!pool || webhookQueueRunning) {
+        return;
+    }
+    webhookQueueRunning = true;
+
+    try {
+        const now = new Date();
+
+        await pool.execute(
+            `UPDATE webhook_deliveries SET status = 'pending'
+             WHERE status = 'sending' AND last_attempt_at < ?`,
+            [formatDateForDb(new Date(now.getTime() - WEBHOOK_SENDING_TIMEOUT_MS))]
+        );
+
+        const [rows] = await pool.execute(
+            `SELECT d.id, d.event_id, d.event_type, d.payload, d.attempt_count, w.url, w.secret
+             FROM webhook_deliveries d
+             JOIN webhooks w ON d.webhook_id = w.id
+             WHERE d.status = 'pending' AND d.next_attempt_at <= ? AND w.is_active = 1
+             ORDER BY d.next_attempt_at ASC
+             LIMIT 20`,
+            [formatDateForDb(now)]
+        );
+
+        for (const row of rows) {
+            const [claim] = await pool.execute(
+                `UPDATE webhook_deliveries SET status = 'sending', last_attempt_at = ?
+                 WHERE id = ? AND status = 'pending'`,
+                [formatDateForDb(new Date()), row.id]
+            );
+            if (claim.affectedRows === 0) {
+                continue;
+            }
+
+            await deliverWebhook(row);
+        }
+    } catch (error) {
+        logError("processWebhookQueue", error);
+    } finally {
+        webhookQueueRunning = false;
+    }
+}
+
+/**
+ * 보관 기간이 지난 웹훅 전송 기록 정리 (대기 중인 항목은 유지)
+ */
+async function cleanupOldWebhookDeliveries() {
+    try {
+        const cutoff = new Date(Date.now() - WEBHOOK_DELIVERY_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+        const [result] = await pool.execute(
+            `DELETE FROM webhook_deliveries WHERE status IN ('success', 'failed') AND created_at < ?`,
+            [formatDateForDb(cutoff)]
+        );
+
+        if (result.affectedRows > 0) {
+            console.log(`[웹훅] ${result.affectedRows}개의 오래된 전송 기록을 정리했습니다.`);
+        }
+    } catch (error) {
+        logError("cleanupOldWebhookDeliveries", error);
+    }
+}
+
+/**
+ * 보안 개선: 암호학적으로 안전한 페이지 ID 생성
+ * Math.random() 대신 crypto.randomBytes 사용
+ */
+function generatePageId(now) {
+    const iso = now.toISOString().replace(/[:.]/g, "-");
+    const rand = crypto.randomBytes(6).toString("hex"); // 12자 hex 문자열
+    return "page-" + iso + "-" + rand;
+}
+
+/**
+ * 보안 개선: 암호학적으로 안전한 컬렉션 ID 생성
+ * Math.random() 대신 crypto.randomBytes 사용
+ */
+function generateCollectionId(now) {
+    const iso = now.toISOString().replace(/[:.]/g, "-");
+    const rand = crypto.randomBytes(6).toString("hex"); // 12자 hex 문자열
+    return "col-" + iso + "-" + rand;
+}
+
+/**
+ * DB DATETIME 값을 ISO 문자열로 변환
+ */
+function toIsoString(value) {
+    if (!value) {
+        return null;
+    }
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (typeof value === "string") {
+        if (value.endsWith("Z")) {
+            return value;
+        }
+        return value + "Z";
+    }
+    return String(value);
+}
+
+/**
+ * CSRF 토큰 생성
+ */
+function generateCsrfToken() {
+    return crypto.randomBytes(32).toString("hex");
+}
+
+/**
+ * XSS 방지: HTML 태그 제거 (sanitization)
+ * 사용자 입력값에서 잠재적으로 위험한 HTML 태그를 제거
+ * 제목 등 평문 필드에 사용
+ */
+function sanitizeInput(input) {
+    if (typeof input !== 'string') {
+        return input;
+    }
+    // HTML 태그 제거
+    return input.replace(/<[^>]*>/g, '');
+}
+
+/**
+ * 보안 개선: HTML 콘텐츠 정화 (DOMPurify)
+ * 에디터 콘텐츠 등 HTML이 필요한 필드에 사용
+ */
+function sanitizeHtmlContent(html) {
+    if (typeof html !== 'string') {
+        return html;
+    }
+
+    // DOMPurify로 안전한 HTML만 허용
+    return DOMPurify.sanitize(html, {
+        ALLOWED_TAGS: [
+            'p', 'br', 'strong', 'em', 'u', 's', 'code', 'pre',
+            'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+            'ul', 'ol', 'li', 'blockquote',
+            'a', 'span', 'div',
+            'hr',
+            'table', 'thead', 'tbody', 'tr', 'th', 'td',
+            'img', 'figure',
+            'label', 'input'
+        ],
+        ALLOWED_ATTR: ['style', 'class', 'href', 'target', 'rel', 'data-type', 'data-latex', 'colspan', 'rowspan', 'colwidth', 'src', 'alt', 'data-src', 'data-alt', 'data-caption', 'data-width', 'data-align', 'data-url', 'data-title', 'data-description', 'data-thumbnail', 'data-id', 'data-icon', 'data-checked', 'type', 'checked', 'data-callout-type', 'data-content', 'data-comment-id'],
+        ALLOW_DATA_ATTR: false,
+        ALLOWED_URI_REGEXP: /^(?:(?:(?:f|ht)tps?|mailto|tel|callto|cid|xmpp):|[^a-z]|[a-z+.\-]+(?:[^a-z+.\-:]|$))/i
+    });
+}
+
+/**
+ * 검색 색인용 평문 추출
+ * 페이지 HTML에서 태그를 제거해 pages.content_text(FULLTEXT 색인 대상)에 저장할 텍스트를 만듦
+ * (태그/속성 이름이 검색에 걸리지 않도록 원본 HTML 대신 사용)
+ */
+function htmlToPlainText(html) {
+    if (typeof html !== 'string' || !html) {
+        return '';
+    }
+
+    return html
+        .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+        .replace(/<(br|hr|\/p|\/div|\/li|\/h[1-6]|\/tr|\/td|\/th|\/blockquote|\/pre)[^>]*>/gi, ' ')
+        .replace(/<[^>]*>/g, '')
+        .replace(/&nbsp;/gi, ' ')
+        .replace(/&lt;/gi, '<')
+        .replace(/&gt;/gi, '>')
+        .replace(/&quot;/gi, '"')
+        .replace(/&#39;/gi, "'")
+        .replace(/&amp;/gi, '&')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+/**
+ * 페이지 태그 목록 정규화
+ * 앞의 '#' 제거, 공백 정리, 길이 제한 후 대소문자 구분 없이 중복 제거
+ * (page_tags.name 콜레이션이 대소문자를 구분하지 않으므로 처음 입력된 표기를 유지)
+ * @param {Array<string>} tags
+ * @returns {Array<string>}
+ */
+function normalizePageTags(tags) {
+    if (!Array.isArray(tags)) {
+        return [];
+    }
+
+    const seen = new Set();
+    const result = [];
+
+    for (const tag of tags) {
+        if (typeof tag !== 'string') continue;
+
+        const name = sanitizeInput(tag)
+            .replace(/^#+/, '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .slice(0, PAGE_TAG_MAX_LENGTH)
+            .trim();
+        if (!name) continue;
+
+        const key = name.toLowerCase();
+        if (seen.has(key)) continue;
+
+        seen.add(key);
+        result.push(name);
+
+        if (result.length >= PAGE_TAG_MAX_PER_PAGE) break;
+    }
+
+    return result;
+}
+
+/**
+ * 보안 개선: 비밀번호 강도 검증
+ * @param {string} password - 검증할 비밀번호
+ * @returns {{valid: boolean, error?: string}}
+ */
+function validatePasswordStrength(password) {
+    if (!password || typeof password !== 'string') {
+        return { valid: false, error: "비밀번호를 입력해 주세요." };
+    }
+
+    if (password.length < 10) {
+        return { valid: false, error: "비밀번호는 10자 이상이어야 합니다." };
+    }
+
+    const hasUpperCase = /[A-Z]/.test(password);
+    const hasLowerCase = /[a-z]/.test(password);
+    const hasNumbers = /\d/.test(password);
+    const hasSpecialChar = /[!@#$%^&*(),.?":{}|<>]/.test(password);
+
+    const strength = [hasUpperCase, hasLowerCase, hasNumbers, hasSpecialChar]
+        .filter(Boolean).length;
+
+    if (strength < 3) {
+        return {
+            valid: false,
+            error: "비밀번호는 대문자, 소문자, 숫자, 특수문자 중 3가지 이상을 포함해야 합니다."
+        };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * 보안 개선: 에러 로깅 (프로덕션에서는 상세 정보 숨김)
+ * @param {string} context - 에러 발생 위치
+ * @param {Error} error - 에러 객체
+ */
+function logError(context, error) {
+    if (IS_PRODUCTION) {
+        // 프로덕션: 간단한 에러 메시지만
+        console.error(`[오류] ${context}`);
+        // 실제 프로덕션에서는 로깅 서비스로 전송 권장 (e.g., Sentry, Winston)
+    } else {
+        // 개발: 상세한 스택 트레이스
+        console.error(`[오류] ${context}:`, error);
+    }
+}
+
+/**
+ * CSRF 토큰 검증 (Double Submit Cookie 패턴)
+ */
+function verifyCsrfToken(req) {
+    const tokenFromHeader = req.headers["x-csrf-token"];
+    const tokenFromCookie = req.cookies[CSRF_COOKIE_NAME];
+
+    if (!tokenFromHeader || !tokenFromCookie) {
+        return false;
+    }
+
+    // 타이밍 공격 방지를 위한 상수 시간 비교
+    return crypto.timingSafeEqual(
+        Buffer.from(tokenFromHeader),
+        Buffer.from(tokenFromCookie)
+    );
+}
+
+/**
+ * 세션 생성
+ * 보안 개선: idle timeout과 absolute timeout 모두 적용
+ * 중복 로그인 감지: 사용자 설정에 따라 차단 (허용 모드에서는 기존 세션 유지)
+ * @param {Object} user - 사용자 정보 (id, username, blockDuplicateLogin 포함)
+ * @param {Object} [req] - 로그인 요청 (세션 목록에 표시할 IP, User-Agent 기록용)
+ * @returns {Promise<Object>} - { success: boolean, sessionId?: string, error?: string, code?: string }
+ *   code: 'ACCOUNT_DISABLED' (관리자가 비활성화한 계정) 또는 'DUPLICATE_LOGIN_BLOCKED'
+ */
+async function createSession(user, req = null) {
+    const sessionId = crypto.randomBytes(24).toString("hex");
+    const now = Date.now();
+    const nowStr = formatDateForDb(new Date(now));
+    const expiresAt = formatDateForDb(new Date(now + SESSION_TTL_MS)); // idle timeout
+    const absoluteExpiry = formatDateForDb(new Date(now + SESSION_ABSOLUTE_TTL_MS)); // absolute timeout
+
+    // 비활성화된 계정은 로그인 방식과 관계없이 세션 생성 거부
+    const [userRows] = await pool.execute("SELECT is_disabled FROM users WHERE id = ?", [user.id]);
+    if (!userRows.length || userRows[0].is_disabled) {
+        console.log(`[로그인 거부] 사용자 ID ${user.id}: 비활성화된 계정`);
+        return {
+            success: false,
+            error: ACCOUNT_DISABLED_MESSAGE,
+            code: 'ACCOUNT_DISABLED'
+        };
+    }
+
+    // 중복 로그인 감지: 기존 세션 확인
+    const [existingSessions] = await pool.execute(
+        `SELECT id_hash FROM sessions
+         WHERE user_id = ? AND is_pending = 0 AND expires_at > ? AND absolute_expires_at > ?`,
+        [user.id, nowStr, nowStr]
+    );
+
+    if (existingSessions.length > 0) {
+        // 보안: 사용자명 일부만 표시
+        const maskedUsername = user.username.substring(0, 2) + '***';
+        console.log(`[중복 로그인 감지] 사용자 ID ${user.id} (${maskedUsername})의 기존 세션 ${existingSessions.length}개 발견`);
+
+        // 사용자 설정 확인: 중복 로그인 차단 모드
+        if (user.blockDuplicateLogin) {
+            console.log(`[중복 로그인 차단] 사용자 ID ${user.id} (${maskedUsername})의 새 로그인 시도 거부`);
+            return {
+                success: false,
+                error: '이미 다른 위치에서 로그인 중입니다. 기존 세션을 먼저 종료하거나, 설정에서 "중복 로그인 차단" 옵션을 해제해주세요.',
+                code: 'DUPLICATE_LOGIN_BLOCKED'
+            };
+        }
+
+        // 중복 로그인 허용 모드: 기존 세션은 유지 (활성 세션 목록에서 개별 종료 또는 다른 세션 모두 로그아웃)
+    }
+
+    // 새 세션 생성
+    await pool.execute(
+        `INSERT INTO sessions (id_hash, public_id, user_id, is_pending, ip_address, user_agent, data,
+                               created_at, last_seen_at, expires_at, absolute_expires_at)
+         VALUES (?, ?, ?, 0, ?, ?, NULL, ?, ?, ?, ?)`,
+        [
+            hashSessionId(sessionId),
+            crypto.randomBytes(16).toString("hex"),
+            user.id,
+            getRequestIp(req),
+            getRequestUserAgent(req),
+            nowStr,
+            nowStr,
+            expiresAt,
+            absoluteExpiry
+        ]
+    );
+
+    // 보안: 세션 ID와 사용자명 일부만 표시
+    const maskedUsername = user.username.substring(0, 2) + '***';
+    console.log(`[세션 생성] 사용자: ${maskedUsername} (ID: ${user.id}), 세션 ID: ${sessionId.substring(0, 8)}...`);
+
+    return { success: true, sessionId };
+}
+
+/**
+ * 요청 IP (세션 기록용)
+ */
+function getRequestIp(req) {
+    if (!req) return null;
+    const ip = req.ip || (req.connection && req.connection.remoteAddress);
+    return ip ? String(ip).slice(0, 45) : null;
+}
+
+/**
+ * 요청 User-Agent (세션 기록용)
+ */
+function getRequestUserAgent(req) {
+    const userAgent = req && req.headers ? req.headers['user-agent'] : null;
+    return userAgent ? String(userAgent).slice(0, 512) : null;
+}
+
+/**
+ * 세션 데이터(JSON) 파싱
+ */
+function parseSessionData(value) {
+    if (!value) return {};
+    try {
+        const data = JSON.parse(value);
+        return data && typeof data === "object" ? data : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * 요청에서 세션 읽기
+ * 보안 개선: idle timeout과 absolute timeout 모두 검증
+ * 비활성화된 계정의 세션은 없는 것으로 취급
+ * @returns {Promise<Object|null>} - { id, publicId, userId, username, isAdmin, createdAt, expiresAt, absoluteExpiry, ...세션 데이터 }
+ */
+async function getSessionFromRequest(req) {
+    if (!req.cookies) {
         return null;
     }
 
-    const session = sessions.get(sessionId);
-    if (!session) {
+    const sessionId = req.cookies[SESSION_COOKIE_NAME];
+    if (!sessionId || typeof sessionId !== "string") {
+        return null;
+    }
+
+    const idHash = hashSessionId(sessionId);
+    const [rows] = await pool.execute(
+        `SELECT s.public_id, s.user_id, s.data, s.created_at, s.expires_at, s.absolute_expires_at,
+                u.username, u.is_admin
+         FROM sessions s
+         JOIN users u ON s.user_id = u.id
+         WHERE s.id_hash = ? AND s.is_pending = 0 AND u.is_disabled = 0`,
+        [idHash]
+    );
+
+    if (!rows.length) {
         return null;
     }
 
+    const row = rows[0];
     const now = Date.now();
+    const absoluteExpiry = new Date(row.absolute_expires_at).getTime();
+    const expiresAt = new Date(row.expires_at).getTime();
 
     // 절대 만료 시간 체크 (세션 생성 후 7일)
-    if (session.absoluteExpiry <= now) {
-        console.warn(`[세션 만료] 세션 ID ${sessionId.substring(0, 8)}... - 절대 만료 시간 초과 (사용자: ${session.userId})`);
-        sessions.delete(sessionId);
-        // userSessions에서도 제거
-        if (session.userId) {
-            const userSessionSet = userSessions.get(session.userId);
-            if (userSessionSet) {
-                userSessionSet.delete(sessionId);
-                if (userSessionSet.size === 0) {
-                    userSessions.delete(session.userId);
-                }
-            }
-        }
+    if (absoluteExpiry <= now) {
+        console.warn(`[세션 만료] 세션 ID ${sessionId.substring(0, 8)}... - 절대 만료 시간 초과 (사용자: ${row.user_id})`);
+        await destroySession(sessionId);
         return null;
     }
 
     // Idle timeout 체크 (마지막 활동 후 7일)
-    if (session.expiresAt <= now) {
-        console.warn(`[세션 만료] 세션 ID ${sessionId.substring(0, 8)}... - 비활성 시간 초과 (사용자: ${session.userId})`);
-        sessions.delete(sessionId);
-        // userSessions에서도 제거
-        if (session.userId) {
-            const userSessionSet = userSessions.get(session.userId);
-            if (userSessionSet) {
-                userSessionSet.delete(sessionId);
-                if (userSessionSet.size === 0) {
-                    userSessions.delete(session.userId);
-                }
+    if (expiresAt <= now) {
+        console.warn(`[세션 만료] 세션 ID ${sessionId.substring(0, 8)}... - 비활성 시간 초과 (사용자: ${row.user_id})`);
+        await destroySession(sessionId);
+        return null;
+    }
+
+    // 세션이 유효하면 idle timeout과 마지막 접속 정보 갱신 (1분에 한 번만 기록)
+    let newExpiresAt = expiresAt;
+    if (now + SESSION_TTL_MS - expiresAt >= SESSION_TOUCH_INTERVAL_MS) {
+        newExpiresAt = now + SESSION_TTL_MS;
+        await pool.execute(
+            `UPDATE sessions SET last_seen_at = ?, expires_at = ?, ip_address = COALESCE(?, ip_address)
+             WHERE id_hash = ?`,
+            [formatDateForDb(new Date(now)), formatDateForDb(new Date(newExpiresAt)), getRequestIp(req), idHash]
+        );
+    }
+
+    return {
+        ...parseSessionData(row.data),
+        id: sessionId,
+        publicId: row.public_id,
+        userId: row.user_id,
+        username: row.username,
+        isAdmin: row.is_admin === 1,
+        createdAt: new Date(row.created_at).getTime(),
+        expiresAt: newExpiresAt,
+        absoluteExpiry
+    };
+}
+
+/**
+ * 세션 데이터 병합 저장 (예: TOTP 설정 중 임시 시크릿)
+ * @param {string} sessionId - 쿠키의 세션 ID
+ * @param {Object} values - 병합할 값 (undefined 값은 삭제)
+ */
+async function updateSessionData(sessionId, values) {
+    const idHash = hashSessionId(sessionId);
+    const [rows] = await pool.execute(
+        "SELECT data FROM sessions WHERE id_hash = ?",
+        [idHash]
+    );
+    if (!rows.length) {
+        return false;
+    }
+
+    const data = { ...parseSessionData(rows[0].data), ...values };
+    Object.keys(data).forEach(key => {
+        if (data[key] === undefined) delete data[key];
+    });
+
+    await pool.execute(
+        "UPDATE sessions SET data = ? WHERE id_hash = ?",
+        [Object.keys(data).length ? JSON.stringify(data) : null, idHash]
+    );
+    return true;
+}
+
+/**
+ * 2FA 검증 대기용 임시 세션 생성 (10분 유효)
+ * @returns {Promise<string>} 임시 세션 ID
+ */
+async function createPendingSession(userId) {
+    const tempSessionId = crypto.randomBytes(32).toString("hex");
+    const now = Date.now();
+    const nowStr = formatDateForDb(new Date(now));
+    const expiresAt = formatDateForDb(new Date(now + PENDING_SESSION_TTL_MS));
+
+    await pool.execute(
+        `INSERT INTO sessions (id_hash, public_id, user_id, is_pending, data, created_at, last_seen_at, expires_at, absolute_expires_at)
+         VALUES (?, ?, ?, 1, NULL, ?, ?, ?, ?)`,
+        [hashSessionId(tempSessionId), crypto.randomBytes(16).toString("hex"), userId, nowStr, nowStr, expiresAt, expiresAt]
+    );
+
+    return tempSessionId;
+}
+
+/**
+ * 임시 세션 조회
+ * @returns {Promise<Object|null>} - { id, pendingUserId, createdAt }
+ */
+async function getPendingSession(tempSessionId) {
+    if (!tempSessionId || typeof tempSessionId !== "string") {
+        return null;
+    }
+
+    const [rows] = await pool.execute(
+        `SELECT user_id, created_at FROM sessions
+         WHERE id_hash = ? AND is_pending = 1 AND expires_at > ?`,
+        [hashSessionId(tempSessionId), formatDateForDb(new Date())]
+    );
+
+    if (!rows.length) {
+        return null;
+    }
+
+    return {
+        id: tempSessionId,
+        pendingUserId: rows[0].user_id,
+        createdAt: new Date(rows[0].created_at).getTime()
+    };
+}
+
+/**
+ * 세션 파기 (정식 세션, 임시 세션 공용)
+ */
+async function destroySession(sessionId) {
+    if (!sessionId || typeof sessionId !== "string") {
+        return;
+    }
+
+    await pool.execute("DELETE FROM sessions WHERE id_hash = ?", [hashSessionId(sessionId)]);
+}
+
+/**
+ * 사용자의 모든 세션 파기 및 WebSocket 연결 종료 (계정 비활성화, 비밀번호 재설정 등)
+ * @param {number} userId
+ * @param {string|null} exceptPublicId - 유지할 세션의 공개 ID (현재 세션)
+ * @returns {Promise<number>} 파기한 세션 수
+ */
+async function destroyUserSessions(userId, exceptPublicId = null) {
+    const [rows] = await pool.execute(
+        `SELECT public_id FROM sessions WHERE user_id = ? AND public_id != ?`,
+        [userId, exceptPublicId || '']
+    );
+    if (!rows.length) {
+        return 0;
+    }
+
+    await pool.execute(
+        `DELETE FROM sessions WHERE user_id = ? AND public_id != ?`,
+        [userId, exceptPublicId || '']
+    );
+    wsCloseSessionConnections(rows.map(row => row.public_id));
+    return rows.length;
+}
+
+/**
+ * Authorization 헤더의 Bearer 토큰 추출
+ * @returns {string|null}
+ */
+function getBearerToken(req) {
+    const header = req.headers ? req.headers.authorization : null;
+    if (typeof header !== "string") {
+        return null;
+    }
+
+    const match = header.match(/^Bearer\s+(\S+)$/i);
+    return match ? match[1] : null;
+}
+
+/**
+ * API 토큰 조회
+ * 만료된 토큰, 비활성화된 계정의 토큰은 없는 것으로 취급 (폐기된 토큰은 삭제됨)
+ * @returns {Promise<Object|null>} - { id, userId, username, scope, collectionIds }
+ */
+async function getApiToken(req, token) {
+    const [rows] = await pool.execute(
+        `SELECT t.id, t.user_id, t.scope, t.collection_ids, t.expires_at, t.last_used_at, u.username
+         FROM api_tokens t
+         JOIN users u ON t.user_id = u.id
+         WHERE t.token_hash = ? AND u.is_disabled = 0`,
+        [hashApiToken(token)]
+    );
+
+    if (!rows.length) {
+        return null;
+    }
+
+    const row = rows[0];
+    const now = Date.now();
+
+    if (row.expires_at && new Date(row.expires_at).getTime() <= now) {
+        return null;
+    }
+
+    // 마지막 사용 정보 갱신 (1분에 한 번만 기록)
+    if (!row.last_used_at || now - new Date(row.last_used_at).getTime() >= SESSION_TOUCH_INTERVAL_MS) {
+        await pool.execute(
+            `UPDATE api_tokens SET last_used_at = ?, last_used_ip = ? WHERE id = ?`,
+            [formatDateForDb(new Date(now)), getRequestIp(req), row.id]
+        );
+    }
+
+    return {
+        id: row.id,
+        userId: row.user_id,
+        username: row.username,
+        scope: API_TOKEN_SCOPES.includes(row.scope) ? row.scope : "read",
+        collectionIds: parseApiTokenCollectionIds(row.collection_ids)
+    };
+}
+
+/**
+ * API 토큰 권한 범위 확인
+ * - 페이지/컬렉션 API만 허용
+ * - read 토큰은 GET/HEAD 요청만 허용
+ * - 컬렉션이 제한된 토큰은 요청 대상 페이지/컬렉션이 허용 목록에 있어야 함
+ *   (목록 조회는 각 라우트에서 허용된 컬렉션만 남김)
+ * 라우트에 붙은 authMiddleware에서 호출되므로 req.route, req.params 사용 가능
+ * @returns {Promise<string|null>} - 거부 사유 (허용이면 null)
+ */
+async function checkApiTokenScope(req, apiToken) {
+    if (!API_TOKEN_BASE_URLS.includes(req.baseUrl)) {
+        return "API 토큰으로는 페이지와 컬렉션 API만 사용할 수 있습니다.";
+    }
+
+    if (apiToken.scope !== "write" && !["GET", "HEAD"].includes(req.method)) {
+        return "읽기 전용 토큰으로는 데이터를 변경할 수 없습니다.";
+    }
+
+    if (!apiToken.collectionIds) {
+        return null;
+    }
+
+    const routePath = req.route ? req.route.path : req.path;
+    const body = req.body || {};
+    const collectionIds = [];
+    const pageIds = [];
+
+    if (req.baseUrl === "/api/collections") {
+        if (routePath === "/" && req.method !== "GET") {
+            return "컬렉션이 지정된 토큰으로는 새 컬렉션을 만들 수 없습니다.";
+        }
+        if (routePath.startsWith("/:id")) {
+            collectionIds.push(req.params.id);
+        } else if (routePath !== "/") {
+            return "컬렉션이 지정된 토큰으로는 사용할 수 없는 API입니다.";
+        }
+    } else {
+        if (routePath.startsWith("/:id")) {
+            pageIds.push(req.params.id);
+        } else if (routePath !== "/" && routePath !== "/reorder") {
+            return "컬렉션이 지정된 토큰으로는 사용할 수 없는 API입니다.";
+        }
+
+        ["collectionId", "targetCollectionId"].forEach((key) => {
+            if (typeof body[key] === "string" && body[key].trim() !== "") {
+                collectionIds.push(body[key].trim());
             }
+        });
+
+        // 템플릿은 다른 컬렉션의 페이지일 수 있음
+        if (typeof body.templateId === "string" && body.templateId.trim() !== "") {
+            pageIds.push(body.templateId.trim());
+        }
+
+        if (typeof req.query.collectionId === "string" && req.query.collectionId.trim() !== "") {
+            collectionIds.push(req.query.collectionId.trim());
         }
-        return null;
     }
 
-    // 세션이 유효하면 idle timeout 갱신
-    session.expiresAt = now + SESSION_TTL_MS;
+    // 존재하지 않는 페이지는 라우트에서 404 처리
+    if (pageIds.length > 0) {
+        const [rows] = await pool.execute(
+            `SELECT collection_id FROM pages WHERE id IN (${pageIds.map(() => "?").join(",")})`,
+            pageIds
+        );
+        rows.forEach((row) => collectionIds.push(row.collection_id));
+    }
+
+    if (collectionIds.some((id) => !apiToken.collectionIds.includes(String(id)))) {
+        return "이 토큰으로 접근할 수 없는 컬렉션입니다.";
+    }
+
+    return null;
+}
 
-    return { id: sessionId, ...session };
+/**
+ * API 토큰의 허용 컬렉션 여부 (토큰 인증이 아니거나 제한이 없으면 true)
+ */
+function isCollectionInTokenScope(req, collectionId) {
+    if (!req.apiToken || !req.apiToken.collectionIds) {
+        return true;
+    }
+    return req.apiToken.collectionIds.includes(String(collectionId));
 }
 
 /**
  * 인증이 필요한 API용 미들웨어
+ * Authorization: Bearer 헤더가 있으면 API 토큰으로만 인증 (쿠키 세션으로 대체하지 않음)
  */
-function authMiddleware(req, res, next) {
-    const session = getSessionFromRequest(req);
+async function authMiddleware(req, res, next) {
+    const bearerToken = getBearerToken(req);
+    if (bearerToken) {
+        let apiToken;
+        let scopeError = null;
+        try {
+            apiToken = await getApiToken(req, bearerToken);
+            if (apiToken) {
+                scopeError = await checkApiTokenScope(req, apiToken);
+            }
+        } catch (error) {
+            logError("authMiddleware", error);
+            return res.status(500).json({ error: "API 토큰 확인 중 오류가 발생했습니다." });
+        }
+
+        if (!apiToken) {
+            // 보안: 토큰 일부만 표시
+            console.warn(`[API 토큰 인증 실패] ${req.method} ${req.originalUrl} - 토큰: ${bearerToken.substring(0, 10)}..., IP: ${req.ip}`);
+            return res.status(401).json({ error: "유효하지 않거나 만료된 API 토큰입니다." });
+        }
+
+        if (scopeError) {
+            console.warn(`[API 토큰 권한 없음] ${req.method} ${req.originalUrl} - 토큰 ID: ${apiToken.id}, IP: ${req.ip}`);
+            return res.status(403).json({ error: scopeError });
+        }
+
+        // API 토큰은 관리자 권한을 갖지 않음
+        req.user = {
+            id: apiToken.userId,
+            username: apiToken.username,
+            isAdmin: false
+        };
+        req.apiToken = {
+            id: apiToken.id,
+            scope: apiToken.scope,
+            collectionIds: apiToken.collectionIds
+        };
+
+        return next();
+    }
+
+    let session;
+    try {
+        session = await getSessionFromRequest(req);
+    } catch (error) {
+        logError("authMiddleware", error);
+        return res.status(500).json({ error: "세션 확인 중 오류가 발생했습니다." });
+    }
 
     if (!session) {
         const sessionId = req.cookies[SESSION_COOKIE_NAME];
@@ -760,8 +1906,55 @@ function authMiddleware(req, res, next) {
 
     req.user = {
         id: session.userId,
-        username: session.username
+        username: session.username,
+        isAdmin: session.isAdmin
     };
+    // 세션 목록에서 현재 세션 구분용
+    req.sessionPublicId = session.publicId;
+
+    next();
+}
+
+/**
+ * 현재 회원가입 모드 조회
+ * @returns {Promise<string>} open | invite | approval | closed
+ */
+async function getRegistrationMode() {
+    const [rows] = await pool.execute(
+        `SELECT setting_value FROM system_settings WHERE setting_key = 'registration_mode'`
+    );
+
+    if (rows.length && REGISTRATION_MODES.includes(rows[0].setting_value)) {
+        return rows[0].setting_value;
+    }
+
+    return DEFAULT_REGISTRATION_MODE;
+}
+
+/**
+ * 회원가입 모드 변경
+ * @param {string} mode - REGISTRATION_MODES 중 하나
+ * @param {number} userId - 변경한 관리자 ID
+ */
+async function setRegistrationMode(mode, userId) {
+    await pool.execute(
+        `INSERT INTO system_settings (setting_key, setting_value, updated_by, updated_at)
+         VALUES ('registration_mode', ?, ?, ?)
+         ON DUPLICATE KEY UPDATE setting_value = VALUES(setting_value),
+                                 updated_by = VALUES(updated_by),
+                                 updated_at = VALUES(updated_at)`,
+        [mode, userId, formatDateForDb(new Date())]
+    );
+}
+
+/**
+ * 관리자 전용 API용 미들웨어 (authMiddleware 뒤에 사용)
+ */
+function adminMiddleware(req, res, next) {
+    if (!req.user || !req.user.isAdmin) {
+        console.warn(`[관리자 권한 없음] ${req.method} ${req.path} - 사용자 ID: ${req.user ? req.user.id : '없음'}, IP: ${req.ip}`);
+        return res.status(403).json({ error: "관리자 권한이 필요합니다." });
+    }
 
     next();
 }
@@ -776,7 +1969,13 @@ function csrfMiddleware(req, res, next) {
         return next();
     }
 
-    // 로그인/회원가입/2FA 검증은 CSRF 토큰 없이도 허용 (첫 접속 시)
+    // API 토큰 요청은 쿠키 세션을 사용하지 않으므로 CSRF 검증 불필요
+    // (브라우저는 다른 출처에서 Authorization 헤더를 임의로 붙일 수 없음)
+    if (getBearerToken(req)) {
+        return next();
+    }
+
+    // 로그인/회원가입/2FA 검증/비밀번호 재설정은 CSRF 토큰 없이도 허용 (첫 접속 시)
     // 참고: app.use("/api", csrfMiddleware)로 적용되므로 req.path는 /api 이후 경로
     if (req.path === "/auth/login" ||
         req.path === "/auth/register" ||
@@ -787,7 +1986,8 @@ function csrfMiddleware(req, res, next) {
         req.path === "/passkey/login/options" ||
         req.path === "/passkey/login/verify" ||
         req.path === "/passkey/login/userless/options" ||
-        req.path === "/passkey/login/userless/verify") {
+        req.path === "/passkey/login/userless/verify" ||
+        req.path.startsWith("/password-reset/")) {
         return next();
     }
 
@@ -819,7 +2019,10 @@ async function initDb() {
             passkey_enabled TINYINT(1) NOT NULL DEFAULT 0,
             block_duplicate_login TINYINT(1) NOT NULL DEFAULT 0,
             country_whitelist_enabled TINYINT(1) NOT NULL DEFAULT 0,
-            allowed_login_countries TEXT NULL
+            allowed_login_countries TEXT NULL,
+            is_admin TINYINT(1) NOT NULL DEFAULT 0,
+            is_disabled TINYINT(1) NOT NULL DEFAULT 0,
+            notification_preferences TEXT NULL
         ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
     `);
 
@@ -852,6 +2055,36 @@ async function initDb() {
 
     // (TOTP 컬럼들은 이제 CREATE TABLE에 포함됨)
 
+    // 관리자 권한 / 계정 비활성화 컬럼 추가 (마이그레이션)
+    for (const column of ["is_admin", "is_disabled"]) {
+        try {
+            await pool.execute(`
+                ALTER TABLE users
+                ADD COLUMN ${column} TINYINT(1) NOT NULL DEFAULT 0
+            `);
+            console.log(`✓ ${column} 컬럼 추가됨`);
+        } catch (error) {
+            // 컬럼이 이미 존재하면 무시
+            if (error.code !== 'ER_DUP_FIELDNAME') {
+                console.error(`${column} 컬럼 추가 오류:`, error.message);
+            }
+        }
+    }
+
+    // 알림 설정 컬럼 추가 (마이그레이션)
+    try {
+        await pool.execute(`
+            ALTER TABLE users
+            ADD COLUMN notification_preferences TEXT NULL
+        `);
+        console.log('✓ notification_preferences 컬럼 추가됨');
+    } catch (error) {
+        // 컬럼이 이미 존재하면 무시
+        if (error.code !== 'ER_DUP_FIELDNAME') {
+            console.error('notification_preferences 컬럼 추가 오류:', error.message);
+        }
+    }
+
     // users 가 하나도 없으면 기본 관리자 계정 생성
     const [userRows] = await pool.execute("SELECT COUNT(*) AS cnt FROM users");
     const userCount = userRows[0].cnt;
@@ -868,13 +2101,26 @@ async function initDb() {
 
         await pool.execute(
             `
-            INSERT INTO users (username, password_hash, created_at, updated_at)
-            VALUES (?, ?, ?, ?)
+            INSERT INTO users (username, password_hash, is_admin, created_at, updated_at)
+            VALUES (?, ?, 1, ?, ?)
             `,
             [username, passwordHash, nowStr, nowStr]
         );
 
         console.log("기본 관리자 계정 생성 완료. username:", username);
+    } else {
+        // 관리자가 없는 기존 설치: 기본 관리자 계정(없으면 가장 먼저 만든 계정)에 관리자 권한 부여
+        const [adminRows] = await pool.execute("SELECT COUNT(*) AS cnt FROM users WHERE is_admin = 1");
+        if (adminRows[0].cnt === 0) {
+            const [candidates] = await pool.execute(
+                `SELECT id, username FROM users
+                 ORDER BY (username = ?) DESC, id ASC
+                 LIMIT 1`,
+                [DEFAULT_ADMIN_USERNAME]
+            );
+            await pool.execute("UPDATE users SET is_admin = 1 WHERE id = ?", [candidates[0].id]);
+            console.log("관리자 권한 부여 완료. username:", candidates[0].username);
+        }
     }
 
     // collections 테이블 생성 (users 테이블 생성 후)
@@ -960,34 +2206,140 @@ async function initDb() {
         }
     }
 
-    // (페이지 관련 컬럼들은 이제 CREATE TABLE에 포함됨)
-
-    // collection_shares 테이블 생성 (사용자 간 직접 공유)
+    // (페이지 관련 컬럼들은 이제 CREATE TABLE에 포함됨)
+
+    // 휴지통(소프트 삭제) 컬럼 추가 (마이그레이션)
+    // - deleted_at: 휴지통으로 이동한 시각 (NULL이면 정상 상태)
+    // - deleted_by: 삭제한 사용자
+    // - trash_root_id: 함께 삭제된 하위 트리의 루트 페이지 ID (복원 단위)
+    const trashColumns = [
+        { table: 'pages', column: 'deleted_at', definition: 'DATETIME NULL' },
+        { table: 'pages', column: 'deleted_by', definition: 'INT NULL' },
+        { table: 'pages', column: 'trash_root_id', definition: 'VARCHAR(64) NULL' },
+        { table: 'collections', column: 'deleted_at', definition: 'DATETIME NULL' },
+        { table: 'collections', column: 'deleted_by', definition: 'INT NULL' }
+    ];
+
+    for (const { table, column, definition } of trashColumns) {
+        try {
+            await pool.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+            console.log(`✓ ${table}.${column} 컬럼 추가됨`);
+        } catch (error) {
+            // 컬럼이 이미 존재하면 무시
+            if (error.code !== 'ER_DUP_FIELDNAME') {
+                console.error(`${table}.${column} 컬럼 추가 오류:`, error.message);
+            }
+        }
+    }
+
+    // 전문 검색용 평문 컬럼 추가 (마이그레이션)
+    // - content_text: 태그를 제거한 본문 (암호화 페이지는 항상 빈 문자열)
+    try {
+        await pool.execute(`ALTER TABLE pages ADD COLUMN content_text MEDIUMTEXT NULL`);
+        console.log('✓ pages.content_text 컬럼 추가됨');
+    } catch (error) {
+        // 컬럼이 이미 존재하면 무시
+        if (error.code !== 'ER_DUP_FIELDNAME') {
+            console.error('pages.content_text 컬럼 추가 오류:', error.message);
+        }
+    }
+
+    // 기존 페이지의 검색용 평문 채우기 (content_text가 비어 있는 페이지만)
+    await pool.execute(`UPDATE pages SET content_text = '' WHERE content_text IS NULL AND is_encrypted = 1`);
+    while (true) {
+        const [rows] = await pool.execute(
+            `SELECT id, content FROM pages WHERE content_text IS NULL LIMIT 200`
+        );
+        if (!rows.length) break;
+
+        for (const row of rows) {
+            await pool.execute(
+                `UPDATE pages SET content_text = ? WHERE id = ?`,
+                [htmlToPlainText(row.content), row.id]
+            );
+        }
+        console.log(`✓ 검색용 평문 ${rows.length}개 페이지 갱신`);
+    }
+
+    // collection_shares 테이블 생성 (사용자 간 직접 공유)
+    await pool.execute(`
+        CREATE TABLE IF NOT EXISTS collection_shares (
+            id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+            collection_id VARCHAR(64) NOT NULL,
+            owner_user_id INT NOT NULL,
+            shared_with_user_id INT NOT NULL,
+            permission VARCHAR(20) NOT NULL DEFAULT 'READ',
+            created_at DATETIME NOT NULL,
+            updated_at DATETIME NOT NULL,
+            CONSTRAINT fk_collection_shares_collection
+                FOREIGN KEY (collection_id)
+                REFERENCES collections(id)
+                ON DELETE CASCADE,
+            CONSTRAINT fk_collection_shares_owner
+                FOREIGN KEY (owner_user_id)
+                REFERENCES users(id)
+                ON DELETE CASCADE,
+            CONSTRAINT fk_collection_shares_shared_with
+                FOREIGN KEY (shared_with_user_id)
+                REFERENCES users(id)
+                ON DELETE CASCADE,
+            CONSTRAINT uc_collection_shares_unique
+                UNIQUE (collection_id, shared_with_user_id),
+            INDEX idx_shared_with_user (shared_with_user_id),
+            INDEX idx_collection_permission (collection_id, permission)
+        ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+    `);
+
+    // 컬렉션 키 컬럼 추가 (마이그레이션)
+    // - encryption_key_encrypted: 컬렉션 비밀번호로 감싼 컬렉션 키 (서버는 평문 키를 알 수 없음)
+    try {
+        await pool.execute(`ALTER TABLE collections ADD COLUMN encryption_key_encrypted TEXT NULL`);
+        console.log('✓ collections.encryption_key_encrypted 컬럼 추가됨');
+    } catch (error) {
+        // 컬럼이 이미 존재하면 무시
+        if (error.code !== 'ER_DUP_FIELDNAME') {
+            console.error('collections.encryption_key_encrypted 컬럼 추가 오류:', error.message);
+        }
+    }
+
+    // collection_encryption_keys 테이블 생성 (공유받은 사용자별 컬렉션 키)
     await pool.execute(`
-        CREATE TABLE IF NOT EXISTS collection_shares (
+        CREATE TABLE IF NOT EXISTS collection_encryption_keys (
             id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
             collection_id VARCHAR(64) NOT NULL,
-            owner_user_id INT NOT NULL,
-            shared_with_user_id INT NOT NULL,
-            permission VARCHAR(20) NOT NULL DEFAULT 'READ',
+            user_id INT NOT NULL,
+            encrypted_key TEXT NOT NULL,
             created_at DATETIME NOT NULL,
             updated_at DATETIME NOT NULL,
-            CONSTRAINT fk_collection_shares_collection
+            CONSTRAINT fk_collection_encryption_keys_collection
                 FOREIGN KEY (collection_id)
                 REFERENCES collections(id)
                 ON DELETE CASCADE,
-            CONSTRAINT fk_collection_shares_owner
-                FOREIGN KEY (owner_user_id)
+            CONSTRAINT fk_collection_encryption_keys_user
+                FOREIGN KEY (user_id)
                 REFERENCES users(id)
                 ON DELETE CASCADE,
-            CONSTRAINT fk_collection_shares_shared_with
-                FOREIGN KEY (shared_with_user_id)
-                REFERENCES users(id)
+            CONSTRAINT uc_collection_encryption_keys_unique
+                UNIQUE (collection_id, user_id)
+        ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+    `);
+
+    // collection_search_indexes 테이블 생성 (암호화 컬렉션 검색 색인)
+    // 클라이언트가 컬렉션 키로 암호화한 색인만 저장하며, 서버는 내용을 알 수 없음
+    await pool.execute(`
+        CREATE TABLE IF NOT EXISTS collection_search_indexes (
+            collection_id VARCHAR(64) NOT NULL PRIMARY KEY,
+            encrypted_index MEDIUMTEXT NOT NULL,
+            updated_by INT NULL,
+            updated_at DATETIME NOT NULL,
+            CONSTRAINT fk_collection_search_indexes_collection
+                FOREIGN KEY (collection_id)
+                REFERENCES collections(id)
                 ON DELETE CASCADE,
-            CONSTRAINT uc_collection_shares_unique
-                UNIQUE (collection_id, shared_with_user_id),
-            INDEX idx_shared_with_user (shared_with_user_id),
-            INDEX idx_collection_permission (collection_id, permission)
+            CONSTRAINT fk_collection_search_indexes_user
+                FOREIGN KEY (updated_by)
+                REFERENCES users(id)
+                ON DELETE SET NULL
         ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
     `);
 
@@ -1073,6 +2425,220 @@ async function initDb() {
         ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
     `);
 
+    // sessions 테이블 생성 (로그인 세션 저장)
+    // - id_hash: 쿠키 세션 ID의 SHA-256 해시 (원본 ID는 저장하지 않음)
+    // - is_pending: 2FA 검증 대기 중인 임시 세션
+    // - public_id: 세션 목록/원격 로그아웃 API에서 사용하는 공개 ID
+    // - data: 세션별 부가 데이터 (JSON, 예: TOTP 설정 중 임시 시크릿)
+    await pool.execute(`
+        CREATE TABLE IF NOT EXISTS sessions (
+            id_hash CHAR(64) NOT NULL PRIMARY KEY,
+            public_id VARCHAR(32) NOT NULL UNIQUE,
+            user_id INT NOT NULL,
+            is_pending TINYINT(1) NOT NULL DEFAULT 0,
+            ip_address VARCHAR(45) NULL,
+            user_agent TEXT NULL,
+            data TEXT NULL,
+            created_at DATETIME NOT NULL,
+            last_seen_at DATETIME NOT NULL,
+            expires_at DATETIME NOT NULL,
+            absolute_expires_at DATETIME NOT NULL,
+            CONSTRAINT fk_sessions_user
+                FOREIGN KEY (user_id)
+                REFERENCES users(id)
+                ON DELETE CASCADE,
+            INDEX idx_sessions_user (user_id, is_pending),
+            INDEX idx_sessions_expires (expires_at),
+            INDEX idx_sessions_absolute_expires (absolute_expires_at)
+        ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+    `);
+
+    // 세션 목록용 컬럼 추가 (마이그레이션)
+    for (const { column, definition } of [
+        { column: "ip_address", definition: "VARCHAR(45) NULL" },
+        { column: "user_agent", definition: "TEXT NULL" }
+    ]) {
+        try {
+            await pool.execute(`ALTER TABLE sessions ADD COLUMN ${column} ${definition}`);
+            console.log(`✓ sessions.${column} 컬럼 추가됨`);
+        } catch (error) {
+            // 컬럼이 이미 존재하면 무시
+            if (error.code !== 'ER_DUP_FIELDNAME') {
+                console.error(`sessions.${column} 컬럼 추가 오류:`, error.message);
+            }
+        }
+    }
+
+    // 공개 ID는 기존 세션에 값을 채운 뒤 NOT NULL / UNIQUE로 변경
+    try {
+        await pool.execute(`ALTER TABLE sessions ADD COLUMN public_id VARCHAR(32) NULL AFTER id_hash`);
+
+        const [sessionRows] = await pool.execute(`SELECT id_hash FROM sessions WHERE public_id IS NULL`);
+        for (const row of sessionRows) {
+            await pool.execute(
+                `UPDATE sessions SET public_id = ? WHERE id_hash = ?`,
+                [crypto.randomBytes(16).toString("hex"), row.id_hash]
+            );
+        }
+
+        await pool.execute(`
+            ALTER TABLE sessions
+            MODIFY public_id VARCHAR(32) NOT NULL,
+            ADD UNIQUE KEY public_id (public_id)
+        `);
+        console.log('✓ sessions.public_id 컬럼 추가됨');
+    } catch (error) {
+        // 컬럼이 이미 존재하면 무시
+        if (error.code !== 'ER_DUP_FIELDNAME') {
+            console.error('sessions.public_id 컬럼 추가 오류:', error.message);
+        }
+    }
+
+    // admin_audit_logs 테이블 생성 (관리자 작업 기록)
+    // - 대상 사용자가 삭제되어도 기록은 남도록 사용자명을 함께 저장
+    await pool.execute(`
+        CREATE TABLE IF NOT EXISTS admin_audit_logs (
+            id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+            admin_user_id INT NULL,
+            admin_username VARCHAR(64) NOT NULL,
+            action VARCHAR(50) NOT NULL,
+            target_user_id INT NULL,
+            target_username VARCHAR(64) NULL,
+            details TEXT NULL,
+            ip_address VARCHAR(45) NULL,
+            created_at DATETIME NOT NULL,
+            CONSTRAINT fk_admin_audit_logs_admin
+                FOREIGN KEY (admin_user_id)
+                REFERENCES users(id)
+                ON DELETE SET NULL,
+            INDEX idx_admin_audit_logs_created (created_at),
+            INDEX idx_admin_audit_logs_target (target_user_id)
+        ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+    `);
+
+    // audit_events 테이블 생성 (보안 감사 이벤트, 해시 체인으로 변조 감지)
+    // - 계정이 삭제되어도 기록이 남도록 users에 대한 외래 키를 두지 않음
+    // - hash = SHA-256(prev_hash + 이벤트 값), 첫 이벤트의 prev_hash는 0 64자리
+    await pool.execute(`
+        CREATE TABLE IF NOT EXISTS audit_events (
+            id BIGINT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NULL,
+            username VARCHAR(64) NULL,
+            actor_user_id INT NULL,
+            actor_username VARCHAR(64) NULL,
+            event_type VARCHAR(50) NOT NULL,
+            target_type VARCHAR(30) NULL,
+            target_id VARCHAR(64) NULL,
+            details TEXT NULL,
+            ip_address VARCHAR(45) NULL,
+            user_agent TEXT NULL,
+            created_at DATETIME NOT NULL,
+            prev_hash CHAR(64) NOT NULL,
+            hash CHAR(64) NOT NULL,
+            INDEX idx_audit_events_user (user_id, created_at),
+            INDEX idx_audit_events_type (event_type),
+            INDEX idx_audit_events_created (created_at)
+        ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+    `);
+
+    // system_settings 테이블 생성 (관리자가 변경하는 서버 전체 설정)
+    await pool.execute(`
+        CREATE TABLE IF NOT EXISTS system_settings (
+            setting_key VARCHAR(64) NOT NULL PRIMARY KEY,
+            setting_value TEXT NULL,
+            updated_by INT NULL,
+            updated_at DATETIME NOT NULL,
+            CONSTRAINT fk_system_settings_user
+                FOREIGN KEY (updated_by)
+                REFERENCES users(id)
+                ON DELETE SET NULL
+        ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+    `);
+
+    // invite_codes 테이블 생성 (회원가입 초대 코드)
+    // - max_uses가 NULL이면 사용 횟수 무제한, expires_at이 NULL이면 만료 없음
+    await pool.execute(`
+        CREATE TABLE IF NOT EXISTS invite_codes (
+            id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+            code VARCHAR(64) NOT NULL UNIQUE,
+            note VARCHAR(100) NULL,
+            created_by INT NULL,
+            max_uses INT NULL,
+            use_count INT NOT NULL DEFAULT 0,
+            expires_at DATETIME NULL,
+            is_active TINYINT(1) NOT NULL DEFAULT 1,
+            created_at DATETIME NOT NULL,
+            CONSTRAINT fk_invite_codes_creator
+                FOREIGN KEY (created_by)
+                REFERENCES users(id)
+                ON DELETE SET NULL,
+            INDEX idx_invite_codes_created (created_at)
+        ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+    `);
+
+    // pending_registrations 테이블 생성 (관리자 승인 대기 중인 가입 신청)
+    // - 승인되면 users로 옮기고 삭제, 거절되면 삭제
+    await pool.execute(`
+        CREATE TABLE IF NOT EXISTS pending_registrations (
+            id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+            username VARCHAR(64) NOT NULL UNIQUE,
+            password_hash VARCHAR(255) NOT NULL,
+            ip_address VARCHAR(45) NULL,
+            user_agent TEXT NULL,
+            created_at DATETIME NOT NULL,
+            INDEX idx_pending_registrations_created (created_at)
+        ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+    `);
+
+    // password_reset_tokens 테이블 생성 (관리자가 발급한 비밀번호 재설정 링크)
+    // - 링크 원문은 발급 시 한 번만 보여주고 SHA-256 해시만 저장
+    // - used_at이 설정되면 다시 사용할 수 없음
+    await pool.execute(`
+        CREATE TABLE IF NOT EXISTS password_reset_tokens (
+            id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            token_hash CHAR(64) NOT NULL UNIQUE,
+            created_by INT NULL,
+            expires_at DATETIME NOT NULL,
+            used_at DATETIME NULL,
+            created_at DATETIME NOT NULL,
+            CONSTRAINT fk_password_reset_tokens_user
+                FOREIGN KEY (user_id)
+                REFERENCES users(id)
+                ON DELETE CASCADE,
+            CONSTRAINT fk_password_reset_tokens_creator
+                FOREIGN KEY (created_by)
+                REFERENCES users(id)
+                ON DELETE SET NULL,
+            INDEX idx_password_reset_tokens_user (user_id)
+        ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+    `);
+
+    // api_tokens 테이블 생성 (개인 API 토큰)
+    // - 토큰 원문은 발급 시 한 번만 보여주고 SHA-256 해시만 저장
+    // - scope: read(조회만) | write(조회 + 수정)
+    // - collection_ids가 NULL이면 접근 가능한 모든 컬렉션, 아니면 JSON 배열의 컬렉션만 허용
+    await pool.execute(`
+        CREATE TABLE IF NOT EXISTS api_tokens (
+            id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            name VARCHAR(100) NOT NULL,
+            token_prefix VARCHAR(16) NOT NULL,
+            token_hash CHAR(64) NOT NULL UNIQUE,
+            scope VARCHAR(10) NOT NULL DEFAULT 'read',
+            collection_ids TEXT NULL,
+            expires_at DATETIME NULL,
+            last_used_at DATETIME NULL,
+            last_used_ip VARCHAR(45) NULL,
+            created_at DATETIME NOT NULL,
+            CONSTRAINT fk_api_tokens_user
+                FOREIGN KEY (user_id)
+                REFERENCES users(id)
+                ON DELETE CASCADE,
+            INDEX idx_api_tokens_user (user_id)
+        ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+    `);
+
     // 페이지 발행 링크 테이블
     await pool.execute(`
         CREATE TABLE IF NOT EXISTS page_publish_links (
@@ -1121,6 +2687,236 @@ async function initDb() {
         ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
     `);
 
+    // page_revisions 테이블 생성 (페이지 버전 기록)
+    // reason: 'auto' (실시간 협업 중 주기적 스냅샷), 'save' (명시적 저장), 'restore' (복원 직전 상태)
+    await pool.execute(`
+        CREATE TABLE IF NOT EXISTS page_revisions (
+            id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+            page_id VARCHAR(64) NOT NULL,
+            user_id INT NULL,
+            title VARCHAR(255) NOT NULL,
+            content MEDIUMTEXT NOT NULL,
+            icon VARCHAR(100) NULL,
+            reason VARCHAR(20) NOT NULL DEFAULT 'auto',
+            created_at DATETIME NOT NULL,
+            INDEX idx_page_revisions_page (page_id, created_at DESC),
+            CONSTRAINT fk_page_revisions_page
+                FOREIGN KEY (page_id)
+                REFERENCES pages(id)
+                ON DELETE CASCADE,
+            CONSTRAINT fk_page_revisions_user
+                FOREIGN KEY (user_id)
+                REFERENCES users(id)
+                ON DELETE SET NULL
+        ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+    `);
+
+    // page_yjs_state 테이블 생성 (실시간 협업 문서의 Yjs 스냅샷, Y.encodeStateAsUpdate)
+    await pool.execute(`
+        CREATE TABLE IF NOT EXISTS page_yjs_state (
+            page_id VARCHAR(64) NOT NULL PRIMARY KEY,
+            state LONGBLOB NOT NULL,
+            updated_at DATETIME NOT NULL,
+            CONSTRAINT fk_page_yjs_state_page
+                FOREIGN KEY (page_id)
+                REFERENCES pages(id)
+                ON DELETE CASCADE
+        ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+    `);
+
+    // page_yjs_updates 테이블 생성 (스냅샷 이후의 Yjs 업데이트, 주기적으로 스냅샷에 병합)
+    await pool.execute(`
+        CREATE TABLE IF NOT EXISTS page_yjs_updates (
+            id BIGINT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+            page_id VARCHAR(64) NOT NULL,
+            update_data LONGBLOB NOT NULL,
+            created_at DATETIME NOT NULL,
+            INDEX idx_page_yjs_updates_page (page_id, id),
+            CONSTRAINT fk_page_yjs_updates_page
+                FOREIGN KEY (page_id)
+                REFERENCES pages(id)
+                ON DELETE CASCADE
+        ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+    `);
+
+    // page_links 테이블 생성 (페이지 멘션으로 연결된 페이지 관계, 백링크 조회용)
+    await pool.execute(`
+        CREATE TABLE IF NOT EXISTS page_links (
+            source_page_id VARCHAR(64) NOT NULL,
+            target_page_id VARCHAR(64) NOT NULL,
+            created_at DATETIME NOT NULL,
+            PRIMARY KEY (source_page_id, target_page_id),
+            INDEX idx_page_links_target (target_page_id),
+            CONSTRAINT fk_page_links_source
+                FOREIGN KEY (source_page_id)
+                REFERENCES pages(id)
+                ON DELETE CASCADE,
+            CONSTRAINT fk_page_links_target
+                FOREIGN KEY (target_page_id)
+                REFERENCES pages(id)
+                ON DELETE CASCADE
+        ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+    `);
+
+    // page_tags 테이블 생성 (페이지 태그, 태그 이름은 대소문자 구분 없이 페이지당 하나)
+    await pool.execute(`
+        CREATE TABLE IF NOT EXISTS page_tags (
+            page_id VARCHAR(64) NOT NULL,
+            name VARCHAR(50) NOT NULL,
+            created_by INT NULL,
+            created_at DATETIME NOT NULL,
+            PRIMARY KEY (page_id, name),
+            INDEX idx_page_tags_name (name),
+            CONSTRAINT fk_page_tags_page
+                FOREIGN KEY (page_id)
+                REFERENCES pages(id)
+                ON DELETE CASCADE,
+            CONSTRAINT fk_page_tags_user
+                FOREIGN KEY (created_by)
+                REFERENCES users(id)
+                ON DELETE SET NULL
+        ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+    `);
+
+    // page_comments 테이블 생성 (페이지 댓글 스레드)
+    // - thread_id: NULL이면 스레드의 첫 댓글, 답글은 첫 댓글의 ID
+    // - quote: 댓글을 단 본문 텍스트 (첫 댓글만, 본문에는 comment 마크로 위치 표시)
+    // - mentions: 멘션된 사용자 ID JSON 배열
+    // - resolved_at/resolved_by: 스레드 해결 상태 (첫 댓글에만 기록)
+    await pool.execute(`
+        CREATE TABLE IF NOT EXISTS page_comments (
+            id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+            page_id VARCHAR(64) NOT NULL,
+            thread_id INT NULL,
+            user_id INT NULL,
+            content TEXT NOT NULL,
+            quote VARCHAR(500) NULL,
+            mentions TEXT NULL,
+            resolved_at DATETIME NULL,
+            resolved_by INT NULL,
+            created_at DATETIME NOT NULL,
+            updated_at DATETIME NOT NULL,
+            INDEX idx_page_comments_page (page_id, thread_id, created_at),
+            CONSTRAINT fk_page_comments_page
+                FOREIGN KEY (page_id)
+                REFERENCES pages(id)
+                ON DELETE CASCADE,
+            CONSTRAINT fk_page_comments_thread
+                FOREIGN KEY (thread_id)
+                REFERENCES page_comments(id)
+                ON DELETE CASCADE,
+            CONSTRAINT fk_page_comments_user
+                FOREIGN KEY (user_id)
+                REFERENCES users(id)
+                ON DELETE SET NULL,
+            CONSTRAINT fk_page_comments_resolved_by
+                FOREIGN KEY (resolved_by)
+                REFERENCES users(id)
+                ON DELETE SET NULL
+        ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+    `);
+
+    // notifications 테이블 생성 (알림 센터)
+    // - type: NOTIFICATION_TYPES 중 하나, data: 종류별 부가 정보 JSON (컬렉션/페이지/댓글/로그인 위치 등)
+    // - actor_username: 알림을 발생시킨 사용자 이름 (계정이 삭제되어도 표시할 수 있도록 저장)
+    await pool.execute(`
+        CREATE TABLE IF NOT EXISTS notifications (
+            id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            type VARCHAR(40) NOT NULL,
+            actor_user_id INT NULL,
+            actor_username VARCHAR(64) NULL,
+            data TEXT NULL,
+            read_at DATETIME NULL,
+            created_at DATETIME NOT NULL,
+            INDEX idx_notifications_user (user_id, created_at),
+            INDEX idx_notifications_unread (user_id, read_at),
+            CONSTRAINT fk_notifications_user
+                FOREIGN KEY (user_id)
+                REFERENCES users(id)
+                ON DELETE CASCADE,
+            CONSTRAINT fk_notifications_actor
+                FOREIGN KEY (actor_user_id)
+                REFERENCES users(id)
+                ON DELETE SET NULL
+        ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+    `);
+
+    // page_templates 테이블 생성 (템플릿으로 지정된 페이지)
+    // - scope USER: 지정한 사용자만 사용 가능
+    // - scope COLLECTION: 해당 컬렉션에 접근 가능한 모든 사용자가 사용 가능
+    await pool.execute(`
+        CREATE TABLE IF NOT EXISTS page_templates (
+            page_id VARCHAR(64) NOT NULL PRIMARY KEY,
+            scope VARCHAR(20) NOT NULL,
+            user_id INT NOT NULL,
+            created_at DATETIME NOT NULL,
+            INDEX idx_page_templates_user (user_id, scope),
+            CONSTRAINT fk_page_templates_page
+                FOREIGN KEY (page_id)
+                REFERENCES pages(id)
+                ON DELETE CASCADE,
+            CONSTRAINT fk_page_templates_user
+                FOREIGN KEY (user_id)
+                REFERENCES users(id)
+                ON DELETE CASCADE
+        ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+    `);
+
+    // webhooks 테이블 생성 (컬렉션 이벤트를 외부 URL로 전송)
+    // - secret은 HMAC 서명에 원문이 필요하므로 해시하지 않고 저장
+    // - events: 구독할 이벤트 종류 JSON 배열
+    await pool.execute(`
+        CREATE TABLE IF NOT EXISTS webhooks (
+            id INT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+            collection_id VARCHAR(64) NOT NULL,
+            created_by INT NULL,
+            url VARCHAR(2048) NOT NULL,
+            secret VARCHAR(64) NOT NULL,
+            events TEXT NOT NULL,
+            is_active TINYINT(1) NOT NULL DEFAULT 1,
+            created_at DATETIME NOT NULL,
+            updated_at DATETIME NOT NULL,
+            CONSTRAINT fk_webhooks_collection
+                FOREIGN KEY (collection_id)
+                REFERENCES collections(id)
+                ON DELETE CASCADE,
+            CONSTRAINT fk_webhooks_user
+                FOREIGN KEY (created_by)
+                REFERENCES users(id)
+                ON DELETE SET NULL,
+            INDEX idx_webhooks_collection (collection_id, is_active)
+        ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+    `);
+
+    // webhook_deliveries 테이블 생성 (웹훅 전송 대기열 + 전송 기록)
+    // - status: pending(전송 대기/재시도 대기) | success | failed(재시도 모두 실패)
+    // - resource_id: page.updated 연속 이벤트를 하나로 묶을 때 사용하는 페이지 ID
+    await pool.execute(`
+        CREATE TABLE IF NOT EXISTS webhook_deliveries (
+            id BIGINT NOT NULL AUTO_INCREMENT PRIMARY KEY,
+            webhook_id INT NOT NULL,
+            event_id CHAR(36) NOT NULL,
+            event_type VARCHAR(50) NOT NULL,
+            resource_id VARCHAR(64) NULL,
+            payload MEDIUMTEXT NOT NULL,
+            status VARCHAR(10) NOT NULL DEFAULT 'pending',
+            attempt_count INT NOT NULL DEFAULT 0,
+            next_attempt_at DATETIME NULL,
+            last_attempt_at DATETIME NULL,
+            response_status INT NULL,
+            response_body TEXT NULL,
+            error_message VARCHAR(500) NULL,
+            created_at DATETIME NOT NULL,
+            CONSTRAINT fk_webhook_deliveries_webhook
+                FOREIGN KEY (webhook_id)
+                REFERENCES webhooks(id)
+                ON DELETE CASCADE,
+            INDEX idx_webhook_deliveries_queue (status, next_attempt_at),
+            INDEX idx_webhook_deliveries_webhook (webhook_id, created_at)
+        ) CHARACTER SET utf8mb4 COLLATE utf8mb4_unicode_ci
+    `);
+
     // ============================================================
     // E2EE 시스템 재설계: 선택적 암호화 (마스터 키 시스템 제거)
     // ============================================================
@@ -1141,36 +2937,63 @@ async function initDb() {
             CREATE INDEX IF NOT EXISTS idx_pages_collection_user
             ON pages(collection_id, user_id)
         `);
-        console.log('✓ pages.collection_id, user_id 인덱스 생성 완료');
+        console.log('✓ pages.collection_id, user_id 인덱스 생성 완료');
+    } catch (error) {
+        if (error.code !== 'ER_DUP_KEYNAME') {
+            console.warn('pages 인덱스 생성 중 경고:', error.message);
+        }
+    }
+
+    // pages 테이블 인덱스 (사용자별 최신 페이지 조회 최적화)
+    try {
+        await pool.execute(`
+            CREATE INDEX IF NOT EXISTS idx_pages_user_updated
+            ON pages(user_id, updated_at DESC)
+        `);
+        console.log('✓ pages.user_id, updated_at 인덱스 생성 완료');
+    } catch (error) {
+        if (error.code !== 'ER_DUP_KEYNAME') {
+            console.warn('pages 인덱스 생성 중 경고:', error.message);
+        }
+    }
+
+    // pages 테이블 인덱스 (하위 페이지 정렬 최적화)
+    try {
+        await pool.execute(`
+            CREATE INDEX IF NOT EXISTS idx_pages_parent_sort
+            ON pages(parent_id, sort_order)
+        `);
+        console.log('✓ pages.parent_id, sort_order 인덱스 생성 완료');
     } catch (error) {
         if (error.code !== 'ER_DUP_KEYNAME') {
             console.warn('pages 인덱스 생성 중 경고:', error.message);
         }
     }
 
-    // pages 테이블 인덱스 (사용자별 최신 페이지 조회 최적화)
+    // 휴지통 인덱스 (만료 항목 정리 및 복원 단위 조회 최적화)
     try {
         await pool.execute(`
-            CREATE INDEX IF NOT EXISTS idx_pages_user_updated
-            ON pages(user_id, updated_at DESC)
+            CREATE INDEX IF NOT EXISTS idx_pages_trash
+            ON pages(trash_root_id, deleted_at)
         `);
-        console.log('✓ pages.user_id, updated_at 인덱스 생성 완료');
+        console.log('✓ pages.trash_root_id, deleted_at 인덱스 생성 완료');
     } catch (error) {
         if (error.code !== 'ER_DUP_KEYNAME') {
             console.warn('pages 인덱스 생성 중 경고:', error.message);
         }
     }
 
-    // pages 테이블 인덱스 (하위 페이지 정렬 최적화)
+    // 전문 검색 인덱스 (ngram 파서로 한국어 부분 일치 지원)
+    // FULLTEXT 인덱스는 IF NOT EXISTS를 지원하지 않으므로 중복 오류를 무시
     try {
         await pool.execute(`
-            CREATE INDEX IF NOT EXISTS idx_pages_parent_sort
-            ON pages(parent_id, sort_order)
+            CREATE FULLTEXT INDEX ft_pages_search
+            ON pages(title, content_text) WITH PARSER ngram
         `);
-        console.log('✓ pages.parent_id, sort_order 인덱스 생성 완료');
+        console.log('✓ pages.title, content_text 전문 검색 인덱스 생성 완료');
     } catch (error) {
         if (error.code !== 'ER_DUP_KEYNAME') {
-            console.warn('pages 인덱스 생성 중 경고:', error.message);
+            console.warn('pages 전문 검색 인덱스 생성 중 경고:', error.message);
         }
     }
 
@@ -1251,8 +3074,9 @@ async function getNextCollectionSortOrder(userId) {
  */
 async function getCollectionPermission(collectionId, userId) {
     // 1. 소유자 확인
+    // 휴지통에 있는 컬렉션은 권한 없음으로 처리
     const [ownerRows] = await pool.execute(
-        `SELECT id FROM collections WHERE id = ? AND user_id = ?`,
+        `SELECT id FROM collections WHERE id = ? AND user_id = ? AND deleted_at IS NULL`,
         [collectionId, userId]
     );
 
@@ -1262,8 +3086,9 @@ async function getCollectionPermission(collectionId, userId) {
 
     // 2. 직접 공유 확인
     const [shareRows] = await pool.execute(
-        `SELECT permission FROM collection_shares
-         WHERE collection_id = ? AND shared_with_user_id = ?`,
+        `SELECT cs.permission FROM collection_shares cs
+         JOIN collections c ON cs.collection_id = c.id
+         WHERE cs.collection_id = ? AND cs.shared_with_user_id = ? AND c.deleted_at IS NULL`,
         [collectionId, userId]
     );
 
@@ -1331,6 +3156,207 @@ async function createCollection({ userId, name }) {
     };
 }
 
+/**
+ * 페이지에서 이미지 URL 추출
+ * @param {Object} page - 페이지 객체 (content, cover_image 포함)
+ * @returns {Array<string>} - 이미지 경로 배열 (예: ["1/abc.jpg", "1/xyz.png"])
+ */
+function extractImagesFromPage(page) {
+    const images = [];
+
+    // 1. content에서 <img> 태그의 src 추출
+    if (page.content) {
+        const imgRegex = /<img[^>]+src=["']\/imgs\/([^"']+)["']/g;
+        let match;
+        while ((match = imgRegex.exec(page.content)) !== null) {
+            images.push(match[1]); // "userId/filename.jpg"
+        }
+    }
+
+    // 2. cover_image 추가
+    if (page.cover_image) {
+        images.push(page.cover_image); // "userId/filename.jpg"
+    }
+
+    return images;
+}
+
+/**
+ * 고립된 이미지 삭제 (다른 페이지에서 참조하지 않는 이미지만)
+ * 휴지통에 있는 페이지도 참조로 간주하므로, 영구 삭제 이후에 호출해야 함
+ * @param {Array<string>} imageUrls - 이미지 경로 배열
+ * @param {number} userId - 사용자 ID
+ */
+async function cleanupOrphanedImages(imageUrls, userId) {
+    if (!imageUrls || imageUrls.length === 0) return;
+
+    for (const imageUrl of imageUrls) {
+        try {
+            // 이미지 경로에서 userId와 filename 추출
+            const parts = imageUrl.split('/');
+            if (parts.length !== 2) continue;
+
+            const [imgUserId, filename] = parts;
+
+            // 해당 이미지를 참조하는 다른 페이지가 있는지 확인
+            const [contentRows] = await pool.execute(
+                `SELECT COUNT(*) as count FROM pages WHERE user_id = ? AND content LIKE ?`,
+                [userId, `%/imgs/${imageUrl}%`]
+            );
+
+            const [coverRows] = await pool.execute(
+                `SELECT COUNT(*) as count FROM pages WHERE user_id = ? AND cover_image = ?`,
+                [userId, imageUrl]
+            );
+
+            const totalReferences = contentRows[0].count + coverRows[0].count;
+
+            // 참조가 없으면 물리적 파일 삭제
+            if (totalReferences === 0) {
+                // imgs 폴더에서 삭제 시도
+                const imgPath = path.join(__dirname, 'imgs', imgUserId, filename);
+                if (fs.existsSync(imgPath)) {
+                    fs.unlinkSync(imgPath);
+                    console.log(`이미지 삭제됨: ${imgPath}`);
+                }
+
+                // covers 폴더에서도 삭제 시도 (커버 이미지인 경우)
+                const coverPath = path.join(__dirname, 'covers', imgUserId, filename);
+                if (fs.existsSync(coverPath)) {
+                    fs.unlinkSync(coverPath);
+                    console.log(`커버 이미지 삭제됨: ${coverPath}`);
+                }
+            }
+        } catch (err) {
+            console.error(`이미지 정리 중 오류 (${imageUrl}):`, err);
+            // 개별 이미지 정리 실패는 무시하고 계속 진행
+        }
+    }
+}
+
+/**
+ * 삭제 대상 페이지들의 이미지를 사용자별로 모아서 고립 이미지 정리
+ * @param {Array<Object>} pageRows - user_id, content, cover_image 를 포함한 페이지 행
+ */
+async function cleanupImagesOfPurgedPages(pageRows) {
+    const imagesByUser = new Map();
+
+    pageRows.forEach((row) => {
+        const images = extractImagesFromPage(row);
+        if (!images.length) return;
+        if (!imagesByUser.has(row.user_id)) {
+            imagesByUser.set(row.user_id, new Set());
+        }
+        images.forEach(img => imagesByUser.get(row.user_id).add(img));
+    });
+
+    for (const [userId, images] of imagesByUser) {
+        await cleanupOrphanedImages([...images], userId);
+    }
+}
+
+/**
+ * 휴지통의 페이지 트리 영구 삭제
+ * trash_root_id가 같은 페이지들(함께 삭제된 하위 트리)만 삭제하고 이미지 정리
+ * 먼저 따로 휴지통에 들어간 하위 트리(다른 trash_root_id)는 별도 항목으로 남도록 부모 연결을 끊음
+ * @param {string} rootPageId - 휴지통 항목의 루트 페이지 ID
+ */
+async function purgeTrashedPageTree(rootPageId) {
+    const [pageRows] = await pool.execute(
+        `SELECT id, user_id, content, cover_image FROM pages
+         WHERE trash_root_id = ? AND deleted_at IS NOT NULL`,
+        [rootPageId]
+    );
+
+    if (!pageRows.length) return 0;
+
+    const placeholders = pageRows.map(() => '?').join(',');
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+
+        // fk_pages_parent(ON DELETE CASCADE)로 다른 휴지통 항목이 함께 삭제되지 않도록 최상위로 이동
+        // (복원 시 원래 부모가 없으면 최상위로 복원되는 것과 같음)
+        await conn.execute(
+            `UPDATE pages SET parent_id = NULL
+             WHERE parent_id IN (${placeholders}) AND (trash_root_id IS NULL OR trash_root_id <> ?)`,
+            [...pageRows.map(row => row.id), rootPageId]
+        );
+
+        await conn.execute(
+            `DELETE FROM pages WHERE trash_root_id = ? AND deleted_at IS NOT NULL`,
+            [rootPageId]
+        );
+
+        await conn.commit();
+    } catch (error) {
+        await conn.rollback();
+        throw error;
+    } finally {
+        conn.release();
+    }
+
+    await cleanupImagesOfPurgedPages(pageRows);
+    return pageRows.length;
+}
+
+/**
+ * 휴지통의 컬렉션 영구 삭제 (fk_pages_collection으로 포함된 페이지도 함께 삭제)
+ * @param {string} collectionId - 컬렉션 ID
+ */
+async function purgeTrashedCollection(collectionId) {
+    const [pageRows] = await pool.execute(
+        `SELECT id, user_id, content, cover_image FROM pages WHERE collection_id = ?`,
+        [collectionId]
+    );
+
+    const [result] = await pool.execute(
+        `DELETE FROM collections WHERE id = ? AND deleted_at IS NOT NULL`,
+        [collectionId]
+    );
+
+    if (result.affectedRows === 0) return 0;
+
+    await cleanupImagesOfPurgedPages(pageRows);
+    return pageRows.length;
+}
+
+/**
+ * 보관 기간(TRASH_RETENTION_DAYS)이 지난 휴지통 항목 영구 삭제
+ */
+async function purgeExpiredTrash() {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    const cutoffStr = formatDateForDb(cutoff);
+
+    try {
+        const [pageRoots] = await pool.execute(
+            `SELECT id FROM pages
+             WHERE deleted_at IS NOT NULL AND deleted_at < ? AND trash_root_id = id`,
+            [cutoffStr]
+        );
+
+        let purgedPages = 0;
+        for (const row of pageRoots) {
+            purgedPages += await purgeTrashedPageTree(row.id);
+        }
+
+        const [collectionRows] = await pool.execute(
+            `SELECT id FROM collections WHERE deleted_at IS NOT NULL AND deleted_at < ?`,
+            [cutoffStr]
+        );
+
+        for (const row of collectionRows) {
+            purgedPages += await purgeTrashedCollection(row.id);
+        }
+
+        if (pageRoots.length > 0 || collectionRows.length > 0) {
+            console.log(`[휴지통 정리] ${TRASH_RETENTION_DAYS}일이 지난 항목을 영구 삭제했습니다. (페이지 ${purgedPages}개, 컬렉션 ${collectionRows.length}개)`);
+        }
+    } catch (err) {
+        console.error("휴지통 정리 중 오류:", err);
+    }
+}
+
 /**
  * 레이트 리밋 설정
  */
@@ -1362,131 +3388,746 @@ const totpLimiter = rateLimit({
     legacyHeaders: false,
 });
 
-// 패스키 인증 레이트 리밋 (브루트포스 방지)
-const passkeyLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15분
-    max: 10, // 최대 10번 시도
-    message: { error: "너무 많은 패스키 인증 요청이 발생했습니다. 잠시 후 다시 시도해 주세요." },
-    standardHeaders: true,
-    legacyHeaders: false,
-});
+// 패스키 인증 레이트 리밋 (브루트포스 방지)
+const passkeyLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15분
+    max: 10, // 최대 10번 시도
+    message: { error: "너무 많은 패스키 인증 요청이 발생했습니다. 잠시 후 다시 시도해 주세요." },
+    standardHeaders: true,
+    legacyHeaders: false,
+});
+
+// SSE 연결 레이트 리밋
+const sseConnectionLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15분
+    max: 50, // 사용자당 최대 50개 연결
+    message: { error: "SSE 연결 제한 초과" },
+    standardHeaders: true,
+    legacyHeaders: false,
+    keyGenerator: (req) => req.user?.id?.toString() || 'anonymous'
+});
+
+/**
+ * ==================== WebSocket 및 실시간 동기화 ====================
+ */
+
+// WebSocket 연결 풀
+const wsConnections = {
+    pages: new Map(), // pageId -> Set<{ws, userId, username, color}>
+    collections: new Map(), // collectionId -> Set<{ws, userId, permission}>
+    users: new Map(), // userId -> Set<{ws, sessionId}>
+    sessions: new Map() // 세션 공개 ID -> Set<ws> (원격 로그아웃 시 연결 종료용)
+};
+
+// Yjs 문서 캐시 (메모리 관리)
+const yjsDocuments = new Map(); // pageId -> {ydoc, lastAccess, saveTimeout, lastEditorId, pendingUpdates, seedOwner}
+
+// Yjs 상태 병합 설정
+const YJS_COMPACTION_THRESHOLD = 200; // 스냅샷 병합 전 누적 가능한 업데이트 수
+const YJS_COMPACTION_INTERVAL_MS = 10 * 60 * 1000; // 주기적 병합 간격 (10분)
+
+// 사용자 색상 (협업 UI용, 10가지 색상 순환)
+const USER_COLORS = [
+    '#FF6B6B', '#4ECDC4', '#45B7D1', '#FFA07A', '#98D8C8',
+    '#F7DC6F', '#BB8FCE', '#85C1E2', '#F8B195', '#C06C84'
+];
+
+/**
+ * 사용자 ID 기반 색상 할당
+ */
+function getUserColor(userId) {
+    return USER_COLORS[userId % USER_COLORS.length];
+}
+
+/**
+ * SSE 연결 정리 (30분 비활성 시)
+ */
+function cleanupInactiveConnections() {
+    const now = Date.now();
+    const TIMEOUT = 30 * 60 * 1000; // 30분
+
+    yjsDocuments.forEach((doc, pageId) => {
+        if (now - doc.lastAccess > TIMEOUT) {
+            // 마지막 저장 및 상태 병합 후 메모리에서 제거
+            saveYjsDocToDatabase(pageId, doc.ydoc).catch(err => {
+                console.error(`[SSE] 비활성 문서 저장 실패 (${pageId}):`, err);
+            });
+            compactYjsState(pageId, doc.ydoc).finally(() => doc.ydoc.destroy());
+            yjsDocuments.delete(pageId);
+        }
+    });
+}
+
+// 10분마다 비활성 연결 정리
+setInterval(cleanupInactiveConnections, 10 * 60 * 1000);
+
+// 페이지 버전 기록 설정
+const PAGE_REVISION_INTERVAL_MS = 1000 * 60 * 5; // 자동 스냅샷 최소 간격 (5분)
+const PAGE_REVISION_MAX_PER_PAGE = 100; // 페이지당 보관할 최대 버전 수
+
+/**
+ * 페이지 버전 스냅샷 생성
+ * - force가 false이면 마지막 스냅샷 이후 PAGE_REVISION_INTERVAL_MS가 지나야 생성
+ * - 마지막 스냅샷과 내용이 같으면 생성하지 않음
+ * - 암호화된 페이지는 평문이 없으므로 호출하지 않아야 함
+ */
+async function createPageRevision({ pageId, userId = null, title, content, icon = null, reason = 'auto', force = false }) {
+    const [lastRows] = await pool.execute(
+        `SELECT title, content, icon, created_at
+         FROM page_revisions
+         WHERE page_id = ?
+         ORDER BY created_at DESC, id DESC
+         LIMIT 1`,
+        [pageId]
+    );
+
+    if (lastRows.length) {
+        const last = lastRows[0];
+        if (last.title === title && last.content === content && (last.icon || null) === (icon || null)) {
+            return false;
+        }
+        if (!force && Date.now() - new Date(last.created_at).getTime() < PAGE_REVISION_INTERVAL_MS) {
+            return false;
+        }
+    }
+
+    await pool.execute(
+        `INSERT INTO page_revisions (page_id, user_id, title, content, icon, reason, created_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [pageId, userId, title, content, icon, reason, formatDateForDb(new Date())]
+    );
+
+    // 오래된 버전 정리 (최신 PAGE_REVISION_MAX_PER_PAGE개만 유지)
+    const [staleRows] = await pool.execute(
+        `SELECT id FROM page_revisions
+         WHERE page_id = ?
+         ORDER BY created_at DESC, id DESC
+         LIMIT 1000 OFFSET ${PAGE_REVISION_MAX_PER_PAGE}`,
+        [pageId]
+    );
+    if (staleRows.length) {
+        const staleIds = staleRows.map(r => r.id);
+        const placeholders = staleIds.map(() => '?').join(',');
+        await pool.execute(`DELETE FROM page_revisions WHERE id IN (${placeholders})`, staleIds);
+    }
+
+    return true;
+}
+
+// 페이지 링크(멘션) 설정
+const PAGE_LINK_MAX_PER_PAGE = 500; // 페이지당 추적할 최대 링크 수
+const PAGE_MENTION_TAG_PATTERN = /<span\b[^>]*\bdata-type="page-mention"[^>]*>/gi;
+const PAGE_MENTION_ID_PATTERN = /\bdata-id="([^"]*)"/i;
+
+/**
+ * 본문 HTML에서 페이지 멘션 대상 ID 목록 추출 (중복 제거)
+ */
+function extractPageMentionIds(html) {
+    if (typeof html !== 'string' || !html) {
+        return [];
+    }
+
+    const ids = new Set();
+    for (const tag of html.match(PAGE_MENTION_TAG_PATTERN) || []) {
+        const match = tag.match(PAGE_MENTION_ID_PATTERN);
+        if (match && match[1]) {
+            ids.add(match[1]);
+        }
+    }
+
+    return [...ids].slice(0, PAGE_LINK_MAX_PER_PAGE);
+}
+
+/**
+ * 본문 HTML의 페이지 멘션 대상 ID를 idMap(이전 ID -> 새 ID)에 따라 교체
+ * 백업 불러오기처럼 페이지 ID가 새로 발급되는 경우 사용
+ */
+function remapPageMentionIds(html, idMap) {
+    if (typeof html !== 'string' || !html) {
+        return html;
+    }
+
+    return html.replace(PAGE_MENTION_TAG_PATTERN, (tag) =>
+        tag.replace(PAGE_MENTION_ID_PATTERN, (attr, id) =>
+            idMap.has(id) ? `data-id="${idMap.get(id)}"` : attr
+        )
+    );
+}
+
+/**
+ * 페이지 본문의 멘션을 page_links에 반영 (본문 저장 시마다 호출)
+ * 존재하지 않는 대상과 자기 자신은 제외하며, 암호화 페이지는 빈 본문으로 호출하여 링크를 제거
+ * @param {string} pageId - 링크를 가진(출발) 페이지 ID
+ * @param {string} html - 저장된 본문 HTML
+ * @param {object} conn - 트랜잭션 중이면 해당 커넥션 (기본값: pool)
+ */
+async function syncPageLinks(pageId, html, conn = pool) {
+    const targetIds = extractPageMentionIds(html).filter(id => id !== pageId);
+
+    if (!targetIds.length) {
+        await conn.execute('DELETE FROM page_links WHERE source_page_id = ?', [pageId]);
+        return;
+    }
+
+    const placeholders = targetIds.map(() => '?').join(',');
+
+    await conn.execute(
+        `DELETE FROM page_links WHERE source_page_id = ? AND target_page_id NOT IN (${placeholders})`,
+        [pageId, ...targetIds]
+    );
+
+    await conn.execute(
+        `INSERT IGNORE INTO page_links (source_page_id, target_page_id, created_at)
+         SELECT ?, id, ? FROM pages WHERE id IN (${placeholders})`,
+        [pageId, formatDateForDb(new Date()), ...targetIds]
+    );
+}
+
+/**
+ * 외부에서 본문이 바뀐 경우(버전 복원, 암호화 전환 등) Yjs 상태를 폐기하고 구독자에게 재동기화 요청
+ * 저장된 상태가 없으면 다음 구독 시 첫 구독자가 pages.content로 문서를 다시 채움
+ */
+async function resetYjsDocContent(pageId, { title, content, icon }) {
+    await discardYjsState(pageId);
+
+    wsBroadcastToPage(pageId, 'yjs-reset', {
+        pageId,
+        title,
+        content,
+        icon: icon || null
+    });
+}
+
+/**
+ * Yjs 문서를 HTML로 저장하도록 예약 (1초 debounce, 검색/내보내기용 pages.content 갱신)
+ * @param {number|null} userId - 마지막으로 편집한 사용자 (자동 버전 기록의 작성자)
+ */
+function scheduleYjsDocSave(pageId, ydoc, userId) {
+    const docData = yjsDocuments.get(pageId);
+    if (!docData) {
+        return;
+    }
+
+    docData.lastEditorId = userId;
+    if (docData.seedOwner && ydoc.getXmlFragment('prosemirror').length > 0) {
+        docData.seedOwner = null;
+    }
+    if (docData.saveTimeout) {
+        clearTimeout(docData.saveTimeout);
+    }
+    docData.saveTimeout = setTimeout(() => {
+        saveYjsDocToDatabase(pageId, ydoc).catch(err => {
+            console.error(`[WS] Debounce 저장 실패 (${pageId}):`, err);
+        });
+    }, 1000);
+}
+
+/**
+ * 서버에서 Yjs 문서를 직접 변경하고 모든 구독자에게 전파
+ * (읽기 권한 사용자의 댓글처럼 클라이언트가 본문을 바꿀 수 없는 경우에 사용)
+ * @param {Function} change - ydoc 트랜잭션 안에서 실행할 변경
+ * @returns {Promise<boolean>} 실제로 바뀐 내용이 있으면 true
+ */
+async function applyServerYjsChange(pageId, ydoc, change, userId) {
+    const before = Y.encodeStateVector(ydoc);
+    ydoc.transact(change);
+    const update = Y.encodeStateAsUpdate(ydoc, before);
+
+    // 변경이 없으면 빈 업데이트(구조체/삭제 집합 모두 0)만 생성됨
+    if (update.length <= 2) {
+        return false;
+    }
+
+    wsBroadcastToPage(pageId, 'yjs-update', { update: Buffer.from(update).toString('base64') });
+    await appendYjsUpdate(pageId, update);
+    scheduleYjsDocSave(pageId, ydoc, userId);
+    return true;
+}
+
+/**
+ * 댓글 스레드 위치를 본문에 comment 마크로 표시
+ * anchor의 from/to는 편집기가 y-prosemirror로 만든 Y.RelativePosition (base64)이며,
+ * 마크는 Y.XmlText 서식으로 저장되므로 같은 텍스트 안의 범위만 표시할 수 있음
+ * @param {{from: string, to: string}} anchor
+ * @param {number} threadId - 스레드 첫 댓글 ID
+ * @returns {Promise<boolean>} 범위를 찾아 표시했으면 true
+ */
+async function applyYjsCommentMark(pageId, anchor, threadId, userId) {
+    const ydoc = await loadOrCreateYjsDoc(pageId);
+
+    let start;
+    let end;
+    try {
+        start = Y.createAbsolutePositionFromRelativePosition(
+            Y.decodeRelativePosition(Buffer.from(anchor.from, 'base64')), ydoc
+        );
+        end = Y.createAbsolutePositionFromRelativePosition(
+            Y.decodeRelativePosition(Buffer.from(anchor.to, 'base64')), ydoc
+        );
+    } catch (error) {
+        return false;
+    }
+
+    if (!start || !end || start.type !== end.type || !(start.type instanceof Y.XmlText) || end.index <= start.index) {
+        return false;
+    }
+
+    return applyServerYjsChange(pageId, ydoc, () => {
+        start.type.format(start.index, end.index - start.index, { comment: { commentId: String(threadId) } });
+    }, userId);
+}
+
+/**
+ * 본문에서 댓글 스레드의 comment 마크 제거 (스레드 삭제 시)
+ */
+async function removeYjsCommentMark(pageId, threadId, userId) {
+    const ydoc = await loadOrCreateYjsDoc(pageId);
+    const commentId = String(threadId);
+    const ranges = [];
+
+    const collect = (nodes) => {
+        nodes.forEach((node) => {
+            if (node instanceof Y.XmlText) {
+                let index = 0;
+                node.toDelta().forEach(({ insert, attributes }) => {
+                    const length = typeof insert === 'string' ? insert.length : 1;
+                    if (attributes && attributes.comment && String(attributes.comment.commentId) === commentId) {
+                        ranges.push({ text: node, index, length });
+                    }
+                    index += length;
+                });
+            } else if (node instanceof Y.XmlElement) {
+                collect(node.toArray());
+            }
+        });
+    };
+    collect(ydoc.getXmlFragment('prosemirror').toArray());
+
+    if (!ranges.length) {
+        return false;
+    }
 
-// SSE 연결 레이트 리밋
-const sseConnectionLimiter = rateLimit({
-    windowMs: 15 * 60 * 1000, // 15분
-    max: 50, // 사용자당 최대 50개 연결
-    message: { error: "SSE 연결 제한 초과" },
-    standardHeaders: true,
-    legacyHeaders: false,
-    keyGenerator: (req) => req.user?.id?.toString() || 'anonymous'
-});
+    return applyServerYjsChange(pageId, ydoc, () => {
+        ranges.forEach(({ text, index, length }) => text.format(index, length, { comment: null }));
+    }, userId);
+}
 
 /**
- * ==================== WebSocket 및 실시간 동기화 ====================
+ * 메모리 및 DB에 저장된 Yjs 상태 제거
  */
+async function discardYjsState(pageId) {
+    const docData = yjsDocuments.get(pageId);
+    if (docData) {
+        // 폐기 직전에 예약된 저장이 이전 내용으로 덮어쓰지 않도록 취소
+        if (docData.saveTimeout) {
+            clearTimeout(docData.saveTimeout);
+        }
+        docData.ydoc.destroy();
+        yjsDocuments.delete(pageId);
+    }
 
-// WebSocket 연결 풀
-const wsConnections = {
-    pages: new Map(), // pageId -> Set<{ws, userId, username, color}>
-    collections: new Map(), // collectionId -> Set<{ws, userId, permission}>
-    users: new Map() // userId -> Set<{ws, sessionId}>
-};
+    await pool.execute('DELETE FROM page_yjs_updates WHERE page_id = ?', [pageId]);
+    await pool.execute('DELETE FROM page_yjs_state WHERE page_id = ?', [pageId]);
+}
 
-// Yjs 문서 캐시 (메모리 관리)
-const yjsDocuments = new Map(); // pageId -> {ydoc, lastAccess, saveTimeout}
+/**
+ * Yjs 업데이트를 DB에 추가 (서버 재시작/캐시 제거 후에도 CRDT 이력 보존)
+ * 누적 업데이트가 YJS_COMPACTION_THRESHOLD개를 넘으면 스냅샷으로 병합
+ */
+async function appendYjsUpdate(pageId, update) {
+    await pool.execute(
+        'INSERT INTO page_yjs_updates (page_id, update_data, created_at) VALUES (?, ?, ?)',
+        [pageId, Buffer.from(update), formatDateForDb(new Date())]
+    );
 
-// 사용자 색상 (협업 UI용, 10가지 색상 순환)
-const USER_COLORS = [
-    '#FF6B6B', '#4ECDC4', '#45B7D1', '#FFA07A', '#98D8C8',
-    '#F7DC6F', '#BB8FCE', '#85C1E2', '#F8B195', '#C06C84'
-];
+    const docData = yjsDocuments.get(pageId);
+    if (docData) {
+        docData.pendingUpdates += 1;
+        if (docData.pendingUpdates >= YJS_COMPACTION_THRESHOLD) {
+            await compactYjsState(pageId, docData.ydoc);
+        }
+    }
+}
 
 /**
- * 사용자 ID 기반 색상 할당
+ * 누적된 Yjs 업데이트를 하나의 스냅샷(Y.encodeStateAsUpdate)으로 병합
+ * ydoc에는 DB에 기록된 업데이트가 모두 적용되어 있어야 함 (업데이트는 적용 후 기록되므로 보장됨)
  */
-function getUserColor(userId) {
-    return USER_COLORS[userId % USER_COLORS.length];
+async function compactYjsState(pageId, ydoc) {
+    // 호출부가 기다리지 않는 경우가 있으므로 연결 획득 실패도 여기서 처리 (unhandled rejection 방지)
+    let conn = null;
+    try {
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        const [maxRows] = await conn.execute(
+            'SELECT MAX(id) AS max_id FROM page_yjs_updates WHERE page_id = ?',
+            [pageId]
+        );
+        const maxId = maxRows[0].max_id;
+
+        await conn.execute(
+            `INSERT INTO page_yjs_state (page_id, state, updated_at)
+             VALUES (?, ?, ?)
+             ON DUPLICATE KEY UPDATE state = VALUES(state), updated_at = VALUES(updated_at)`,
+            [pageId, Buffer.from(Y.encodeStateAsUpdate(ydoc)), formatDateForDb(new Date())]
+        );
+
+        if (maxId !== null) {
+            await conn.execute(
+                'DELETE FROM page_yjs_updates WHERE page_id = ? AND id <= ?',
+                [pageId, maxId]
+            );
+        }
+
+        await conn.commit();
+
+        const docData = yjsDocuments.get(pageId);
+        if (docData && docData.ydoc === ydoc) {
+            docData.pendingUpdates = 0;
+        }
+    } catch (error) {
+        if (conn) {
+            await conn.rollback().catch(() => {});
+        }
+        console.error(`[Yjs] 상태 병합 실패 (${pageId}):`, error);
+    } finally {
+        if (conn) {
+            conn.release();
+        }
+    }
 }
 
 /**
- * SSE 연결 정리 (30분 비활성 시)
+ * 주기적 Yjs 상태 병합 작업
+ * 업데이트가 쌓여 있는 페이지를 스냅샷으로 병합 (메모리에 없는 문서는 DB에서 불러와 병합)
  */
-function cleanupInactiveConnections() {
-    const now = Date.now();
-    const TIMEOUT = 30 * 60 * 1000; // 30분
+async function compactPendingYjsUpdates() {
+    try {
+        const [rows] = await pool.execute(
+            'SELECT DISTINCT page_id FROM page_yjs_updates'
+        );
 
-    yjsDocuments.forEach((doc, pageId) => {
-        if (now - doc.lastAccess > TIMEOUT) {
-            // 마지막 저장 후 메모리에서 제거
-            saveYjsDocToDatabase(pageId, doc.ydoc).catch(err => {
-                console.error(`[SSE] 비활성 문서 저장 실패 (${pageId}):`, err);
-            });
-            yjsDocuments.delete(pageId);
+        for (const { page_id: pageId } of rows) {
+            const docData = yjsDocuments.get(pageId);
+            if (docData) {
+                await compactYjsState(pageId, docData.ydoc);
+                continue;
+            }
+
+            const ydoc = new Y.Doc();
+            await loadYjsStateFromDatabase(pageId, ydoc);
+            await compactYjsState(pageId, ydoc);
+            ydoc.destroy();
         }
-    });
+
+        if (rows.length > 0) {
+            console.log(`[Yjs 병합] ${rows.length}개 페이지의 업데이트를 스냅샷으로 병합했습니다.`);
+        }
+    } catch (error) {
+        console.error('[Yjs 병합] 오류:', error);
+    }
 }
 
-// 10분마다 비활성 연결 정리
-setInterval(cleanupInactiveConnections, 10 * 60 * 1000);
+/**
+ * DB에 저장된 Yjs 스냅샷과 이후 업데이트를 문서에 적용
+ * @returns {Promise<number>} 스냅샷 이후 적용된 업데이트 개수
+ */
+async function loadYjsStateFromDatabase(pageId, ydoc) {
+    const [stateRows] = await pool.execute(
+        'SELECT state FROM page_yjs_state WHERE page_id = ?',
+        [pageId]
+    );
+    const [updateRows] = await pool.execute(
+        'SELECT update_data FROM page_yjs_updates WHERE page_id = ? ORDER BY id ASC',
+        [pageId]
+    );
+
+    ydoc.transact(() => {
+        if (stateRows.length) {
+            Y.applyUpdate(ydoc, stateRows[0].state);
+        }
+        for (const row of updateRows) {
+            Y.applyUpdate(ydoc, row.update_data);
+        }
+    }, 'server');
+
+    return updateRows.length;
+}
 
 /**
- * Yjs 문서를 데이터베이스에 저장
+ * Yjs 문서의 본문을 데이터베이스에 반영
+ * 협업 편집의 원본은 Yjs 상태이며, pages.content에는 검색/내보내기/발행용으로 정화된 HTML만 기록
+ * (제목/아이콘/위치는 REST 라우트가 관리하므로 여기서 덮어쓰지 않음)
  */
 async function saveYjsDocToDatabase(pageId, ydoc) {
     try {
-        const yXmlFragment = ydoc.getXmlFragment('prosemirror');
-        const yMetadata = ydoc.getMap('metadata');
-
-        // 메타데이터 추출
-        const title = yMetadata.get('title') || '제목 없음';
-        const icon = yMetadata.get('icon') || null;
-        const sortOrder = yMetadata.get('sortOrder') || 0;
-        const parentId = yMetadata.get('parentId') || null;
-
         const rawContent = extractHtmlFromYDoc(ydoc);
-        const content = sanitizeHtmlContent(rawContent);
+        if (rawContent === null) {
+            return;
+        }
 
-        // E2EE: 암호화된 페이지는 content를 빈 문자열로 저장
         const [rows] = await pool.execute(
-            'SELECT is_encrypted FROM pages WHERE id = ?',
+            'SELECT title, icon, is_encrypted, collection_id FROM pages WHERE id = ?',
             [pageId]
         );
 
-        let finalContent = content;
-        if (rows.length > 0 && rows[0].is_encrypted === 1) {
-            finalContent = '';  // 암호화된 페이지는 content 비움
+        // E2EE: 암호화된 페이지는 평문을 저장하지 않음
+        if (!rows.length || rows[0].is_encrypted === 1) {
+            return;
         }
 
+        const content = sanitizeHtmlContent(rawContent);
+
         await pool.execute(
             `UPDATE pages
-             SET title = ?, content = ?, icon = ?, sort_order = ?, parent_id = ?, updated_at = NOW()
+             SET content = ?, content_text = ?, updated_at = NOW()
              WHERE id = ?`,
-            [title, finalContent, icon, sortOrder, parentId, pageId]
+            [content, htmlToPlainText(content), pageId]
         );
+
+        await syncPageLinks(pageId, content);
+
+        // 주기적 버전 스냅샷 (PAGE_REVISION_INTERVAL_MS 간격으로 제한)
+        const docData = yjsDocuments.get(pageId);
+        await createPageRevision({
+            pageId,
+            userId: docData ? docData.lastEditorId || null : null,
+            title: rows[0].title,
+            content,
+            icon: rows[0].icon,
+            reason: 'auto'
+        });
+
+        enqueueWebhookEvent(rows[0].collection_id, "page.updated", {
+            page: { id: pageId, title: rows[0].title }
+        }, docData ? docData.lastEditorId || null : null);
     } catch (error) {
         console.error(`[SSE] 페이지 저장 실패 (${pageId}):`, error);
         throw error;
     }
 }
 
+function escapeYjsHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function renderYjsAttributes(attrs) {
+    return Object.entries(attrs)
+        .filter(([, value]) => value !== null && value !== undefined && value !== '')
+        .map(([name, value]) => ` ${name}="${escapeYjsHtml(value)}"`)
+        .join('');
+}
+
+/**
+ * Tiptap 노드 이름 → HTML 태그/속성 매핑
+ * 각 확장의 renderHTML과 같은 마크업을 생성하여 에디터가 다시 불러올 수 있도록 함
+ */
+function getYjsNodeMarkup(nodeName, attrs) {
+    const alignStyle = attrs.textAlign && attrs.textAlign !== 'left'
+        ? { style: `text-align: ${attrs.textAlign}` }
+        : {};
+
+    switch (nodeName) {
+        case 'paragraph':
+            return { tag: 'p', attrs: alignStyle };
+        case 'heading':
+            return { tag: `h${Math.min(Math.max(Number(attrs.level) || 1, 1), 6)}`, attrs: alignStyle };
+        case 'bulletList':
+            return { tag: 'ul', attrs: {} };
+        case 'orderedList':
+            return { tag: 'ol', attrs: Number(attrs.start) > 1 ? { start: attrs.start } : {} };
+        case 'listItem':
+            return { tag: 'li', attrs: {} };
+        case 'taskList':
+            return { tag: 'ul', attrs: { 'data-type': 'taskList' } };
+        case 'taskItem':
+            return { tag: 'li', attrs: { 'data-type': 'taskItem', 'data-checked': attrs.checked ? 'true' : 'false' } };
+        case 'blockquote':
+            return { tag: 'blockquote', attrs: {} };
+        case 'codeBlock':
+            return { tag: 'pre', attrs: {} };
+        case 'horizontalRule':
+            return { tag: 'hr', attrs: {}, isVoid: true };
+        case 'hardBreak':
+            return { tag: 'br', attrs: {}, isVoid: true };
+        case 'table':
+            return { tag: 'table', attrs: {} };
+        case 'tableRow':
+            return { tag: 'tr', attrs: {} };
+        case 'tableHeader':
+        case 'tableCell':
+            return {
+                tag: nodeName === 'tableHeader' ? 'th' : 'td',
+                attrs: {
+                    colspan: Number(attrs.colspan) > 1 ? attrs.colspan : null,
+                    rowspan: Number(attrs.rowspan) > 1 ? attrs.rowspan : null,
+                    colwidth: Array.isArray(attrs.colwidth) ? attrs.colwidth.join(',') : null,
+                    style: attrs.style || null
+                }
+            };
+        case 'mathBlock':
+            return { tag: 'div', attrs: { 'data-type': 'math-block', class: 'math-block', 'data-latex': attrs.latex }, text: attrs.latex || '' };
+        case 'mathInline':
+            return { tag: 'span', attrs: { 'data-type': 'math-inline', class: 'math-inline', 'data-latex': attrs.latex }, text: attrs.latex || '' };
+        case 'pageMention':
+            return {
+                tag: 'span',
+                attrs: { 'data-type': 'page-mention', class: 'page-mention', 'data-id': attrs.pageId, 'data-title': attrs.title },
+                text: attrs.title || ''
+            };
+        case 'calloutBlock':
+            return {
+                tag: 'div',
+                attrs: {
+                    'data-type': 'callout-block',
+                    class: 'callout-block',
+                    'data-callout-type': attrs.type || 'info',
+                    'data-title': attrs.title,
+                    'data-content': attrs.content
+                }
+            };
+        case 'bookmarkContainer':
+            return {
+                tag: 'div',
+                attrs: {
+                    'data-type': 'bookmark-container',
+                    class: 'bookmark-container',
+                    'data-id': attrs.id,
+                    'data-title': attrs.title,
+                    'data-icon': attrs.icon
+                }
+            };
+        case 'bookmarkBlock':
+            return {
+                tag: 'div',
+                attrs: {
+                    'data-type': 'bookmark-block',
+                    class: 'bookmark-block',
+                    'data-url': attrs.url,
+                    'data-title': attrs.title,
+                    'data-description': attrs.description,
+                    'data-thumbnail': attrs.thumbnail
+                }
+            };
+        default:
+            return { tag: 'div', attrs: {} };
+    }
+}
+
+/**
+ * Y.XmlText의 서식(마크)을 HTML 태그로 감싸 직렬화
+ */
+function renderYjsText(yText) {
+    return yText.toDelta().map(({ insert, attributes = {} }) => {
+        if (typeof insert !== 'string') {
+            return '';
+        }
+
+        let html = escapeYjsHtml(insert);
+
+        if (attributes.code) html = `<code>${html}</code>`;
+        if (attributes.bold) html = `<strong>${html}</strong>`;
+        if (attributes.italic) html = `<em>${html}</em>`;
+        if (attributes.underline) html = `<u>${html}</u>`;
+        if (attributes.strike) html = `<s>${html}</s>`;
+
+        const textStyle = attributes.textStyle;
+        if (textStyle && (textStyle.color || textStyle.fontFamily)) {
+            const styles = [];
+            if (textStyle.color) styles.push(`color: ${textStyle.color}`);
+            if (textStyle.fontFamily) styles.push(`font-family: ${textStyle.fontFamily}`);
+            html = `<span style="${escapeYjsHtml(styles.join('; '))}">${html}</span>`;
+        }
+
+        if (attributes.link && attributes.link.href) {
+            html = `<a href="${escapeYjsHtml(attributes.link.href)}" target="_blank" rel="noopener noreferrer nofollow">${html}</a>`;
+        }
+
+        if (attributes.comment && attributes.comment.commentId) {
+            html = `<span class="comment-anchor" data-comment-id="${escapeYjsHtml(attributes.comment.commentId)}">${html}</span>`;
+        }
+
+        return html;
+    }).join('');
+}
+
+/**
+ * Y.XmlElement/Y.XmlText 목록을 HTML로 직렬화
+ */
+function renderYjsNodes(nodes) {
+    return nodes.map((node) => {
+        if (node instanceof Y.XmlText) {
+            return renderYjsText(node);
+        }
+
+        if (!(node instanceof Y.XmlElement)) {
+            return '';
+        }
+
+        const attrs = node.getAttributes();
+
+        if (node.nodeName === 'imageWithCaption') {
+            const width = attrs.width || '100%';
+            const figureAttrs = renderYjsAttributes({
+                'data-type': 'image-with-caption',
+                'data-src': attrs.src,
+                'data-alt': attrs.alt,
+                'data-caption': attrs.caption,
+                'data-width': width,
+                'data-align': attrs.align || 'center',
+                class: 'image-with-caption',
+                style: `width: ${width}`
+            });
+            const imgAttrs = renderYjsAttributes({ src: attrs.src, alt: attrs.alt, class: 'caption-image' });
+            return `<figure${figureAttrs}><div class="image-container"><img${imgAttrs}></div>`
+                + `<div class="image-caption-container"><div class="image-caption">${escapeYjsHtml(attrs.caption || '')}</div></div></figure>`;
+        }
+
+        const { tag, attrs: htmlAttrs, isVoid, text } = getYjsNodeMarkup(node.nodeName, attrs);
+        const open = `<${tag}${renderYjsAttributes(htmlAttrs)}>`;
+
+        if (isVoid) {
+            return open;
+        }
+
+        let inner = text !== undefined ? escapeYjsHtml(text) : renderYjsNodes(node.toArray());
+
+        if (node.nodeName === 'codeBlock') {
+            const languageClass = attrs.language ? ` class="language-${escapeYjsHtml(attrs.language)}"` : '';
+            inner = `<code${languageClass}>${inner}</code>`;
+        } else if (node.nodeName === 'taskItem') {
+            inner = `<label><input type="checkbox"${attrs.checked ? ' checked="checked"' : ''}><span></span></label><div>${inner}</div>`;
+        } else if (node.nodeName === 'table') {
+            inner = `<tbody>${inner}</tbody>`;
+        }
+
+        return `${open}${inner}</${tag}>`;
+    }).join('');
+}
+
 /**
- * Y.XmlFragment를 HTML로 변환 (간단한 구현)
- * 실제 운영 시 ProseMirror DOMSerializer 사용 권장
+ * Yjs 문서의 ProseMirror 프래그먼트를 HTML로 변환
+ * @returns {string|null} 아직 편집기 내용으로 채워지지 않은 문서면 null
  */
 function extractHtmlFromYDoc(ydoc) {
     const yXmlFragment = ydoc.getXmlFragment('prosemirror');
-    const yMetadata = ydoc.getMap('metadata');
-    const content = yMetadata.get('content');
 
-    if (content) {
-        return content;
+    if (yXmlFragment.length === 0) {
+        return null;
     }
 
-    return '<p>실시간 협업 중...</p>';
+    return renderYjsNodes(yXmlFragment.toArray());
 }
 
 /**
  * Yjs 문서 로드 또는 생성
+ * 저장된 바이너리 상태(스냅샷 + 이후 업데이트)를 복원하며,
+ * 상태가 없는 페이지는 빈 문서로 시작하여 첫 구독자가 편집기 내용(pages.content)으로 채움
  */
 async function loadOrCreateYjsDoc(pageId) {
     if (yjsDocuments.has(pageId)) {
@@ -1495,29 +4136,21 @@ async function loadOrCreateYjsDoc(pageId) {
         return doc.ydoc;
     }
 
-    // 데이터베이스에서 페이지 로드
-    const [rows] = await pool.execute(
-        'SELECT title, content, icon, sort_order, parent_id FROM pages WHERE id = ?',
-        [pageId]
-    );
-
     const ydoc = new Y.Doc();
-    const yXmlFragment = ydoc.getXmlFragment('prosemirror');
-    const yMetadata = ydoc.getMap('metadata');
+    const pendingUpdates = await loadYjsStateFromDatabase(pageId, ydoc);
 
-    if (rows.length > 0) {
-        const page = rows[0];
-        yMetadata.set('title', page.title || '제목 없음');
-        yMetadata.set('icon', page.icon || null);
-        yMetadata.set('sortOrder', page.sort_order || 0);
-        yMetadata.set('parentId', page.parent_id || null);
-        yMetadata.set('content', page.content || '<p></p>');
+    // 비동기 로드 중 다른 요청이 먼저 문서를 만들었으면 그 문서를 사용
+    if (yjsDocuments.has(pageId)) {
+        ydoc.destroy();
+        return loadOrCreateYjsDoc(pageId);
     }
 
     yjsDocuments.set(pageId, {
         ydoc,
         lastAccess: Date.now(),
-        saveTimeout: null
+        saveTimeout: null,
+        pendingUpdates,
+        seedOwner: null
     });
 
     return ydoc;
@@ -1565,6 +4198,35 @@ function wsBroadcastToCollection(collectionId, event, data, excludeUserId = null
     });
 }
 
+/**
+ * 세션의 WebSocket 연결 종료 (원격 로그아웃)
+ * 종료 전에 session-revoked 이벤트를 보내 클라이언트가 로그인 화면으로 이동하도록 함
+ * @param {string[]} publicIds - 세션 공개 ID 목록
+ */
+function wsCloseSessionConnections(publicIds) {
+    const message = JSON.stringify({
+        event: 'session-revoked',
+        data: { message: '다른 기기에서 이 세션을 로그아웃했습니다.' }
+    });
+
+    publicIds.forEach(publicId => {
+        const connections = wsConnections.sessions.get(publicId);
+        if (!connections) return;
+
+        Array.from(connections).forEach(ws => {
+            try {
+                if (ws.readyState === WebSocket.OPEN) {
+                    ws.send(message);
+                }
+                ws.close(1008, 'Session revoked');
+            } catch (error) {
+                console.error(`[WS] 세션 연결 종료 실패:`, error);
+            }
+            cleanupWebSocketConnection(ws);
+        });
+    });
+}
+
 /**
  * WebSocket 브로드캐스트 (사용자)
  */
@@ -1586,6 +4248,27 @@ function wsBroadcastToUser(userId, event, data, excludeSessionId = null) {
     });
 }
 
+/**
+ * 인라인 import map의 CSP 해시 목록
+ * 자체 호스팅 ES 모듈의 SRI(integrity) 목록을 담은 <script type="importmap">만 인라인 실행을 허용
+ * HTML은 정적 파일이므로 시작 시 한 번 계산 (모듈 해시를 바꾸면 서버 재시작 필요)
+ */
+const IMPORT_MAP_CSP_HASHES = (() => {
+    const publicDir = path.join(__dirname, 'public');
+    const hashes = new Set();
+
+    for (const file of fs.readdirSync(publicDir)) {
+        if (!file.endsWith('.html')) continue;
+
+        const html = fs.readFileSync(path.join(publicDir, file), 'utf8');
+        for (const match of html.matchAll(/<script type="importmap">([\s\S]*?)<\/script>/g)) {
+            hashes.add(`'sha256-${crypto.createHash('sha256').update(match[1], 'utf8').digest('base64')}'`);
+        }
+    }
+
+    return [...hashes];
+})();
+
 /**
  * 미들웨어 설정
  */
@@ -1597,13 +4280,20 @@ app.use((req, res, next) => {
     // 보안 개선: CSP 강화 - unsafe-inline 제거 권장
     // 참고: 모든 인라인 스타일을 외부 CSS로 이동하면 'unsafe-inline' 제거 가능
     // 또는 nonce 기반 CSP로 전환 가능
+    // 클라이언트 라이브러리는 public/vendor에서 제공하므로 외부 출처는 허용하지 않음
     res.setHeader('Content-Security-Policy',
         "default-src 'self'; " +
-        "script-src 'self' https://cdn.jsdelivr.net https://esm.sh; " +
-        "style-src 'self' https://cdnjs.cloudflare.com https://cdn.jsdelivr.net https://fonts.googleapis.com 'unsafe-inline'; " +
-        "font-src 'self' https://cdnjs.cloudflare.com https://fonts.gstatic.com; " +
+        `script-src 'self' ${IMPORT_MAP_CSP_HASHES.join(' ')}; ` +
+        "style-src 'self' 'unsafe-inline'; " +
+        "font-src 'self'; " +
         "img-src 'self' data:; " +
-        "connect-src 'self' https://cdn.jsdelivr.net https://esm.sh;"
+        "connect-src 'self'; " +
+        "worker-src 'self'; " +
+        "manifest-src 'self'; " +
+        "object-src 'none'; " +
+        "base-uri 'self'; " +
+        "form-action 'self'; " +
+        "frame-ancestors 'none';"
     );
 
     // 추가 보안 헤더
@@ -1644,8 +4334,8 @@ app.use(express.static(path.join(__dirname, "public"), {
     lastModified: true, // Last-Modified 헤더 추가
     immutable: IS_PRODUCTION, // Cache-Control: immutable 추가 (프로덕션만)
     setHeaders: (res, filePath, stat) => {
-        // HTML 파일은 캐시 안 함 (동적 업데이트 필요)
-        if (filePath.endsWith('.html')) {
+        // HTML 파일과 서비스 워커는 캐시 안 함 (동적 업데이트 필요)
+        if (filePath.endsWith('.html') || path.basename(filePath) === 'sw.js') {
             res.setHeader('Cache-Control', 'no-cache, no-store, must-revalidate');
             res.setHeader('Pragma', 'no-cache');
             res.setHeader('Expires', '0');
@@ -1939,7 +4629,21 @@ function initWebSocketServer(server) {
             return;
         }
 
-        const session = sessions.get(sessionId);
+        // 세션 조회(DB) 중 도착한 메시지는 인증 후 처리하도록 보관
+        const earlyMessages = [];
+        const bufferEarlyMessage = (message) => earlyMessages.push(message);
+        ws.on('message', bufferEarlyMessage);
+
+        let session;
+        try {
+            session = await getSessionFromRequest({ cookies });
+        } catch (error) {
+            console.error('[WS] 세션 확인 오류:', error);
+        }
+        // 세션 확인 중 연결이 끊긴 경우
+        if (ws.readyState !== WebSocket.OPEN) {
+            return;
+        }
         if (!session || !session.userId) {
             ws.close(1008, 'Unauthorized');
             return;
@@ -1949,15 +4653,21 @@ function initWebSocketServer(server) {
         ws.userId = session.userId;
         ws.username = session.username;
         ws.sessionId = sessionId;
+        ws.sessionPublicId = session.publicId;
         ws.isAlive = true;
 
+        if (!wsConnections.sessions.has(session.publicId)) {
+            wsConnections.sessions.set(session.publicId, new Set());
+        }
+        wsConnections.sessions.get(session.publicId).add(ws);
+
         // 핑/퐁 heartbeat
         ws.on('pong', () => {
             ws.isAlive = true;
         });
 
         // 메시지 핸들러
-        ws.on('message', async (message) => {
+        const handleMessage = async (message) => {
             try {
                 const data = JSON.parse(message);
                 await handleWebSocketMessage(ws, data);
@@ -1965,7 +4675,10 @@ function initWebSocketServer(server) {
                 console.error('[WS] 메시지 처리 오류:', error);
                 ws.send(JSON.stringify({ event: 'error', data: { message: '메시지 처리 실패' } }));
             }
-        });
+        };
+        ws.off('message', bufferEarlyMessage);
+        ws.on('message', handleMessage);
+        earlyMessages.forEach(handleMessage);
 
         // 연결 종료 핸들러
         ws.on('close', () => {
@@ -2044,7 +4757,7 @@ async function handleWebSocketMessage(ws, data) {
  * 페이지 구독
  */
 async function handleSubscribePage(ws, payload) {
-    const { pageId, isReconnect } = payload;
+    const { pageId, isReconnect, stateVector } = payload;
     const userId = ws.userId;
 
     try {
@@ -2055,6 +4768,7 @@ async function handleSubscribePage(ws, payload) {
              LEFT JOIN collections c ON p.collection_id = c.id
              LEFT JOIN collection_shares cs ON c.id = cs.collection_id AND cs.shared_with_user_id = ?
              WHERE p.id = ? AND p.is_encrypted = 0
+               AND p.deleted_at IS NULL AND c.deleted_at IS NULL
                AND (c.user_id = ? OR cs.permission IN ('EDIT', 'ADMIN'))`,
             [userId, pageId, userId]
         );
@@ -2076,36 +4790,47 @@ async function handleSubscribePage(ws, payload) {
         const connection = { ws, userId, username: ws.username, color: userColor };
         wsConnections.pages.get(pageId).add(connection);
 
-        // 재연결이 아닐 때만 init 이벤트 전송 (데이터 소실 방지)
-        if (!isReconnect) {
-            // Yjs 상태 전송
-            const ydoc = await loadOrCreateYjsDoc(pageId);
-            const stateVector = Y.encodeStateAsUpdate(ydoc);
-            const base64State = Buffer.from(stateVector).toString('base64');
+        const ydoc = await loadOrCreateYjsDoc(pageId);
+
+        if (isReconnect && typeof stateVector === 'string') {
+            // 재연결: 클라이언트에 없는 변경분과 서버 상태 벡터를 보내 양방향으로 보완
+            const clientStateVector = Buffer.from(stateVector, 'base64');
+            const diff = Y.encodeStateAsUpdate(ydoc, clientStateVector);
 
             ws.send(JSON.stringify({
                 event: 'init',
                 data: {
-                    state: base64State,
+                    state: Buffer.from(diff).toString('base64'),
+                    stateVector: Buffer.from(Y.encodeStateVector(ydoc)).toString('base64'),
+                    isReconnect: true,
                     userId,
                     username: ws.username,
                     color: userColor
                 }
             }));
 
-            console.log(`[WS] 페이지 초기 상태 전송: ${pageId} (사용자: ${ws.username})`);
+            console.log(`[WS] 페이지 재연결: ${pageId} (사용자: ${ws.username}) - 변경분 동기화`);
         } else {
-            // 재연결 시에는 구독만 확인하고 기존 클라이언트 상태 유지
+            // 저장된 상태가 없는 문서는 첫 구독자가 편집기 내용으로 채움
+            const docData = yjsDocuments.get(pageId);
+            let seed = false;
+            if (docData && ydoc.getXmlFragment('prosemirror').length === 0 && !isYjsSeedOwnerConnected(pageId, docData)) {
+                docData.seedOwner = ws;
+                seed = true;
+            }
+
             ws.send(JSON.stringify({
-                event: 'reconnected',
+                event: 'init',
                 data: {
+                    state: Buffer.from(Y.encodeStateAsUpdate(ydoc)).toString('base64'),
+                    seed,
                     userId,
                     username: ws.username,
                     color: userColor
                 }
             }));
 
-            console.log(`[WS] 페이지 재연결: ${pageId} (사용자: ${ws.username}) - 클라이언트 상태 유지`);
+            console.log(`[WS] 페이지 초기 상태 전송: ${pageId} (사용자: ${ws.username}${seed ? ', 초기 내용 작성' : ''})`);
         }
 
         // 다른 사용자들에게 입장 알림
@@ -2116,6 +4841,47 @@ async function handleSubscribePage(ws, payload) {
     }
 }
 
+/**
+ * 초기 내용 작성을 맡은 구독자가 아직 페이지에 연결되어 있는지 확인
+ */
+function isYjsSeedOwnerConnected(pageId, docData) {
+    const connections = wsConnections.pages.get(pageId);
+    if (!docData.seedOwner || !connections) {
+        return false;
+    }
+
+    return [...connections].some(conn => conn.ws === docData.seedOwner);
+}
+
+/**
+ * 페이지에서 구독자가 떠난 뒤 Yjs 문서 정리
+ * - 초기 내용 작성자가 내용을 채우기 전에 떠나면 다른 구독자에게 작성을 요청
+ * - 마지막 구독자가 떠나면 본문을 저장하고 상태를 병합
+ */
+function handlePageSubscriberLeft(pageId) {
+    const docData = yjsDocuments.get(pageId);
+    if (!docData) {
+        return;
+    }
+
+    const connections = wsConnections.pages.get(pageId);
+
+    if (!connections || connections.size === 0) {
+        docData.seedOwner = null;
+        saveYjsDocToDatabase(pageId, docData.ydoc).catch(err => {
+            console.error(`[WS] 페이지 저장 실패 (${pageId}):`, err);
+        });
+        compactYjsState(pageId, docData.ydoc);
+        return;
+    }
+
+    if (docData.ydoc.getXmlFragment('prosemirror').length === 0 && !isYjsSeedOwnerConnected(pageId, docData)) {
+        const next = connections.values().next().value;
+        docData.seedOwner = next.ws;
+        next.ws.send(JSON.stringify({ event: 'seed-request', data: { pageId } }));
+    }
+}
+
 /**
  * 페이지 구독 해제
  */
@@ -2132,16 +4898,10 @@ function handleUnsubscribePage(ws, payload) {
 
         if (connections.size === 0) {
             wsConnections.pages.delete(pageId);
-
-            // 문서 저장
-            const docData = yjsDocuments.get(pageId);
-            if (docData) {
-                saveYjsDocToDatabase(pageId, docData.ydoc).catch(err => {
-                    console.error(`[WS] 페이지 저장 실패 (${pageId}):`, err);
-                });
-            }
         }
 
+        handlePageSubscriberLeft(pageId);
+
         wsBroadcastToPage(pageId, 'user-left', { userId: ws.userId }, ws.userId);
     }
 }
@@ -2221,6 +4981,7 @@ async function handleYjsUpdate(ws, payload) {
              LEFT JOIN collections c ON p.collection_id = c.id
              LEFT JOIN collection_shares cs ON c.id = cs.collection_id AND cs.shared_with_user_id = ?
              WHERE p.id = ? AND p.is_encrypted = 0
+               AND p.deleted_at IS NULL AND c.deleted_at IS NULL
                AND (c.user_id = ? OR cs.permission IN ('EDIT', 'ADMIN'))`,
             [userId, pageId, userId]
         );
@@ -2240,18 +5001,11 @@ async function handleYjsUpdate(ws, payload) {
         // 다른 클라이언트들에게 브로드캐스트
         wsBroadcastToPage(pageId, 'yjs-update', { update }, userId);
 
-        // Debounced 저장
-        const docData = yjsDocuments.get(pageId);
-        if (docData) {
-            if (docData.saveTimeout) {
-                clearTimeout(docData.saveTimeout);
-            }
-            docData.saveTimeout = setTimeout(() => {
-                saveYjsDocToDatabase(pageId, ydoc).catch(err => {
-                    console.error(`[WS] Debounce 저장 실패 (${pageId}):`, err);
-                });
-            }, 1000);
-        }
+        // 바이너리 업데이트 기록 (Yjs 상태가 본문의 원본)
+        await appendYjsUpdate(pageId, updateData);
+
+        // Debounced 저장 (검색/내보내기용 HTML 갱신)
+        scheduleYjsDocSave(pageId, ydoc, userId);
     } catch (error) {
         console.error('[WS] Yjs 업데이트 처리 오류:', error);
         ws.send(JSON.stringify({ event: 'error', data: { message: '업데이트 실패' } }));
@@ -2280,23 +5034,21 @@ function cleanupWebSocketConnection(ws) {
 
     // 페이지 연결 정리
     wsConnections.pages.forEach((connections, pageId) => {
+        let wasSubscribed = false;
         connections.forEach(conn => {
             if (conn.ws === ws) {
                 connections.delete(conn);
+                wasSubscribed = true;
                 wsBroadcastToPage(pageId, 'user-left', { userId }, userId);
             }
         });
 
         if (connections.size === 0) {
             wsConnections.pages.delete(pageId);
+        }
 
-            // 문서 저장
-            const docData = yjsDocuments.get(pageId);
-            if (docData) {
-                saveYjsDocToDatabase(pageId, docData.ydoc).catch(err => {
-                    console.error(`[WS] 연결 종료 시 저장 실패 (${pageId}):`, err);
-                });
-            }
+        if (wasSubscribed) {
+            handlePageSubscriberLeft(pageId);
         }
     });
 
@@ -2326,6 +5078,15 @@ function cleanupWebSocketConnection(ws) {
             wsConnections.users.delete(userId);
         }
     }
+
+    // 세션 연결 정리
+    const sessionConnections = wsConnections.sessions.get(ws.sessionPublicId);
+    if (sessionConnections) {
+        sessionConnections.delete(ws);
+        if (sessionConnections.size === 0) {
+            wsConnections.sessions.delete(ws.sessionPublicId);
+        }
+    }
 }
 
 /**
@@ -2339,6 +5100,24 @@ function cleanupWebSocketConnection(ws) {
         setInterval(cleanupOldLoginLogs, 24 * 60 * 60 * 1000);
         cleanupOldLoginLogs();
 
+        // 휴지통 보관 기간 만료 항목 정리 작업 시작 (1시간마다)
+        setInterval(purgeExpiredTrash, 60 * 60 * 1000);
+        purgeExpiredTrash();
+
+        // Yjs 업데이트 스냅샷 병합 작업 시작 (10분마다)
+        setInterval(compactPendingYjsUpdates, YJS_COMPACTION_INTERVAL_MS);
+        compactPendingYjsUpdates();
+
+        // 웹훅 전송 대기열 처리 (재시도 포함) 및 오래된 전송 기록 정리 (하루마다)
+        setInterval(processWebhookQueue, WEBHOOK_QUEUE_INTERVAL_MS);
+        processWebhookQueue();
+        setInterval(cleanupOldWebhookDeliveries, 24 * 60 * 60 * 1000);
+        cleanupOldWebhookDeliveries();
+
+        // 보관 기간이 지난 알림 정리 (하루마다)
+        setInterval(cleanupOldNotifications, 24 * 60 * 60 * 1000);
+        cleanupOldNotifications();
+
         // ==================== 라우트 Import (DB 초기화 후) ====================
 
         /**
@@ -2353,19 +5132,48 @@ function cleanupWebSocketConnection(ws) {
             Y,
             speakeasy,
             QRCode,
-            sessions,
-            userSessions,
             createSession,
             getSessionFromRequest,
+            updateSessionData,
+            createPendingSession,
+            getPendingSession,
+            destroySession,
+            destroyUserSessions,
+            hashSessionId,
             generateCsrfToken,
             formatDateForDb,
             validatePasswordStrength,
             logError,
             authMiddleware,
+            adminMiddleware,
+            getRegistrationMode,
+            setRegistrationMode,
+            recordAuditEvent,
+            verifyAuditEventChain,
+            REGISTRATION_MODES,
+            hashApiToken,
+            parseApiTokenCollectionIds,
+            isCollectionInTokenScope,
+            API_TOKEN_PREFIX,
+            API_TOKEN_SCOPES,
+            WEBHOOK_EVENTS,
+            parseWebhookEvents,
+            validateWebhookUrl,
+            insertWebhookDelivery,
+            enqueueWebhookEvent,
+            processWebhookQueue,
+            mailer,
+            PASSWORD_RESET_LINK_TTL_HOURS,
+            NOTIFICATION_TYPES,
+            createNotification,
+            serializeNotification,
+            parseNotificationPreferences,
             csrfMiddleware,
             toIsoString,
             sanitizeInput,
             sanitizeHtmlContent,
+            htmlToPlainText,
+            normalizePageTags,
             generatePageId,
             generateCollectionId,
             createCollection,
@@ -2376,12 +5184,26 @@ function cleanupWebSocketConnection(ws) {
             wsConnections,
             wsBroadcastToPage,
             wsBroadcastToCollection,
+            applyYjsCommentMark,
+            removeYjsCommentMark,
             wsBroadcastToUser,
+            wsCloseSessionConnections,
             WebSocket,
             getUserColor,
             loadOrCreateYjsDoc,
             saveYjsDocToDatabase,
+            resetYjsDocContent,
+            discardYjsState,
+            extractHtmlFromYDoc,
+            createPageRevision,
+            syncPageLinks,
+            remapPageMentionIds,
             yjsDocuments,
+            extractImagesFromPage,
+            cleanupOrphanedImages,
+            purgeTrashedPageTree,
+            purgeTrashedCollection,
+            TRASH_RETENTION_DAYS,
             authLimiter,
             totpLimiter,
             passkeyLimiter,
@@ -2412,16 +5234,34 @@ function cleanupWebSocketConnection(ws) {
         const totpRoutes = require('./routes/totp')(routeDependencies);
         const passkeyRoutes = require('./routes/passkey')(routeDependencies);
         const backupRoutes = require('./routes/backup')(routeDependencies);
+        const trashRoutes = require('./routes/trash')(routeDependencies);
+        const searchRoutes = require('./routes/search')(routeDependencies);
+        const tagsRoutes = require('./routes/tags')(routeDependencies);
+        const adminRoutes = require('./routes/admin')(routeDependencies);
+        const apiTokensRoutes = require('./routes/api-tokens')(routeDependencies);
+        const webhooksRoutes = require('./routes/webhooks')(routeDependencies);
+        const passwordResetRoutes = require('./routes/password-reset')(routeDependencies);
+        const commentsRoutes = require('./routes/comments')(routeDependencies);
+        const notificationsRoutes = require('./routes/notifications')(routeDependencies);
 
         // 라우트 등록
         app.use('/', indexRoutes);
         app.use('/api/auth', authRoutes);
         app.use('/api/collections', collectionsRoutes);
         app.use('/api/pages', pagesRoutes);
+        app.use('/api/pages', commentsRoutes);
         app.use('/api', sharesRoutes);
         app.use('/api/totp', totpRoutes);
         app.use('/api/passkey', passkeyRoutes);
         app.use('/api/backup', backupRoutes);
+        app.use('/api/trash', trashRoutes);
+        app.use('/api/search', searchRoutes);
+        app.use('/api/tags', tagsRoutes);
+        app.use('/api/admin', adminRoutes);
+        app.use('/api/tokens', apiTokensRoutes);
+        app.use('/api/webhooks', webhooksRoutes);
+        app.use('/api/password-reset', passwordResetRoutes);
+        app.use('/api/notifications', notificationsRoutes);
 
         // DuckDNS 설정 확인
         const DUCKDNS_DOMAIN = process.env.DUCKDNS_DOMAIN;